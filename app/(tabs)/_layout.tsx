@@ -5,8 +5,12 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { Tabs, useRouter } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import NotificationBadge from '../../src/components/NotificationBadge';
+import SyncStatusIndicator from '../../src/components/SyncStatusIndicator';
 import UserStorageService from '../../src/services/UserStorageService';
 import NotificationService from '../../src/services/NotificationService';
+import OfflineQueueManager from '../../src/services/OfflineQueueManager';
+import type { QueueStatus } from '../../src/services/OfflineQueueManager';
+import LevelService from '../../src/services/LevelService';
 
 // Tab bar icon type
 type TabBarIconProps = {
@@ -55,9 +59,40 @@ const useNotificationHeaderButton = (unreadCount: number) => {
   );
 };
 
+const useSyncHeaderButton = (queueStatus: QueueStatus) => {
+  const router = useRouter();
+  // eslint-disable-next-line react/display-name
+  return () => (
+    <SyncStatusIndicator
+      status={queueStatus}
+      onPress={() => {
+        router.push('/sync');
+      }}
+    />
+  );
+};
+
 export default function TabLayout() {
   const [unreadCount, setUnreadCount] = useState<number>(0);
+  const [queueStatus, setQueueStatus] = useState<QueueStatus>(() =>
+    OfflineQueueManager.getQueueStatus(),
+  );
   const NotificationHeaderButton = useNotificationHeaderButton(unreadCount);
+  const SyncHeaderButton = useSyncHeaderButton(queueStatus);
+
+  useEffect(() => OfflineQueueManager.subscribe(setQueueStatus), []);
+
+  // The equipped theme's accent colours the active tab
+  const [accentColor, setAccentColor] = useState<string>(
+    () => LevelService.getEquippedReward('theme').accentColor,
+  );
+  useEffect(
+    () =>
+      LevelService.subscribe((snapshot) => {
+        setAccentColor(snapshot.equipped.theme.accentColor);
+      }),
+    [],
+  );
 
   const loadUnreadCount = useCallback(async (): Promise<void> => {
     try {
@@ -100,8 +135,9 @@ export default function TabLayout() {
   return (
     <Tabs
       screenOptions={{
-        tabBarActiveTintColor: '#3498DB',
+        tabBarActiveTintColor: accentColor,
         tabBarInactiveTintColor: '#7F8C8D',
+        headerLeft: SyncHeaderButton,
       }}
     >
       <Tabs.Screen
@@ -1,7 +1,7 @@
 // ABOUTME: Profile tab screen that displays user information and settings
 // This is the actual profile screen, not a redirect
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import type { ViewStyle, TextStyle } from 'react-native';
 import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Alert } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
@@ -9,6 +9,11 @@ import { Ionicons } from '@expo/vector-icons';
 import { useRouter } from 'expo-router';
 import { useUser } from '../../src/contexts';
 import AuthService from '../../src/services/AuthService';
+import RewardService from '../../src/services/RewardService';
+import type { StreakData } from '../../src/services/RewardService';
+import LevelService from '../../src/services/LevelService';
+import type { LevelSnapshot } from '../../src/services/LevelService';
+import { getNextReward } from '../../src/utils/LevelModel';
 import { USER_ROLE } from '../../src/constants/UserConstants';
 import type { UserRole } from '../../src/types/user.types';
 
@@ -38,10 +43,48 @@ const MenuItem = ({
   </TouchableOpacity>
 );
 
+// e.g. "🧊 1 streak freeze · Yesterday is covered, finish a task today to keep your streak"
+const describeStreakFreezes = (streak: StreakData): string => {
+  const freezes = `🧊 ${streak.freezes} streak ${streak.freezes === 1 ? 'freeze' : 'freezes'}`;
+  if (streak.frozenDays > 0 && !streak.countedToday) {
+    const missed =
+      streak.frozenDays === 1 ? 'Yesterday is' : `${streak.frozenDays} missed days are`;
+    return `${freezes} · ${missed} covered, finish a task today to keep your streak`;
+  }
+  return `${freezes} · Each one covers a missed day`;
+};
+
+// e.g. "40 XP to level 3 · Next unlock: Forest at level 3"
+const describeLevelProgress = ({ progress }: LevelSnapshot): string => {
+  if (progress.nextLevelXP === null) return 'Top level reached';
+  const toNext = `${progress.nextLevelXP - progress.totalXP} XP to level ${progress.level + 1}`;
+  const next = getNextReward(progress.level);
+  return next ? `${toNext} · Next unlock: ${next.title} at level ${next.level}` : toNext;
+};
+
 const ProfileScreen = () => {
   const router = useRouter();
   const { user: currentUser } = useUser();
   const [loading, setLoading] = useState<boolean>(false);
+  const [streak, setStreak] = useState<StreakData | null>(null);
+  const [level, setLevel] = useState<LevelSnapshot>(() => LevelService.getSnapshot());
+
+  useEffect(() => LevelService.subscribe(setLevel), []);
+
+  // Fetched from the server so completions on other devices count too
+  useEffect(() => {
+    if (!currentUser) return;
+
+    RewardService.getStreakData(currentUser.id, { refresh: true })
+      .then((result) => {
+        if (result.success && result.data) {
+          setStreak(result.data);
+        }
+      })
+      .catch(() => {
+        setStreak(null);
+      });
+  }, [currentUser]);
 
   const handleLogout = (): void => {
     Alert.alert('Logout', 'Are you sure you want to logout?', [
@@ -152,7 +195,15 @@ const ProfileScreen = () => {
             icon="notifications-outline"
             label="Notification Settings"
             onPress={() => {
-              Alert.alert('Coming Soon', 'Notification settings coming soon!');
+              router.push('/profile/notifications');
+            }}
+            disabled={loading}
+          />
+          <MenuItem
+            icon="pricetags-outline"
+            label="Task Categories"
+            onPress={() => {
+              router.push('/profile/categories');
             }}
             disabled={loading}
           />
@@ -166,14 +217,62 @@ const ProfileScreen = () => {
               <Text style={styles.statLabel}>Tasks Done</Text>
             </View>
             <View style={styles.statItem}>
-              <Text style={styles.statValue}>{currentUser.stats?.currentStreak || 0}</Text>
+              <Text style={styles.statValue} testID="current-streak">
+                {streak?.current ?? currentUser.stats?.currentStreak ?? 0}
+              </Text>
               <Text style={styles.statLabel}>Day Streak</Text>
             </View>
             <View style={styles.statItem}>
-              <Text style={styles.statValue}>{currentUser.stats?.totalXP || 0}</Text>
+              <Text style={styles.statValue}>{level.progress.totalXP}</Text>
               <Text style={styles.statLabel}>Total XP</Text>
             </View>
           </View>
+          <View style={styles.levelCard} testID="level-card">
+            <Text style={styles.levelTitle}>Level {level.progress.level}</Text>
+            <View style={styles.levelTrack}>
+              <View
+                style={[
+                  styles.levelFill,
+                  {
+                    width: `${level.progress.fraction * 100}%`,
+                    backgroundColor: level.equipped.theme.accentColor,
+                  },
+                ]}
+              />
+            </View>
+            <Text style={styles.levelNote} testID="level-progress">
+              {describeLevelProgress(level)}
+            </Text>
+          </View>
+          {streak && (
+            <Text style={styles.streakNote} testID="streak-freezes">
+              {describeStreakFreezes(streak)}
+            </Text>
+          )}
+          <MenuItem
+            icon="stats-chart-outline"
+            label="Insights"
+            onPress={() => {
+              router.push('/profile/insights');
+            }}
+            disabled={loading}
+          />
+          <MenuItem
+            icon="trophy-outline"
+            label="Achievements"
+            onPress={() => {
+              router.push('/profile/achievements');
+            }}
+            disabled={loading}
+          />
+          <MenuItem
+            icon="color-palette-outline"
+            label="Rewards"
+            onPress={() => {
+              router.push('/profile/rewards');
+            }}
+            disabled={loading}
+          />
         </View>
 
         <View style={styles.section}>
@@ -233,6 +332,12 @@ interface Styles {
   statItem: ViewStyle;
   statValue: TextStyle;
   statLabel: TextStyle;
+  streakNote: TextStyle;
+  levelCard: ViewStyle;
+  levelTitle: TextStyle;
+  levelTrack: ViewStyle;
+  levelFill: ViewStyle;
+  levelNote: TextStyle;
   infoRow: ViewStyle;
   infoLabel: TextStyle;
   infoValue: TextStyle;
@@ -345,6 +450,37 @@ const styles = StyleSheet.create<Styles>({
     color: '#7F8C8D',
     marginTop: 4,
   },
+  streakNote: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    textAlign: 'center',
+    paddingHorizontal: 20,
+    paddingBottom: 12,
+  },
+  levelCard: {
+    paddingHorizontal: 20,
+    paddingBottom: 12,
+  },
+  levelTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2C3E50',
+    marginBottom: 8,
+  },
+  levelTrack: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#ECF0F1',
+    overflow: 'hidden',
+  },
+  levelFill: {
+    height: 8,
+  },
+  levelNote: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    marginTop: 6,
+  },
   infoRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -0,0 +1,167 @@
+// ABOUTME: Tests for the body doubling screen
+// Verifies inviting the partner, joining from an invite, the shared timer controls and reactions
+
+import React from 'react';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import { useLocalSearchParams } from 'expo-router';
+import BodyDoublingScreen from '../body-doubling';
+import { useUser, useTasks } from '../../src/contexts';
+import BodyDoublingService from '../../src/services/BodyDoublingService';
+import PartnershipService from '../../src/services/PartnershipService';
+import UserStorageService from '../../src/services/UserStorageService';
+import { WORK_SECONDS, createSharedTimer } from '../../src/utils/BodyDoublingModel';
+
+const mockBack = jest.fn();
+
+jest.mock('expo-router', () => ({
+  useRouter: () => ({ back: mockBack }),
+  useLocalSearchParams: jest.fn(),
+}));
+
+jest.mock('../../src/contexts', () => ({
+  useUser: jest.fn(),
+  useTasks: jest.fn(),
+}));
+
+jest.mock('../../src/services/BodyDoublingService', () => ({
+  __esModule: true,
+  default: {
+    getSnapshot: jest.fn(),
+    subscribe: jest.fn(),
+    invitePartner: jest.fn(),
+    join: jest.fn(),
+    leave: jest.fn(),
+    setCurrentTask: jest.fn(),
+    startTimer: jest.fn(),
+    pauseTimer: jest.fn(),
+    resetTimer: jest.fn(),
+    sendReaction: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/services/PartnershipService', () => ({
+  __esModule: true,
+  default: {
+    getActivePartnership: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/services/UserStorageService', () => ({
+  __esModule: true,
+  default: {
+    getUserById: jest.fn(),
+  },
+}));
+
+describe('BodyDoublingScreen', () => {
+  const partnership = { id: 'partnership-1', adhdUserId: 'adhd-1', partnerId: 'partner-1' };
+  const sam = { id: 'adhd-1', name: 'Sam' };
+  const alex = { id: 'partner-1', name: 'Alex' };
+  const emptySnapshot = {
+    sessionId: null,
+    participants: [],
+    timer: null,
+    timeLeft: 0,
+    reactions: [],
+  };
+
+  const inSession = (overrides = {}) => ({
+    sessionId: 'session-1',
+    participants: [
+      { userId: 'adhd-1', name: 'Sam', taskTitle: 'Taxes', joinedAt: 1 },
+      { userId: 'partner-1', name: 'Alex', taskTitle: null, joinedAt: 2 },
+    ],
+    timer: createSharedTimer('adhd-1', 0),
+    timeLeft: WORK_SECONDS,
+    reactions: [],
+    ...overrides,
+  });
+
+  const showSnapshot = (snapshot) => {
+    BodyDoublingService.getSnapshot.mockReturnValue(snapshot);
+    BodyDoublingService.subscribe.mockImplementation((listener) => {
+      listener(snapshot);
+      return jest.fn();
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useLocalSearchParams.mockReturnValue({});
+    useUser.mockReturnValue({ user: sam });
+    useTasks.mockReturnValue({ tasks: [] });
+    PartnershipService.getActivePartnership.mockResolvedValue({ success: true, data: partnership });
+    UserStorageService.getUserById.mockResolvedValue(alex);
+    BodyDoublingService.invitePartner.mockResolvedValue({ success: true, data: 'session-1' });
+    BodyDoublingService.join.mockResolvedValue({ success: true });
+    BodyDoublingService.leave.mockResolvedValue({ success: true });
+    showSnapshot(emptySnapshot);
+  });
+
+  it('should let the ADHD user invite their partner', async () => {
+    const { findByTestId } = render(<BodyDoublingScreen />);
+
+    const invite = await findByTestId('invite-body-double');
+    expect(invite).toHaveTextContent('Invite Alex');
+    fireEvent.press(invite);
+
+    await waitFor(() => {
+      expect(BodyDoublingService.invitePartner).toHaveBeenCalledWith(partnership, sam);
+    });
+  });
+
+  it('should not offer invites to the partner', async () => {
+    useUser.mockReturnValue({ user: alex });
+    UserStorageService.getUserById.mockResolvedValue(sam);
+    const { findByText, queryByTestId } = render(<BodyDoublingScreen />);
+
+    expect(await findByText(/start when your ADHD partner sends you an invite/)).toBeTruthy();
+    expect(queryByTestId('invite-body-double')).toBeNull();
+  });
+
+  it('should join the session from an invite', async () => {
+    useLocalSearchParams.mockReturnValue({ sessionId: 'session-1' });
+    useUser.mockReturnValue({ user: alex });
+
+    render(<BodyDoublingScreen />);
+
+    await waitFor(() => {
+      expect(BodyDoublingService.join).toHaveBeenCalledWith('session-1', alex);
+    });
+  });
+
+  it('should show both people, the shared timer and reactions', async () => {
+    showSnapshot(
+      inSession({
+        reactions: [{ id: 'r1', fromUserId: 'partner-1', emoji: '💪', sentAt: 1 }],
+      }),
+    );
+    const { findByTestId, getByTestId, getByText, queryByTestId } = render(<BodyDoublingScreen />);
+
+    expect(await findByTestId('participant-adhd-1')).toHaveTextContent(
+      'Sam (you)Working on "Taxes"',
+    );
+    expect(getByTestId('participant-partner-1')).toHaveTextContent('AlexNo task picked yet');
+    expect(queryByTestId('body-doubling-waiting')).toBeNull();
+    expect(getByTestId('shared-timer')).toHaveTextContent('Focus · round 125:00', { exact: false });
+    expect(getByText('💪 Alex')).toBeTruthy();
+
+    fireEvent.press(getByTestId('shared-timer-toggle'));
+    fireEvent.press(getByTestId('react-🎉'));
+
+    expect(BodyDoublingService.startTimer).toHaveBeenCalled();
+    expect(BodyDoublingService.sendReaction).toHaveBeenCalledWith('🎉');
+  });
+
+  it('should leave only this side of the session', async () => {
+    showSnapshot(inSession());
+    const { findByTestId } = render(<BodyDoublingScreen />);
+
+    fireEvent.press(await findByTestId('leave-body-doubling'));
+
+    await waitFor(() => {
+      expect(mockBack).toHaveBeenCalled();
+    });
+    expect(BodyDoublingService.leave).toHaveBeenCalled();
+  });
+});
@@ -8,7 +8,11 @@ import { AppProvider } from '../src/contexts/AppProvider';
 import { useUser } from '../src/contexts/UserContext';
 import { useAuth } from '../src/contexts/AuthContext';
 import NotificationContainer from '../src/components/NotificationContainer';
+import ReminderBanner from '../src/components/ReminderBanner';
+import AchievementBanner from '../src/components/AchievementBanner';
+import LevelUpCelebration from '../src/components/LevelUpCelebration';
 import BiometricAuthScreen from '../src/components/BiometricAuthScreen';
+import ConnectionMonitor from '../src/services/ConnectionMonitor';
 
 // Loading Screen Component
 const loadingScreenStyles = StyleSheet.create({
@@ -84,6 +88,13 @@ function RootLayoutNav() {
             presentation: 'modal',
           }}
         />
+        <Stack.Screen
+          name="task/brain-dump"
+          options={{
+            title: 'Brain Dump',
+            presentation: 'modal',
+          }}
+        />
         <Stack.Screen
           name="task/[id]"
           options={{
@@ -99,8 +110,38 @@ function RootLayoutNav() {
             presentation: 'modal',
           }}
         />
+        <Stack.Screen
+          name="body-doubling"
+          options={{
+            title: 'Body Doubling',
+          }}
+        />
+        <Stack.Screen
+          name="sync/index"
+          options={{
+            title: 'Sync Status',
+            presentation: 'modal',
+          }}
+        />
+        <Stack.Screen
+          name="conflicts/index"
+          options={{
+            title: 'Sync Conflicts',
+            presentation: 'modal',
+          }}
+        />
+        <Stack.Screen
+          name="conflicts/[id]"
+          options={{
+            title: 'Resolve Conflict',
+            presentation: 'modal',
+          }}
+        />
       </Stack>
       {user && <NotificationContainer />}
+      {user && <ReminderBanner />}
+      {user && <AchievementBanner />}
+      {user && <LevelUpCelebration />}
     </View>
   );
 }
@@ -112,6 +153,14 @@ const rootStyles = StyleSheet.create({
 });
 
 export default function RootLayout() {
+  // Watch real network reachability for the lifetime of the app; the offline queue follows it
+  useEffect(() => {
+    ConnectionMonitor.startMonitoring();
+    return () => {
+      ConnectionMonitor.stopMonitoring();
+    };
+  }, []);
+
   return (
     <AppProvider>
       <RootLayoutNav />
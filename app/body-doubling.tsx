@@ -0,0 +1,501 @@
+// ABOUTME: Body doubling screen where the ADHD user and their partner focus side by side
+// Shows who is in the session and their tasks, the shared Pomodoro countdown and quick reactions
+
+import React, { useState, useEffect } from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { useUser, useTasks } from '../src/contexts';
+import BodyDoublingService from '../src/services/BodyDoublingService';
+import PartnershipService from '../src/services/PartnershipService';
+import UserStorageService from '../src/services/UserStorageService';
+import type { Partnership, User } from '../src/types/user.types';
+import type { BodyDoublingSnapshot } from '../src/types/bodyDoubling.types';
+import { BODY_DOUBLING_REACTIONS } from '../src/utils/BodyDoublingModel';
+
+const MAX_TASK_CHOICES = 6;
+const VISIBLE_REACTIONS = 5;
+
+const formatTimeLeft = (seconds: number): string => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const BodyDoublingScreen = () => {
+  const router = useRouter();
+  const { sessionId } = useLocalSearchParams<{ sessionId?: string }>();
+  const { user } = useUser();
+  const { tasks } = useTasks();
+  const [snapshot, setSnapshot] = useState<BodyDoublingSnapshot>(() =>
+    BodyDoublingService.getSnapshot(),
+  );
+  const [partnership, setPartnership] = useState<Partnership | null>(null);
+  const [partner, setPartner] = useState<User | null>(null);
+  const [loading, setLoading] = useState<boolean>(true);
+
+  useEffect(() => BodyDoublingService.subscribe(setSnapshot), []);
+
+  // Leaving the screen leaves the session; the partner's session carries on
+  useEffect(
+    () => () => {
+      void BodyDoublingService.leave();
+    },
+    [],
+  );
+
+  useEffect(() => {
+    if (!user) return;
+
+    const load = async () => {
+      const result = await PartnershipService.getActivePartnership(user.id);
+      const active = result.success ? (result.data ?? null) : null;
+      setPartnership(active);
+
+      const partnerId = active?.adhdUserId === user.id ? active.partnerId : active?.adhdUserId;
+      setPartner(partnerId ? await UserStorageService.getUserById(partnerId) : null);
+
+      if (sessionId) {
+        const joined = await BodyDoublingService.join(sessionId, user);
+        if (!joined.success) {
+          Alert.alert('Error', joined.error?.message ?? 'Could not join the session');
+        }
+      }
+    };
+
+    load()
+      .catch(() => {})
+      .finally(() => {
+        setLoading(false);
+      });
+  }, [user, sessionId]);
+
+  const handleInvite = () => {
+    if (!user || !partnership) return;
+
+    BodyDoublingService.invitePartner(partnership, user)
+      .then((result) => {
+        if (!result.success) {
+          Alert.alert('Error', result.error?.message ?? 'Could not invite your partner');
+        }
+      })
+      .catch(() => {});
+  };
+
+  const handleLeave = () => {
+    BodyDoublingService.leave()
+      .catch(() => {})
+      .finally(() => {
+        router.back();
+      });
+  };
+
+  if (!user || loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#16A085" />
+      </View>
+    );
+  }
+
+  if (!snapshot.sessionId) {
+    const canInvite = Boolean(partnership && partner && partnership.adhdUserId === user.id);
+    return (
+      <SafeAreaView style={styles.centered}>
+        <Ionicons name="people-outline" size={64} color="#16A085" />
+        <Text style={styles.introTitle}>Focus together</Text>
+        <Text style={styles.introText}>
+          {canInvite
+            ? `Invite ${partner?.name} to work alongside you with one shared Pomodoro timer.`
+            : 'Body doubling sessions start when your ADHD partner sends you an invite.'}
+        </Text>
+        {canInvite && (
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={handleInvite}
+            testID="invite-body-double"
+          >
+            <Text style={styles.primaryButtonText}>Invite {partner?.name}</Text>
+          </TouchableOpacity>
+        )}
+      </SafeAreaView>
+    );
+  }
+
+  const { participants, timer, timeLeft, reactions } = snapshot;
+  const self = participants.find(({ userId }) => userId === user.id);
+  const taskChoices = tasks
+    .filter((task) => !task.completed && !task.parentId && task.userId === user.id)
+    .slice(0, MAX_TASK_CHOICES);
+  const nameOf = (userId: string): string =>
+    participants.find((participant) => participant.userId === userId)?.name ??
+    (userId === partner?.id ? partner.name : 'Your partner');
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      <ScrollView showsVerticalScrollIndicator={false}>
+        <View style={styles.section} testID="body-doubling-participants">
+          <Text style={styles.sectionTitle}>In this session</Text>
+          {participants.map((participant) => (
+            <View
+              key={participant.userId}
+              style={styles.participantRow}
+              testID={`participant-${participant.userId}`}
+            >
+              <View style={styles.onlineDot} />
+              <View style={styles.participantText}>
+                <Text style={styles.participantName}>
+                  {participant.userId === user.id ? `${participant.name} (you)` : participant.name}
+                </Text>
+                <Text style={styles.participantTask}>
+                  {participant.taskTitle
+                    ? `Working on "${participant.taskTitle}"`
+                    : 'No task picked yet'}
+                </Text>
+              </View>
+            </View>
+          ))}
+          {participants.length < 2 && (
+            <Text style={styles.waitingText} testID="body-doubling-waiting">
+              Waiting for {partner?.name ?? 'your partner'} to join…
+            </Text>
+          )}
+        </View>
+
+        {timer && (
+          <View style={styles.timerCard} testID="shared-timer">
+            <Text style={styles.phaseLabel}>
+              {timer.phase === 'work' ? `Focus · round ${timer.round}` : 'Break'}
+            </Text>
+            <Text style={styles.timeLeft}>{formatTimeLeft(timeLeft)}</Text>
+            <View style={styles.timerButtons}>
+              <TouchableOpacity
+                style={styles.primaryButton}
+                onPress={() => {
+                  void (timer.endsAt === null
+                    ? BodyDoublingService.startTimer()
+                    : BodyDoublingService.pauseTimer());
+                }}
+                testID="shared-timer-toggle"
+              >
+                <Text style={styles.primaryButtonText}>
+                  {timer.endsAt === null ? 'Start' : 'Pause'}
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.secondaryButton}
+                onPress={() => {
+                  void BodyDoublingService.resetTimer();
+                }}
+                testID="shared-timer-reset"
+              >
+                <Text style={styles.secondaryButtonText}>Reset</Text>
+              </TouchableOpacity>
+            </View>
+            <Text style={styles.timerNote}>Either of you can start or pause the timer</Text>
+          </View>
+        )}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Send a reaction</Text>
+          <View style={styles.reactionBar}>
+            {BODY_DOUBLING_REACTIONS.map((emoji) => (
+              <TouchableOpacity
+                key={emoji}
+                style={styles.reactionButton}
+                onPress={() => {
+                  void BodyDoublingService.sendReaction(emoji);
+                }}
+                testID={`react-${emoji}`}
+                accessibilityRole="button"
+                accessibilityLabel={`Send ${emoji}`}
+              >
+                <Text style={styles.reactionEmoji}>{emoji}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {reactions
+            .slice(-VISIBLE_REACTIONS)
+            .reverse()
+            .map((reaction) => (
+              <Text key={reaction.id} style={styles.reactionLine}>
+                {reaction.emoji}{' '}
+                {reaction.fromUserId === user.id ? 'You' : nameOf(reaction.fromUserId)}
+              </Text>
+            ))}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Your task</Text>
+          <View style={styles.taskChips}>
+            {taskChoices.map((task) => {
+              const selected = self?.taskTitle === task.title;
+              return (
+                <TouchableOpacity
+                  key={task.id}
+                  style={[styles.taskChip, selected && styles.taskChipSelected]}
+                  onPress={() => {
+                    void BodyDoublingService.setCurrentTask(
+                      selected ? null : { id: task.id, title: task.title },
+                    );
+                  }}
+                  testID={`pick-task-${task.id}`}
+                >
+                  <Text
+                    style={[styles.taskChipText, selected && styles.taskChipTextSelected]}
+                    numberOfLines={1}
+                  >
+                    {task.title}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+            {taskChoices.length === 0 && (
+              <Text style={styles.participantTask}>No open tasks to pick from</Text>
+            )}
+          </View>
+        </View>
+
+        <TouchableOpacity
+          style={styles.leaveButton}
+          onPress={handleLeave}
+          testID="leave-body-doubling"
+        >
+          <Text style={styles.leaveButtonText}>Leave Session</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+interface Styles {
+  container: ViewStyle;
+  centered: ViewStyle;
+  introTitle: TextStyle;
+  introText: TextStyle;
+  section: ViewStyle;
+  sectionTitle: TextStyle;
+  participantRow: ViewStyle;
+  onlineDot: ViewStyle;
+  participantText: ViewStyle;
+  participantName: TextStyle;
+  participantTask: TextStyle;
+  waitingText: TextStyle;
+  timerCard: ViewStyle;
+  phaseLabel: TextStyle;
+  timeLeft: TextStyle;
+  timerButtons: ViewStyle;
+  timerNote: TextStyle;
+  primaryButton: ViewStyle;
+  primaryButtonText: TextStyle;
+  secondaryButton: ViewStyle;
+  secondaryButtonText: TextStyle;
+  reactionBar: ViewStyle;
+  reactionButton: ViewStyle;
+  reactionEmoji: TextStyle;
+  reactionLine: TextStyle;
+  taskChips: ViewStyle;
+  taskChip: ViewStyle;
+  taskChipSelected: ViewStyle;
+  taskChipText: TextStyle;
+  taskChipTextSelected: TextStyle;
+  leaveButton: ViewStyle;
+  leaveButtonText: TextStyle;
+}
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+    backgroundColor: '#F8F9FA',
+  },
+  introTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#2C3E50',
+    marginTop: 16,
+  },
+  introText: {
+    fontSize: 15,
+    color: '#7F8C8D',
+    textAlign: 'center',
+    marginTop: 8,
+    marginBottom: 24,
+  },
+  section: {
+    backgroundColor: '#fff',
+    marginTop: 16,
+    paddingVertical: 8,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#7F8C8D',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+  },
+  participantRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+  },
+  onlineDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: '#4CAF50',
+  },
+  participantText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  participantName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2C3E50',
+  },
+  participantTask: {
+    fontSize: 13,
+    color: '#7F8C8D',
+    marginTop: 2,
+  },
+  waitingText: {
+    fontSize: 14,
+    color: '#E67E22',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+  },
+  timerCard: {
+    backgroundColor: '#fff',
+    alignItems: 'center',
+    marginTop: 16,
+    paddingVertical: 24,
+  },
+  phaseLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#16A085',
+  },
+  timeLeft: {
+    fontSize: 56,
+    fontWeight: 'bold',
+    color: '#2C3E50',
+    marginVertical: 8,
+    fontVariant: ['tabular-nums'],
+  },
+  timerButtons: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  timerNote: {
+    fontSize: 12,
+    color: '#95A5A6',
+    marginTop: 12,
+  },
+  primaryButton: {
+    backgroundColor: '#16A085',
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 28,
+    alignItems: 'center',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: '#16A085',
+    borderRadius: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 28,
+    alignItems: 'center',
+  },
+  secondaryButtonText: {
+    color: '#16A085',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  reactionBar: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+  },
+  reactionButton: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: '#E8F8F5',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  reactionEmoji: {
+    fontSize: 24,
+  },
+  reactionLine: {
+    fontSize: 14,
+    color: '#2C3E50',
+    paddingHorizontal: 20,
+    paddingVertical: 4,
+  },
+  taskChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+  },
+  taskChip: {
+    borderWidth: 1,
+    borderColor: '#BDC3C7',
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    maxWidth: '100%',
+  },
+  taskChipSelected: {
+    backgroundColor: '#16A085',
+    borderColor: '#16A085',
+  },
+  taskChipText: {
+    fontSize: 14,
+    color: '#2C3E50',
+  },
+  taskChipTextSelected: {
+    color: '#fff',
+  },
+  leaveButton: {
+    margin: 20,
+    padding: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    backgroundColor: '#FADBD8',
+  },
+  leaveButtonText: {
+    color: '#E74C3C',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default BodyDoublingScreen;
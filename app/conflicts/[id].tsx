@@ -0,0 +1,238 @@
+// ABOUTME: Manual merge screen for a single sync conflict
+// Shows this device's and the server's value for each conflicting field so the user can pick
+
+import React, { useState, useMemo } from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import ConflictHistoryService from '../../src/services/ConflictHistoryService';
+import type { FieldResolutionSource } from '../../src/services/ConflictHistoryService';
+import LocalTaskStore from '../../src/services/LocalTaskStore';
+import { getFieldLabel, formatFieldValue } from '../../src/utils/ConflictFieldFormatter';
+
+interface Styles {
+  container: ViewStyle;
+  content: ViewStyle;
+  intro: TextStyle;
+  fieldCard: ViewStyle;
+  fieldLabel: TextStyle;
+  option: ViewStyle;
+  selectedOption: ViewStyle;
+  optionSource: TextStyle;
+  selectedOptionSource: TextStyle;
+  optionValue: TextStyle;
+  footer: ViewStyle;
+  saveButton: ViewStyle;
+  saveButtonText: TextStyle;
+  resolvedNote: TextStyle;
+  notFound: ViewStyle;
+  notFoundText: TextStyle;
+}
+
+const SOURCE_LABELS: Record<FieldResolutionSource, string> = {
+  local: 'This device',
+  remote: 'Server',
+  merged: 'Combined',
+};
+
+const ConflictMergeScreen = () => {
+  const router = useRouter();
+  const { id } = useLocalSearchParams<{ id: string }>();
+  const record = useMemo(() => ConflictHistoryService.getConflict(id), [id]);
+
+  // Start from whatever the automatic merge picked
+  const [choices, setChoices] = useState<Record<string, FieldResolutionSource>>(() => ({
+    ...(record?.fieldResolutions ?? {}),
+  }));
+  const [saving, setSaving] = useState(false);
+
+  if (!record) {
+    return (
+      <View style={styles.notFound}>
+        <Text style={styles.notFoundText}>This conflict is no longer available.</Text>
+      </View>
+    );
+  }
+
+  const isResolved = record.status === 'resolved';
+  const values: Record<FieldResolutionSource, Record<string, unknown>> = {
+    local: record.localData as Record<string, unknown>,
+    remote: record.remoteData as Record<string, unknown>,
+    merged: record.resolvedData as Record<string, unknown>,
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const success = await LocalTaskStore.resolveConflict(record.id, choices);
+    setSaving(false);
+
+    if (success) {
+      router.back();
+    } else {
+      Alert.alert('Error', 'Failed to save your choices. Please try again.');
+    }
+  };
+
+  const renderOption = (field: string, source: FieldResolutionSource) => {
+    const isSelected = choices[field] === source;
+
+    return (
+      <TouchableOpacity
+        key={source}
+        style={[styles.option, isSelected && styles.selectedOption]}
+        onPress={() => {
+          setChoices((prev) => ({ ...prev, [field]: source }));
+        }}
+        disabled={isResolved}
+        testID={`choice-${field}-${source}`}
+        accessibilityRole="radio"
+        accessibilityState={{ selected: isSelected, disabled: isResolved }}
+      >
+        <Text style={[styles.optionSource, isSelected && styles.selectedOptionSource]}>
+          {SOURCE_LABELS[source]}
+        </Text>
+        <Text style={styles.optionValue}>{formatFieldValue(field, values[source][field])}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <Text style={styles.intro}>
+          {isResolved
+            ? 'These are the values that were kept.'
+            : 'This task was changed here and somewhere else before it could sync. Pick the value to keep for each field.'}
+        </Text>
+
+        {record.conflictFields.map((field) => (
+          <View key={field} style={styles.fieldCard} testID={`conflict-field-${field}`}>
+            <Text style={styles.fieldLabel}>{getFieldLabel(field)}</Text>
+            {renderOption(field, 'local')}
+            {renderOption(field, 'remote')}
+            {record.fieldResolutions[field] === 'merged' && renderOption(field, 'merged')}
+          </View>
+        ))}
+      </ScrollView>
+
+      <View style={styles.footer}>
+        {isResolved ? (
+          <Text style={styles.resolvedNote}>
+            Resolved {(record.resolvedAt ?? record.detectedAt).toLocaleString()}
+          </Text>
+        ) : (
+          <TouchableOpacity
+            style={styles.saveButton}
+            onPress={() => {
+              handleSave().catch(() => {});
+            }}
+            disabled={saving}
+            testID="save-merge-button"
+          >
+            {saving ? (
+              <ActivityIndicator color="white" />
+            ) : (
+              <Text style={styles.saveButtonText}>Keep These Values</Text>
+            )}
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  intro: {
+    fontSize: 15,
+    color: '#7F8C8D',
+    marginBottom: 16,
+  },
+  fieldCard: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+  },
+  fieldLabel: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2C3E50',
+    marginBottom: 8,
+  },
+  option: {
+    borderWidth: 2,
+    borderColor: '#E9ECEF',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 8,
+  },
+  selectedOption: {
+    borderColor: '#3498DB',
+    backgroundColor: '#EBF5FB',
+  },
+  optionSource: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#7F8C8D',
+    textTransform: 'uppercase',
+    marginBottom: 4,
+  },
+  selectedOptionSource: {
+    color: '#3498DB',
+  },
+  optionValue: {
+    fontSize: 15,
+    color: '#2C3E50',
+  },
+  footer: {
+    padding: 16,
+    backgroundColor: 'white',
+    borderTopWidth: 1,
+    borderTopColor: '#E9ECEF',
+  },
+  saveButton: {
+    backgroundColor: '#3498DB',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  saveButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  resolvedNote: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    textAlign: 'center',
+  },
+  notFound: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  notFoundText: {
+    fontSize: 16,
+    color: '#7F8C8D',
+    textAlign: 'center',
+  },
+});
+
+export default ConflictMergeScreen;
@@ -0,0 +1,95 @@
+// ABOUTME: Tests for the manual conflict merge screen
+// Verifies local and remote values are shown side by side and the picks are saved
+
+import React from 'react';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import ConflictMergeScreen from '../[id]';
+import ConflictHistoryService from '../../../src/services/ConflictHistoryService';
+import LocalTaskStore from '../../../src/services/LocalTaskStore';
+
+const mockBack = jest.fn();
+
+jest.mock('expo-router', () => ({
+  useRouter: () => ({ back: mockBack }),
+  useLocalSearchParams: () => ({ id: 'conflict-1' }),
+}));
+
+jest.mock('../../../src/services/ConflictHistoryService', () => ({
+  __esModule: true,
+  default: {
+    getConflict: jest.fn(),
+  },
+}));
+
+jest.mock('../../../src/services/LocalTaskStore', () => ({
+  __esModule: true,
+  default: {
+    resolveConflict: jest.fn(),
+  },
+}));
+
+describe('ConflictMergeScreen', () => {
+  const createRecord = (overrides = {}) => ({
+    id: 'conflict-1',
+    entity: 'task',
+    entityId: 'task-1',
+    localData: { title: 'Book flights', description: 'Window seat', timeSpent: 10 },
+    remoteData: { title: 'Book flights', description: 'Aisle seat', timeSpent: 20 },
+    resolvedData: { title: 'Book flights', description: 'Window seat', timeSpent: 30 },
+    conflictFields: ['description', 'timeSpent'],
+    fieldResolutions: { description: 'local', timeSpent: 'merged' },
+    detectedAt: new Date(),
+    status: 'unresolved',
+    strategy: 'merge',
+    resolvedAt: null,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ConflictHistoryService.getConflict.mockReturnValue(createRecord());
+    LocalTaskStore.resolveConflict.mockResolvedValue(true);
+  });
+
+  it('should show both values for each conflicting field', () => {
+    const { getByText, getByTestId, queryByTestId } = render(<ConflictMergeScreen />);
+
+    expect(getByText('Window seat')).toBeTruthy();
+    expect(getByText('Aisle seat')).toBeTruthy();
+    expect(getByTestId('choice-timeSpent-merged')).toBeTruthy();
+    expect(queryByTestId('choice-description-merged')).toBeNull();
+  });
+
+  it('should save the picked values', async () => {
+    const { getByTestId } = render(<ConflictMergeScreen />);
+
+    fireEvent.press(getByTestId('choice-description-remote'));
+    fireEvent.press(getByTestId('save-merge-button'));
+
+    await waitFor(() => {
+      expect(LocalTaskStore.resolveConflict).toHaveBeenCalledWith('conflict-1', {
+        description: 'remote',
+        timeSpent: 'merged',
+      });
+      expect(mockBack).toHaveBeenCalled();
+    });
+  });
+
+  it('should show resolved conflicts read-only', () => {
+    ConflictHistoryService.getConflict.mockReturnValue(
+      createRecord({ status: 'resolved', resolvedAt: new Date() }),
+    );
+
+    const { queryByTestId } = render(<ConflictMergeScreen />);
+
+    expect(queryByTestId('save-merge-button')).toBeNull();
+  });
+
+  it('should handle a conflict that no longer exists', () => {
+    ConflictHistoryService.getConflict.mockReturnValue(null);
+
+    const { getByText } = render(<ConflictMergeScreen />);
+
+    expect(getByText('This conflict is no longer available.')).toBeTruthy();
+  });
+});
@@ -0,0 +1,209 @@
+// ABOUTME: Screen listing sync conflicts between this device and the server
+// Shows conflicts waiting for review first, followed by the history of resolved ones
+
+import React, { useState, useEffect } from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import ConflictHistoryService from '../../src/services/ConflictHistoryService';
+import type { ConflictRecord } from '../../src/services/ConflictHistoryService';
+import { getFieldLabel } from '../../src/utils/ConflictFieldFormatter';
+
+interface Styles {
+  container: ViewStyle;
+  content: ViewStyle;
+  section: ViewStyle;
+  sectionHeader: ViewStyle;
+  sectionTitle: TextStyle;
+  sectionAction: TextStyle;
+  conflictItem: ViewStyle;
+  unresolvedItem: ViewStyle;
+  iconContainer: ViewStyle;
+  conflictContent: ViewStyle;
+  conflictTitle: TextStyle;
+  conflictFields: TextStyle;
+  conflictMeta: TextStyle;
+  emptyState: ViewStyle;
+  emptyStateTitle: TextStyle;
+  emptyStateText: TextStyle;
+}
+
+const getRecordTitle = (record: ConflictRecord): string => {
+  const data = (record.resolvedData ?? record.localData) as { title?: string } | null;
+  return data?.title ?? `${record.entity} ${record.entityId}`;
+};
+
+const ConflictListScreen = () => {
+  const router = useRouter();
+  const [records, setRecords] = useState<ConflictRecord[]>(() =>
+    ConflictHistoryService.getConflicts(),
+  );
+
+  useEffect(() => ConflictHistoryService.subscribe(setRecords), []);
+
+  const unresolved = records.filter((record) => record.status === 'unresolved');
+  const resolved = records.filter((record) => record.status === 'resolved');
+
+  const renderRecord = (record: ConflictRecord) => {
+    const isUnresolved = record.status === 'unresolved';
+    const resolvedAt = record.resolvedAt ?? record.detectedAt;
+
+    return (
+      <TouchableOpacity
+        key={record.id}
+        style={[styles.conflictItem, isUnresolved && styles.unresolvedItem]}
+        onPress={() => {
+          router.push(`/conflicts/${record.id}`);
+        }}
+        testID={`conflict-${record.id}`}
+      >
+        <View style={styles.iconContainer}>
+          <Ionicons
+            name={isUnresolved ? 'git-compare-outline' : 'checkmark-done-outline'}
+            size={22}
+            color={isUnresolved ? '#E67E22' : '#27AE60'}
+          />
+        </View>
+        <View style={styles.conflictContent}>
+          <Text style={styles.conflictTitle}>{getRecordTitle(record)}</Text>
+          <Text style={styles.conflictFields} numberOfLines={1}>
+            {record.conflictFields.map(getFieldLabel).join(', ')}
+          </Text>
+          <Text style={styles.conflictMeta}>
+            {isUnresolved
+              ? `Merged automatically ${record.detectedAt.toLocaleString()} · needs review`
+              : `${record.strategy === 'manual' ? 'Merged by you' : 'Merged automatically'} ${resolvedAt.toLocaleString()}`}
+          </Text>
+        </View>
+        <Ionicons name="chevron-forward" size={20} color="#BDC3C7" />
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {unresolved.length > 0 && (
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>Needs review ({unresolved.length})</Text>
+          </View>
+          {unresolved.map(renderRecord)}
+        </View>
+      )}
+
+      {resolved.length > 0 && (
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>History</Text>
+            <TouchableOpacity
+              onPress={() => {
+                ConflictHistoryService.clearResolved().catch(() => {});
+              }}
+              testID="clear-history-button"
+            >
+              <Text style={styles.sectionAction}>Clear</Text>
+            </TouchableOpacity>
+          </View>
+          {resolved.map(renderRecord)}
+        </View>
+      )}
+
+      {records.length === 0 && (
+        <View style={styles.emptyState}>
+          <Ionicons name="git-merge-outline" size={80} color="#BDC3C7" />
+          <Text style={styles.emptyStateTitle}>No Conflicts</Text>
+          <Text style={styles.emptyStateText}>
+            When a task is changed on two devices at once, you&apos;ll see it here.
+          </Text>
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  content: {
+    flexGrow: 1,
+    paddingBottom: 32,
+  },
+  section: {
+    marginTop: 16,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2C3E50',
+  },
+  sectionAction: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#3498DB',
+  },
+  conflictItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    marginHorizontal: 16,
+    marginVertical: 4,
+    borderRadius: 12,
+  },
+  unresolvedItem: {
+    borderWidth: 1,
+    borderColor: '#FAD7A0',
+  },
+  iconContainer: {
+    marginRight: 12,
+  },
+  conflictContent: {
+    flex: 1,
+  },
+  conflictTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2C3E50',
+  },
+  conflictFields: {
+    fontSize: 14,
+    color: '#34495E',
+    marginTop: 2,
+  },
+  conflictMeta: {
+    fontSize: 13,
+    color: '#7F8C8D',
+    marginTop: 4,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyStateTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#7F8C8D',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#95A5A6',
+    textAlign: 'center',
+  },
+});
+
+export default ConflictListScreen;
@@ -105,6 +105,8 @@ const NotificationListScreen = () => {
   const getNotificationStyle = (type: string): NotificationStyle => {
     switch (type) {
       case NOTIFICATION_TYPES.TASK_ASSIGNED:
+      case NOTIFICATION_TYPES.TASK_PROPOSED:
+      case NOTIFICATION_TYPES.TASK_ASSIGNMENT_RESPONSE:
         return { icon: 'add-circle', color: '#3498DB' };
       case NOTIFICATION_TYPES.TASK_STARTED:
         return { icon: 'play-circle', color: '#27AE60' };
@@ -115,9 +117,16 @@ const NotificationListScreen = () => {
       case NOTIFICATION_TYPES.ENCOURAGEMENT:
         return { icon: 'heart', color: '#F39C12' };
       case NOTIFICATION_TYPES.CHECK_IN:
+      case NOTIFICATION_TYPES.CHECK_IN_RESPONSE:
         return { icon: 'chatbubble-ellipses', color: '#9B59B6' };
       case NOTIFICATION_TYPES.DEADLINE_CHANGE_REQUEST:
+      case NOTIFICATION_TYPES.DEADLINE_CHANGE_RESPONSE:
         return { icon: 'time', color: '#E67E22' };
+      case NOTIFICATION_TYPES.REWARD_REDEEMED:
+      case NOTIFICATION_TYPES.REWARD_FULFILLED:
+        return { icon: 'gift', color: '#8E44AD' };
+      case NOTIFICATION_TYPES.BODY_DOUBLING_INVITE:
+        return { icon: 'people', color: '#16A085' };
       default:
         return { icon: 'notifications', color: '#3498DB' };
     }
@@ -128,6 +137,10 @@ const NotificationListScreen = () => {
     switch (notification.type) {
       case NOTIFICATION_TYPES.TASK_ASSIGNED:
         return `${data.assignedBy} assigned you "${data.taskTitle}"`;
+      case NOTIFICATION_TYPES.TASK_PROPOSED:
+        return `${data.fromUserName} proposed "${data.taskTitle}"`;
+      case NOTIFICATION_TYPES.TASK_ASSIGNMENT_RESPONSE:
+        return `${data.fromUserName} answered about "${data.taskTitle}"`;
       case NOTIFICATION_TYPES.TASK_STARTED:
         return `${data.startedBy} started "${data.taskTitle}"`;
       case NOTIFICATION_TYPES.TASK_COMPLETED:
@@ -143,8 +156,18 @@ const NotificationListScreen = () => {
         return (
           (typeof data.message === 'string' && data.message) || `${data.fromUser} is checking in`
         );
+      case NOTIFICATION_TYPES.CHECK_IN_RESPONSE:
+        return `${data.fromUserName} answered your check-in`;
       case NOTIFICATION_TYPES.DEADLINE_CHANGE_REQUEST:
         return `Deadline change requested for "${data.taskTitle}"`;
+      case NOTIFICATION_TYPES.DEADLINE_CHANGE_RESPONSE:
+        return `${data.fromUserName} answered about "${data.taskTitle}"`;
+      case NOTIFICATION_TYPES.REWARD_REDEEMED:
+        return `${data.fromUserName} redeemed "${data.rewardTitle}"`;
+      case NOTIFICATION_TYPES.REWARD_FULFILLED:
+        return `${data.fromUserName} gave you "${data.rewardTitle}"`;
+      case NOTIFICATION_TYPES.BODY_DOUBLING_INVITE:
+        return `${data.fromUserName} wants to focus together`;
       default:
         return 'New notification';
     }
@@ -177,7 +200,27 @@ const NotificationListScreen = () => {
             markAsRead(item.id).catch(() => {});
           }
           // Navigate to relevant screen based on notification type
-          if (item.data?.taskId) {
+          if (typeof item.data?.sessionId === 'string') {
+            router.push({ pathname: '/body-doubling', params: { sessionId: item.data.sessionId } });
+          } else if (
+            item.type === NOTIFICATION_TYPES.CHECK_IN ||
+            item.type === NOTIFICATION_TYPES.CHECK_IN_RESPONSE
+          ) {
+            router.push({
+              pathname: '/profile/partnership/check-ins',
+              params:
+                typeof item.data?.scheduleId === 'string'
+                  ? { scheduleId: item.data.scheduleId }
+                  : {},
+            });
+          } else if (typeof item.data?.requestId === 'string') {
+            router.push({
+              pathname: '/profile/partnership/deadline-request',
+              params: { requestId: item.data.requestId },
+            });
+          } else if (item.type === NOTIFICATION_TYPES.TASK_ASSIGNMENT_RESPONSE) {
+            router.push('/profile/partnership/dashboard');
+          } else if (item.data?.taskId) {
             // Navigate to task list
             router.push('/(tabs)');
           }
@@ -0,0 +1,74 @@
+// ABOUTME: Tests for the achievements gallery screen
+// Verifies unlocked badges show their date and locked ones show progress
+
+import React from 'react';
+import { render, waitFor } from '@testing-library/react-native';
+import AchievementsScreen from '../achievements';
+import { useUser, useTasks, useNotifications } from '../../../src/contexts';
+import AchievementService from '../../../src/services/AchievementService';
+import { getAchievementProgress } from '../../../src/utils/AchievementModel';
+
+jest.mock('../../../src/contexts', () => ({
+  useUser: jest.fn(),
+  useTasks: jest.fn(),
+  useNotifications: jest.fn(),
+}));
+
+jest.mock('../../../src/services/AchievementService', () => ({
+  __esModule: true,
+  default: {
+    getProgress: jest.fn(),
+  },
+}));
+
+describe('AchievementsScreen', () => {
+  const stats = {
+    tasksCompleted: 4,
+    bestStreak: 1,
+    totalXP: 40,
+    accurateEstimates: 0,
+    tasksBrokenDown: 0,
+    onTimeFinishes: 0,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useUser.mockReturnValue({ user: { id: 'user-1' } });
+    useTasks.mockReturnValue({ tasks: [] });
+    useNotifications.mockReturnValue({ unlockedAchievements: [] });
+    AchievementService.getProgress.mockResolvedValue({
+      success: true,
+      data: getAchievementProgress(stats, [
+        { achievementId: 'first_task', unlockedAt: new Date(2026, 2, 4) },
+      ]),
+    });
+  });
+
+  it('should show unlocked and locked achievements with progress', async () => {
+    const { getByTestId } = render(<AchievementsScreen />);
+
+    await waitFor(() => {
+      expect(getByTestId('achievements-summary')).toBeTruthy();
+    });
+    expect(AchievementService.getProgress).toHaveBeenCalledWith('user-1');
+    expect(getByTestId('achievement-unlocked-first_task')).toHaveTextContent(
+      'Unlocked Mar 4, 2026 · +20 XP',
+    );
+    expect(getByTestId('achievement-progress-tasks_10')).toHaveTextContent('4/10');
+    expect(getByTestId('achievement-progress-xp_100')).toHaveTextContent('40/100');
+  });
+
+  it('should refresh when a new achievement unlocks', async () => {
+    const { rerender, getByTestId } = render(<AchievementsScreen />);
+    await waitFor(() => {
+      expect(getByTestId('achievements-summary')).toBeTruthy();
+    });
+
+    useNotifications.mockReturnValue({ unlockedAchievements: [{ id: 'tasks_10' }] });
+    rerender(<AchievementsScreen />);
+
+    await waitFor(() => {
+      expect(AchievementService.getProgress).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+// ABOUTME: Tests for the task category screens
+// Verifies deleting asks where tasks go and that edits are saved with their defaults
+
+import React from 'react';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import { Alert } from 'react-native';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import CategoriesScreen from '../categories/index';
+import EditCategoryScreen from '../categories/edit';
+import { useCategories } from '../../../src/contexts';
+import { DEFAULT_CATEGORIES, findCategory } from '../../../src/utils/CategoryModel';
+
+jest.mock('expo-router', () => ({
+  useRouter: jest.fn(),
+  useLocalSearchParams: jest.fn(),
+}));
+
+jest.mock('../../../src/contexts', () => ({
+  useCategories: jest.fn(),
+}));
+
+describe('Category screens', () => {
+  const router = { push: jest.fn(), back: jest.fn() };
+  const deleteCategory = jest.fn(() => Promise.resolve());
+  const saveCategory = jest.fn(() => Promise.resolve());
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useRouter.mockReturnValue(router);
+    useLocalSearchParams.mockReturnValue({});
+    useCategories.mockReturnValue({
+      categories: DEFAULT_CATEGORIES,
+      loading: false,
+      getCategory: (id) => findCategory(DEFAULT_CATEGORIES, id),
+      saveCategory,
+      deleteCategory,
+    });
+  });
+
+  describe('CategoriesScreen', () => {
+    it('should move tasks to the chosen category when deleting', async () => {
+      const { getByTestId, queryByTestId } = render(<CategoriesScreen />);
+
+      fireEvent.press(getByTestId('delete-category-work'));
+      expect(queryByTestId('reassign-to-work')).toBeNull();
+      fireEvent.press(getByTestId('reassign-to-personal'));
+
+      await waitFor(() => {
+        expect(deleteCategory).toHaveBeenCalledWith('work', 'personal');
+      });
+      expect(queryByTestId('reassign-panel')).toBeNull();
+    });
+
+    it('should let tasks be left uncategorized or the delete cancelled', async () => {
+      const { getByTestId, queryByTestId } = render(<CategoriesScreen />);
+
+      fireEvent.press(getByTestId('delete-category-home'));
+      fireEvent.press(getByTestId('cancel-delete'));
+      expect(queryByTestId('reassign-panel')).toBeNull();
+      expect(deleteCategory).not.toHaveBeenCalled();
+
+      fireEvent.press(getByTestId('delete-category-home'));
+      fireEvent.press(getByTestId('reassign-to-none'));
+      await waitFor(() => {
+        expect(deleteCategory).toHaveBeenCalledWith('home', null);
+      });
+    });
+
+    it('should open the editor for a category', () => {
+      const { getByTestId } = render(<CategoriesScreen />);
+
+      fireEvent.press(getByTestId('category-row-work'));
+
+      expect(router.push).toHaveBeenCalledWith({
+        pathname: '/profile/categories/edit',
+        params: { id: 'work' },
+      });
+    });
+  });
+
+  describe('EditCategoryScreen', () => {
+    it('should save a new category with its defaults', async () => {
+      const { getByTestId } = render(<EditCategoryScreen />);
+
+      fireEvent.changeText(getByTestId('category-name-input'), 'Errands');
+      fireEvent.press(getByTestId('icon-4'));
+      fireEvent.press(getByTestId('default-time-15'));
+      fireEvent.press(getByTestId('default-priority-high'));
+      fireEvent.press(getByTestId('save-category'));
+
+      await waitFor(() => {
+        expect(router.back).toHaveBeenCalled();
+      });
+      expect(saveCategory).toHaveBeenCalledWith(
+        expect.objectContaining({
+          id: expect.stringMatching(/^category_/),
+          label: 'Errands',
+          defaultTimeEstimate: 15,
+          defaultPriority: 'high',
+          sortOrder: 3,
+        }),
+      );
+    });
+
+    it('should edit an existing category in place', async () => {
+      useLocalSearchParams.mockReturnValue({ id: 'work' });
+      const { getByTestId } = render(<EditCategoryScreen />);
+
+      fireEvent.press(getByTestId('color-#A55EEA'));
+      fireEvent.press(getByTestId('save-category'));
+
+      await waitFor(() => {
+        expect(saveCategory).toHaveBeenCalledWith(
+          expect.objectContaining({ id: 'work', label: 'Work', color: '#A55EEA' }),
+        );
+      });
+    });
+
+    it('should show why a category could not be saved', async () => {
+      jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+      saveCategory.mockRejectedValueOnce(new Error('Name is required'));
+      const { getByTestId } = render(<EditCategoryScreen />);
+
+      fireEvent.press(getByTestId('save-category'));
+
+      await waitFor(() => {
+        expect(Alert.alert).toHaveBeenCalledWith('Error', 'Name is required');
+      });
+      expect(router.back).not.toHaveBeenCalled();
+    });
+  });
+});
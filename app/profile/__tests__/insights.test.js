@@ -0,0 +1,82 @@
+// ABOUTME: Tests for the insights screen
+// Verifies the aggregates from AnalyticsService are shown and refreshed when tasks change
+
+import React from 'react';
+import { render, waitFor } from '@testing-library/react-native';
+import InsightsScreen from '../insights';
+import { useUser, useTasks, useCategories } from '../../../src/contexts';
+import AnalyticsService from '../../../src/services/AnalyticsService';
+import { DEFAULT_CATEGORIES, findCategory } from '../../../src/utils/CategoryModel';
+import { computeInsights } from '../../../src/utils/InsightsModel';
+import { createTask } from '../../../src/utils/TaskModel';
+
+jest.mock('../../../src/contexts', () => ({
+  useUser: jest.fn(),
+  useTasks: jest.fn(),
+  useCategories: jest.fn(),
+}));
+
+jest.mock('../../../src/services/AnalyticsService', () => ({
+  __esModule: true,
+  default: {
+    getInsights: jest.fn(),
+  },
+}));
+
+describe('InsightsScreen', () => {
+  const now = new Date(2026, 2, 4, 15, 0);
+  const tasks = [
+    {
+      ...createTask({ title: 'Report', category: 'work', dueDate: new Date(2026, 2, 4, 9, 0) }),
+      completed: true,
+      completedAt: new Date(2026, 2, 4, 10, 0),
+      timeSpent: 45,
+    },
+    {
+      ...createTask({ title: 'Laundry', category: 'home' }),
+      createdAt: new Date(2026, 2, 4, 12, 0),
+      startedAt: new Date(2026, 2, 4, 13, 30),
+    },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useUser.mockReturnValue({ user: { id: 'user-1' } });
+    useTasks.mockReturnValue({ tasks });
+    useCategories.mockReturnValue({
+      getCategory: (id) => findCategory(DEFAULT_CATEGORIES, id),
+    });
+    AnalyticsService.getInsights.mockResolvedValue({
+      success: true,
+      data: computeInsights(tasks, { now }),
+    });
+  });
+
+  it('should show the summary, charts and category breakdown', async () => {
+    const { getByTestId, getByText } = render(<InsightsScreen />);
+
+    await waitFor(() => {
+      expect(getByTestId('insights-summary')).toBeTruthy();
+    });
+    expect(AnalyticsService.getInsights).toHaveBeenCalledWith('user-1');
+    expect(getByTestId('time-to-start').props.children).toBe('1 hr 30 min');
+    expect(getByTestId('overdue-rate').props.children).toBe('100%');
+    expect(getByTestId('completions-by-day')).toBeTruthy();
+    expect(getByTestId('heatmap-3-2').props.accessibilityLabel).toBe('1 tasks done Wed from 8a');
+    expect(getByText('1/1 done · 1 late · ~45 min each')).toBeTruthy();
+  });
+
+  it('should recompute when the task list changes', async () => {
+    const { rerender, getByTestId } = render(<InsightsScreen />);
+    await waitFor(() => {
+      expect(getByTestId('insights-summary')).toBeTruthy();
+    });
+
+    useTasks.mockReturnValue({ tasks: [...tasks] });
+    rerender(<InsightsScreen />);
+
+    await waitFor(() => {
+      expect(AnalyticsService.getInsights).toHaveBeenCalledTimes(2);
+    });
+  });
+});
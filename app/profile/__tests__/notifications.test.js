@@ -0,0 +1,124 @@
+// ABOUTME: Tests for the notification settings screen
+// Verifies preference changes are saved on the user and quiet hours on the partnership
+
+import React from 'react';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import NotificationSettingsScreen from '../notifications';
+import { useUser } from '../../../src/contexts';
+import PartnershipService from '../../../src/services/PartnershipService';
+import { NotificationPreference } from '../../../src/types/user.types';
+
+let mockPickerOnChange;
+
+jest.mock('@react-native-community/datetimepicker', () => {
+  const { View } = require('react-native');
+  const MockDateTimePicker = (props) => {
+    mockPickerOnChange = props.onChange;
+    return <View testID="time-picker" />;
+  };
+  return MockDateTimePicker;
+});
+
+jest.mock('../../../src/contexts', () => ({
+  useUser: jest.fn(),
+}));
+
+jest.mock('../../../src/services/PartnershipService', () => ({
+  __esModule: true,
+  default: {
+    getActivePartnership: jest.fn(),
+    updatePartnership: jest.fn(),
+  },
+}));
+
+describe('NotificationSettingsScreen', () => {
+  const setUser = jest.fn(() => Promise.resolve());
+  const setPartnership = jest.fn(() => Promise.resolve());
+  const user = {
+    id: 'user-1',
+    notificationPreferences: {
+      global: NotificationPreference.ALL,
+      taskAssigned: true,
+      taskStarted: true,
+      taskCompleted: true,
+      taskOverdue: true,
+      encouragement: true,
+      checkIn: true,
+    },
+  };
+  const partnership = {
+    id: 'partnership-1',
+    settings: { quietHoursStart: null, quietHoursEnd: null },
+  };
+
+  const renderScreen = (activePartnership = partnership) => {
+    PartnershipService.getActivePartnership.mockResolvedValue({
+      success: true,
+      data: activePartnership,
+    });
+    useUser.mockReturnValue({ user, setUser, setPartnership });
+    return render(<NotificationSettingsScreen />);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PartnershipService.updatePartnership.mockResolvedValue({ success: true, data: true });
+  });
+
+  it('should save the global preference and per-type toggles on the user', async () => {
+    const { getByTestId } = renderScreen();
+    await waitFor(() => {
+      expect(getByTestId('quiet-hours-toggle')).toBeTruthy();
+    });
+
+    fireEvent.press(getByTestId('preference-important_only'));
+    expect(setUser).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        notificationPreferences: expect.objectContaining({
+          global: NotificationPreference.IMPORTANT_ONLY,
+        }),
+      }),
+    );
+
+    fireEvent(getByTestId('toggle-encouragement'), 'valueChange', false);
+    expect(setUser).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        notificationPreferences: expect.objectContaining({ encouragement: false }),
+      }),
+    );
+  });
+
+  it('should turn quiet hours on and let the times be changed', async () => {
+    const { getByTestId, findByText } = renderScreen();
+    await waitFor(() => {
+      expect(getByTestId('quiet-hours-toggle')).toBeTruthy();
+    });
+
+    fireEvent(getByTestId('quiet-hours-toggle'), 'valueChange', true);
+    expect(PartnershipService.updatePartnership).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        settings: { quietHoursStart: '22:00', quietHoursEnd: '08:00' },
+      }),
+    );
+    expect(await findByText('22:00')).toBeTruthy();
+
+    fireEvent.press(getByTestId('quiet-hours-end'));
+    mockPickerOnChange({ type: 'set' }, new Date(2026, 2, 2, 7, 30));
+
+    await waitFor(() => {
+      expect(PartnershipService.updatePartnership).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          settings: { quietHoursStart: '22:00', quietHoursEnd: '07:30' },
+        }),
+      );
+    });
+    expect(setPartnership).toHaveBeenCalled();
+  });
+
+  it('should explain that quiet hours need a partner', async () => {
+    const { findByText, queryByTestId } = renderScreen(null);
+
+    expect(await findByText('Connect with a partner to set quiet hours.')).toBeTruthy();
+    expect(queryByTestId('quiet-hours-toggle')).toBeNull();
+  });
+});
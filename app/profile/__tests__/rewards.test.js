@@ -0,0 +1,85 @@
+// ABOUTME: Tests for the rewards screen listing cosmetic rewards unlocked by levelling up
+// Verifies locked, unlocked and in-use rewards and equipping an unlocked one
+
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import RewardsScreen from '../rewards';
+import LevelService from '../../../src/services/LevelService';
+import {
+  getLevelProgress,
+  getRewardStatuses,
+  resolveEquipped,
+} from '../../../src/utils/LevelModel';
+
+jest.mock('../../../src/services/LevelService', () => ({
+  __esModule: true,
+  default: {
+    getSnapshot: jest.fn(),
+    subscribe: jest.fn(),
+    equipReward: jest.fn(),
+  },
+}));
+
+describe('RewardsScreen', () => {
+  const unlockedAt = new Date(2026, 2, 4);
+  const unlocks = ['theme_classic', 'theme_forest', 'celebration_sparkles', 'timer_classic'].map(
+    (rewardId) => ({ rewardId, level: 3, unlockedAt }),
+  );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const equipped = resolveEquipped(
+      { theme: 'theme_forest' },
+      unlocks.map(({ rewardId }) => rewardId),
+    );
+    const snapshot = {
+      progress: getLevelProgress(250),
+      rewards: getRewardStatuses(unlocks, equipped),
+      equipped,
+      levelUp: null,
+    };
+    LevelService.getSnapshot.mockReturnValue(snapshot);
+    LevelService.subscribe.mockImplementation((listener) => {
+      listener(snapshot);
+      return jest.fn();
+    });
+    LevelService.equipReward.mockResolvedValue({ success: true });
+  });
+
+  it('should show the level and each reward status', () => {
+    const { getByTestId, queryByTestId } = render(<RewardsScreen />);
+
+    expect(getByTestId('rewards-summary')).toHaveTextContent('Level 34 / 13 rewards unlocked');
+    expect(getByTestId('reward-equipped-theme_forest')).toHaveTextContent('In use');
+    expect(getByTestId('equip-theme_classic')).toBeTruthy();
+    expect(getByTestId('reward-locked-theme_sunset')).toHaveTextContent('🔒 Level 10');
+    expect(queryByTestId('equip-theme_sunset')).toBeNull();
+  });
+
+  it('should equip an unlocked reward', async () => {
+    const { getByTestId } = render(<RewardsScreen />);
+
+    fireEvent.press(getByTestId('equip-theme_classic'));
+
+    await waitFor(() => {
+      expect(LevelService.equipReward).toHaveBeenCalledWith('theme_classic');
+    });
+  });
+
+  it('should explain when a reward cannot be equipped', async () => {
+    const alertSpy = jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    LevelService.equipReward.mockResolvedValue({
+      success: false,
+      error: { code: 'LEVEL_EQUIPREWARD', message: 'Not signed in' },
+    });
+    const { getByTestId } = render(<RewardsScreen />);
+
+    fireEvent.press(getByTestId('equip-theme_classic'));
+
+    await waitFor(() => {
+      expect(alertSpy).toHaveBeenCalledWith('Error', 'Not signed in');
+    });
+    alertSpy.mockRestore();
+  });
+});
@@ -7,6 +7,12 @@ export default function ProfileLayout() {
   return (
     <Stack>
       <Stack.Screen name="index" options={{ title: 'Profile' }} />
+      <Stack.Screen name="notifications" options={{ title: 'Notification Settings' }} />
+      <Stack.Screen name="insights" options={{ title: 'Insights' }} />
+      <Stack.Screen name="achievements" options={{ title: 'Achievements' }} />
+      <Stack.Screen name="rewards" options={{ title: 'Rewards' }} />
+      <Stack.Screen name="categories/index" options={{ title: 'Task Categories' }} />
+      <Stack.Screen name="categories/edit" options={{ title: 'Edit Category' }} />
       <Stack.Screen name="partnership/index" options={{ title: 'Partnership' }} />
       <Stack.Screen
         name="partnership/invite"
@@ -16,6 +22,9 @@ export default function ProfileLayout() {
         }}
       />
       <Stack.Screen name="partnership/dashboard" options={{ title: 'Partner Dashboard' }} />
+      <Stack.Screen name="partnership/rewards" options={{ title: 'Rewards Store' }} />
+      <Stack.Screen name="partnership/check-ins" options={{ title: 'Check-Ins' }} />
+      <Stack.Screen name="partnership/deadline-request" options={{ title: 'Deadline Change' }} />
     </Stack>
   );
 }
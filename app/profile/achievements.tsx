@@ -0,0 +1,219 @@
+// ABOUTME: Achievements gallery listing every badge, unlocked or not
+// Unlocked badges show when they were earned; locked ones show progress towards unlocking
+
+import React, { useState, useEffect } from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import { View, Text, StyleSheet, ScrollView } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useUser, useTasks, useNotifications } from '../../src/contexts';
+import AchievementService from '../../src/services/AchievementService';
+import type { AchievementProgress } from '../../src/types/achievement.types';
+
+const formatUnlockDate = (date: Date): string => {
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+const AchievementsScreen = () => {
+  const { user: currentUser } = useUser();
+  const { tasks } = useTasks();
+  const { unlockedAchievements } = useNotifications();
+  const [progress, setProgress] = useState<AchievementProgress[] | null>(null);
+
+  // Refreshed as tasks change and as new achievements unlock
+  useEffect(() => {
+    if (!currentUser) return;
+
+    AchievementService.getProgress(currentUser.id)
+      .then((result) => {
+        if (result.success && result.data) {
+          setProgress(result.data);
+        }
+      })
+      .catch(() => {
+        setProgress(null);
+      });
+  }, [currentUser, tasks, unlockedAchievements]);
+
+  if (!currentUser || !progress) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.centered}>
+          <Text style={styles.hint}>
+            {currentUser ? 'Loading achievements…' : 'No user data available'}
+          </Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  const unlockedCount = progress.filter((entry) => entry.unlockedAt).length;
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      <ScrollView showsVerticalScrollIndicator={false}>
+        <View style={styles.summary} testID="achievements-summary">
+          <Text style={styles.summaryValue}>
+            {unlockedCount} / {progress.length}
+          </Text>
+          <Text style={styles.summaryLabel}>Achievements unlocked</Text>
+        </View>
+
+        <View style={styles.section}>
+          {progress.map(({ achievement, current, fraction, unlockedAt }) => (
+            <View
+              key={achievement.id}
+              style={styles.badgeRow}
+              testID={`achievement-${achievement.id}`}
+              accessibilityLabel={`${achievement.title}, ${unlockedAt ? 'unlocked' : 'locked'}`}
+            >
+              <Text style={[styles.badgeIcon, !unlockedAt && styles.lockedIcon]}>
+                {achievement.icon}
+              </Text>
+              <View style={styles.badgeText}>
+                <Text style={[styles.badgeTitle, !unlockedAt && styles.lockedTitle]}>
+                  {achievement.title}
+                </Text>
+                <Text style={styles.badgeDescription}>{achievement.description}</Text>
+                {unlockedAt ? (
+                  <Text style={styles.unlockedAt} testID={`achievement-unlocked-${achievement.id}`}>
+                    Unlocked {formatUnlockDate(unlockedAt)} · +{achievement.xp} XP
+                  </Text>
+                ) : (
+                  <View style={styles.progressRow}>
+                    <View style={styles.progressTrack}>
+                      <View style={[styles.progressFill, { width: `${fraction * 100}%` }]} />
+                    </View>
+                    <Text
+                      style={styles.progressLabel}
+                      testID={`achievement-progress-${achievement.id}`}
+                    >
+                      {current}/{achievement.target}
+                    </Text>
+                  </View>
+                )}
+              </View>
+            </View>
+          ))}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+interface Styles {
+  container: ViewStyle;
+  centered: ViewStyle;
+  summary: ViewStyle;
+  summaryValue: TextStyle;
+  summaryLabel: TextStyle;
+  section: ViewStyle;
+  badgeRow: ViewStyle;
+  badgeIcon: TextStyle;
+  lockedIcon: TextStyle;
+  badgeText: ViewStyle;
+  badgeTitle: TextStyle;
+  lockedTitle: TextStyle;
+  badgeDescription: TextStyle;
+  unlockedAt: TextStyle;
+  progressRow: ViewStyle;
+  progressTrack: ViewStyle;
+  progressFill: ViewStyle;
+  progressLabel: TextStyle;
+  hint: TextStyle;
+}
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  summary: {
+    backgroundColor: '#fff',
+    alignItems: 'center',
+    marginTop: 16,
+    paddingVertical: 16,
+  },
+  summaryValue: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#3498DB',
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginTop: 4,
+  },
+  section: {
+    backgroundColor: '#fff',
+    marginTop: 16,
+    paddingVertical: 8,
+  },
+  badgeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  badgeIcon: {
+    fontSize: 32,
+    marginRight: 16,
+  },
+  lockedIcon: {
+    opacity: 0.3,
+  },
+  badgeText: {
+    flex: 1,
+  },
+  badgeTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  lockedTitle: {
+    color: '#7F8C8D',
+  },
+  badgeDescription: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    marginTop: 2,
+  },
+  unlockedAt: {
+    fontSize: 12,
+    color: '#27AE60',
+    marginTop: 4,
+  },
+  progressRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  progressTrack: {
+    flex: 1,
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#ECF0F1',
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: 6,
+    backgroundColor: '#3498DB',
+  },
+  progressLabel: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginLeft: 8,
+  },
+  hint: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+  },
+});
+
+export default AchievementsScreen;
@@ -0,0 +1,367 @@
+// ABOUTME: Screen for creating or editing a task category
+// Picks the name, color, icon and the time estimate and priority new tasks in it start with
+
+import React, { useState } from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+} from 'react-native';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import { useCategories } from '../../../src/contexts';
+import {
+  CATEGORY_COLORS,
+  CATEGORY_ICONS,
+  TIME_PRESETS,
+  TASK_PRIORITY,
+} from '../../../src/constants/TaskConstants';
+import type { TaskCategory, TaskPriority } from '../../../src/types/task.types';
+import { createCategory, MAX_CATEGORY_LABEL_LENGTH } from '../../../src/utils/CategoryModel';
+
+const PRIORITY_OPTIONS: Array<{ value: TaskPriority; label: string }> = [
+  { value: TASK_PRIORITY.LOW, label: 'Low' },
+  { value: TASK_PRIORITY.MEDIUM, label: 'Medium' },
+  { value: TASK_PRIORITY.HIGH, label: 'High' },
+  { value: TASK_PRIORITY.URGENT, label: 'Urgent' },
+];
+
+const EditCategoryScreen = () => {
+  const router = useRouter();
+  const { id } = useLocalSearchParams<{ id?: string }>();
+  const { categories, getCategory, saveCategory } = useCategories();
+
+  // New categories go after the existing ones
+  const [category, setCategory] = useState<TaskCategory>(
+    () =>
+      getCategory(id) ??
+      createCategory({
+        sortOrder:
+          categories.reduce((max, existing) => Math.max(max, existing.sortOrder ?? 0), -1) + 1,
+      }),
+  );
+  const [saving, setSaving] = useState<boolean>(false);
+
+  const update = (changes: Partial<TaskCategory>): void => {
+    setCategory((prev) => ({ ...prev, ...changes }));
+  };
+
+  const handleSave = async (): Promise<void> => {
+    setSaving(true);
+    try {
+      await saveCategory({ ...category, label: category.label.trim() });
+      router.back();
+    } catch (error) {
+      Alert.alert('Error', (error as Error).message || 'Failed to save category');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+        <View style={styles.preview}>
+          <View style={[styles.previewBadge, { backgroundColor: category.color }]}>
+            <Text style={styles.previewIcon}>{category.icon}</Text>
+          </View>
+          <Text style={styles.previewLabel}>{category.label.trim() || 'New category'}</Text>
+        </View>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Name</Text>
+          <TextInput
+            testID="category-name-input"
+            style={styles.input}
+            value={category.label}
+            onChangeText={(label) => {
+              update({ label });
+            }}
+            placeholder="e.g. Errands"
+            placeholderTextColor="#BDC3C7"
+            maxLength={MAX_CATEGORY_LABEL_LENGTH}
+          />
+        </View>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Color</Text>
+          <View style={styles.optionGrid}>
+            {CATEGORY_COLORS.map((color) => (
+              <TouchableOpacity
+                key={color}
+                testID={`color-${color}`}
+                style={[
+                  styles.colorSwatch,
+                  { backgroundColor: color },
+                  category.color === color && styles.selectedSwatch,
+                ]}
+                onPress={() => {
+                  update({ color });
+                }}
+                accessibilityRole="radio"
+                accessibilityState={{ selected: category.color === color }}
+              />
+            ))}
+          </View>
+        </View>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Icon</Text>
+          <View style={styles.optionGrid}>
+            {CATEGORY_ICONS.map((icon, index) => (
+              <TouchableOpacity
+                key={icon}
+                testID={`icon-${index}`}
+                style={[styles.iconOption, category.icon === icon && styles.selectedOption]}
+                onPress={() => {
+                  update({ icon });
+                }}
+                accessibilityRole="radio"
+                accessibilityState={{ selected: category.icon === icon }}
+              >
+                <Text style={styles.iconText}>{icon}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Default time estimate</Text>
+          <View style={styles.optionGrid}>
+            <TouchableOpacity
+              testID="default-time-none"
+              style={[styles.chip, !category.defaultTimeEstimate && styles.selectedChip]}
+              onPress={() => {
+                update({ defaultTimeEstimate: null });
+              }}
+            >
+              <Text
+                style={[styles.chipText, !category.defaultTimeEstimate && styles.selectedChipText]}
+              >
+                None
+              </Text>
+            </TouchableOpacity>
+            {TIME_PRESETS.filter((preset) => preset.minutes !== null).map((preset) => {
+              const selected = category.defaultTimeEstimate === preset.minutes;
+              return (
+                <TouchableOpacity
+                  key={preset.label}
+                  testID={`default-time-${preset.minutes}`}
+                  style={[styles.chip, selected && styles.selectedChip]}
+                  onPress={() => {
+                    update({ defaultTimeEstimate: preset.minutes });
+                  }}
+                >
+                  <Text style={[styles.chipText, selected && styles.selectedChipText]}>
+                    {preset.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Default priority</Text>
+          <View style={styles.optionGrid}>
+            <TouchableOpacity
+              testID="default-priority-none"
+              style={[styles.chip, !category.defaultPriority && styles.selectedChip]}
+              onPress={() => {
+                update({ defaultPriority: null });
+              }}
+            >
+              <Text style={[styles.chipText, !category.defaultPriority && styles.selectedChipText]}>
+                None
+              </Text>
+            </TouchableOpacity>
+            {PRIORITY_OPTIONS.map((option) => {
+              const selected = category.defaultPriority === option.value;
+              return (
+                <TouchableOpacity
+                  key={option.value}
+                  testID={`default-priority-${option.value}`}
+                  style={[styles.chip, selected && styles.selectedChip]}
+                  onPress={() => {
+                    update({ defaultPriority: option.value });
+                  }}
+                >
+                  <Text style={[styles.chipText, selected && styles.selectedChipText]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <Text style={styles.hint}>New tasks in this category start with these values.</Text>
+        </View>
+
+        <TouchableOpacity
+          testID="save-category"
+          style={[styles.saveButton, saving && styles.saveButtonDisabled]}
+          onPress={() => {
+            void handleSave();
+          }}
+          disabled={saving}
+        >
+          <Text style={styles.saveButtonText}>{saving ? 'Saving...' : 'Save Category'}</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+interface Styles {
+  container: ViewStyle;
+  preview: ViewStyle;
+  previewBadge: ViewStyle;
+  previewIcon: TextStyle;
+  previewLabel: TextStyle;
+  inputGroup: ViewStyle;
+  label: TextStyle;
+  input: TextStyle;
+  optionGrid: ViewStyle;
+  colorSwatch: ViewStyle;
+  selectedSwatch: ViewStyle;
+  iconOption: ViewStyle;
+  selectedOption: ViewStyle;
+  iconText: TextStyle;
+  chip: ViewStyle;
+  selectedChip: ViewStyle;
+  chipText: TextStyle;
+  selectedChipText: TextStyle;
+  hint: TextStyle;
+  saveButton: ViewStyle;
+  saveButtonDisabled: ViewStyle;
+  saveButtonText: TextStyle;
+}
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  preview: {
+    alignItems: 'center',
+    paddingVertical: 24,
+  },
+  previewBadge: {
+    width: 64,
+    height: 64,
+    borderRadius: 32,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  previewIcon: {
+    fontSize: 32,
+  },
+  previewLabel: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#2C3E50',
+  },
+  inputGroup: {
+    paddingHorizontal: 20,
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2C3E50',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: '#333',
+  },
+  optionGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 10,
+  },
+  colorSwatch: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    borderWidth: 3,
+    borderColor: 'transparent',
+  },
+  selectedSwatch: {
+    borderColor: '#2C3E50',
+  },
+  iconOption: {
+    width: 44,
+    height: 44,
+    borderRadius: 8,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  selectedOption: {
+    borderColor: '#3498DB',
+    borderWidth: 2,
+  },
+  iconText: {
+    fontSize: 22,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  selectedChip: {
+    backgroundColor: '#3498DB',
+    borderColor: '#3498DB',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#2C3E50',
+  },
+  selectedChipText: {
+    color: '#fff',
+  },
+  hint: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    marginTop: 8,
+  },
+  saveButton: {
+    backgroundColor: '#3498DB',
+    borderRadius: 8,
+    marginHorizontal: 20,
+    marginBottom: 32,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  saveButtonDisabled: {
+    opacity: 0.6,
+  },
+  saveButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default EditCategoryScreen;
@@ -0,0 +1,292 @@
+// ABOUTME: Task categories screen listing the user's categories with their defaults
+// Adds and edits categories, and deletes them after choosing where their tasks should go
+
+import React, { useState } from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import { useCategories } from '../../../src/contexts';
+import type { TaskCategory } from '../../../src/types/task.types';
+
+const PRIORITY_LABELS: Record<string, string> = {
+  low: 'Low',
+  medium: 'Medium',
+  high: 'High',
+  urgent: 'Urgent',
+};
+
+const describeDefaults = (category: TaskCategory): string | null => {
+  const parts: string[] = [];
+  if (category.defaultTimeEstimate) {
+    parts.push(`${category.defaultTimeEstimate} min`);
+  }
+  if (category.defaultPriority) {
+    parts.push(`${PRIORITY_LABELS[category.defaultPriority]} priority`);
+  }
+  return parts.length > 0 ? parts.join(' · ') : null;
+};
+
+const CategoriesScreen = () => {
+  const router = useRouter();
+  const { categories, loading, deleteCategory } = useCategories();
+  const [deletingId, setDeletingId] = useState<string | null>(null);
+  const [busy, setBusy] = useState<boolean>(false);
+
+  const deletingCategory = categories.find((category) => category.id === deletingId) ?? null;
+
+  const handleDelete = async (reassignTo: string | null): Promise<void> => {
+    if (!deletingCategory) return;
+
+    setBusy(true);
+    try {
+      await deleteCategory(deletingCategory.id, reassignTo);
+      setDeletingId(null);
+    } catch (error) {
+      Alert.alert('Error', (error as Error).message || 'Failed to delete category');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color="#3498DB" />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      <ScrollView showsVerticalScrollIndicator={false}>
+        <View style={styles.section}>
+          {categories.length === 0 && <Text style={styles.hint}>No categories yet.</Text>}
+          {categories.map((category) => {
+            const defaults = describeDefaults(category);
+            return (
+              <View key={category.id} style={styles.row}>
+                <TouchableOpacity
+                  testID={`category-row-${category.id}`}
+                  style={styles.rowMain}
+                  onPress={() => {
+                    router.push({
+                      pathname: '/profile/categories/edit',
+                      params: { id: category.id },
+                    });
+                  }}
+                  disabled={busy}
+                >
+                  <View style={[styles.iconBadge, { backgroundColor: category.color }]}>
+                    <Text style={styles.icon}>{category.icon}</Text>
+                  </View>
+                  <View style={styles.rowText}>
+                    <Text style={styles.label}>{category.label}</Text>
+                    {defaults && <Text style={styles.defaults}>{defaults}</Text>}
+                  </View>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  testID={`delete-category-${category.id}`}
+                  style={styles.deleteButton}
+                  onPress={() => {
+                    setDeletingId(category.id);
+                  }}
+                  disabled={busy}
+                  accessibilityLabel={`Delete ${category.label}`}
+                >
+                  <Ionicons name="trash-outline" size={20} color="#E74C3C" />
+                </TouchableOpacity>
+              </View>
+            );
+          })}
+        </View>
+
+        {deletingCategory && (
+          <View style={styles.section} testID="reassign-panel">
+            <Text style={styles.sectionTitle}>Delete {deletingCategory.label}</Text>
+            <Text style={styles.hint}>Move its tasks to:</Text>
+            {categories
+              .filter((category) => category.id !== deletingCategory.id)
+              .map((category) => (
+                <TouchableOpacity
+                  key={category.id}
+                  testID={`reassign-to-${category.id}`}
+                  style={styles.choice}
+                  onPress={() => {
+                    void handleDelete(category.id);
+                  }}
+                  disabled={busy}
+                >
+                  <Text style={styles.choiceText}>
+                    {category.icon} {category.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            <TouchableOpacity
+              testID="reassign-to-none"
+              style={styles.choice}
+              onPress={() => {
+                void handleDelete(null);
+              }}
+              disabled={busy}
+            >
+              <Text style={styles.choiceText}>No category</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              testID="cancel-delete"
+              style={styles.choice}
+              onPress={() => {
+                setDeletingId(null);
+              }}
+              disabled={busy}
+            >
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        <TouchableOpacity
+          testID="add-category"
+          style={styles.addButton}
+          onPress={() => {
+            router.push('/profile/categories/edit');
+          }}
+          disabled={busy}
+        >
+          <Ionicons name="add" size={20} color="#fff" />
+          <Text style={styles.addButtonText}>Add Category</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+interface Styles {
+  container: ViewStyle;
+  centered: ViewStyle;
+  section: ViewStyle;
+  sectionTitle: TextStyle;
+  row: ViewStyle;
+  rowMain: ViewStyle;
+  iconBadge: ViewStyle;
+  icon: TextStyle;
+  rowText: ViewStyle;
+  label: TextStyle;
+  defaults: TextStyle;
+  deleteButton: ViewStyle;
+  choice: ViewStyle;
+  choiceText: TextStyle;
+  cancelText: TextStyle;
+  addButton: ViewStyle;
+  addButtonText: TextStyle;
+  hint: TextStyle;
+}
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  section: {
+    backgroundColor: '#fff',
+    marginTop: 16,
+    paddingVertical: 8,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#7F8C8D',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+  },
+  rowMain: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  iconBadge: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  icon: {
+    fontSize: 20,
+  },
+  rowText: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 16,
+    color: '#333',
+  },
+  defaults: {
+    fontSize: 13,
+    color: '#7F8C8D',
+    marginTop: 2,
+  },
+  deleteButton: {
+    padding: 8,
+  },
+  choice: {
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  choiceText: {
+    fontSize: 16,
+    color: '#3498DB',
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#7F8C8D',
+  },
+  addButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#3498DB',
+    borderRadius: 8,
+    margin: 20,
+    paddingVertical: 14,
+  },
+  addButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  hint: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+  },
+});
+
+export default CategoriesScreen;
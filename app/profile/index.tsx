@@ -144,7 +144,15 @@ const ProfileScreen = () => {
             icon="notifications-outline"
             label="Notification Settings"
             onPress={() => {
-              Alert.alert('Coming Soon', 'Notification settings coming soon!');
+              router.push('/profile/notifications');
+            }}
+            disabled={loading}
+          />
+          <MenuItem
+            icon="pricetags-outline"
+            label="Task Categories"
+            onPress={() => {
+              router.push('/profile/categories');
             }}
             disabled={loading}
           />
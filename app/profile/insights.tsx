@@ -0,0 +1,329 @@
+// ABOUTME: Insights screen showing when and how the user gets tasks done
+// Charts completions by day and week, a time-of-day heatmap, categories, time-to-start and missed deadlines
+
+import React, { useState, useEffect } from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import { View, Text, StyleSheet, ScrollView } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useUser, useTasks, useCategories } from '../../src/contexts';
+import AnalyticsService from '../../src/services/AnalyticsService';
+import type { CompletionCount, ProductivityInsights } from '../../src/utils/InsightsModel';
+import { HEATMAP_BLOCK_HOURS, HEATMAP_BLOCKS } from '../../src/utils/InsightsModel';
+import { formatTimeEstimate } from '../../src/utils/QuickCaptureParser';
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const BAR_HEIGHT = 80;
+
+const formatBlockLabel = (block: number): string => {
+  const hour = block * HEATMAP_BLOCK_HOURS;
+  const suffix = hour < 12 ? 'a' : 'p';
+  return `${hour % 12 || 12}${suffix}`;
+};
+
+const BLOCK_LABELS = Array.from({ length: HEATMAP_BLOCKS }, (_, block) => formatBlockLabel(block));
+
+// Time-to-start can run to days, which reads better than hundreds of hours
+const formatWaitTime = (minutes: number): string => {
+  if (minutes < 48 * 60) return formatTimeEstimate(minutes);
+  return `${Math.round(minutes / (24 * 60))} days`;
+};
+
+interface BarChartProps {
+  testID: string;
+  counts: CompletionCount[];
+  getLabel: (start: Date) => string;
+}
+
+const BarChart = ({ testID, counts, getLabel }: BarChartProps) => {
+  const max = Math.max(1, ...counts.map((entry) => entry.count));
+  return (
+    <View style={styles.chart} testID={testID}>
+      {counts.map((entry) => (
+        <View key={entry.start.getTime()} style={styles.barColumn}>
+          <Text style={styles.barValue}>{entry.count}</Text>
+          <View style={[styles.bar, { height: Math.max(2, (entry.count / max) * BAR_HEIGHT) }]} />
+          <Text style={styles.barLabel}>{getLabel(entry.start)}</Text>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const InsightsScreen = () => {
+  const { user: currentUser } = useUser();
+  const { tasks } = useTasks();
+  const { getCategory } = useCategories();
+  const [insights, setInsights] = useState<ProductivityInsights | null>(null);
+
+  // Recomputed whenever the local task list changes
+  useEffect(() => {
+    if (!currentUser) return;
+
+    AnalyticsService.getInsights(currentUser.id)
+      .then((result) => {
+        if (result.success && result.data) {
+          setInsights(result.data);
+        }
+      })
+      .catch(() => {
+        setInsights(null);
+      });
+  }, [currentUser, tasks]);
+
+  if (!currentUser || !insights) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.centered}>
+          <Text style={styles.hint}>
+            {currentUser ? 'Loading insights…' : 'No user data available'}
+          </Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  const heatmapMax = Math.max(1, ...insights.heatmap.flat());
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      <ScrollView showsVerticalScrollIndicator={false}>
+        <View style={[styles.section, styles.statsRow]} testID="insights-summary">
+          <View style={styles.statItem}>
+            <Text style={styles.statValue}>{insights.completed}</Text>
+            <Text style={styles.statLabel}>Done</Text>
+          </View>
+          <View style={styles.statItem}>
+            <Text style={styles.statValue}>{insights.open}</Text>
+            <Text style={styles.statLabel}>Open</Text>
+          </View>
+          <View style={styles.statItem}>
+            <Text style={styles.statValue} testID="time-to-start">
+              {insights.averageTimeToStart === null
+                ? '—'
+                : formatWaitTime(insights.averageTimeToStart)}
+            </Text>
+            <Text style={styles.statLabel}>To get started</Text>
+          </View>
+          <View style={styles.statItem}>
+            <Text style={styles.statValue} testID="overdue-rate">
+              {insights.overdueRate === null ? '—' : `${Math.round(insights.overdueRate * 100)}%`}
+            </Text>
+            <Text style={styles.statLabel}>Deadlines missed</Text>
+          </View>
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Last 7 days</Text>
+          <BarChart
+            testID="completions-by-day"
+            counts={insights.completionsByDay}
+            getLabel={(start) => DAY_LABELS[start.getDay()]}
+          />
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>By week</Text>
+          <BarChart
+            testID="completions-by-week"
+            counts={insights.completionsByWeek}
+            getLabel={(start) => `${start.getMonth() + 1}/${start.getDate()}`}
+          />
+        </View>
+
+        <View style={styles.section} testID="completion-heatmap">
+          <Text style={styles.sectionTitle}>When you get things done</Text>
+          <View style={styles.heatmapRow}>
+            <Text style={styles.heatmapDay} />
+            {BLOCK_LABELS.map((label) => (
+              <Text key={label} style={styles.heatmapHeader}>
+                {label}
+              </Text>
+            ))}
+          </View>
+          {insights.heatmap.map((blocks, day) => (
+            <View key={DAY_LABELS[day]} style={styles.heatmapRow}>
+              <Text style={styles.heatmapDay}>{DAY_LABELS[day]}</Text>
+              {BLOCK_LABELS.map((label, block) => (
+                <View
+                  key={label}
+                  testID={`heatmap-${day}-${block}`}
+                  style={[
+                    styles.heatmapCell,
+                    { opacity: 0.1 + (0.9 * blocks[block]) / heatmapMax },
+                  ]}
+                  accessibilityLabel={`${blocks[block]} tasks done ${DAY_LABELS[day]} from ${label}`}
+                />
+              ))}
+            </View>
+          ))}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>By category</Text>
+          {insights.byCategory.length === 0 && <Text style={styles.hint}>No tasks yet.</Text>}
+          {insights.byCategory.map((entry) => {
+            const category = getCategory(entry.category);
+            const details = [`${entry.completed}/${entry.total} done`];
+            if (entry.overdue > 0) details.push(`${entry.overdue} late`);
+            if (entry.averageTimeSpent !== null) {
+              details.push(`~${formatTimeEstimate(entry.averageTimeSpent)} each`);
+            }
+
+            return (
+              <View
+                key={entry.category ?? 'none'}
+                style={styles.categoryRow}
+                testID={`category-insight-${entry.category ?? 'none'}`}
+              >
+                <Text style={styles.categoryLabel}>
+                  {category ? `${category.icon} ${category.label}` : 'No category'}
+                </Text>
+                <Text style={styles.categoryDetails}>{details.join(' · ')}</Text>
+              </View>
+            );
+          })}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+interface Styles {
+  container: ViewStyle;
+  centered: ViewStyle;
+  section: ViewStyle;
+  sectionTitle: TextStyle;
+  statsRow: ViewStyle;
+  statItem: ViewStyle;
+  statValue: TextStyle;
+  statLabel: TextStyle;
+  chart: ViewStyle;
+  barColumn: ViewStyle;
+  bar: ViewStyle;
+  barValue: TextStyle;
+  barLabel: TextStyle;
+  heatmapRow: ViewStyle;
+  heatmapDay: TextStyle;
+  heatmapHeader: TextStyle;
+  heatmapCell: ViewStyle;
+  categoryRow: ViewStyle;
+  categoryLabel: TextStyle;
+  categoryDetails: TextStyle;
+  hint: TextStyle;
+}
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  section: {
+    backgroundColor: '#fff',
+    marginTop: 16,
+    paddingVertical: 8,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#7F8C8D',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingVertical: 16,
+  },
+  statItem: {
+    alignItems: 'center',
+    flex: 1,
+  },
+  statValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#3498DB',
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginTop: 4,
+    textAlign: 'center',
+  },
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+  },
+  barColumn: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  bar: {
+    width: 16,
+    borderRadius: 4,
+    backgroundColor: '#3498DB',
+  },
+  barValue: {
+    fontSize: 12,
+    color: '#333',
+    marginBottom: 4,
+  },
+  barLabel: {
+    fontSize: 11,
+    color: '#7F8C8D',
+    marginTop: 4,
+  },
+  heatmapRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    marginBottom: 4,
+  },
+  heatmapDay: {
+    width: 40,
+    fontSize: 12,
+    color: '#7F8C8D',
+  },
+  heatmapHeader: {
+    flex: 1,
+    fontSize: 11,
+    color: '#7F8C8D',
+    textAlign: 'center',
+  },
+  heatmapCell: {
+    flex: 1,
+    height: 24,
+    marginHorizontal: 2,
+    borderRadius: 4,
+    backgroundColor: '#27AE60',
+  },
+  categoryRow: {
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  categoryLabel: {
+    fontSize: 16,
+    color: '#333',
+  },
+  categoryDetails: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    marginTop: 4,
+  },
+  hint: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+  },
+});
+
+export default InsightsScreen;
@@ -0,0 +1,319 @@
+// ABOUTME: Notification settings screen for choosing what partner notifications reach you and when
+// Edits the user's notification preferences and the partnership quiet hours, saving each change
+
+import React, { useState, useEffect } from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Switch, Alert } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import type { DateTimePickerEvent } from '@react-native-community/datetimepicker';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { useUser } from '../../src/contexts';
+import PartnershipService from '../../src/services/PartnershipService';
+import { updateNotificationPreferences } from '../../src/utils/UserModel';
+import { updatePartnershipSettings } from '../../src/utils/PartnershipModel';
+import { NotificationPreference } from '../../src/types/user.types';
+import type { Partnership, UserNotificationPreferences } from '../../src/types/user.types';
+
+type NotificationToggle = Exclude<keyof UserNotificationPreferences, 'global'>;
+type QuietHoursField = 'quietHoursStart' | 'quietHoursEnd';
+
+const DEFAULT_QUIET_HOURS = { quietHoursStart: '22:00', quietHoursEnd: '08:00' };
+
+const GLOBAL_OPTIONS: Array<{ value: NotificationPreference; label: string; hint: string }> = [
+  { value: NotificationPreference.ALL, label: 'All', hint: 'Every notification you have on below' },
+  {
+    value: NotificationPreference.IMPORTANT_ONLY,
+    label: 'Important',
+    hint: 'Only overdue tasks, deadline changes and urgent alerts',
+  },
+  { value: NotificationPreference.SILENT, label: 'Silent', hint: 'No partner notifications' },
+];
+
+const TOGGLES: Array<{ key: NotificationToggle; label: string }> = [
+  { key: 'taskAssigned', label: 'Task assigned to me' },
+  { key: 'taskStarted', label: 'Partner started a task' },
+  { key: 'taskCompleted', label: 'Partner completed a task' },
+  { key: 'taskOverdue', label: 'Task overdue' },
+  { key: 'encouragement', label: 'Encouragement' },
+  { key: 'checkIn', label: 'Check-ins' },
+];
+
+const toTimeOfDay = (date: Date): string =>
+  `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+const fromTimeOfDay = (value: string | null): Date => {
+  const [hours, minutes] = (value ?? '00:00').split(':').map(Number);
+  const date = new Date();
+  date.setHours(hours ?? 0, minutes ?? 0, 0, 0);
+  return date;
+};
+
+const NotificationSettingsScreen = () => {
+  const { user: currentUser, setUser, setPartnership: setSharedPartnership } = useUser();
+  const [partnership, setPartnership] = useState<Partnership | null>(null);
+  const [editingField, setEditingField] = useState<QuietHoursField | null>(null);
+
+  useEffect(() => {
+    if (!currentUser) return;
+
+    PartnershipService.getActivePartnership(currentUser.id)
+      .then((result) => {
+        if (result.success && result.data) {
+          setPartnership(result.data);
+        }
+      })
+      .catch(() => {
+        // Quiet hours stay hidden without a partnership
+      });
+  }, [currentUser]);
+
+  if (!currentUser) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.centered}>
+          <Text style={styles.hint}>No user data available</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  const preferences = currentUser.notificationPreferences;
+  const quietHoursOn = Boolean(
+    partnership?.settings.quietHoursStart && partnership?.settings.quietHoursEnd,
+  );
+
+  const savePreferences = (changes: Partial<UserNotificationPreferences>): void => {
+    setUser(updateNotificationPreferences(currentUser, changes)).catch(() => {
+      Alert.alert('Error', 'Failed to save notification settings');
+    });
+  };
+
+  const saveQuietHours = (changes: Partial<Record<QuietHoursField, string | null>>): void => {
+    if (!partnership) return;
+
+    const updated = updatePartnershipSettings(partnership, changes);
+    setPartnership(updated);
+    PartnershipService.updatePartnership(updated)
+      .then((result) => {
+        if (!result.success) {
+          setPartnership(partnership);
+          Alert.alert('Error', 'Failed to save quiet hours');
+          return;
+        }
+        void setSharedPartnership(updated);
+      })
+      .catch(() => {
+        setPartnership(partnership);
+        Alert.alert('Error', 'Failed to save quiet hours');
+      });
+  };
+
+  const handleQuietHoursToggle = (enabled: boolean): void => {
+    saveQuietHours(enabled ? DEFAULT_QUIET_HOURS : { quietHoursStart: null, quietHoursEnd: null });
+  };
+
+  const handleTimeChange = (event: DateTimePickerEvent, selectedTime?: Date): void => {
+    const field = editingField;
+    setEditingField(null);
+    if (field && event.type === 'set' && selectedTime) {
+      saveQuietHours({ [field]: toTimeOfDay(selectedTime) });
+    }
+  };
+
+  const globalHint = GLOBAL_OPTIONS.find((option) => option.value === preferences.global)?.hint;
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      <ScrollView showsVerticalScrollIndicator={false}>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Deliver</Text>
+          <View style={styles.segmentedControl}>
+            {GLOBAL_OPTIONS.map((option) => {
+              const selected = preferences.global === option.value;
+              return (
+                <TouchableOpacity
+                  key={option.value}
+                  testID={`preference-${option.value}`}
+                  style={[styles.segment, selected && styles.segmentSelected]}
+                  onPress={() => {
+                    savePreferences({ global: option.value });
+                  }}
+                  accessibilityRole="radio"
+                  accessibilityState={{ selected }}
+                >
+                  <Text style={[styles.segmentText, selected && styles.segmentTextSelected]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          {globalHint && <Text style={styles.hint}>{globalHint}</Text>}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Notify me about</Text>
+          {TOGGLES.map((toggle) => (
+            <View key={toggle.key} style={styles.settingRow}>
+              <Text style={styles.settingLabel}>{toggle.label}</Text>
+              <Switch
+                testID={`toggle-${toggle.key}`}
+                value={preferences[toggle.key]}
+                onValueChange={(value) => {
+                  savePreferences({ [toggle.key]: value });
+                }}
+                disabled={preferences.global === NotificationPreference.SILENT}
+              />
+            </View>
+          ))}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Quiet hours</Text>
+          {partnership ? (
+            <>
+              <View style={styles.settingRow}>
+                <Text style={styles.settingLabel}>Hold notifications overnight</Text>
+                <Switch
+                  testID="quiet-hours-toggle"
+                  value={quietHoursOn}
+                  onValueChange={handleQuietHoursToggle}
+                />
+              </View>
+              {quietHoursOn && (
+                <>
+                  <TouchableOpacity
+                    testID="quiet-hours-start"
+                    style={styles.settingRow}
+                    onPress={() => {
+                      setEditingField('quietHoursStart');
+                    }}
+                  >
+                    <Text style={styles.settingLabel}>From</Text>
+                    <Text style={styles.timeValue}>{partnership.settings.quietHoursStart}</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    testID="quiet-hours-end"
+                    style={styles.settingRow}
+                    onPress={() => {
+                      setEditingField('quietHoursEnd');
+                    }}
+                  >
+                    <Text style={styles.settingLabel}>Until</Text>
+                    <Text style={styles.timeValue}>{partnership.settings.quietHoursEnd}</Text>
+                  </TouchableOpacity>
+                </>
+              )}
+              <Text style={styles.hint}>
+                Shared with your partner. Notifications arrive when quiet hours end; urgent ones
+                come through right away.
+              </Text>
+            </>
+          ) : (
+            <Text style={styles.hint}>Connect with a partner to set quiet hours.</Text>
+          )}
+        </View>
+      </ScrollView>
+
+      {editingField && partnership && (
+        <DateTimePicker
+          value={fromTimeOfDay(partnership.settings[editingField])}
+          mode="time"
+          display="default"
+          onChange={handleTimeChange}
+        />
+      )}
+    </SafeAreaView>
+  );
+};
+
+interface Styles {
+  container: ViewStyle;
+  centered: ViewStyle;
+  section: ViewStyle;
+  sectionTitle: TextStyle;
+  segmentedControl: ViewStyle;
+  segment: ViewStyle;
+  segmentSelected: ViewStyle;
+  segmentText: TextStyle;
+  segmentTextSelected: TextStyle;
+  settingRow: ViewStyle;
+  settingLabel: TextStyle;
+  timeValue: TextStyle;
+  hint: TextStyle;
+}
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  section: {
+    backgroundColor: '#fff',
+    marginTop: 16,
+    paddingVertical: 8,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#7F8C8D',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+  },
+  segmentedControl: {
+    flexDirection: 'row',
+    marginHorizontal: 20,
+    marginVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#3498DB',
+    overflow: 'hidden',
+  },
+  segment: {
+    flex: 1,
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  segmentSelected: {
+    backgroundColor: '#3498DB',
+  },
+  segmentText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#3498DB',
+  },
+  segmentTextSelected: {
+    color: '#fff',
+  },
+  settingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  settingLabel: {
+    fontSize: 16,
+    color: '#333',
+  },
+  timeValue: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#3498DB',
+  },
+  hint: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+  },
+});
+
+export default NotificationSettingsScreen;
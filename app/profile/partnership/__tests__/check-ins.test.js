@@ -0,0 +1,192 @@
+// ABOUTME: Tests for the partnership check-ins screen
+// Verifies the ADHD user's mood and energy answer, the partner's schedule form and the history chart
+
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import { useLocalSearchParams } from 'expo-router';
+import CheckInsScreen from '../check-ins';
+import UserStorageService from '../../../../src/services/UserStorageService';
+import PartnershipService from '../../../../src/services/PartnershipService';
+import CheckInService from '../../../../src/services/CheckInService';
+
+jest.mock('expo-router', () => ({
+  useLocalSearchParams: jest.fn(),
+}));
+
+jest.mock('../../../../src/services/UserStorageService', () => ({
+  __esModule: true,
+  default: {
+    getCurrentUser: jest.fn(),
+  },
+}));
+
+jest.mock('../../../../src/services/PartnershipService', () => ({
+  __esModule: true,
+  default: {
+    getActivePartnership: jest.fn(),
+  },
+}));
+
+jest.mock('../../../../src/services/CheckInService', () => ({
+  __esModule: true,
+  default: {
+    getSchedules: jest.fn(),
+    getResponses: jest.fn(),
+    createSchedule: jest.fn(),
+    cancelSchedule: jest.fn(),
+    respond: jest.fn(),
+  },
+}));
+
+describe('CheckInsScreen', () => {
+  const settings = { allowCheckIns: true, quietHoursStart: null, quietHoursEnd: null };
+  const partnership = {
+    id: 'partnership-1',
+    adhdUserId: 'adhd-1',
+    partnerId: 'partner-1',
+    settings,
+  };
+  const schedule = {
+    id: 'schedule-1',
+    partnershipId: 'partnership-1',
+    createdBy: 'partner-1',
+    frequency: 'weekdays',
+    dayOfWeek: null,
+    timeOfDay: '09:00',
+    timeZone: 'Europe/London',
+    prompt: 'Morning check-in!',
+    active: true,
+    nextDueAt: new Date(2026, 2, 5, 9, 0),
+    createdAt: new Date(2026, 2, 1),
+  };
+  const response = {
+    id: 'response-1',
+    partnershipId: 'partnership-1',
+    scheduleId: 'schedule-1',
+    userId: 'adhd-1',
+    mood: 2,
+    energy: 5,
+    blockers: ['Overwhelmed'],
+    note: 'Too many emails',
+    respondedAt: new Date(),
+  };
+
+  const signInAs = (id) => {
+    UserStorageService.getCurrentUser.mockResolvedValue({ id, name: id });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    useLocalSearchParams.mockReturnValue({});
+    PartnershipService.getActivePartnership.mockResolvedValue({ success: true, data: partnership });
+    CheckInService.getSchedules.mockResolvedValue({ success: true, data: [schedule] });
+    CheckInService.getResponses.mockResolvedValue({ success: true, data: [response] });
+  });
+
+  it('should let the ADHD user answer a scheduled check-in', async () => {
+    signInAs('adhd-1');
+    useLocalSearchParams.mockReturnValue({ scheduleId: 'schedule-1' });
+    CheckInService.respond.mockResolvedValue({
+      success: true,
+      data: { ...response, id: 'response-2', mood: 4, energy: 3, blockers: [], note: null },
+    });
+    const { findByTestId, getByTestId, queryByTestId } = render(<CheckInsScreen />);
+
+    fireEvent.press(await findByTestId('mood-4'));
+    fireEvent.press(getByTestId('energy-3'));
+    fireEvent.press(getByTestId('blocker-1'));
+    fireEvent.changeText(getByTestId('check-in-note'), 'Getting there');
+    fireEvent.press(getByTestId('submit-check-in'));
+
+    await waitFor(() => {
+      expect(CheckInService.respond).toHaveBeenCalledWith(partnership, 'adhd-1', {
+        mood: 4,
+        energy: 3,
+        blockers: ['Overwhelmed'],
+        note: 'Getting there',
+        scheduleId: 'schedule-1',
+      });
+    });
+    expect(await findByTestId('check-in-response-2')).toBeTruthy();
+    expect(queryByTestId('add-check-in-schedule')).toBeNull();
+  });
+
+  it('should not send an answer without mood and energy', async () => {
+    signInAs('adhd-1');
+    const { findByTestId } = render(<CheckInsScreen />);
+
+    fireEvent.press(await findByTestId('mood-3'));
+    fireEvent.press(await findByTestId('submit-check-in'));
+
+    expect(CheckInService.respond).not.toHaveBeenCalled();
+  });
+
+  it('should let the partner schedule weekly check-ins', async () => {
+    signInAs('partner-1');
+    CheckInService.createSchedule.mockResolvedValue({
+      success: true,
+      data: {
+        ...schedule,
+        id: 'schedule-2',
+        frequency: 'weekly',
+        dayOfWeek: 5,
+        timeOfDay: '17:30',
+      },
+    });
+    const { findByTestId, getByTestId, queryByTestId } = render(<CheckInsScreen />);
+
+    fireEvent.press(await findByTestId('frequency-weekly'));
+    fireEvent.press(getByTestId('day-5'));
+    fireEvent.changeText(getByTestId('check-in-time'), '17:30');
+    fireEvent.changeText(getByTestId('check-in-prompt'), 'How did the week go?');
+    fireEvent.press(getByTestId('add-check-in-schedule'));
+
+    await waitFor(() => {
+      expect(CheckInService.createSchedule).toHaveBeenCalledWith(partnership, 'partner-1', {
+        frequency: 'weekly',
+        dayOfWeek: 5,
+        timeOfDay: '17:30',
+        prompt: 'How did the week go?',
+      });
+    });
+    expect(await findByTestId('schedule-schedule-2')).toHaveTextContent('Fridays at 17:30', {
+      exact: false,
+    });
+    expect(queryByTestId('check-in-form')).toBeNull();
+    expect(getByTestId('check-in-delivery-hint')).toHaveTextContent(
+      "Check-ins go out at these times on your partner's clock, and only while their app is open",
+    );
+  });
+
+  it('should show past answers and the blockers that come up', async () => {
+    signInAs('partner-1');
+    const { findByTestId, getByTestId } = render(<CheckInsScreen />);
+
+    expect(await findByTestId('check-in-response-1')).toHaveTextContent(
+      'Low mood · Buzzing energy',
+      { exact: false },
+    );
+    expect(getByTestId('check-in-response-1')).toHaveTextContent('Too many emails', {
+      exact: false,
+    });
+    expect(getByTestId('blocker-summary')).toHaveTextContent('Overwhelmed1×', { exact: false });
+    expect(getByTestId('schedule-schedule-1')).toHaveTextContent('Weekdays at 09:00', {
+      exact: false,
+    });
+    expect(getByTestId('check-in-trend')).toBeTruthy();
+  });
+
+  it('should explain when check-ins are turned off', async () => {
+    signInAs('adhd-1');
+    PartnershipService.getActivePartnership.mockResolvedValue({
+      success: true,
+      data: { ...partnership, settings: { ...settings, allowCheckIns: false } },
+    });
+    const { findByTestId, queryByTestId } = render(<CheckInsScreen />);
+
+    expect(await findByTestId('check-ins-disabled')).toBeTruthy();
+    expect(queryByTestId('check-in-form')).toBeNull();
+  });
+});
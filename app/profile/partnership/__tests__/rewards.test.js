@@ -0,0 +1,154 @@
+// ABOUTME: Tests for the partnership rewards store screen
+// Verifies the ADHD user's XP balance and redeeming, and the partner adding offers
+
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import RewardsStoreScreen from '../rewards';
+import UserStorageService from '../../../../src/services/UserStorageService';
+import PartnershipService from '../../../../src/services/PartnershipService';
+import PartnerRewardService from '../../../../src/services/PartnerRewardService';
+import LevelService from '../../../../src/services/LevelService';
+import { getLevelProgress } from '../../../../src/utils/LevelModel';
+
+jest.mock('../../../../src/services/UserStorageService', () => ({
+  __esModule: true,
+  default: {
+    getCurrentUser: jest.fn(),
+  },
+}));
+
+jest.mock('../../../../src/services/PartnershipService', () => ({
+  __esModule: true,
+  default: {
+    getActivePartnership: jest.fn(),
+  },
+}));
+
+jest.mock('../../../../src/services/PartnerRewardService', () => ({
+  __esModule: true,
+  default: {
+    getOffers: jest.fn(),
+    getRedemptions: jest.fn(),
+    createOffer: jest.fn(),
+    retireOffer: jest.fn(),
+    redeem: jest.fn(),
+  },
+}));
+
+jest.mock('../../../../src/services/LevelService', () => ({
+  __esModule: true,
+  default: {
+    getSnapshot: jest.fn(),
+    subscribe: jest.fn(),
+  },
+}));
+
+describe('RewardsStoreScreen', () => {
+  const partnership = { id: 'partnership-1', adhdUserId: 'adhd-1', partnerId: 'partner-1' };
+  const offer = (id, title, xpCost) => ({
+    id,
+    partnershipId: 'partnership-1',
+    createdBy: 'partner-1',
+    title,
+    description: null,
+    xpCost,
+    active: true,
+    createdAt: new Date(2026, 2, 1),
+  });
+  const movieNight = offer('offer-1', 'Movie night', 200);
+  const dinnerOut = offer('offer-2', 'Dinner out', 500);
+
+  let alertSpy;
+
+  const signInAs = (id) => {
+    UserStorageService.getCurrentUser.mockResolvedValue({ id, name: id });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    alertSpy = jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    const snapshot = { progress: getLevelProgress(450) };
+    LevelService.getSnapshot.mockReturnValue(snapshot);
+    LevelService.subscribe.mockImplementation((listener) => {
+      listener(snapshot);
+      return jest.fn();
+    });
+    PartnershipService.getActivePartnership.mockResolvedValue({
+      success: true,
+      data: partnership,
+    });
+    PartnerRewardService.getOffers.mockResolvedValue({
+      success: true,
+      data: [movieNight, dinnerOut],
+    });
+    PartnerRewardService.getRedemptions.mockResolvedValue({
+      success: true,
+      data: [{ id: 'redemption-1', redeemedBy: 'adhd-1', xpCost: 100, status: 'fulfilled' }],
+    });
+  });
+
+  afterEach(() => {
+    alertSpy.mockRestore();
+  });
+
+  it('should show the ADHD user what they can still spend', async () => {
+    signInAs('adhd-1');
+    const { findByTestId, getByTestId } = render(<RewardsStoreScreen />);
+
+    expect(await findByTestId('reward-balance')).toHaveTextContent(
+      '350 XPto spend · 450 XP earned in total',
+      { exact: false },
+    );
+    expect(getByTestId('redeem-offer-1')).toHaveTextContent('Redeem');
+    expect(getByTestId('redeem-offer-2')).toHaveTextContent('150 XP to go');
+  });
+
+  it('should redeem an offer after confirming', async () => {
+    signInAs('adhd-1');
+    PartnerRewardService.redeem.mockResolvedValue({
+      success: true,
+      data: { id: 'redemption-2', redeemedBy: 'adhd-1', xpCost: 200, status: 'requested' },
+    });
+    const { findByTestId } = render(<RewardsStoreScreen />);
+
+    fireEvent.press(await findByTestId('redeem-offer-1'));
+    const [, , buttons] = alertSpy.mock.calls[0];
+    buttons.find(({ text }) => text === 'Redeem').onPress();
+
+    await waitFor(() => {
+      expect(PartnerRewardService.redeem).toHaveBeenCalledWith(partnership, 'adhd-1', movieNight);
+    });
+    expect(await findByTestId('reward-balance')).toHaveTextContent('150 XP', { exact: false });
+  });
+
+  it('should let the partner add an offer instead of redeeming', async () => {
+    signInAs('partner-1');
+    const created = offer('offer-3', 'Ice cream', 50);
+    PartnerRewardService.createOffer.mockResolvedValue({ success: true, data: created });
+    const { findByTestId, getByTestId, queryByTestId } = render(<RewardsStoreScreen />);
+
+    fireEvent.changeText(await findByTestId('reward-title-input'), 'Ice cream');
+    fireEvent.changeText(getByTestId('reward-cost-input'), '50');
+    fireEvent.press(getByTestId('add-reward-button'));
+
+    expect(await findByTestId('offer-offer-3')).toBeTruthy();
+    expect(PartnerRewardService.createOffer).toHaveBeenCalledWith(partnership, 'partner-1', {
+      title: 'Ice cream',
+      xpCost: 50,
+    });
+    expect(queryByTestId('reward-balance')).toBeNull();
+    expect(queryByTestId('redeem-offer-1')).toBeNull();
+  });
+
+  it('should explain an invalid offer without saving it', async () => {
+    signInAs('partner-1');
+    const { findByTestId, getByTestId } = render(<RewardsStoreScreen />);
+
+    fireEvent.changeText(await findByTestId('reward-title-input'), 'Ice cream');
+    fireEvent.press(getByTestId('add-reward-button'));
+
+    expect(alertSpy).toHaveBeenCalledWith('Check the reward', expect.stringContaining('XP cost'));
+    expect(PartnerRewardService.createOffer).not.toHaveBeenCalled();
+  });
+});
@@ -1,4 +1,4 @@
-// ABOUTME: Screen for accountability partners to assign tasks to ADHD users
+// ABOUTME: Screen for accountability partners to propose tasks to ADHD users, who accept, decline or renegotiate
 // Includes task details, due dates, preferred start times, and priority settings
 
 import React, { useState, useEffect, useCallback } from 'react';
@@ -19,11 +19,12 @@ import DateTimePicker from '@react-native-community/datetimepicker';
 import { Ionicons } from '@expo/vector-icons';
 import { useRouter } from 'expo-router';
 import { createTask, validateTask } from '../../../src/utils/TaskModel';
-import { TASK_PRIORITY, TASK_CATEGORIES } from '../../../src/constants/TaskConstants';
-import TaskStorageService from '../../../src/services/TaskStorageService';
+import { TASK_PRIORITY } from '../../../src/constants/TaskConstants';
 import UserStorageService from '../../../src/services/UserStorageService';
 import PartnershipService from '../../../src/services/PartnershipService';
-import NotificationService from '../../../src/services/NotificationService';
+import TaskAssignmentService from '../../../src/services/TaskAssignmentService';
+import CategoryService from '../../../src/services/CategoryService';
+import { DEFAULT_CATEGORIES } from '../../../src/utils/CategoryModel';
 import type { TaskPriority, TaskCategory } from '../../../src/types/task.types';
 import type { User, Partnership } from '../../../src/types/user.types';
 
@@ -119,6 +120,7 @@ const TaskAssignmentScreen = () => {
   const [loading, setLoading] = useState<boolean>(false);
   const [currentUser, setCurrentUser] = useState<User | null>(null);
   const [partnership, setPartnership] = useState<Partnership | null>(null);
+  const [categories, setCategories] = useState<TaskCategory[]>(DEFAULT_CATEGORIES);
 
   const loadUserData = useCallback(async (): Promise<void> => {
     try {
@@ -128,7 +130,21 @@ const TaskAssignmentScreen = () => {
       if (user) {
         const partnershipResult = await PartnershipService.getActivePartnership(user.id);
         if (partnershipResult.success && partnershipResult.data !== undefined) {
-          setPartnership(partnershipResult.data);
+          const activePartnership = partnershipResult.data;
+          setPartnership(activePartnership);
+
+          // Offer the assignee's own categories so the task lands in one they have
+          const assignee =
+            activePartnership &&
+            (activePartnership.adhdUserId === user.id
+              ? activePartnership.partnerId
+              : activePartnership.adhdUserId);
+          if (assignee) {
+            const categoriesResult = await CategoryService.getCategories(assignee);
+            if (categoriesResult.success && categoriesResult.data) {
+              setCategories(categoriesResult.data);
+            }
+          }
         }
       }
     } catch (error) {
@@ -189,22 +205,13 @@ const TaskAssignmentScreen = () => {
         return;
       }
 
-      // Save the task
-      const saved = await TaskStorageService.saveTask(newTask);
-      if (!saved) {
-        throw new Error('Failed to save task');
+      // Propose the task; the usual assignment follow-ups fire once the ADHD user accepts it
+      const result = await TaskAssignmentService.propose(newTask, currentUser);
+      if (!result.success) {
+        throw new Error(result.error?.message ?? 'Failed to save task');
       }
 
-      // Send notification to the ADHD user
-      const assignedUser = await UserStorageService.getUserById(assignedTo);
-      if (assignedUser) {
-        await NotificationService.notifyTaskAssigned(newTask, currentUser);
-      }
-
-      // Update partnership stats
-      await PartnershipService.incrementPartnershipStat(partnership.id, 'tasksAssigned');
-
-      Alert.alert('Task Assigned!', `"${title}" has been assigned successfully.`, [
+      Alert.alert('Task Proposed!', `"${title}" is waiting for your partner to accept it.`, [
         {
           text: 'Assign Another',
           onPress: () => {
@@ -424,7 +431,7 @@ const TaskAssignmentScreen = () => {
           <View style={styles.inputGroup}>
             <Text style={styles.label}>Category</Text>
             <View style={styles.categoryContainer}>
-              {Object.values(TASK_CATEGORIES).map((cat: TaskCategory) => (
+              {categories.map((cat: TaskCategory) => (
                 <TouchableOpacity
                   key={cat.id}
                   style={[
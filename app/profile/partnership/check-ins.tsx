@@ -0,0 +1,730 @@
+// ABOUTME: Structured check-ins between the ADHD user and their partner
+// The partner schedules recurring check-ins; the ADHD user answers with mood, energy and blockers, charted over time
+
+import React, { useState, useEffect, useCallback } from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useLocalSearchParams } from 'expo-router';
+import UserStorageService from '../../../src/services/UserStorageService';
+import PartnershipService from '../../../src/services/PartnershipService';
+import CheckInService from '../../../src/services/CheckInService';
+import type { Partnership, User } from '../../../src/types/user.types';
+import type {
+  CheckInFrequency,
+  CheckInResponse,
+  CheckInSchedule,
+} from '../../../src/types/checkIn.types';
+import {
+  CHECK_IN_BLOCKERS,
+  CHECK_IN_FREQUENCIES,
+  CHECK_IN_TREND_DAYS,
+  DEFAULT_CHECK_IN_PROMPT,
+  ENERGY_LEVELS,
+  MAX_CHECK_IN_NOTE_LENGTH,
+  MAX_CHECK_IN_PROMPT_LENGTH,
+  MOOD_LEVELS,
+  describeCheckInSchedule,
+  getBlockerCounts,
+  getCheckInTrend,
+  getLevel,
+  validateCheckInSchedule,
+} from '../../../src/utils/CheckInModel';
+import type { CheckInLevel } from '../../../src/utils/CheckInModel';
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const FREQUENCY_LABELS: Record<CheckInFrequency, string> = {
+  daily: 'Every day',
+  weekdays: 'Weekdays',
+  weekly: 'Weekly',
+};
+const BAR_HEIGHT = 80;
+const RECENT_CHECK_INS = 10;
+const MOOD_COLOR = '#9B59B6';
+const ENERGY_COLOR = '#F39C12';
+
+const formatDateTime = (date: Date): string =>
+  `${DAY_LABELS[date.getDay()]} ${date.getMonth() + 1}/${date.getDate()} ${date
+    .toTimeString()
+    .slice(0, 5)}`;
+
+interface LevelPickerProps {
+  name: 'mood' | 'energy';
+  levels: CheckInLevel[];
+  value: number | null;
+  onChange: (value: number) => void;
+}
+
+const LevelPicker = ({ name, levels, value, onChange }: LevelPickerProps) => (
+  <View style={styles.levelRow}>
+    {levels.map((level) => (
+      <TouchableOpacity
+        key={level.value}
+        style={[styles.levelOption, value === level.value && styles.selectedOption]}
+        onPress={() => {
+          onChange(level.value);
+        }}
+        testID={`${name}-${level.value}`}
+        accessibilityRole="button"
+        accessibilityState={{ selected: value === level.value }}
+        accessibilityLabel={`${name} ${level.label}`}
+      >
+        <Text style={styles.levelEmoji}>{level.emoji}</Text>
+        <Text style={styles.levelLabel}>{level.label}</Text>
+      </TouchableOpacity>
+    ))}
+  </View>
+);
+
+const CheckInsScreen = () => {
+  const { scheduleId } = useLocalSearchParams<{ scheduleId?: string }>();
+  const [currentUser, setCurrentUser] = useState<User | null>(null);
+  const [partnership, setPartnership] = useState<Partnership | null>(null);
+  const [schedules, setSchedules] = useState<CheckInSchedule[]>([]);
+  const [responses, setResponses] = useState<CheckInResponse[]>([]);
+  const [loading, setLoading] = useState<boolean>(true);
+  // Partner: new schedule
+  const [frequency, setFrequency] = useState<CheckInFrequency>('daily');
+  const [dayOfWeek, setDayOfWeek] = useState<number>(1);
+  const [timeOfDay, setTimeOfDay] = useState<string>('09:00');
+  const [prompt, setPrompt] = useState<string>('');
+  const [saving, setSaving] = useState<boolean>(false);
+  // ADHD user: answer
+  const [mood, setMood] = useState<number | null>(null);
+  const [energy, setEnergy] = useState<number | null>(null);
+  const [blockers, setBlockers] = useState<string[]>([]);
+  const [note, setNote] = useState<string>('');
+  const [submitting, setSubmitting] = useState<boolean>(false);
+
+  const loadCheckIns = useCallback(async () => {
+    try {
+      const user = await UserStorageService.getCurrentUser();
+      setCurrentUser(user);
+      if (!user) return;
+
+      const partnershipResult = await PartnershipService.getActivePartnership(user.id);
+      const activePartnership = partnershipResult.success ? partnershipResult.data : null;
+      setPartnership(activePartnership ?? null);
+      if (!activePartnership) return;
+
+      const [schedulesResult, responsesResult] = await Promise.all([
+        CheckInService.getSchedules(activePartnership.id),
+        CheckInService.getResponses(activePartnership.id),
+      ]);
+      if (schedulesResult.success) setSchedules(schedulesResult.data ?? []);
+      if (responsesResult.success) setResponses(responsesResult.data ?? []);
+    } catch (error) {
+      // Error loading check-ins
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCheckIns().catch(() => {});
+  }, [loadCheckIns]);
+
+  const isPartner = Boolean(currentUser && partnership?.partnerId === currentUser.id);
+  const isAdhdUser = Boolean(currentUser && partnership?.adhdUserId === currentUser.id);
+  const checkInsAllowed = partnership?.settings.allowCheckIns ?? false;
+
+  const handleAddSchedule = async () => {
+    if (!partnership || !currentUser) return;
+
+    const input = { frequency, dayOfWeek, timeOfDay: timeOfDay.trim(), prompt };
+    const validation = validateCheckInSchedule(input);
+    if (!validation.isValid) {
+      Alert.alert('Check the schedule', validation.errors.join('\n'));
+      return;
+    }
+
+    setSaving(true);
+    const result = await CheckInService.createSchedule(partnership, currentUser.id, input);
+    setSaving(false);
+
+    if (result.success && result.data) {
+      const schedule = result.data;
+      setSchedules((current) =>
+        [...current, schedule].sort((a, b) => a.nextDueAt.getTime() - b.nextDueAt.getTime()),
+      );
+      setPrompt('');
+    } else {
+      Alert.alert('Error', result.error?.message ?? 'Failed to schedule check-in');
+    }
+  };
+
+  const handleCancelSchedule = (schedule: CheckInSchedule) => {
+    Alert.alert('Stop Check-In', `Stop "${describeCheckInSchedule(schedule)}" check-ins?`, [
+      { text: 'Keep', style: 'cancel' },
+      {
+        text: 'Stop',
+        style: 'destructive',
+        onPress: () => {
+          CheckInService.cancelSchedule(schedule.id)
+            .then((result) => {
+              if (result.success) {
+                setSchedules((current) => current.filter(({ id }) => id !== schedule.id));
+              } else {
+                Alert.alert('Error', result.error?.message ?? 'Failed to stop check-ins');
+              }
+            })
+            .catch(() => {});
+        },
+      },
+    ]);
+  };
+
+  const toggleBlocker = (blocker: string) => {
+    setBlockers((current) => {
+      if (current.includes(blocker)) {
+        return current.filter((existing) => existing !== blocker);
+      }
+      return [...current, blocker];
+    });
+  };
+
+  const handleRespond = async () => {
+    if (!partnership || !currentUser || mood === null || energy === null) return;
+
+    setSubmitting(true);
+    const result = await CheckInService.respond(partnership, currentUser.id, {
+      mood,
+      energy,
+      blockers,
+      note,
+      scheduleId: scheduleId ?? null,
+    });
+    setSubmitting(false);
+
+    if (result.success && result.data) {
+      const response = result.data;
+      setResponses((current) => [response, ...current]);
+      setMood(null);
+      setEnergy(null);
+      setBlockers([]);
+      setNote('');
+      Alert.alert('Checked In', 'Thanks! Your partner can see how you are doing.');
+    } else {
+      Alert.alert('Error', result.error?.message ?? 'Failed to send check-in');
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3498DB" />
+      </View>
+    );
+  }
+
+  if (!partnership) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Ionicons name="chatbubble-ellipses-outline" size={64} color="#BDC3C7" />
+        <Text style={styles.emptyText}>Set up a partnership to use check-ins</Text>
+      </View>
+    );
+  }
+
+  const trend = getCheckInTrend(responses, CHECK_IN_TREND_DAYS);
+  const blockerCounts = getBlockerCounts(responses);
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+        {!checkInsAllowed && (
+          <Text style={styles.notice} testID="check-ins-disabled">
+            Check-ins are turned off for this partnership
+          </Text>
+        )}
+
+        {isAdhdUser && checkInsAllowed && (
+          <View style={styles.section} testID="check-in-form">
+            <Text style={styles.sectionTitle}>How are you doing?</Text>
+            <Text style={styles.fieldLabel}>Mood</Text>
+            <LevelPicker name="mood" levels={MOOD_LEVELS} value={mood} onChange={setMood} />
+            <Text style={styles.fieldLabel}>Energy</Text>
+            <LevelPicker name="energy" levels={ENERGY_LEVELS} value={energy} onChange={setEnergy} />
+            <Text style={styles.fieldLabel}>Anything in the way?</Text>
+            <View style={styles.chipRow}>
+              {CHECK_IN_BLOCKERS.map((blocker, index) => (
+                <TouchableOpacity
+                  key={blocker}
+                  style={[styles.chip, blockers.includes(blocker) && styles.selectedOption]}
+                  onPress={() => {
+                    toggleBlocker(blocker);
+                  }}
+                  testID={`blocker-${index}`}
+                  accessibilityRole="button"
+                  accessibilityState={{ selected: blockers.includes(blocker) }}
+                >
+                  <Text style={styles.chipText}>{blocker}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <TextInput
+              testID="check-in-note"
+              style={[styles.input, styles.multilineInput]}
+              value={note}
+              onChangeText={setNote}
+              placeholder="Anything else you want your partner to know?"
+              placeholderTextColor="#BDC3C7"
+              maxLength={MAX_CHECK_IN_NOTE_LENGTH}
+              multiline
+            />
+            <TouchableOpacity
+              style={[
+                styles.primaryButton,
+                (submitting || mood === null || energy === null) && styles.disabledButton,
+              ]}
+              onPress={() => {
+                handleRespond().catch(() => {});
+              }}
+              disabled={submitting || mood === null || energy === null}
+              testID="submit-check-in"
+            >
+              <Text style={styles.primaryButtonText}>Send Check-In</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {isPartner && checkInsAllowed && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Schedule a check-in</Text>
+            <View style={styles.chipRow}>
+              {CHECK_IN_FREQUENCIES.map((option) => (
+                <TouchableOpacity
+                  key={option}
+                  style={[styles.chip, frequency === option && styles.selectedOption]}
+                  onPress={() => {
+                    setFrequency(option);
+                  }}
+                  testID={`frequency-${option}`}
+                  accessibilityRole="button"
+                  accessibilityState={{ selected: frequency === option }}
+                >
+                  <Text style={styles.chipText}>{FREQUENCY_LABELS[option]}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            {frequency === 'weekly' && (
+              <View style={styles.chipRow}>
+                {DAY_LABELS.map((label, day) => (
+                  <TouchableOpacity
+                    key={label}
+                    style={[styles.chip, dayOfWeek === day && styles.selectedOption]}
+                    onPress={() => {
+                      setDayOfWeek(day);
+                    }}
+                    testID={`day-${day}`}
+                    accessibilityRole="button"
+                    accessibilityState={{ selected: dayOfWeek === day }}
+                  >
+                    <Text style={styles.chipText}>{label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+            <TextInput
+              testID="check-in-time"
+              style={styles.input}
+              value={timeOfDay}
+              onChangeText={setTimeOfDay}
+              placeholder="Time, e.g. 09:00"
+              placeholderTextColor="#BDC3C7"
+              maxLength={5}
+            />
+            <TextInput
+              testID="check-in-prompt"
+              style={styles.input}
+              value={prompt}
+              onChangeText={setPrompt}
+              placeholder={DEFAULT_CHECK_IN_PROMPT}
+              placeholderTextColor="#BDC3C7"
+              maxLength={MAX_CHECK_IN_PROMPT_LENGTH}
+            />
+            <TouchableOpacity
+              style={[styles.primaryButton, saving && styles.disabledButton]}
+              onPress={() => {
+                handleAddSchedule().catch(() => {});
+              }}
+              disabled={saving}
+              testID="add-check-in-schedule"
+            >
+              <Text style={styles.primaryButtonText}>Add Schedule</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Scheduled</Text>
+          <Text style={styles.hint} testID="check-in-delivery-hint">
+            {isPartner
+              ? "Check-ins go out at these times on your partner's clock, and only while their app is open"
+              : 'Check-ins arrive while this app is open, so open it now and then to catch them'}
+          </Text>
+          {schedules.length === 0 && (
+            <Text style={styles.hint}>
+              {isPartner
+                ? 'Schedule regular check-ins to see how your partner is doing'
+                : 'Your partner has not scheduled any check-ins yet'}
+            </Text>
+          )}
+          {schedules.map((schedule) => (
+            <View key={schedule.id} style={styles.row} testID={`schedule-${schedule.id}`}>
+              <Ionicons name="alarm-outline" size={24} color={MOOD_COLOR} />
+              <View style={styles.rowText}>
+                <Text style={styles.rowTitle}>{describeCheckInSchedule(schedule)}</Text>
+                <Text style={styles.rowDetail}>{schedule.prompt ?? DEFAULT_CHECK_IN_PROMPT}</Text>
+                <Text style={styles.rowDetail}>Next: {formatDateTime(schedule.nextDueAt)}</Text>
+              </View>
+              {isPartner && (
+                <TouchableOpacity
+                  onPress={() => {
+                    handleCancelSchedule(schedule);
+                  }}
+                  testID={`cancel-schedule-${schedule.id}`}
+                  accessibilityRole="button"
+                  accessibilityLabel={`Stop ${describeCheckInSchedule(schedule)}`}
+                >
+                  <Ionicons name="trash-outline" size={20} color="#E74C3C" />
+                </TouchableOpacity>
+              )}
+            </View>
+          ))}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Last {CHECK_IN_TREND_DAYS} days</Text>
+          <View style={styles.legend}>
+            <View style={[styles.legendSwatch, { backgroundColor: MOOD_COLOR }]} />
+            <Text style={styles.legendText}>Mood</Text>
+            <View style={[styles.legendSwatch, { backgroundColor: ENERGY_COLOR }]} />
+            <Text style={styles.legendText}>Energy</Text>
+          </View>
+          <View style={styles.chart} testID="check-in-trend">
+            {trend.map((day) => (
+              <View
+                key={day.start.getTime()}
+                style={styles.barColumn}
+                accessibilityLabel={
+                  day.responses === 0
+                    ? `No check-ins ${DAY_LABELS[day.start.getDay()]}`
+                    : `Mood ${day.mood} and energy ${day.energy} on ${DAY_LABELS[day.start.getDay()]}`
+                }
+              >
+                <View style={styles.barPair}>
+                  <View
+                    style={[
+                      styles.bar,
+                      {
+                        height: Math.max(2, ((day.mood ?? 0) / 5) * BAR_HEIGHT),
+                        backgroundColor: MOOD_COLOR,
+                      },
+                    ]}
+                  />
+                  <View
+                    style={[
+                      styles.bar,
+                      {
+                        height: Math.max(2, ((day.energy ?? 0) / 5) * BAR_HEIGHT),
+                        backgroundColor: ENERGY_COLOR,
+                      },
+                    ]}
+                  />
+                </View>
+                <Text style={styles.barLabel}>{day.start.getDate()}</Text>
+              </View>
+            ))}
+          </View>
+        </View>
+
+        {blockerCounts.length > 0 && (
+          <View style={styles.section} testID="blocker-summary">
+            <Text style={styles.sectionTitle}>What gets in the way</Text>
+            {blockerCounts.map(({ blocker, count }) => (
+              <View key={blocker} style={styles.blockerRow}>
+                <Text style={styles.rowTitle}>{blocker}</Text>
+                <Text style={styles.rowDetail}>{count}×</Text>
+              </View>
+            ))}
+          </View>
+        )}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Recent check-ins</Text>
+          {responses.length === 0 && <Text style={styles.hint}>No check-ins yet</Text>}
+          {responses.slice(0, RECENT_CHECK_INS).map((response) => {
+            const moodLevel = getLevel(MOOD_LEVELS, response.mood);
+            const energyLevel = getLevel(ENERGY_LEVELS, response.energy);
+            return (
+              <View key={response.id} style={styles.row} testID={`check-in-${response.id}`}>
+                <Text style={styles.levelEmoji}>{moodLevel.emoji}</Text>
+                <View style={styles.rowText}>
+                  <Text style={styles.rowTitle}>
+                    {moodLevel.label} mood · {energyLevel.label} energy
+                  </Text>
+                  {response.blockers.length > 0 && (
+                    <Text style={styles.rowDetail}>{response.blockers.join(', ')}</Text>
+                  )}
+                  {response.note ? <Text style={styles.note}>{response.note}</Text> : null}
+                  <Text style={styles.rowDetail}>{formatDateTime(response.respondedAt)}</Text>
+                </View>
+              </View>
+            );
+          })}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+interface Styles {
+  container: ViewStyle;
+  loadingContainer: ViewStyle;
+  emptyText: TextStyle;
+  notice: TextStyle;
+  section: ViewStyle;
+  sectionTitle: TextStyle;
+  fieldLabel: TextStyle;
+  levelRow: ViewStyle;
+  levelOption: ViewStyle;
+  selectedOption: ViewStyle;
+  levelEmoji: TextStyle;
+  levelLabel: TextStyle;
+  chipRow: ViewStyle;
+  chip: ViewStyle;
+  chipText: TextStyle;
+  input: TextStyle;
+  multilineInput: TextStyle;
+  primaryButton: ViewStyle;
+  primaryButtonText: TextStyle;
+  disabledButton: ViewStyle;
+  hint: TextStyle;
+  row: ViewStyle;
+  rowText: ViewStyle;
+  rowTitle: TextStyle;
+  rowDetail: TextStyle;
+  note: TextStyle;
+  legend: ViewStyle;
+  legendSwatch: ViewStyle;
+  legendText: TextStyle;
+  chart: ViewStyle;
+  barColumn: ViewStyle;
+  barPair: ViewStyle;
+  bar: ViewStyle;
+  barLabel: TextStyle;
+  blockerRow: ViewStyle;
+}
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#7F8C8D',
+    marginTop: 16,
+    textAlign: 'center',
+  },
+  notice: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    backgroundColor: '#FEF5E7',
+    marginTop: 16,
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  section: {
+    backgroundColor: '#fff',
+    marginTop: 16,
+    paddingVertical: 8,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#7F8C8D',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2C3E50',
+    paddingHorizontal: 20,
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  levelRow: {
+    flexDirection: 'row',
+    paddingHorizontal: 16,
+  },
+  levelOption: {
+    flex: 1,
+    alignItems: 'center',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    marginHorizontal: 4,
+    paddingVertical: 8,
+  },
+  selectedOption: {
+    borderColor: MOOD_COLOR,
+    backgroundColor: '#F4ECF7',
+  },
+  levelEmoji: {
+    fontSize: 24,
+  },
+  levelLabel: {
+    fontSize: 11,
+    color: '#7F8C8D',
+    marginTop: 4,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  chip: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    margin: 4,
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#2C3E50',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: '#2C3E50',
+    marginHorizontal: 20,
+    marginBottom: 12,
+  },
+  multilineInput: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+    marginTop: 8,
+  },
+  primaryButton: {
+    backgroundColor: '#3498DB',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+    marginHorizontal: 20,
+    marginBottom: 8,
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  hint: {
+    fontSize: 14,
+    color: '#95A5A6',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  rowText: {
+    flex: 1,
+    marginLeft: 16,
+  },
+  rowTitle: {
+    fontSize: 16,
+    color: '#2C3E50',
+  },
+  rowDetail: {
+    fontSize: 13,
+    color: '#7F8C8D',
+    marginTop: 2,
+  },
+  note: {
+    fontSize: 14,
+    color: '#2C3E50',
+    fontStyle: 'italic',
+    marginTop: 4,
+  },
+  legend: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+  },
+  legendSwatch: {
+    width: 12,
+    height: 12,
+    borderRadius: 3,
+    marginRight: 6,
+  },
+  legendText: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginRight: 16,
+  },
+  chart: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+  },
+  barColumn: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  barPair: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+  },
+  bar: {
+    width: 6,
+    borderRadius: 3,
+    marginHorizontal: 1,
+  },
+  barLabel: {
+    fontSize: 11,
+    color: '#7F8C8D',
+    marginTop: 4,
+  },
+  blockerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+  },
+});
+
+export default CheckInsScreen;
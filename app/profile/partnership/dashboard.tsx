@@ -1,5 +1,5 @@
 // ABOUTME: Dashboard for accountability partners to track assigned task progress
-// Shows task completion stats, overdue tasks, and progress visualization
+// Shows task completion stats, overdue tasks, pending proposals, and progress visualization
 
 import React, { useState, useEffect, useCallback } from 'react';
 import type { ViewStyle, TextStyle } from 'react-native';
@@ -21,11 +21,17 @@ import UserStorageService from '../../../src/services/UserStorageService';
 import TaskStorageService from '../../../src/services/TaskStorageService';
 import PartnershipService from '../../../src/services/PartnershipService';
 import NotificationService from '../../../src/services/NotificationService';
+import PartnerRewardService from '../../../src/services/PartnerRewardService';
+import TaskAssignmentService from '../../../src/services/TaskAssignmentService';
 import { TASK_PRIORITY, TASK_STATUS } from '../../../src/constants/TaskConstants';
 import { DEFAULT_ENCOURAGEMENT_MESSAGES } from '../../../src/constants/UserConstants';
 import type { User } from '../../../src/types/user.types';
 import type { Task } from '../../../src/types/task.types';
+import { describeRecurrence, getSeriesCompletionCount } from '../../../src/utils/RecurrenceModel';
+import { getAssignmentStatusLabel, isActiveAssignment } from '../../../src/utils/AssignmentModel';
 import type { Partnership } from '../../../src/types/user.types';
+import type { RewardRedemption } from '../../../src/types/reward.types';
+import type { Result } from '../../../src/types/common.types';
 
 interface TaskStats {
   total: number;
@@ -107,6 +113,7 @@ interface Styles {
   dueText: TextStyle;
   overdueText: TextStyle;
   inProgressText: TextStyle;
+  recurrenceText: TextStyle;
   timeSpentText: TextStyle;
   encourageButton: ViewStyle;
   encourageButtonText: TextStyle;
@@ -114,6 +121,25 @@ interface Styles {
   emptyTaskText: TextStyle;
   assignButton: ViewStyle;
   assignButtonText: TextStyle;
+  rewardsSection: ViewStyle;
+  rewardsHeader: ViewStyle;
+  rewardsTitle: TextStyle;
+  storeLink: TextStyle;
+  redemptionRow: ViewStyle;
+  redemptionInfo: ViewStyle;
+  redemptionTitle: TextStyle;
+  redemptionMeta: TextStyle;
+  fulfilledText: TextStyle;
+  pendingText: TextStyle;
+  fulfilButton: ViewStyle;
+  fulfilButtonText: TextStyle;
+  proposalsSection: ViewStyle;
+  proposalRow: ViewStyle;
+  proposalStatus: TextStyle;
+  declinedText: TextStyle;
+  proposalActions: ViewStyle;
+  proposalButton: ViewStyle;
+  proposalButtonText: TextStyle;
 }
 
 const PartnerDashboardScreen = () => {
@@ -122,6 +148,9 @@ const PartnerDashboardScreen = () => {
   const [partner, setPartner] = useState<User | null>(null);
   const [partnership, setPartnership] = useState<Partnership | null>(null);
   const [assignedTasks, setAssignedTasks] = useState<Task[]>([]);
+  const [allAssignedTasks, setAllAssignedTasks] = useState<Task[]>([]);
+  const [proposals, setProposals] = useState<Task[]>([]);
+  const [redemptions, setRedemptions] = useState<RewardRedemption[]>([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [selectedTab, setSelectedTab] = useState('all'); // all, active, completed, overdue
@@ -156,22 +185,36 @@ const PartnerDashboardScreen = () => {
     }
   }, []);
 
+  const loadRedemptions = useCallback(async () => {
+    if (!partnership) return;
+
+    const result = await PartnerRewardService.getRedemptions(partnership.id);
+    if (result.success) {
+      setRedemptions(result.data ?? []);
+    }
+  }, [partnership]);
+
   const loadTasks = useCallback(async () => {
     if (!currentUser) return;
 
     try {
       const tasks = await TaskStorageService.getTasksAssignedByUser(currentUser.id);
+      setAllAssignedTasks(tasks);
+
+      // Proposals stay out of the stats until the partner takes them on
+      setProposals(tasks.filter((t) => !isActiveAssignment(t)));
+      const acceptedTasks = tasks.filter(isActiveAssignment);
 
-      let filteredTasks = tasks;
+      let filteredTasks = acceptedTasks;
       switch (selectedTab) {
         case 'active':
-          filteredTasks = tasks.filter((t) => !t.completed && !isOverdue(t));
+          filteredTasks = acceptedTasks.filter((t) => !t.completed && !isOverdue(t));
           break;
         case 'completed':
-          filteredTasks = tasks.filter((t) => t.completed);
+          filteredTasks = acceptedTasks.filter((t) => t.completed);
           break;
         case 'overdue':
-          filteredTasks = tasks.filter((t) => !t.completed && isOverdue(t));
+          filteredTasks = acceptedTasks.filter((t) => !t.completed && isOverdue(t));
           break;
       }
 
@@ -195,9 +238,9 @@ const PartnerDashboardScreen = () => {
 
   const onRefresh = useCallback(async () => {
     setRefreshing(true);
-    await loadTasks();
+    await Promise.all([loadTasks(), loadRedemptions()]);
     setRefreshing(false);
-  }, [loadTasks]);
+  }, [loadTasks, loadRedemptions]);
 
   useEffect(() => {
     loadInitialData().catch(() => {});
@@ -211,6 +254,12 @@ const PartnerDashboardScreen = () => {
     }, [currentUser, selectedTab, loadTasks]),
   );
 
+  useFocusEffect(
+    React.useCallback(() => {
+      loadRedemptions().catch(() => {});
+    }, [loadRedemptions]),
+  );
+
   const getTaskStats = (): TaskStats => {
     const total = assignedTasks.length;
     const completed = assignedTasks.filter((t) => t.completed).length;
@@ -230,6 +279,9 @@ const PartnerDashboardScreen = () => {
           Math.floor(Math.random() * DEFAULT_ENCOURAGEMENT_MESSAGES.length)
         ];
 
+      // Keep the message on the task so it's still there after a reload
+      await TaskStorageService.addEncouragement(task.id, randomMessage);
+
       const sent = await NotificationService.sendEncouragement(
         currentUser.id,
         partner.id,
@@ -245,6 +297,118 @@ const PartnerDashboardScreen = () => {
     [partner, currentUser, partnership],
   );
 
+  const confirmFulfilment = useCallback(
+    async (redemption: RewardRedemption) => {
+      if (!partnership || !currentUser) return;
+
+      const result = await PartnerRewardService.confirmFulfilment(
+        partnership,
+        currentUser.id,
+        redemption,
+      );
+
+      if (result.success && result.data) {
+        const fulfilled = result.data;
+        setRedemptions((current) =>
+          current.map((item) => (item.id === fulfilled.id ? fulfilled : item)),
+        );
+      } else {
+        Alert.alert('Error', result.error?.message ?? 'Failed to confirm reward');
+      }
+    },
+    [partnership, currentUser],
+  );
+
+  const answerProposal = useCallback(
+    async (action: () => Promise<Result<unknown>>, failureMessage: string) => {
+      const result = await action();
+      if (result.success) {
+        await loadTasks();
+      } else {
+        Alert.alert('Error', result.error?.message ?? failureMessage);
+      }
+    },
+    [loadTasks],
+  );
+
+  const renderProposal = (task: Task) => {
+    if (!currentUser || !partner || !task.assignmentStatus) return null;
+
+    return (
+      <View key={task.id} style={styles.proposalRow} testID={`proposal-${task.id}`}>
+        <Text style={styles.redemptionTitle}>{task.title}</Text>
+        <Text style={styles.redemptionMeta}>
+          {task.timeEstimate ? `${task.timeEstimate} min` : 'No estimate'} ·{' '}
+          {task.dueDate ? `due ${new Date(task.dueDate).toLocaleDateString()}` : 'no due date'}
+        </Text>
+        {task.assignmentStatus === 'proposed' && (
+          <Text style={styles.pendingText}>Waiting for {partner.name} to accept</Text>
+        )}
+        {task.assignmentStatus === 'renegotiating' && (
+          <>
+            <Text style={styles.proposalStatus}>
+              {partner.name} suggested{' '}
+              {task.counterTimeEstimate ? `${task.counterTimeEstimate} min` : 'the same estimate'}
+              {task.counterDueDate
+                ? `, due ${new Date(task.counterDueDate).toLocaleDateString()}`
+                : ''}
+            </Text>
+            {task.assignmentNote && (
+              <Text style={styles.redemptionMeta}>“{task.assignmentNote}”</Text>
+            )}
+            <View style={styles.proposalActions}>
+              <TouchableOpacity
+                style={styles.proposalButton}
+                onPress={() => {
+                  answerProposal(
+                    () => TaskAssignmentService.acceptChanges(task, currentUser.id),
+                    'Failed to accept the changes',
+                  ).catch(() => {});
+                }}
+                testID={`accept-changes-${task.id}`}
+              >
+                <Text style={styles.proposalButtonText}>Accept changes</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.proposalButton}
+                onPress={() => {
+                  answerProposal(
+                    () => TaskAssignmentService.keepOriginal(task, currentUser.id),
+                    'Failed to keep the original plan',
+                  ).catch(() => {});
+                }}
+                testID={`keep-original-${task.id}`}
+              >
+                <Text style={styles.proposalButtonText}>Keep original</Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        )}
+        {task.assignmentStatus === 'declined' && (
+          <>
+            <Text style={styles.declinedText}>
+              {getAssignmentStatusLabel(task.assignmentStatus)}: “{task.assignmentNote}”
+            </Text>
+            <View style={styles.proposalActions}>
+              <TouchableOpacity
+                style={styles.proposalButton}
+                onPress={() => {
+                  answerProposal(
+                    () => TaskAssignmentService.withdraw(task, currentUser.id),
+                    'Failed to remove the proposal',
+                  ).catch(() => {});
+                }}
+                testID={`withdraw-${task.id}`}
+              >
+                <Text style={styles.proposalButtonText}>Remove</Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        )}
+      </View>
+    );
+  };
+
   const getPriorityColor = (priority: string): string => {
     switch (priority) {
       case TASK_PRIORITY.LOW:
@@ -313,6 +477,15 @@ const PartnerDashboardScreen = () => {
               {task.status === TASK_STATUS.IN_PROGRESS && (
                 <Text style={styles.inProgressText}>In Progress</Text>
               )}
+              {task.recurrence && (
+                <Text style={styles.recurrenceText}>
+                  🔁 {describeRecurrence(task.recurrence)}
+                  {(() => {
+                    const completions = getSeriesCompletionCount(task, allAssignedTasks);
+                    return completions > 0 ? ` · done ${completions}×` : '';
+                  })()}
+                </Text>
+              )}
             </View>
           </View>
         </View>
@@ -386,6 +559,13 @@ const PartnerDashboardScreen = () => {
         <Text style={styles.subtitle}>Tracking {stats.total} assigned tasks</Text>
       </View>
 
+      {proposals.length > 0 && (
+        <View style={styles.proposalsSection} testID="pending-proposals">
+          <Text style={styles.rewardsTitle}>Pending Proposals</Text>
+          {proposals.map(renderProposal)}
+        </View>
+      )}
+
       <View style={styles.statsContainer}>
         <View style={styles.statCard}>
           <Text style={styles.statValue}>{stats.completionRate}%</Text>
@@ -471,6 +651,61 @@ const PartnerDashboardScreen = () => {
         }
       />
 
+      <View style={styles.rewardsSection} testID="redemption-history">
+        <View style={styles.rewardsHeader}>
+          <Text style={styles.rewardsTitle}>Reward Redemptions</Text>
+          <TouchableOpacity
+            onPress={() => {
+              router.push('/profile/partnership/rewards');
+            }}
+          >
+            <Text style={styles.storeLink}>Rewards Store</Text>
+          </TouchableOpacity>
+        </View>
+        {redemptions.length === 0 && (
+          <Text style={styles.emptyTaskText}>No rewards redeemed yet</Text>
+        )}
+        {redemptions.map((redemption) => (
+          <View
+            key={redemption.id}
+            style={styles.redemptionRow}
+            testID={`redemption-${redemption.id}`}
+          >
+            <Ionicons
+              name={redemption.status === 'fulfilled' ? 'gift' : 'gift-outline'}
+              size={24}
+              color="#8E44AD"
+            />
+            <View style={styles.redemptionInfo}>
+              <Text style={styles.redemptionTitle}>{redemption.title}</Text>
+              <Text style={styles.redemptionMeta}>
+                {redemption.xpCost} XP · {redemption.redeemedAt.toLocaleDateString()}
+              </Text>
+              {redemption.status === 'fulfilled' && (
+                <Text style={styles.fulfilledText}>
+                  ✓ Fulfilled{' '}
+                  {redemption.fulfilledAt ? redemption.fulfilledAt.toLocaleDateString() : ''}
+                </Text>
+              )}
+              {redemption.status === 'requested' && currentUser?.id !== partnership?.partnerId && (
+                <Text style={styles.pendingText}>Waiting for {partner.name}</Text>
+              )}
+            </View>
+            {redemption.status === 'requested' && currentUser?.id === partnership?.partnerId && (
+              <TouchableOpacity
+                style={styles.fulfilButton}
+                onPress={() => {
+                  confirmFulfilment(redemption).catch(() => {});
+                }}
+                testID={`fulfil-${redemption.id}`}
+              >
+                <Text style={styles.fulfilButtonText}>Mark fulfilled</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        ))}
+      </View>
+
       <TouchableOpacity
         style={styles.assignButton}
         onPress={() => {
@@ -685,6 +920,10 @@ const styles = StyleSheet.create<Styles>({
     color: '#3498DB',
     fontWeight: '600',
   },
+  recurrenceText: {
+    fontSize: 12,
+    color: '#8E44AD',
+  },
   timeSpentText: {
     fontSize: 12,
     color: '#27AE60',
@@ -729,6 +968,110 @@ const styles = StyleSheet.create<Styles>({
     fontWeight: 'bold',
     marginLeft: 8,
   },
+  rewardsSection: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    marginHorizontal: 20,
+    marginTop: 8,
+    padding: 16,
+  },
+  rewardsHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  rewardsTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2C3E50',
+  },
+  storeLink: {
+    fontSize: 14,
+    color: '#3498DB',
+    fontWeight: '600',
+  },
+  redemptionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#F0F0F0',
+  },
+  redemptionInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  redemptionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2C3E50',
+  },
+  redemptionMeta: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginTop: 2,
+  },
+  fulfilledText: {
+    fontSize: 12,
+    color: '#27AE60',
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  pendingText: {
+    fontSize: 12,
+    color: '#E67E22',
+    marginTop: 2,
+  },
+  fulfilButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    backgroundColor: '#F4ECF7',
+    borderRadius: 20,
+  },
+  fulfilButtonText: {
+    fontSize: 14,
+    color: '#8E44AD',
+    fontWeight: '600',
+  },
+  proposalsSection: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    marginHorizontal: 20,
+    marginTop: 20,
+    padding: 16,
+  },
+  proposalRow: {
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#F0F0F0',
+  },
+  proposalStatus: {
+    fontSize: 14,
+    color: '#2C3E50',
+    marginTop: 4,
+  },
+  declinedText: {
+    fontSize: 14,
+    color: '#E74C3C',
+    marginTop: 4,
+  },
+  proposalActions: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 8,
+  },
+  proposalButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    backgroundColor: '#EBF5FB',
+    borderRadius: 20,
+  },
+  proposalButtonText: {
+    fontSize: 14,
+    color: '#3498DB',
+    fontWeight: '600',
+  },
   statItemActive: {
     backgroundColor: '#EBF5FB',
   },
@@ -0,0 +1,116 @@
+// ABOUTME: Opens a deadline change request from its notification so it can be answered
+// The assigner approves, rejects or suggests another date; the assignee answers a suggested date
+
+import React, { useState, useEffect, useCallback } from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import { View, Text, StyleSheet, ScrollView, ActivityIndicator } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { useLocalSearchParams } from 'expo-router';
+import UserStorageService from '../../../src/services/UserStorageService';
+import DeadlineChangeService from '../../../src/services/DeadlineChangeService';
+import LocalTaskStore from '../../../src/services/LocalTaskStore';
+import DeadlineChangePanel from '../../../src/components/DeadlineChangePanel';
+import type { User } from '../../../src/types/user.types';
+import type { DeadlineChangeRequest } from '../../../src/types/deadlineChange.types';
+
+interface Styles {
+  container: ViewStyle;
+  content: ViewStyle;
+  loadingContainer: ViewStyle;
+  emptyText: TextStyle;
+  taskTitle: TextStyle;
+}
+
+const DeadlineRequestScreen = () => {
+  const { requestId } = useLocalSearchParams<{ requestId: string }>();
+  const [currentUser, setCurrentUser] = useState<User | null>(null);
+  const [request, setRequest] = useState<DeadlineChangeRequest | null>(null);
+  const [loading, setLoading] = useState<boolean>(true);
+
+  const loadRequest = useCallback(async () => {
+    try {
+      const user = await UserStorageService.getCurrentUser();
+      setCurrentUser(user);
+      if (!user || !requestId) return;
+
+      const result = await DeadlineChangeService.getRequest(requestId);
+      setRequest(result.success && result.data ? result.data : null);
+    } catch (error) {
+      // Error loading deadline change request
+    } finally {
+      setLoading(false);
+    }
+  }, [requestId]);
+
+  useEffect(() => {
+    loadRequest().catch(() => {});
+  }, [loadRequest]);
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3498DB" />
+      </View>
+    );
+  }
+
+  if (!request || !currentUser) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Ionicons name="time-outline" size={64} color="#BDC3C7" />
+        <Text style={styles.emptyText} testID="deadline-request-missing">
+          This deadline change request is no longer available
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      <ScrollView
+        contentContainerStyle={styles.content}
+        showsVerticalScrollIndicator={false}
+        keyboardShouldPersistTaps="handled"
+      >
+        <Text style={styles.taskTitle}>{request.taskTitle}</Text>
+        {/* The assignee's own copy of the task lets them ask again once this one is settled */}
+        <DeadlineChangePanel
+          taskId={request.taskId}
+          userId={currentUser.id}
+          task={LocalTaskStore.getTask(request.taskId)}
+        />
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  content: {
+    padding: 20,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#7F8C8D',
+    marginTop: 16,
+    textAlign: 'center',
+  },
+  taskTitle: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#2C3E50',
+    marginBottom: 16,
+  },
+});
+
+export default DeadlineRequestScreen;
@@ -312,6 +312,36 @@ const PartnershipScreen = () => {
           <Text style={styles.actionButtonText}>View Progress</Text>
         </TouchableOpacity>
 
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => {
+            router.push('/profile/partnership/rewards');
+          }}
+        >
+          <Ionicons name="gift-outline" size={24} color="#3498DB" />
+          <Text style={styles.actionButtonText}>Rewards Store</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => {
+            router.push('/body-doubling');
+          }}
+        >
+          <Ionicons name="people-outline" size={24} color="#3498DB" />
+          <Text style={styles.actionButtonText}>Focus Together</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => {
+            router.push('/profile/partnership/check-ins');
+          }}
+        >
+          <Ionicons name="chatbubble-ellipses-outline" size={24} color="#3498DB" />
+          <Text style={styles.actionButtonText}>Check-Ins</Text>
+        </TouchableOpacity>
+
         <TouchableOpacity
           style={styles.actionButton}
           onPress={() => {
@@ -0,0 +1,420 @@
+// ABOUTME: Rewards store for a partnership where XP buys real-world rewards
+// The partner adds and removes offers; the ADHD user redeems them from their spendable XP
+
+import React, { useState, useEffect, useCallback } from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import UserStorageService from '../../../src/services/UserStorageService';
+import PartnershipService from '../../../src/services/PartnershipService';
+import PartnerRewardService from '../../../src/services/PartnerRewardService';
+import LevelService from '../../../src/services/LevelService';
+import type { Partnership, User } from '../../../src/types/user.types';
+import type { RewardOffer, RewardRedemption } from '../../../src/types/reward.types';
+import {
+  MAX_REWARD_TITLE_LENGTH,
+  canAffordReward,
+  getSpendableXP,
+  validateRewardOffer,
+} from '../../../src/utils/PartnerRewardModel';
+
+const RewardsStoreScreen = () => {
+  const [currentUser, setCurrentUser] = useState<User | null>(null);
+  const [partnership, setPartnership] = useState<Partnership | null>(null);
+  const [offers, setOffers] = useState<RewardOffer[]>([]);
+  const [redemptions, setRedemptions] = useState<RewardRedemption[]>([]);
+  const [lifetimeXP, setLifetimeXP] = useState<number>(
+    () => LevelService.getSnapshot().progress.totalXP,
+  );
+  const [loading, setLoading] = useState<boolean>(true);
+  const [title, setTitle] = useState<string>('');
+  const [xpCost, setXpCost] = useState<string>('');
+  const [saving, setSaving] = useState<boolean>(false);
+
+  useEffect(
+    () =>
+      LevelService.subscribe((snapshot) => {
+        setLifetimeXP(snapshot.progress.totalXP);
+      }),
+    [],
+  );
+
+  const loadStore = useCallback(async () => {
+    try {
+      const user = await UserStorageService.getCurrentUser();
+      setCurrentUser(user);
+      if (!user) return;
+
+      const partnershipResult = await PartnershipService.getActivePartnership(user.id);
+      const activePartnership = partnershipResult.success ? partnershipResult.data : null;
+      setPartnership(activePartnership ?? null);
+      if (!activePartnership) return;
+
+      const [offersResult, redemptionsResult] = await Promise.all([
+        PartnerRewardService.getOffers(activePartnership.id),
+        PartnerRewardService.getRedemptions(activePartnership.id),
+      ]);
+      if (offersResult.success) setOffers(offersResult.data ?? []);
+      if (redemptionsResult.success) setRedemptions(redemptionsResult.data ?? []);
+    } catch (error) {
+      // Error loading the store
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStore().catch(() => {});
+  }, [loadStore]);
+
+  const isPartner = Boolean(currentUser && partnership?.partnerId === currentUser.id);
+  const spendableXP = currentUser ? getSpendableXP(lifetimeXP, redemptions, currentUser.id) : 0;
+
+  const handleAddOffer = async () => {
+    if (!partnership || !currentUser) return;
+
+    const input = { title, xpCost: Number(xpCost) };
+    const validation = validateRewardOffer(input);
+    if (!validation.isValid) {
+      Alert.alert('Check the reward', validation.errors.join('\n'));
+      return;
+    }
+
+    setSaving(true);
+    const result = await PartnerRewardService.createOffer(partnership, currentUser.id, input);
+    setSaving(false);
+
+    if (result.success && result.data) {
+      const offer = result.data;
+      setOffers((current) => [...current, offer].sort((a, b) => a.xpCost - b.xpCost));
+      setTitle('');
+      setXpCost('');
+    } else {
+      Alert.alert('Error', result.error?.message ?? 'Failed to add reward');
+    }
+  };
+
+  const handleRetire = (offer: RewardOffer) => {
+    Alert.alert('Remove Reward', `Take "${offer.title}" out of the store?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: () => {
+          PartnerRewardService.retireOffer(offer.id)
+            .then((result) => {
+              if (result.success) {
+                setOffers((current) => current.filter(({ id }) => id !== offer.id));
+              } else {
+                Alert.alert('Error', result.error?.message ?? 'Failed to remove reward');
+              }
+            })
+            .catch(() => {});
+        },
+      },
+    ]);
+  };
+
+  const redeem = async (offer: RewardOffer) => {
+    if (!partnership || !currentUser) return;
+
+    const result = await PartnerRewardService.redeem(partnership, currentUser.id, offer);
+
+    if (result.success && result.data) {
+      const redemption = result.data;
+      setRedemptions((current) => [redemption, ...current]);
+      Alert.alert('Reward Redeemed! 🎁', 'Your partner has been told. Enjoy it!');
+    } else {
+      Alert.alert('Error', result.error?.message ?? 'Failed to redeem reward');
+    }
+  };
+
+  const handleRedeem = (offer: RewardOffer) => {
+    Alert.alert('Redeem Reward', `Spend ${offer.xpCost} XP on "${offer.title}"?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Redeem',
+        onPress: () => {
+          redeem(offer).catch(() => {});
+        },
+      },
+    ]);
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3498DB" />
+      </View>
+    );
+  }
+
+  if (!partnership) {
+    return (
+      <View style={styles.loadingContainer}>
+        <Ionicons name="gift-outline" size={64} color="#BDC3C7" />
+        <Text style={styles.emptyText}>Set up a partnership to use the rewards store</Text>
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      <ScrollView showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+        {!isPartner && (
+          <View style={styles.balanceCard} testID="reward-balance">
+            <Text style={styles.balanceValue}>{spendableXP} XP</Text>
+            <Text style={styles.balanceLabel}>to spend · {lifetimeXP} XP earned in total</Text>
+            <Text style={styles.balanceNote}>Spending XP never lowers your level</Text>
+          </View>
+        )}
+
+        {isPartner && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Add a reward</Text>
+            <TextInput
+              testID="reward-title-input"
+              style={styles.input}
+              value={title}
+              onChangeText={setTitle}
+              placeholder="e.g. Movie night of your choice"
+              placeholderTextColor="#BDC3C7"
+              maxLength={MAX_REWARD_TITLE_LENGTH}
+            />
+            <TextInput
+              testID="reward-cost-input"
+              style={styles.input}
+              value={xpCost}
+              onChangeText={setXpCost}
+              placeholder="XP cost"
+              placeholderTextColor="#BDC3C7"
+              keyboardType="number-pad"
+            />
+            <TouchableOpacity
+              style={[styles.primaryButton, saving && styles.disabledButton]}
+              onPress={() => {
+                handleAddOffer().catch(() => {});
+              }}
+              disabled={saving}
+              testID="add-reward-button"
+            >
+              <Text style={styles.primaryButtonText}>Add Reward</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>In the store</Text>
+          {offers.length === 0 && (
+            <Text style={styles.emptyOffers}>
+              {isPartner
+                ? 'Add rewards your partner can earn with XP'
+                : 'Your partner has not added any rewards yet'}
+            </Text>
+          )}
+          {offers.map((offer) => {
+            const affordable = canAffordReward(spendableXP, offer.xpCost);
+            return (
+              <View key={offer.id} style={styles.offerRow} testID={`offer-${offer.id}`}>
+                <Ionicons name="gift-outline" size={24} color="#8E44AD" />
+                <View style={styles.offerText}>
+                  <Text style={styles.offerTitle}>{offer.title}</Text>
+                  {offer.description ? (
+                    <Text style={styles.offerDescription}>{offer.description}</Text>
+                  ) : null}
+                  <Text style={styles.offerCost}>{offer.xpCost} XP</Text>
+                </View>
+                {isPartner ? (
+                  <TouchableOpacity
+                    onPress={() => {
+                      handleRetire(offer);
+                    }}
+                    testID={`retire-${offer.id}`}
+                    accessibilityRole="button"
+                    accessibilityLabel={`Remove ${offer.title}`}
+                  >
+                    <Ionicons name="trash-outline" size={20} color="#E74C3C" />
+                  </TouchableOpacity>
+                ) : (
+                  <TouchableOpacity
+                    style={[styles.redeemButton, !affordable && styles.disabledButton]}
+                    onPress={() => {
+                      handleRedeem(offer);
+                    }}
+                    disabled={!affordable}
+                    testID={`redeem-${offer.id}`}
+                    accessibilityRole="button"
+                    accessibilityLabel={`Redeem ${offer.title}`}
+                  >
+                    <Text style={styles.redeemText}>
+                      {affordable ? 'Redeem' : `${offer.xpCost - spendableXP} XP to go`}
+                    </Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            );
+          })}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+interface Styles {
+  container: ViewStyle;
+  loadingContainer: ViewStyle;
+  emptyText: TextStyle;
+  balanceCard: ViewStyle;
+  balanceValue: TextStyle;
+  balanceLabel: TextStyle;
+  balanceNote: TextStyle;
+  section: ViewStyle;
+  sectionTitle: TextStyle;
+  input: TextStyle;
+  primaryButton: ViewStyle;
+  primaryButtonText: TextStyle;
+  disabledButton: ViewStyle;
+  emptyOffers: TextStyle;
+  offerRow: ViewStyle;
+  offerText: ViewStyle;
+  offerTitle: TextStyle;
+  offerDescription: TextStyle;
+  offerCost: TextStyle;
+  redeemButton: ViewStyle;
+  redeemText: TextStyle;
+}
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#7F8C8D',
+    marginTop: 16,
+    textAlign: 'center',
+  },
+  balanceCard: {
+    backgroundColor: '#fff',
+    alignItems: 'center',
+    marginTop: 16,
+    paddingVertical: 20,
+  },
+  balanceValue: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#8E44AD',
+  },
+  balanceLabel: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    marginTop: 4,
+  },
+  balanceNote: {
+    fontSize: 12,
+    color: '#95A5A6',
+    marginTop: 8,
+  },
+  section: {
+    backgroundColor: '#fff',
+    marginTop: 16,
+    paddingVertical: 8,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#7F8C8D',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: '#2C3E50',
+    marginHorizontal: 20,
+    marginBottom: 12,
+  },
+  primaryButton: {
+    backgroundColor: '#3498DB',
+    borderRadius: 8,
+    padding: 14,
+    alignItems: 'center',
+    marginHorizontal: 20,
+    marginBottom: 8,
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  emptyOffers: {
+    fontSize: 14,
+    color: '#95A5A6',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  offerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  offerText: {
+    flex: 1,
+    marginLeft: 16,
+  },
+  offerTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2C3E50',
+  },
+  offerDescription: {
+    fontSize: 13,
+    color: '#7F8C8D',
+    marginTop: 2,
+  },
+  offerCost: {
+    fontSize: 13,
+    color: '#8E44AD',
+    fontWeight: '600',
+    marginTop: 4,
+  },
+  redeemButton: {
+    backgroundColor: '#8E44AD',
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+  },
+  redeemText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
+
+export default RewardsStoreScreen;
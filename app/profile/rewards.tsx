@@ -0,0 +1,240 @@
+// ABOUTME: Rewards screen listing the themes, celebrations and timer skins that levels unlock
+// Unlocked rewards can be put to use; locked ones show the level that unlocks them
+
+import React, { useState, useEffect } from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import { View, Text, StyleSheet, ScrollView, TouchableOpacity, Alert } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import LevelService from '../../src/services/LevelService';
+import type { LevelSnapshot } from '../../src/services/LevelService';
+import type { CosmeticKind, CosmeticReward } from '../../src/types/level.types';
+
+const SECTIONS: Array<{ kind: CosmeticKind; title: string }> = [
+  { kind: 'theme', title: 'Themes' },
+  { kind: 'celebration', title: 'Celebrations' },
+  { kind: 'timerSkin', title: 'Timer skins' },
+];
+
+const RewardPreview = ({ reward }: { reward: CosmeticReward }) => {
+  if (reward.kind === 'theme') {
+    return <View style={[styles.swatch, { backgroundColor: reward.accentColor }]} />;
+  }
+  if (reward.kind === 'timerSkin') {
+    return <View style={[styles.ring, { borderColor: reward.ringColor }]} />;
+  }
+  return (
+    <Text style={styles.previewEmoji}>
+      {reward.emoji ?? (reward.animation === 'confetti' ? '🎊' : '✨')}
+    </Text>
+  );
+};
+
+const RewardsScreen = () => {
+  const [snapshot, setSnapshot] = useState<LevelSnapshot>(() => LevelService.getSnapshot());
+
+  useEffect(() => LevelService.subscribe(setSnapshot), []);
+
+  const handleEquip = (reward: CosmeticReward) => {
+    LevelService.equipReward(reward.id)
+      .then((result) => {
+        if (!result.success) {
+          Alert.alert('Error', result.error?.message ?? 'Failed to use this reward');
+        }
+      })
+      .catch(() => {
+        Alert.alert('Error', 'Failed to use this reward');
+      });
+  };
+
+  const { progress, rewards } = snapshot;
+  const unlockedCount = rewards.filter((status) => status.unlockedAt).length;
+
+  return (
+    <SafeAreaView style={styles.container} edges={['bottom']}>
+      <ScrollView showsVerticalScrollIndicator={false}>
+        <View style={styles.summary} testID="rewards-summary">
+          <Text style={styles.summaryValue}>Level {progress.level}</Text>
+          <Text style={styles.summaryLabel}>
+            {unlockedCount} / {rewards.length} rewards unlocked
+          </Text>
+        </View>
+
+        {SECTIONS.map(({ kind, title }) => (
+          <View key={kind} style={styles.section}>
+            <Text style={styles.sectionTitle}>{title}</Text>
+            {rewards
+              .filter(({ reward }) => reward.kind === kind)
+              .map(({ reward, unlockedAt, equipped }) => {
+                const available = Boolean(unlockedAt) || reward.level === 1;
+                return (
+                  <View key={reward.id} style={styles.rewardRow} testID={`reward-${reward.id}`}>
+                    <View style={[styles.preview, !available && styles.locked]}>
+                      <RewardPreview reward={reward} />
+                    </View>
+                    <View style={styles.rewardText}>
+                      <Text style={[styles.rewardTitle, !available && styles.lockedTitle]}>
+                        {reward.title}
+                      </Text>
+                      <Text style={styles.rewardLevel}>Level {reward.level}</Text>
+                    </View>
+                    {equipped && (
+                      <Text style={styles.inUse} testID={`reward-equipped-${reward.id}`}>
+                        In use
+                      </Text>
+                    )}
+                    {!equipped && available && (
+                      <TouchableOpacity
+                        style={styles.equipButton}
+                        onPress={() => {
+                          handleEquip(reward);
+                        }}
+                        testID={`equip-${reward.id}`}
+                        accessibilityRole="button"
+                        accessibilityLabel={`Use ${reward.title}`}
+                      >
+                        <Text style={styles.equipText}>Use</Text>
+                      </TouchableOpacity>
+                    )}
+                    {!available && (
+                      <Text style={styles.lockedLabel} testID={`reward-locked-${reward.id}`}>
+                        🔒 Level {reward.level}
+                      </Text>
+                    )}
+                  </View>
+                );
+              })}
+          </View>
+        ))}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+interface Styles {
+  container: ViewStyle;
+  summary: ViewStyle;
+  summaryValue: TextStyle;
+  summaryLabel: TextStyle;
+  section: ViewStyle;
+  sectionTitle: TextStyle;
+  rewardRow: ViewStyle;
+  preview: ViewStyle;
+  locked: ViewStyle;
+  swatch: ViewStyle;
+  ring: ViewStyle;
+  previewEmoji: TextStyle;
+  rewardText: ViewStyle;
+  rewardTitle: TextStyle;
+  lockedTitle: TextStyle;
+  rewardLevel: TextStyle;
+  inUse: TextStyle;
+  equipButton: ViewStyle;
+  equipText: TextStyle;
+  lockedLabel: TextStyle;
+}
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  summary: {
+    backgroundColor: '#fff',
+    alignItems: 'center',
+    marginTop: 16,
+    paddingVertical: 16,
+  },
+  summaryValue: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#3498DB',
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginTop: 4,
+  },
+  section: {
+    backgroundColor: '#fff',
+    marginTop: 16,
+    paddingVertical: 8,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#7F8C8D',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+  },
+  rewardRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  preview: {
+    width: 40,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 16,
+  },
+  locked: {
+    opacity: 0.3,
+  },
+  swatch: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+  },
+  ring: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 4,
+    backgroundColor: '#1a1a1a',
+  },
+  previewEmoji: {
+    fontSize: 28,
+  },
+  rewardText: {
+    flex: 1,
+  },
+  rewardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  lockedTitle: {
+    color: '#7F8C8D',
+  },
+  rewardLevel: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginTop: 2,
+  },
+  inUse: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#27AE60',
+  },
+  equipButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#EBF5FB',
+  },
+  equipText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3498DB',
+  },
+  lockedLabel: {
+    fontSize: 14,
+    color: '#7F8C8D',
+  },
+});
+
+export default RewardsScreen;
@@ -0,0 +1,124 @@
+// ABOUTME: Tests for the sync status screen
+// Verifies queued and failed operations are listed and can be retried, discarded or synced
+
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor } from '@testing-library/react-native';
+import SyncStatusScreen from '../index';
+import OfflineQueueManager from '../../../src/services/OfflineQueueManager';
+import ConnectionMonitor from '../../../src/services/ConnectionMonitor';
+
+jest.mock('@expo/vector-icons', () => ({
+  Ionicons: () => 'Ionicons',
+}));
+
+jest.mock('../../../src/services/OfflineQueueManager', () => ({
+  __esModule: true,
+  default: {
+    getQueueStatus: jest.fn(),
+    getQueuedOperations: jest.fn(),
+    getDeadLetterOperations: jest.fn(),
+    subscribe: jest.fn(() => () => {}),
+    retryDeadLetterOperations: jest.fn(() => Promise.resolve()),
+    removeOperation: jest.fn(() => Promise.resolve(true)),
+    forceProcessQueue: jest.fn(() => Promise.resolve([])),
+  },
+}));
+
+jest.mock('../../../src/services/ConnectionMonitor', () => ({
+  __esModule: true,
+  default: {
+    refreshConnection: jest.fn(() => Promise.resolve(null)),
+  },
+}));
+
+jest.mock('../../../src/services/LocalTaskStore', () => ({
+  __esModule: true,
+  TASK_OPERATIONS: {
+    CREATE: 'task_create',
+    UPDATE: 'task_update',
+    DELETE: 'task_delete',
+  },
+  default: {
+    getTask: jest.fn((id) => (id === 'task-1' ? { id, title: 'Call the dentist' } : null)),
+  },
+}));
+
+const createOperation = (overrides = {}) => ({
+  id: 'op-1',
+  type: 'task_update',
+  data: { taskId: 'task-1' },
+  timestamp: new Date(),
+  retryCount: 0,
+  maxRetries: 10,
+  priority: 'high',
+  userId: 'user-123',
+  ...overrides,
+});
+
+describe('SyncStatusScreen', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    OfflineQueueManager.getQueueStatus.mockReturnValue({
+      queueLength: 1,
+      deadLetterLength: 1,
+      isProcessing: false,
+      isOnline: true,
+      isConnectionSlow: false,
+      queueByPriority: { high: 1, medium: 0, low: 0 },
+    });
+    OfflineQueueManager.getQueuedOperations.mockReturnValue([createOperation()]);
+    OfflineQueueManager.getDeadLetterOperations.mockReturnValue([
+      createOperation({
+        id: 'op-2',
+        type: 'task_create',
+        data: { taskId: 'task-2' },
+        retryCount: 10,
+        lastError: 'Failed to sync task create',
+      }),
+    ]);
+  });
+
+  it('should list queued and failed operations', () => {
+    const { getByText } = render(<SyncStatusScreen />);
+
+    expect(getByText('Task changes: "Call the dentist"')).toBeTruthy();
+    expect(getByText('New task')).toBeTruthy();
+    expect(getByText('Failed to sync task create')).toBeTruthy();
+    expect(getByText('Failed (1)')).toBeTruthy();
+    expect(getByText('Waiting to sync (1)')).toBeTruthy();
+  });
+
+  it('should retry a single failed operation or all of them', () => {
+    const { getByTestId } = render(<SyncStatusScreen />);
+
+    fireEvent.press(getByTestId('retry-operation-op-2'));
+    expect(OfflineQueueManager.retryDeadLetterOperations).toHaveBeenCalledWith('op-2');
+
+    fireEvent.press(getByTestId('retry-all-button'));
+    expect(OfflineQueueManager.retryDeadLetterOperations).toHaveBeenLastCalledWith(undefined);
+  });
+
+  it('should discard an operation after confirmation', () => {
+    const alertSpy = jest.spyOn(Alert, 'alert');
+    const { getByTestId } = render(<SyncStatusScreen />);
+
+    fireEvent.press(getByTestId('discard-operation-op-1'));
+    const buttons = alertSpy.mock.calls[0][2];
+    buttons.find((button) => button.text === 'Discard').onPress();
+
+    expect(OfflineQueueManager.removeOperation).toHaveBeenCalledWith('op-1');
+    alertSpy.mockRestore();
+  });
+
+  it('should re-check the connection and force a sync', async () => {
+    const { getByTestId } = render(<SyncStatusScreen />);
+
+    fireEvent.press(getByTestId('sync-now-button'));
+
+    await waitFor(() => {
+      expect(ConnectionMonitor.refreshConnection).toHaveBeenCalled();
+      expect(OfflineQueueManager.forceProcessQueue).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,417 @@
+// ABOUTME: Screen for inspecting changes that have not reached the server yet
+// Lists queued and failed sync operations with retry, discard and sync-now actions
+
+import React, { useState, useEffect, useCallback } from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import OfflineQueueManager from '../../src/services/OfflineQueueManager';
+import type { OfflineOperation, QueueStatus } from '../../src/services/OfflineQueueManager';
+import ConnectionMonitor from '../../src/services/ConnectionMonitor';
+import LocalTaskStore, { TASK_OPERATIONS } from '../../src/services/LocalTaskStore';
+import ConflictHistoryService from '../../src/services/ConflictHistoryService';
+import { getSyncStateDisplay } from '../../src/components/SyncStatusIndicator';
+
+interface Styles {
+  container: ViewStyle;
+  content: ViewStyle;
+  summary: ViewStyle;
+  summaryTitle: TextStyle;
+  summaryText: TextStyle;
+  syncButton: ViewStyle;
+  syncButtonDisabled: ViewStyle;
+  syncButtonText: TextStyle;
+  conflictBanner: ViewStyle;
+  conflictBannerText: TextStyle;
+  section: ViewStyle;
+  sectionHeader: ViewStyle;
+  sectionTitle: TextStyle;
+  sectionAction: TextStyle;
+  sectionHint: TextStyle;
+  operationItem: ViewStyle;
+  failedOperation: ViewStyle;
+  operationContent: ViewStyle;
+  operationTitle: TextStyle;
+  operationMeta: TextStyle;
+  operationError: TextStyle;
+  operationActions: ViewStyle;
+  actionButton: ViewStyle;
+  retryText: TextStyle;
+  discardText: TextStyle;
+  emptyState: ViewStyle;
+  emptyStateTitle: TextStyle;
+  emptyStateText: TextStyle;
+}
+
+const OPERATION_LABELS: Record<string, string> = {
+  [TASK_OPERATIONS.CREATE]: 'New task',
+  [TASK_OPERATIONS.CREATE_BATCH]: 'Brain dump',
+  [TASK_OPERATIONS.UPDATE]: 'Task changes',
+  [TASK_OPERATIONS.DELETE]: 'Deleted task',
+};
+
+const describeOperation = (operation: OfflineOperation): string => {
+  const label = OPERATION_LABELS[operation.type] ?? operation.type;
+  const data = operation.data as { taskId?: string; taskIds?: string[] } | null;
+  if (data?.taskIds) {
+    return `${label}: ${data.taskIds.length} ${data.taskIds.length === 1 ? 'task' : 'tasks'}`;
+  }
+  const task = data?.taskId ? LocalTaskStore.getTask(data.taskId) : null;
+  return task ? `${label}: "${task.title}"` : label;
+};
+
+const getTimeAgo = (timestamp: Date): string => {
+  const diffMins = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+  if (diffMins < 1) return 'Just now';
+  if (diffMins < 60) return `${diffMins}m ago`;
+  const diffHours = Math.floor(diffMins / 60);
+  if (diffHours < 24) return `${diffHours}h ago`;
+  return new Date(timestamp).toLocaleDateString();
+};
+
+const SyncStatusScreen = () => {
+  const router = useRouter();
+  const [status, setStatus] = useState<QueueStatus>(() => OfflineQueueManager.getQueueStatus());
+  const [queued, setQueued] = useState<OfflineOperation[]>(() =>
+    OfflineQueueManager.getQueuedOperations(),
+  );
+  const [failed, setFailed] = useState<OfflineOperation[]>(() =>
+    OfflineQueueManager.getDeadLetterOperations(),
+  );
+  const [syncing, setSyncing] = useState(false);
+  const [unresolvedConflicts, setUnresolvedConflicts] = useState<number>(
+    () => ConflictHistoryService.getUnresolvedConflicts().length,
+  );
+
+  useEffect(
+    () =>
+      OfflineQueueManager.subscribe((nextStatus) => {
+        setStatus(nextStatus);
+        setQueued(OfflineQueueManager.getQueuedOperations());
+        setFailed(OfflineQueueManager.getDeadLetterOperations());
+      }),
+    [],
+  );
+
+  useEffect(
+    () =>
+      ConflictHistoryService.subscribe((records) => {
+        setUnresolvedConflicts(records.filter((record) => record.status === 'unresolved').length);
+      }),
+    [],
+  );
+
+  const syncNow = useCallback(async () => {
+    setSyncing(true);
+    try {
+      // Re-check the network first so a stale "offline" doesn't block the sync
+      await ConnectionMonitor.refreshConnection();
+      await OfflineQueueManager.forceProcessQueue();
+    } finally {
+      setSyncing(false);
+    }
+  }, []);
+
+  const retryOperation = useCallback((operationId?: string) => {
+    OfflineQueueManager.retryDeadLetterOperations(operationId).catch(() => {});
+  }, []);
+
+  const discardOperation = useCallback((operation: OfflineOperation) => {
+    Alert.alert(
+      'Discard Change',
+      `${describeOperation(operation)} will not be saved to the server. This can't be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => {
+            OfflineQueueManager.removeOperation(operation.id).catch(() => {});
+          },
+        },
+      ],
+    );
+  }, []);
+
+  const renderOperation = (operation: OfflineOperation, isFailed: boolean) => (
+    <View
+      key={operation.id}
+      style={[styles.operationItem, isFailed && styles.failedOperation]}
+      testID={`sync-operation-${operation.id}`}
+    >
+      <View style={styles.operationContent}>
+        <Text style={styles.operationTitle}>{describeOperation(operation)}</Text>
+        <Text style={styles.operationMeta}>
+          {getTimeAgo(operation.timestamp)}
+          {operation.retryCount > 0 ? ` · ${operation.retryCount} attempts` : ''}
+        </Text>
+        {operation.lastError && (
+          <Text style={styles.operationError} numberOfLines={2}>
+            {operation.lastError}
+          </Text>
+        )}
+      </View>
+      <View style={styles.operationActions}>
+        {isFailed && (
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => {
+              retryOperation(operation.id);
+            }}
+            testID={`retry-operation-${operation.id}`}
+          >
+            <Text style={styles.retryText}>Retry</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => {
+            discardOperation(operation);
+          }}
+          testID={`discard-operation-${operation.id}`}
+        >
+          <Text style={styles.discardText}>Discard</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const display = getSyncStateDisplay(status);
+  const isEmpty = queued.length === 0 && failed.length === 0;
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={styles.summary}>
+        <Ionicons name={display.icon} size={40} color={display.color} />
+        <Text style={styles.summaryTitle}>{display.label}</Text>
+        <Text style={styles.summaryText}>
+          {status.isOnline
+            ? 'Changes sync automatically while you are online.'
+            : "You're offline. Changes are saved on this device and will sync when you reconnect."}
+        </Text>
+        <TouchableOpacity
+          style={[styles.syncButton, (syncing || isEmpty) && styles.syncButtonDisabled]}
+          onPress={() => {
+            syncNow().catch(() => {});
+          }}
+          disabled={syncing || isEmpty}
+          testID="sync-now-button"
+        >
+          <Text style={styles.syncButtonText}>{syncing ? 'Syncing...' : 'Sync Now'}</Text>
+        </TouchableOpacity>
+      </View>
+
+      <TouchableOpacity
+        style={styles.conflictBanner}
+        onPress={() => {
+          router.push('/conflicts');
+        }}
+        testID="conflicts-link"
+      >
+        <Ionicons
+          name="git-compare-outline"
+          size={20}
+          color={unresolvedConflicts > 0 ? '#E67E22' : '#7F8C8D'}
+        />
+        <Text style={styles.conflictBannerText}>
+          {unresolvedConflicts > 0
+            ? `${unresolvedConflicts} ${unresolvedConflicts === 1 ? 'conflict needs' : 'conflicts need'} review`
+            : 'Conflict history'}
+        </Text>
+        <Ionicons name="chevron-forward" size={20} color="#BDC3C7" />
+      </TouchableOpacity>
+
+      {failed.length > 0 && (
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>Failed ({failed.length})</Text>
+            <TouchableOpacity
+              onPress={() => {
+                retryOperation();
+              }}
+              testID="retry-all-button"
+            >
+              <Text style={styles.sectionAction}>Retry All</Text>
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.sectionHint}>
+            These changes stopped retrying. Your data is still on this device.
+          </Text>
+          {failed.map((operation) => renderOperation(operation, true))}
+        </View>
+      )}
+
+      {queued.length > 0 && (
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>Waiting to sync ({queued.length})</Text>
+          </View>
+          {queued.map((operation) => renderOperation(operation, false))}
+        </View>
+      )}
+
+      {isEmpty && (
+        <View style={styles.emptyState}>
+          <Text style={styles.emptyStateTitle}>Everything is saved</Text>
+          <Text style={styles.emptyStateText}>All your changes have reached the server.</Text>
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+  content: {
+    paddingBottom: 32,
+  },
+  summary: {
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 24,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E9ECEF',
+  },
+  summaryTitle: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: '#2C3E50',
+    marginTop: 8,
+  },
+  summaryText: {
+    fontSize: 15,
+    color: '#7F8C8D',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  syncButton: {
+    marginTop: 16,
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 8,
+    backgroundColor: '#3498DB',
+  },
+  syncButtonDisabled: {
+    opacity: 0.5,
+  },
+  syncButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  conflictBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    marginHorizontal: 16,
+    marginTop: 16,
+    borderRadius: 12,
+  },
+  conflictBannerText: {
+    flex: 1,
+    fontSize: 15,
+    color: '#2C3E50',
+    marginLeft: 8,
+  },
+  section: {
+    marginTop: 16,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2C3E50',
+  },
+  sectionAction: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#3498DB',
+  },
+  sectionHint: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    paddingHorizontal: 20,
+    marginBottom: 8,
+  },
+  operationItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    marginHorizontal: 16,
+    marginVertical: 4,
+    borderRadius: 12,
+  },
+  failedOperation: {
+    borderWidth: 1,
+    borderColor: '#FADBD8',
+  },
+  operationContent: {
+    flex: 1,
+  },
+  operationTitle: {
+    fontSize: 15,
+    color: '#2C3E50',
+    fontWeight: '500',
+  },
+  operationMeta: {
+    fontSize: 13,
+    color: '#7F8C8D',
+    marginTop: 2,
+  },
+  operationError: {
+    fontSize: 13,
+    color: '#E74C3C',
+    marginTop: 4,
+  },
+  operationActions: {
+    flexDirection: 'row',
+    marginLeft: 8,
+  },
+  actionButton: {
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+  },
+  retryText: {
+    color: '#3498DB',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  discardText: {
+    color: '#E74C3C',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingHorizontal: 40,
+    paddingTop: 40,
+  },
+  emptyStateTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#7F8C8D',
+    marginBottom: 8,
+  },
+  emptyStateText: {
+    fontSize: 15,
+    color: '#95A5A6',
+    textAlign: 'center',
+  },
+});
+
+export default SyncStatusScreen;
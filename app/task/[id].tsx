@@ -1,5 +1,5 @@
 // ABOUTME: Screen for editing existing tasks with ADHD-friendly UI
-// Provides form inputs to modify task details and delete functionality
+// Provides form inputs to modify task details, ask for a new due date on assigned tasks and delete
 
 import React, { useState, useEffect } from 'react';
 import type { ViewStyle, TextStyle } from 'react-native';
@@ -16,20 +16,47 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import { useRouter, useLocalSearchParams } from 'expo-router';
-import type { TaskCategory, TimePreset, Task } from '../../src/types/task.types';
-import { TASK_CATEGORIES, TIME_PRESETS } from '../../src/types/task.types';
-import { useTasks } from '../../src/contexts';
+import type { DateTimePickerEvent } from '@react-native-community/datetimepicker';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import type { TaskCategory, TimePreset, Task, ReminderPreset } from '../../src/types/task.types';
+import { TIME_PRESETS, REMINDER_PRESETS } from '../../src/types/task.types';
+import { useTasks, useCategories, useUser } from '../../src/contexts';
+import { createSubtask, getSubtasks, getNextSortOrder } from '../../src/utils/TaskModel';
+import {
+  addQuickReminder,
+  formatReminderTime,
+  getNextTimeOfDay,
+  getPresetReminderTime,
+  getTaskReminderTimes,
+} from '../../src/utils/ReminderModel';
+import type { ReminderSlot } from '../../src/utils/ReminderModel';
+import LocalTaskStore from '../../src/services/LocalTaskStore';
+import FocusSessionService from '../../src/services/FocusSessionService';
+import type { FocusSession } from '../../src/types/focus.types';
+import { describeFocusSession, getTotalFocusMinutes } from '../../src/utils/FocusSessionModel';
+import { formatTimeEstimate } from '../../src/utils/QuickCaptureParser';
+import DeadlineChangePanel from '../../src/components/DeadlineChangePanel';
 
 const EditTaskScreen = () => {
   const router = useRouter();
   const { id, task: taskParam } = useLocalSearchParams<{ id: string; task?: string }>();
-  const { updateTask, deleteTask, tasks } = useTasks();
+  const { updateTask, deleteTask, addTask, tasks } = useTasks();
+  const { categories } = useCategories();
+  const { user } = useUser();
 
   const [loading, setLoading] = useState<boolean>(false);
   const [title, setTitle] = useState<string>('');
   const [description, setDescription] = useState<string>('');
   const [selectedCategory, setSelectedCategory] = useState<string | null>(null);
   const [selectedTimePreset, setSelectedTimePreset] = useState<number | null>(null);
+  const [newStepTitle, setNewStepTitle] = useState<string>('');
+  const [reminders, setReminders] = useState<Pick<Task, ReminderSlot>>({
+    reminder1: null,
+    reminder2: null,
+    reminderCustom: null,
+  });
+  const [showCustomReminderPicker, setShowCustomReminderPicker] = useState<boolean>(false);
+  const [focusSessions, setFocusSessions] = useState<FocusSession[]>([]);
 
   // Find the task from the context or parse from params
   const task = React.useMemo(() => {
@@ -55,6 +82,9 @@ const EditTaskScreen = () => {
           dueDate?: string | null;
           preferredStartTime?: string | null;
           startedAt?: string | null;
+          reminder1?: string | null;
+          reminder2?: string | null;
+          reminderCustom?: string | null;
           partnerId?: string | null;
           urgency?: string | null;
           actualTimeSpent?: number | null;
@@ -73,6 +103,9 @@ const EditTaskScreen = () => {
             ? new Date(parsed.preferredStartTime)
             : null,
           startedAt: parsed.startedAt ? new Date(parsed.startedAt) : null,
+          reminder1: parsed.reminder1 ? new Date(parsed.reminder1) : null,
+          reminder2: parsed.reminder2 ? new Date(parsed.reminder2) : null,
+          reminderCustom: parsed.reminderCustom ? new Date(parsed.reminderCustom) : null,
         } as Task;
       } catch (e) {
         console.error('Failed to parse task from params:', e);
@@ -82,6 +115,8 @@ const EditTaskScreen = () => {
     return null;
   }, [id, taskParam, tasks]);
 
+  const steps = React.useMemo(() => (task ? getSubtasks(task.id, tasks) : []), [task, tasks]);
+
   // Initialize form with task data
   useEffect(() => {
     if (task) {
@@ -89,9 +124,51 @@ const EditTaskScreen = () => {
       setDescription(task.description || '');
       setSelectedCategory(task.category);
       setSelectedTimePreset(task.timeEstimate);
+      setReminders({
+        reminder1: task.reminder1 ?? null,
+        reminder2: task.reminder2 ?? null,
+        reminderCustom: task.reminderCustom ?? null,
+      });
     }
   }, [task]);
 
+  const taskId = task?.id;
+  useEffect(() => {
+    if (!taskId || !user) return undefined;
+
+    let cancelled = false;
+    FocusSessionService.getTaskSessions(user.id, taskId)
+      .then((result) => {
+        if (!cancelled && result.success && result.data) {
+          setFocusSessions(result.data);
+        }
+      })
+      .catch((error) => {
+        if (global.__DEV__) {
+          console.error('Failed to load focus sessions:', error);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [taskId, user]);
+
+  const handleAddQuickReminder = (preset: ReminderPreset): void => {
+    setReminders((prev) => ({ ...prev, ...addQuickReminder(prev, getPresetReminderTime(preset)) }));
+  };
+
+  const handleCustomReminderChange = (event: DateTimePickerEvent, selectedTime?: Date): void => {
+    setShowCustomReminderPicker(false);
+    if (event.type === 'set' && selectedTime) {
+      setReminders((prev) => ({ ...prev, reminderCustom: getNextTimeOfDay(selectedTime) }));
+    }
+  };
+
+  const handleClearReminder = (slot: ReminderSlot): void => {
+    setReminders((prev) => ({ ...prev, [slot]: null }));
+  };
+
   const handleSave = (): void => {
     if (!title.trim()) {
       Alert.alert('Error', 'Please enter a task title');
@@ -111,6 +188,10 @@ const EditTaskScreen = () => {
           description: description.trim(),
           category: selectedCategory,
           timeEstimate: selectedTimePreset,
+          // Saving from here counts as sorting a brain-dump task out of the inbox
+          inbox: false,
+          // Changed reminder times are rescheduled as soon as the task is saved
+          ...reminders,
         });
         router.back();
       } catch (error) {
@@ -124,13 +205,56 @@ const EditTaskScreen = () => {
     });
   };
 
+  const handleAddStep = (): void => {
+    if (!task || !newStepTitle.trim()) {
+      return;
+    }
+
+    const doAdd = async (): Promise<void> => {
+      try {
+        await addTask(createSubtask(task, { title: newStepTitle.trim() }, getNextSortOrder(steps)));
+        setNewStepTitle('');
+      } catch (error) {
+        Alert.alert('Error', 'Failed to add step. Please try again.');
+      }
+    };
+    doAdd().catch(() => {
+      // Error already handled in the function
+    });
+  };
+
+  const handleMoveStepUp = (index: number): void => {
+    if (!task || index <= 0) {
+      return;
+    }
+
+    const orderedIds = steps.map((step) => step.id);
+    [orderedIds[index - 1], orderedIds[index]] = [orderedIds[index], orderedIds[index - 1]];
+
+    const doReorder = async (): Promise<void> => {
+      // The local store updates the task list as soon as the new order is saved
+      const success = await LocalTaskStore.reorderSubtasks(task.id, orderedIds);
+      if (!success) {
+        Alert.alert('Error', 'Failed to reorder steps. Please try again.');
+      }
+    };
+    doReorder().catch(() => {
+      // Error already handled in the function
+    });
+  };
+
   const handleDelete = (): void => {
     if (!task) {
       Alert.alert('Error', 'Task not found');
       return;
     }
 
-    Alert.alert('Delete Task', 'Are you sure you want to delete this task?', [
+    const deleteMessage =
+      steps.length > 0
+        ? `Are you sure you want to delete this task and its ${steps.length} steps?`
+        : 'Are you sure you want to delete this task?';
+
+    Alert.alert('Delete Task', deleteMessage, [
       { text: 'Cancel', style: 'cancel' },
       {
         text: 'Delete',
@@ -202,7 +326,7 @@ const EditTaskScreen = () => {
 
           <Text style={styles.label}>Category</Text>
           <View style={styles.categoryContainer} testID="category-selector">
-            {Object.values(TASK_CATEGORIES).map((category: TaskCategory) => (
+            {categories.map((category: TaskCategory) => (
               <TouchableOpacity
                 key={category.id}
                 testID={`category-${category.id}`}
@@ -239,6 +363,138 @@ const EditTaskScreen = () => {
               </TouchableOpacity>
             ))}
           </View>
+
+          <Text style={styles.label}>Reminders</Text>
+          <View testID="reminder-list">
+            {getTaskReminderTimes({ ...task, ...reminders }).map(({ slot, remindAt }) => (
+              <View key={slot} style={styles.reminderRow} testID={`reminder-row-${slot}`}>
+                <Text style={styles.reminderText}>
+                  {slot === 'reminderCustom' ? '⏰ ' : '🔔 '}
+                  {formatReminderTime(remindAt)}
+                </Text>
+                <TouchableOpacity
+                  testID={`reminder-clear-${slot}`}
+                  onPress={() => {
+                    handleClearReminder(slot);
+                  }}
+                  accessibilityLabel="Remove reminder"
+                  accessibilityRole="button"
+                >
+                  <Text style={styles.reminderClearText}>✕</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+          <View style={styles.timeContainer} testID="reminder-selector">
+            {REMINDER_PRESETS.map((preset: ReminderPreset) => (
+              <TouchableOpacity
+                key={preset.id}
+                testID={`reminder-${preset.id}`}
+                style={styles.timeButton}
+                onPress={() => {
+                  handleAddQuickReminder(preset);
+                }}
+                accessibilityLabel={`Remind me ${preset.label.toLowerCase()}`}
+                accessibilityRole="button"
+              >
+                <Text style={styles.timeText}>{preset.label}</Text>
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity
+              testID="reminder-custom-button"
+              style={styles.timeButton}
+              onPress={() => {
+                setShowCustomReminderPicker(true);
+              }}
+              accessibilityLabel="Pick a reminder time"
+              accessibilityRole="button"
+            >
+              <Text style={styles.timeText}>Pick a time…</Text>
+            </TouchableOpacity>
+          </View>
+
+          {/* The due date of an assigned task only moves once whoever assigned it agrees */}
+          {task.assignedBy && user && (
+            <DeadlineChangePanel taskId={task.id} userId={user.id} task={task} />
+          )}
+
+          {!task.parentId && (
+            <>
+              <Text style={styles.label}>
+                Steps
+                {steps.length > 0
+                  ? ` (${steps.filter((s) => s.completed).length}/${steps.length})`
+                  : ''}
+              </Text>
+              <View testID="step-list">
+                {steps.map((step, index) => (
+                  <View key={step.id} style={styles.stepRow} testID={`step-${step.id}`}>
+                    <Text style={[styles.stepTitle, step.completed && styles.stepCompleted]}>
+                      {step.completed ? '✓ ' : `${index + 1}. `}
+                      {step.title}
+                    </Text>
+                    {index > 0 && (
+                      <TouchableOpacity
+                        testID={`step-move-up-${step.id}`}
+                        onPress={() => {
+                          handleMoveStepUp(index);
+                        }}
+                        accessibilityLabel={`Move ${step.title} up`}
+                        accessibilityRole="button"
+                      >
+                        <Text style={styles.stepMoveText}>↑</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                ))}
+              </View>
+              <View style={styles.addStepRow}>
+                <TextInput
+                  testID="new-step-input"
+                  style={[styles.input, styles.stepInput]}
+                  placeholder="Break it down: add a small step"
+                  value={newStepTitle}
+                  onChangeText={setNewStepTitle}
+                  onSubmitEditing={handleAddStep}
+                  maxLength={100}
+                />
+                <TouchableOpacity
+                  testID="add-step-button"
+                  style={[styles.addStepButton, !newStepTitle.trim() && styles.disabledButton]}
+                  onPress={handleAddStep}
+                  disabled={!newStepTitle.trim()}
+                  accessibilityLabel="Add step"
+                  accessibilityRole="button"
+                >
+                  <Text style={styles.addStepButtonText}>Add</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          )}
+
+          {focusSessions.length > 0 && (
+            <View testID="focus-sessions">
+              <Text style={styles.label}>
+                Focus Sessions ({formatTimeEstimate(getTotalFocusMinutes(focusSessions))} total)
+              </Text>
+              {focusSessions.map((session) => (
+                <View
+                  key={session.id}
+                  style={styles.sessionRow}
+                  testID={`focus-session-${session.id}`}
+                >
+                  <Text style={styles.sessionDate}>
+                    {session.startedAt.toLocaleDateString()}{' '}
+                    {session.startedAt.toLocaleTimeString([], {
+                      hour: 'numeric',
+                      minute: '2-digit',
+                    })}
+                  </Text>
+                  <Text style={styles.sessionDetails}>{describeFocusSession(session)}</Text>
+                </View>
+              ))}
+            </View>
+          )}
         </View>
       </ScrollView>
 
@@ -256,6 +512,15 @@ const EditTaskScreen = () => {
           <Text style={styles.saveButtonText}>Update Task</Text>
         </TouchableOpacity>
       </View>
+
+      {showCustomReminderPicker && (
+        <DateTimePicker
+          value={reminders.reminderCustom ?? new Date()}
+          mode="time"
+          display="default"
+          onChange={handleCustomReminderChange}
+        />
+      )}
     </KeyboardAvoidingView>
   );
 };
@@ -279,6 +544,20 @@ interface Styles {
   timeButton: ViewStyle;
   selectedTime: ViewStyle;
   timeText: TextStyle;
+  reminderRow: ViewStyle;
+  reminderText: TextStyle;
+  reminderClearText: TextStyle;
+  stepRow: ViewStyle;
+  stepTitle: TextStyle;
+  stepCompleted: TextStyle;
+  stepMoveText: TextStyle;
+  sessionRow: ViewStyle;
+  sessionDate: TextStyle;
+  sessionDetails: TextStyle;
+  addStepRow: ViewStyle;
+  stepInput: TextStyle;
+  addStepButton: ViewStyle;
+  addStepButtonText: TextStyle;
   buttonContainer: ViewStyle;
   saveButton: ViewStyle;
   disabledButton: ViewStyle;
@@ -381,6 +660,80 @@ const styles = StyleSheet.create<Styles>({
     fontSize: 14,
     color: '#333',
   },
+  reminderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  reminderText: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+  },
+  reminderClearText: {
+    fontSize: 16,
+    color: '#999',
+    paddingHorizontal: 8,
+  },
+  stepRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  stepTitle: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+  },
+  stepCompleted: {
+    textDecorationLine: 'line-through',
+    color: '#999',
+  },
+  stepMoveText: {
+    fontSize: 18,
+    color: '#4ECDC4',
+    paddingHorizontal: 8,
+  },
+  sessionRow: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  sessionDate: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 4,
+  },
+  sessionDetails: {
+    fontSize: 16,
+    color: '#333',
+  },
+  addStepRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 8,
+  },
+  stepInput: {
+    flex: 1,
+  },
+  addStepButton: {
+    backgroundColor: '#4ECDC4',
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+  },
+  addStepButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
   buttonContainer: {
     flexDirection: 'row',
     padding: 20,
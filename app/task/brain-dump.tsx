@@ -0,0 +1,11 @@
+// ABOUTME: Screen for dumping many tasks at once when everything feels like too much
+// Uses BrainDumpContainer to split, review and save the tasks in one batch
+
+import React from 'react';
+import BrainDumpContainer from '../../src/components/BrainDumpContainer';
+
+const BrainDumpScreen = () => {
+  return <BrainDumpContainer />;
+};
+
+export default BrainDumpScreen;
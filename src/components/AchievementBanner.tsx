@@ -0,0 +1,119 @@
+// ABOUTME: Banner shown near the bottom of the app when the user unlocks an achievement
+// Lets the user open the achievements gallery or dismiss the banner
+
+import React from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import { useNotifications } from '../contexts/NotificationContext';
+
+interface Styles {
+  container: ViewStyle;
+  icon: TextStyle;
+  textContainer: ViewStyle;
+  label: TextStyle;
+  title: TextStyle;
+  description: TextStyle;
+  closeButton: ViewStyle;
+}
+
+const AchievementBanner = () => {
+  const router = useRouter();
+  const { unlockedAchievements, dismissAchievement } = useNotifications();
+
+  const achievement = unlockedAchievements[0];
+  if (!achievement) {
+    return null;
+  }
+
+  const waiting = unlockedAchievements.length - 1;
+
+  return (
+    <TouchableOpacity
+      style={styles.container}
+      onPress={() => {
+        dismissAchievement(achievement.id);
+        router.push('/profile/achievements');
+      }}
+      testID="achievement-banner"
+      accessibilityRole="button"
+      accessibilityLabel={`Achievement unlocked: ${achievement.title}`}
+    >
+      <Text style={styles.icon}>{achievement.icon}</Text>
+      <View style={styles.textContainer}>
+        <Text style={styles.label}>
+          Achievement unlocked · +{achievement.xp} XP
+          {waiting > 0 ? ` · ${waiting} more` : ''}
+        </Text>
+        <Text style={styles.title}>{achievement.title}</Text>
+        <Text style={styles.description}>{achievement.description}</Text>
+      </View>
+      <TouchableOpacity
+        style={styles.closeButton}
+        onPress={() => {
+          dismissAchievement(achievement.id);
+        }}
+        hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+        testID="achievement-dismiss"
+        accessibilityLabel="Dismiss achievement"
+        accessibilityRole="button"
+      >
+        <Ionicons name="close" size={20} color="#B7950B" />
+      </TouchableOpacity>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    position: 'absolute',
+    bottom: 100, // Clear of the tab bar
+    left: 16,
+    right: 16,
+    zIndex: 9997,
+    elevation: 10,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FEF9E7',
+    borderRadius: 12,
+    padding: 12,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+  },
+  icon: {
+    fontSize: 32,
+    marginRight: 12,
+  },
+  textContainer: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#B7950B',
+    textTransform: 'uppercase',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2C3E50',
+    marginTop: 2,
+  },
+  description: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    marginTop: 2,
+  },
+  closeButton: {
+    marginLeft: 8,
+    padding: 4,
+  },
+});
+
+export default AchievementBanner;
@@ -0,0 +1,104 @@
+// ABOUTME: Container component for BrainDumpView that manages the dump and review state
+// Splits the text into items, tracks the user's edits and saves everything as one batch
+
+import React, { useState } from 'react';
+import { Alert } from 'react-native';
+import { useRouter } from 'expo-router';
+import { useUser, useTasks, useCategories } from '../contexts';
+import BrainDumpView from './BrainDumpView';
+import { createBrainDumpItems, buildBrainDumpTasks } from '../utils/BrainDumpModel';
+import type { BrainDumpItem } from '../utils/BrainDumpModel';
+
+export const BrainDumpContainer: React.FC = () => {
+  const router = useRouter();
+  const { user } = useUser();
+  const { tasks, addTasks } = useTasks();
+  const { categories } = useCategories();
+
+  const [text, setText] = useState<string>('');
+  const [items, setItems] = useState<BrainDumpItem[] | null>(null);
+  const [saving, setSaving] = useState<boolean>(false);
+
+  const updateItem = (key: string, update: (item: BrainDumpItem) => BrainDumpItem): void => {
+    setItems((prev) => prev?.map((item) => (item.key === key ? update(item) : item)) ?? null);
+  };
+
+  const handleReview = (): void => {
+    const nextItems = createBrainDumpItems(text, { categories, existingTasks: tasks });
+    if (nextItems.length === 0) {
+      Alert.alert('Nothing to add', 'Type at least one task first');
+      return;
+    }
+    setItems(nextItems);
+  };
+
+  // Picking the selected category or estimate again clears it
+  const handleCategorySelect = (key: string, categoryId: string): void => {
+    updateItem(key, (item) => ({
+      ...item,
+      category: item.category === categoryId ? null : categoryId,
+    }));
+  };
+
+  const handleTimeSelect = (key: string, minutes: number): void => {
+    updateItem(key, (item) => ({
+      ...item,
+      timeEstimate: item.timeEstimate === minutes ? null : minutes,
+    }));
+  };
+
+  const handleSave = async (): Promise<void> => {
+    if (!items) return;
+
+    if (!user) {
+      Alert.alert('Error', 'No user logged in');
+      return;
+    }
+
+    const newTasks = buildBrainDumpTasks(items, user.id, categories);
+    if (newTasks.length === 0) {
+      Alert.alert('Error', 'Pick at least one task to save');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await addTasks(newTasks);
+      router.back();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to save tasks. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <BrainDumpView
+      text={text}
+      items={items}
+      categories={categories}
+      saving={saving}
+      onTextChange={setText}
+      onReview={handleReview}
+      onEditText={() => {
+        setItems(null);
+      }}
+      onToggleItem={(key) => {
+        updateItem(key, (item) => ({ ...item, included: !item.included }));
+      }}
+      onItemTitleChange={(key, title) => {
+        updateItem(key, (item) => ({ ...item, title }));
+      }}
+      onItemCategorySelect={handleCategorySelect}
+      onItemTimeSelect={handleTimeSelect}
+      onSave={() => {
+        void handleSave();
+      }}
+      onCancel={() => {
+        router.back();
+      }}
+    />
+  );
+};
+
+export default BrainDumpContainer;
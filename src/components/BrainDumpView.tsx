@@ -0,0 +1,504 @@
+// ABOUTME: Pure presentation component for brain-dump task capture
+// Shows the free-text box, then a review list to dedupe, categorize and estimate every item
+
+import React from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { TIME_PRESETS } from '../constants/TaskConstants';
+import type { TaskCategory } from '../types/task.types';
+import { DEFAULT_CATEGORIES } from '../utils/CategoryModel';
+import { isTriaged } from '../utils/BrainDumpModel';
+import type { BrainDumpItem } from '../utils/BrainDumpModel';
+
+interface BrainDumpViewProps {
+  text: string;
+  // Null while the user is still writing
+  items: BrainDumpItem[] | null;
+  categories?: TaskCategory[];
+  saving?: boolean;
+  onTextChange: (text: string) => void;
+  onReview: () => void;
+  onEditText: () => void;
+  onToggleItem: (key: string) => void;
+  onItemTitleChange: (key: string, title: string) => void;
+  onItemCategorySelect: (key: string, categoryId: string) => void;
+  onItemTimeSelect: (key: string, minutes: number) => void;
+  onSave: () => void;
+  onCancel: () => void;
+}
+
+interface Styles {
+  container: ViewStyle;
+  scrollView: ViewStyle;
+  formContainer: ViewStyle;
+  label: TextStyle;
+  hint: TextStyle;
+  input: TextStyle;
+  dumpInput: TextStyle;
+  summary: TextStyle;
+  item: ViewStyle;
+  itemExcluded: ViewStyle;
+  itemHeader: ViewStyle;
+  checkbox: ViewStyle;
+  checkboxChecked: ViewStyle;
+  checkboxText: TextStyle;
+  itemTitle: TextStyle;
+  badges: ViewStyle;
+  badge: ViewStyle;
+  duplicateBadge: ViewStyle;
+  badgeText: TextStyle;
+  chipRow: ViewStyle;
+  chip: ViewStyle;
+  chipSelected: ViewStyle;
+  chipText: TextStyle;
+  chipTextSelected: TextStyle;
+  actions: ViewStyle;
+  actionButton: ViewStyle;
+  cancelButton: ViewStyle;
+  saveButton: ViewStyle;
+  saveButtonDisabled: ViewStyle;
+  actionButtonText: TextStyle;
+  saveButtonText: TextStyle;
+  saveButtonTextDisabled: TextStyle;
+}
+
+const ESTIMATE_PRESETS = TIME_PRESETS.filter((preset) => preset.minutes !== null);
+
+interface ReviewItemProps {
+  item: BrainDumpItem;
+  categories: TaskCategory[];
+  onToggle: () => void;
+  onTitleChange: (title: string) => void;
+  onCategorySelect: (categoryId: string) => void;
+  onTimeSelect: (minutes: number) => void;
+}
+
+const ReviewItem: React.FC<ReviewItemProps> = ({
+  item,
+  categories,
+  onToggle,
+  onTitleChange,
+  onCategorySelect,
+  onTimeSelect,
+}) => (
+  <View testID={`item-${item.key}`} style={[styles.item, !item.included && styles.itemExcluded]}>
+    <View style={styles.itemHeader}>
+      <TouchableOpacity
+        testID={`toggle-${item.key}`}
+        style={[styles.checkbox, item.included && styles.checkboxChecked]}
+        onPress={onToggle}
+        accessible
+        accessibilityLabel={`Keep ${item.title}`}
+        accessibilityRole="checkbox"
+        accessibilityState={{ checked: item.included }}
+      >
+        {item.included && <Text style={styles.checkboxText}>✓</Text>}
+      </TouchableOpacity>
+      <TextInput
+        testID={`title-${item.key}`}
+        style={styles.itemTitle}
+        value={item.title}
+        onChangeText={onTitleChange}
+        maxLength={100}
+        accessible
+        accessibilityLabel="Task title"
+      />
+    </View>
+
+    <View style={styles.badges}>
+      {item.duplicate && (
+        <View testID={`duplicate-${item.key}`} style={[styles.badge, styles.duplicateBadge]}>
+          <Text style={styles.badgeText}>Duplicate</Text>
+        </View>
+      )}
+      {item.included && !isTriaged(item) && (
+        <View testID={`inbox-${item.key}`} style={styles.badge}>
+          <Text style={styles.badgeText}>📥 Inbox</Text>
+        </View>
+      )}
+    </View>
+
+    {item.included && (
+      <>
+        <View style={styles.chipRow}>
+          {categories.map((category) => {
+            const isSelected = item.category === category.id;
+            return (
+              <TouchableOpacity
+                key={category.id}
+                testID={`category-${item.key}-${category.id}`}
+                style={[styles.chip, isSelected && styles.chipSelected]}
+                onPress={() => {
+                  onCategorySelect(category.id);
+                }}
+                accessible
+                accessibilityLabel={`${category.label} category`}
+                accessibilityRole="button"
+                accessibilityState={{ selected: isSelected }}
+              >
+                <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>
+                  {category.icon} {category.label}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        <View style={styles.chipRow}>
+          {ESTIMATE_PRESETS.map((preset) => {
+            const minutes = preset.minutes ?? 0;
+            const isSelected = item.timeEstimate === minutes;
+            return (
+              <TouchableOpacity
+                key={preset.label}
+                testID={`time-${item.key}-${minutes}`}
+                style={[styles.chip, isSelected && styles.chipSelected]}
+                onPress={() => {
+                  onTimeSelect(minutes);
+                }}
+                accessible
+                accessibilityLabel={`Estimate ${preset.label}`}
+                accessibilityRole="button"
+                accessibilityState={{ selected: isSelected }}
+              >
+                <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>
+                  {preset.label}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </>
+    )}
+  </View>
+);
+
+export const BrainDumpView: React.FC<BrainDumpViewProps> = ({
+  text,
+  items,
+  categories = DEFAULT_CATEGORIES,
+  saving = false,
+  onTextChange,
+  onReview,
+  onEditText,
+  onToggleItem,
+  onItemTitleChange,
+  onItemCategorySelect,
+  onItemTimeSelect,
+  onSave,
+  onCancel,
+}) => {
+  if (!items) {
+    const isReviewDisabled = !text.trim();
+
+    return (
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView style={styles.scrollView}>
+          <View style={styles.formContainer}>
+            <Text style={styles.label}>What&apos;s on your mind?</Text>
+            <Text style={styles.hint}>
+              Get it all out. One task per line, or separate them with commas. You can sort them
+              next.
+            </Text>
+            <TextInput
+              testID="brain-dump-input"
+              style={[styles.input, styles.dumpInput]}
+              placeholder={'call dentist tomorrow\nbuy milk, post parcel\nsort out taxes'}
+              value={text}
+              onChangeText={onTextChange}
+              multiline
+              autoFocus
+              accessible
+              accessibilityLabel="Brain dump"
+              accessibilityHint="Type or paste everything you need to do"
+            />
+
+            <View style={styles.actions}>
+              <TouchableOpacity
+                testID="cancel-button"
+                style={[styles.actionButton, styles.cancelButton]}
+                onPress={onCancel}
+                accessible
+                accessibilityLabel="Cancel"
+                accessibilityRole="button"
+              >
+                <Text style={styles.actionButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                testID="review-button"
+                style={[
+                  styles.actionButton,
+                  styles.saveButton,
+                  isReviewDisabled && styles.saveButtonDisabled,
+                ]}
+                onPress={onReview}
+                disabled={isReviewDisabled}
+                accessible
+                accessibilityLabel="Review tasks"
+                accessibilityHint="Split the text into tasks to review"
+                accessibilityRole="button"
+                accessibilityState={{ disabled: isReviewDisabled }}
+              >
+                <Text
+                  style={[styles.saveButtonText, isReviewDisabled && styles.saveButtonTextDisabled]}
+                >
+                  Review
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    );
+  }
+
+  const included = items.filter((item) => item.included);
+  const inboxCount = included.filter((item) => !isTriaged(item)).length;
+  const isSaveDisabled = included.length === 0 || saving;
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView style={styles.scrollView}>
+        <View style={styles.formContainer}>
+          <Text testID="brain-dump-summary" style={styles.summary}>
+            {`${included.length} of ${items.length} ${items.length === 1 ? 'task' : 'tasks'} selected`}
+            {inboxCount > 0 && ` · ${inboxCount} going to the inbox`}
+          </Text>
+          <Text style={styles.hint}>
+            Anything without a category or estimate waits in the inbox until you sort it.
+          </Text>
+
+          {items.map((item) => (
+            <ReviewItem
+              key={item.key}
+              item={item}
+              categories={categories}
+              onToggle={() => {
+                onToggleItem(item.key);
+              }}
+              onTitleChange={(title) => {
+                onItemTitleChange(item.key, title);
+              }}
+              onCategorySelect={(categoryId) => {
+                onItemCategorySelect(item.key, categoryId);
+              }}
+              onTimeSelect={(minutes) => {
+                onItemTimeSelect(item.key, minutes);
+              }}
+            />
+          ))}
+
+          <View style={styles.actions}>
+            <TouchableOpacity
+              testID="edit-text-button"
+              style={[styles.actionButton, styles.cancelButton]}
+              onPress={onEditText}
+              accessible
+              accessibilityLabel="Back to text"
+              accessibilityHint="Edit the brain dump text again"
+              accessibilityRole="button"
+            >
+              <Text style={styles.actionButtonText}>Back</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              testID="save-button"
+              style={[
+                styles.actionButton,
+                styles.saveButton,
+                isSaveDisabled && styles.saveButtonDisabled,
+              ]}
+              onPress={onSave}
+              disabled={isSaveDisabled}
+              accessible
+              accessibilityLabel={`Save ${included.length} tasks`}
+              accessibilityRole="button"
+              accessibilityState={{ disabled: isSaveDisabled }}
+            >
+              <Text
+                style={[styles.saveButtonText, isSaveDisabled && styles.saveButtonTextDisabled]}
+              >
+                {`Save ${included.length} ${included.length === 1 ? 'Task' : 'Tasks'}`}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  formContainer: {
+    padding: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+    marginTop: 16,
+  },
+  hint: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 12,
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  dumpInput: {
+    minHeight: 240,
+    textAlignVertical: 'top',
+  },
+  summary: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 16,
+    marginBottom: 4,
+  },
+  item: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  itemExcluded: {
+    opacity: 0.5,
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  checkbox: {
+    width: 28,
+    height: 28,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: '#4A90E2',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  checkboxChecked: {
+    backgroundColor: '#4A90E2',
+  },
+  checkboxText: {
+    color: '#fff',
+    fontWeight: '700',
+  },
+  itemTitle: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    paddingVertical: 4,
+  },
+  badges: {
+    flexDirection: 'row',
+    gap: 6,
+    marginTop: 8,
+  },
+  badge: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: '#E3F2FD',
+  },
+  duplicateBadge: {
+    backgroundColor: '#FFF3CD',
+  },
+  badgeText: {
+    fontSize: 12,
+    color: '#2C3E50',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#f0f0f0',
+    borderWidth: 1,
+    borderColor: '#f0f0f0',
+  },
+  chipSelected: {
+    backgroundColor: '#E3F2FD',
+    borderColor: '#4A90E2',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  chipTextSelected: {
+    color: '#4A90E2',
+    fontWeight: '600',
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 16,
+    marginTop: 24,
+    marginBottom: 20,
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  cancelButton: {
+    backgroundColor: '#f0f0f0',
+  },
+  saveButton: {
+    backgroundColor: '#4A90E2',
+  },
+  saveButtonDisabled: {
+    backgroundColor: '#ccc',
+  },
+  actionButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#666',
+  },
+  saveButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  saveButtonTextDisabled: {
+    color: '#999',
+  },
+});
+
+export default BrainDumpView;
@@ -1,26 +1,86 @@
 // ABOUTME: Container component for CreateTask that manages form state
 // Handles task creation logic and navigation
 
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import { Alert } from 'react-native';
 import { useRouter, useLocalSearchParams } from 'expo-router';
-import { useUser, useTasks } from '../contexts';
+import { useUser, useTasks, useCategories } from '../contexts';
 import CreateTaskView from './CreateTaskView';
 import { createTask } from '../utils/TaskModel';
+import { createRecurrenceRule, validateRecurrenceRule } from '../utils/RecurrenceModel';
+import { applyReminderPresets, MAX_PRESET_REMINDERS } from '../utils/ReminderModel';
+import { applyCategoryDefaults } from '../utils/CategoryModel';
+import { parseQuickCapture, describeQuickCapture } from '../utils/QuickCaptureParser';
+import {
+  calibrateEstimates,
+  suggestRealisticDuration,
+  describeEstimateSuggestion,
+} from '../utils/EstimateCalibrationModel';
+import { RECURRENCE_PRESETS, REMINDER_PRESETS } from '../constants/TaskConstants';
 
 export const CreateTaskContainer: React.FC = () => {
   const router = useRouter();
   const { category } = useLocalSearchParams<{ category?: string }>();
   const { user } = useUser();
-  const { addTask } = useTasks();
+  const { tasks, addTask } = useTasks();
+  const { categories, getCategory } = useCategories();
 
   const [title, setTitle] = useState<string>('');
   const [description, setDescription] = useState<string>('');
   const [selectedCategory, setSelectedCategory] = useState<string | null>(category ?? null);
   const [selectedTimePreset, setSelectedTimePreset] = useState<number | null>(null);
+  const [timePresetPicked, setTimePresetPicked] = useState<boolean>(false);
+  const [selectedRecurrence, setSelectedRecurrence] = useState<string>('none');
+  const [recurrenceInterval, setRecurrenceInterval] = useState<string>('2');
+  const [recurrenceDayOfMonth, setRecurrenceDayOfMonth] = useState<string>(
+    String(new Date().getDate()),
+  );
+  const [selectedReminders, setSelectedReminders] = useState<string[]>([]);
+
+  // Dates, estimates, #categories and !priorities typed into the title
+  const quickCapture = useMemo(() => parseQuickCapture(title, { categories }), [title, categories]);
+  const quickCapturePreview = useMemo(
+    () => describeQuickCapture(quickCapture, { categories }),
+    [quickCapture, categories],
+  );
+
+  // How the chosen estimate compares with how long the user's tasks really take
+  const calibration = useMemo(() => calibrateEstimates(tasks), [tasks]);
+  const estimateCategory = quickCapture.category ?? selectedCategory;
+  const estimateMinutes = quickCapture.timeEstimate ?? selectedTimePreset;
+  const estimateSuggestion = useMemo(() => {
+    const suggestion = suggestRealisticDuration(calibration, estimateMinutes, estimateCategory);
+    return suggestion
+      ? describeEstimateSuggestion(suggestion, getCategory(estimateCategory)?.label)
+      : null;
+  }, [calibration, estimateMinutes, estimateCategory, getCategory]);
+
+  const handleCategorySelect = (categoryId: string): void => {
+    setSelectedCategory(categoryId);
+    // Offer the category's usual estimate until the user picks one themselves
+    if (!timePresetPicked) {
+      setSelectedTimePreset(getCategory(categoryId)?.defaultTimeEstimate ?? null);
+    }
+  };
+
+  const handleTimePresetSelect = (minutes: number | null): void => {
+    setTimePresetPicked(true);
+    setSelectedTimePreset(minutes);
+  };
+
+  const handleReminderToggle = (presetId: string): void => {
+    setSelectedReminders((prev) => {
+      if (prev.includes(presetId)) {
+        return prev.filter((id) => id !== presetId);
+      }
+      return prev.length < MAX_PRESET_REMINDERS ? [...prev, presetId] : prev;
+    });
+  };
 
   const handleSave = async (): Promise<void> => {
-    if (!title.trim()) {
+    // Parsed again so "in 2 hours" counts from the moment of saving
+    const parsed = parseQuickCapture(title, { categories });
+    if (!parsed.title) {
       Alert.alert('Error', 'Please enter a task title');
       return;
     }
@@ -30,13 +90,44 @@ export const CreateTaskContainer: React.FC = () => {
       return;
     }
 
-    const taskData = {
-      title: title.trim(),
-      description: description.trim(),
-      category: selectedCategory,
-      timeEstimate: selectedTimePreset,
-      userId: user.id,
-    };
+    const recurrencePreset = RECURRENCE_PRESETS.find((preset) => preset.id === selectedRecurrence);
+    const recurrence = recurrencePreset?.frequency
+      ? createRecurrenceRule(recurrencePreset.frequency, {
+          interval:
+            recurrencePreset.customizable === 'interval'
+              ? Number(recurrenceInterval)
+              : recurrencePreset.interval,
+          dayOfMonth: Number(recurrenceDayOfMonth),
+        })
+      : null;
+    if (recurrence) {
+      const validation = validateRecurrenceRule(recurrence);
+      if (!validation.isValid) {
+        Alert.alert('Error', validation.errors[0]);
+        return;
+      }
+    }
+
+    // Quick reminders count from the moment the task is saved
+    const reminders = applyReminderPresets(
+      REMINDER_PRESETS.filter((preset) => selectedReminders.includes(preset.id)),
+    );
+
+    const category = parsed.category ?? selectedCategory;
+    const taskData = applyCategoryDefaults(
+      {
+        title: parsed.title,
+        description: description.trim(),
+        category,
+        timeEstimate: parsed.timeEstimate ?? selectedTimePreset,
+        dueDate: parsed.dueDate,
+        ...(parsed.priority && { priority: parsed.priority }),
+        userId: user.id,
+        recurrence,
+        ...reminders,
+      },
+      getCategory(category),
+    );
 
     try {
       const newTask = createTask(taskData);
@@ -55,12 +146,27 @@ export const CreateTaskContainer: React.FC = () => {
     <CreateTaskView
       title={title}
       description={description}
-      selectedCategory={selectedCategory}
-      selectedTimePreset={selectedTimePreset}
+      categories={categories}
+      quickCapturePreview={quickCapturePreview}
+      parsedTitle={quickCapture.title}
+      selectedCategory={estimateCategory}
+      selectedTimePreset={estimateMinutes}
+      estimateSuggestion={estimateSuggestion}
+      selectedRecurrence={selectedRecurrence}
+      recurrenceInterval={recurrenceInterval}
+      recurrenceDayOfMonth={recurrenceDayOfMonth}
+      selectedReminders={selectedReminders}
       onTitleChange={setTitle}
       onDescriptionChange={setDescription}
-      onCategorySelect={setSelectedCategory}
-      onTimePresetSelect={setSelectedTimePreset}
+      onCategorySelect={handleCategorySelect}
+      onTimePresetSelect={handleTimePresetSelect}
+      onRecurrenceSelect={setSelectedRecurrence}
+      onRecurrenceIntervalChange={setRecurrenceInterval}
+      onRecurrenceDayOfMonthChange={setRecurrenceDayOfMonth}
+      onReminderToggle={handleReminderToggle}
+      onBrainDumpPress={() => {
+        router.replace('/task/brain-dump');
+      }}
       onSave={() => {
         handleSave().catch((error) => {
           if (global.__DEV__) {
@@ -13,18 +13,41 @@ import {
   KeyboardAvoidingView,
   Platform,
 } from 'react-native';
-import { TASK_CATEGORIES, TIME_PRESETS } from '../constants/TaskConstants';
-import type { TaskCategory, TimePreset } from '../types/task.types';
+import { TIME_PRESETS, RECURRENCE_PRESETS, REMINDER_PRESETS } from '../constants/TaskConstants';
+import type {
+  TaskCategory,
+  TimePreset,
+  RecurrencePreset,
+  ReminderPreset,
+} from '../types/task.types';
+import { MAX_PRESET_REMINDERS } from '../utils/ReminderModel';
+import { DEFAULT_CATEGORIES } from '../utils/CategoryModel';
+import type { QuickCapturePreviewItem } from '../utils/QuickCaptureParser';
 
 interface CreateTaskViewProps {
   title: string;
   description: string;
+  categories?: TaskCategory[];
+  // Fields parsed from the title text, shown before saving
+  quickCapturePreview?: QuickCapturePreviewItem[];
+  parsedTitle?: string;
   selectedCategory: string | null;
   selectedTimePreset: number | null;
+  selectedRecurrence?: string;
+  // Typed text for the "every N days" and "monthly on day X" options
+  recurrenceInterval?: string;
+  recurrenceDayOfMonth?: string;
+  selectedReminders?: string[];
   onTitleChange: (text: string) => void;
   onDescriptionChange: (text: string) => void;
   onCategorySelect: (categoryId: string) => void;
   onTimePresetSelect: (minutes: number | null) => void;
+  onRecurrenceSelect?: (presetId: string) => void;
+  onRecurrenceIntervalChange?: (text: string) => void;
+  onRecurrenceDayOfMonthChange?: (text: string) => void;
+  onReminderToggle?: (presetId: string) => void;
+  onBrainDumpPress?: () => void;
+  estimateSuggestion?: string | null; // How long the chosen estimate usually really takes
   onSave: () => void;
   onCancel: () => void;
 }
@@ -36,6 +59,13 @@ interface Styles {
   label: TextStyle;
   input: TextStyle;
   textArea: TextStyle;
+  preview: ViewStyle;
+  previewTitle: TextStyle;
+  previewChips: ViewStyle;
+  previewChip: ViewStyle;
+  previewChipText: TextStyle;
+  brainDumpLink: ViewStyle;
+  brainDumpLinkText: TextStyle;
   categoryContainer: ViewStyle;
   categoryGrid: ViewStyle;
   categoryButton: ViewStyle;
@@ -47,8 +77,13 @@ interface Styles {
   timeGrid: ViewStyle;
   timeButton: ViewStyle;
   timeButtonSelected: ViewStyle;
+  timeButtonDisabled: ViewStyle;
   timeText: TextStyle;
   timeTextSelected: TextStyle;
+  recurrenceDetail: ViewStyle;
+  recurrenceDetailText: TextStyle;
+  recurrenceDetailInput: TextStyle;
+  estimateSuggestion: TextStyle;
   actions: ViewStyle;
   actionButton: ViewStyle;
   cancelButton: ViewStyle;
@@ -62,16 +97,30 @@ interface Styles {
 export const CreateTaskView: React.FC<CreateTaskViewProps> = ({
   title,
   description,
+  categories = DEFAULT_CATEGORIES,
+  quickCapturePreview = [],
+  parsedTitle = '',
   selectedCategory,
   selectedTimePreset,
+  selectedRecurrence = 'none',
+  recurrenceInterval = '',
+  recurrenceDayOfMonth = '',
+  selectedReminders = [],
   onTitleChange,
   onDescriptionChange,
   onCategorySelect,
   onTimePresetSelect,
+  onRecurrenceSelect,
+  onRecurrenceIntervalChange,
+  onRecurrenceDayOfMonthChange,
+  onReminderToggle,
+  onBrainDumpPress,
+  estimateSuggestion,
   onSave,
   onCancel,
 }) => {
   const isSaveDisabled = !title.trim();
+  const recurrencePreset = RECURRENCE_PRESETS.find((preset) => preset.id === selectedRecurrence);
 
   return (
     <KeyboardAvoidingView
@@ -92,6 +141,42 @@ export const CreateTaskView: React.FC<CreateTaskViewProps> = ({
             accessibilityLabel="Task title input"
             accessibilityHint="Enter the title for your task"
           />
+          {quickCapturePreview.length > 0 && (
+            <View
+              testID="quick-capture-preview"
+              style={styles.preview}
+              accessible
+              accessibilityLabel={`Will save ${parsedTitle ? `"${parsedTitle}"` : 'an untitled task'}: ${quickCapturePreview.map((item) => item.label).join(', ')}`}
+            >
+              <Text style={styles.previewTitle} numberOfLines={1}>
+                {parsedTitle || 'Add a title'}
+              </Text>
+              <View style={styles.previewChips}>
+                {quickCapturePreview.map((item) => (
+                  <View
+                    key={item.field}
+                    testID={`preview-${item.field}`}
+                    style={styles.previewChip}
+                  >
+                    <Text style={styles.previewChipText}>{item.label}</Text>
+                  </View>
+                ))}
+              </View>
+            </View>
+          )}
+          {onBrainDumpPress && (
+            <TouchableOpacity
+              testID="brain-dump-link"
+              style={styles.brainDumpLink}
+              onPress={onBrainDumpPress}
+              accessible
+              accessibilityLabel="Brain dump"
+              accessibilityHint="Add lots of tasks at once"
+              accessibilityRole="link"
+            >
+              <Text style={styles.brainDumpLinkText}>Lots on your mind? Brain dump instead</Text>
+            </TouchableOpacity>
+          )}
 
           <Text style={styles.label}>Description</Text>
           <TextInput
@@ -111,7 +196,7 @@ export const CreateTaskView: React.FC<CreateTaskViewProps> = ({
           <Text style={styles.label}>Category</Text>
           <View testID="category-selector" style={styles.categoryContainer}>
             <View style={styles.categoryGrid}>
-              {Object.values(TASK_CATEGORIES).map((category: TaskCategory) => (
+              {categories.map((category: TaskCategory) => (
                 <TouchableOpacity
                   key={category.id}
                   testID={`category-${category.id}`}
@@ -174,8 +259,127 @@ export const CreateTaskView: React.FC<CreateTaskViewProps> = ({
                 </TouchableOpacity>
               ))}
             </View>
+            {estimateSuggestion && (
+              <Text testID="estimate-suggestion" style={styles.estimateSuggestion}>
+                {estimateSuggestion}
+              </Text>
+            )}
           </View>
 
+          {onRecurrenceSelect && (
+            <>
+              <Text style={styles.label}>Repeat</Text>
+              <View testID="recurrence-selector" style={styles.timeContainer}>
+                <View style={styles.timeGrid}>
+                  {RECURRENCE_PRESETS.map((preset: RecurrencePreset) => (
+                    <TouchableOpacity
+                      key={preset.id}
+                      testID={`recurrence-${preset.id}`}
+                      style={[
+                        styles.timeButton,
+                        selectedRecurrence === preset.id && styles.timeButtonSelected,
+                      ]}
+                      onPress={() => {
+                        onRecurrenceSelect(preset.id);
+                      }}
+                      accessible
+                      accessibilityLabel={`Repeat ${preset.label}`}
+                      accessibilityHint={
+                        preset.frequency
+                          ? `Repeat this task ${preset.label.toLowerCase()}`
+                          : 'Make this a one-off task'
+                      }
+                      accessibilityRole="button"
+                      accessibilityState={{ selected: selectedRecurrence === preset.id }}
+                    >
+                      <Text
+                        style={[
+                          styles.timeText,
+                          selectedRecurrence === preset.id && styles.timeTextSelected,
+                        ]}
+                      >
+                        {preset.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                {recurrencePreset?.customizable === 'interval' && (
+                  <View style={styles.recurrenceDetail}>
+                    <Text style={styles.recurrenceDetailText}>Every</Text>
+                    <TextInput
+                      testID="recurrence-interval-input"
+                      style={styles.recurrenceDetailInput}
+                      value={recurrenceInterval}
+                      onChangeText={onRecurrenceIntervalChange}
+                      keyboardType="number-pad"
+                      maxLength={3}
+                      accessible
+                      accessibilityLabel="Number of days between repeats"
+                    />
+                    <Text style={styles.recurrenceDetailText}>days</Text>
+                  </View>
+                )}
+                {recurrencePreset?.customizable === 'dayOfMonth' && (
+                  <View style={styles.recurrenceDetail}>
+                    <Text style={styles.recurrenceDetailText}>On day</Text>
+                    <TextInput
+                      testID="recurrence-day-input"
+                      style={styles.recurrenceDetailInput}
+                      value={recurrenceDayOfMonth}
+                      onChangeText={onRecurrenceDayOfMonthChange}
+                      keyboardType="number-pad"
+                      maxLength={2}
+                      accessible
+                      accessibilityLabel="Day of the month to repeat on"
+                      accessibilityHint="Months without this day repeat on their last day"
+                    />
+                    <Text style={styles.recurrenceDetailText}>of each month</Text>
+                  </View>
+                )}
+              </View>
+            </>
+          )}
+
+          {onReminderToggle && (
+            <>
+              <Text style={styles.label}>Remind Me</Text>
+              <View testID="reminder-selector" style={styles.timeContainer}>
+                <View style={styles.timeGrid}>
+                  {REMINDER_PRESETS.map((preset: ReminderPreset) => {
+                    const isSelected = selectedReminders.includes(preset.id);
+                    const isDisabled =
+                      !isSelected && selectedReminders.length >= MAX_PRESET_REMINDERS;
+
+                    return (
+                      <TouchableOpacity
+                        key={preset.id}
+                        testID={`reminder-${preset.id}`}
+                        style={[
+                          styles.timeButton,
+                          isSelected && styles.timeButtonSelected,
+                          isDisabled && styles.timeButtonDisabled,
+                        ]}
+                        onPress={() => {
+                          onReminderToggle(preset.id);
+                        }}
+                        disabled={isDisabled}
+                        accessible
+                        accessibilityLabel={`Remind me ${preset.label.toLowerCase()}`}
+                        accessibilityHint={`Pick up to ${MAX_PRESET_REMINDERS} reminders`}
+                        accessibilityRole="button"
+                        accessibilityState={{ selected: isSelected, disabled: isDisabled }}
+                      >
+                        <Text style={[styles.timeText, isSelected && styles.timeTextSelected]}>
+                          {preset.label}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+            </>
+          )}
+
           <View style={styles.actions}>
             <TouchableOpacity
               testID="cancel-button"
@@ -246,6 +450,41 @@ const styles = StyleSheet.create<Styles>({
     minHeight: 100,
     textAlignVertical: 'top',
   },
+  preview: {
+    marginTop: 8,
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: '#E3F2FD',
+  },
+  previewTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  previewChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+    gap: 6,
+  },
+  previewChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: '#fff',
+  },
+  previewChipText: {
+    fontSize: 13,
+    color: '#2C3E50',
+  },
+  brainDumpLink: {
+    marginTop: 8,
+    paddingVertical: 4,
+  },
+  brainDumpLinkText: {
+    fontSize: 14,
+    color: '#4A90E2',
+  },
   categoryContainer: {
     marginTop: 8,
   },
@@ -300,6 +539,9 @@ const styles = StyleSheet.create<Styles>({
     backgroundColor: '#E3F2FD',
     borderColor: '#4A90E2',
   },
+  timeButtonDisabled: {
+    opacity: 0.4,
+  },
   timeText: {
     fontSize: 14,
     color: '#666',
@@ -308,6 +550,32 @@ const styles = StyleSheet.create<Styles>({
     color: '#4A90E2',
     fontWeight: '600',
   },
+  recurrenceDetail: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 12,
+  },
+  recurrenceDetailText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  recurrenceDetailInput: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    minWidth: 56,
+    fontSize: 16,
+    textAlign: 'center',
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  estimateSuggestion: {
+    marginTop: 8,
+    fontSize: 14,
+    color: '#F39C12',
+  },
   actions: {
     flexDirection: 'row',
     gap: 16,
@@ -0,0 +1,498 @@
+// ABOUTME: Deadline change requests for one assigned task, shown to both the assignee and the assigner
+// The assignee asks for more time with a reason; the assigner approves, rejects or suggests another date
+
+import React, { useState, useEffect } from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import type { DateTimePickerEvent } from '@react-native-community/datetimepicker';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import DeadlineChangeService from '../services/DeadlineChangeService';
+import type { Task } from '../types/task.types';
+import type { DeadlineChangeRequest } from '../types/deadlineChange.types';
+import type { Result } from '../types/common.types';
+import {
+  MAX_DEADLINE_CHANGE_NOTE_LENGTH,
+  MAX_DEADLINE_CHANGE_REASON_LENGTH,
+  canRequestDeadlineChange,
+  getAgreedDueDate,
+  getDeadlineChangeStatusLabel,
+  getProposedDueDate,
+  isOpenDeadlineChange,
+  validateDeadlineChangeRequest,
+} from '../utils/DeadlineChangeModel';
+
+interface DeadlineChangePanelProps {
+  taskId: string;
+  userId: string;
+  // Given on the task screen so the assignee can ask for a new date
+  task?: Task | null;
+}
+
+type PickerTarget = 'proposed' | 'counter';
+
+const formatDueDate = (date: Date | null): string => (date ? date.toLocaleDateString() : 'none');
+
+// Without the task itself, the newest request tells us the due date it left the task with
+const getCurrentDueDate = (
+  task: Task | null | undefined,
+  requests: DeadlineChangeRequest[],
+): Date | null => {
+  if (task) {
+    return task.dueDate;
+  }
+  const [latest] = requests;
+  if (!latest) {
+    return null;
+  }
+  return getAgreedDueDate(latest) ?? latest.currentDueDate;
+};
+
+interface Styles {
+  container: ViewStyle;
+  label: TextStyle;
+  card: ViewStyle;
+  cardTitle: TextStyle;
+  cardText: TextStyle;
+  status: TextStyle;
+  input: TextStyle;
+  dateButton: ViewStyle;
+  dateButtonText: TextStyle;
+  actions: ViewStyle;
+  actionButton: ViewStyle;
+  approveButton: ViewStyle;
+  rejectButton: ViewStyle;
+  actionText: TextStyle;
+  secondaryActionText: TextStyle;
+  disabledButton: ViewStyle;
+  historyRow: ViewStyle;
+  historyDate: TextStyle;
+}
+
+const DeadlineChangePanel = ({ taskId, userId, task }: DeadlineChangePanelProps) => {
+  const [requests, setRequests] = useState<DeadlineChangeRequest[]>([]);
+  const [showRequestForm, setShowRequestForm] = useState<boolean>(false);
+  const [proposedDueDate, setProposedDueDate] = useState<Date | null>(null);
+  const [reason, setReason] = useState<string>('');
+  const [counterDueDate, setCounterDueDate] = useState<Date | null>(null);
+  const [note, setNote] = useState<string>('');
+  const [pickerTarget, setPickerTarget] = useState<PickerTarget | null>(null);
+  const [busy, setBusy] = useState<boolean>(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    DeadlineChangeService.getRequestsForTask(taskId)
+      .then((result) => {
+        if (!cancelled && result.success && result.data) {
+          setRequests(result.data);
+        }
+      })
+      .catch((error) => {
+        if (global.__DEV__) {
+          console.error('Failed to load deadline change requests:', error);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [taskId]);
+
+  const openRequest = requests.find(isOpenDeadlineChange) ?? null;
+  const history = requests.filter((request) => !isOpenDeadlineChange(request));
+  const currentDueDate = getCurrentDueDate(task, requests);
+  const canRequest = Boolean(task && !openRequest && canRequestDeadlineChange(task, userId));
+
+  const replaceRequest = (updated: DeadlineChangeRequest): void => {
+    setRequests((current) => {
+      const others = current.filter(({ id }) => id !== updated.id);
+      return [updated, ...others].sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime());
+    });
+  };
+
+  const runAction = (
+    action: () => Promise<Result<DeadlineChangeRequest>>,
+    failureMessage: string,
+    onSuccess?: () => void,
+  ): void => {
+    setBusy(true);
+    const doAction = async (): Promise<void> => {
+      try {
+        const result = await action();
+        if (result.success && result.data) {
+          replaceRequest(result.data);
+          setNote('');
+          setCounterDueDate(null);
+          onSuccess?.();
+        } else {
+          Alert.alert('Error', result.error?.message ?? failureMessage);
+        }
+      } finally {
+        setBusy(false);
+      }
+    };
+    doAction().catch(() => {
+      // Error already handled in the function
+    });
+  };
+
+  const handleSendRequest = (): void => {
+    if (!task) return;
+
+    const input = { proposedDueDate: proposedDueDate ?? undefined, reason };
+    const validation = validateDeadlineChangeRequest(input, task.dueDate);
+    if (!validation.isValid || !proposedDueDate) {
+      Alert.alert('Check your request', validation.errors.join('\n'));
+      return;
+    }
+
+    runAction(
+      () => DeadlineChangeService.requestChange(task, userId, { proposedDueDate, reason }),
+      'Failed to send your request',
+      () => {
+        setShowRequestForm(false);
+        setProposedDueDate(null);
+        setReason('');
+      },
+    );
+  };
+
+  const handlePickDate = (event: DateTimePickerEvent, selectedDate?: Date): void => {
+    const target = pickerTarget;
+    setPickerTarget(null);
+    if (event.type !== 'set' || !selectedDate) return;
+
+    const picked = getProposedDueDate(selectedDate, currentDueDate);
+    if (target === 'counter') {
+      setCounterDueDate(picked);
+    } else {
+      setProposedDueDate(picked);
+    }
+  };
+
+  const renderOpenRequest = (request: DeadlineChangeRequest) => {
+    const isAssigner = request.assignedBy === userId;
+    const isRequester = request.requestedBy === userId;
+
+    return (
+      <View style={styles.card} testID="open-deadline-change">
+        <Text style={styles.cardTitle}>
+          {isRequester ? 'You asked' : 'Asked'} to move it to{' '}
+          {formatDueDate(request.proposedDueDate)}
+        </Text>
+        <Text style={styles.cardText}>“{request.reason}”</Text>
+        {request.counterDueDate && (
+          <Text style={styles.cardText}>
+            {isAssigner ? 'You suggested' : 'Suggested instead'}:{' '}
+            {formatDueDate(request.counterDueDate)}
+            {request.responseNote ? ` – ${request.responseNote}` : ''}
+          </Text>
+        )}
+        <Text style={styles.status}>{getDeadlineChangeStatusLabel(request.status)}</Text>
+
+        {isAssigner && request.status === 'pending' && (
+          <>
+            <TextInput
+              style={styles.input}
+              placeholder="Add a note (optional)"
+              value={note}
+              onChangeText={setNote}
+              maxLength={MAX_DEADLINE_CHANGE_NOTE_LENGTH}
+              testID="deadline-response-note"
+            />
+            <View style={styles.actions}>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.approveButton, busy && styles.disabledButton]}
+                onPress={() => {
+                  runAction(
+                    () => DeadlineChangeService.approve(request.id, userId, note),
+                    'Failed to approve the new date',
+                  );
+                }}
+                disabled={busy}
+                testID="approve-deadline-change"
+                accessibilityRole="button"
+              >
+                <Text style={styles.actionText}>Approve</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.rejectButton, busy && styles.disabledButton]}
+                onPress={() => {
+                  runAction(
+                    () => DeadlineChangeService.reject(request.id, userId, note),
+                    'Failed to answer the request',
+                  );
+                }}
+                disabled={busy}
+                testID="reject-deadline-change"
+                accessibilityRole="button"
+              >
+                <Text style={styles.actionText}>Keep date</Text>
+              </TouchableOpacity>
+            </View>
+            <TouchableOpacity
+              style={styles.dateButton}
+              onPress={() => {
+                setPickerTarget('counter');
+              }}
+              testID="pick-counter-date"
+              accessibilityRole="button"
+            >
+              <Text style={styles.dateButtonText}>
+                {counterDueDate
+                  ? `Suggest ${formatDueDate(counterDueDate)} instead`
+                  : 'Suggest another date…'}
+              </Text>
+            </TouchableOpacity>
+            {counterDueDate && (
+              <TouchableOpacity
+                style={[styles.actionButton, busy && styles.disabledButton]}
+                onPress={() => {
+                  runAction(
+                    () => DeadlineChangeService.counter(request.id, userId, counterDueDate, note),
+                    'Failed to suggest another date',
+                  );
+                }}
+                disabled={busy}
+                testID="send-counter-date"
+                accessibilityRole="button"
+              >
+                <Text style={styles.actionText}>Send suggestion</Text>
+              </TouchableOpacity>
+            )}
+          </>
+        )}
+
+        {isRequester && request.status === 'countered' && (
+          <View style={styles.actions}>
+            <TouchableOpacity
+              style={[styles.actionButton, styles.approveButton, busy && styles.disabledButton]}
+              onPress={() => {
+                runAction(
+                  () => DeadlineChangeService.acceptCounter(request.id, userId),
+                  'Failed to accept the suggested date',
+                );
+              }}
+              disabled={busy}
+              testID="accept-counter-date"
+              accessibilityRole="button"
+            >
+              <Text style={styles.actionText}>Accept</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.actionButton, styles.rejectButton, busy && styles.disabledButton]}
+              onPress={() => {
+                runAction(
+                  () => DeadlineChangeService.declineCounter(request.id, userId),
+                  'Failed to decline the suggested date',
+                );
+              }}
+              disabled={busy}
+              testID="decline-counter-date"
+              accessibilityRole="button"
+            >
+              <Text style={styles.actionText}>Decline</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container} testID="deadline-change-panel">
+      <Text style={styles.label}>Due date: {formatDueDate(currentDueDate)}</Text>
+
+      {openRequest && renderOpenRequest(openRequest)}
+
+      {canRequest && !showRequestForm && (
+        <TouchableOpacity
+          style={styles.dateButton}
+          onPress={() => {
+            setShowRequestForm(true);
+          }}
+          testID="ask-for-more-time"
+          accessibilityRole="button"
+        >
+          <Text style={styles.dateButtonText}>Ask for more time</Text>
+        </TouchableOpacity>
+      )}
+
+      {canRequest && showRequestForm && (
+        <View style={styles.card} testID="deadline-change-form">
+          <TouchableOpacity
+            style={styles.dateButton}
+            onPress={() => {
+              setPickerTarget('proposed');
+            }}
+            testID="pick-proposed-date"
+            accessibilityRole="button"
+          >
+            <Text style={styles.dateButtonText}>
+              {proposedDueDate ? `New date: ${formatDueDate(proposedDueDate)}` : 'Pick a new date…'}
+            </Text>
+          </TouchableOpacity>
+          <TextInput
+            style={styles.input}
+            placeholder="What's getting in the way?"
+            value={reason}
+            onChangeText={setReason}
+            multiline
+            maxLength={MAX_DEADLINE_CHANGE_REASON_LENGTH}
+            testID="deadline-change-reason"
+          />
+          <TouchableOpacity
+            style={[styles.actionButton, busy && styles.disabledButton]}
+            onPress={handleSendRequest}
+            disabled={busy}
+            testID="send-deadline-change"
+            accessibilityRole="button"
+          >
+            <Text style={styles.actionText}>Send request</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => {
+              setShowRequestForm(false);
+            }}
+            testID="cancel-deadline-change"
+            accessibilityRole="button"
+          >
+            <Text style={styles.secondaryActionText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {history.length > 0 && (
+        <View testID="deadline-change-history">
+          {history.map((request) => (
+            <View
+              key={request.id}
+              style={styles.historyRow}
+              testID={`deadline-change-${request.id}`}
+            >
+              <Text style={styles.historyDate}>
+                {request.createdAt.toLocaleDateString()}: {formatDueDate(request.currentDueDate)} →{' '}
+                {formatDueDate(request.proposedDueDate)}
+                {request.counterDueDate
+                  ? ` (suggested ${formatDueDate(request.counterDueDate)})`
+                  : ''}
+              </Text>
+              <Text style={styles.cardText}>{request.reason}</Text>
+              <Text style={styles.status}>{getDeadlineChangeStatusLabel(request.status)}</Text>
+            </View>
+          ))}
+        </View>
+      )}
+
+      {pickerTarget && (
+        <DateTimePicker
+          value={(pickerTarget === 'counter' ? counterDueDate : proposedDueDate) ?? new Date()}
+          mode="date"
+          display="default"
+          minimumDate={new Date()}
+          onChange={handlePickDate}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+    color: '#333',
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 4,
+  },
+  cardText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 4,
+  },
+  status: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#E67E22',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: '#fff',
+    marginBottom: 8,
+  },
+  dateButton: {
+    borderWidth: 1,
+    borderColor: '#4ECDC4',
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  dateButtonText: {
+    fontSize: 16,
+    color: '#4ECDC4',
+    fontWeight: '600',
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  actionButton: {
+    flex: 1,
+    backgroundColor: '#4ECDC4',
+    padding: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  approveButton: {
+    backgroundColor: '#27AE60',
+  },
+  rejectButton: {
+    backgroundColor: '#FF6B6B',
+  },
+  actionText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  secondaryActionText: {
+    color: '#999',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  disabledButton: {
+    backgroundColor: '#ccc',
+  },
+  historyRow: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  historyDate: {
+    fontSize: 14,
+    color: '#333',
+    marginBottom: 4,
+  },
+});
+
+export default DeadlineChangePanel;
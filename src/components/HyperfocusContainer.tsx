@@ -1,20 +1,39 @@
-// ABOUTME: Container component for Hyperfocus mode managing timer logic
-// Handles timer state, task updates, alerts and navigation
+// ABOUTME: Container component for Hyperfocus mode wiring the timer service to the view
+// Handles restoring a running session, focus session logging, alerts and navigation
 
 import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import { Alert, Vibration, Platform } from 'react-native';
 import { useRouter, useLocalSearchParams } from 'expo-router';
-import { useTasks } from '../contexts';
+import { useTasks, useUser } from '../contexts';
 import HyperfocusView from './HyperfocusView';
 import SettingsService from '../services/SettingsService';
+import FocusSessionService from '../services/FocusSessionService';
+import HyperfocusTimerService from '../services/HyperfocusTimerService';
+import LevelService from '../services/LevelService';
+import type { HyperfocusTimerCompletion } from '../services/HyperfocusTimerService';
+import type { FocusEventType } from '../types/focus.types';
+import {
+  collapseRecurringSeries,
+  getSeriesCompletionCount,
+  isSameSeries,
+} from '../utils/RecurrenceModel';
 
 const DEFAULT_WORK_DURATION = 25 * 60; // 25 minutes in seconds
 const DEFAULT_BREAK_DURATION = 5 * 60; // 5 minutes in seconds
 
+const runTimerAction = (action: Promise<void>): void => {
+  action.catch((error) => {
+    if (global.__DEV__) {
+      console.error('Hyperfocus timer update failed:', error);
+    }
+  });
+};
+
 export const HyperfocusContainer: React.FC = () => {
   const router = useRouter();
   const { taskId } = useLocalSearchParams<{ taskId?: string }>();
-  const { tasks, updateTask } = useTasks();
+  const { user } = useUser();
+  const { tasks } = useTasks();
 
   const [workDuration, setWorkDuration] = useState<number>(DEFAULT_WORK_DURATION);
   const [breakDuration, setBreakDuration] = useState<number>(DEFAULT_BREAK_DURATION);
@@ -24,7 +43,7 @@ export const HyperfocusContainer: React.FC = () => {
   const [isRunning, setIsRunning] = useState<boolean>(false);
   const [isBreak, setIsBreak] = useState<boolean>(false);
   const [sessionCount, setSessionCount] = useState<number>(0);
-  const intervalRef = useRef<ReturnType<typeof setInterval> | null>(null);
+  const [focusedSeconds, setFocusedSeconds] = useState<number>(0);
 
   // Load settings on mount
   useEffect(() => {
@@ -41,7 +60,10 @@ export const HyperfocusContainer: React.FC = () => {
         setBreakDuration(breakSec);
         setLongBreakDuration(longBreakSec);
         setLongBreakAfter(pomodoroSettings.longBreakAfter);
-        setTimeLeft(workSec);
+        // A restored timer already shows its own time left
+        if (!HyperfocusTimerService.getSnapshot()) {
+          setTimeLeft(workSec);
+        }
       }
     };
 
@@ -52,133 +74,221 @@ export const HyperfocusContainer: React.FC = () => {
     });
   }, []);
 
-  // Find the task from context
+  // Find the task from context. For a recurring series, focus on the open
+  // instance even if we were linked to one that has since been completed.
   const task = useMemo(() => {
-    return tasks.find((t) => t.id === taskId) ?? null;
+    const found = tasks.find((t) => t.id === taskId) ?? null;
+    if (!found?.recurrence || !found.completed) {
+      return found;
+    }
+    const series = tasks.filter((t) => isSameSeries(found, t));
+    return collapseRecurringSeries(series)[0] ?? found;
   }, [tasks, taskId]);
 
-  const updateTaskTimeSpent = useCallback(async (): Promise<void> => {
-    if (!task) return;
+  const seriesCompletions = useMemo(() => {
+    return task ? getSeriesCompletionCount(task, tasks) : 0;
+  }, [task, tasks]);
 
-    try {
-      await updateTask(task.id, {
-        timeSpent: (task.timeSpent || 0) + Math.round(workDuration / 60),
+  // Every start, pause and break is logged; the task's timeSpent is worked out
+  // from the logged session when it ends
+  const recordFocusEvent = useCallback((type: FocusEventType, at?: Date): void => {
+    FocusSessionService.recordEvent(type, at)
+      .then((result) => {
+        if (result.success && result.data) {
+          setFocusedSeconds(result.data.focusedSeconds);
+        }
+      })
+      .catch((error) => {
+        if (global.__DEV__) {
+          console.error('Failed to record focus event:', error);
+        }
       });
-    } catch (error) {
-      Alert.alert('Error', 'Failed to update task progress.');
-    }
-  }, [task, updateTask, workDuration]);
-
-  const handleTimerComplete = useCallback((): void => {
-    // Platform-specific vibration handling
-    if (Platform.OS !== 'web' && Vibration?.vibrate) {
-      if (Platform.OS === 'android') {
-        Vibration.vibrate(100);
-      } else if (Platform.OS === 'ios') {
-        Vibration.vibrate();
+  }, []);
+
+  const endFocusSession = useCallback((): void => {
+    runTimerAction(HyperfocusTimerService.clear());
+    FocusSessionService.endSession().catch((error) => {
+      if (global.__DEV__) {
+        console.error('Failed to end focus session:', error);
       }
-    }
-    setIsRunning(false);
+    });
+  }, []);
 
-    if (isBreak) {
-      Alert.alert('Break Over!', 'Ready to focus again?', [
-        {
-          text: 'Start Working',
-          onPress: () => {
-            setIsBreak(false);
-            setTimeLeft(workDuration);
-            setIsRunning(true);
+  // Leaving the screen any way at all ends the session. A crash or reload
+  // skips this, which is what lets the timer be restored afterwards.
+  useEffect(() => endFocusSession, [endFocusSession]);
+
+  const leaveHyperfocus = useCallback((): void => {
+    endFocusSession();
+    router.back();
+  }, [endFocusSession, router]);
+
+  const handleTimerComplete = useCallback(
+    ({ phase, completedAt, sessionCount: completedSessions }: HyperfocusTimerCompletion): void => {
+      if (!task) return;
+
+      // Platform-specific vibration handling
+      if (Platform.OS !== 'web' && Vibration?.vibrate) {
+        if (Platform.OS === 'android') {
+          Vibration.vibrate(100);
+        } else if (Platform.OS === 'ios') {
+          Vibration.vibrate();
+        }
+      }
+
+      if (phase === 'break') {
+        recordFocusEvent('break_end', completedAt);
+        Alert.alert('Break Over!', 'Ready to focus again?', [
+          {
+            text: 'Start Working',
+            onPress: () => {
+              runTimerAction(HyperfocusTimerService.startPhase(task.id, 'work', workDuration));
+              recordFocusEvent('resume');
+            },
           },
-        },
-        {
-          text: 'Exit',
-          onPress: () => {
-            router.back();
+          {
+            text: 'Exit',
+            onPress: () => {
+              leaveHyperfocus();
+            },
           },
-        },
-      ]);
-    } else {
-      setSessionCount((prev) => prev + 1);
-      updateTaskTimeSpent().catch((error) => {
-        if (global.__DEV__) {
-          console.error('Failed to update time spent:', error);
-        }
-      });
-      Alert.alert('Great Work!', 'Time for a break. You deserve it!', [
-        {
-          text: 'Take Break',
-          onPress: () => {
-            setIsBreak(true);
-            // Use long break if it's time
-            const nextBreakDuration =
-              sessionCount > 0 && sessionCount % longBreakAfter === 0
-                ? longBreakDuration
-                : breakDuration;
-            setTimeLeft(nextBreakDuration);
-            setIsRunning(true);
+        ]);
+      } else {
+        recordFocusEvent('pomodoro_complete', completedAt);
+        Alert.alert('Great Work!', 'Time for a break. You deserve it!', [
+          {
+            text: 'Take Break',
+            onPress: () => {
+              // Use long break if it's time
+              const nextBreakDuration =
+                completedSessions % longBreakAfter === 0 ? longBreakDuration : breakDuration;
+              runTimerAction(
+                HyperfocusTimerService.startPhase(task.id, 'break', nextBreakDuration),
+              );
+              recordFocusEvent('break_start');
+            },
           },
-        },
-        {
-          text: 'Skip Break',
-          onPress: () => {
-            setTimeLeft(workDuration);
+          {
+            text: 'Skip Break',
+            onPress: () => {
+              runTimerAction(HyperfocusTimerService.reset(workDuration, 'work'));
+            },
           },
-        },
-        {
-          text: 'Exit',
-          onPress: () => {
-            router.back();
+          {
+            text: 'Exit',
+            onPress: () => {
+              leaveHyperfocus();
+            },
           },
-        },
-      ]);
-    }
-  }, [
-    isBreak,
-    router,
-    updateTaskTimeSpent,
-    workDuration,
-    breakDuration,
-    longBreakDuration,
-    longBreakAfter,
-    sessionCount,
-  ]);
+        ]);
+      }
+    },
+    [
+      task,
+      recordFocusEvent,
+      leaveHyperfocus,
+      workDuration,
+      breakDuration,
+      longBreakDuration,
+      longBreakAfter,
+    ],
+  );
 
+  // The subscription lives as long as the screen, so completions go through a ref
+  const timerCompleteRef = useRef(handleTimerComplete);
   useEffect(() => {
-    if (isRunning && timeLeft > 0) {
-      intervalRef.current = setInterval(() => {
-        setTimeLeft((prev) => {
-          if (prev <= 1) {
-            handleTimerComplete();
-            return 0;
-          }
-          return prev - 1;
-        });
-      }, 1000);
-    } else {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-        intervalRef.current = null;
-      }
-    }
+    timerCompleteRef.current = handleTimerComplete;
+  }, [handleTimerComplete]);
+
+  useEffect(() => {
+    const unsubscribeTimer = HyperfocusTimerService.subscribe((snapshot) => {
+      if (!snapshot) return;
+      setTimeLeft(snapshot.timeLeft);
+      setIsRunning(snapshot.isRunning);
+      setIsBreak(snapshot.phase === 'break');
+      setSessionCount(snapshot.sessionCount);
+    });
+    const unsubscribeComplete = HyperfocusTimerService.onComplete((completion) => {
+      timerCompleteRef.current(completion);
+    });
 
     return () => {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
+      unsubscribeTimer();
+      unsubscribeComplete();
+    };
+  }, []);
+
+  // Pick up a timer and focus session left running before a restart. A phase
+  // that ran out while the app was closed is announced now.
+  useEffect(() => {
+    if (!taskId) return;
+
+    const restoreTimer = async () => {
+      const activeSession = await FocusSessionService.restoreActiveSession();
+      if (activeSession && activeSession.taskId !== taskId) {
+        await FocusSessionService.endSession();
+      }
+
+      const snapshot = await HyperfocusTimerService.restore(taskId);
+      if (snapshot?.completedAt != null) {
+        timerCompleteRef.current({
+          phase: snapshot.phase,
+          completedAt: new Date(snapshot.completedAt),
+          sessionCount: snapshot.sessionCount,
+        });
       }
     };
-  }, [isRunning, timeLeft, handleTimerComplete]);
+
+    restoreTimer().catch((error) => {
+      if (global.__DEV__) {
+        console.error('Failed to restore Hyperfocus timer:', error);
+      }
+    });
+  }, [taskId]);
 
   const handleStart = () => {
-    setIsRunning(true);
+    if (!task) return;
+
+    const snapshot = HyperfocusTimerService.getSnapshot();
+    if (snapshot && snapshot.timeLeft > 0) {
+      runTimerAction(HyperfocusTimerService.resume());
+    } else {
+      runTimerAction(HyperfocusTimerService.startPhase(task.id, 'work', workDuration));
+    }
+    if (isBreak) return;
+
+    if (FocusSessionService.getActiveSession()) {
+      recordFocusEvent('resume');
+    } else if (user) {
+      FocusSessionService.startSession(user.id, task.id, workDuration).catch((error) => {
+        if (global.__DEV__) {
+          console.error('Failed to start focus session:', error);
+        }
+      });
+    }
   };
 
   const handlePause = () => {
-    setIsRunning(false);
+    runTimerAction(HyperfocusTimerService.pause());
+    if (!isBreak) {
+      recordFocusEvent('pause');
+    }
+  };
+
+  const handleInterrupt = () => {
+    runTimerAction(HyperfocusTimerService.pause());
+    recordFocusEvent('interruption');
   };
 
   const handleReset = () => {
-    setIsRunning(false);
-    setTimeLeft(isBreak ? breakDuration : workDuration);
+    if (HyperfocusTimerService.getSnapshot()) {
+      runTimerAction(HyperfocusTimerService.reset(isBreak ? breakDuration : workDuration));
+    } else {
+      setTimeLeft(workDuration);
+    }
+    if (isRunning && !isBreak) {
+      recordFocusEvent('pause');
+    }
   };
 
   const handleExit = () => {
@@ -188,12 +298,12 @@ export const HyperfocusContainer: React.FC = () => {
         {
           text: 'Exit',
           onPress: () => {
-            router.back();
+            leaveHyperfocus();
           },
         },
       ]);
     } else {
-      router.back();
+      leaveHyperfocus();
     }
   };
 
@@ -204,8 +314,12 @@ export const HyperfocusContainer: React.FC = () => {
       isRunning={isRunning}
       isBreak={isBreak}
       sessionCount={sessionCount}
+      focusedMinutes={Math.round(focusedSeconds / 60)}
+      seriesCompletions={seriesCompletions}
+      timerSkin={LevelService.getEquippedReward('timerSkin')}
       onStart={handleStart}
       onPause={handlePause}
+      onInterrupt={handleInterrupt}
       onReset={handleReset}
       onExit={handleExit}
     />
@@ -6,6 +6,8 @@ import type { ViewStyle, TextStyle } from 'react-native';
 import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import type { Task } from '../types/task.types';
+import type { TimerSkinReward } from '../types/level.types';
+import { describeRecurrence } from '../utils/RecurrenceModel';
 import { getTimerSize, responsiveFontSize, responsivePadding } from '../utils/ResponsiveDimensions';
 
 interface HyperfocusViewProps {
@@ -14,8 +16,12 @@ interface HyperfocusViewProps {
   isRunning: boolean;
   isBreak: boolean;
   sessionCount: number;
+  focusedMinutes?: number; // Real focus logged this visit, pauses and breaks left out
+  seriesCompletions?: number; // Completed instances when the task repeats
+  timerSkin?: Pick<TimerSkinReward, 'ringColor' | 'textColor'>; // Unlocked by levelling up
   onStart: () => void;
   onPause: () => void;
+  onInterrupt?: () => void;
   onReset: () => void;
   onExit: () => void;
 }
@@ -29,12 +35,16 @@ interface Styles {
   content: ViewStyle;
   modeLabel: TextStyle;
   taskTitle: TextStyle;
+  taskTitleRecurring: TextStyle;
+  recurrenceText: TextStyle;
   timerContainer: ViewStyle;
   timer: TextStyle;
   controls: ViewStyle;
   controlButton: ViewStyle;
   pauseButton: ViewStyle;
   resetButton: ViewStyle;
+  interruptButton: ViewStyle;
+  interruptButtonText: TextStyle;
   controlButtonText: TextStyle;
   stats: ViewStyle;
   statsText: TextStyle;
@@ -49,8 +59,12 @@ export const HyperfocusView: React.FC<HyperfocusViewProps> = ({
   isRunning,
   isBreak,
   sessionCount,
+  focusedMinutes,
+  seriesCompletions = 0,
+  timerSkin,
   onStart,
   onPause,
+  onInterrupt,
   onReset,
   onExit,
 }) => {
@@ -82,12 +96,27 @@ export const HyperfocusView: React.FC<HyperfocusViewProps> = ({
 
       <View style={styles.content}>
         <Text style={styles.modeLabel}>{isBreak ? 'Break Time' : 'Focus Time'}</Text>
-        <Text style={styles.taskTitle} numberOfLines={2}>
+        <Text
+          style={[styles.taskTitle, task.recurrence && styles.taskTitleRecurring]}
+          numberOfLines={2}
+        >
           {task.title}
         </Text>
+        {task.recurrence && (
+          <Text testID="recurrence-info" style={styles.recurrenceText}>
+            🔁 {describeRecurrence(task.recurrence)}
+            {seriesCompletions > 0 ? ` · done ${seriesCompletions}×` : ''}
+          </Text>
+        )}
 
-        <View style={styles.timerContainer}>
-          <Text testID="timer-display" style={styles.timer}>
+        <View
+          testID="timer-ring"
+          style={[styles.timerContainer, timerSkin && { borderColor: timerSkin.ringColor }]}
+        >
+          <Text
+            testID="timer-display"
+            style={[styles.timer, timerSkin && { color: timerSkin.textColor }]}
+          >
             {formatTime(timeLeft)}
           </Text>
         </View>
@@ -114,10 +143,21 @@ export const HyperfocusView: React.FC<HyperfocusViewProps> = ({
             <Text style={styles.controlButtonText}>Reset</Text>
           </TouchableOpacity>
         </View>
+        {onInterrupt && isRunning && !isBreak && (
+          <TouchableOpacity
+            testID="interrupt-button"
+            style={styles.interruptButton}
+            onPress={onInterrupt}
+            accessibilityRole="button"
+            accessibilityHint="Pauses the timer and logs the interruption"
+          >
+            <Text style={styles.interruptButtonText}>I got interrupted</Text>
+          </TouchableOpacity>
+        )}
 
         <View style={styles.stats}>
           <Text style={styles.statsText}>Sessions: {sessionCount}</Text>
-          <Text style={styles.statsText}>Total: {sessionCount * 25} minutes</Text>
+          <Text style={styles.statsText}>Total: {focusedMinutes ?? sessionCount * 25} minutes</Text>
         </View>
 
         <View style={styles.motivationContainer}>
@@ -173,6 +213,14 @@ const styles = StyleSheet.create<Styles>({
     textAlign: 'center',
     marginBottom: responsivePadding(40),
   },
+  taskTitleRecurring: {
+    marginBottom: responsivePadding(8),
+  },
+  recurrenceText: {
+    fontSize: responsiveFontSize(14),
+    color: '#888',
+    marginBottom: responsivePadding(32),
+  },
   timerContainer: {
     width: getTimerSize(),
     height: getTimerSize(),
@@ -205,6 +253,16 @@ const styles = StyleSheet.create<Styles>({
   resetButton: {
     backgroundColor: '#666',
   },
+  interruptButton: {
+    paddingVertical: responsivePadding(8),
+    paddingHorizontal: responsivePadding(16),
+    marginBottom: responsivePadding(20),
+  },
+  interruptButtonText: {
+    color: '#888',
+    fontSize: responsiveFontSize(14),
+    textDecorationLine: 'underline',
+  },
   controlButtonText: {
     color: '#fff',
     fontSize: responsiveFontSize(18),
@@ -0,0 +1,130 @@
+// ABOUTME: Celebration shown over the app when the user reaches a new level
+// Plays the user's chosen celebration and lists the rewards the level unlocked
+
+import React, { useEffect, useState } from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import { useNotifications } from '../contexts/NotificationContext';
+import LevelService from '../services/LevelService';
+import RewardAnimation from './RewardAnimation';
+
+interface Styles {
+  container: ViewStyle;
+  textContainer: ViewStyle;
+  label: TextStyle;
+  title: TextStyle;
+  rewards: TextStyle;
+  closeButton: ViewStyle;
+}
+
+const LevelUpCelebration = () => {
+  const router = useRouter();
+  const { levelUp, dismissLevelUp } = useNotifications();
+  const [animating, setAnimating] = useState(false);
+
+  // Play again for each new level, even if the card is still showing
+  useEffect(() => {
+    setAnimating(Boolean(levelUp));
+  }, [levelUp?.level]);
+
+  if (!levelUp) {
+    return null;
+  }
+
+  const celebration = LevelService.getEquippedReward('celebration');
+  const rewards = levelUp.rewards.map((reward) => reward.title).join(', ');
+
+  return (
+    <>
+      <RewardAnimation
+        visible={animating}
+        type={celebration.animation}
+        emoji={celebration.emoji}
+        onComplete={() => {
+          setAnimating(false);
+        }}
+      />
+      <TouchableOpacity
+        style={styles.container}
+        onPress={() => {
+          dismissLevelUp();
+          router.push('/profile/rewards');
+        }}
+        testID="level-up-celebration"
+        accessibilityRole="button"
+        accessibilityLabel={`Level ${levelUp.level} reached`}
+      >
+        <View style={styles.textContainer}>
+          <Text style={styles.label}>Level up</Text>
+          <Text style={styles.title}>You reached level {levelUp.level}!</Text>
+          {rewards.length > 0 && (
+            <Text style={styles.rewards} testID="level-up-rewards">
+              Unlocked: {rewards}
+            </Text>
+          )}
+        </View>
+        <TouchableOpacity
+          style={styles.closeButton}
+          onPress={dismissLevelUp}
+          hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          testID="level-up-dismiss"
+          accessibilityLabel="Dismiss level up"
+          accessibilityRole="button"
+        >
+          <Ionicons name="close" size={20} color="#6C3483" />
+        </TouchableOpacity>
+      </TouchableOpacity>
+    </>
+  );
+};
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    position: 'absolute',
+    top: 120,
+    left: 16,
+    right: 16,
+    zIndex: 9998,
+    elevation: 10,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F5EEF8',
+    borderRadius: 12,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+  },
+  textContainer: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#6C3483',
+    textTransform: 'uppercase',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#2C3E50',
+    marginTop: 2,
+  },
+  rewards: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    marginTop: 4,
+  },
+  closeButton: {
+    marginLeft: 8,
+    padding: 4,
+  },
+});
+
+export default LevelUpCelebration;
@@ -24,6 +24,9 @@ export interface NotificationData {
   completedBy?: string;
   message?: string;
   fromUser?: string;
+  fromUserName?: string;
+  rewardTitle?: string;
+  sessionId?: string;
 }
 
 export interface NotificationBannerNotification {
@@ -62,6 +65,8 @@ const NotificationBanner = ({ notification, onDismiss, onPress }: NotificationBa
   const getNotificationStyle = (): NotificationStyle => {
     switch (notification.type) {
       case NOTIFICATION_TYPES.TASK_ASSIGNED:
+      case NOTIFICATION_TYPES.TASK_PROPOSED:
+      case NOTIFICATION_TYPES.TASK_ASSIGNMENT_RESPONSE:
         return { icon: 'add-circle', color: '#3498DB', backgroundColor: '#EBF5FB' };
       case NOTIFICATION_TYPES.TASK_STARTED:
         return { icon: 'play-circle', color: '#27AE60', backgroundColor: '#E8F8F5' };
@@ -72,9 +77,16 @@ const NotificationBanner = ({ notification, onDismiss, onPress }: NotificationBa
       case NOTIFICATION_TYPES.ENCOURAGEMENT:
         return { icon: 'heart', color: '#F39C12', backgroundColor: '#FEF5E7' };
       case NOTIFICATION_TYPES.CHECK_IN:
+      case NOTIFICATION_TYPES.CHECK_IN_RESPONSE:
         return { icon: 'chatbubble-ellipses', color: '#9B59B6', backgroundColor: '#F4ECF7' };
       case NOTIFICATION_TYPES.DEADLINE_CHANGE_REQUEST:
+      case NOTIFICATION_TYPES.DEADLINE_CHANGE_RESPONSE:
         return { icon: 'time', color: '#E67E22', backgroundColor: '#FDEBD0' };
+      case NOTIFICATION_TYPES.REWARD_REDEEMED:
+      case NOTIFICATION_TYPES.REWARD_FULFILLED:
+        return { icon: 'gift', color: '#8E44AD', backgroundColor: '#F4ECF7' };
+      case NOTIFICATION_TYPES.BODY_DOUBLING_INVITE:
+        return { icon: 'people', color: '#16A085', backgroundColor: '#E8F8F5' };
       default:
         return { icon: 'notifications', color: '#3498DB', backgroundColor: '#EBF5FB' };
     }
@@ -86,6 +98,10 @@ const NotificationBanner = ({ notification, onDismiss, onPress }: NotificationBa
     switch (notification.type) {
       case NOTIFICATION_TYPES.TASK_ASSIGNED:
         return `${data.assignedBy} assigned you "${data.taskTitle}"`;
+      case NOTIFICATION_TYPES.TASK_PROPOSED:
+        return `${data.fromUserName} proposed "${data.taskTitle}"`;
+      case NOTIFICATION_TYPES.TASK_ASSIGNMENT_RESPONSE:
+        return `${data.fromUserName} answered about "${data.taskTitle}"`;
       case NOTIFICATION_TYPES.TASK_STARTED:
         return `${data.startedBy} started "${data.taskTitle}"`;
       case NOTIFICATION_TYPES.TASK_COMPLETED:
@@ -96,8 +112,18 @@ const NotificationBanner = ({ notification, onDismiss, onPress }: NotificationBa
         return data.message ?? `${data.fromUser} sent you encouragement`;
       case NOTIFICATION_TYPES.CHECK_IN:
         return data.message ?? `${data.fromUser} is checking in`;
+      case NOTIFICATION_TYPES.CHECK_IN_RESPONSE:
+        return `${data.fromUserName} answered your check-in`;
       case NOTIFICATION_TYPES.DEADLINE_CHANGE_REQUEST:
         return `Deadline change requested for "${data.taskTitle}"`;
+      case NOTIFICATION_TYPES.DEADLINE_CHANGE_RESPONSE:
+        return `${data.fromUserName} answered about "${data.taskTitle}"`;
+      case NOTIFICATION_TYPES.REWARD_REDEEMED:
+        return `${data.fromUserName} redeemed "${data.rewardTitle}"`;
+      case NOTIFICATION_TYPES.REWARD_FULFILLED:
+        return `${data.fromUserName} gave you "${data.rewardTitle}"`;
+      case NOTIFICATION_TYPES.BODY_DOUBLING_INVITE:
+        return `${data.fromUserName} wants to focus together`;
       default:
         return 'New notification';
     }
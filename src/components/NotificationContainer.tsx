@@ -7,6 +7,7 @@ import { useRouter } from 'expo-router';
 import NotificationBanner from './NotificationBanner';
 import NotificationService from '../services/NotificationService';
 import UserStorageService from '../services/UserStorageService';
+import { NOTIFICATION_TYPES } from '../constants/UserConstants';
 import type { Notification, User, NotificationTypes } from '../types';
 
 // Extended notification type that includes the data property from the service
@@ -19,6 +20,9 @@ interface NotificationWithData extends Omit<Notification, 'timestamp'> {
     completedBy?: string;
     message?: string;
     fromUser?: string;
+    sessionId?: string;
+    scheduleId?: string;
+    requestId?: string;
   };
   timestamp?: Date | string;
 }
@@ -88,7 +92,28 @@ const NotificationContainer = () => {
 
   const handlePress = useCallback((): void => {
     // Navigate based on notification type
-    if (currentNotification?.data?.taskId) {
+    if (currentNotification?.data?.sessionId) {
+      router.push({
+        pathname: '/body-doubling',
+        params: { sessionId: currentNotification.data.sessionId },
+      });
+    } else if (
+      currentNotification?.type === NOTIFICATION_TYPES.CHECK_IN ||
+      currentNotification?.type === NOTIFICATION_TYPES.CHECK_IN_RESPONSE
+    ) {
+      const scheduleId = currentNotification.data?.scheduleId;
+      router.push({
+        pathname: '/profile/partnership/check-ins',
+        params: scheduleId ? { scheduleId } : {},
+      });
+    } else if (currentNotification?.data?.requestId) {
+      router.push({
+        pathname: '/profile/partnership/deadline-request',
+        params: { requestId: currentNotification.data.requestId },
+      });
+    } else if (currentNotification?.type === NOTIFICATION_TYPES.TASK_ASSIGNMENT_RESPONSE) {
+      router.push('/profile/partnership/dashboard');
+    } else if (currentNotification?.data?.taskId) {
       // Navigate to task list with focus on specific task
       router.push('/(tabs)');
       // Note: The TaskList screen would need to handle focusing the task via route params or context
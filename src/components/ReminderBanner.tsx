@@ -0,0 +1,169 @@
+// ABOUTME: Banner shown at the top of the app when a task reminder goes off
+// Lets the user open the task, snooze the reminder or dismiss it
+
+import React from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import { useNotifications } from '../contexts/NotificationContext';
+import { DEFAULT_SNOOZE_MINUTES } from '../services/ReminderScheduler';
+
+interface Styles {
+  container: ViewStyle;
+  content: ViewStyle;
+  iconContainer: ViewStyle;
+  textContainer: ViewStyle;
+  label: TextStyle;
+  title: TextStyle;
+  closeButton: ViewStyle;
+  actions: ViewStyle;
+  actionButton: ViewStyle;
+  actionText: TextStyle;
+  primaryAction: ViewStyle;
+  primaryActionText: TextStyle;
+}
+
+const ReminderBanner = () => {
+  const router = useRouter();
+  const { dueReminders, snoozeReminder, dismissReminder } = useNotifications();
+
+  const reminder = dueReminders[0];
+  if (!reminder) {
+    return null;
+  }
+
+  const waiting = dueReminders.length - 1;
+
+  return (
+    <View style={styles.container} testID="reminder-banner">
+      <View style={styles.content}>
+        <View style={styles.iconContainer}>
+          <Ionicons name="alarm" size={24} color="white" />
+        </View>
+        <View style={styles.textContainer}>
+          <Text style={styles.label}>
+            {reminder.snoozed ? 'Snoozed reminder' : 'Reminder'}
+            {waiting > 0 ? ` · ${waiting} more` : ''}
+          </Text>
+          <Text style={styles.title} numberOfLines={2}>
+            {reminder.taskTitle}
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={styles.closeButton}
+          onPress={() => {
+            dismissReminder(reminder.id).catch(() => {});
+          }}
+          hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          testID="reminder-dismiss"
+          accessibilityLabel="Dismiss reminder"
+          accessibilityRole="button"
+        >
+          <Ionicons name="close" size={20} color="#8E44AD" />
+        </TouchableOpacity>
+      </View>
+      <View style={styles.actions}>
+        <TouchableOpacity
+          style={styles.actionButton}
+          onPress={() => {
+            snoozeReminder(reminder.id).catch(() => {});
+          }}
+          testID="reminder-snooze"
+          accessibilityRole="button"
+        >
+          <Text style={styles.actionText}>Snooze {DEFAULT_SNOOZE_MINUTES} min</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.actionButton, styles.primaryAction]}
+          onPress={() => {
+            dismissReminder(reminder.id).catch(() => {});
+            router.push(`/task/${reminder.taskId}`);
+          }}
+          testID="reminder-open"
+          accessibilityRole="button"
+        >
+          <Text style={[styles.actionText, styles.primaryActionText]}>Open Task</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    zIndex: 9998,
+    elevation: 10,
+    backgroundColor: '#F4ECF7',
+    paddingTop: 40, // Account for status bar
+    paddingBottom: 12,
+    paddingHorizontal: 16,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 2,
+    },
+    shadowOpacity: 0.25,
+    shadowRadius: 3.84,
+  },
+  content: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  iconContainer: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#8E44AD',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  textContainer: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#8E44AD',
+    textTransform: 'uppercase',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#2C3E50',
+    marginTop: 2,
+  },
+  closeButton: {
+    marginLeft: 8,
+    padding: 4,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 10,
+  },
+  actionButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 8,
+    marginLeft: 8,
+  },
+  actionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#8E44AD',
+  },
+  primaryAction: {
+    backgroundColor: '#8E44AD',
+  },
+  primaryActionText: {
+    color: 'white',
+  },
+});
+
+export default ReminderBanner;
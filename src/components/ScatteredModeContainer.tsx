@@ -4,13 +4,15 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { Alert } from 'react-native';
 import { useRouter } from 'expo-router';
-import { useTasks } from '../contexts';
+import { useUser, useTasks, useCategories } from '../contexts';
 import ScatteredModeView from './ScatteredModeView';
 import RewardService from '../services/RewardService';
 
 export const ScatteredModeContainer: React.FC = () => {
   const router = useRouter();
+  const { user } = useUser();
   const { getPendingTasks, updateTask } = useTasks();
+  const { categories } = useCategories();
   const [currentTaskIndex, setCurrentTaskIndex] = useState(0);
   const [completedCount, setCompletedCount] = useState(0);
   const [totalXP, setTotalXP] = useState(0);
@@ -45,14 +47,17 @@ export const ScatteredModeContainer: React.FC = () => {
 
     const task = quickTasks[currentTaskIndex];
     const xp = RewardService.calculateTaskXP(task);
+    const completedAt = new Date();
 
     try {
       await updateTask(task.id, {
         completed: true,
-        completedAt: new Date(),
+        completedAt,
         xpEarned: xp,
       });
-      await RewardService.updateStreak();
+      if (user) {
+        await RewardService.updateStreak(user.id, completedAt);
+      }
 
       setCompletedCount((prev) => prev + 1);
       setTotalXP((prev) => prev + xp);
@@ -118,6 +123,7 @@ export const ScatteredModeContainer: React.FC = () => {
       totalTasks={quickTasks.length}
       completedCount={completedCount}
       totalXP={totalXP}
+      categories={categories}
       onCompleteTask={() => {
         void handleCompleteTask();
       }}
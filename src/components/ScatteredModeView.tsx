@@ -5,8 +5,8 @@ import React from 'react';
 import type { ViewStyle, TextStyle } from 'react-native';
 import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import type { Task } from '../types/task.types';
-import { TASK_CATEGORIES } from '../constants/TaskConstants';
+import type { Task, TaskCategory } from '../types/task.types';
+import { DEFAULT_CATEGORIES, findCategory } from '../utils/CategoryModel';
 import {
   getCardMinHeight,
   responsiveFontSize,
@@ -19,6 +19,7 @@ interface ScatteredModeViewProps {
   totalTasks: number;
   completedCount: number;
   totalXP: number;
+  categories?: TaskCategory[];
   onCompleteTask: () => void;
   onSkipTask: () => void;
   onExit: () => void;
@@ -62,6 +63,7 @@ export const ScatteredModeView: React.FC<ScatteredModeViewProps> = ({
   totalTasks,
   completedCount,
   totalXP,
+  categories = DEFAULT_CATEGORIES,
   onCompleteTask,
   onSkipTask,
   onExit,
@@ -77,9 +79,7 @@ export const ScatteredModeView: React.FC<ScatteredModeViewProps> = ({
   }
 
   const progress = ((taskIndex + completedCount) / totalTasks) * 100;
-  const category = currentTask.category
-    ? Object.values(TASK_CATEGORIES).find((cat) => cat.id === currentTask.category)
-    : null;
+  const category = findCategory(categories, currentTask.category);
   const taskXP = 10; // This would be calculated by RewardService
 
   return (
@@ -0,0 +1,89 @@
+// ABOUTME: Header indicator showing whether local changes have reached the server
+// Summarises the offline queue as synced, pending N or failed N and opens the sync screen
+
+import React from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import { Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import type { QueueStatus } from '../services/OfflineQueueManager';
+
+export type SyncState = 'synced' | 'pending' | 'failed';
+
+interface SyncStateDisplay {
+  state: SyncState;
+  label: string;
+  icon: keyof typeof Ionicons.glyphMap;
+  color: string;
+}
+
+export const getSyncStateDisplay = (status: QueueStatus): SyncStateDisplay => {
+  // Failures win: they need the user, pending changes will sort themselves out
+  if (status.deadLetterLength > 0) {
+    return {
+      state: 'failed',
+      label: `${status.deadLetterLength} failed`,
+      icon: 'alert-circle-outline',
+      color: '#E74C3C',
+    };
+  }
+
+  if (status.queueLength > 0) {
+    return {
+      state: 'pending',
+      label: `${status.queueLength} pending`,
+      icon: status.isOnline ? 'sync-outline' : 'cloud-offline-outline',
+      color: '#F39C12',
+    };
+  }
+
+  return {
+    state: 'synced',
+    label: 'Synced',
+    icon: 'cloud-done-outline',
+    color: '#27AE60',
+  };
+};
+
+interface SyncStatusIndicatorProps {
+  status: QueueStatus;
+  onPress: () => void;
+}
+
+const SyncStatusIndicator = ({ status, onPress }: SyncStatusIndicatorProps) => {
+  const display = getSyncStateDisplay(status);
+
+  return (
+    <TouchableOpacity
+      style={styles.container}
+      onPress={onPress}
+      activeOpacity={0.7}
+      testID={`sync-status-${display.state}`}
+      accessibilityRole="button"
+      accessibilityLabel={`Sync status: ${display.label}`}
+    >
+      <Ionicons name={display.icon} size={20} color={display.color} />
+      <Text style={[styles.label, { color: display.color }]}>{display.label}</Text>
+    </TouchableOpacity>
+  );
+};
+
+interface Styles {
+  container: ViewStyle;
+  label: TextStyle;
+}
+
+const styles = StyleSheet.create<Styles>({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  label: {
+    marginLeft: 4,
+    fontSize: 13,
+    fontWeight: '600',
+  },
+});
+
+export default SyncStatusIndicator;
@@ -1,17 +1,27 @@
 // ABOUTME: Reusable TaskItem component for displaying individual tasks
 // Provides checkbox for completion and visual feedback for task states
 
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef, useEffect, useMemo, useState } from 'react';
 import type { ViewStyle, TextStyle } from 'react-native';
-import { View, Text, TouchableOpacity, StyleSheet, Animated } from 'react-native';
+import { View, Text, TouchableOpacity, StyleSheet, Animated, Alert } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { TASK_CATEGORIES, TASK_PRIORITY } from '../constants/TaskConstants';
-import { completeTask, updateTask, startTask, markPartnerNotified } from '../utils/TaskModel';
-import TaskStorageService from '../services/TaskStorageService';
+import { TASK_PRIORITY } from '../constants/TaskConstants';
+import {
+  completeTask,
+  updateTask,
+  startTask,
+  markPartnerNotified,
+  getSubtaskProgress,
+  isOverdue,
+} from '../utils/TaskModel';
+import { describeRecurrence } from '../utils/RecurrenceModel';
+import { DEFAULT_CATEGORIES, findCategory } from '../utils/CategoryModel';
+import LocalTaskStore from '../services/LocalTaskStore';
 import RewardService from '../services/RewardService';
+import LevelService from '../services/LevelService';
 import NotificationService from '../services/NotificationService';
 import PartnershipService from '../services/PartnershipService';
-import type { Task } from '../types/task.types';
+import type { Task, TaskCategory, TaskTreeNode } from '../types/task.types';
 import { TaskStatus } from '../types/task.types';
 import type { User } from '../types/user.types';
 import { animationHelpers, duration, easing } from '../styles/animations';
@@ -24,13 +34,32 @@ interface Partner {
 
 interface TaskItemProps {
   task: Task;
+  // The task's category resolved from the user's categories; built-ins are used when omitted
+  category?: TaskCategory | null;
   onUpdate?: () => void;
   onPress?: () => void;
   currentUser?: User | null;
   partner?: Partner | null;
+  subtasks?: TaskTreeNode[]; // Ordered steps this task was broken into, with their own steps
+  siblingCount?: number; // Number of steps under the same parent (for steps)
+  onSubtaskPress?: (subtask: Task) => void;
+  onCompleted?: (task: Task) => void;
 }
 
-const TaskItem = ({ task, onUpdate, onPress, currentUser, partner }: TaskItemProps) => {
+const EMPTY_SUBTASKS: TaskTreeNode[] = [];
+
+const TaskItem = ({
+  task,
+  category: categoryProp,
+  onUpdate,
+  onPress,
+  currentUser,
+  partner,
+  subtasks = EMPTY_SUBTASKS,
+  siblingCount,
+  onSubtaskPress,
+  onCompleted,
+}: TaskItemProps) => {
   // Development helper for tracking renders
   if (process.env.NODE_ENV === 'development') {
     // eslint-disable-next-line no-console
@@ -39,6 +68,8 @@ const TaskItem = ({ task, onUpdate, onPress, currentUser, partner }: TaskItemPro
 
   // Animation state
   const [showReward, setShowReward] = useState(false);
+  const celebration = LevelService.getEquippedReward('celebration');
+  const [subtasksExpanded, setSubtasksExpanded] = useState(false);
   const scaleAnim = useRef(animationHelpers.createValue(1)).current;
   const checkboxScaleAnim = useRef(animationHelpers.createValue(task.completed ? 1 : 0)).current;
   const opacityAnim = useRef(animationHelpers.createValue(1)).current;
@@ -53,9 +84,8 @@ const TaskItem = ({ task, onUpdate, onPress, currentUser, partner }: TaskItemPro
     }).start();
   }, [task.completed]);
 
-  const category = task.category
-    ? Object.values(TASK_CATEGORIES).find((cat) => cat.id === task.category)
-    : null;
+  const category =
+    categoryProp !== undefined ? categoryProp : findCategory(DEFAULT_CATEGORIES, task.category);
 
   const formatTimeEstimate = (minutes: number | null): string | null => {
     if (!minutes) return null;
@@ -86,6 +116,12 @@ const TaskItem = ({ task, onUpdate, onPress, currentUser, partner }: TaskItemPro
     setShowReward(true);
   };
 
+  const steps = useMemo(() => subtasks.map((node) => node.task), [subtasks]);
+  const hasSubtasks = steps.length > 0;
+  const subtaskProgress = getSubtaskProgress(steps);
+  const recurrenceLabel = task.recurrence ? describeRecurrence(task.recurrence) : null;
+  const overdue = isOverdue(task);
+
   const handleToggleComplete = async (): Promise<void> => {
     let updatedTask;
 
@@ -99,14 +135,19 @@ const TaskItem = ({ task, onUpdate, onPress, currentUser, partner }: TaskItemPro
       });
     } else {
       // Complete the task with calculated XP
-      const xp = RewardService.calculateTaskXP(task);
+      const xp = RewardService.calculateTaskXP(task, {
+        siblingCount,
+        subtaskCount: steps.length,
+      });
       updatedTask = completeTask(task, xp);
 
       // Trigger completion animation
       animateCompletion();
 
       // Update streak
-      await RewardService.updateStreak();
+      if (currentUser) {
+        await RewardService.updateStreak(currentUser.id, updatedTask.completedAt ?? new Date());
+      }
 
       // Notify partner if this is an assigned task
       if (task.assignedBy && currentUser) {
@@ -124,12 +165,35 @@ const TaskItem = ({ task, onUpdate, onPress, currentUser, partner }: TaskItemPro
       }
     }
 
-    const success = await TaskStorageService.updateTask(updatedTask);
+    const success = await LocalTaskStore.updateTask(updatedTask);
+    if (success && updatedTask.completed && onCompleted) {
+      onCompleted(updatedTask);
+    }
     if (success && onUpdate) {
       onUpdate();
     }
   };
 
+  const handleSubtaskCompleted = (completedSubtask: Task): void => {
+    if (task.completed) return;
+
+    const remaining = steps.filter(
+      (subtask) => subtask.id !== completedSubtask.id && !subtask.completed,
+    );
+    if (remaining.length > 0) return;
+
+    // Every step is done - offer to complete the parent as well
+    Alert.alert('All steps done! 🎉', `Mark "${task.title}" as complete too?`, [
+      { text: 'Not yet', style: 'cancel' },
+      {
+        text: 'Complete',
+        onPress: () => {
+          void handleToggleComplete();
+        },
+      },
+    ]);
+  };
+
   const handleStartTask = async (): Promise<void> => {
     if (task.status === 'in_progress' || task.completed) return;
 
@@ -141,7 +205,7 @@ const TaskItem = ({ task, onUpdate, onPress, currentUser, partner }: TaskItemPro
       await NotificationService.notifyTaskStarted(updatedTask, currentUser);
     }
 
-    const success = await TaskStorageService.updateTask(updatedTask);
+    const success = await LocalTaskStore.updateTask(updatedTask);
     if (success && onUpdate) {
       onUpdate();
     }
@@ -164,18 +228,24 @@ const TaskItem = ({ task, onUpdate, onPress, currentUser, partner }: TaskItemPro
 
   const getTaskStatus = (): string => {
     if (task.completed) return 'completed';
+    if (overdue) return 'overdue';
     if (task.status === 'in_progress') return 'in progress';
     return 'pending';
   };
   const taskStatus = getTaskStatus();
-  const taskAccessibilityLabel = `${task.title}, ${taskStatus}${category ? `, category: ${category.label}` : ''}${task.priority && task.priority !== TASK_PRIORITY.MEDIUM ? `, priority: ${task.priority}` : ''}${task.dueDate ? `, due: ${new Date(task.dueDate).toLocaleDateString()}` : ''}`;
+  const taskAccessibilityLabel = `${task.title}, ${taskStatus}${category ? `, category: ${category.label}` : ''}${task.priority && task.priority !== TASK_PRIORITY.MEDIUM ? `, priority: ${task.priority}` : ''}${task.dueDate ? `, due: ${new Date(task.dueDate).toLocaleDateString()}` : ''}${hasSubtasks ? `, ${subtaskProgress.completed} of ${subtaskProgress.total} steps done` : ''}${recurrenceLabel ? `, repeats ${recurrenceLabel.toLowerCase()}` : ''}`;
 
   return (
     <>
       <Animated.View style={{ transform: [{ scale: scaleAnim }], opacity: opacityAnim }}>
         <TouchableOpacity
           testID={`task-item-${task.id}`}
-          style={[styles.container, task.completed && styles.completedContainer]}
+          style={[
+            styles.container,
+            task.parentId && styles.subtaskContainer,
+            task.completed && styles.completedContainer,
+            overdue && styles.overdueContainer,
+          ]}
           onPress={onPress}
           activeOpacity={0.7}
           accessible
@@ -256,21 +326,55 @@ const TaskItem = ({ task, onUpdate, onPress, currentUser, partner }: TaskItemPro
                 </View>
               )}
               {task.dueDate && (
-                <Text
-                  style={[styles.dueDate, new Date(task.dueDate) < new Date() && styles.overdue]}
-                >
+                <Text style={[styles.dueDate, overdue && styles.overdue]}>
                   📅 {new Date(task.dueDate).toLocaleDateString()}
                 </Text>
               )}
+              {overdue && (
+                <Text testID={`overdue-badge-${task.id}`} style={styles.overdueBadge}>
+                  ⚠️ Overdue
+                  {task.assignedBy && task.partnerNotified.onOverdue ? ' · partner notified' : ''}
+                </Text>
+              )}
               {task.timeEstimate && (
                 <Text style={styles.timeEstimate}>⏱️ {formatTimeEstimate(task.timeEstimate)}</Text>
               )}
+              {recurrenceLabel && (
+                <Text testID={`recurrence-badge-${task.id}`} style={styles.recurrenceBadge}>
+                  🔁 {recurrenceLabel}
+                </Text>
+              )}
               {task.status === 'in_progress' && (
                 <Text style={styles.inProgressBadge}>▶️ In Progress</Text>
               )}
               {task.completed && task.xpEarned > 0 && (
                 <Text style={styles.xpBadge}>✨ +{task.xpEarned} XP</Text>
               )}
+              {hasSubtasks && (
+                <TouchableOpacity
+                  testID={`subtask-toggle-${task.id}`}
+                  style={styles.subtaskToggle}
+                  onPress={() => {
+                    setSubtasksExpanded(!subtasksExpanded);
+                  }}
+                  accessible
+                  accessibilityLabel={`${subtaskProgress.completed} of ${subtaskProgress.total} steps done`}
+                  accessibilityHint={
+                    subtasksExpanded ? 'Double tap to hide steps' : 'Double tap to show steps'
+                  }
+                  accessibilityRole="button"
+                  accessibilityState={{ expanded: subtasksExpanded }}
+                >
+                  <Ionicons
+                    name={subtasksExpanded ? 'chevron-down' : 'chevron-forward'}
+                    size={12}
+                    color="#3498DB"
+                  />
+                  <Text style={styles.subtaskProgressText}>
+                    {subtaskProgress.completed}/{subtaskProgress.total} steps
+                  </Text>
+                </TouchableOpacity>
+              )}
             </View>
           </View>
 
@@ -299,10 +403,35 @@ const TaskItem = ({ task, onUpdate, onPress, currentUser, partner }: TaskItemPro
             </TouchableOpacity>
           )}
         </TouchableOpacity>
+        {hasSubtasks && subtasksExpanded && (
+          <View style={styles.subtaskList} testID={`subtask-list-${task.id}`}>
+            {subtasks.map(({ task: subtask, children }) => (
+              <MemoizedTaskItem
+                key={subtask.id}
+                task={subtask}
+                subtasks={children}
+                onUpdate={onUpdate}
+                onPress={
+                  onSubtaskPress
+                    ? () => {
+                        onSubtaskPress(subtask);
+                      }
+                    : undefined
+                }
+                currentUser={currentUser}
+                partner={partner}
+                siblingCount={subtasks.length}
+                onSubtaskPress={onSubtaskPress}
+                onCompleted={handleSubtaskCompleted}
+              />
+            ))}
+          </View>
+        )}
       </Animated.View>
       <RewardAnimation
         visible={showReward}
-        type="emoji"
+        type={celebration.animation}
+        emoji={celebration.emoji}
         onComplete={() => {
           setShowReward(false);
         }}
@@ -313,7 +442,9 @@ const TaskItem = ({ task, onUpdate, onPress, currentUser, partner }: TaskItemPro
 
 interface Styles {
   container: ViewStyle;
+  subtaskContainer: ViewStyle;
   completedContainer: ViewStyle;
+  overdueContainer: ViewStyle;
   checkbox: ViewStyle;
   checkboxCompleted: ViewStyle;
   checkmark: TextStyle;
@@ -332,8 +463,13 @@ interface Styles {
   priorityBadge: ViewStyle;
   dueDate: TextStyle;
   overdue: TextStyle;
+  overdueBadge: TextStyle;
   inProgressBadge: TextStyle;
+  recurrenceBadge: TextStyle;
   startButton: ViewStyle;
+  subtaskToggle: ViewStyle;
+  subtaskProgressText: TextStyle;
+  subtaskList: ViewStyle;
 }
 
 const styles = StyleSheet.create<Styles>({
@@ -350,9 +486,20 @@ const styles = StyleSheet.create<Styles>({
     shadowRadius: 4,
     elevation: 3,
   },
+  subtaskContainer: {
+    marginHorizontal: 0,
+    marginVertical: 4,
+    padding: 12,
+    shadowOpacity: 0.05,
+    elevation: 1,
+  },
   completedContainer: {
     opacity: 0.6,
   },
+  overdueContainer: {
+    borderLeftWidth: 4,
+    borderLeftColor: '#E74C3C',
+  },
   checkbox: {
     width: 24,
     height: 24,
@@ -444,17 +591,56 @@ const styles = StyleSheet.create<Styles>({
     color: '#E74C3C',
     fontWeight: '600',
   },
+  overdueBadge: {
+    fontSize: 12,
+    color: '#E74C3C',
+    fontWeight: '600',
+  },
   inProgressBadge: {
     fontSize: 12,
     color: '#3498DB',
     fontWeight: '600',
   },
+  recurrenceBadge: {
+    fontSize: 12,
+    color: '#8E44AD',
+  },
   startButton: {
     marginLeft: 8,
     justifyContent: 'center',
   },
+  subtaskToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 2,
+  },
+  subtaskProgressText: {
+    fontSize: 12,
+    color: '#3498DB',
+    fontWeight: '600',
+  },
+  subtaskList: {
+    marginLeft: 40,
+    marginRight: 16,
+    marginBottom: 8,
+  },
 });
 
+// Steps render the same when they and every step nested under them look the same
+const stepsRenderEqual = (prevSteps: TaskTreeNode[], nextSteps: TaskTreeNode[]): boolean =>
+  prevSteps.length === nextSteps.length &&
+  prevSteps.every(({ task: subtask, children }, index) => {
+    const next = nextSteps[index];
+    return (
+      subtask.id === next.task.id &&
+      subtask.title === next.task.title &&
+      subtask.completed === next.task.completed &&
+      subtask.status === next.task.status &&
+      subtask.xpEarned === next.task.xpEarned &&
+      stepsRenderEqual(children, next.children)
+    );
+  });
+
 // Custom comparison function for React.memo
 const areEqual = (prevProps: TaskItemProps, nextProps: TaskItemProps): boolean => {
   // Compare task properties that affect visual rendering
@@ -475,16 +661,32 @@ const areEqual = (prevProps: TaskItemProps, nextProps: TaskItemProps): boolean =
     prevTask.xpEarned === nextTask.xpEarned &&
     prevTask.assignedBy === nextTask.assignedBy &&
     prevTask.partnerNotified?.onStart === nextTask.partnerNotified?.onStart &&
-    prevTask.partnerNotified?.onComplete === nextTask.partnerNotified?.onComplete;
+    prevTask.partnerNotified?.onComplete === nextTask.partnerNotified?.onComplete &&
+    prevTask.partnerNotified?.onOverdue === nextTask.partnerNotified?.onOverdue &&
+    prevTask.parentId === nextTask.parentId &&
+    prevTask.sortOrder === nextTask.sortOrder &&
+    prevTask.recurrence === nextTask.recurrence;
+
+  // Check if the steps, and the steps under them, render the same
+  const subtasksEqual = stepsRenderEqual(
+    prevProps.subtasks ?? EMPTY_SUBTASKS,
+    nextProps.subtasks ?? EMPTY_SUBTASKS,
+  );
 
   // Check if other props are the same
   const otherPropsEqual =
+    prevProps.category === nextProps.category &&
     prevProps.onUpdate === nextProps.onUpdate &&
     prevProps.onPress === nextProps.onPress &&
     prevProps.currentUser?.id === nextProps.currentUser?.id &&
-    prevProps.partner?.id === nextProps.partner?.id;
+    prevProps.partner?.id === nextProps.partner?.id &&
+    prevProps.siblingCount === nextProps.siblingCount &&
+    prevProps.onSubtaskPress === nextProps.onSubtaskPress &&
+    prevProps.onCompleted === nextProps.onCompleted;
 
-  return taskVisuallyEqual && otherPropsEqual;
+  return taskVisuallyEqual && subtasksEqual && otherPropsEqual;
 };
 
-export default React.memo(TaskItem, areEqual);
+const MemoizedTaskItem = React.memo(TaskItem, areEqual);
+
+export default MemoizedTaskItem;
@@ -3,17 +3,21 @@
 
 import React, { useState, useMemo } from 'react';
 import { useRouter } from 'expo-router';
-import { useUser, useTasks } from '../contexts';
+import { useUser, useTasks, useCategories } from '../contexts';
 import TaskListView from './TaskListView';
 import type { Task } from '../types/task.types';
+import { collapseRecurringSeries } from '../utils/RecurrenceModel';
+import { isActiveAssignment, isPendingAssignment } from '../utils/AssignmentModel';
 
 export const TaskListContainer: React.FC = () => {
   const router = useRouter();
   const { user: currentUser, partner } = useUser();
   const { tasks: allTasks, refreshTasks } = useTasks();
+  const { categories } = useCategories();
   const [refreshing, setRefreshing] = useState(false);
   const [selectedCategory, setSelectedCategory] = useState<string | null>(null);
   const [showAssignedOnly, setShowAssignedOnly] = useState(false);
+  const [showInboxOnly, setShowInboxOnly] = useState(false);
 
   // Filter and sort tasks
   const tasks = useMemo<Task[]>(() => {
@@ -22,14 +26,22 @@ export const TaskListContainer: React.FC = () => {
     let filtered = allTasks;
 
     if (showAssignedOnly) {
-      filtered = allTasks.filter((task) => task.assignedBy && task.assignedBy !== currentUser.id);
+      // Proposals only join the assigned list once they're accepted
+      filtered = allTasks.filter(
+        (task) => task.assignedBy && task.assignedBy !== currentUser.id && isActiveAssignment(task),
+      );
     } else {
       filtered = allTasks.filter((task) => task.userId === currentUser.id);
-      if (selectedCategory) {
+      if (showInboxOnly) {
+        filtered = filtered.filter((task) => task.inbox && !task.completed);
+      } else if (selectedCategory) {
         filtered = filtered.filter((task) => task.category === selectedCategory);
       }
     }
 
+    // Past instances of a recurring series are noise in the list
+    filtered = collapseRecurringSeries(filtered);
+
     // Sort tasks
     return filtered.sort((a, b) => {
       if (a.completed !== b.completed) return a.completed ? 1 : -1;
@@ -40,7 +52,24 @@ export const TaskListContainer: React.FC = () => {
       if (b.dueDate) return 1;
       return 0;
     });
-  }, [allTasks, currentUser, selectedCategory, showAssignedOnly]);
+  }, [allTasks, currentUser, selectedCategory, showAssignedOnly, showInboxOnly]);
+
+  const inboxCount = useMemo<number>(() => {
+    if (!currentUser) return 0;
+    return allTasks.filter(
+      (task) => task.userId === currentUser.id && task.inbox && !task.completed,
+    ).length;
+  }, [allTasks, currentUser]);
+
+  const proposals = useMemo<Task[]>(() => {
+    if (!currentUser) return [];
+    return allTasks.filter(
+      (task) =>
+        task.assignedTo === currentUser.id &&
+        task.assignedBy !== currentUser.id &&
+        isPendingAssignment(task),
+    );
+  }, [allTasks, currentUser]);
 
   const handleRefresh = async () => {
     setRefreshing(true);
@@ -61,8 +90,12 @@ export const TaskListContainer: React.FC = () => {
       tasks={tasks}
       currentUser={currentUser}
       partner={partner}
+      categories={categories}
       selectedCategory={selectedCategory}
       showAssignedOnly={showAssignedOnly}
+      inboxCount={inboxCount}
+      showInboxOnly={showInboxOnly}
+      proposals={proposals}
       refreshing={refreshing}
       onTaskPress={handleTaskPress}
       onAddPress={handleAddPress}
@@ -71,6 +104,7 @@ export const TaskListContainer: React.FC = () => {
       }}
       onCategorySelect={setSelectedCategory}
       onToggleAssigned={setShowAssignedOnly}
+      onToggleInbox={setShowInboxOnly}
     />
   );
 };
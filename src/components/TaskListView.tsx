@@ -1,13 +1,15 @@
 // ABOUTME: Pure presentation component for displaying tasks
 // Receives tasks as props, making it easily testable
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import type { ViewStyle, TextStyle } from 'react-native';
 import { View, Text, StyleSheet, TouchableOpacity, ScrollView, RefreshControl } from 'react-native';
 import { FlashList } from '@shopify/flash-list';
 import TaskItem from './TaskItem';
-import { TASK_CATEGORIES } from '../constants/TaskConstants';
-import type { Task, TaskCategory } from '../types/task.types';
+import TaskProposalCard from './TaskProposalCard';
+import type { Task, TaskCategory, TaskTreeNode } from '../types/task.types';
+import { buildTaskTree } from '../utils/TaskModel';
+import { DEFAULT_CATEGORIES, findCategory } from '../utils/CategoryModel';
 import type { User } from '../types/user.types';
 import settingsService from '../services/SettingsService';
 
@@ -15,14 +17,21 @@ interface TaskListViewProps {
   tasks: Task[];
   currentUser: User | null;
   partner?: User | null;
+  categories?: TaskCategory[];
   selectedCategory: string | null;
   showAssignedOnly: boolean;
+  // Brain-dump tasks still waiting to be sorted
+  inboxCount?: number;
+  showInboxOnly?: boolean;
+  // Tasks the partner proposed that haven't been taken on yet
+  proposals?: Task[];
   refreshing: boolean;
   onTaskPress: (task: Task) => void;
   onAddPress: () => void;
   onRefresh: () => void;
   onCategorySelect: (categoryId: string | null) => void;
   onToggleAssigned: (show: boolean) => void;
+  onToggleInbox?: (show: boolean) => void;
 }
 
 // Empty state component
@@ -36,99 +45,156 @@ const EmptyState: React.FC = () => (
 // Category filter component
 interface CategoryFilterProps {
   partner: User | null | undefined;
+  categories: TaskCategory[];
   showAssignedOnly: boolean;
   selectedCategory: string | null;
+  inboxCount: number;
+  showInboxOnly: boolean;
   onToggleAssigned: (show: boolean) => void;
   onCategorySelect: (categoryId: string | null) => void;
+  onToggleInbox: (show: boolean) => void;
 }
 
 const CategoryFilter: React.FC<CategoryFilterProps> = ({
   partner,
+  categories,
   showAssignedOnly,
   selectedCategory,
+  inboxCount,
+  showInboxOnly,
   onToggleAssigned,
   onCategorySelect,
-}) => (
-  <ScrollView
-    horizontal
-    showsHorizontalScrollIndicator={false}
-    style={styles.categoryFilter}
-    contentContainerStyle={styles.categoryFilterContent}
-  >
-    {partner && (
+  onToggleInbox,
+}) => {
+  const showAll = !selectedCategory && !showAssignedOnly && !showInboxOnly;
+
+  return (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      style={styles.categoryFilter}
+      contentContainerStyle={styles.categoryFilterContent}
+    >
+      {partner && (
+        <TouchableOpacity
+          style={[styles.categoryChip, showAssignedOnly && styles.categoryChipActive]}
+          onPress={() => {
+            onToggleAssigned(true);
+            onCategorySelect(null);
+            onToggleInbox(false);
+          }}
+          accessible
+          accessibilityLabel={`Show tasks from ${partner.name}`}
+          accessibilityHint="Double tap to filter tasks assigned by your partner"
+          accessibilityRole="button"
+          accessibilityState={{ selected: showAssignedOnly }}
+        >
+          <Text
+            style={[styles.categoryChipText, showAssignedOnly && styles.categoryChipTextActive]}
+          >
+            Assigned
+          </Text>
+        </TouchableOpacity>
+      )}
+
       <TouchableOpacity
-        style={[styles.categoryChip, showAssignedOnly && styles.categoryChipActive]}
+        style={[styles.categoryChip, showAll && styles.categoryChipActive]}
         onPress={() => {
-          onToggleAssigned(true);
           onCategorySelect(null);
+          onToggleAssigned(false);
+          onToggleInbox(false);
         }}
         accessible
-        accessibilityLabel={`Show tasks from ${partner.name}`}
-        accessibilityHint="Double tap to filter tasks assigned by your partner"
+        accessibilityLabel="Show all tasks"
+        accessibilityHint="Double tap to show all tasks"
         accessibilityRole="button"
-        accessibilityState={{ selected: showAssignedOnly }}
+        accessibilityState={{ selected: showAll }}
       >
-        <Text style={[styles.categoryChipText, showAssignedOnly && styles.categoryChipTextActive]}>
-          Assigned
+        <Text style={[styles.categoryChipText, showAll && styles.categoryChipTextActive]}>
+          All Tasks
         </Text>
       </TouchableOpacity>
-    )}
 
-    <TouchableOpacity
-      style={[
-        styles.categoryChip,
-        !selectedCategory && !showAssignedOnly && styles.categoryChipActive,
-      ]}
-      onPress={() => {
-        onCategorySelect(null);
-        onToggleAssigned(false);
-      }}
-      accessible
-      accessibilityLabel="Show all tasks"
-      accessibilityHint="Double tap to show all tasks"
-      accessibilityRole="button"
-      accessibilityState={{ selected: !selectedCategory && !showAssignedOnly }}
-    >
-      <Text
-        style={[
-          styles.categoryChipText,
-          !selectedCategory && !showAssignedOnly && styles.categoryChipTextActive,
-        ]}
-      >
-        All Tasks
-      </Text>
-    </TouchableOpacity>
-
-    {!showAssignedOnly &&
-      Object.values(TASK_CATEGORIES).map((category: TaskCategory) => (
+      {(inboxCount > 0 || showInboxOnly) && (
         <TouchableOpacity
-          key={category.id}
-          style={[
-            styles.categoryChip,
-            selectedCategory === category.id && styles.categoryChipActive,
-          ]}
+          testID="inbox-filter"
+          style={[styles.categoryChip, showInboxOnly && styles.categoryChipActive]}
           onPress={() => {
-            onCategorySelect(category.id);
+            onToggleInbox(true);
+            onToggleAssigned(false);
+            onCategorySelect(null);
           }}
           accessible
-          accessibilityLabel={`Filter by ${category.label} category`}
-          accessibilityHint={`Double tap to show only ${category.label} tasks`}
+          accessibilityLabel={`Show ${inboxCount} inbox tasks`}
+          accessibilityHint="Double tap to show brain-dump tasks that still need sorting"
           accessibilityRole="button"
-          accessibilityState={{ selected: selectedCategory === category.id }}
+          accessibilityState={{ selected: showInboxOnly }}
         >
-          <Text style={styles.categoryIcon}>{category.icon}</Text>
-          <Text
+          <Text style={styles.categoryIcon}>📥</Text>
+          <Text style={[styles.categoryChipText, showInboxOnly && styles.categoryChipTextActive]}>
+            Inbox ({inboxCount})
+          </Text>
+        </TouchableOpacity>
+      )}
+
+      {!showAssignedOnly &&
+        categories.map((category: TaskCategory) => (
+          <TouchableOpacity
+            key={category.id}
+            testID={`category-filter-${category.id}`}
             style={[
-              styles.categoryChipText,
-              selectedCategory === category.id && styles.categoryChipTextActive,
+              styles.categoryChip,
+              selectedCategory === category.id && styles.categoryChipActive,
             ]}
+            onPress={() => {
+              onCategorySelect(category.id);
+              onToggleInbox(false);
+            }}
+            accessible
+            accessibilityLabel={`Filter by ${category.label} category`}
+            accessibilityHint={`Double tap to show only ${category.label} tasks`}
+            accessibilityRole="button"
+            accessibilityState={{ selected: selectedCategory === category.id }}
           >
-            {category.label}
-          </Text>
-        </TouchableOpacity>
+            <Text style={styles.categoryIcon}>{category.icon}</Text>
+            <Text
+              style={[
+                styles.categoryChipText,
+                selectedCategory === category.id && styles.categoryChipTextActive,
+              ]}
+            >
+              {category.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+    </ScrollView>
+  );
+};
+
+// Proposals section component
+interface ProposalsSectionProps {
+  proposals: Task[];
+  currentUser: User | null;
+  partner: User | null | undefined;
+}
+
+const ProposalsSection: React.FC<ProposalsSectionProps> = ({ proposals, currentUser, partner }) => {
+  if (proposals.length === 0 || !currentUser) return null;
+
+  return (
+    <View style={styles.proposalsSection} testID="task-proposals">
+      <Text style={styles.proposalsTitle}>Proposed by {partner?.name ?? 'your partner'}</Text>
+      {proposals.map((task) => (
+        <TaskProposalCard
+          key={task.id}
+          task={task}
+          userId={currentUser.id}
+          partnerName={partner?.name}
+        />
       ))}
-  </ScrollView>
-);
+    </View>
+  );
+};
 
 // Show more button component
 interface ShowMoreButtonProps {
@@ -190,20 +256,27 @@ interface Styles {
   taskCountText: TextStyle;
   showMoreButton: ViewStyle;
   showMoreText: TextStyle;
+  proposalsSection: ViewStyle;
+  proposalsTitle: TextStyle;
 }
 
 const TaskListView: React.FC<TaskListViewProps> = ({
   tasks,
   currentUser,
   partner,
+  categories = DEFAULT_CATEGORIES,
   selectedCategory,
   showAssignedOnly,
+  inboxCount = 0,
+  showInboxOnly = false,
+  proposals = [],
   refreshing,
   onTaskPress,
   onAddPress,
   onRefresh,
   onCategorySelect,
   onToggleAssigned,
+  onToggleInbox = () => {},
 }) => {
   const [taskLimit, setTaskLimit] = useState(10);
   const [showAll, setShowAll] = useState(false);
@@ -218,16 +291,22 @@ const TaskListView: React.FC<TaskListViewProps> = ({
     void loadSettings();
   }, []);
 
+  // Steps are rendered inside their parent, so only top-level tasks count towards the limit
+  const rootNodes = useMemo<TaskTreeNode[]>(() => buildTaskTree(tasks), [tasks]);
+
   // Calculate visible tasks based on limit
-  const visibleTasks = showAll ? tasks : tasks.slice(0, taskLimit);
-  const hasMoreTasks = tasks.length > taskLimit;
+  const visibleTasks = showAll ? rootNodes : rootNodes.slice(0, taskLimit);
+  const hasMoreTasks = rootNodes.length > taskLimit;
 
-  const renderTask = ({ item }: { item: Task }) => (
+  const renderTask = ({ item }: { item: TaskTreeNode }) => (
     <TaskItem
-      task={item}
+      task={item.task}
+      category={findCategory(categories, item.task.category)}
+      subtasks={item.children}
       onPress={() => {
-        onTaskPress(item);
+        onTaskPress(item.task);
       }}
+      onSubtaskPress={onTaskPress}
       currentUser={currentUser}
       partner={partner}
     />
@@ -237,12 +316,18 @@ const TaskListView: React.FC<TaskListViewProps> = ({
     <View style={styles.container} testID="task-list-view">
       <CategoryFilter
         partner={partner}
+        categories={categories}
         showAssignedOnly={showAssignedOnly}
         selectedCategory={selectedCategory}
+        inboxCount={inboxCount}
+        showInboxOnly={showInboxOnly}
         onToggleAssigned={onToggleAssigned}
         onCategorySelect={onCategorySelect}
+        onToggleInbox={onToggleInbox}
       />
 
+      <ProposalsSection proposals={proposals} currentUser={currentUser} partner={partner} />
+
       {tasks.length === 0 ? (
         <View style={styles.emptyList}>
           <EmptyState />
@@ -252,7 +337,7 @@ const TaskListView: React.FC<TaskListViewProps> = ({
           <FlashList
             data={visibleTasks}
             renderItem={renderTask}
-            keyExtractor={(item) => item.id}
+            keyExtractor={(item) => item.task.id}
             estimatedItemSize={100}
             refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
             ListEmptyComponent={EmptyState}
@@ -262,7 +347,7 @@ const TaskListView: React.FC<TaskListViewProps> = ({
           <ShowMoreButton
             hasMoreTasks={hasMoreTasks}
             visibleTasksCount={visibleTasks.length}
-            totalTasksCount={tasks.length}
+            totalTasksCount={rootNodes.length}
             showAll={showAll}
             onToggle={() => {
               setShowAll(!showAll);
@@ -386,6 +471,18 @@ const styles = StyleSheet.create<Styles>({
     color: '#333',
     fontWeight: '600',
   },
+  proposalsSection: {
+    paddingTop: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  proposalsTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginHorizontal: 16,
+    marginBottom: 8,
+  },
 });
 
 export default TaskListView;
@@ -0,0 +1,352 @@
+// ABOUTME: A task proposed by the user's partner, shown in the task list until it is answered
+// The assignee accepts it, declines with a reason, or suggests a different estimate or due date
+
+import React, { useState } from 'react';
+import type { ViewStyle, TextStyle } from 'react-native';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import type { DateTimePickerEvent } from '@react-native-community/datetimepicker';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import TaskAssignmentService from '../services/TaskAssignmentService';
+import type { Task } from '../types/task.types';
+import type { Result } from '../types/common.types';
+import {
+  MAX_ASSIGNMENT_NOTE_LENGTH,
+  canAnswerProposal,
+  getAssignmentStatusLabel,
+  validateCounterProposal,
+  validateDeclineReason,
+} from '../utils/AssignmentModel';
+import { getProposedDueDate } from '../utils/DeadlineChangeModel';
+
+interface TaskProposalCardProps {
+  task: Task;
+  userId: string;
+  partnerName?: string;
+}
+
+type AnswerForm = 'decline' | 'renegotiate';
+
+const formatEstimate = (minutes: number | null): string => {
+  return minutes ? `${minutes} min` : 'no estimate';
+};
+
+const formatDueDate = (date: Date | null): string => {
+  return date ? new Date(date).toLocaleDateString() : 'no due date';
+};
+
+interface Styles {
+  card: ViewStyle;
+  title: TextStyle;
+  meta: TextStyle;
+  status: TextStyle;
+  input: TextStyle;
+  dateButton: ViewStyle;
+  dateButtonText: TextStyle;
+  actions: ViewStyle;
+  actionButton: ViewStyle;
+  acceptButton: ViewStyle;
+  declineButton: ViewStyle;
+  actionText: TextStyle;
+  secondaryActionText: TextStyle;
+  disabledButton: ViewStyle;
+}
+
+const TaskProposalCard = ({
+  task,
+  userId,
+  partnerName = 'Your partner',
+}: TaskProposalCardProps) => {
+  const [form, setForm] = useState<AnswerForm | null>(null);
+  const [reason, setReason] = useState<string>('');
+  const [estimate, setEstimate] = useState<string>(task.timeEstimate?.toString() ?? '');
+  const [dueDate, setDueDate] = useState<Date | null>(null);
+  const [note, setNote] = useState<string>('');
+  const [showPicker, setShowPicker] = useState<boolean>(false);
+  const [busy, setBusy] = useState<boolean>(false);
+
+  const canAnswer = canAnswerProposal(task, userId);
+
+  const runAction = (action: () => Promise<Result<unknown>>, failureMessage: string): void => {
+    setBusy(true);
+    const doAction = async (): Promise<void> => {
+      try {
+        const result = await action();
+        if (result.success) {
+          setForm(null);
+        } else {
+          Alert.alert('Error', result.error?.message ?? failureMessage);
+        }
+      } finally {
+        setBusy(false);
+      }
+    };
+    doAction().catch(() => {
+      // Error already handled in the function
+    });
+  };
+
+  const handleDecline = (): void => {
+    const validation = validateDeclineReason(reason);
+    if (!validation.isValid) {
+      Alert.alert('Check your answer', validation.errors.join('\n'));
+      return;
+    }
+
+    runAction(
+      () => TaskAssignmentService.decline(task, userId, reason),
+      'Failed to decline the task',
+    );
+  };
+
+  const handleRenegotiate = (): void => {
+    const parsedEstimate = estimate.trim().length > 0 ? Number(estimate) : null;
+    const counter = { timeEstimate: parsedEstimate, dueDate, note };
+    const validation = validateCounterProposal(counter, task);
+    if (!validation.isValid) {
+      Alert.alert('Check your suggestion', validation.errors.join('\n'));
+      return;
+    }
+
+    runAction(
+      () => TaskAssignmentService.renegotiate(task, userId, counter),
+      'Failed to suggest changes',
+    );
+  };
+
+  const handlePickDate = (event: DateTimePickerEvent, selectedDate?: Date): void => {
+    setShowPicker(false);
+    if (event.type !== 'set' || !selectedDate) return;
+    setDueDate(getProposedDueDate(selectedDate, task.dueDate));
+  };
+
+  return (
+    <View style={styles.card} testID={`task-proposal-${task.id}`}>
+      <Text style={styles.title}>{task.title}</Text>
+      <Text style={styles.meta}>
+        From {partnerName} · {formatEstimate(task.timeEstimate)} · due {formatDueDate(task.dueDate)}
+      </Text>
+
+      {task.assignmentStatus === 'renegotiating' && (
+        <>
+          <Text style={styles.meta}>
+            You suggested {formatEstimate(task.counterTimeEstimate ?? task.timeEstimate)}, due{' '}
+            {formatDueDate(task.counterDueDate ?? task.dueDate)}
+          </Text>
+          <Text style={styles.status}>
+            {getAssignmentStatusLabel(task.assignmentStatus)} – waiting for {partnerName}
+          </Text>
+        </>
+      )}
+
+      {canAnswer && form === null && (
+        <View style={styles.actions}>
+          <TouchableOpacity
+            style={[styles.actionButton, styles.acceptButton, busy && styles.disabledButton]}
+            onPress={() => {
+              runAction(() => TaskAssignmentService.accept(task, userId), 'Failed to accept task');
+            }}
+            disabled={busy}
+            testID="accept-proposal"
+            accessibilityRole="button"
+          >
+            <Text style={styles.actionText}>Accept</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.actionButton, busy && styles.disabledButton]}
+            onPress={() => {
+              setForm('renegotiate');
+            }}
+            disabled={busy}
+            testID="renegotiate-proposal"
+            accessibilityRole="button"
+          >
+            <Text style={styles.actionText}>Suggest changes</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.actionButton, styles.declineButton, busy && styles.disabledButton]}
+            onPress={() => {
+              setForm('decline');
+            }}
+            disabled={busy}
+            testID="decline-proposal"
+            accessibilityRole="button"
+          >
+            <Text style={styles.actionText}>Decline</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {canAnswer && form === 'decline' && (
+        <>
+          <TextInput
+            style={styles.input}
+            placeholder="Why can't you take this on?"
+            value={reason}
+            onChangeText={setReason}
+            multiline
+            maxLength={MAX_ASSIGNMENT_NOTE_LENGTH}
+            testID="decline-reason"
+          />
+          <TouchableOpacity
+            style={[styles.actionButton, styles.declineButton, busy && styles.disabledButton]}
+            onPress={handleDecline}
+            disabled={busy}
+            testID="send-decline"
+            accessibilityRole="button"
+          >
+            <Text style={styles.actionText}>Decline task</Text>
+          </TouchableOpacity>
+        </>
+      )}
+
+      {canAnswer && form === 'renegotiate' && (
+        <>
+          <TextInput
+            style={styles.input}
+            placeholder="Time estimate (minutes)"
+            value={estimate}
+            onChangeText={setEstimate}
+            keyboardType="number-pad"
+            testID="counter-estimate"
+          />
+          <TouchableOpacity
+            style={styles.dateButton}
+            onPress={() => {
+              setShowPicker(true);
+            }}
+            testID="pick-counter-due-date"
+            accessibilityRole="button"
+          >
+            <Text style={styles.dateButtonText}>
+              {dueDate ? `Due ${formatDueDate(dueDate)}` : 'Suggest another due date…'}
+            </Text>
+          </TouchableOpacity>
+          <TextInput
+            style={styles.input}
+            placeholder="Add a note (optional)"
+            value={note}
+            onChangeText={setNote}
+            maxLength={MAX_ASSIGNMENT_NOTE_LENGTH}
+            testID="counter-note"
+          />
+          <TouchableOpacity
+            style={[styles.actionButton, busy && styles.disabledButton]}
+            onPress={handleRenegotiate}
+            disabled={busy}
+            testID="send-renegotiation"
+            accessibilityRole="button"
+          >
+            <Text style={styles.actionText}>Send suggestion</Text>
+          </TouchableOpacity>
+        </>
+      )}
+
+      {canAnswer && form !== null && (
+        <TouchableOpacity
+          onPress={() => {
+            setForm(null);
+          }}
+          testID="cancel-proposal-answer"
+          accessibilityRole="button"
+        >
+          <Text style={styles.secondaryActionText}>Cancel</Text>
+        </TouchableOpacity>
+      )}
+
+      {showPicker && (
+        <DateTimePicker
+          value={dueDate ?? task.dueDate ?? new Date()}
+          mode="date"
+          display="default"
+          minimumDate={new Date()}
+          onChange={handlePickDate}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create<Styles>({
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    borderLeftWidth: 4,
+    borderLeftColor: '#4ECDC4',
+    padding: 12,
+    marginHorizontal: 16,
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 4,
+  },
+  meta: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 4,
+  },
+  status: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#E67E22',
+    marginBottom: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: '#fff',
+    marginTop: 8,
+  },
+  dateButton: {
+    borderWidth: 1,
+    borderColor: '#4ECDC4',
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  dateButtonText: {
+    fontSize: 16,
+    color: '#4ECDC4',
+    fontWeight: '600',
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  actionButton: {
+    flex: 1,
+    backgroundColor: '#4ECDC4',
+    padding: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  acceptButton: {
+    backgroundColor: '#27AE60',
+  },
+  declineButton: {
+    backgroundColor: '#FF6B6B',
+  },
+  actionText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  secondaryActionText: {
+    color: '#999',
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  disabledButton: {
+    backgroundColor: '#ccc',
+  },
+});
+
+export default TaskProposalCard;
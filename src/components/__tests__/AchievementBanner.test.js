@@ -0,0 +1,62 @@
+// ABOUTME: Tests for the AchievementBanner shown when an achievement unlocks
+// Verifies the banner content and its dismiss and open-gallery actions
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import AchievementBanner from '../AchievementBanner';
+import { useNotifications } from '../../contexts/NotificationContext';
+import { getAchievement } from '../../utils/AchievementModel';
+
+const mockPush = jest.fn();
+
+jest.mock('expo-router', () => ({
+  useRouter: () => ({ push: mockPush }),
+}));
+
+jest.mock('../../contexts/NotificationContext', () => ({
+  useNotifications: jest.fn(),
+}));
+
+describe('AchievementBanner', () => {
+  const dismissAchievement = jest.fn();
+
+  const renderWith = (unlockedAchievements) => {
+    useNotifications.mockReturnValue({ unlockedAchievements, dismissAchievement });
+    return render(<AchievementBanner />);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should render nothing when nothing was unlocked', () => {
+    const { queryByTestId } = renderWith([]);
+
+    expect(queryByTestId('achievement-banner')).toBeNull();
+  });
+
+  it('should show the first unlock and how many more are waiting', () => {
+    const { getByText } = renderWith([getAchievement('first_task'), getAchievement('streak_3')]);
+
+    expect(getByText('First Step')).toBeTruthy();
+    expect(getByText('Achievement unlocked · +20 XP · 1 more')).toBeTruthy();
+  });
+
+  it('should dismiss the achievement', () => {
+    const { getByTestId } = renderWith([getAchievement('first_task')]);
+
+    fireEvent.press(getByTestId('achievement-dismiss'));
+
+    expect(dismissAchievement).toHaveBeenCalledWith('first_task');
+    expect(mockPush).not.toHaveBeenCalled();
+  });
+
+  it('should open the achievements gallery', () => {
+    const { getByTestId } = renderWith([getAchievement('first_task')]);
+
+    fireEvent.press(getByTestId('achievement-banner'));
+
+    expect(dismissAchievement).toHaveBeenCalledWith('first_task');
+    expect(mockPush).toHaveBeenCalledWith('/profile/achievements');
+  });
+});
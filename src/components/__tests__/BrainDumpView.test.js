@@ -0,0 +1,105 @@
+// ABOUTME: Tests for BrainDumpView presentation component
+// Verifies the text step, the review list and what the save button reports
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import BrainDumpView from '../BrainDumpView';
+
+describe('BrainDumpView', () => {
+  const item = (key, overrides = {}) => ({
+    key,
+    title: `Task ${key}`,
+    category: null,
+    timeEstimate: null,
+    dueDate: null,
+    priority: null,
+    duplicate: false,
+    included: true,
+    ...overrides,
+  });
+
+  const defaultProps = {
+    text: '',
+    items: null,
+    onTextChange: jest.fn(),
+    onReview: jest.fn(),
+    onEditText: jest.fn(),
+    onToggleItem: jest.fn(),
+    onItemTitleChange: jest.fn(),
+    onItemCategorySelect: jest.fn(),
+    onItemTimeSelect: jest.fn(),
+    onSave: jest.fn(),
+    onCancel: jest.fn(),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('writing', () => {
+    it('should only allow a review once something was typed', () => {
+      const { getByTestId, rerender } = render(<BrainDumpView {...defaultProps} />);
+
+      fireEvent.changeText(getByTestId('brain-dump-input'), 'buy milk, post parcel');
+      expect(defaultProps.onTextChange).toHaveBeenCalledWith('buy milk, post parcel');
+      expect(getByTestId('review-button').props.accessibilityState.disabled).toBe(true);
+
+      rerender(<BrainDumpView {...defaultProps} text="buy milk, post parcel" />);
+      fireEvent.press(getByTestId('review-button'));
+      expect(defaultProps.onReview).toHaveBeenCalled();
+    });
+  });
+
+  describe('reviewing', () => {
+    const items = [
+      item('item_0', { category: 'work' }),
+      item('item_1'),
+      item('item_2', { duplicate: true, included: false }),
+    ];
+
+    it('should summarise what will be saved and what goes to the inbox', () => {
+      const { getByText, getByTestId, queryByTestId } = render(
+        <BrainDumpView {...defaultProps} items={items} />,
+      );
+
+      expect(getByText('2 of 3 tasks selected · 1 going to the inbox')).toBeTruthy();
+      expect(getByText('Save 2 Tasks')).toBeTruthy();
+      expect(getByTestId('inbox-item_1')).toBeTruthy();
+      expect(queryByTestId('inbox-item_0')).toBeNull();
+      expect(getByTestId('duplicate-item_2')).toBeTruthy();
+      expect(queryByTestId('category-item_2-work')).toBeNull();
+    });
+
+    it('should report edits to each item', () => {
+      const { getByTestId } = render(<BrainDumpView {...defaultProps} items={items} />);
+
+      fireEvent.press(getByTestId('toggle-item_2'));
+      fireEvent.changeText(getByTestId('title-item_1'), 'Buy oat milk');
+      fireEvent.press(getByTestId('category-item_1-home'));
+      fireEvent.press(getByTestId('time-item_1-15'));
+
+      expect(defaultProps.onToggleItem).toHaveBeenCalledWith('item_2');
+      expect(defaultProps.onItemTitleChange).toHaveBeenCalledWith('item_1', 'Buy oat milk');
+      expect(defaultProps.onItemCategorySelect).toHaveBeenCalledWith('item_1', 'home');
+      expect(defaultProps.onItemTimeSelect).toHaveBeenCalledWith('item_1', 15);
+    });
+
+    it('should not save when every item was left out', () => {
+      const { getByTestId } = render(
+        <BrainDumpView {...defaultProps} items={[item('item_0', { included: false })]} />,
+      );
+
+      fireEvent.press(getByTestId('save-button'));
+
+      expect(defaultProps.onSave).not.toHaveBeenCalled();
+    });
+
+    it('should go back to the text', () => {
+      const { getByTestId } = render(<BrainDumpView {...defaultProps} items={items} />);
+
+      fireEvent.press(getByTestId('edit-text-button'));
+
+      expect(defaultProps.onEditText).toHaveBeenCalled();
+    });
+  });
+});
@@ -41,6 +41,47 @@ describe('CreateTaskView', () => {
     expect(getByText(TASK_CATEGORIES.PERSONAL.label)).toBeTruthy();
   });
 
+  it('should offer the categories it is given', () => {
+    const onCategorySelect = jest.fn();
+    const { getByText, queryByText } = render(
+      <CreateTaskView
+        {...defaultProps}
+        categories={[{ id: 'category_errands', label: 'Errands', color: '#F7B731', icon: '🛒' }]}
+        onCategorySelect={onCategorySelect}
+      />,
+    );
+
+    expect(queryByText(TASK_CATEGORIES.HOME.label)).toBeNull();
+    fireEvent.press(getByText('Errands'));
+    expect(onCategorySelect).toHaveBeenCalledWith('category_errands');
+  });
+
+  it('should preview the fields parsed from the title', () => {
+    const { getByTestId, getByText } = render(
+      <CreateTaskView
+        {...defaultProps}
+        title="call dentist tomorrow 15m"
+        parsedTitle="call dentist"
+        quickCapturePreview={[
+          { field: 'dueDate', label: 'Tomorrow' },
+          { field: 'timeEstimate', label: '15 min' },
+        ]}
+      />,
+    );
+
+    expect(getByTestId('quick-capture-preview')).toBeTruthy();
+    expect(getByText('call dentist')).toBeTruthy();
+    expect(getByTestId('preview-dueDate')).toBeTruthy();
+    expect(getByText('Tomorrow')).toBeTruthy();
+    expect(getByTestId('preview-timeEstimate')).toBeTruthy();
+  });
+
+  it('should hide the preview when nothing was parsed', () => {
+    const { queryByTestId } = render(<CreateTaskView {...defaultProps} title="call dentist" />);
+
+    expect(queryByTestId('quick-capture-preview')).toBeNull();
+  });
+
   it('should display all time preset options', () => {
     const { getByText } = render(<CreateTaskView {...defaultProps} />);
 
@@ -169,4 +210,85 @@ describe('CreateTaskView', () => {
     fireEvent.press(getByTestId('time-preset-custom'));
     expect(onTimePresetSelect).toHaveBeenCalledWith(null);
   });
+
+  it('should only show the repeat options when a recurrence handler is provided', () => {
+    const { queryByTestId, rerender, getByTestId } = render(<CreateTaskView {...defaultProps} />);
+    expect(queryByTestId('recurrence-selector')).toBeNull();
+
+    const onRecurrenceSelect = jest.fn();
+    rerender(
+      <CreateTaskView
+        {...defaultProps}
+        selectedRecurrence="none"
+        onRecurrenceSelect={onRecurrenceSelect}
+      />,
+    );
+
+    expect(getByTestId('recurrence-selector')).toBeTruthy();
+    fireEvent.press(getByTestId('recurrence-weekdays'));
+    expect(onRecurrenceSelect).toHaveBeenCalledWith('weekdays');
+  });
+
+  it('should ask how many days or which day of the month for the configurable repeats', () => {
+    const onRecurrenceIntervalChange = jest.fn();
+    const onRecurrenceDayOfMonthChange = jest.fn();
+    const props = {
+      ...defaultProps,
+      recurrenceInterval: '2',
+      recurrenceDayOfMonth: '15',
+      onRecurrenceSelect: jest.fn(),
+      onRecurrenceIntervalChange,
+      onRecurrenceDayOfMonthChange,
+    };
+    const { queryByTestId, getByTestId, rerender } = render(
+      <CreateTaskView {...props} selectedRecurrence="weekly" />,
+    );
+    expect(queryByTestId('recurrence-interval-input')).toBeNull();
+    expect(queryByTestId('recurrence-day-input')).toBeNull();
+
+    rerender(<CreateTaskView {...props} selectedRecurrence="every_n_days" />);
+    fireEvent.changeText(getByTestId('recurrence-interval-input'), '4');
+    expect(onRecurrenceIntervalChange).toHaveBeenCalledWith('4');
+
+    rerender(<CreateTaskView {...props} selectedRecurrence="monthly" />);
+    expect(getByTestId('recurrence-day-input').props.value).toBe('15');
+    fireEvent.changeText(getByTestId('recurrence-day-input'), '31');
+    expect(onRecurrenceDayOfMonthChange).toHaveBeenCalledWith('31');
+  });
+
+  it('should let the user pick up to two quick reminders', () => {
+    const onReminderToggle = jest.fn();
+    const { getByTestId } = render(
+      <CreateTaskView
+        {...defaultProps}
+        selectedReminders={['in_15_min', 'tomorrow_morning']}
+        onReminderToggle={onReminderToggle}
+      />,
+    );
+
+    fireEvent.press(getByTestId('reminder-in_15_min'));
+    expect(onReminderToggle).toHaveBeenCalledWith('in_15_min');
+
+    // Both quick reminder slots are taken
+    expect(getByTestId('reminder-in_1_hour').props.accessibilityState.disabled).toBe(true);
+  });
+
+  it('should show how long the chosen estimate usually really takes', () => {
+    const { getByTestId, queryByTestId, rerender } = render(
+      <CreateTaskView
+        {...defaultProps}
+        selectedTimePreset={30}
+        estimateSuggestion="You usually take 1.8x on Work tasks. Plan for about 55 min."
+      />,
+    );
+
+    expect(getByTestId('estimate-suggestion').props.children).toBe(
+      'You usually take 1.8x on Work tasks. Plan for about 55 min.',
+    );
+
+    rerender(
+      <CreateTaskView {...defaultProps} selectedTimePreset={30} estimateSuggestion={null} />,
+    );
+    expect(queryByTestId('estimate-suggestion')).toBeNull();
+  });
 });
@@ -0,0 +1,196 @@
+// ABOUTME: Tests for DeadlineChangePanel, asking for and answering a new due date on an assigned task
+// Verifies the assignee's request form, the assigner's answers, suggested dates and the history
+
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor, act } from '@testing-library/react-native';
+import DeadlineChangePanel from '../DeadlineChangePanel';
+import DeadlineChangeService from '../../services/DeadlineChangeService';
+import { createTask } from '../../utils/TaskModel';
+
+let mockPickerOnChange;
+
+jest.mock('@react-native-community/datetimepicker', () => {
+  const { View } = require('react-native');
+  const MockDateTimePicker = (props) => {
+    mockPickerOnChange = props.onChange;
+    return <View testID="date-picker" />;
+  };
+  return MockDateTimePicker;
+});
+
+jest.mock('../../services/DeadlineChangeService', () => ({
+  __esModule: true,
+  default: {
+    getRequestsForTask: jest.fn(),
+    requestChange: jest.fn(),
+    approve: jest.fn(),
+    reject: jest.fn(),
+    counter: jest.fn(),
+    acceptCounter: jest.fn(),
+    declineCounter: jest.fn(),
+  },
+}));
+
+describe('DeadlineChangePanel', () => {
+  const dueDate = new Date(2030, 2, 5, 17, 0);
+  const task = {
+    ...createTask({ title: 'File taxes', assignedBy: 'partner-1', assignedTo: 'adhd-1', dueDate }),
+    id: 'task-1',
+  };
+  const request = (overrides = {}) => ({
+    id: 'request-1',
+    taskId: 'task-1',
+    taskTitle: 'File taxes',
+    requestedBy: 'adhd-1',
+    assignedBy: 'partner-1',
+    currentDueDate: dueDate,
+    proposedDueDate: new Date(2030, 2, 9, 17, 0),
+    reason: 'Waiting on the bank',
+    status: 'pending',
+    counterDueDate: null,
+    responseNote: null,
+    respondedAt: null,
+    resolvedAt: null,
+    createdAt: new Date(2030, 2, 4),
+    ...overrides,
+  });
+
+  const pickDate = (date) => {
+    act(() => {
+      mockPickerOnChange({ type: 'set' }, date);
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    DeadlineChangeService.getRequestsForTask.mockResolvedValue({ success: true, data: [] });
+  });
+
+  it('should let the assignee ask for more time with a reason', async () => {
+    DeadlineChangeService.requestChange.mockResolvedValue({ success: true, data: request() });
+    const { findByTestId, getByTestId, queryByTestId } = render(
+      <DeadlineChangePanel taskId="task-1" userId="adhd-1" task={task} />,
+    );
+
+    fireEvent.press(await findByTestId('ask-for-more-time'));
+    fireEvent.press(getByTestId('pick-proposed-date'));
+    pickDate(new Date(2030, 2, 9, 8, 30));
+    fireEvent.changeText(getByTestId('deadline-change-reason'), 'Waiting on the bank');
+    fireEvent.press(getByTestId('send-deadline-change'));
+
+    await waitFor(() => {
+      expect(DeadlineChangeService.requestChange).toHaveBeenCalledWith(task, 'adhd-1', {
+        // Keeps the current due time
+        proposedDueDate: new Date(2030, 2, 9, 17, 0),
+        reason: 'Waiting on the bank',
+      });
+    });
+    expect(await findByTestId('open-deadline-change')).toHaveTextContent('Waiting for an answer', {
+      exact: false,
+    });
+    expect(queryByTestId('ask-for-more-time')).toBeNull();
+  });
+
+  it('should not send a request without a reason', async () => {
+    const { findByTestId, getByTestId } = render(
+      <DeadlineChangePanel taskId="task-1" userId="adhd-1" task={task} />,
+    );
+
+    fireEvent.press(await findByTestId('ask-for-more-time'));
+    fireEvent.press(getByTestId('pick-proposed-date'));
+    pickDate(new Date(2030, 2, 9));
+    fireEvent.press(getByTestId('send-deadline-change'));
+
+    expect(DeadlineChangeService.requestChange).not.toHaveBeenCalled();
+    expect(Alert.alert).toHaveBeenCalledWith(
+      'Check your request',
+      'Let your partner know why you need more time',
+    );
+  });
+
+  it('should let the assigner approve, keep the date or suggest another one', async () => {
+    DeadlineChangeService.getRequestsForTask.mockResolvedValue({
+      success: true,
+      data: [request()],
+    });
+    DeadlineChangeService.counter.mockResolvedValue({
+      success: true,
+      data: request({ status: 'countered', counterDueDate: new Date(2030, 2, 7, 17, 0) }),
+    });
+    const { findByTestId, getByTestId, queryByTestId } = render(
+      <DeadlineChangePanel taskId="task-1" userId="partner-1" />,
+    );
+
+    expect(await findByTestId('approve-deadline-change')).toBeTruthy();
+    expect(getByTestId('reject-deadline-change')).toBeTruthy();
+    fireEvent.changeText(getByTestId('deadline-response-note'), 'How about Saturday?');
+    fireEvent.press(getByTestId('pick-counter-date'));
+    pickDate(new Date(2030, 2, 7, 9, 0));
+    fireEvent.press(getByTestId('send-counter-date'));
+
+    await waitFor(() => {
+      expect(DeadlineChangeService.counter).toHaveBeenCalledWith(
+        'request-1',
+        'partner-1',
+        new Date(2030, 2, 7, 17, 0),
+        'How about Saturday?',
+      );
+    });
+    expect(await findByTestId('open-deadline-change')).toHaveTextContent('Another date suggested', {
+      exact: false,
+    });
+    expect(queryByTestId('approve-deadline-change')).toBeNull();
+  });
+
+  it('should let the assignee accept a suggested date', async () => {
+    const countered = request({ status: 'countered', counterDueDate: new Date(2030, 2, 7, 17, 0) });
+    DeadlineChangeService.getRequestsForTask.mockResolvedValue({
+      success: true,
+      data: [countered],
+    });
+    DeadlineChangeService.acceptCounter.mockResolvedValue({
+      success: true,
+      data: { ...countered, status: 'accepted' },
+    });
+    const { findByTestId, getByTestId, queryByTestId } = render(
+      <DeadlineChangePanel taskId="task-1" userId="adhd-1" task={task} />,
+    );
+
+    fireEvent.press(await findByTestId('accept-counter-date'));
+
+    await waitFor(() => {
+      expect(DeadlineChangeService.acceptCounter).toHaveBeenCalledWith('request-1', 'adhd-1');
+    });
+    expect(await findByTestId('deadline-change-request-1')).toHaveTextContent(
+      'Suggested date accepted',
+      { exact: false },
+    );
+    expect(queryByTestId('open-deadline-change')).toBeNull();
+    expect(getByTestId('ask-for-more-time')).toBeTruthy();
+  });
+
+  it('should keep past requests as the task history', async () => {
+    DeadlineChangeService.getRequestsForTask.mockResolvedValue({
+      success: true,
+      data: [
+        request({ id: 'request-2', status: 'rejected', reason: 'Still busy' }),
+        request({ status: 'approved' }),
+      ],
+    });
+    const { findByTestId, getByTestId } = render(
+      <DeadlineChangePanel taskId="task-1" userId="partner-1" />,
+    );
+
+    expect(await findByTestId('deadline-change-request-2')).toHaveTextContent('Not approved', {
+      exact: false,
+    });
+    expect(getByTestId('deadline-change-request-1')).toHaveTextContent('Approved', {
+      exact: false,
+    });
+    expect(getByTestId('deadline-change-request-1')).toHaveTextContent('Waiting on the bank', {
+      exact: false,
+    });
+  });
+});
@@ -115,6 +115,37 @@ describe('HyperfocusView', () => {
     expect(getByText('Total: 75 minutes')).toBeTruthy();
   });
 
+  it('should show logged focus time instead of whole sessions when provided', () => {
+    const { getByText } = render(
+      <HyperfocusView {...defaultProps} sessionCount={1} focusedMinutes={18} />,
+    );
+
+    expect(getByText('Total: 18 minutes')).toBeTruthy();
+  });
+
+  it('should offer an interruption button only while focusing', () => {
+    const onInterrupt = jest.fn();
+    const { getByTestId, queryByTestId, rerender } = render(
+      <HyperfocusView {...defaultProps} isRunning={true} onInterrupt={onInterrupt} />,
+    );
+
+    fireEvent.press(getByTestId('interrupt-button'));
+    expect(onInterrupt).toHaveBeenCalledTimes(1);
+
+    rerender(
+      <HyperfocusView
+        {...defaultProps}
+        isRunning={true}
+        isBreak={true}
+        onInterrupt={onInterrupt}
+      />,
+    );
+    expect(queryByTestId('interrupt-button')).toBeNull();
+
+    rerender(<HyperfocusView {...defaultProps} onInterrupt={onInterrupt} />);
+    expect(queryByTestId('interrupt-button')).toBeNull();
+  });
+
   it('should show appropriate motivation text', () => {
     const { getByText, rerender } = render(<HyperfocusView {...defaultProps} />);
 
@@ -0,0 +1,83 @@
+// ABOUTME: Tests for the LevelUpCelebration shown when the user reaches a new level
+// Verifies the celebration style, the unlocked rewards and the dismiss and open-rewards actions
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import LevelUpCelebration from '../LevelUpCelebration';
+import RewardAnimation from '../RewardAnimation';
+import { useNotifications } from '../../contexts/NotificationContext';
+import LevelService from '../../services/LevelService';
+import { getCosmeticReward } from '../../utils/LevelModel';
+
+const mockPush = jest.fn();
+
+jest.mock('expo-router', () => ({
+  useRouter: () => ({ push: mockPush }),
+}));
+
+jest.mock('../../contexts/NotificationContext', () => ({
+  useNotifications: jest.fn(),
+}));
+
+jest.mock('../../services/LevelService', () => ({
+  __esModule: true,
+  default: {
+    getEquippedReward: jest.fn(),
+  },
+}));
+
+jest.mock('../RewardAnimation', () => jest.fn(() => null));
+
+describe('LevelUpCelebration', () => {
+  const dismissLevelUp = jest.fn();
+
+  const renderWith = (levelUp) => {
+    useNotifications.mockReturnValue({ levelUp, dismissLevelUp });
+    return render(<LevelUpCelebration />);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    LevelService.getEquippedReward.mockReturnValue(getCosmeticReward('celebration_stars'));
+  });
+
+  it('should render nothing without a new level', () => {
+    const { queryByTestId } = renderWith(null);
+
+    expect(queryByTestId('level-up-celebration')).toBeNull();
+    expect(RewardAnimation).not.toHaveBeenCalled();
+  });
+
+  it('should play the equipped celebration and list the unlocked rewards', () => {
+    const { getByText, getByTestId } = renderWith({
+      level: 3,
+      rewards: [getCosmeticReward('theme_forest'), getCosmeticReward('celebration_confetti')],
+    });
+
+    expect(getByText('You reached level 3!')).toBeTruthy();
+    expect(getByTestId('level-up-rewards')).toHaveTextContent('Unlocked: Forest, Confetti');
+    expect(RewardAnimation).toHaveBeenLastCalledWith(
+      expect.objectContaining({ visible: true, type: 'stars', emoji: '⭐' }),
+      undefined,
+    );
+  });
+
+  it('should dismiss the celebration', () => {
+    const { getByTestId, queryByTestId } = renderWith({ level: 2, rewards: [] });
+
+    expect(queryByTestId('level-up-rewards')).toBeNull();
+    fireEvent.press(getByTestId('level-up-dismiss'));
+
+    expect(dismissLevelUp).toHaveBeenCalled();
+    expect(mockPush).not.toHaveBeenCalled();
+  });
+
+  it('should open the rewards screen', () => {
+    const { getByTestId } = renderWith({ level: 2, rewards: [] });
+
+    fireEvent.press(getByTestId('level-up-celebration'));
+
+    expect(dismissLevelUp).toHaveBeenCalled();
+    expect(mockPush).toHaveBeenCalledWith('/profile/rewards');
+  });
+});
@@ -0,0 +1,72 @@
+// ABOUTME: Tests for the ReminderBanner shown when a task reminder goes off
+// Verifies the banner content and its snooze, dismiss and open actions
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import ReminderBanner from '../ReminderBanner';
+import { useNotifications } from '../../contexts/NotificationContext';
+
+const mockPush = jest.fn();
+
+jest.mock('expo-router', () => ({
+  useRouter: () => ({ push: mockPush }),
+}));
+
+jest.mock('../../contexts/NotificationContext', () => ({
+  useNotifications: jest.fn(),
+}));
+
+describe('ReminderBanner', () => {
+  const reminder = {
+    id: 'task-1:reminder1',
+    taskId: 'task-1',
+    taskTitle: 'Call the dentist',
+    slot: 'reminder1',
+    remindAt: new Date(),
+    fireAt: new Date(),
+    snoozed: false,
+  };
+  const snoozeReminder = jest.fn(() => Promise.resolve());
+  const dismissReminder = jest.fn(() => Promise.resolve());
+
+  const renderWith = (dueReminders) => {
+    useNotifications.mockReturnValue({ dueReminders, snoozeReminder, dismissReminder });
+    return render(<ReminderBanner />);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should render nothing when no reminder is due', () => {
+    const { queryByTestId } = renderWith([]);
+
+    expect(queryByTestId('reminder-banner')).toBeNull();
+  });
+
+  it('should show the oldest due reminder and how many are waiting', () => {
+    const { getByText } = renderWith([reminder, { ...reminder, id: 'task-2:reminder1' }]);
+
+    expect(getByText('Call the dentist')).toBeTruthy();
+    expect(getByText('Reminder · 1 more')).toBeTruthy();
+  });
+
+  it('should snooze and dismiss the reminder', () => {
+    const { getByTestId } = renderWith([reminder]);
+
+    fireEvent.press(getByTestId('reminder-snooze'));
+    expect(snoozeReminder).toHaveBeenCalledWith('task-1:reminder1');
+
+    fireEvent.press(getByTestId('reminder-dismiss'));
+    expect(dismissReminder).toHaveBeenCalledWith('task-1:reminder1');
+  });
+
+  it('should open the task', () => {
+    const { getByTestId } = renderWith([reminder]);
+
+    fireEvent.press(getByTestId('reminder-open'));
+
+    expect(dismissReminder).toHaveBeenCalledWith('task-1:reminder1');
+    expect(mockPush).toHaveBeenCalledWith('/task/task-1');
+  });
+});
@@ -0,0 +1,59 @@
+// ABOUTME: Tests for SyncStatusIndicator header component
+// Verifies the synced, pending and failed states derived from the offline queue status
+
+import React from 'react';
+import { render, fireEvent } from '@testing-library/react-native';
+import SyncStatusIndicator, { getSyncStateDisplay } from '../SyncStatusIndicator';
+
+const createStatus = (overrides = {}) => ({
+  queueLength: 0,
+  deadLetterLength: 0,
+  isProcessing: false,
+  isOnline: true,
+  isConnectionSlow: false,
+  queueByPriority: { high: 0, medium: 0, low: 0 },
+  ...overrides,
+});
+
+describe('SyncStatusIndicator', () => {
+  it('should show synced when nothing is waiting', () => {
+    const { getByText, getByTestId } = render(
+      <SyncStatusIndicator status={createStatus()} onPress={jest.fn()} />,
+    );
+
+    expect(getByTestId('sync-status-synced')).toBeTruthy();
+    expect(getByText('Synced')).toBeTruthy();
+  });
+
+  it('should show the number of pending changes', () => {
+    const { getByText } = render(
+      <SyncStatusIndicator status={createStatus({ queueLength: 3 })} onPress={jest.fn()} />,
+    );
+
+    expect(getByText('3 pending')).toBeTruthy();
+  });
+
+  it('should prefer failures over pending changes', () => {
+    const display = getSyncStateDisplay(createStatus({ queueLength: 2, deadLetterLength: 1 }));
+
+    expect(display.state).toBe('failed');
+    expect(display.label).toBe('1 failed');
+  });
+
+  it('should use the offline icon for changes waiting on a connection', () => {
+    const display = getSyncStateDisplay(createStatus({ queueLength: 1, isOnline: false }));
+
+    expect(display.icon).toBe('cloud-offline-outline');
+  });
+
+  it('should call onPress when tapped', () => {
+    const onPress = jest.fn();
+    const { getByTestId } = render(
+      <SyncStatusIndicator status={createStatus({ deadLetterLength: 2 })} onPress={onPress} />,
+    );
+
+    fireEvent.press(getByTestId('sync-status-failed'));
+
+    expect(onPress).toHaveBeenCalled();
+  });
+});
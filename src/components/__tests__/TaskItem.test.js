@@ -3,14 +3,14 @@
 
 import React from 'react';
 import { render, fireEvent, waitFor } from '@testing-library/react-native';
-import { Animated } from 'react-native';
+import { Animated, Alert } from 'react-native';
 import TaskItem from '../TaskItem';
-import TaskStorageService from '../../services/TaskStorageService';
-import { createTask, completeTask } from '../../utils/TaskModel';
+import LocalTaskStore from '../../services/LocalTaskStore';
+import { createTask, completeTask, createSubtask } from '../../utils/TaskModel';
 import { TASK_CATEGORIES } from '../../constants/TaskConstants';
 
 // Mock dependencies
-jest.mock('../../services/TaskStorageService');
+jest.mock('../../services/LocalTaskStore');
 jest.mock('../RewardAnimation', () => 'RewardAnimation');
 
 describe('TaskItem', () => {
@@ -25,7 +25,7 @@ describe('TaskItem', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
-    TaskStorageService.updateTask.mockResolvedValue(true);
+    LocalTaskStore.updateTask.mockResolvedValue(true);
   });
 
   it('should render task information correctly', () => {
@@ -53,7 +53,7 @@ describe('TaskItem', () => {
     fireEvent.press(checkbox);
 
     await waitFor(() => {
-      expect(TaskStorageService.updateTask).toHaveBeenCalledWith(
+      expect(LocalTaskStore.updateTask).toHaveBeenCalledWith(
         expect.objectContaining({
           completed: true,
           xpEarned: 15, // Base 10 + 5 for category
@@ -72,7 +72,7 @@ describe('TaskItem', () => {
     fireEvent.press(checkbox);
 
     await waitFor(() => {
-      expect(TaskStorageService.updateTask).toHaveBeenCalledWith(
+      expect(LocalTaskStore.updateTask).toHaveBeenCalledWith(
         expect.objectContaining({
           completed: false,
           xpEarned: 0,
@@ -165,4 +165,125 @@ describe('TaskItem', () => {
     sequenceMock.mockRestore();
     timingMock.mockRestore();
   });
+
+  describe('steps', () => {
+    const parentTask = createTask({ title: 'Clean the garage' });
+    const steps = [
+      completeTask(createSubtask(parentTask, { title: 'Sort boxes' }, 0)),
+      createSubtask(parentTask, { title: 'Sweep floor' }, 1),
+    ];
+    const stepNodes = steps.map((task) => ({ task, children: [] }));
+
+    it('should show step progress and keep steps collapsed by default', () => {
+      const { getByText, queryByText } = render(
+        <TaskItem task={parentTask} subtasks={stepNodes} onUpdate={mockOnUpdate} />,
+      );
+
+      expect(getByText('1/2 steps')).toBeTruthy();
+      expect(queryByText('Sweep floor')).toBeNull();
+    });
+
+    it('should expand steps when the progress toggle is pressed', () => {
+      const { getByTestId, getByText } = render(
+        <TaskItem task={parentTask} subtasks={stepNodes} onUpdate={mockOnUpdate} />,
+      );
+
+      fireEvent.press(getByTestId(`subtask-toggle-${parentTask.id}`));
+
+      expect(getByText('Sort boxes')).toBeTruthy();
+      expect(getByText('Sweep floor')).toBeTruthy();
+    });
+
+    it('should offer to complete the parent when the last step is completed', async () => {
+      const alertSpy = jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+      const { getByTestId } = render(
+        <TaskItem task={parentTask} subtasks={stepNodes} onUpdate={mockOnUpdate} />,
+      );
+
+      fireEvent.press(getByTestId(`subtask-toggle-${parentTask.id}`));
+      const lastStep = getByTestId(`task-item-${steps[1].id}`);
+      const { getByTestId: getWithinStep } = require('@testing-library/react-native').within(
+        lastStep,
+      );
+      fireEvent.press(getWithinStep('task-checkbox'));
+
+      await waitFor(() => {
+        expect(LocalTaskStore.updateTask).toHaveBeenCalledWith(
+          expect.objectContaining({
+            id: steps[1].id,
+            completed: true,
+            xpEarned: 5, // Base XP split across 2 steps
+          }),
+        );
+        expect(alertSpy).toHaveBeenCalledWith(
+          'All steps done! 🎉',
+          'Mark "Clean the garage" as complete too?',
+          expect.any(Array),
+        );
+      });
+
+      alertSpy.mockRestore();
+    });
+
+    it('should show steps nested under a step', () => {
+      const [sortBoxes, sweepFloor] = steps;
+      const nested = createSubtask(sortBoxes, { title: 'Label the keepers' }, 0);
+      const tree = [
+        { task: sortBoxes, children: [{ task: nested, children: [] }] },
+        { task: sweepFloor, children: [] },
+      ];
+      const { getByTestId, getByText, queryByText } = render(
+        <TaskItem task={parentTask} subtasks={tree} onUpdate={mockOnUpdate} />,
+      );
+
+      fireEvent.press(getByTestId(`subtask-toggle-${parentTask.id}`));
+      expect(queryByText('Label the keepers')).toBeNull();
+
+      fireEvent.press(getByTestId(`subtask-toggle-${sortBoxes.id}`));
+      expect(getByText('Label the keepers')).toBeTruthy();
+    });
+  });
+
+  it('should show how a recurring task repeats', () => {
+    const task = createTask({
+      title: 'Take meds',
+      recurrence: { frequency: 'weekdays', interval: 1, dayOfMonth: null },
+    });
+
+    const { getByText } = render(<TaskItem task={task} onUpdate={mockOnUpdate} />);
+
+    expect(getByText('🔁 Every weekday')).toBeTruthy();
+  });
+
+  describe('overdue state', () => {
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    it('should mark a task past its due date as overdue', () => {
+      const task = createTask({ title: 'File taxes', dueDate: yesterday });
+
+      const { getByTestId } = render(<TaskItem task={task} onUpdate={mockOnUpdate} />);
+
+      expect(getByTestId(`overdue-badge-${task.id}`)).toBeTruthy();
+      expect(getByTestId(`task-item-${task.id}`).props.accessibilityLabel).toContain('overdue');
+    });
+
+    it('should show when the partner has been told', () => {
+      const task = {
+        ...createTask({ title: 'File taxes', dueDate: yesterday, assignedBy: 'partner-1' }),
+        partnerNotified: { onStart: false, onComplete: false, onOverdue: true },
+      };
+
+      const { getByText } = render(<TaskItem task={task} onUpdate={mockOnUpdate} />);
+
+      expect(getByText(/partner notified/)).toBeTruthy();
+    });
+
+    it('should not mark completed tasks as overdue', () => {
+      const task = completeTask(createTask({ title: 'File taxes', dueDate: yesterday }));
+
+      const { queryByTestId } = render(<TaskItem task={task} onUpdate={mockOnUpdate} />);
+
+      expect(queryByTestId(`overdue-badge-${task.id}`)).toBeNull();
+    });
+  });
 });
@@ -115,6 +115,31 @@ describe('TaskListView', () => {
     expect(onCategorySelect).toHaveBeenCalledWith(TASK_CATEGORIES.WORK.id);
   });
 
+  it('should filter by the user-defined categories it is given', () => {
+    const onCategorySelect = jest.fn();
+    const errands = { id: 'category_errands', label: 'Errands', color: '#F7B731', icon: '🛒' };
+    const task = createMockTask({
+      id: 'task1',
+      title: 'Post office',
+      userId: 'user1',
+      category: errands.id,
+    });
+
+    const { getByTestId, queryByText } = render(
+      <TaskListView
+        {...defaultProps}
+        tasks={[task]}
+        categories={[errands]}
+        onCategorySelect={onCategorySelect}
+      />,
+    );
+
+    expect(queryByText(TASK_CATEGORIES.WORK.label)).toBeNull();
+    fireEvent.press(getByTestId('category-filter-category_errands'));
+    expect(onCategorySelect).toHaveBeenCalledWith('category_errands');
+    expect(getByTestId('task-item-task1').props.accessibilityLabel).toContain('category: Errands');
+  });
+
   it('should show assigned filter when partner exists', () => {
     const { getByText } = render(<TaskListView {...defaultProps} partner={mockPartner} />);
 
@@ -132,6 +157,53 @@ describe('TaskListView', () => {
     expect(onToggleAssigned).toHaveBeenCalledWith(true);
   });
 
+  it('should offer the inbox filter only while tasks are waiting to be sorted', () => {
+    const onToggleInbox = jest.fn();
+    const onCategorySelect = jest.fn();
+
+    const { queryByTestId, getByTestId, getByText, rerender } = render(
+      <TaskListView {...defaultProps} />,
+    );
+    expect(queryByTestId('inbox-filter')).toBeNull();
+
+    rerender(
+      <TaskListView
+        {...defaultProps}
+        inboxCount={3}
+        onToggleInbox={onToggleInbox}
+        onCategorySelect={onCategorySelect}
+      />,
+    );
+    expect(getByText('Inbox (3)')).toBeTruthy();
+
+    fireEvent.press(getByTestId('inbox-filter'));
+    expect(onToggleInbox).toHaveBeenCalledWith(true);
+    expect(onCategorySelect).toHaveBeenCalledWith(null);
+  });
+
+  it('should show proposals from the partner in their own section', () => {
+    const proposal = createMockTask({
+      id: 'proposal-1',
+      title: 'File taxes',
+      userId: 'partner1',
+      assignedBy: 'partner1',
+      assignedTo: 'user1',
+      assignmentStatus: 'proposed',
+    });
+
+    const { queryByTestId, getByTestId, rerender } = render(<TaskListView {...defaultProps} />);
+    expect(queryByTestId('task-proposals')).toBeNull();
+
+    rerender(<TaskListView {...defaultProps} partner={mockPartner} proposals={[proposal]} />);
+    expect(getByTestId('task-proposals')).toHaveTextContent('Proposed by Partner User', {
+      exact: false,
+    });
+    expect(getByTestId('task-proposal-proposal-1')).toHaveTextContent('File taxes', {
+      exact: false,
+    });
+    expect(getByTestId('accept-proposal')).toBeTruthy();
+  });
+
   it('should show refreshing state', () => {
     const { getByTestId } = render(<TaskListView {...defaultProps} refreshing={true} />);
 
@@ -0,0 +1,133 @@
+// ABOUTME: Tests for TaskProposalCard, the assignee's answer to a task their partner proposed
+// Verifies accepting, declining with a reason, suggesting changes and waiting on the partner
+
+import React from 'react';
+import { Alert } from 'react-native';
+import { render, fireEvent, waitFor, act } from '@testing-library/react-native';
+import TaskProposalCard from '../TaskProposalCard';
+import TaskAssignmentService from '../../services/TaskAssignmentService';
+import { createTask } from '../../utils/TaskModel';
+
+let mockPickerOnChange;
+
+jest.mock('@react-native-community/datetimepicker', () => {
+  const { View } = require('react-native');
+  const MockDateTimePicker = (props) => {
+    mockPickerOnChange = props.onChange;
+    return <View testID="date-picker" />;
+  };
+  return MockDateTimePicker;
+});
+
+jest.mock('../../services/TaskAssignmentService', () => ({
+  __esModule: true,
+  default: {
+    accept: jest.fn(),
+    decline: jest.fn(),
+    renegotiate: jest.fn(),
+  },
+}));
+
+describe('TaskProposalCard', () => {
+  const dueDate = new Date(2030, 2, 5, 17, 0);
+  const proposal = (overrides = {}) => ({
+    ...createTask({
+      title: 'File taxes',
+      assignedBy: 'partner-1',
+      assignedTo: 'adhd-1',
+      assignmentStatus: 'proposed',
+      timeEstimate: 30,
+      dueDate,
+    }),
+    id: 'task-1',
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+  });
+
+  it('should accept the proposal as it is', async () => {
+    const task = proposal();
+    TaskAssignmentService.accept.mockResolvedValue({ success: true, data: task });
+    const { getByTestId } = render(
+      <TaskProposalCard task={task} userId="adhd-1" partnerName="Alex" />,
+    );
+
+    expect(getByTestId('task-proposal-task-1')).toHaveTextContent('From Alex', { exact: false });
+    fireEvent.press(getByTestId('accept-proposal'));
+
+    await waitFor(() => {
+      expect(TaskAssignmentService.accept).toHaveBeenCalledWith(task, 'adhd-1');
+    });
+  });
+
+  it('should need a reason before declining', async () => {
+    const task = proposal();
+    TaskAssignmentService.decline.mockResolvedValue({ success: true, data: task });
+    const { getByTestId } = render(<TaskProposalCard task={task} userId="adhd-1" />);
+
+    fireEvent.press(getByTestId('decline-proposal'));
+    fireEvent.press(getByTestId('send-decline'));
+
+    expect(TaskAssignmentService.decline).not.toHaveBeenCalled();
+    expect(Alert.alert).toHaveBeenCalledWith(
+      'Check your answer',
+      "Let your partner know why you can't take this on",
+    );
+
+    fireEvent.changeText(getByTestId('decline-reason'), 'Too much on this week');
+    fireEvent.press(getByTestId('send-decline'));
+
+    await waitFor(() => {
+      expect(TaskAssignmentService.decline).toHaveBeenCalledWith(
+        task,
+        'adhd-1',
+        'Too much on this week',
+      );
+    });
+  });
+
+  it('should suggest a different estimate and due date', async () => {
+    const task = proposal();
+    TaskAssignmentService.renegotiate.mockResolvedValue({ success: true, data: task });
+    const { getByTestId } = render(<TaskProposalCard task={task} userId="adhd-1" />);
+
+    fireEvent.press(getByTestId('renegotiate-proposal'));
+    fireEvent.changeText(getByTestId('counter-estimate'), '60');
+    fireEvent.press(getByTestId('pick-counter-due-date'));
+    act(() => {
+      mockPickerOnChange({ type: 'set' }, new Date(2030, 2, 9, 8, 30));
+    });
+    fireEvent.changeText(getByTestId('counter-note'), 'Need the bank statements first');
+    fireEvent.press(getByTestId('send-renegotiation'));
+
+    await waitFor(() => {
+      expect(TaskAssignmentService.renegotiate).toHaveBeenCalledWith(task, 'adhd-1', {
+        timeEstimate: 60,
+        // Keeps the proposed due time
+        dueDate: new Date(2030, 2, 9, 17, 0),
+        note: 'Need the bank statements first',
+      });
+    });
+  });
+
+  it('should show the suggested changes while waiting on the partner', () => {
+    const { getByTestId, queryByTestId } = render(
+      <TaskProposalCard
+        task={proposal({ assignmentStatus: 'renegotiating', counterTimeEstimate: 60 })}
+        userId="adhd-1"
+        partnerName="Alex"
+      />,
+    );
+
+    expect(getByTestId('task-proposal-task-1')).toHaveTextContent('You suggested 60 min', {
+      exact: false,
+    });
+    expect(getByTestId('task-proposal-task-1')).toHaveTextContent('waiting for Alex', {
+      exact: false,
+    });
+    expect(queryByTestId('accept-proposal')).toBeNull();
+  });
+});
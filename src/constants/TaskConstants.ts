@@ -6,6 +6,10 @@ export {
   TaskStatus as TASK_STATUS,
   TaskPriority as TASK_PRIORITY,
   TASK_CATEGORIES,
+  CATEGORY_COLORS,
+  CATEGORY_ICONS,
   TIME_PRESETS,
+  RECURRENCE_PRESETS,
+  REMINDER_PRESETS,
   REWARD_POINTS,
 } from '../types/task.types';
@@ -5,6 +5,7 @@ import type { ReactNode } from 'react';
 import React from 'react';
 import { UserProvider } from './UserContext';
 import { TaskProvider } from './TaskContext';
+import { CategoryProvider } from './CategoryContext';
 import { NotificationProvider } from './NotificationContext';
 import { AuthProvider } from './AuthContext';
 import { PresenceProvider } from './PresenceContext';
@@ -19,11 +20,13 @@ export const AppProvider = ({ children }: AppProviderProps) => {
     <UserProvider>
       <AuthProvider>
         <TaskProvider>
-          <NotificationProvider>
-            <PresenceProvider>
-              <CollaborativeEditingProvider>{children}</CollaborativeEditingProvider>
-            </PresenceProvider>
-          </NotificationProvider>
+          <CategoryProvider>
+            <NotificationProvider>
+              <PresenceProvider>
+                <CollaborativeEditingProvider>{children}</CollaborativeEditingProvider>
+              </PresenceProvider>
+            </NotificationProvider>
+          </CategoryProvider>
         </TaskProvider>
       </AuthProvider>
     </UserProvider>
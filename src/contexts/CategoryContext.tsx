@@ -0,0 +1,191 @@
+// ABOUTME: CategoryContext provides the signed-in user's task categories to the whole app
+// Shows the on-device copy right away, then refreshes from Supabase through CategoryService
+
+import type { ReactNode } from 'react';
+import React, {
+  createContext,
+  useState,
+  useContext,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from 'react';
+import CategoryService from '../services/CategoryService';
+import { useUser } from './UserContext';
+import type { TaskCategory } from '../types/task.types';
+import {
+  DEFAULT_CATEGORIES,
+  findCategory,
+  sortCategories,
+  validateCategory,
+} from '../utils/CategoryModel';
+import { logError } from '../utils/ErrorHandler';
+
+interface CategoryContextValue {
+  categories: TaskCategory[];
+  loading: boolean;
+  error: string | null;
+  getCategory: (categoryId: string | null | undefined) => TaskCategory | null;
+  saveCategory: (category: TaskCategory) => Promise<void>;
+  deleteCategory: (categoryId: string, reassignTo: string | null) => Promise<void>;
+  refreshCategories: () => Promise<void>;
+}
+
+interface CategoryProviderProps {
+  children: ReactNode;
+}
+
+const CategoryContext = createContext<CategoryContextValue | undefined>(undefined);
+
+export const CategoryProvider = ({ children }: CategoryProviderProps) => {
+  const { user } = useUser();
+  const userId = user?.id ?? null;
+  const [categories, setCategories] = useState<TaskCategory[]>(DEFAULT_CATEGORIES);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string | null>(null);
+  const isMountedRef = useRef<boolean>(true);
+
+  const loadCategories = useCallback(async (): Promise<void> => {
+    if (!userId) {
+      setCategories(DEFAULT_CATEGORIES);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setError(null);
+      const result = await CategoryService.getCategories(userId);
+      if (!isMountedRef.current) return;
+
+      if (result.success && result.data) {
+        setCategories(result.data);
+      } else {
+        setError(result.error?.message ?? 'Failed to load categories');
+      }
+    } catch (err) {
+      if (isMountedRef.current) {
+        setError((err as Error).message);
+        logError('CategoryContext.loadCategories', err);
+      }
+    } finally {
+      if (isMountedRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const start = async () => {
+      if (!userId) {
+        await loadCategories();
+        return;
+      }
+
+      setLoading(true);
+      // The saved copy shows up immediately, even with no network
+      const cached = await CategoryService.getCachedCategories(userId);
+      if (cached && !cancelled && isMountedRef.current) {
+        setCategories(cached);
+        setLoading(false);
+      }
+      if (!cancelled) {
+        await loadCategories();
+      }
+    };
+
+    void start();
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, loadCategories]);
+
+  useEffect(() => {
+    return () => {
+      isMountedRef.current = false;
+    };
+  }, []);
+
+  const getCategory = useCallback(
+    (categoryId: string | null | undefined): TaskCategory | null =>
+      findCategory(categories, categoryId),
+    [categories],
+  );
+
+  const saveCategory = useCallback(
+    async (category: TaskCategory): Promise<void> => {
+      try {
+        setError(null);
+        if (!userId) {
+          throw new Error('User not authenticated');
+        }
+
+        const validation = validateCategory(category, categories);
+        if (!validation.isValid) {
+          throw new Error(validation.errors[0]);
+        }
+
+        const result = await CategoryService.saveCategory(userId, category);
+        if (!result.success) {
+          throw new Error(result.error?.message ?? 'Failed to save category');
+        }
+
+        setCategories((prev) =>
+          sortCategories([...prev.filter((existing) => existing.id !== category.id), category]),
+        );
+      } catch (err) {
+        setError((err as Error).message);
+        logError('CategoryContext.saveCategory', err);
+        throw err;
+      }
+    },
+    [userId, categories],
+  );
+
+  const deleteCategory = useCallback(
+    async (categoryId: string, reassignTo: string | null): Promise<void> => {
+      try {
+        setError(null);
+        if (!userId) {
+          throw new Error('User not authenticated');
+        }
+
+        const result = await CategoryService.deleteCategory(userId, categoryId, reassignTo);
+        if (!result.success) {
+          throw new Error(result.error?.message ?? 'Failed to delete category');
+        }
+
+        setCategories((prev) => prev.filter((category) => category.id !== categoryId));
+      } catch (err) {
+        setError((err as Error).message);
+        logError('CategoryContext.deleteCategory', err);
+        throw err;
+      }
+    },
+    [userId],
+  );
+
+  const value = useMemo<CategoryContextValue>(
+    () => ({
+      categories,
+      loading,
+      error,
+      getCategory,
+      saveCategory,
+      deleteCategory,
+      refreshCategories: loadCategories,
+    }),
+    [categories, loading, error, getCategory, saveCategory, deleteCategory, loadCategories],
+  );
+
+  return <CategoryContext.Provider value={value}>{children}</CategoryContext.Provider>;
+};
+
+export const useCategories = (): CategoryContextValue => {
+  const context = useContext(CategoryContext);
+  if (!context) {
+    throw new Error('useCategories must be used within a CategoryProvider');
+  }
+  return context;
+};
@@ -1,5 +1,5 @@
 // ABOUTME: NotificationContext provides centralized notification state management with real-time updates
-// Integrates with Supabase-based NotificationService for live synchronization
+// Integrates with Supabase-based NotificationService for live synchronization and local task reminders
 
 import type { ReactNode } from 'react';
 import React, {
@@ -12,7 +12,15 @@ import React, {
   useRef,
 } from 'react';
 import NotificationService from '../services/NotificationService';
+import ReminderScheduler from '../services/ReminderScheduler';
+import OverdueSweepService from '../services/OverdueSweepService';
+import CheckInService from '../services/CheckInService';
+import AchievementService from '../services/AchievementService';
+import LevelService from '../services/LevelService';
+import type { TaskReminder } from '../services/ReminderScheduler';
 import type { Notification } from '../types/notification.types';
+import type { AchievementDefinition } from '../types/achievement.types';
+import type { LevelUp } from '../types/level.types';
 import { NotificationTypes } from '../types/user.types';
 import { supabase } from '../services/SupabaseService';
 import { logError } from '../utils/ErrorHandler';
@@ -29,6 +37,13 @@ interface NotificationContextValue {
   clearAllNotifications: () => Promise<void>;
   getNotificationsByType: (type: string) => Notification[];
   refreshNotifications: () => Promise<void>;
+  dueReminders: TaskReminder[];
+  snoozeReminder: (reminderId: string, minutes?: number) => Promise<void>;
+  dismissReminder: (reminderId: string) => Promise<void>;
+  unlockedAchievements: AchievementDefinition[];
+  dismissAchievement: (achievementId: string) => void;
+  levelUp: LevelUp | null;
+  dismissLevelUp: () => void;
 }
 
 interface NotificationProviderProps {
@@ -41,6 +56,9 @@ export const NotificationProvider = ({ children }: NotificationProviderProps) =>
   const [notifications, setNotifications] = useState<Notification[]>([]);
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
+  const [dueReminders, setDueReminders] = useState<TaskReminder[]>([]);
+  const [unlockedAchievements, setUnlockedAchievements] = useState<AchievementDefinition[]>([]);
+  const [levelUp, setLevelUp] = useState<LevelUp | null>(null);
   const isMountedRef = useRef<boolean>(true);
   const unsubscribeRef = useRef<(() => void) | null>(null);
 
@@ -128,6 +146,75 @@ export const NotificationProvider = ({ children }: NotificationProviderProps) =>
     };
   }, [currentUser?.id, loadNotifications]);
 
+  // Schedule reminders for the signed-in user's tasks
+  useEffect(() => {
+    if (!currentUser?.id) return undefined;
+
+    const unsubscribe = ReminderScheduler.subscribe((reminders) => {
+      if (isMountedRef.current) {
+        setDueReminders(reminders);
+      }
+    });
+    ReminderScheduler.start(currentUser.id).catch((err: unknown) => {
+      logError('NotificationContext.startReminders', err);
+    });
+
+    return () => {
+      unsubscribe();
+      ReminderScheduler.stop();
+    };
+  }, [currentUser?.id]);
+
+  // Tell partners when tasks they assigned slip past their due date
+  useEffect(() => {
+    if (!currentUser?.id) return undefined;
+
+    OverdueSweepService.start(currentUser.id);
+    return () => {
+      OverdueSweepService.stop();
+    };
+  }, [currentUser?.id]);
+
+  // Send the partner's scheduled check-ins as they come due
+  useEffect(() => {
+    if (!currentUser?.id) return undefined;
+
+    CheckInService.start(currentUser.id);
+    return () => {
+      CheckInService.stop();
+    };
+  }, [currentUser?.id]);
+
+  // Unlock achievements and level rewards as the user's tasks change
+  useEffect(() => {
+    if (!currentUser?.id) return undefined;
+    const userId = currentUser.id;
+
+    const unsubscribe = AchievementService.subscribe((achievements) => {
+      if (isMountedRef.current) {
+        setUnlockedAchievements(achievements);
+      }
+    });
+    const unsubscribeLevel = LevelService.subscribe((snapshot) => {
+      if (isMountedRef.current) {
+        setLevelUp(snapshot.levelUp);
+      }
+    });
+    // Levels count achievement XP, so they start once achievements are loaded
+    AchievementService.start(userId)
+      .then(() => LevelService.start(userId))
+      .catch((err: unknown) => {
+        logError('NotificationContext.startAchievements', err);
+      });
+
+    return () => {
+      unsubscribe();
+      unsubscribeLevel();
+      AchievementService.stop();
+      LevelService.stop();
+    };
+  }, [currentUser?.id]);
+
   // Cleanup on unmount
   useEffect(() => {
     return () => {
@@ -252,6 +339,23 @@ export const NotificationProvider = ({ children }: NotificationProviderProps) =>
     await loadNotifications();
   }, [loadNotifications]);
 
+  // Bring a reminder back in a few minutes
+  const snoozeReminder = useCallback(async (reminderId: string, minutes?: number) => {
+    await ReminderScheduler.snooze(reminderId, minutes);
+  }, []);
+
+  const dismissReminder = useCallback(async (reminderId: string) => {
+    await ReminderScheduler.dismiss(reminderId);
+  }, []);
+
+  const dismissAchievement = useCallback((achievementId: string) => {
+    AchievementService.dismissAnnouncement(achievementId);
+  }, []);
+
+  const dismissLevelUp = useCallback(() => {
+    LevelService.dismissLevelUp();
+  }, []);
+
   const value = useMemo<NotificationContextValue>(
     () => ({
       notifications,
@@ -265,6 +369,13 @@ export const NotificationProvider = ({ children }: NotificationProviderProps) =>
       clearAllNotifications,
       getNotificationsByType,
       refreshNotifications,
+      dueReminders,
+      snoozeReminder,
+      dismissReminder,
+      unlockedAchievements,
+      dismissAchievement,
+      levelUp,
+      dismissLevelUp,
     }),
     [
       notifications,
@@ -278,6 +389,13 @@ export const NotificationProvider = ({ children }: NotificationProviderProps) =>
       clearAllNotifications,
       getNotificationsByType,
       refreshNotifications,
+      dueReminders,
+      snoozeReminder,
+      dismissReminder,
+      unlockedAchievements,
+      dismissAchievement,
+      levelUp,
+      dismissLevelUp,
     ],
   );
 
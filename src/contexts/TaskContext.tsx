@@ -1,5 +1,5 @@
 // ABOUTME: TaskContext provides centralized task state management with real-time updates
-// Integrates with Supabase-based TaskStorageService for live synchronization
+// Reads and writes go through the local-first LocalTaskStore, which syncs with Supabase
 
 import type { ReactNode } from 'react';
 import React, {
@@ -12,10 +12,12 @@ import React, {
   useRef,
 } from 'react';
 import TaskStorageService from '../services/TaskStorageService';
+import LocalTaskStore from '../services/LocalTaskStore';
 import type { Task } from '../types/task.types';
 import { TaskStatus, TaskPriority } from '../types/task.types';
 import { supabase } from '../services/SupabaseService';
 import { logError } from '../utils/ErrorHandler';
+import { generateTaskId } from '../utils/TaskModel';
 
 // Define the context value interface
 interface TaskContextValue {
@@ -27,6 +29,7 @@ interface TaskContextValue {
   getPendingTasks: () => Task[];
   getTasksAssignedByUser: (userId: string) => Task[];
   addTask: (taskData: Partial<Task>) => Promise<void>;
+  addTasks: (newTasks: Task[]) => Promise<void>;
   updateTask: (taskId: string, updates: Partial<Task>) => Promise<void>;
   deleteTask: (taskId: string) => Promise<void>;
   refreshTasks: () => Promise<void>;
@@ -51,11 +54,12 @@ export const TaskProvider = ({ children }: TaskProviderProps) => {
 
   // Get current user on mount and auth changes
   useEffect(() => {
+    // The stored session works offline, unlike getUser() which hits the server
     const checkUser = async () => {
       const {
-        data: { user },
-      } = await supabase.auth.getUser();
-      setCurrentUser(user);
+        data: { session },
+      } = await supabase.auth.getSession();
+      setCurrentUser(session?.user ?? null);
     };
 
     void checkUser();
@@ -70,16 +74,15 @@ export const TaskProvider = ({ children }: TaskProviderProps) => {
     };
   }, []);
 
-  // Load tasks from storage
+  // Pull the latest tasks from Supabase into the local store
   const loadTasks = useCallback(async (): Promise<void> => {
     try {
-      setLoading(true);
       setError(null);
 
-      const loadedTasks = await TaskStorageService.getAllTasks();
+      const syncedTasks = await LocalTaskStore.syncFromRemote();
 
       if (isMountedRef.current) {
-        setTasks(loadedTasks);
+        setTasks(syncedTasks);
       }
     } catch (err) {
       if (isMountedRef.current) {
@@ -93,46 +96,58 @@ export const TaskProvider = ({ children }: TaskProviderProps) => {
     }
   }, []);
 
-  // Set up real-time subscription
+  // Load local tasks, then sync and listen for real-time updates
   useEffect(() => {
     if (!currentUser?.id) return undefined;
 
-    // Load initial tasks
-    void loadTasks();
+    let unsubscribeStore: (() => void) | null = null;
+    let cancelled = false;
+
+    const start = async () => {
+      try {
+        setLoading(true);
+        // Local data shows up immediately, even with no network
+        const localTasks = await LocalTaskStore.initialize(currentUser.id);
+        if (cancelled || !isMountedRef.current) return;
+
+        setTasks(localTasks);
+        if (localTasks.length > 0) {
+          setLoading(false);
+        }
+
+        unsubscribeStore = LocalTaskStore.subscribe((storeTasks) => {
+          if (isMountedRef.current) {
+            setTasks(storeTasks);
+          }
+        });
+
+        await loadTasks();
+      } catch (err) {
+        if (isMountedRef.current) {
+          setError((err as Error).message);
+          setLoading(false);
+          logError('TaskContext.initialize', err);
+        }
+      }
+    };
 
-    // Subscribe to real-time updates
+    void start();
+
+    // Real-time changes from Supabase are reconciled by the local store
     const unsubscribe = TaskStorageService.subscribeToTaskUpdates(
       currentUser.id,
       (task: Task, eventType: string) => {
-        if (!isMountedRef.current) return;
-
-        setTasks((prevTasks) => {
-          switch (eventType) {
-            case 'INSERT':
-              // Add new task if it doesn't exist
-              if (!prevTasks.find((t) => t.id === task.id)) {
-                return [...prevTasks, task];
-              }
-              return prevTasks;
-
-            case 'UPDATE':
-              // Update existing task
-              return prevTasks.map((t) => (t.id === task.id ? task : t));
-
-            case 'DELETE':
-              // Remove deleted task
-              return prevTasks.filter((t) => t.id !== task.id);
-
-            default:
-              return prevTasks;
-          }
-        });
+        void LocalTaskStore.applyRemoteChange(task, eventType);
       },
     );
 
-    unsubscribeRef.current = unsubscribe;
+    unsubscribeRef.current = () => {
+      unsubscribe();
+      unsubscribeStore?.();
+    };
 
     return () => {
+      cancelled = true;
       if (unsubscribeRef.current) {
         unsubscribeRef.current();
         unsubscribeRef.current = null;
@@ -186,7 +201,7 @@ export const TaskProvider = ({ children }: TaskProviderProps) => {
         setError(null);
 
         const newTask: Task = {
-          id: `task-${Date.now()}`,
+          id: taskData.id ?? generateTaskId(),
           title: taskData.title ?? '',
           description: taskData.description ?? '',
           category: taskData.category ?? null,
@@ -212,10 +227,24 @@ export const TaskProvider = ({ children }: TaskProviderProps) => {
           },
           encouragementReceived: taskData.encouragementReceived ?? [],
           userId: taskData.userId ?? currentUser?.id ?? null,
+          parentId: taskData.parentId ?? null,
+          sortOrder: taskData.sortOrder ?? 0,
+          recurrence: taskData.recurrence ?? null,
+          seriesId: taskData.seriesId ?? null,
+          reminder1: taskData.reminder1 ?? null,
+          reminder2: taskData.reminder2 ?? null,
+          reminderCustom: taskData.reminderCustom ?? null,
+          inbox: taskData.inbox ?? false,
+          assignmentStatus: taskData.assignmentStatus ?? null,
+          assignmentNote: taskData.assignmentNote ?? null,
+          counterTimeEstimate: taskData.counterTimeEstimate ?? null,
+          counterDueDate: taskData.counterDueDate ?? null,
         };
 
-        await TaskStorageService.saveTask(newTask);
-        // Real-time subscription will handle adding to state
+        const saved = await LocalTaskStore.saveTask(newTask);
+        if (!saved) {
+          throw new Error('Failed to save task');
+        }
       } catch (err) {
         setError((err as Error).message);
         logError('TaskContext.addTask', err);
@@ -225,6 +254,30 @@ export const TaskProvider = ({ children }: TaskProviderProps) => {
     [currentUser?.id],
   );
 
+  // Add many ready-made tasks at once; they sync as one batch
+  const addTasks = useCallback(
+    async (newTasks: Task[]): Promise<void> => {
+      try {
+        setError(null);
+
+        const owned = newTasks.map((task) => ({
+          ...task,
+          userId: task.userId ?? currentUser?.id ?? null,
+        }));
+
+        const saved = await LocalTaskStore.saveTasks(owned);
+        if (!saved) {
+          throw new Error('Failed to save tasks');
+        }
+      } catch (err) {
+        setError((err as Error).message);
+        logError('TaskContext.addTasks', err);
+        throw err;
+      }
+    },
+    [currentUser?.id],
+  );
+
   // Update a task
   const updateTask = useCallback(
     async (taskId: string, updates: Partial<Task>): Promise<void> => {
@@ -242,8 +295,10 @@ export const TaskProvider = ({ children }: TaskProviderProps) => {
           updatedAt: new Date(),
         };
 
-        await TaskStorageService.updateTask(updatedTask);
-        // Real-time subscription will handle updating state
+        const saved = await LocalTaskStore.updateTask(updatedTask);
+        if (!saved) {
+          throw new Error('Failed to update task');
+        }
       } catch (err) {
         setError((err as Error).message);
         logError('TaskContext.updateTask', err);
@@ -258,8 +313,10 @@ export const TaskProvider = ({ children }: TaskProviderProps) => {
     try {
       setError(null);
 
-      await TaskStorageService.deleteTask(taskId);
-      // Real-time subscription will handle removing from state
+      const deleted = await LocalTaskStore.deleteTask(taskId);
+      if (!deleted) {
+        throw new Error('Failed to delete task');
+      }
     } catch (err) {
       setError((err as Error).message);
       logError('TaskContext.deleteTask', err);
@@ -275,6 +332,7 @@ export const TaskProvider = ({ children }: TaskProviderProps) => {
   // Clear cache (useful for logout)
   const clearCache = useCallback((): void => {
     setTasks([]);
+    LocalTaskStore.reset();
     if (unsubscribeRef.current) {
       unsubscribeRef.current();
       unsubscribeRef.current = null;
@@ -291,6 +349,7 @@ export const TaskProvider = ({ children }: TaskProviderProps) => {
       getPendingTasks,
       getTasksAssignedByUser,
       addTask,
+      addTasks,
       updateTask,
       deleteTask,
       refreshTasks,
@@ -305,6 +364,7 @@ export const TaskProvider = ({ children }: TaskProviderProps) => {
       getPendingTasks,
       getTasksAssignedByUser,
       addTask,
+      addTasks,
       updateTask,
       deleteTask,
       refreshTasks,
@@ -4,6 +4,7 @@
 export { AppProvider } from './AppProvider';
 export { useUser } from './UserContext';
 export { useTasks } from './TaskContext';
+export { CategoryProvider, useCategories } from './CategoryContext';
 export { useNotifications } from './NotificationContext';
 export { AuthProvider, useAuth } from './AuthContext';
 export { PresenceProvider, usePresence } from './PresenceContext';
@@ -0,0 +1,24 @@
+-- ABOUTME: Adds parent/child relationships to tasks so big tasks can be broken into steps
+-- Steps reference their parent task and keep an explicit order among siblings
+
+ALTER TABLE tasks
+  ADD COLUMN parent_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+  ADD COLUMN sort_order INTEGER DEFAULT 0;
+
+-- A task can never be its own parent
+ALTER TABLE tasks ADD CONSTRAINT tasks_parent_not_self CHECK (parent_id IS NULL OR parent_id <> id);
+
+-- Index for fetching the steps of a task in order
+CREATE INDEX idx_tasks_parent_id ON tasks(parent_id, sort_order);
+
+-- Function to fetch a task and all of its descendants in one round trip
+CREATE OR REPLACE FUNCTION get_task_tree(root_task_id UUID)
+RETURNS SETOF tasks AS $$
+  WITH RECURSIVE tree AS (
+    SELECT * FROM tasks WHERE id = root_task_id
+    UNION ALL
+    SELECT child.* FROM tasks child
+    INNER JOIN tree ON child.parent_id = tree.id
+  )
+  SELECT * FROM tree ORDER BY sort_order, created_at;
+$$ LANGUAGE sql STABLE SECURITY INVOKER;
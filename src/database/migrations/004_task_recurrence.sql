@@ -0,0 +1,20 @@
+-- ABOUTME: Adds recurrence rules to tasks for routines like daily meds or weekly bin night
+-- Each completed instance spawns the next one; instances share the id of the first task as series_id
+
+ALTER TABLE tasks
+  -- Rule shape: { "frequency": "daily" | "weekdays" | "every_n_days" | "monthly" | "after_completion",
+  --               "interval": 1, "dayOfMonth": null }
+  ADD COLUMN recurrence JSONB,
+  ADD COLUMN series_id UUID REFERENCES tasks(id) ON DELETE SET NULL;
+
+-- Only recurring tasks can belong to a series
+ALTER TABLE tasks ADD CONSTRAINT tasks_series_requires_recurrence
+  CHECK (series_id IS NULL OR recurrence IS NOT NULL);
+
+-- Index for looking up the instances of a series
+CREATE INDEX idx_tasks_series_id ON tasks(series_id, status);
+
+-- A series never has more than one open instance
+CREATE UNIQUE INDEX idx_tasks_series_one_open
+  ON tasks(series_id)
+  WHERE series_id IS NOT NULL AND status <> 'completed';
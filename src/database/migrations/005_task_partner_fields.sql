@@ -0,0 +1,101 @@
+-- ABOUTME: Stores partner encouragements, partner notification flags and preferred start times on tasks
+-- Triggers keep both JSONB columns merge-safe when a stale copy from another device is written back
+
+ALTER TABLE tasks
+  ADD COLUMN preferred_start_time TIMESTAMP WITH TIME ZONE,
+  -- Shape: { "onStart": false, "onComplete": false, "onOverdue": false }
+  ADD COLUMN partner_notified JSONB NOT NULL
+    DEFAULT '{"onStart": false, "onComplete": false, "onOverdue": false}'::jsonb,
+  -- Shape: [{ "message": "You've got this!", "fromUserId": "<uuid>", "timestamp": "<ISO 8601>" }]
+  ADD COLUMN encouragements JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE tasks ADD CONSTRAINT tasks_encouragements_is_array
+  CHECK (jsonb_typeof(encouragements) = 'array');
+
+-- Notification flags only move from false to true, so a device that hasn't seen the
+-- latest flags can't re-arm an alert. Moving the due date re-arms the overdue alert.
+CREATE OR REPLACE FUNCTION merge_task_partner_notified()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.partner_notified := jsonb_build_object(
+    'onStart',
+      COALESCE((OLD.partner_notified->>'onStart')::boolean, false)
+      OR COALESCE((NEW.partner_notified->>'onStart')::boolean, false),
+    'onComplete',
+      COALESCE((OLD.partner_notified->>'onComplete')::boolean, false)
+      OR COALESCE((NEW.partner_notified->>'onComplete')::boolean, false),
+    'onOverdue',
+      CASE
+        WHEN NEW.due_date IS DISTINCT FROM OLD.due_date
+          THEN COALESCE((NEW.partner_notified->>'onOverdue')::boolean, false)
+        ELSE COALESCE((OLD.partner_notified->>'onOverdue')::boolean, false)
+          OR COALESCE((NEW.partner_notified->>'onOverdue')::boolean, false)
+      END
+  );
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER merge_tasks_partner_notified
+  BEFORE UPDATE ON tasks
+  FOR EACH ROW EXECUTE FUNCTION merge_task_partner_notified();
+
+-- Encouragements are append-only: an update keeps every message already stored,
+-- de-duplicated by sender and time and ordered oldest first
+CREATE OR REPLACE FUNCTION merge_task_encouragements()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.encouragements := COALESCE(
+    (
+      SELECT jsonb_agg(entry ORDER BY (entry->>'timestamp')::timestamptz)
+      FROM (
+        SELECT DISTINCT ON (e->>'fromUserId', (e->>'timestamp')::timestamptz) e AS entry
+        FROM jsonb_array_elements(OLD.encouragements || NEW.encouragements) AS e
+      ) merged
+    ),
+    '[]'::jsonb
+  );
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER merge_tasks_encouragements
+  BEFORE UPDATE OF encouragements ON tasks
+  FOR EACH ROW EXECUTE FUNCTION merge_task_encouragements();
+
+-- Lets a partner encourage any task they can see without writing the rest of the row
+CREATE OR REPLACE FUNCTION add_task_encouragement(target_task_id UUID, encouragement_message TEXT)
+RETURNS JSONB AS $$
+DECLARE
+  updated JSONB;
+BEGIN
+  UPDATE tasks t
+  SET encouragements = t.encouragements || jsonb_build_array(
+    jsonb_build_object(
+      'message', encouragement_message,
+      'fromUserId', auth.uid(),
+      -- Same format as JavaScript's toISOString()
+      'timestamp', to_char(now() AT TIME ZONE 'utc', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')
+    )
+  )
+  WHERE t.id = target_task_id
+    AND (
+      auth.uid() IN (t.user_id, t.assigned_to, t.assigned_by)
+      OR EXISTS (
+        SELECT 1 FROM partnerships p
+        WHERE p.status = 'active'
+          AND (
+            (p.adhd_user_id = auth.uid() AND p.partner_id = COALESCE(t.assigned_to, t.user_id))
+            OR (p.partner_id = auth.uid() AND p.adhd_user_id = COALESCE(t.assigned_to, t.user_id))
+          )
+      )
+    )
+  RETURNING t.encouragements INTO updated;
+
+  IF updated IS NULL THEN
+    RAISE EXCEPTION 'Task not found or not shared with you';
+  END IF;
+
+  RETURN updated;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
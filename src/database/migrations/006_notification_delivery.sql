@@ -0,0 +1,22 @@
+-- ABOUTME: Lets notifications be held back until the recipient's quiet hours end
+-- NULL deliver_at means deliver immediately; clients hide rows whose deliver_at is still ahead
+
+ALTER TABLE notifications
+  ADD COLUMN deliver_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX idx_notifications_user_deliver_at ON notifications(user_id, deliver_at);
+
+-- Keep held notifications around for 30 days after they are delivered, not after they are created
+CREATE OR REPLACE FUNCTION set_notification_expiry_from_delivery()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.deliver_at IS NOT NULL THEN
+    NEW.expires_at := NEW.deliver_at + interval '30 days';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER notifications_expiry_from_delivery
+  BEFORE INSERT ON notifications
+  FOR EACH ROW EXECUTE FUNCTION set_notification_expiry_from_delivery();
@@ -0,0 +1,106 @@
+-- ABOUTME: Per-user task categories with colors, icons and defaults for new tasks
+-- Seeds Home/Work/Personal for every user and deletes categories through an RPC that reassigns tasks
+
+CREATE TABLE categories (
+  -- Text ids so the built-in 'home', 'work' and 'personal' ids already on tasks keep working
+  id TEXT NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  label TEXT NOT NULL CHECK (char_length(trim(label)) BETWEEN 1 AND 30),
+  color TEXT NOT NULL CHECK (color ~ '^#[0-9A-Fa-f]{6}$'),
+  icon TEXT NOT NULL,
+  default_time_estimate INTEGER CHECK (default_time_estimate > 0),
+  default_priority TEXT CHECK (default_priority IN ('low', 'medium', 'high', 'urgent')),
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+  PRIMARY KEY (user_id, id)
+);
+
+CREATE UNIQUE INDEX idx_categories_user_label ON categories(user_id, lower(label));
+
+CREATE TRIGGER update_categories_updated_at BEFORE UPDATE ON categories
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
+
+-- Partners can read each other's categories so assigned tasks land in one the assignee has
+CREATE POLICY "View own and partner categories" ON categories
+  FOR SELECT USING (
+    auth.uid() = user_id
+    OR EXISTS (
+      SELECT 1 FROM partnerships p
+      WHERE p.status = 'active'
+        AND (
+          (p.adhd_user_id = auth.uid() AND p.partner_id = categories.user_id)
+          OR (p.partner_id = auth.uid() AND p.adhd_user_id = categories.user_id)
+        )
+    )
+  );
+
+CREATE POLICY "Create own categories" ON categories
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Update own categories" ON categories
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- Deletes go through delete_category so tasks are never left pointing at a missing category
+
+CREATE OR REPLACE FUNCTION seed_default_categories(p_user_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  INSERT INTO categories (id, user_id, label, color, icon, sort_order)
+  VALUES
+    ('home', p_user_id, 'Home', '#FF6B6B', '🏠', 0),
+    ('work', p_user_id, 'Work', '#4ECDC4', '💼', 1),
+    ('personal', p_user_id, 'Personal', '#45B7D1', '👤', 2)
+  ON CONFLICT DO NOTHING;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION seed_default_categories_for_new_user()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM seed_default_categories(NEW.id);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER seed_categories_for_new_user AFTER INSERT ON users
+  FOR EACH ROW EXECUTE FUNCTION seed_default_categories_for_new_user();
+
+SELECT seed_default_categories(id) FROM users;
+
+-- New tasks no longer fall into 'home' behind the user's back; the app always sends a category or NULL
+ALTER TABLE tasks ALTER COLUMN category DROP DEFAULT;
+
+-- Moves the category's tasks to reassign_to_category_id (NULL leaves them uncategorized) and deletes it
+-- in one transaction. Only touches tasks the caller owns or was assigned.
+CREATE OR REPLACE FUNCTION delete_category(target_category_id TEXT, reassign_to_category_id TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+  moved INTEGER;
+BEGIN
+  IF reassign_to_category_id = target_category_id THEN
+    RAISE EXCEPTION 'Cannot reassign tasks to the category being deleted';
+  END IF;
+
+  IF reassign_to_category_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM categories WHERE user_id = auth.uid() AND id = reassign_to_category_id
+  ) THEN
+    RAISE EXCEPTION 'Category to reassign tasks to does not exist';
+  END IF;
+
+  DELETE FROM categories WHERE user_id = auth.uid() AND id = target_category_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Category not found';
+  END IF;
+
+  UPDATE tasks
+  SET category = reassign_to_category_id
+  WHERE category = target_category_id
+    AND auth.uid() IN (user_id, assigned_to);
+  GET DIAGNOSTICS moved = ROW_COUNT;
+
+  RETURN moved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,7 @@
+-- ABOUTME: Adds an inbox flag for tasks captured in a brain dump but not yet sorted
+-- Inbox tasks show up in their own list until the user gives them a category or estimate
+
+ALTER TABLE tasks ADD COLUMN inbox BOOLEAN NOT NULL DEFAULT false;
+
+-- Index for loading a user's untriaged tasks
+CREATE INDEX idx_tasks_inbox ON tasks(user_id) WHERE inbox;
@@ -0,0 +1,102 @@
+-- ABOUTME: Logs every focus session on a task with its start/pause/break events and real elapsed time
+-- tasks.time_spent is derived from these sessions instead of being bumped by whole Pomodoros
+
+CREATE TABLE focus_sessions (
+  -- Client-generated so a session recorded offline keeps its id once it reaches Supabase
+  id UUID PRIMARY KEY,
+  task_id UUID REFERENCES tasks(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  ended_at TIMESTAMP WITH TIME ZONE,
+  planned_duration_seconds INTEGER NOT NULL DEFAULT 0 CHECK (planned_duration_seconds >= 0),
+  focused_seconds INTEGER NOT NULL DEFAULT 0 CHECK (focused_seconds >= 0),
+  break_seconds INTEGER NOT NULL DEFAULT 0 CHECK (break_seconds >= 0),
+  paused_seconds INTEGER NOT NULL DEFAULT 0 CHECK (paused_seconds >= 0),
+  interruptions INTEGER NOT NULL DEFAULT 0 CHECK (interruptions >= 0),
+  completed_pomodoros INTEGER NOT NULL DEFAULT 0 CHECK (completed_pomodoros >= 0),
+  end_reason TEXT CHECK (end_reason IN ('completed', 'stopped_early', 'imported')),
+  -- Shape: [{ "type": "start" | "pause" | "resume" | "interruption" | "pomodoro_complete"
+  --           | "break_start" | "break_end" | "stop", "at": "<ISO 8601>" }]
+  events JSONB NOT NULL DEFAULT '[]'::jsonb CHECK (jsonb_typeof(events) = 'array'),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+  CHECK (ended_at IS NULL OR ended_at >= started_at)
+);
+
+CREATE INDEX idx_focus_sessions_task ON focus_sessions(task_id, started_at DESC);
+CREATE INDEX idx_focus_sessions_user ON focus_sessions(user_id, started_at DESC);
+
+ALTER TABLE focus_sessions ENABLE ROW LEVEL SECURITY;
+
+-- The partner who assigned a task can see how the work on it went
+CREATE POLICY "View own and assigned task sessions" ON focus_sessions
+  FOR SELECT USING (
+    auth.uid() = user_id
+    OR EXISTS (
+      SELECT 1 FROM tasks t
+      WHERE t.id = focus_sessions.task_id AND t.assigned_by = auth.uid()
+    )
+  );
+
+CREATE POLICY "Record own sessions" ON focus_sessions
+  FOR INSERT WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (
+      SELECT 1 FROM tasks t
+      WHERE t.id = focus_sessions.task_id AND auth.uid() IN (t.user_id, t.assigned_to)
+    )
+  );
+
+CREATE POLICY "Update own sessions" ON focus_sessions
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- Minutes of real focus logged against a task
+CREATE OR REPLACE FUNCTION focus_minutes_for_task(p_task_id UUID)
+RETURNS INTEGER AS $$
+  SELECT COALESCE(ROUND(SUM(focused_seconds) / 60.0), 0)::INTEGER
+  FROM focus_sessions
+  WHERE task_id = p_task_id;
+$$ LANGUAGE sql STABLE;
+
+-- Keep tasks.time_spent in step with the sessions whenever one is saved or removed
+CREATE OR REPLACE FUNCTION sync_task_time_spent()
+RETURNS TRIGGER AS $$
+DECLARE
+  affected_task UUID := COALESCE(NEW.task_id, OLD.task_id);
+BEGIN
+  UPDATE tasks SET time_spent = focus_minutes_for_task(affected_task) WHERE id = affected_task;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER sync_task_time_spent_on_sessions
+  AFTER INSERT OR UPDATE OR DELETE ON focus_sessions
+  FOR EACH ROW EXECUTE FUNCTION sync_task_time_spent();
+
+-- A stale copy of a task written back from another device can't overwrite the derived total
+CREATE OR REPLACE FUNCTION derive_task_time_spent()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM focus_sessions WHERE task_id = NEW.id) THEN
+    NEW.time_spent := focus_minutes_for_task(NEW.id);
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER derive_task_time_spent BEFORE UPDATE ON tasks
+  FOR EACH ROW EXECUTE FUNCTION derive_task_time_spent();
+
+-- Time logged before sessions existed is kept as one imported session per task
+INSERT INTO focus_sessions (
+  id, task_id, user_id, started_at, ended_at, focused_seconds, end_reason
+)
+SELECT
+  uuid_generate_v4(),
+  t.id,
+  COALESCE(t.assigned_to, t.user_id),
+  COALESCE(t.started_at, t.created_at),
+  COALESCE(t.started_at, t.created_at),
+  t.time_spent * 60,
+  'imported'
+FROM tasks t
+WHERE t.time_spent > 0;
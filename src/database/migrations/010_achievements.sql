@@ -0,0 +1,33 @@
+-- ABOUTME: Records which achievements each user has unlocked and when
+-- The catalog itself lives in the app (AchievementModel); rows here only reference it by id
+
+CREATE TABLE achievements_unlocked (
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  -- Text id from the app's catalog, e.g. 'first_task' or 'streak_7'
+  achievement_id TEXT NOT NULL CHECK (char_length(achievement_id) BETWEEN 1 AND 50),
+  unlocked_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT timezone('utc'::text, now()),
+  -- One row per achievement, so unlocking again from another device is a no-op
+  PRIMARY KEY (user_id, achievement_id)
+);
+
+CREATE INDEX idx_achievements_unlocked_user ON achievements_unlocked(user_id, unlocked_at DESC);
+
+ALTER TABLE achievements_unlocked ENABLE ROW LEVEL SECURITY;
+
+-- Partners can see each other's badges
+CREATE POLICY "View own and partner achievements" ON achievements_unlocked
+  FOR SELECT USING (
+    auth.uid() = user_id
+    OR EXISTS (
+      SELECT 1 FROM partnerships p
+      WHERE p.status = 'active'
+        AND (
+          (p.adhd_user_id = auth.uid() AND p.partner_id = achievements_unlocked.user_id)
+          OR (p.partner_id = auth.uid() AND p.adhd_user_id = achievements_unlocked.user_id)
+        )
+    )
+  );
+
+-- Unlocks are permanent: there are no update or delete policies
+CREATE POLICY "Record own achievements" ON achievements_unlocked
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
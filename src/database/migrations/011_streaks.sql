@@ -0,0 +1,83 @@
+-- ABOUTME: Keeps daily streaks on the user record, counted in the user's own time zone, with streak freezes
+-- record_streak_day applies the same rules as the app's StreakModel so every device ends up with one streak
+
+ALTER TABLE users
+  -- IANA zone name, e.g. 'Europe/Berlin'; days keep following it while travelling
+  ADD COLUMN timezone TEXT,
+  -- The last calendar day (in timezone) that counted towards the streak
+  ADD COLUMN last_streak_day DATE,
+  -- Each freeze forgives one missed day; everyone starts with one
+  ADD COLUMN streak_freezes INTEGER NOT NULL DEFAULT 1 CHECK (streak_freezes BETWEEN 0 AND 2);
+
+-- Count a day with a completed task for the signed-in user. The day is worked
+-- out on the device when the task was completed, so a completion synced late
+-- still lands on the right day. Days already counted change nothing.
+CREATE OR REPLACE FUNCTION record_streak_day(p_day DATE)
+RETURNS TABLE (
+  current_streak INTEGER,
+  longest_streak INTEGER,
+  last_streak_day DATE,
+  streak_freezes INTEGER
+) AS $$
+DECLARE
+  u users%ROWTYPE;
+  missed INTEGER;
+  new_current INTEGER;
+  new_freezes INTEGER;
+BEGIN
+  SELECT * INTO u FROM users WHERE id = auth.uid() FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User not found';
+  END IF;
+
+  IF u.last_streak_day IS NULL OR p_day > u.last_streak_day THEN
+    missed := CASE WHEN u.last_streak_day IS NULL THEN 0 ELSE p_day - u.last_streak_day - 1 END;
+
+    IF u.last_streak_day IS NOT NULL AND missed <= u.streak_freezes THEN
+      new_current := COALESCE(u.current_streak, 0) + 1;
+      new_freezes := u.streak_freezes - missed;
+    ELSE
+      new_current := 1;
+      new_freezes := u.streak_freezes;
+    END IF;
+
+    -- Every 7 days in a row earns a freeze, up to 2
+    IF new_current % 7 = 0 THEN
+      new_freezes := LEAST(2, new_freezes + 1);
+    END IF;
+
+    UPDATE users SET
+      current_streak = new_current,
+      longest_streak = GREATEST(COALESCE(users.longest_streak, 0), new_current),
+      last_streak_day = p_day,
+      streak_freezes = new_freezes
+    WHERE id = u.id;
+  END IF;
+
+  RETURN QUERY
+    SELECT users.current_streak, users.longest_streak, users.last_streak_day, users.streak_freezes
+    FROM users WHERE id = u.id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- One-off import of a streak that was only kept on a device. Ignored once the
+-- server has counted any day, so it can't roll a streak back.
+CREATE OR REPLACE FUNCTION import_streak(p_current INTEGER, p_longest INTEGER, p_last_day DATE)
+RETURNS TABLE (
+  current_streak INTEGER,
+  longest_streak INTEGER,
+  last_streak_day DATE,
+  streak_freezes INTEGER
+) AS $$
+BEGIN
+  UPDATE users SET
+    current_streak = GREATEST(p_current, 0),
+    longest_streak = GREATEST(COALESCE(users.longest_streak, 0), p_longest, p_current),
+    last_streak_day = p_last_day
+  WHERE id = auth.uid() AND users.last_streak_day IS NULL;
+
+  RETURN QUERY
+    SELECT users.current_streak, users.longest_streak, users.last_streak_day, users.streak_freezes
+    FROM users WHERE id = auth.uid();
+END;
+$$ LANGUAGE plpgsql;
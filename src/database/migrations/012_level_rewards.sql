@@ -0,0 +1,29 @@
+-- ABOUTME: Records the cosmetic rewards each user has unlocked by levelling up, and which ones they use
+-- Levels come from XP in the app (LevelModel); rows here only reference the app's reward catalog by id
+
+CREATE TABLE reward_unlocks (
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  -- Text id from the app's catalog, e.g. 'theme_forest' or 'timer_ember'
+  reward_id TEXT NOT NULL CHECK (char_length(reward_id) BETWEEN 1 AND 50),
+  -- The level the user had reached when it unlocked
+  level INTEGER NOT NULL CHECK (level BETWEEN 1 AND 50),
+  unlocked_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT timezone('utc'::text, now()),
+  -- One row per reward, so unlocking again from another device is a no-op
+  PRIMARY KEY (user_id, reward_id)
+);
+
+CREATE INDEX idx_reward_unlocks_user ON reward_unlocks(user_id, unlocked_at DESC);
+
+ALTER TABLE reward_unlocks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "View own reward unlocks" ON reward_unlocks
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Unlocks are permanent: there are no update or delete policies
+CREATE POLICY "Record own reward unlocks" ON reward_unlocks
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+-- The reward in use for each kind, e.g. {"theme": "theme_forest", "timerSkin": "timer_ember"}.
+-- Kinds left out use the default look.
+ALTER TABLE users
+  ADD COLUMN equipped_rewards JSONB NOT NULL DEFAULT '{}'::jsonb;
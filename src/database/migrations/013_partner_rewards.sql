@@ -0,0 +1,112 @@
+-- ABOUTME: Rewards store for a partnership: real-world rewards the partner offers and the ADHD user redeems with XP
+-- Lifetime XP is users.xp_total, which only award_xp moves (017); redeem_reward checks the balance (018)
+
+CREATE TABLE reward_offers (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  partnership_id UUID REFERENCES partnerships(id) ON DELETE CASCADE NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  title TEXT NOT NULL CHECK (char_length(trim(title)) BETWEEN 1 AND 100),
+  description TEXT CHECK (char_length(description) <= 500),
+  xp_cost INTEGER NOT NULL CHECK (xp_cost BETWEEN 1 AND 10000),
+  -- Retired offers leave the store but keep the redemptions that point at them
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now())
+);
+
+CREATE INDEX idx_reward_offers_partnership ON reward_offers(partnership_id, active);
+
+CREATE TRIGGER update_reward_offers_updated_at BEFORE UPDATE ON reward_offers
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE reward_redemptions (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  partnership_id UUID REFERENCES partnerships(id) ON DELETE CASCADE NOT NULL,
+  offer_id UUID REFERENCES reward_offers(id) ON DELETE SET NULL,
+  redeemed_by UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  -- Copied from the offer so the history reads the same after the offer changes
+  title TEXT NOT NULL,
+  xp_cost INTEGER NOT NULL CHECK (xp_cost > 0),
+  status TEXT NOT NULL DEFAULT 'requested' CHECK (status IN ('requested', 'fulfilled')),
+  redeemed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT timezone('utc'::text, now()),
+  fulfilled_at TIMESTAMP WITH TIME ZONE,
+  CHECK ((status = 'fulfilled') = (fulfilled_at IS NOT NULL))
+);
+
+CREATE INDEX idx_reward_redemptions_partnership
+  ON reward_redemptions(partnership_id, redeemed_at DESC);
+CREATE INDEX idx_reward_redemptions_user ON reward_redemptions(redeemed_by);
+
+ALTER TABLE reward_offers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reward_redemptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "View partnership reward offers" ON reward_offers
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM partnerships p
+      WHERE p.id = reward_offers.partnership_id
+        AND (p.adhd_user_id = auth.uid() OR p.partner_id = auth.uid())
+    )
+  );
+
+-- Only the partner stocks the store, and only while the partnership is active
+CREATE POLICY "Partner creates reward offers" ON reward_offers
+  FOR INSERT WITH CHECK (
+    auth.uid() = created_by
+    AND EXISTS (
+      SELECT 1 FROM partnerships p
+      WHERE p.id = reward_offers.partnership_id
+        AND p.partner_id = auth.uid()
+        AND p.status = 'active'
+    )
+  );
+
+CREATE POLICY "Partner updates reward offers" ON reward_offers
+  FOR UPDATE USING (
+    EXISTS (
+      SELECT 1 FROM partnerships p
+      WHERE p.id = reward_offers.partnership_id
+        AND p.partner_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "View partnership redemptions" ON reward_redemptions
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM partnerships p
+      WHERE p.id = reward_redemptions.partnership_id
+        AND (p.adhd_user_id = auth.uid() OR p.partner_id = auth.uid())
+    )
+  );
+
+-- The ADHD user redeems an active offer at its current price
+CREATE POLICY "ADHD user redeems rewards" ON reward_redemptions
+  FOR INSERT WITH CHECK (
+    auth.uid() = redeemed_by
+    AND status = 'requested'
+    AND EXISTS (
+      SELECT 1 FROM partnerships p
+      WHERE p.id = reward_redemptions.partnership_id
+        AND p.adhd_user_id = auth.uid()
+        AND p.status = 'active'
+    )
+    AND EXISTS (
+      SELECT 1 FROM reward_offers o
+      WHERE o.id = reward_redemptions.offer_id
+        AND o.partnership_id = reward_redemptions.partnership_id
+        AND o.active
+        AND o.xp_cost = reward_redemptions.xp_cost
+        AND o.title = reward_redemptions.title
+    )
+  );
+
+-- The partner confirms a reward was given; redemptions are never deleted, so spent XP stays spent
+CREATE POLICY "Partner fulfils redemptions" ON reward_redemptions
+  FOR UPDATE USING (
+    EXISTS (
+      SELECT 1 FROM partnerships p
+      WHERE p.id = reward_redemptions.partnership_id
+        AND p.partner_id = auth.uid()
+    )
+  )
+  WITH CHECK (status = 'fulfilled');
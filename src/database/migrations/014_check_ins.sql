@@ -0,0 +1,102 @@
+-- ABOUTME: Structured partner check-ins: recurring schedules set by the partner and the ADHD user's responses
+-- Due check-ins are sent from the ADHD user's app, which moves next_due_at on as it sends them
+
+CREATE TABLE check_in_schedules (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  partnership_id UUID REFERENCES partnerships(id) ON DELETE CASCADE NOT NULL,
+  created_by UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  frequency TEXT NOT NULL CHECK (frequency IN ('daily', 'weekdays', 'weekly')),
+  day_of_week SMALLINT CHECK (day_of_week BETWEEN 0 AND 6),
+  -- Local time on the devices that work out next_due_at
+  time_of_day TEXT NOT NULL CHECK (time_of_day ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$'),
+  prompt TEXT CHECK (char_length(prompt) <= 200),
+  active BOOLEAN NOT NULL DEFAULT true,
+  next_due_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+  CHECK ((frequency = 'weekly') = (day_of_week IS NOT NULL))
+);
+
+CREATE INDEX idx_check_in_schedules_due ON check_in_schedules(partnership_id, active, next_due_at);
+
+CREATE TRIGGER update_check_in_schedules_updated_at BEFORE UPDATE ON check_in_schedules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE check_in_responses (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  partnership_id UUID REFERENCES partnerships(id) ON DELETE CASCADE NOT NULL,
+  schedule_id UUID REFERENCES check_in_schedules(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  mood SMALLINT NOT NULL CHECK (mood BETWEEN 1 AND 5),
+  energy SMALLINT NOT NULL CHECK (energy BETWEEN 1 AND 5),
+  blockers TEXT[] NOT NULL DEFAULT '{}',
+  note TEXT CHECK (char_length(note) <= 500),
+  responded_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT timezone('utc'::text, now())
+);
+
+CREATE INDEX idx_check_in_responses_partnership
+  ON check_in_responses(partnership_id, responded_at DESC);
+
+ALTER TABLE check_in_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE check_in_responses ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "View partnership check-in schedules" ON check_in_schedules
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM partnerships p
+      WHERE p.id = check_in_schedules.partnership_id
+        AND (p.adhd_user_id = auth.uid() OR p.partner_id = auth.uid())
+    )
+  );
+
+-- Only the partner schedules check-ins, and only while the partnership allows them
+CREATE POLICY "Partner creates check-in schedules" ON check_in_schedules
+  FOR INSERT WITH CHECK (
+    auth.uid() = created_by
+    AND EXISTS (
+      SELECT 1 FROM partnerships p
+      WHERE p.id = check_in_schedules.partnership_id
+        AND p.partner_id = auth.uid()
+        AND p.status = 'active'
+        AND COALESCE((p.settings->>'allowCheckIns')::boolean, true)
+    )
+  );
+
+-- The partner edits and cancels schedules; the ADHD user's app moves next_due_at on
+CREATE POLICY "Members update check-in schedules" ON check_in_schedules
+  FOR UPDATE USING (
+    EXISTS (
+      SELECT 1 FROM partnerships p
+      WHERE p.id = check_in_schedules.partnership_id
+        AND (p.adhd_user_id = auth.uid() OR p.partner_id = auth.uid())
+    )
+  );
+
+CREATE POLICY "View partnership check-in responses" ON check_in_responses
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM partnerships p
+      WHERE p.id = check_in_responses.partnership_id
+        AND (p.adhd_user_id = auth.uid() OR p.partner_id = auth.uid())
+    )
+  );
+
+-- The ADHD user answers, either a scheduled check-in from this partnership or on their own
+CREATE POLICY "ADHD user responds to check-ins" ON check_in_responses
+  FOR INSERT WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (
+      SELECT 1 FROM partnerships p
+      WHERE p.id = check_in_responses.partnership_id
+        AND p.adhd_user_id = auth.uid()
+        AND p.status = 'active'
+    )
+    AND (
+      schedule_id IS NULL
+      OR EXISTS (
+        SELECT 1 FROM check_in_schedules s
+        WHERE s.id = check_in_responses.schedule_id
+          AND s.partnership_id = check_in_responses.partnership_id
+      )
+    )
+  );
@@ -0,0 +1,59 @@
+-- ABOUTME: Requests from the assignee to move an assigned task's due date, answered by whoever assigned it
+-- Rows are never deleted so each task keeps the full history of asked, suggested and agreed dates
+
+CREATE TABLE deadline_change_requests (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  task_id UUID REFERENCES tasks(id) ON DELETE CASCADE NOT NULL,
+  requested_by UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  assigned_by UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  -- Copied so the request still reads well in notifications if the task is renamed
+  task_title TEXT NOT NULL,
+  current_due_date TIMESTAMP WITH TIME ZONE,
+  proposed_due_date TIMESTAMP WITH TIME ZONE NOT NULL,
+  reason TEXT NOT NULL CHECK (char_length(reason) BETWEEN 1 AND 500),
+  -- pending -> approved | rejected | countered, then countered -> accepted | declined
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'approved', 'rejected', 'countered', 'accepted', 'declined')),
+  counter_due_date TIMESTAMP WITH TIME ZONE,
+  response_note TEXT CHECK (char_length(response_note) <= 500),
+  responded_at TIMESTAMP WITH TIME ZONE,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+  CHECK ((status = 'pending') = (responded_at IS NULL)),
+  CHECK ((status IN ('countered', 'accepted', 'declined')) = (counter_due_date IS NOT NULL))
+);
+
+CREATE INDEX idx_deadline_change_requests_task
+  ON deadline_change_requests(task_id, created_at DESC);
+
+-- A task has at most one request waiting for an answer
+CREATE UNIQUE INDEX idx_deadline_change_requests_open
+  ON deadline_change_requests(task_id)
+  WHERE status IN ('pending', 'countered');
+
+ALTER TABLE deadline_change_requests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "View own deadline change requests" ON deadline_change_requests
+  FOR SELECT USING (auth.uid() IN (requested_by, assigned_by));
+
+-- Only the assignee asks, and only of the person who actually assigned the task
+CREATE POLICY "Assignee requests deadline changes" ON deadline_change_requests
+  FOR INSERT WITH CHECK (
+    auth.uid() = requested_by
+    AND status = 'pending'
+    AND EXISTS (
+      SELECT 1 FROM tasks t
+      WHERE t.id = deadline_change_requests.task_id
+        AND t.assigned_to = auth.uid()
+        AND t.assigned_by = deadline_change_requests.assigned_by
+        AND t.assigned_by <> auth.uid()
+    )
+  );
+
+CREATE POLICY "Assigner answers deadline change requests" ON deadline_change_requests
+  FOR UPDATE USING (auth.uid() = assigned_by AND status = 'pending')
+  WITH CHECK (status IN ('approved', 'rejected', 'countered'));
+
+CREATE POLICY "Assignee answers suggested dates" ON deadline_change_requests
+  FOR UPDATE USING (auth.uid() = requested_by AND status = 'countered')
+  WITH CHECK (status IN ('accepted', 'declined'));
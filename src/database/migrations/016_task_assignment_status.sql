@@ -0,0 +1,20 @@
+-- ABOUTME: Tracks whether the assignee has taken on a task their partner assigned
+-- A proposal is accepted, declined with a reason, or sent back with a different estimate or due date
+
+-- proposed -> accepted | declined | renegotiating, then renegotiating -> accepted | proposed
+-- NULL for tasks nobody assigned
+ALTER TABLE tasks
+  ADD COLUMN assignment_status TEXT
+    CHECK (assignment_status IN ('proposed', 'accepted', 'declined', 'renegotiating')),
+  -- The decline reason or the note sent with a renegotiation
+  ADD COLUMN assignment_note TEXT CHECK (char_length(assignment_note) <= 500),
+  -- What the assignee suggested instead while renegotiating
+  ADD COLUMN counter_time_estimate INTEGER CHECK (counter_time_estimate > 0), -- minutes
+  ADD COLUMN counter_due_date TIMESTAMP WITH TIME ZONE;
+
+-- Tasks assigned before proposals existed were taken on as-is
+UPDATE tasks SET assignment_status = 'accepted' WHERE assigned_by IS NOT NULL;
+
+-- Index for loading the proposals still waiting on someone
+CREATE INDEX idx_tasks_pending_assignment ON tasks(assigned_to)
+  WHERE assignment_status IN ('proposed', 'renegotiating');
@@ -0,0 +1,81 @@
+-- ABOUTME: Keeps lifetime XP on the user record so levels don't depend on which tasks a device has loaded
+-- Each completed task or achievement is awarded once through award_xp; the total never goes down
+
+CREATE TABLE xp_awards (
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+  -- What earned the XP, e.g. 'task:<task id>' or 'achievement:first_task'
+  source TEXT NOT NULL CHECK (char_length(source) BETWEEN 1 AND 100),
+  xp INTEGER NOT NULL CHECK (xp BETWEEN 1 AND 10000),
+  awarded_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT timezone('utc'::text, now()),
+  -- One row per source, so reopening and finishing a task again earns nothing more
+  PRIMARY KEY (user_id, source)
+);
+
+ALTER TABLE xp_awards ENABLE ROW LEVEL SECURITY;
+
+-- Awards are only written by award_xp: there are no insert, update or delete policies
+CREATE POLICY "View own XP awards" ON xp_awards
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Profile saves from the app can't set xp_total; only award_xp moves it
+CREATE OR REPLACE FUNCTION protect_xp_total()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_setting('app.xp_award', true) IS DISTINCT FROM 'on' THEN
+    NEW.xp_total := CASE WHEN TG_OP = 'INSERT' THEN 0 ELSE OLD.xp_total END;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER users_protect_xp_total
+  BEFORE INSERT OR UPDATE OF xp_total ON users
+  FOR EACH ROW EXECUTE FUNCTION protect_xp_total();
+
+-- Award XP to the signed-in user for one source and return their new total.
+-- A source already awarded changes nothing, so a retried call can't count twice.
+CREATE OR REPLACE FUNCTION award_xp(p_source TEXT, p_xp INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+  new_total INTEGER;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not signed in';
+  END IF;
+
+  -- Serialises awards from several devices
+  SELECT xp_total INTO new_total FROM users WHERE id = auth.uid() FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User not found';
+  END IF;
+
+  INSERT INTO xp_awards (user_id, source, xp)
+  VALUES (auth.uid(), p_source, p_xp)
+  ON CONFLICT (user_id, source) DO NOTHING;
+
+  IF FOUND THEN
+    PERFORM set_config('app.xp_award', 'on', true);
+    UPDATE users SET xp_total = COALESCE(xp_total, 0) + p_xp
+    WHERE id = auth.uid()
+    RETURNING xp_total INTO new_total;
+    PERFORM set_config('app.xp_award', 'off', true);
+  END IF;
+
+  RETURN COALESCE(new_total, 0);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Tasks finished before this count once. Achievement XP lives in the app's
+-- catalog, so the app awards it the next time it starts.
+INSERT INTO xp_awards (user_id, source, xp, awarded_at)
+SELECT COALESCE(assigned_to, user_id), 'task:' || id, LEAST(xp_earned, 10000),
+  COALESCE(completed_at, timezone('utc'::text, now()))
+FROM tasks
+WHERE status = 'completed' AND xp_earned > 0
+ON CONFLICT (user_id, source) DO NOTHING;
+
+ALTER TABLE users DISABLE TRIGGER users_protect_xp_total;
+UPDATE users SET xp_total = COALESCE(
+  (SELECT SUM(xp) FROM xp_awards WHERE xp_awards.user_id = users.id), 0
+);
+ALTER TABLE users ENABLE TRIGGER users_protect_xp_total;
@@ -0,0 +1,73 @@
+-- ABOUTME: Moves the rewards store's XP balance check to the server and limits what fulfilling may change
+-- The balance is users.xp_total minus everything the user has redeemed, in any partnership
+
+-- Redemptions are only made through redeem_reward, which checks the balance
+DROP POLICY "ADHD user redeems rewards" ON reward_redemptions;
+
+-- Redeem an active offer for the signed-in ADHD user at its current price.
+-- The user row is locked so two redemptions at once can't both spend the same XP.
+CREATE OR REPLACE FUNCTION redeem_reward(p_offer_id UUID)
+RETURNS reward_redemptions AS $$
+DECLARE
+  o reward_offers%ROWTYPE;
+  earned INTEGER;
+  spent INTEGER;
+  redemption reward_redemptions%ROWTYPE;
+BEGIN
+  SELECT COALESCE(xp_total, 0) INTO earned FROM users WHERE id = auth.uid() FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User not found';
+  END IF;
+
+  SELECT ro.* INTO o
+  FROM reward_offers ro
+  JOIN partnerships p ON p.id = ro.partnership_id
+  WHERE ro.id = p_offer_id
+    AND ro.active
+    AND p.adhd_user_id = auth.uid()
+    AND p.status = 'active';
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'This reward is no longer available';
+  END IF;
+
+  SELECT COALESCE(SUM(xp_cost), 0) INTO spent
+  FROM reward_redemptions WHERE redeemed_by = auth.uid();
+
+  IF earned - spent < o.xp_cost THEN
+    RAISE EXCEPTION 'You need % more XP for this reward', o.xp_cost - GREATEST(earned - spent, 0);
+  END IF;
+
+  INSERT INTO reward_redemptions (partnership_id, offer_id, redeemed_by, title, xp_cost)
+  VALUES (o.partnership_id, o.id, auth.uid(), o.title, o.xp_cost)
+  RETURNING * INTO redemption;
+
+  RETURN redemption;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Fulfilling only marks a requested redemption as given; what was redeemed, by whom
+-- and for how much stays as it was recorded
+CREATE OR REPLACE FUNCTION check_redemption_fulfilment()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.id IS DISTINCT FROM OLD.id
+    OR NEW.partnership_id IS DISTINCT FROM OLD.partnership_id
+    OR NEW.offer_id IS DISTINCT FROM OLD.offer_id
+    OR NEW.redeemed_by IS DISTINCT FROM OLD.redeemed_by
+    OR NEW.title IS DISTINCT FROM OLD.title
+    OR NEW.xp_cost IS DISTINCT FROM OLD.xp_cost
+    OR NEW.redeemed_at IS DISTINCT FROM OLD.redeemed_at THEN
+    RAISE EXCEPTION 'Only the fulfilment of a redemption can change';
+  END IF;
+
+  IF OLD.status <> 'requested' OR NEW.status <> 'fulfilled' THEN
+    RAISE EXCEPTION 'Only a requested redemption can be fulfilled';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER reward_redemptions_check_fulfilment
+  BEFORE UPDATE ON reward_redemptions
+  FOR EACH ROW EXECUTE FUNCTION check_redemption_fulfilment();
@@ -0,0 +1,12 @@
+-- ABOUTME: Keeps the time zone a check-in schedule's time of day is meant in
+-- The partner's app and the ADHD user's app then work out next_due_at on the same clock
+
+-- IANA zone name, e.g. 'Europe/Berlin'; NULL follows the clock of the device sending the check-in
+ALTER TABLE check_in_schedules ADD COLUMN time_zone TEXT;
+
+-- Existing schedules follow the ADHD user, whose app sends them
+UPDATE check_in_schedules s
+SET time_zone = u.timezone
+FROM partnerships p
+JOIN users u ON u.id = p.adhd_user_id
+WHERE p.id = s.partnership_id;
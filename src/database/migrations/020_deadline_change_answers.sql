@@ -0,0 +1,103 @@
+-- ABOUTME: Answers deadline change requests and moves the agreed due date in one transaction
+-- On assigned tasks only the assigner, or an agreed request, can move the due date
+
+-- The assignee can write the rest of an assigned task, but its due date stays as agreed.
+-- A stale copy written back from a device keeps the stored date rather than failing the sync.
+CREATE OR REPLACE FUNCTION guard_assigned_task_due_date()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.assigned_by IS NOT NULL
+    AND NEW.due_date IS DISTINCT FROM OLD.due_date
+    AND auth.uid() IS DISTINCT FROM OLD.assigned_by
+    AND current_setting('app.deadline_change', true) IS DISTINCT FROM 'on' THEN
+    NEW.due_date := OLD.due_date;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Named to run before merge_tasks_partner_notified, which re-arms the overdue alert
+-- only when the due date really moved
+CREATE TRIGGER guard_tasks_assigned_due_date
+  BEFORE UPDATE OF due_date ON tasks
+  FOR EACH ROW EXECUTE FUNCTION guard_assigned_task_due_date();
+
+-- Requests are only answered through answer_deadline_change
+DROP POLICY "Assigner answers deadline change requests" ON deadline_change_requests;
+DROP POLICY "Assignee answers suggested dates" ON deadline_change_requests;
+
+-- The assigner approves, rejects or counters a pending request; the assignee accepts or
+-- declines a countered one. An agreed date moves the task's due date in the same transaction.
+CREATE OR REPLACE FUNCTION answer_deadline_change(
+  p_request_id UUID,
+  p_status TEXT,
+  p_note TEXT DEFAULT NULL,
+  p_counter_due_date TIMESTAMP WITH TIME ZONE DEFAULT NULL
+)
+RETURNS deadline_change_requests AS $$
+DECLARE
+  r deadline_change_requests%ROWTYPE;
+  expected_status TEXT;
+  answered_by UUID;
+  agreed_due_date TIMESTAMP WITH TIME ZONE;
+BEGIN
+  SELECT * INTO r FROM deadline_change_requests WHERE id = p_request_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Deadline change request not found';
+  END IF;
+
+  IF p_status IN ('approved', 'rejected', 'countered') THEN
+    expected_status := 'pending';
+    answered_by := r.assigned_by;
+  ELSIF p_status IN ('accepted', 'declined') THEN
+    expected_status := 'countered';
+    answered_by := r.requested_by;
+  ELSE
+    RAISE EXCEPTION 'Unknown answer: %', p_status;
+  END IF;
+
+  IF answered_by IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'This request is waiting on your partner, not you';
+  END IF;
+  IF r.status <> expected_status THEN
+    RAISE EXCEPTION 'This request has already been answered';
+  END IF;
+
+  IF expected_status = 'pending' THEN
+    IF p_status = 'countered' AND p_counter_due_date IS NULL THEN
+      RAISE EXCEPTION 'Suggest a date to counter with';
+    END IF;
+
+    UPDATE deadline_change_requests SET
+      status = p_status,
+      response_note = NULLIF(trim(p_note), ''),
+      counter_due_date = CASE WHEN p_status = 'countered' THEN p_counter_due_date END,
+      responded_at = timezone('utc'::text, now())
+    WHERE id = r.id
+    RETURNING * INTO r;
+  ELSE
+    UPDATE deadline_change_requests SET
+      status = p_status,
+      resolved_at = timezone('utc'::text, now())
+    WHERE id = r.id
+    RETURNING * INTO r;
+  END IF;
+
+  agreed_due_date := CASE r.status
+    WHEN 'approved' THEN r.proposed_due_date
+    WHEN 'accepted' THEN r.counter_due_date
+  END;
+
+  IF agreed_due_date IS NOT NULL THEN
+    PERFORM set_config('app.deadline_change', 'on', true);
+    -- A new due date re-arms the overdue alert
+    UPDATE tasks SET
+      due_date = agreed_due_date,
+      partner_notified = partner_notified || '{"onOverdue": false}'::jsonb
+    WHERE id = r.task_id;
+    PERFORM set_config('app.deadline_change', 'off', true);
+  END IF;
+
+  RETURN r;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
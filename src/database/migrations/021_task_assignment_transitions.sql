@@ -0,0 +1,43 @@
+-- ABOUTME: Limits how a task proposal moves on and who may move it, matching AssignmentModel
+-- The assignee answers a proposal; the assigner answers the changes the assignee suggested
+
+-- proposed -> accepted | declined | renegotiating, answered by the assignee
+-- renegotiating -> accepted | proposed, answered by the assigner
+-- Any other change, such as a stale copy written back from a device, keeps the stored
+-- assignment rather than failing the sync. The note and suggested changes only move with it.
+CREATE OR REPLACE FUNCTION guard_task_assignment()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    -- A task the assigner adds starts as a proposal; the assignee adds the next instance
+    -- of a series they already took on as accepted
+    NEW.assignment_status := CASE
+      WHEN NEW.assigned_by IS NULL THEN NULL
+      WHEN NEW.assignment_status = 'accepted' AND auth.uid() = NEW.assigned_to THEN 'accepted'
+      ELSE 'proposed'
+    END;
+    RETURN NEW;
+  END IF;
+
+  IF NEW.assignment_status IS DISTINCT FROM OLD.assignment_status AND (
+    (OLD.assignment_status = 'proposed'
+      AND NEW.assignment_status IN ('accepted', 'declined', 'renegotiating')
+      AND auth.uid() = OLD.assigned_to)
+    OR (OLD.assignment_status = 'renegotiating'
+      AND NEW.assignment_status IN ('accepted', 'proposed')
+      AND auth.uid() = OLD.assigned_by)
+  ) THEN
+    RETURN NEW;
+  END IF;
+
+  NEW.assignment_status := OLD.assignment_status;
+  NEW.assignment_note := OLD.assignment_note;
+  NEW.counter_time_estimate := OLD.counter_time_estimate;
+  NEW.counter_due_date := OLD.counter_due_date;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER guard_tasks_assignment
+  BEFORE INSERT OR UPDATE ON tasks
+  FOR EACH ROW EXECUTE FUNCTION guard_task_assignment();
@@ -0,0 +1,102 @@
+-- ABOUTME: Works out the XP of each award on the server instead of taking it from the app
+-- A task award needs the user's completed task; an achievement award needs an unlocked achievement
+
+-- XP per achievement, kept in step with ACHIEVEMENTS in the app's AchievementModel
+CREATE TABLE achievement_xp (
+  achievement_id TEXT PRIMARY KEY CHECK (char_length(achievement_id) BETWEEN 1 AND 50),
+  xp INTEGER NOT NULL CHECK (xp BETWEEN 1 AND 10000)
+);
+
+INSERT INTO achievement_xp (achievement_id, xp) VALUES
+  ('first_task', 20),
+  ('tasks_10', 30),
+  ('tasks_50', 75),
+  ('streak_3', 30),
+  ('streak_7', 50),
+  ('streak_30', 150),
+  ('xp_100', 25),
+  ('xp_1000', 100),
+  ('estimates_5', 40),
+  ('breakdown_5', 40),
+  ('on_time_10', 50);
+
+ALTER TABLE achievement_xp ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone signed in views achievement XP" ON achievement_xp
+  FOR SELECT USING (auth.uid() IS NOT NULL);
+
+-- The app no longer says how much XP an award is worth
+DROP FUNCTION award_xp(TEXT, INTEGER);
+
+-- Award the signed-in user the XP for one source and return their new total.
+-- 'task:<id>' is worth the XP stored on a completed task the user did (the assignee of
+-- an assigned task, otherwise its owner); 'achievement:<id>' is worth the catalog XP of an
+-- achievement the user unlocked. A source already awarded changes nothing.
+CREATE OR REPLACE FUNCTION award_xp(p_source TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+  new_total INTEGER;
+  award INTEGER;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not signed in';
+  END IF;
+
+  -- Serialises awards from several devices
+  SELECT xp_total INTO new_total FROM users WHERE id = auth.uid() FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User not found';
+  END IF;
+
+  IF p_source ~ '^task:[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$' THEN
+    SELECT LEAST(xp_earned, 10000) INTO award
+    FROM tasks
+    WHERE id = substring(p_source FROM 6)::UUID
+      AND status = 'completed'
+      AND COALESCE(assigned_to, user_id) = auth.uid();
+  ELSIF p_source LIKE 'achievement:%' THEN
+    SELECT ax.xp INTO award
+    FROM achievement_xp ax
+    JOIN achievements_unlocked au ON au.achievement_id = ax.achievement_id
+    WHERE ax.achievement_id = substring(p_source FROM 13)
+      AND au.user_id = auth.uid();
+  END IF;
+
+  -- Not found yet may only mean the completion or unlock hasn't synced, so the app retries
+  IF COALESCE(award, 0) <= 0 THEN
+    RAISE EXCEPTION 'Nothing to award for %', p_source;
+  END IF;
+
+  INSERT INTO xp_awards (user_id, source, xp)
+  VALUES (auth.uid(), p_source, award)
+  ON CONFLICT (user_id, source) DO NOTHING;
+
+  IF FOUND THEN
+    PERFORM set_config('app.xp_award', 'on', true);
+    UPDATE users SET xp_total = COALESCE(xp_total, 0) + award
+    WHERE id = auth.uid()
+    RETURNING xp_total INTO new_total;
+    PERFORM set_config('app.xp_award', 'off', true);
+  END IF;
+
+  RETURN COALESCE(new_total, 0);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Awards the app could have made up are taken back: unknown sources and achievements
+-- outside the catalog, and achievement awards above the catalog XP are brought down to it.
+-- Task awards stay, since a reopened or deleted task keeps the XP it earned.
+DELETE FROM xp_awards
+WHERE source !~ '^task:[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$'
+  AND source NOT IN (SELECT 'achievement:' || achievement_id FROM achievement_xp);
+
+UPDATE xp_awards xa SET xp = ax.xp
+FROM achievement_xp ax
+WHERE xa.source = 'achievement:' || ax.achievement_id
+  AND xa.xp > ax.xp;
+
+ALTER TABLE users DISABLE TRIGGER users_protect_xp_total;
+UPDATE users SET xp_total = COALESCE(
+  (SELECT SUM(xp) FROM xp_awards WHERE xp_awards.user_id = users.id), 0
+);
+ALTER TABLE users ENABLE TRIGGER users_protect_xp_total;
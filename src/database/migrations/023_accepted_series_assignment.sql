@@ -0,0 +1,45 @@
+-- ABOUTME: The next instance of an assigned series the assignee accepted starts out accepted
+-- Whichever partner's device completes an instance spawns the next, so it isn't only the assignee's
+
+CREATE OR REPLACE FUNCTION guard_task_assignment()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    -- A task the assigner adds starts as a proposal, unless it's the next instance of a
+    -- series the same assignee already took on
+    NEW.assignment_status := CASE
+      WHEN NEW.assigned_by IS NULL THEN NULL
+      WHEN NEW.assignment_status = 'accepted' AND (
+        auth.uid() = NEW.assigned_to
+        OR EXISTS (
+          SELECT 1 FROM tasks series
+          WHERE NEW.series_id IS NOT NULL
+            AND (series.id = NEW.series_id OR series.series_id = NEW.series_id)
+            AND series.assigned_by = NEW.assigned_by
+            AND series.assigned_to = NEW.assigned_to
+            AND series.assignment_status = 'accepted'
+        )
+      ) THEN 'accepted'
+      ELSE 'proposed'
+    END;
+    RETURN NEW;
+  END IF;
+
+  IF NEW.assignment_status IS DISTINCT FROM OLD.assignment_status AND (
+    (OLD.assignment_status = 'proposed'
+      AND NEW.assignment_status IN ('accepted', 'declined', 'renegotiating')
+      AND auth.uid() = OLD.assigned_to)
+    OR (OLD.assignment_status = 'renegotiating'
+      AND NEW.assignment_status IN ('accepted', 'proposed')
+      AND auth.uid() = OLD.assigned_by)
+  ) THEN
+    RETURN NEW;
+  END IF;
+
+  NEW.assignment_status := OLD.assignment_status;
+  NEW.assignment_note := OLD.assignment_note;
+  NEW.counter_time_estimate := OLD.counter_time_estimate;
+  NEW.counter_due_date := OLD.counter_due_date;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
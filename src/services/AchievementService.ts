@@ -0,0 +1,292 @@
+// ABOUTME: Unlocks achievements as tasks change and keeps the unlock history in the achievements_unlocked table
+// Unlocks are saved on the device first and pushed through the offline queue; evaluating twice never unlocks twice
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { BaseService } from './BaseService';
+import { supabase } from './SupabaseService';
+import OfflineQueueManager from './OfflineQueueManager';
+import type { OfflineOperation } from './OfflineQueueManager';
+import LocalTaskStore from './LocalTaskStore';
+import RewardService from './RewardService';
+import type { Task } from '../types/task.types';
+import type {
+  AchievementDefinition,
+  AchievementProgress,
+  AchievementStats,
+  AchievementUnlock,
+} from '../types/achievement.types';
+import type { Result } from '../types/common.types';
+import {
+  findNewUnlocks,
+  getAchievement,
+  getAchievementProgress,
+  getAchievementStats,
+  mergeAchievementUnlocks,
+} from '../utils/AchievementModel';
+
+export const ACHIEVEMENT_OPERATIONS = {
+  UNLOCK: 'achievement_unlock',
+} as const;
+
+interface DbAchievementUnlock {
+  user_id: string;
+  achievement_id: string;
+  unlocked_at: string;
+}
+
+type UnlockListener = (achievements: AchievementDefinition[]) => void;
+
+class AchievementService extends BaseService {
+  private userId: string | null = null;
+  private unlocks = new Map<string, AchievementUnlock>();
+  // Unlocked while the user was watching and not yet seen
+  private announcements: AchievementDefinition[] = [];
+  private listeners = new Set<UnlockListener>();
+  private unlockListeners = new Set<UnlockListener>();
+  private unsubscribeStore: (() => void) | null = null;
+  private evaluation: Promise<AchievementDefinition[]> = Promise.resolve([]);
+
+  private readonly STORAGE_KEY_PREFIX = 'achievements_unlocked:';
+
+  constructor() {
+    super('Achievement');
+    OfflineQueueManager.registerProcessor(ACHIEVEMENT_OPERATIONS.UNLOCK, (operation) =>
+      this.pushUnlock(operation),
+    );
+  }
+
+  /**
+   * Load a user's unlocks and re-check achievements whenever their tasks
+   * change. Anything already earned before this is unlocked quietly.
+   */
+  async start(userId: string): Promise<void> {
+    if (this.userId !== userId) {
+      this.stop();
+      this.userId = userId;
+      await this.loadUnlocks(userId);
+    }
+
+    this.unsubscribeStore ??= LocalTaskStore.subscribe(() => {
+      void this.evaluate();
+    });
+
+    await this.evaluate({ announce: false });
+  }
+
+  stop(): void {
+    this.unsubscribeStore?.();
+    this.unsubscribeStore = null;
+    this.userId = null;
+    this.unlocks.clear();
+    this.announcements = [];
+    this.notify();
+  }
+
+  /**
+   * Unlock every achievement the user has reached. Runs one at a time, so
+   * task events arriving together can't record the same unlock twice.
+   */
+  evaluate({ announce = true }: { announce?: boolean } = {}): Promise<AchievementDefinition[]> {
+    const run = () => this.runEvaluation(announce);
+    this.evaluation = this.evaluation.then(run, run);
+    return this.evaluation;
+  }
+
+  /**
+   * Every achievement with the user's progress towards it, for the gallery
+   */
+  async getProgress(userId: string): Promise<Result<AchievementProgress[]>> {
+    return this.wrapAsync(
+      'getProgress',
+      async () => {
+        const unlocks =
+          this.userId === userId ? [...this.unlocks.values()] : await this.fetchUnlocks(userId);
+        return getAchievementProgress(await this.getStats(userId), unlocks ?? []);
+      },
+      { userId },
+    );
+  }
+
+  getUnlocks(): AchievementUnlock[] {
+    return [...this.unlocks.values()];
+  }
+
+  /**
+   * Listen for newly unlocked achievements the user hasn't seen yet. The
+   * listener is called right away.
+   */
+  subscribe(listener: UnlockListener): () => void {
+    this.listeners.add(listener);
+    listener(this.announcements);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Listen for every unlock, including quiet ones, e.g. to count the XP
+   * achievements are worth
+   */
+  onUnlock(listener: UnlockListener): () => void {
+    this.unlockListeners.add(listener);
+    return () => {
+      this.unlockListeners.delete(listener);
+    };
+  }
+
+  dismissAnnouncement(achievementId: string): void {
+    this.announcements = this.announcements.filter(
+      (achievement) => achievement.id !== achievementId,
+    );
+    this.notify();
+  }
+
+  private async runEvaluation(announce: boolean): Promise<AchievementDefinition[]> {
+    const userId = this.userId;
+    if (!userId) return [];
+
+    const result = await this.wrapAsync(
+      'evaluate',
+      async () => {
+        const unlocked = findNewUnlocks(await this.getStats(userId), this.unlocks.keys());
+        // The user may have signed out while the stats were loading
+        if (unlocked.length === 0 || this.userId !== userId) return [];
+
+        const unlockedAt = new Date();
+        for (const achievement of unlocked) {
+          this.unlocks.set(achievement.id, { achievementId: achievement.id, unlockedAt });
+        }
+        await this.persist(userId);
+
+        for (const achievement of unlocked) {
+          await OfflineQueueManager.addOperation(
+            ACHIEVEMENT_OPERATIONS.UNLOCK,
+            this.transformToDatabase(userId, { achievementId: achievement.id, unlockedAt }),
+            { priority: 'medium', maxRetries: 10, userId },
+          );
+        }
+
+        this.logger.info('Achievements unlocked', {
+          code: 'ACHIEVEMENT_001',
+          context: JSON.stringify({ userId, achievements: unlocked.map(({ id }) => id) }),
+        });
+
+        this.unlockListeners.forEach((listener) => {
+          listener(unlocked);
+        });
+
+        if (announce) {
+          this.announcements = [...this.announcements, ...unlocked];
+          this.notify();
+        }
+        return unlocked;
+      },
+      { userId },
+    );
+
+    return result.success && result.data ? result.data : [];
+  }
+
+  private async getStats(userId: string): Promise<AchievementStats> {
+    const streakResult = await RewardService.getStreakData(userId);
+    const streak = streakResult.success && streakResult.data ? streakResult.data : null;
+    const tasks = LocalTaskStore.getTasks().filter((task) => this.isDoneByUser(task, userId));
+    return getAchievementStats(tasks, {
+      bestStreak: Math.max(streak?.current ?? 0, streak?.best ?? 0),
+    });
+  }
+
+  private isDoneByUser(task: Task, userId: string): boolean {
+    return task.assignedTo ? task.assignedTo === userId : task.userId === userId;
+  }
+
+  // Unlocks from other devices are added to the ones saved here
+  private async loadUnlocks(userId: string): Promise<void> {
+    const local = await this.getStoredUnlocks(userId);
+    const remote = await this.fetchUnlocks(userId);
+    this.unlocks = new Map(
+      mergeAchievementUnlocks(local, remote ?? []).map((unlock) => [unlock.achievementId, unlock]),
+    );
+    await this.persist(userId);
+  }
+
+  // Null when Supabase can't be reached
+  private async fetchUnlocks(userId: string): Promise<AchievementUnlock[] | null> {
+    try {
+      const { data, error } = await supabase
+        .from('achievements_unlocked')
+        .select('*')
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      return ((data ?? []) as DbAchievementUnlock[])
+        .filter((row) => getAchievement(row.achievement_id))
+        .map((row) => this.transformDbUnlock(row));
+    } catch (error) {
+      this.logger.warn('Using saved achievements, fetch failed', {
+        code: 'ACHIEVEMENT_002',
+        context: JSON.stringify({ userId, message: (error as Error).message }),
+      });
+      return null;
+    }
+  }
+
+  private async pushUnlock(operation: OfflineOperation): Promise<void> {
+    // Another device may have unlocked it first; its earlier unlocked_at wins
+    const { error } = await supabase
+      .from('achievements_unlocked')
+      .upsert(operation.data as DbAchievementUnlock, {
+        onConflict: 'user_id,achievement_id',
+        ignoreDuplicates: true,
+      });
+
+    if (error) {
+      throw new Error(`Failed to sync achievement: ${error.message}`);
+    }
+  }
+
+  private transformDbUnlock(row: DbAchievementUnlock): AchievementUnlock {
+    return { achievementId: row.achievement_id, unlockedAt: new Date(row.unlocked_at) };
+  }
+
+  private transformToDatabase(userId: string, unlock: AchievementUnlock): DbAchievementUnlock {
+    return {
+      user_id: userId,
+      achievement_id: unlock.achievementId,
+      unlocked_at: unlock.unlockedAt.toISOString(),
+    };
+  }
+
+  private async getStoredUnlocks(userId: string): Promise<AchievementUnlock[]> {
+    try {
+      const raw = await AsyncStorage.getItem(`${this.STORAGE_KEY_PREFIX}${userId}`);
+      if (!raw) return [];
+      return (JSON.parse(raw) as DbAchievementUnlock[]).map((row) => this.transformDbUnlock(row));
+    } catch {
+      return [];
+    }
+  }
+
+  private async persist(userId: string): Promise<void> {
+    try {
+      await AsyncStorage.setItem(
+        `${this.STORAGE_KEY_PREFIX}${userId}`,
+        JSON.stringify(
+          [...this.unlocks.values()].map((unlock) => this.transformToDatabase(userId, unlock)),
+        ),
+      );
+    } catch (error) {
+      this.logError('persist', error, { userId });
+    }
+  }
+
+  private notify(): void {
+    this.listeners.forEach((listener) => {
+      listener(this.announcements);
+    });
+  }
+}
+
+export default new AchievementService();
+export { AchievementService };
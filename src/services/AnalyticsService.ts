@@ -0,0 +1,40 @@
+// ABOUTME: Productivity insights for the current user, computed from the tasks stored on the device
+// Works offline and never queries Supabase; the aggregation itself lives in InsightsModel
+
+import { BaseService } from './BaseService';
+import LocalTaskStore from './LocalTaskStore';
+import type { Task } from '../types/task.types';
+import type { Result } from '../types/common.types';
+import { computeInsights } from '../utils/InsightsModel';
+import type { InsightsOptions, ProductivityInsights } from '../utils/InsightsModel';
+
+class AnalyticsService extends BaseService {
+  constructor() {
+    super('Analytics');
+  }
+
+  /**
+   * Insights over the tasks the user does themselves: their own tasks and
+   * ones a partner assigned to them, but not ones they handed to a partner
+   */
+  async getInsights(
+    userId: string,
+    options: InsightsOptions = {},
+  ): Promise<Result<ProductivityInsights>> {
+    return this.wrapAsync(
+      'getInsights',
+      () => {
+        const tasks = LocalTaskStore.getTasks().filter((task) => this.isDoneByUser(task, userId));
+        return Promise.resolve(computeInsights(tasks, options));
+      },
+      { userId },
+    );
+  }
+
+  private isDoneByUser(task: Task, userId: string): boolean {
+    return task.assignedTo ? task.assignedTo === userId : task.userId === userId;
+  }
+}
+
+export default new AnalyticsService();
+export { AnalyticsService };
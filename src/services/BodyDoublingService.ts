@@ -0,0 +1,379 @@
+// ABOUTME: Body doubling sessions where the ADHD user and their partner focus together over a realtime channel
+// Shares who is in the session and what they work on, one Pomodoro countdown and quick reactions
+
+import type { RealtimeChannel } from '@supabase/supabase-js';
+import { BaseService } from './BaseService';
+import { supabase } from './SupabaseService';
+import PresenceService from './PresenceService';
+import NotificationService from './NotificationService';
+import { systemClock } from './Clock';
+import type { Clock, ClockTimer } from './Clock';
+import { NOTIFICATION_TYPES } from '../constants/UserConstants';
+import type { Partnership, User } from '../types/user.types';
+import type { Result } from '../types/common.types';
+import type {
+  BodyDoublingParticipant,
+  BodyDoublingReaction,
+  BodyDoublingSnapshot,
+  SharedTimer,
+} from '../types/bodyDoubling.types';
+import {
+  MAX_REACTIONS,
+  createSharedTimer,
+  generateSessionId,
+  getSharedTimeLeft,
+  pauseSharedTimer,
+  pickNewerTimer,
+  resetSharedTimer,
+  settleSharedTimer,
+  startSharedTimer,
+} from '../utils/BodyDoublingModel';
+
+export interface BodyDoublingTask {
+  id: string;
+  title: string;
+}
+
+// What each participant tracks on the session channel
+interface SessionPresence {
+  userId: string;
+  name: string;
+  taskTitle: string | null;
+  joinedAt: number;
+  timer: SharedTimer | null; // Lets someone joining late pick up the countdown
+}
+
+type SnapshotListener = (snapshot: BodyDoublingSnapshot) => void;
+
+class BodyDoublingService extends BaseService {
+  private clock: Clock = systemClock;
+  private channel: RealtimeChannel | null = null;
+  private sessionId: string | null = null;
+  private self: SessionPresence | null = null;
+  private task: BodyDoublingTask | null = null;
+  private participants = new Map<string, BodyDoublingParticipant>();
+  private timer: SharedTimer | null = null;
+  private reactions: BodyDoublingReaction[] = [];
+  private listeners = new Set<SnapshotListener>();
+  private tick: ClockTimer | null = null;
+
+  constructor() {
+    super('BodyDoubling');
+  }
+
+  /**
+   * Swap the clock used for the countdown (tests use a FakeClock)
+   */
+  setClock(clock: Clock): void {
+    this.clearTick();
+    this.clock = clock;
+    this.armTick();
+  }
+
+  /**
+   * Start a session and invite the partner into it. Only the ADHD user sends invites.
+   */
+  async invitePartner(
+    partnership: Partnership,
+    user: Pick<User, 'id' | 'name'>,
+    task: BodyDoublingTask | null = null,
+  ): Promise<Result<string>> {
+    return this.wrapAsync(
+      'invitePartner',
+      async () => {
+        if (partnership.adhdUserId !== user.id || !partnership.partnerId) {
+          throw new Error('Only the ADHD partner can start body doubling');
+        }
+
+        const sessionId = generateSessionId();
+        const joined = await this.join(sessionId, user, task);
+        if (!joined.success) {
+          throw new Error(joined.error?.message ?? 'Could not start the session');
+        }
+
+        const sent = await NotificationService.sendNotification(
+          partnership.partnerId,
+          NOTIFICATION_TYPES.BODY_DOUBLING_INVITE,
+          { sessionId, fromUserId: user.id, fromUserName: user.name, taskTitle: task?.title },
+        );
+        if (!sent.success) {
+          await this.leave();
+          throw new Error(sent.error?.message ?? 'Could not invite your partner');
+        }
+
+        return sessionId;
+      },
+      { partnershipId: partnership.id, userId: user.id },
+    );
+  }
+
+  /**
+   * Join a session, leaving any other one first
+   */
+  async join(
+    sessionId: string,
+    user: Pick<User, 'id' | 'name'>,
+    task: BodyDoublingTask | null = null,
+  ): Promise<Result<void>> {
+    return this.wrapAsync(
+      'join',
+      async () => {
+        if (this.sessionId === sessionId && this.channel) return;
+        await this.leave();
+
+        const now = this.clock.now();
+        this.sessionId = sessionId;
+        this.task = task;
+        this.timer = createSharedTimer(user.id, 0); // Loses to any timer already in the session
+        this.self = {
+          userId: user.id,
+          name: user.name,
+          taskTitle: task?.title ?? null,
+          joinedAt: now,
+          timer: this.timer,
+        };
+        this.participants.set(user.id, this.toParticipant(this.self));
+
+        const channel = supabase.channel(`body-doubling:${sessionId}`, {
+          config: { presence: { key: user.id }, broadcast: { self: false } },
+        });
+        this.channel = channel;
+
+        channel
+          .on('presence', { event: 'sync' }, () => {
+            this.handlePresenceSync();
+          })
+          .on('broadcast', { event: 'timer' }, ({ payload }) => {
+            this.receiveTimer(payload as SharedTimer);
+          })
+          .on('broadcast', { event: 'reaction' }, ({ payload }) => {
+            this.addReaction(payload as BodyDoublingReaction);
+          })
+          .subscribe((status) => {
+            if (status === 'SUBSCRIBED') {
+              void this.trackSelf();
+            }
+          });
+
+        await this.updateGlobalPresence();
+
+        this.logger.info('Joined body doubling session', {
+          code: 'BODY_DOUBLING_001',
+          context: JSON.stringify({ sessionId, userId: user.id }),
+        });
+        this.notify();
+      },
+      { sessionId, userId: user.id },
+    );
+  }
+
+  /**
+   * Leave the session. Anyone else in it carries on with the same countdown.
+   */
+  async leave(): Promise<Result<void>> {
+    return this.wrapAsync('leave', async () => {
+      const channel = this.channel;
+      const wasInSession = this.sessionId !== null;
+
+      this.clearTick();
+      this.channel = null;
+      this.sessionId = null;
+      this.self = null;
+      this.task = null;
+      this.timer = null;
+      this.participants.clear();
+      this.reactions = [];
+
+      if (channel) {
+        await channel.untrack();
+        await channel.unsubscribe();
+      }
+      if (wasInSession) {
+        await PresenceService.updatePresence('online');
+        this.notify();
+      }
+    });
+  }
+
+  /**
+   * Show the partner which task this user is working on now
+   */
+  async setCurrentTask(task: BodyDoublingTask | null): Promise<void> {
+    if (!this.self) return;
+
+    this.task = task;
+    this.self = { ...this.self, taskTitle: task?.title ?? null };
+    this.participants.set(this.self.userId, this.toParticipant(this.self));
+    this.notify();
+
+    await Promise.all([this.trackSelf(), this.updateGlobalPresence()]);
+  }
+
+  async startTimer(): Promise<void> {
+    await this.changeTimer(startSharedTimer);
+  }
+
+  async pauseTimer(): Promise<void> {
+    await this.changeTimer(pauseSharedTimer);
+  }
+
+  async resetTimer(): Promise<void> {
+    await this.changeTimer(resetSharedTimer);
+  }
+
+  async sendReaction(emoji: string): Promise<void> {
+    if (!this.channel || !this.self) return;
+
+    const now = this.clock.now();
+    const reaction: BodyDoublingReaction = {
+      id: `${this.self.userId}_${now}_${Math.random().toString(36).substring(2, 7)}`,
+      fromUserId: this.self.userId,
+      emoji,
+      sentAt: now,
+    };
+    this.addReaction(reaction);
+
+    await this.channel.send({ type: 'broadcast', event: 'reaction', payload: reaction });
+  }
+
+  getSnapshot(): BodyDoublingSnapshot {
+    const now = this.clock.now();
+    const timer = this.timer ? settleSharedTimer(this.timer, now) : null;
+
+    return {
+      sessionId: this.sessionId,
+      // Same order on every device, even for people who joined in the same millisecond
+      participants: Array.from(this.participants.values()).sort(
+        (a, b) => a.joinedAt - b.joinedAt || a.userId.localeCompare(b.userId),
+      ),
+      timer,
+      timeLeft: timer ? getSharedTimeLeft(timer, now) : 0,
+      reactions: [...this.reactions],
+    };
+  }
+
+  /**
+   * Listen for every tick and change in the session. The listener is called right away.
+   */
+  subscribe(listener: SnapshotListener): () => void {
+    this.listeners.add(listener);
+    listener(this.getSnapshot());
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  private async changeTimer(
+    change: (timer: SharedTimer, userId: string, now: number) => SharedTimer,
+  ): Promise<void> {
+    if (!this.channel || !this.self || !this.timer) return;
+
+    this.timer = change(this.timer, this.self.userId, this.clock.now());
+    this.notify();
+    this.armTick();
+
+    await Promise.all([
+      this.channel.send({ type: 'broadcast', event: 'timer', payload: this.timer }),
+      this.trackSelf(),
+    ]);
+  }
+
+  private receiveTimer(incoming: SharedTimer | null): void {
+    const newer = pickNewerTimer(this.timer, incoming);
+    if (newer === this.timer) return;
+
+    this.timer = newer;
+    this.notify();
+    this.armTick();
+    void this.trackSelf();
+  }
+
+  private addReaction(reaction: BodyDoublingReaction): void {
+    if (this.reactions.some(({ id }) => id === reaction.id)) return;
+
+    this.reactions = [...this.reactions, reaction].slice(-MAX_REACTIONS);
+    this.notify();
+  }
+
+  private handlePresenceSync(): void {
+    if (!this.channel || !this.self) return;
+
+    const state = this.channel.presenceState();
+    const participants = new Map<string, BodyDoublingParticipant>();
+    participants.set(this.self.userId, this.toParticipant(this.self));
+    let timer = this.timer;
+
+    for (const presences of Object.values(state)) {
+      const latest = presences[presences.length - 1] as unknown as SessionPresence | undefined;
+      if (!latest?.userId) continue;
+
+      if (latest.userId !== this.self.userId) {
+        participants.set(latest.userId, this.toParticipant(latest));
+      }
+      timer = pickNewerTimer(timer, latest.timer);
+    }
+
+    this.participants = participants;
+    if (timer === this.timer) {
+      this.notify();
+    } else {
+      this.receiveTimer(timer);
+    }
+  }
+
+  private async trackSelf(): Promise<void> {
+    if (!this.channel || !this.self) return;
+
+    this.self = { ...this.self, timer: this.timer };
+    await this.channel.track({ ...this.self });
+  }
+
+  // Partners outside the session see it in the usual presence activity too
+  private async updateGlobalPresence(): Promise<void> {
+    await PresenceService.updatePresence('online', this.task?.id, {
+      workingOn: this.task ? `Body doubling: ${this.task.title}` : 'Body doubling',
+    });
+  }
+
+  private toParticipant(presence: SessionPresence): BodyDoublingParticipant {
+    return {
+      userId: presence.userId,
+      name: presence.name,
+      taskTitle: presence.taskTitle,
+      joinedAt: presence.joinedAt,
+    };
+  }
+
+  private notify(): void {
+    const snapshot = this.getSnapshot();
+    this.listeners.forEach((listener) => {
+      listener(snapshot);
+    });
+  }
+
+  // Tick on each whole second of time left so the display never skips a number
+  private armTick(): void {
+    this.clearTick();
+
+    const endsAt = this.timer ? settleSharedTimer(this.timer, this.clock.now()).endsAt : null;
+    if (endsAt == null) return;
+
+    const remainingMs = Math.max(0, endsAt - this.clock.now());
+    const delay = remainingMs % 1000 || Math.min(1000, remainingMs);
+    this.tick = this.clock.setTimeout(() => {
+      this.tick = null;
+      this.notify();
+      this.armTick();
+    }, delay);
+  }
+
+  private clearTick(): void {
+    if (this.tick !== null) {
+      this.clock.clearTimeout(this.tick);
+      this.tick = null;
+    }
+  }
+}
+
+export default new BodyDoublingService();
+export { BodyDoublingService };
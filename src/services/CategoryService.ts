@@ -0,0 +1,178 @@
+// ABOUTME: Stores each user's task categories in Supabase with an on-device copy for offline use
+// Deleting a category moves its tasks to another category both locally and on the server
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from './SupabaseService';
+import { BaseService } from './BaseService';
+import LocalTaskStore from './LocalTaskStore';
+import type { TaskCategory, TaskPriority } from '../types/task.types';
+import type { Result } from '../types/common.types';
+import { DEFAULT_CATEGORIES, reassignCategoryTasks, sortCategories } from '../utils/CategoryModel';
+
+interface DbCategory {
+  id: string;
+  user_id: string;
+  label: string;
+  color: string;
+  icon: string;
+  default_time_estimate: number | null;
+  default_priority: string | null;
+  sort_order: number;
+}
+
+class CategoryService extends BaseService {
+  private readonly STORAGE_KEY_PREFIX = 'categories:';
+
+  constructor() {
+    super('Category');
+  }
+
+  private transformDbCategory(dbCategory: DbCategory): TaskCategory {
+    return {
+      id: dbCategory.id,
+      label: dbCategory.label,
+      color: dbCategory.color,
+      icon: dbCategory.icon,
+      defaultTimeEstimate: dbCategory.default_time_estimate,
+      defaultPriority: (dbCategory.default_priority as TaskPriority | null) ?? null,
+      sortOrder: dbCategory.sort_order,
+    };
+  }
+
+  private transformToDatabase(userId: string, category: TaskCategory): DbCategory {
+    return {
+      id: category.id,
+      user_id: userId,
+      label: category.label.trim(),
+      color: category.color,
+      icon: category.icon,
+      default_time_estimate: category.defaultTimeEstimate ?? null,
+      default_priority: category.defaultPriority ?? null,
+      sort_order: category.sortOrder ?? 0,
+    };
+  }
+
+  /**
+   * Categories saved on this device for the user, if any
+   */
+  async getCachedCategories(userId: string): Promise<TaskCategory[] | null> {
+    try {
+      const raw = await AsyncStorage.getItem(`${this.STORAGE_KEY_PREFIX}${userId}`);
+      return raw ? (JSON.parse(raw) as TaskCategory[]) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  private async cacheCategories(userId: string, categories: TaskCategory[]): Promise<void> {
+    await AsyncStorage.setItem(`${this.STORAGE_KEY_PREFIX}${userId}`, JSON.stringify(categories));
+  }
+
+  /**
+   * The user's categories in display order. Falls back to the copy on this
+   * device, then to the built-in categories, when Supabase can't be reached.
+   */
+  async getCategories(userId: string): Promise<Result<TaskCategory[]>> {
+    return this.wrapAsync(
+      'getCategories',
+      async () => {
+        const { data, error } = await supabase
+          .from('categories')
+          .select('*')
+          .eq('user_id', userId)
+          .order('sort_order', { ascending: true });
+
+        if (error) {
+          this.logger.warn('Using saved categories, fetch failed', {
+            code: 'CATEGORY_001',
+            context: JSON.stringify({ userId, message: error.message }),
+          });
+          return (await this.getCachedCategories(userId)) ?? DEFAULT_CATEGORIES;
+        }
+
+        const categories = sortCategories(
+          ((data ?? []) as DbCategory[]).map((row) => this.transformDbCategory(row)),
+        );
+        await this.cacheCategories(userId, categories);
+        return categories;
+      },
+      { userId },
+    );
+  }
+
+  /**
+   * Create or update a category
+   */
+  async saveCategory(userId: string, category: TaskCategory): Promise<Result<TaskCategory>> {
+    return this.wrapAsync(
+      'saveCategory',
+      async () => {
+        const { error } = await supabase
+          .from('categories')
+          .upsert(this.transformToDatabase(userId, category), { onConflict: 'user_id,id' });
+
+        if (error) throw error;
+
+        const cached = (await this.getCachedCategories(userId)) ?? [];
+        await this.cacheCategories(
+          userId,
+          sortCategories([...cached.filter((existing) => existing.id !== category.id), category]),
+        );
+        return category;
+      },
+      { userId, categoryId: category.id },
+    );
+  }
+
+  /**
+   * Delete a category and move its tasks to `reassignTo`, or leave them
+   * uncategorized when it's null
+   */
+  async deleteCategory(
+    userId: string,
+    categoryId: string,
+    reassignTo: string | null,
+  ): Promise<Result<number>> {
+    return this.wrapAsync(
+      'deleteCategory',
+      async () => {
+        if (categoryId === reassignTo) {
+          throw new Error('Cannot move tasks to the category being deleted');
+        }
+
+        const rpcResult = await supabase.rpc('delete_category', {
+          target_category_id: categoryId,
+          reassign_to_category_id: reassignTo,
+        });
+
+        if (rpcResult.error) {
+          throw new Error(`Failed to delete category: ${rpcResult.error.message}`);
+        }
+
+        // The server already moved its copies; this keeps the local store (and
+        // any unsynced edits) from putting the old category back
+        const movedTasks = reassignCategoryTasks(LocalTaskStore.getTasks(), categoryId, reassignTo);
+        for (const task of movedTasks) {
+          await LocalTaskStore.updateTask(task);
+        }
+
+        const cached = (await this.getCachedCategories(userId)) ?? [];
+        await this.cacheCategories(
+          userId,
+          cached.filter((category) => category.id !== categoryId),
+        );
+
+        this.logger.info('Category deleted', {
+          code: 'CATEGORY_002',
+          context: JSON.stringify({ categoryId, reassignTo, movedTasks: movedTasks.length }),
+        });
+
+        return (rpcResult.data as number | null) ?? movedTasks.length;
+      },
+      { userId, categoryId, reassignTo },
+    );
+  }
+}
+
+export default new CategoryService();
+export { CategoryService };
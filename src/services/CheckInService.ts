@@ -0,0 +1,432 @@
+// ABOUTME: Structured partner check-ins stored in Supabase: schedules, sending due check-ins and responses
+// The partner schedules recurring check-ins, the ADHD user's app sends them when due and stores the answers
+
+import { AppState } from 'react-native';
+import type { AppStateStatus } from 'react-native';
+import { supabase } from './SupabaseService';
+import { BaseService } from './BaseService';
+import NotificationService from './NotificationService';
+import PartnershipService from './PartnershipService';
+import UserStorageService from './UserStorageService';
+import { systemClock } from './Clock';
+import type { Clock, ClockTimer } from './Clock';
+import { NOTIFICATION_TYPES } from '../constants/UserConstants';
+import type { Partnership } from '../types';
+import type { Result } from '../types/common.types';
+import type {
+  CheckInFrequency,
+  CheckInResponse,
+  CheckInResponseInput,
+  CheckInSchedule,
+  CheckInScheduleInput,
+} from '../types/checkIn.types';
+import {
+  DEFAULT_CHECK_IN_PROMPT,
+  getNextCheckInTime,
+  validateCheckInResponse,
+  validateCheckInSchedule,
+} from '../utils/CheckInModel';
+
+export const CHECK_IN_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+export const MAX_CHECK_IN_HISTORY = 100;
+
+interface DbCheckInSchedule {
+  id: string;
+  partnership_id: string;
+  created_by: string;
+  frequency: string;
+  day_of_week: number | null;
+  time_of_day: string;
+  time_zone: string | null;
+  prompt: string | null;
+  active: boolean;
+  next_due_at: string;
+  created_at: string;
+}
+
+interface DbCheckInResponse {
+  id: string;
+  partnership_id: string;
+  schedule_id: string | null;
+  user_id: string;
+  mood: number;
+  energy: number;
+  blockers: string[] | null;
+  note: string | null;
+  responded_at: string;
+}
+
+class CheckInService extends BaseService {
+  private clock: Clock = systemClock;
+  private userId: string | null = null;
+  private timer: ClockTimer | null = null;
+  private inFlight: Promise<number> | null = null;
+  private appStateSubscription: { remove: () => void } | null = null;
+
+  constructor() {
+    super('CheckIn');
+  }
+
+  /**
+   * Swap the clock used for timing (tests use a FakeClock)
+   */
+  setClock(clock: Clock): void {
+    this.clearTimer();
+    this.clock = clock;
+    if (this.userId) {
+      this.scheduleNextSweep();
+    }
+  }
+
+  /**
+   * Send due check-ins now, every few minutes and whenever the app comes back to the foreground
+   */
+  start(userId: string): void {
+    if (this.userId === userId) {
+      return;
+    }
+
+    this.stop();
+    this.userId = userId;
+
+    this.appStateSubscription = AppState.addEventListener('change', (state: AppStateStatus) => {
+      if (state === 'active') {
+        void this.sendDueCheckIns();
+      }
+    });
+
+    void this.sendDueCheckIns();
+    this.scheduleNextSweep();
+  }
+
+  stop(): void {
+    this.clearTimer();
+    this.appStateSubscription?.remove();
+    this.appStateSubscription = null;
+    this.userId = null;
+  }
+
+  /**
+   * Sends the ADHD user any scheduled check-ins that have come due and returns how many
+   * went out. Overlapping calls share one run.
+   */
+  sendDueCheckIns(): Promise<number> {
+    this.inFlight ??= this.runSweep().finally(() => {
+      this.inFlight = null;
+    });
+    return this.inFlight;
+  }
+
+  private transformDbSchedule(row: DbCheckInSchedule): CheckInSchedule {
+    return {
+      id: row.id,
+      partnershipId: row.partnership_id,
+      createdBy: row.created_by,
+      frequency: row.frequency as CheckInFrequency,
+      dayOfWeek: row.day_of_week,
+      timeOfDay: row.time_of_day,
+      timeZone: row.time_zone,
+      prompt: row.prompt,
+      active: row.active,
+      nextDueAt: new Date(row.next_due_at),
+      createdAt: new Date(row.created_at),
+    };
+  }
+
+  private transformDbResponse(row: DbCheckInResponse): CheckInResponse {
+    return {
+      id: row.id,
+      partnershipId: row.partnership_id,
+      scheduleId: row.schedule_id,
+      userId: row.user_id,
+      mood: row.mood,
+      energy: row.energy,
+      blockers: row.blockers ?? [],
+      note: row.note,
+      respondedAt: new Date(row.responded_at),
+    };
+  }
+
+  /**
+   * Active check-in schedules for the partnership, soonest first
+   */
+  async getSchedules(partnershipId: string): Promise<Result<CheckInSchedule[]>> {
+    return this.wrapAsync(
+      'getSchedules',
+      async () => {
+        const { data, error } = await supabase
+          .from('check_in_schedules')
+          .select('*')
+          .eq('partnership_id', partnershipId)
+          .eq('active', true)
+          .order('next_due_at', { ascending: true });
+
+        if (error) throw error;
+        return ((data ?? []) as DbCheckInSchedule[]).map((row) => this.transformDbSchedule(row));
+      },
+      { partnershipId },
+    );
+  }
+
+  async createSchedule(
+    partnership: Partnership,
+    userId: string,
+    input: CheckInScheduleInput,
+  ): Promise<Result<CheckInSchedule>> {
+    return this.wrapAsync(
+      'createSchedule',
+      async () => {
+        if (partnership.partnerId !== userId) {
+          throw new Error('Only your partner can schedule check-ins');
+        }
+        if (!partnership.settings.allowCheckIns) {
+          throw new Error('Check-ins are turned off for this partnership');
+        }
+
+        const validation = validateCheckInSchedule(input);
+        if (!validation.isValid) {
+          throw new Error(validation.errors[0]);
+        }
+
+        const dayOfWeek = input.frequency === 'weekly' ? (input.dayOfWeek ?? null) : null;
+        const prompt = input.prompt?.trim() ?? '';
+        // The time is kept on the ADHD user's clock, since their app sends the check-ins
+        const adhdUser = partnership.adhdUserId
+          ? await UserStorageService.getUserById(partnership.adhdUserId)
+          : null;
+        const timeZone = input.timeZone ?? adhdUser?.timeZone ?? this.getDeviceTimeZone();
+        const nextDueAt = getNextCheckInTime(
+          { ...input, dayOfWeek, timeZone },
+          new Date(this.clock.now()),
+        );
+
+        const { data, error } = await supabase
+          .from('check_in_schedules')
+          .insert({
+            partnership_id: partnership.id,
+            created_by: userId,
+            frequency: input.frequency,
+            day_of_week: dayOfWeek,
+            time_of_day: input.timeOfDay,
+            time_zone: timeZone,
+            prompt: prompt.length > 0 ? prompt : null,
+            next_due_at: nextDueAt.toISOString(),
+          })
+          .select()
+          .single<DbCheckInSchedule>();
+
+        if (error) throw error;
+        return this.transformDbSchedule(data);
+      },
+      { partnershipId: partnership.id, userId },
+    );
+  }
+
+  /**
+   * Stops a schedule; answers already given keep their history
+   */
+  async cancelSchedule(scheduleId: string): Promise<Result<boolean>> {
+    return this.wrapAsync(
+      'cancelSchedule',
+      async () => {
+        const { error } = await supabase
+          .from('check_in_schedules')
+          .update({ active: false })
+          .eq('id', scheduleId);
+
+        if (error) throw error;
+        return true;
+      },
+      { scheduleId },
+    );
+  }
+
+  /**
+   * The partnership's most recent check-in answers, newest first
+   */
+  async getResponses(partnershipId: string): Promise<Result<CheckInResponse[]>> {
+    return this.wrapAsync(
+      'getResponses',
+      async () => {
+        const { data, error } = await supabase
+          .from('check_in_responses')
+          .select('*')
+          .eq('partnership_id', partnershipId)
+          .order('responded_at', { ascending: false })
+          .limit(MAX_CHECK_IN_HISTORY);
+
+        if (error) throw error;
+        return ((data ?? []) as DbCheckInResponse[]).map((row) => this.transformDbResponse(row));
+      },
+      { partnershipId },
+    );
+  }
+
+  /**
+   * Stores the ADHD user's answer, counts it in the partnership stats and lets the partner know
+   */
+  async respond(
+    partnership: Partnership,
+    userId: string,
+    input: CheckInResponseInput,
+  ): Promise<Result<CheckInResponse>> {
+    return this.wrapAsync(
+      'respond',
+      async () => {
+        if (partnership.adhdUserId !== userId || !partnership.partnerId) {
+          throw new Error('Only the ADHD partner answers check-ins');
+        }
+
+        const validation = validateCheckInResponse(input);
+        if (!validation.isValid) {
+          throw new Error(validation.errors[0]);
+        }
+
+        const note = input.note?.trim() ?? '';
+        const { data, error } = await supabase
+          .from('check_in_responses')
+          .insert({
+            partnership_id: partnership.id,
+            schedule_id: input.scheduleId ?? null,
+            user_id: userId,
+            mood: input.mood,
+            energy: input.energy,
+            blockers: input.blockers ?? [],
+            note: note.length > 0 ? note : null,
+          })
+          .select()
+          .single<DbCheckInResponse>();
+
+        if (error) throw error;
+        const response = this.transformDbResponse(data);
+
+        // The answer stands even if the stat or the notification can't be updated right now
+        await PartnershipService.incrementPartnershipStat(partnership.id, 'checkInsCompleted');
+
+        const user = await UserStorageService.getUserById(userId);
+        await NotificationService.sendNotification(
+          partnership.partnerId,
+          NOTIFICATION_TYPES.CHECK_IN_RESPONSE,
+          {
+            responseId: response.id,
+            scheduleId: response.scheduleId,
+            mood: response.mood,
+            energy: response.energy,
+            fromUserId: userId,
+            fromUserName: user?.name ?? 'Your partner',
+          },
+        );
+
+        return response;
+      },
+      { partnershipId: partnership.id, userId, scheduleId: input.scheduleId ?? null },
+    );
+  }
+
+  private async runSweep(): Promise<number> {
+    const userId = this.userId;
+    if (!userId) {
+      return 0;
+    }
+
+    const result = await this.wrapAsync(
+      'sendDueCheckIns',
+      async () => {
+        const partnershipResult = await PartnershipService.getActivePartnership(userId);
+        const partnership = partnershipResult.success ? partnershipResult.data : null;
+        // Check-ins are for the ADHD user, so only their app sends them
+        if (
+          !partnership ||
+          partnership.adhdUserId !== userId ||
+          !partnership.settings.allowCheckIns
+        ) {
+          return 0;
+        }
+
+        const schedulesResult = await this.getSchedules(partnership.id);
+        if (!schedulesResult.success) {
+          throw new Error(schedulesResult.error?.message ?? 'Could not load check-in schedules');
+        }
+
+        const now = new Date(this.clock.now());
+        let sent = 0;
+
+        for (const schedule of schedulesResult.data ?? []) {
+          if (schedule.nextDueAt.getTime() > now.getTime()) {
+            continue;
+          }
+          if (!(await this.claimDueCheckIn(schedule, now))) {
+            continue;
+          }
+
+          // Quiet hours and notification preferences are applied by the notification itself
+          const notified = await NotificationService.sendCheckIn(
+            schedule.createdBy,
+            userId,
+            schedule.prompt ?? DEFAULT_CHECK_IN_PROMPT,
+            schedule.id,
+          );
+          if (notified.success && notified.data) {
+            sent++;
+          }
+        }
+
+        if (sent > 0) {
+          this.logger.info(`Sent ${sent} scheduled check-ins`, {
+            code: 'CHECK_IN_001',
+            context: JSON.stringify({ partnershipId: partnership.id, sent }),
+          });
+        }
+
+        return sent;
+      },
+      { userId },
+    );
+
+    return result.success && result.data ? result.data : 0;
+  }
+
+  /**
+   * Moves the schedule on to its next time, but only if nobody else already did.
+   * That way a check-in goes out once even when several devices sweep at the same moment.
+   */
+  private async claimDueCheckIn(schedule: CheckInSchedule, now: Date): Promise<boolean> {
+    const nextDueAt = getNextCheckInTime(schedule, now);
+    const { data, error } = await supabase
+      .from('check_in_schedules')
+      .update({ next_due_at: nextDueAt.toISOString() })
+      .eq('id', schedule.id)
+      .eq('next_due_at', schedule.nextDueAt.toISOString())
+      .select('id');
+
+    if (error) throw error;
+    return (data ?? []).length > 0;
+  }
+
+  private getDeviceTimeZone(): string | null {
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  private scheduleNextSweep(): void {
+    this.clearTimer();
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      void this.sendDueCheckIns();
+      this.scheduleNextSweep();
+    }, CHECK_IN_SWEEP_INTERVAL_MS);
+  }
+
+  private clearTimer(): void {
+    if (this.timer !== null) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export default new CheckInService();
+export { CheckInService };
@@ -0,0 +1,80 @@
+// ABOUTME: Pluggable clock used by services that schedule work for a point in time
+// Ships the system clock and a deterministic fake that tests advance by hand
+
+export type ClockTimer = unknown;
+
+export interface Clock {
+  now(): number;
+  setTimeout(callback: () => void, delay: number): ClockTimer;
+  clearTimeout(timer: ClockTimer): void;
+}
+
+export const systemClock: Clock = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: (timer) => {
+    clearTimeout(timer as ReturnType<typeof setTimeout>);
+  },
+};
+
+interface FakeTimer {
+  id: number;
+  callback: () => void;
+  dueAt: number;
+}
+
+/**
+ * Clock whose time only moves when a test advances it. Timers run in due
+ * order and see now() at their own due time, like real timers would.
+ */
+export class FakeClock implements Clock {
+  private currentTime: number;
+  private timers: FakeTimer[] = [];
+  private nextId = 1;
+
+  constructor(start: Date | number = 0) {
+    this.currentTime = typeof start === 'number' ? start : start.getTime();
+  }
+
+  now(): number {
+    return this.currentTime;
+  }
+
+  setTimeout(callback: () => void, delay: number): ClockTimer {
+    const timer = { id: this.nextId++, callback, dueAt: this.currentTime + Math.max(0, delay) };
+    this.timers.push(timer);
+    return timer.id;
+  }
+
+  clearTimeout(timer: ClockTimer): void {
+    this.timers = this.timers.filter((pending) => pending.id !== timer);
+  }
+
+  /**
+   * Move time forward, running every timer that comes due on the way
+   */
+  advance(ms: number): void {
+    this.advanceTo(this.currentTime + ms);
+  }
+
+  advanceTo(time: Date | number): void {
+    const target = typeof time === 'number' ? time : time.getTime();
+
+    for (;;) {
+      const next = this.timers
+        .filter((timer) => timer.dueAt <= target)
+        .sort((a, b) => a.dueAt - b.dueAt || a.id - b.id)[0];
+      if (!next) break;
+
+      this.timers = this.timers.filter((timer) => timer.id !== next.id);
+      this.currentTime = Math.max(this.currentTime, next.dueAt);
+      next.callback();
+    }
+
+    this.currentTime = Math.max(this.currentTime, target);
+  }
+
+  getPendingTimerCount(): number {
+    return this.timers.length;
+  }
+}
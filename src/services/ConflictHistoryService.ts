@@ -0,0 +1,232 @@
+// ABOUTME: Persistent on-device history of sync conflicts and how they were resolved
+// Keeps unresolved conflicts around until the user reviews them on the merge screen
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { BaseService } from './BaseService';
+import type { ConflictInfo, ResolvedConflict } from './ConflictResolver';
+
+export type ConflictRecordStatus = 'unresolved' | 'resolved';
+export type FieldResolutionSource = 'local' | 'remote' | 'merged';
+
+export interface ConflictRecord<T = unknown> {
+  id: string;
+  entity: string;
+  entityId: string;
+  localData: T;
+  remoteData: T;
+  conflictFields: string[];
+  detectedAt: Date;
+  status: ConflictRecordStatus;
+  // Strategy that produced resolvedData: the automatic one until the user merges by hand
+  strategy: string;
+  fieldResolutions: Record<string, FieldResolutionSource>;
+  resolvedData: T;
+  resolvedAt: Date | null;
+}
+
+type ConflictHistoryListener = (records: ConflictRecord[]) => void;
+
+const generateConflictId = (): string => {
+  return `conflict_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+};
+
+class ConflictHistoryService extends BaseService {
+  private userId: string | null = null;
+  private records: ConflictRecord[] = [];
+  private listeners = new Set<ConflictHistoryListener>();
+
+  private readonly STORAGE_KEY_PREFIX = 'conflict_history:';
+  private readonly MAX_RECORDS = 100;
+
+  constructor() {
+    super('ConflictHistory');
+  }
+
+  /**
+   * Load the conflict history for a user
+   */
+  async initialize(userId: string): Promise<void> {
+    if (this.userId === userId) {
+      return;
+    }
+
+    this.userId = userId;
+    this.records = [];
+
+    try {
+      const raw = await AsyncStorage.getItem(`${this.STORAGE_KEY_PREFIX}${userId}`);
+      if (raw) {
+        this.records = (JSON.parse(raw) as Array<Record<string, unknown>>).map((record) => ({
+          ...record,
+          detectedAt: new Date(record.detectedAt as string),
+          resolvedAt: record.resolvedAt ? new Date(record.resolvedAt as string) : null,
+        })) as ConflictRecord[];
+      }
+    } catch (error) {
+      this.logError('initialize', error, { userId });
+    }
+
+    this.notify();
+  }
+
+  /**
+   * All recorded conflicts, unresolved first and then newest first
+   */
+  getConflicts(): ConflictRecord[] {
+    return [...this.records].sort((a, b) => {
+      if (a.status !== b.status) {
+        return a.status === 'unresolved' ? -1 : 1;
+      }
+      return b.detectedAt.getTime() - a.detectedAt.getTime();
+    });
+  }
+
+  getUnresolvedConflicts(): ConflictRecord[] {
+    return this.getConflicts().filter((record) => record.status === 'unresolved');
+  }
+
+  getConflict(conflictId: string): ConflictRecord | null {
+    return this.records.find((record) => record.id === conflictId) ?? null;
+  }
+
+  subscribe(listener: ConflictHistoryListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Record a conflict along with the automatic resolution that was applied.
+   * A conflict that needs review replaces any earlier unresolved one for the
+   * same entity so the user only ever reviews the latest disagreement.
+   */
+  async recordConflict<T>(
+    conflict: ConflictInfo<T>,
+    resolution: ResolvedConflict<T>,
+    needsReview: boolean,
+  ): Promise<ConflictRecord<T>> {
+    const userId = this.requireUser();
+
+    const record: ConflictRecord<T> = {
+      id: generateConflictId(),
+      entity: conflict.entity,
+      entityId: conflict.entityId,
+      localData: conflict.localData,
+      remoteData: conflict.remoteData,
+      conflictFields: conflict.conflictFields,
+      detectedAt: conflict.timestamp,
+      status: needsReview ? 'unresolved' : 'resolved',
+      strategy: resolution.strategy,
+      fieldResolutions: resolution.fieldResolutions,
+      resolvedData: resolution.resolvedData,
+      resolvedAt: needsReview ? null : new Date(),
+    };
+
+    if (needsReview) {
+      this.records = this.records.filter(
+        (existing) =>
+          existing.status !== 'unresolved' ||
+          existing.entity !== record.entity ||
+          existing.entityId !== record.entityId,
+      );
+    }
+
+    this.records.push(record as ConflictRecord);
+    this.trimHistory();
+    await this.persist(userId);
+    this.notify();
+
+    return record;
+  }
+
+  /**
+   * Mark a conflict as settled by the user
+   */
+  async markResolved<T>(
+    conflictId: string,
+    resolution: ResolvedConflict<T>,
+  ): Promise<ConflictRecord<T> | null> {
+    const userId = this.requireUser();
+    const record = this.getConflict(conflictId) as ConflictRecord<T> | null;
+    if (!record) {
+      return null;
+    }
+
+    record.status = 'resolved';
+    record.strategy = resolution.strategy;
+    record.fieldResolutions = resolution.fieldResolutions;
+    record.resolvedData = resolution.resolvedData;
+    record.resolvedAt = new Date();
+
+    await this.persist(userId);
+    this.notify();
+    return record;
+  }
+
+  /**
+   * Remove resolved conflicts from the history
+   */
+  async clearResolved(): Promise<void> {
+    const userId = this.requireUser();
+    this.records = this.records.filter((record) => record.status === 'unresolved');
+    await this.persist(userId);
+    this.notify();
+  }
+
+  /**
+   * Forget in-memory state (e.g. on logout). Persisted history stays on device.
+   */
+  reset(): void {
+    this.userId = null;
+    this.records = [];
+    this.notify();
+  }
+
+  private requireUser(): string {
+    if (!this.userId) {
+      throw new Error('ConflictHistoryService used before initialize()');
+    }
+    return this.userId;
+  }
+
+  private trimHistory(): void {
+    // Unresolved conflicts are never dropped; the oldest resolved ones go first
+    let excess = this.records.length - this.MAX_RECORDS;
+    if (excess <= 0) {
+      return;
+    }
+
+    const oldestResolved = this.records
+      .filter((record) => record.status === 'resolved')
+      .sort((a, b) => a.detectedAt.getTime() - b.detectedAt.getTime());
+    const toDrop = new Set<string>();
+    for (const record of oldestResolved) {
+      if (excess <= 0) break;
+      toDrop.add(record.id);
+      excess--;
+    }
+    this.records = this.records.filter((record) => !toDrop.has(record.id));
+  }
+
+  private async persist(userId: string): Promise<void> {
+    try {
+      await AsyncStorage.setItem(
+        `${this.STORAGE_KEY_PREFIX}${userId}`,
+        JSON.stringify(this.records),
+      );
+    } catch (error) {
+      this.logError('persist', error, { userId, recordCount: this.records.length });
+    }
+  }
+
+  private notify(): void {
+    const records = this.getConflicts();
+    this.listeners.forEach((listener) => {
+      listener(records);
+    });
+  }
+}
+
+export default new ConflictHistoryService();
+export { ConflictHistoryService };
@@ -1,7 +1,7 @@
 // ABOUTME: Conflict resolution system for handling data conflicts during sync
 // Provides strategies for resolving conflicts between local and remote data
 
-import type { Task } from '../types/task.types';
+import type { Task, TaskEncouragement } from '../types/task.types';
 import { TaskStatus } from '../types/task.types';
 import type { User, Partnership, Notification } from '../types';
 
@@ -322,11 +322,30 @@ class ConflictResolver {
           return localIndex > remoteIndex ? local : remote;
         },
 
-        // Time spent: sum them up
-        timeSpent: (local, remote) => (local || 0) + (remote || 0),
+        // Time spent: both sides hold a total derived from focus sessions, so keep the larger
+        timeSpent: (local, remote) => Math.max(local || 0, remote || 0),
 
         // XP earned: use higher value
         xpEarned: (local, remote) => Math.max(local || 0, remote || 0),
+
+        // Notification flags: once a partner was told, they stay told
+        partnerNotified: (local, remote) => ({
+          onStart: local?.onStart || remote?.onStart || false,
+          onComplete: local?.onComplete || remote?.onComplete || false,
+          onOverdue: local?.onOverdue || remote?.onOverdue || false,
+        }),
+
+        // Encouragements: keep every message from both sides, oldest first
+        encouragementReceived: (local, remote) => {
+          const byKey = new Map<string, TaskEncouragement>();
+          for (const encouragement of [...(remote ?? []), ...(local ?? [])]) {
+            const time = new Date(encouragement.timestamp).getTime();
+            byKey.set(`${encouragement.fromUserId}:${time}`, encouragement);
+          }
+          return [...byKey.values()].sort(
+            (a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime(),
+          );
+        },
       },
     });
   }
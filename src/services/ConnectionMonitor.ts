@@ -2,34 +2,11 @@
 // Provides connection status, error handling, and automatic retry mechanisms
 
 import { BaseService } from './BaseService';
-// import NetInfo, { NetInfoState } from '@react-native-community/netinfo';
 import { supabase } from './SupabaseService';
+import { ReachabilityConnectivityProvider } from './ConnectivityProvider';
+import type { ConnectivityProvider, ConnectivityState } from './ConnectivityProvider';
 import type { Result } from '../types/common.types';
 
-interface NetInfoState {
-  isConnected: boolean | null;
-  type: string;
-  isInternetReachable: boolean | null;
-  details?: {
-    strength?: number;
-    ssid?: string;
-    frequency?: number;
-    ipAddress?: string;
-  };
-}
-
-// Note: NetInfo would need to be installed: npm install @react-native-community/netinfo
-// For now, we'll create a mock implementation
-const NetInfo = {
-  addEventListener: (callback: (state: NetInfoState) => void) => {
-    // Mock implementation - always return online
-    setTimeout(() => {
-      callback({ isConnected: true, type: 'wifi', isInternetReachable: true });
-    }, 100);
-    return () => {}; // unsubscribe function
-  },
-};
-
 export interface ConnectionState {
   isConnected: boolean;
   connectionType: string;
@@ -55,7 +32,8 @@ class ConnectionMonitor extends BaseService {
   private currentState: ConnectionState | null = null;
   private callbacks: Set<ConnectionCallback> = new Set();
   private isMonitoring = false;
-  private unsubscribeNetInfo: (() => void) | null = null;
+  private unsubscribeProvider: (() => void) | null = null;
+  private provider: ConnectivityProvider = new ReachabilityConnectivityProvider();
 
   // Circuit breaker state
   private failureCount = 0;
@@ -85,7 +63,9 @@ class ConnectionMonitor extends BaseService {
     this.isMonitoring = true;
 
     // Subscribe to network state changes
-    this.unsubscribeNetInfo = NetInfo.addEventListener(this.handleNetworkStateChange.bind(this));
+    this.unsubscribeProvider = this.provider.addEventListener(
+      this.handleNetworkStateChange.bind(this),
+    );
 
     // Start health checks
     this.startHealthChecks();
@@ -101,9 +81,9 @@ class ConnectionMonitor extends BaseService {
 
     this.isMonitoring = false;
 
-    if (this.unsubscribeNetInfo) {
-      this.unsubscribeNetInfo();
-      this.unsubscribeNetInfo = null;
+    if (this.unsubscribeProvider) {
+      this.unsubscribeProvider();
+      this.unsubscribeProvider = null;
     }
 
     this.stopHealthChecks();
@@ -119,6 +99,32 @@ class ConnectionMonitor extends BaseService {
     });
   }
 
+  /**
+   * Swap the source of network state, e.g. a FakeConnectivityProvider in tests.
+   * Monitoring restarts against the new provider if it was running.
+   */
+  setConnectivityProvider(provider: ConnectivityProvider): void {
+    const wasMonitoring = this.isMonitoring;
+    if (wasMonitoring) {
+      this.stopMonitoring();
+    }
+
+    this.provider = provider;
+    this.currentState = null;
+
+    if (wasMonitoring) {
+      this.startMonitoring();
+    }
+  }
+
+  /**
+   * Re-check reachability now, e.g. before a user-triggered sync
+   */
+  async refreshConnection(): Promise<ConnectionState | null> {
+    await this.provider.refresh();
+    return this.currentState;
+  }
+
   /**
    * Subscribe to connection events
    */
@@ -256,11 +262,12 @@ class ConnectionMonitor extends BaseService {
   /**
    * Handle network state changes
    */
-  private handleNetworkStateChange(state: NetInfoState): void {
+  private handleNetworkStateChange(state: ConnectivityState): void {
     const previousState = this.currentState;
 
     this.currentState = {
-      isConnected: state.isConnected ?? false,
+      // A network with no route to the internet (captive portal, dead hotspot) is offline for us
+      isConnected: (state.isConnected ?? false) && state.isInternetReachable !== false,
       connectionType: state.type,
       isInternetReachable: state.isInternetReachable,
       details: {
@@ -0,0 +1,259 @@
+// ABOUTME: Pluggable connectivity providers that report network reachability to ConnectionMonitor
+// Ships a platform provider that probes the backend and a deterministic fake for tests
+
+import { AppState, Platform } from 'react-native';
+import type { AppStateStatus } from 'react-native';
+
+export interface ConnectivityState {
+  isConnected: boolean | null;
+  type: string;
+  isInternetReachable: boolean | null;
+  details?: {
+    strength?: number;
+    ssid?: string;
+    frequency?: number;
+    ipAddress?: string;
+  };
+}
+
+export type ConnectivityListener = (state: ConnectivityState) => void;
+
+export interface ConnectivityProvider {
+  /**
+   * Listen for reachability changes. Implementations report the current
+   * state once known and then again whenever it changes.
+   */
+  addEventListener(listener: ConnectivityListener): () => void;
+
+  /**
+   * Check reachability now instead of waiting for the next change
+   */
+  refresh(): Promise<ConnectivityState>;
+}
+
+export const OFFLINE_STATE: ConnectivityState = {
+  isConnected: false,
+  type: 'none',
+  isInternetReachable: false,
+};
+
+export const ONLINE_STATE: ConnectivityState = {
+  isConnected: true,
+  type: 'unknown',
+  isInternetReachable: true,
+};
+
+export interface ReachabilityOptions {
+  probeUrl?: string;
+  timeout?: number;
+  onlineInterval?: number;
+  offlineInterval?: number;
+}
+
+interface BrowserConnectivityTarget {
+  navigator?: { onLine?: boolean };
+  addEventListener?: (event: string, handler: () => void) => void;
+  removeEventListener?: (event: string, handler: () => void) => void;
+}
+
+/**
+ * Detects connectivity by probing the Supabase endpoint the app actually talks
+ * to. Any HTTP response counts as reachable; a network error or timeout does
+ * not, so captive portals and dead Wi-Fi read as offline. Probes run on a
+ * timer (faster while offline), whenever the app returns to the foreground,
+ * and on browser online/offline events on web.
+ */
+export class ReachabilityConnectivityProvider implements ConnectivityProvider {
+  private listeners: Set<ConnectivityListener> = new Set();
+  private currentState: ConnectivityState | null = null;
+  private probeTimer: ReturnType<typeof setTimeout> | null = null;
+  private pendingProbe: Promise<ConnectivityState> | null = null;
+  private teardown: Array<() => void> = [];
+
+  private readonly probeUrl: string;
+  private readonly timeout: number;
+  private readonly onlineInterval: number;
+  private readonly offlineInterval: number;
+
+  constructor(options: ReachabilityOptions = {}) {
+    const supabaseUrl = process.env.EXPO_PUBLIC_SUPABASE_URL ?? '';
+    this.probeUrl =
+      options.probeUrl ??
+      (supabaseUrl ? `${supabaseUrl}/auth/v1/health` : 'https://clients3.google.com/generate_204');
+    this.timeout = options.timeout ?? 5000;
+    this.onlineInterval = options.onlineInterval ?? 30000;
+    this.offlineInterval = options.offlineInterval ?? 5000;
+  }
+
+  addEventListener(listener: ConnectivityListener): () => void {
+    this.listeners.add(listener);
+
+    if (this.listeners.size === 1) {
+      this.start();
+    } else if (this.currentState) {
+      listener(this.currentState);
+    }
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) {
+        this.stop();
+      }
+    };
+  }
+
+  refresh(): Promise<ConnectivityState> {
+    // Coalesce overlapping triggers (timer, foreground, browser event) into one request
+    this.pendingProbe ??= this.probe().finally(() => {
+      this.pendingProbe = null;
+    });
+    return this.pendingProbe;
+  }
+
+  private start(): void {
+    const appStateSubscription = AppState.addEventListener('change', (status: AppStateStatus) => {
+      if (status === 'active') {
+        void this.refresh();
+      }
+    });
+    this.teardown.push(() => {
+      appStateSubscription.remove();
+    });
+
+    if (Platform.OS === 'web') {
+      this.listenToBrowserEvents();
+    }
+
+    void this.refresh();
+  }
+
+  private stop(): void {
+    this.teardown.forEach((remove) => {
+      remove();
+    });
+    this.teardown = [];
+    if (this.probeTimer) {
+      clearTimeout(this.probeTimer);
+      this.probeTimer = null;
+    }
+    this.currentState = null;
+  }
+
+  private listenToBrowserEvents(): void {
+    const browser = globalThis as unknown as BrowserConnectivityTarget;
+    if (!browser.addEventListener || !browser.removeEventListener) {
+      return;
+    }
+
+    const handleOffline = () => {
+      this.publish(OFFLINE_STATE);
+    };
+    const handleOnline = () => {
+      void this.refresh();
+    };
+
+    browser.addEventListener('offline', handleOffline);
+    browser.addEventListener('online', handleOnline);
+    this.teardown.push(() => {
+      browser.removeEventListener?.('offline', handleOffline);
+      browser.removeEventListener?.('online', handleOnline);
+    });
+  }
+
+  private async probe(): Promise<ConnectivityState> {
+    const browser = globalThis as unknown as BrowserConnectivityTarget;
+    let state: ConnectivityState;
+
+    if (Platform.OS === 'web' && browser.navigator?.onLine === false) {
+      state = OFFLINE_STATE;
+    } else {
+      const controller = new AbortController();
+      const timer = setTimeout(() => {
+        controller.abort();
+      }, this.timeout);
+      try {
+        await fetch(this.probeUrl, { method: 'HEAD', signal: controller.signal });
+        state = ONLINE_STATE;
+      } catch {
+        state = OFFLINE_STATE;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    if (this.listeners.size > 0) {
+      this.publish(state);
+      this.scheduleProbe();
+    }
+    return state;
+  }
+
+  private scheduleProbe(): void {
+    if (this.probeTimer) {
+      clearTimeout(this.probeTimer);
+    }
+    const interval = this.currentState?.isConnected ? this.onlineInterval : this.offlineInterval;
+    this.probeTimer = setTimeout(() => {
+      this.probeTimer = null;
+      void this.refresh();
+    }, interval);
+  }
+
+  private publish(state: ConnectivityState): void {
+    const changed =
+      !this.currentState ||
+      this.currentState.isConnected !== state.isConnected ||
+      this.currentState.isInternetReachable !== state.isInternetReachable;
+    this.currentState = state;
+
+    if (changed) {
+      this.listeners.forEach((listener) => {
+        listener(state);
+      });
+    }
+  }
+}
+
+/**
+ * Connectivity provider driven entirely by the caller. Reports state
+ * synchronously so tests can flip the network on and off deterministically.
+ */
+export class FakeConnectivityProvider implements ConnectivityProvider {
+  private listeners: Set<ConnectivityListener> = new Set();
+  private state: ConnectivityState;
+
+  constructor(initialState: ConnectivityState = ONLINE_STATE) {
+    this.state = initialState;
+  }
+
+  addEventListener(listener: ConnectivityListener): () => void {
+    this.listeners.add(listener);
+    listener(this.state);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  refresh(): Promise<ConnectivityState> {
+    return Promise.resolve(this.state);
+  }
+
+  setState(state: Partial<ConnectivityState>): void {
+    this.state = { ...this.state, ...state };
+    this.listeners.forEach((listener) => {
+      listener(this.state);
+    });
+  }
+
+  goOnline(): void {
+    this.setState(ONLINE_STATE);
+  }
+
+  goOffline(): void {
+    this.setState(OFFLINE_STATE);
+  }
+
+  getListenerCount(): number {
+    return this.listeners.size;
+  }
+}
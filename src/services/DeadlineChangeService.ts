@@ -0,0 +1,352 @@
+// ABOUTME: Deadline change requests stored in Supabase: the assignee asks, the assigner answers
+// The task's due date only moves once a date is agreed, and every request is kept as the task's history
+
+import { supabase } from './SupabaseService';
+import { BaseService } from './BaseService';
+import NotificationService from './NotificationService';
+import TaskStorageService from './TaskStorageService';
+import LocalTaskStore from './LocalTaskStore';
+import UserStorageService from './UserStorageService';
+import { systemClock } from './Clock';
+import type { Clock } from './Clock';
+import { NOTIFICATION_TYPES } from '../constants/UserConstants';
+import type { Task } from '../types/task.types';
+import type { Result } from '../types/common.types';
+import type {
+  DeadlineChangeRequest,
+  DeadlineChangeRequestInput,
+  DeadlineChangeStatus,
+} from '../types/deadlineChange.types';
+import {
+  MAX_DEADLINE_CHANGE_NOTE_LENGTH,
+  canRequestDeadlineChange,
+  getAgreedDueDate,
+  validateDeadlineChangeRequest,
+  validateProposedDueDate,
+} from '../utils/DeadlineChangeModel';
+
+// Postgres unique_violation: the task already has a request waiting for an answer
+const UNIQUE_VIOLATION = '23505';
+
+interface DbDeadlineChangeRequest {
+  id: string;
+  task_id: string;
+  requested_by: string;
+  assigned_by: string;
+  task_title: string;
+  current_due_date: string | null;
+  proposed_due_date: string;
+  reason: string;
+  status: string;
+  counter_due_date: string | null;
+  response_note: string | null;
+  responded_at: string | null;
+  resolved_at: string | null;
+  created_at: string;
+}
+
+interface Transition {
+  from: DeadlineChangeStatus;
+  to: DeadlineChangeStatus;
+  note?: string | null;
+  counterDueDate?: Date;
+}
+
+class DeadlineChangeService extends BaseService {
+  private clock: Clock = systemClock;
+
+  constructor() {
+    super('DeadlineChange');
+  }
+
+  /**
+   * Swap the clock used to check dates are in the future (tests use a FakeClock)
+   */
+  setClock(clock: Clock): void {
+    this.clock = clock;
+  }
+
+  private transformDbRequest(row: DbDeadlineChangeRequest): DeadlineChangeRequest {
+    return {
+      id: row.id,
+      taskId: row.task_id,
+      taskTitle: row.task_title,
+      requestedBy: row.requested_by,
+      assignedBy: row.assigned_by,
+      currentDueDate: row.current_due_date ? new Date(row.current_due_date) : null,
+      proposedDueDate: new Date(row.proposed_due_date),
+      reason: row.reason,
+      status: row.status as DeadlineChangeStatus,
+      counterDueDate: row.counter_due_date ? new Date(row.counter_due_date) : null,
+      responseNote: row.response_note,
+      respondedAt: row.responded_at ? new Date(row.responded_at) : null,
+      resolvedAt: row.resolved_at ? new Date(row.resolved_at) : null,
+      createdAt: new Date(row.created_at),
+    };
+  }
+
+  async getRequest(requestId: string): Promise<Result<DeadlineChangeRequest>> {
+    return this.wrapAsync(
+      'getRequest',
+      async () => {
+        const { data, error } = await supabase
+          .from('deadline_change_requests')
+          .select('*')
+          .eq('id', requestId)
+          .single<DbDeadlineChangeRequest>();
+
+        if (error) throw error;
+        return this.transformDbRequest(data);
+      },
+      { requestId },
+    );
+  }
+
+  /**
+   * Every deadline change asked for on the task, newest first
+   */
+  async getRequestsForTask(taskId: string): Promise<Result<DeadlineChangeRequest[]>> {
+    return this.wrapAsync(
+      'getRequestsForTask',
+      async () => {
+        const { data, error } = await supabase
+          .from('deadline_change_requests')
+          .select('*')
+          .eq('task_id', taskId)
+          .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return ((data ?? []) as DbDeadlineChangeRequest[]).map((row) =>
+          this.transformDbRequest(row),
+        );
+      },
+      { taskId },
+    );
+  }
+
+  /**
+   * The assignee asks for a new due date; the task itself is left alone until it's agreed
+   */
+  async requestChange(
+    task: Task,
+    userId: string,
+    input: DeadlineChangeRequestInput,
+  ): Promise<Result<DeadlineChangeRequest>> {
+    return this.wrapAsync(
+      'requestChange',
+      async () => {
+        if (!task.assignedBy || !canRequestDeadlineChange(task, userId)) {
+          throw new Error('Only the person a task was assigned to can ask to move it');
+        }
+
+        const validation = validateDeadlineChangeRequest(
+          input,
+          task.dueDate,
+          new Date(this.clock.now()),
+        );
+        if (!validation.isValid) {
+          throw new Error(validation.errors[0]);
+        }
+
+        const { data, error } = await supabase
+          .from('deadline_change_requests')
+          .insert({
+            task_id: task.id,
+            requested_by: userId,
+            assigned_by: task.assignedBy,
+            task_title: task.title,
+            current_due_date: task.dueDate ? new Date(task.dueDate).toISOString() : null,
+            proposed_due_date: input.proposedDueDate.toISOString(),
+            reason: input.reason.trim(),
+          })
+          .select()
+          .single<DbDeadlineChangeRequest>();
+
+        if (error) {
+          if (error.code === UNIQUE_VIOLATION) {
+            throw new Error('You already asked to move this task; wait for an answer first');
+          }
+          throw error;
+        }
+        const request = this.transformDbRequest(data);
+
+        const user = await UserStorageService.getUserById(userId);
+        await NotificationService.sendNotification(
+          request.assignedBy,
+          NOTIFICATION_TYPES.DEADLINE_CHANGE_REQUEST,
+          {
+            requestId: request.id,
+            taskId: request.taskId,
+            taskTitle: request.taskTitle,
+            proposedDueDate: request.proposedDueDate.toISOString(),
+            reason: request.reason,
+            fromUserId: userId,
+            fromUserName: user?.name ?? 'Your partner',
+          },
+        );
+
+        return request;
+      },
+      { taskId: task.id, userId },
+    );
+  }
+
+  /**
+   * The assigner agrees to the proposed date, which moves the task's due date
+   */
+  async approve(
+    requestId: string,
+    userId: string,
+    note?: string | null,
+  ): Promise<Result<DeadlineChangeRequest>> {
+    return this.wrapAsync(
+      'approve',
+      () => this.answer(requestId, userId, { from: 'pending', to: 'approved', note }),
+      { requestId, userId },
+    );
+  }
+
+  /**
+   * The assigner keeps the current due date
+   */
+  async reject(
+    requestId: string,
+    userId: string,
+    note?: string | null,
+  ): Promise<Result<DeadlineChangeRequest>> {
+    return this.wrapAsync(
+      'reject',
+      () => this.answer(requestId, userId, { from: 'pending', to: 'rejected', note }),
+      { requestId, userId },
+    );
+  }
+
+  /**
+   * The assigner suggests a different date, which the assignee then accepts or declines
+   */
+  async counter(
+    requestId: string,
+    userId: string,
+    counterDueDate: Date,
+    note?: string | null,
+  ): Promise<Result<DeadlineChangeRequest>> {
+    return this.wrapAsync(
+      'counter',
+      () =>
+        this.answer(requestId, userId, { from: 'pending', to: 'countered', note, counterDueDate }),
+      { requestId, userId },
+    );
+  }
+
+  /**
+   * The assignee takes the suggested date, which moves the task's due date
+   */
+  async acceptCounter(requestId: string, userId: string): Promise<Result<DeadlineChangeRequest>> {
+    return this.wrapAsync(
+      'acceptCounter',
+      () => this.answer(requestId, userId, { from: 'countered', to: 'accepted' }),
+      { requestId, userId },
+    );
+  }
+
+  /**
+   * The assignee turns the suggested date down; the due date stays as it was
+   */
+  async declineCounter(requestId: string, userId: string): Promise<Result<DeadlineChangeRequest>> {
+    return this.wrapAsync(
+      'declineCounter',
+      () => this.answer(requestId, userId, { from: 'countered', to: 'declined' }),
+      { requestId, userId },
+    );
+  }
+
+  private async answer(
+    requestId: string,
+    userId: string,
+    transition: Transition,
+  ): Promise<DeadlineChangeRequest> {
+    const requestResult = await this.getRequest(requestId);
+    if (!requestResult.success || !requestResult.data) {
+      throw new Error(requestResult.error?.message ?? 'Deadline change request not found');
+    }
+    const request = requestResult.data;
+
+    // The assigner answers the request; the assignee answers a suggested date
+    const answeredBy = transition.from === 'pending' ? request.assignedBy : request.requestedBy;
+    if (answeredBy !== userId) {
+      throw new Error('This request is waiting on your partner, not you');
+    }
+    if (request.status !== transition.from) {
+      throw new Error('This request has already been answered');
+    }
+
+    const now = new Date(this.clock.now());
+    const note = transition.note?.trim() ?? '';
+    if (note.length > MAX_DEADLINE_CHANGE_NOTE_LENGTH) {
+      throw new Error(`Note must not exceed ${MAX_DEADLINE_CHANGE_NOTE_LENGTH} characters`);
+    }
+    if (transition.to === 'countered') {
+      const validation = validateProposedDueDate(
+        transition.counterDueDate,
+        request.currentDueDate,
+        now,
+      );
+      if (!validation.isValid) {
+        throw new Error(validation.errors[0]);
+      }
+    }
+
+    // The answer and an agreed due date land together, and only while the request is
+    // still in the expected state, so two answers can't both land
+    const rpcResult = await supabase.rpc('answer_deadline_change', {
+      p_request_id: requestId,
+      p_status: transition.to,
+      p_note: note.length > 0 ? note : null,
+      p_counter_due_date: transition.counterDueDate?.toISOString() ?? null,
+    });
+
+    if (rpcResult.error) throw new Error(rpcResult.error.message);
+    const answered = this.transformDbRequest(rpcResult.data as DbDeadlineChangeRequest);
+
+    const agreedDueDate = getAgreedDueDate(answered);
+    if (agreedDueDate) {
+      await this.refreshTask(answered.taskId);
+    }
+
+    this.logger.info(`Deadline change request ${answered.status}`, {
+      code: 'DEADLINE_CHANGE_001',
+      context: JSON.stringify({ requestId, taskId: answered.taskId, status: answered.status }),
+    });
+
+    const user = await UserStorageService.getUserById(userId);
+    await NotificationService.sendNotification(
+      userId === answered.assignedBy ? answered.requestedBy : answered.assignedBy,
+      NOTIFICATION_TYPES.DEADLINE_CHANGE_RESPONSE,
+      {
+        requestId: answered.id,
+        taskId: answered.taskId,
+        taskTitle: answered.taskTitle,
+        status: answered.status,
+        dueDate: (agreedDueDate ?? answered.counterDueDate)?.toISOString() ?? null,
+        note: answered.responseNote,
+        fromUserId: userId,
+        fromUserName: user?.name ?? 'Your partner',
+      },
+    );
+
+    return answered;
+  }
+
+  // The due date already moved on the server; this device's copy catches up
+  private async refreshTask(taskId: string): Promise<void> {
+    if (!LocalTaskStore.getTask(taskId)) return;
+
+    const task = await TaskStorageService.getTask(taskId);
+    if (task) {
+      await LocalTaskStore.applyRemoteChange(task, 'UPDATE');
+    }
+  }
+}
+
+export default new DeadlineChangeService();
+export { DeadlineChangeService };
@@ -0,0 +1,308 @@
+// ABOUTME: Records focus sessions for tasks and syncs them to the focus_sessions table in Supabase
+// Sessions are kept on the device and pushed through the offline queue; timeSpent is derived from them
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { BaseService } from './BaseService';
+import { supabase } from './SupabaseService';
+import OfflineQueueManager from './OfflineQueueManager';
+import type { OfflineOperation } from './OfflineQueueManager';
+import LocalTaskStore from './LocalTaskStore';
+import type { FocusEventType, FocusSession, FocusSessionEndReason } from '../types/focus.types';
+import type { Result } from '../types/common.types';
+import {
+  createFocusSession,
+  recordFocusEvent,
+  endFocusSession,
+  getTotalFocusMinutes,
+  mergeFocusSessions,
+} from '../utils/FocusSessionModel';
+
+export const FOCUS_SESSION_OPERATIONS = {
+  SAVE: 'focus_session_save',
+} as const;
+
+interface DbFocusEvent {
+  type: FocusEventType;
+  at: string;
+}
+
+interface DbFocusSession {
+  id: string;
+  task_id: string;
+  user_id: string;
+  started_at: string;
+  ended_at: string | null;
+  planned_duration_seconds: number;
+  focused_seconds: number;
+  break_seconds: number;
+  paused_seconds: number;
+  interruptions: number;
+  completed_pomodoros: number;
+  end_reason: string | null;
+  events: DbFocusEvent[] | null;
+}
+
+class FocusSessionService extends BaseService {
+  private activeSession: FocusSession | null = null;
+
+  private readonly STORAGE_KEY_PREFIX = 'focus_sessions:';
+  private readonly ACTIVE_SESSION_KEY = 'focus_session_active';
+  // Older sessions are still on the server; the device only needs recent ones
+  private readonly MAX_STORED_SESSIONS = 200;
+
+  constructor() {
+    super('FocusSession');
+    OfflineQueueManager.registerProcessor(FOCUS_SESSION_OPERATIONS.SAVE, (operation) =>
+      this.pushSession(operation),
+    );
+  }
+
+  private transformDbSession(dbSession: DbFocusSession): FocusSession {
+    return {
+      id: dbSession.id,
+      taskId: dbSession.task_id,
+      userId: dbSession.user_id,
+      startedAt: new Date(dbSession.started_at),
+      endedAt: dbSession.ended_at ? new Date(dbSession.ended_at) : null,
+      plannedDuration: dbSession.planned_duration_seconds,
+      focusedSeconds: dbSession.focused_seconds,
+      breakSeconds: dbSession.break_seconds,
+      pausedSeconds: dbSession.paused_seconds,
+      interruptions: dbSession.interruptions,
+      completedPomodoros: dbSession.completed_pomodoros,
+      endReason: (dbSession.end_reason as FocusSessionEndReason | null) ?? null,
+      events: (dbSession.events ?? []).map((event) => ({
+        type: event.type,
+        at: new Date(event.at),
+      })),
+    };
+  }
+
+  private transformToDatabase(session: FocusSession): DbFocusSession {
+    return {
+      id: session.id,
+      task_id: session.taskId,
+      user_id: session.userId,
+      started_at: session.startedAt.toISOString(),
+      ended_at: session.endedAt ? session.endedAt.toISOString() : null,
+      planned_duration_seconds: session.plannedDuration,
+      focused_seconds: session.focusedSeconds,
+      break_seconds: session.breakSeconds,
+      paused_seconds: session.pausedSeconds,
+      interruptions: session.interruptions,
+      completed_pomodoros: session.completedPomodoros,
+      end_reason: session.endReason,
+      events: session.events.map((event) => ({
+        type: event.type,
+        at: new Date(event.at).toISOString(),
+      })),
+    };
+  }
+
+  getActiveSession(): FocusSession | null {
+    return this.activeSession;
+  }
+
+  /**
+   * Bring back the session that was running when the app was closed or crashed
+   */
+  async restoreActiveSession(): Promise<FocusSession | null> {
+    if (this.activeSession) return this.activeSession;
+
+    try {
+      const raw = await AsyncStorage.getItem(this.ACTIVE_SESSION_KEY);
+      if (raw && !this.activeSession) {
+        this.activeSession = this.transformDbSession(JSON.parse(raw) as DbFocusSession);
+      }
+    } catch (error) {
+      this.logError('restoreActiveSession', error);
+    }
+    return this.activeSession;
+  }
+
+  /**
+   * Start logging focus on a task. A session still running for another task
+   * is ended first.
+   */
+  async startSession(
+    userId: string,
+    taskId: string,
+    plannedDuration: number,
+  ): Promise<Result<FocusSession>> {
+    if (this.activeSession) {
+      await this.endSession();
+    }
+
+    return this.wrapAsync(
+      'startSession',
+      async () => {
+        const session = createFocusSession({ taskId, userId, plannedDuration });
+        this.activeSession = session;
+        await this.persistActiveSession();
+        return session;
+      },
+      { taskId },
+    );
+  }
+
+  /**
+   * Add a pause, resume, break or interruption to the running session. `at`
+   * is for events noticed late, like a Pomodoro that ran out while the app
+   * was in the background.
+   */
+  async recordEvent(
+    type: FocusEventType,
+    at: Date = new Date(),
+  ): Promise<Result<FocusSession | null>> {
+    if (type === 'stop') {
+      return this.endSession();
+    }
+
+    return this.wrapAsync(
+      'recordEvent',
+      async () => {
+        if (this.activeSession) {
+          this.activeSession = recordFocusEvent(this.activeSession, type, at);
+          await this.persistActiveSession();
+        }
+        return this.activeSession;
+      },
+      { type },
+    );
+  }
+
+  /**
+   * Stop the running session, save it and update the task's time spent
+   */
+  async endSession(): Promise<Result<FocusSession | null>> {
+    const session = this.activeSession;
+    this.activeSession = null;
+
+    return this.wrapAsync(
+      'endSession',
+      async () => {
+        if (!session) return null;
+
+        const ended = endFocusSession(session);
+        await AsyncStorage.removeItem(this.ACTIVE_SESSION_KEY);
+        await this.storeSession(ended);
+        await OfflineQueueManager.addOperation(
+          FOCUS_SESSION_OPERATIONS.SAVE,
+          this.transformToDatabase(ended),
+          { priority: 'high', maxRetries: 10, userId: ended.userId },
+        );
+        await this.updateTaskTimeSpent(ended);
+
+        this.logger.info('Focus session ended', {
+          code: 'FOCUS_SESSION_001',
+          context: JSON.stringify({
+            taskId: ended.taskId,
+            focusedSeconds: ended.focusedSeconds,
+            endReason: ended.endReason,
+          }),
+        });
+
+        return ended;
+      },
+      { taskId: session?.taskId },
+    );
+  }
+
+  /**
+   * Every session logged against a task, newest first. Sessions that haven't
+   * synced yet are included, and the device copy is used when offline.
+   */
+  async getTaskSessions(userId: string, taskId: string): Promise<Result<FocusSession[]>> {
+    return this.wrapAsync(
+      'getTaskSessions',
+      async () => {
+        const local = (await this.getStoredSessions(userId)).filter(
+          (session) => session.taskId === taskId,
+        );
+        const remote = await this.fetchTaskSessions(taskId);
+        return remote ? mergeFocusSessions(remote, local) : mergeFocusSessions(local, []);
+      },
+      { taskId },
+    );
+  }
+
+  // Null when Supabase can't be reached
+  private async fetchTaskSessions(taskId: string): Promise<FocusSession[] | null> {
+    try {
+      const { data, error } = await supabase
+        .from('focus_sessions')
+        .select('*')
+        .eq('task_id', taskId)
+        .order('started_at', { ascending: false });
+
+      if (error) throw error;
+
+      return ((data ?? []) as DbFocusSession[]).map((row) => this.transformDbSession(row));
+    } catch (error) {
+      this.logger.warn('Using saved focus sessions, fetch failed', {
+        code: 'FOCUS_SESSION_002',
+        context: JSON.stringify({ taskId, message: (error as Error).message }),
+      });
+      return null;
+    }
+  }
+
+  /**
+   * timeSpent is the sum of real focus across the task's sessions. Offline we
+   * can't see sessions from other devices, so the new session is added to the
+   * current total instead; the server recomputes it once everything syncs.
+   */
+  private async updateTaskTimeSpent(session: FocusSession): Promise<void> {
+    const task = LocalTaskStore.getTask(session.taskId);
+    if (!task) return;
+
+    const remote = await this.fetchTaskSessions(session.taskId);
+    const timeSpent = remote
+      ? getTotalFocusMinutes(mergeFocusSessions([session], remote))
+      : (task.timeSpent || 0) + getTotalFocusMinutes([session]);
+
+    if (timeSpent !== task.timeSpent) {
+      await LocalTaskStore.updateTask({ ...task, timeSpent, updatedAt: new Date() });
+    }
+  }
+
+  private async pushSession(operation: OfflineOperation): Promise<void> {
+    const { error } = await supabase
+      .from('focus_sessions')
+      .upsert(operation.data as DbFocusSession, { onConflict: 'id' });
+
+    if (error) {
+      throw new Error(`Failed to sync focus session: ${error.message}`);
+    }
+  }
+
+  private async getStoredSessions(userId: string): Promise<FocusSession[]> {
+    try {
+      const raw = await AsyncStorage.getItem(`${this.STORAGE_KEY_PREFIX}${userId}`);
+      if (!raw) return [];
+      return (JSON.parse(raw) as DbFocusSession[]).map((row) => this.transformDbSession(row));
+    } catch {
+      return [];
+    }
+  }
+
+  private async persistActiveSession(): Promise<void> {
+    if (!this.activeSession) return;
+    await AsyncStorage.setItem(
+      this.ACTIVE_SESSION_KEY,
+      JSON.stringify(this.transformToDatabase(this.activeSession)),
+    );
+  }
+
+  private async storeSession(session: FocusSession): Promise<void> {
+    const stored = await this.getStoredSessions(session.userId);
+    const sessions = mergeFocusSessions([session], stored).slice(0, this.MAX_STORED_SESSIONS);
+    await AsyncStorage.setItem(
+      `${this.STORAGE_KEY_PREFIX}${session.userId}`,
+      JSON.stringify(sessions.map((storedSession) => this.transformToDatabase(storedSession))),
+    );
+  }
+}
+
+export default new FocusSessionService();
+export { FocusSessionService };
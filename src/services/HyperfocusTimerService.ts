@@ -0,0 +1,292 @@
+// ABOUTME: Runs the Hyperfocus countdown from an absolute end time that survives backgrounding and restarts
+// Persists the timer on the device so a reload picks the session back up where it left off
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import type { AppStateStatus } from 'react-native';
+import { BaseService } from './BaseService';
+import { systemClock } from './Clock';
+import type { Clock, ClockTimer } from './Clock';
+
+export type HyperfocusPhase = 'work' | 'break';
+
+export interface HyperfocusTimerState {
+  taskId: string;
+  phase: HyperfocusPhase;
+  endsAt: number | null; // Epoch ms the phase finishes, set only while running
+  remainingSeconds: number; // Time left while paused
+  sessionCount: number; // Work phases finished on this task
+  completedAt: number | null; // When the phase ran out, until the next one starts
+}
+
+export interface HyperfocusTimerSnapshot extends HyperfocusTimerState {
+  isRunning: boolean;
+  timeLeft: number; // Whole seconds, rounded up so 0 only shows once time is really up
+}
+
+export interface HyperfocusTimerCompletion {
+  phase: HyperfocusPhase;
+  completedAt: Date;
+  sessionCount: number;
+}
+
+type TimerListener = (snapshot: HyperfocusTimerSnapshot | null) => void;
+type CompletionListener = (completion: HyperfocusTimerCompletion) => void;
+
+class HyperfocusTimerService extends BaseService {
+  private clock: Clock = systemClock;
+  private state: HyperfocusTimerState | null = null;
+  private listeners = new Set<TimerListener>();
+  private completionListeners = new Set<CompletionListener>();
+  private timer: ClockTimer | null = null;
+  private appStateSubscription: { remove: () => void } | null = null;
+
+  private readonly STORAGE_KEY = 'hyperfocus_timer';
+
+  constructor() {
+    super('HyperfocusTimer');
+  }
+
+  /**
+   * Swap the clock used for timing (tests use a FakeClock)
+   */
+  setClock(clock: Clock): void {
+    this.clearTimer();
+    this.clock = clock;
+    this.armTimer();
+  }
+
+  /**
+   * Pick up the saved timer for a task after a restart. A phase that ran out
+   * while the app was closed comes back finished, with completedAt set to when
+   * it actually ended. A timer saved for another task is dropped.
+   */
+  async restore(taskId: string): Promise<HyperfocusTimerSnapshot | null> {
+    const saved = await this.loadPersisted();
+
+    if (saved?.taskId !== taskId) {
+      if (saved) {
+        await this.clear();
+      }
+      return null;
+    }
+
+    this.state = saved;
+    this.listenForAppState();
+    this.reconcile({ announce: false });
+    return this.getSnapshot();
+  }
+
+  /**
+   * Start a fresh work or break phase running
+   */
+  async startPhase(taskId: string, phase: HyperfocusPhase, durationSeconds: number): Promise<void> {
+    this.state = {
+      taskId,
+      phase,
+      endsAt: this.clock.now() + durationSeconds * 1000,
+      remainingSeconds: durationSeconds,
+      sessionCount: this.state?.taskId === taskId ? this.state.sessionCount : 0,
+      completedAt: null,
+    };
+    this.listenForAppState();
+    await this.commit();
+  }
+
+  async pause(): Promise<void> {
+    if (this.state?.endsAt == null) return;
+
+    this.state = { ...this.state, endsAt: null, remainingSeconds: this.getTimeLeft() };
+    await this.commit();
+  }
+
+  async resume(): Promise<void> {
+    if (!this.state || this.state.endsAt !== null || this.state.remainingSeconds <= 0) return;
+
+    this.state = {
+      ...this.state,
+      endsAt: this.clock.now() + this.state.remainingSeconds * 1000,
+    };
+    await this.commit();
+  }
+
+  /**
+   * Stop the countdown and set it back to a full phase without starting it
+   */
+  async reset(durationSeconds: number, phase?: HyperfocusPhase): Promise<void> {
+    if (!this.state) return;
+
+    this.state = {
+      ...this.state,
+      phase: phase ?? this.state.phase,
+      endsAt: null,
+      remainingSeconds: durationSeconds,
+      completedAt: null,
+    };
+    await this.commit();
+  }
+
+  /**
+   * Forget the timer (the user left Hyperfocus mode)
+   */
+  async clear(): Promise<void> {
+    this.clearTimer();
+    this.appStateSubscription?.remove();
+    this.appStateSubscription = null;
+    this.state = null;
+    this.notify();
+
+    try {
+      await AsyncStorage.removeItem(this.STORAGE_KEY);
+    } catch (error) {
+      this.logError('clear', error);
+    }
+  }
+
+  getSnapshot(): HyperfocusTimerSnapshot | null {
+    if (!this.state) return null;
+    return {
+      ...this.state,
+      isRunning: this.state.endsAt !== null,
+      timeLeft: this.getTimeLeft(),
+    };
+  }
+
+  /**
+   * Listen for every tick and state change. The listener is called right away.
+   */
+  subscribe(listener: TimerListener): () => void {
+    this.listeners.add(listener);
+    listener(this.getSnapshot());
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Listen for phases running out while the app is open or coming back to it
+   */
+  onComplete(listener: CompletionListener): () => void {
+    this.completionListeners.add(listener);
+    return () => {
+      this.completionListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Catch up with the wall clock. Timers don't run in the background, so this
+   * runs whenever the app becomes active again.
+   */
+  reconcile({ announce = true }: { announce?: boolean } = {}): void {
+    this.clearTimer();
+    const state = this.state;
+
+    if (state?.endsAt != null && state.endsAt <= this.clock.now()) {
+      this.complete(state, state.endsAt, announce);
+      return;
+    }
+
+    this.notify();
+    this.armTimer();
+  }
+
+  private getTimeLeft(): number {
+    if (!this.state) return 0;
+    if (this.state.endsAt === null) return this.state.remainingSeconds;
+    return Math.max(0, Math.ceil((this.state.endsAt - this.clock.now()) / 1000));
+  }
+
+  private complete(state: HyperfocusTimerState, endsAt: number, announce: boolean): void {
+    const sessionCount = state.phase === 'work' ? state.sessionCount + 1 : state.sessionCount;
+    this.state = {
+      ...state,
+      endsAt: null,
+      remainingSeconds: 0,
+      sessionCount,
+      completedAt: endsAt,
+    };
+
+    this.logger.info('Hyperfocus phase finished', {
+      code: 'HYPERFOCUS_TIMER_001',
+      context: JSON.stringify({ taskId: state.taskId, phase: state.phase, sessionCount }),
+    });
+
+    void this.persist();
+    this.notify();
+
+    if (announce) {
+      const completion = { phase: state.phase, completedAt: new Date(endsAt), sessionCount };
+      this.completionListeners.forEach((listener) => {
+        listener(completion);
+      });
+    }
+  }
+
+  private async commit(): Promise<void> {
+    this.notify();
+    this.armTimer();
+    await this.persist();
+  }
+
+  // Tick on each whole second of time left so the display never skips a number
+  private armTimer(): void {
+    this.clearTimer();
+
+    const endsAt = this.state?.endsAt;
+    if (endsAt == null) return;
+
+    const remainingMs = Math.max(0, endsAt - this.clock.now());
+    const delay = remainingMs % 1000 || Math.min(1000, remainingMs);
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      this.reconcile();
+    }, delay);
+  }
+
+  private clearTimer(): void {
+    if (this.timer !== null) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  private listenForAppState(): void {
+    if (this.appStateSubscription) return;
+
+    this.appStateSubscription = AppState.addEventListener('change', (status: AppStateStatus) => {
+      if (status === 'active') {
+        this.reconcile();
+      }
+    });
+  }
+
+  private async loadPersisted(): Promise<HyperfocusTimerState | null> {
+    try {
+      const raw = await AsyncStorage.getItem(this.STORAGE_KEY);
+      return raw ? (JSON.parse(raw) as HyperfocusTimerState) : null;
+    } catch (error) {
+      this.logError('loadPersisted', error);
+      return null;
+    }
+  }
+
+  private async persist(): Promise<void> {
+    if (!this.state) return;
+
+    try {
+      await AsyncStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.state));
+    } catch (error) {
+      this.logError('persist', error, { taskId: this.state.taskId });
+    }
+  }
+
+  private notify(): void {
+    const snapshot = this.getSnapshot();
+    this.listeners.forEach((listener) => {
+      listener(snapshot);
+    });
+  }
+}
+
+export default new HyperfocusTimerService();
+export { HyperfocusTimerService };
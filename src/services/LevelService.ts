@@ -0,0 +1,505 @@
+// ABOUTME: Works out the user's level from lifetime XP and unlocks the cosmetic rewards each level brings
+// XP awards, unlocks and equipped rewards are saved on the device first and pushed through the offline queue
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { BaseService } from './BaseService';
+import { supabase } from './SupabaseService';
+import OfflineQueueManager from './OfflineQueueManager';
+import type { OfflineOperation } from './OfflineQueueManager';
+import LocalTaskStore from './LocalTaskStore';
+import AchievementService from './AchievementService';
+import type { Task } from '../types/task.types';
+import type {
+  CosmeticKind,
+  CosmeticRewardStatus,
+  EquippedCosmetics,
+  LevelProgress,
+  LevelUp,
+  RewardUnlock,
+} from '../types/level.types';
+import type { Result } from '../types/common.types';
+import { getAchievement } from '../utils/AchievementModel';
+import {
+  findNewRewardUnlocks,
+  getCosmeticReward,
+  getLevelProgress,
+  getRewardStatuses,
+  mergeRewardUnlocks,
+  resolveEquipped,
+} from '../utils/LevelModel';
+
+export const LEVEL_OPERATIONS = {
+  UNLOCK_REWARD: 'reward_unlock',
+  EQUIP_REWARD: 'reward_equip',
+  AWARD_XP: 'xp_award',
+} as const;
+
+interface DbRewardUnlock {
+  user_id: string;
+  reward_id: string;
+  level: number;
+  unlocked_at: string;
+}
+
+type EquippedIds = Partial<Record<CosmeticKind, string>>;
+
+interface StoredLevelState {
+  highestLevel: number;
+  unlocks: DbRewardUnlock[];
+  equipped: EquippedIds;
+  // The server's lifetime total when last seen
+  xpTotal?: number;
+  // Sources already sent to award_xp, and the XP of those not yet confirmed
+  awardedSources?: string[];
+  pendingAwards?: Record<string, number>;
+}
+
+interface RemoteLevelState {
+  unlocks: RewardUnlock[];
+  equipped: EquippedIds;
+  xpTotal: number;
+  awardedSources: string[];
+}
+
+interface XPAward {
+  source: string;
+  xp: number;
+}
+
+export interface LevelSnapshot {
+  progress: LevelProgress;
+  rewards: CosmeticRewardStatus[];
+  equipped: EquippedCosmetics;
+  // Reached while the user was watching and not yet seen
+  levelUp: LevelUp | null;
+}
+
+type LevelListener = (snapshot: LevelSnapshot) => void;
+
+class LevelService extends BaseService {
+  private userId: string | null = null;
+  private totalXP = 0;
+  // Lifetime XP only grows: reopening a task doesn't take back what it earned
+  private xpTotal = 0;
+  private awardedSources = new Set<string>();
+  private pendingAwards = new Map<string, number>();
+  // Celebrations only go to levels above this
+  private highestLevel = 1;
+  private unlocks = new Map<string, RewardUnlock>();
+  private equippedIds: EquippedIds = {};
+  private levelUp: LevelUp | null = null;
+  private listeners = new Set<LevelListener>();
+  private unsubscribers: Array<() => void> = [];
+  private evaluation: Promise<void> = Promise.resolve();
+
+  private readonly STORAGE_KEY_PREFIX = 'level_rewards:';
+
+  constructor() {
+    super('Level');
+    OfflineQueueManager.registerProcessor(LEVEL_OPERATIONS.UNLOCK_REWARD, (operation) =>
+      this.pushUnlock(operation),
+    );
+    OfflineQueueManager.registerProcessor(LEVEL_OPERATIONS.EQUIP_REWARD, (operation) =>
+      this.pushEquipped(operation),
+    );
+    OfflineQueueManager.registerProcessor(
+      LEVEL_OPERATIONS.AWARD_XP,
+      (operation) => this.pushAward(operation),
+      (operation) => this.dropPendingAward(operation),
+    );
+  }
+
+  /**
+   * Load a user's rewards and re-check their level whenever their tasks or
+   * achievements change. Levels already reached before this are not celebrated.
+   */
+  async start(userId: string): Promise<void> {
+    if (this.userId !== userId) {
+      this.stop();
+      this.userId = userId;
+      await this.loadState(userId);
+    }
+
+    if (this.unsubscribers.length === 0) {
+      const reevaluate = () => {
+        void this.evaluate();
+      };
+      this.unsubscribers = [
+        LocalTaskStore.subscribe(reevaluate),
+        AchievementService.onUnlock(reevaluate),
+      ];
+    }
+
+    await this.evaluate({ announce: false });
+  }
+
+  stop(): void {
+    this.unsubscribers.forEach((unsubscribe) => {
+      unsubscribe();
+    });
+    this.unsubscribers = [];
+    this.userId = null;
+    this.totalXP = 0;
+    this.xpTotal = 0;
+    this.awardedSources.clear();
+    this.pendingAwards.clear();
+    this.highestLevel = 1;
+    this.unlocks.clear();
+    this.equippedIds = {};
+    this.levelUp = null;
+    this.notify();
+  }
+
+  /**
+   * Award XP for anything newly earned and unlock the rewards of any level
+   * reached. Runs one at a time, so events arriving together can't record the
+   * same award or unlock twice.
+   */
+  evaluate({ announce = true }: { announce?: boolean } = {}): Promise<void> {
+    const run = () => this.runEvaluation(announce);
+    this.evaluation = this.evaluation.then(run, run);
+    return this.evaluation;
+  }
+
+  getSnapshot(): LevelSnapshot {
+    const equipped = this.getEquipped();
+    return {
+      progress: getLevelProgress(this.totalXP),
+      rewards: getRewardStatuses([...this.unlocks.values()], equipped),
+      equipped,
+      levelUp: this.levelUp,
+    };
+  }
+
+  /**
+   * The reward in use for one kind; the default look when signed out
+   */
+  getEquippedReward<K extends CosmeticKind>(kind: K): EquippedCosmetics[K] {
+    return this.getEquipped()[kind];
+  }
+
+  /**
+   * Use an unlocked reward in place of the current one of its kind
+   */
+  async equipReward(rewardId: string): Promise<Result<void>> {
+    return this.wrapAsync(
+      'equipReward',
+      async () => {
+        const userId = this.userId;
+        const reward = getCosmeticReward(rewardId);
+        if (!userId) throw new Error('Not signed in');
+        if (!reward) throw new Error(`Unknown reward: ${rewardId}`);
+        if (!this.unlocks.has(rewardId) && reward.level > 1) {
+          throw new Error(`Reward is locked until level ${reward.level}`);
+        }
+
+        this.equippedIds = { ...this.equippedIds, [reward.kind]: reward.id };
+        await this.persist(userId);
+        this.notify();
+
+        await OfflineQueueManager.addOperation(
+          LEVEL_OPERATIONS.EQUIP_REWARD,
+          { id: userId, equipped_rewards: this.equippedIds },
+          { priority: 'low', maxRetries: 10, userId },
+        );
+      },
+      { rewardId },
+    );
+  }
+
+  /**
+   * Listen for level and reward changes. The listener is called right away.
+   */
+  subscribe(listener: LevelListener): () => void {
+    this.listeners.add(listener);
+    listener(this.getSnapshot());
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  dismissLevelUp(): void {
+    this.levelUp = null;
+    this.notify();
+  }
+
+  private async runEvaluation(announce: boolean): Promise<void> {
+    const userId = this.userId;
+    if (!userId) return;
+
+    await this.wrapAsync(
+      'evaluate',
+      async () => {
+        await this.awardNewXP(userId);
+        this.totalXP = this.getLifetimeXP();
+        const { level } = getLevelProgress(this.totalXP);
+        const unlocked = findNewRewardUnlocks(level, this.unlocks.keys());
+        const levelledUp = level > this.highestLevel;
+
+        if (unlocked.length === 0 && !levelledUp) {
+          this.notify();
+          return;
+        }
+
+        const unlockedAt = new Date();
+        for (const reward of unlocked) {
+          this.unlocks.set(reward.id, { rewardId: reward.id, level, unlockedAt });
+        }
+        this.highestLevel = Math.max(this.highestLevel, level);
+        await this.persist(userId);
+
+        for (const reward of unlocked) {
+          await OfflineQueueManager.addOperation(
+            LEVEL_OPERATIONS.UNLOCK_REWARD,
+            this.transformToDatabase(userId, { rewardId: reward.id, level, unlockedAt }),
+            { priority: 'medium', maxRetries: 10, userId },
+          );
+        }
+
+        this.logger.info('Level reached', {
+          code: 'LEVEL_001',
+          context: JSON.stringify({ userId, level, rewards: unlocked.map(({ id }) => id) }),
+        });
+
+        // The user may have signed out while the rewards were being saved
+        if (announce && levelledUp && this.userId === userId) {
+          this.levelUp = {
+            level,
+            rewards: [...(this.levelUp?.rewards ?? []), ...unlocked],
+          };
+        }
+        this.notify();
+      },
+      { userId },
+    );
+  }
+
+  // The server's total plus awards still waiting in the offline queue
+  private getLifetimeXP(): number {
+    let pending = 0;
+    this.pendingAwards.forEach((xp) => {
+      pending += xp;
+    });
+    return this.xpTotal + pending;
+  }
+
+  // Each finished task or step and each unlocked achievement is awarded once
+  private async awardNewXP(userId: string): Promise<void> {
+    const awards = this.getEarnedXP(userId).filter(
+      ({ source }) => !this.awardedSources.has(source),
+    );
+    if (awards.length === 0) return;
+
+    for (const { source, xp } of awards) {
+      this.awardedSources.add(source);
+      this.pendingAwards.set(source, xp);
+    }
+    await this.persist(userId);
+
+    // The server works out what each source is worth; the local XP only counts until it confirms
+    for (const { source } of awards) {
+      await OfflineQueueManager.addOperation(
+        LEVEL_OPERATIONS.AWARD_XP,
+        { p_source: source },
+        { priority: 'medium', maxRetries: 10, userId },
+      );
+    }
+  }
+
+  private getEarnedXP(userId: string): XPAward[] {
+    const taskAwards = LocalTaskStore.getTasks()
+      .filter(
+        (task) => task.completed && (task.xpEarned ?? 0) > 0 && this.isDoneByUser(task, userId),
+      )
+      .map((task) => ({ source: `task:${task.id}`, xp: task.xpEarned }));
+    const achievementAwards = AchievementService.getUnlocks()
+      .map((unlock) => ({
+        source: `achievement:${unlock.achievementId}`,
+        xp: getAchievement(unlock.achievementId)?.xp ?? 0,
+      }))
+      .filter(({ xp }) => xp > 0);
+    return [...taskAwards, ...achievementAwards];
+  }
+
+  private isDoneByUser(task: Task, userId: string): boolean {
+    return task.assignedTo ? task.assignedTo === userId : task.userId === userId;
+  }
+
+  private getEquipped(): EquippedCosmetics {
+    return resolveEquipped(this.equippedIds, this.unlocks.keys());
+  }
+
+  // Unlocks from other devices are added to the ones saved here; the server's
+  // equipped rewards win when it can be reached
+  private async loadState(userId: string): Promise<void> {
+    const local = await this.getStoredState(userId);
+    const remote = await this.fetchRemoteState(userId);
+
+    this.highestLevel = local?.highestLevel ?? 1;
+    this.unlocks = new Map(
+      mergeRewardUnlocks(
+        (local?.unlocks ?? []).map((row) => this.transformDbUnlock(row)),
+        remote?.unlocks ?? [],
+      ).map((unlock) => [unlock.rewardId, unlock]),
+    );
+    this.equippedIds = remote?.equipped ?? local?.equipped ?? {};
+    this.xpTotal = Math.max(local?.xpTotal ?? 0, remote?.xpTotal ?? 0);
+    this.awardedSources = new Set([
+      ...(local?.awardedSources ?? []),
+      ...(remote?.awardedSources ?? []),
+    ]);
+    // Awards the server already has are part of its total
+    this.pendingAwards = new Map(
+      Object.entries(local?.pendingAwards ?? {}).filter(
+        ([source]) => !remote?.awardedSources.includes(source),
+      ),
+    );
+    for (const unlock of this.unlocks.values()) {
+      this.highestLevel = Math.max(this.highestLevel, unlock.level);
+    }
+    await this.persist(userId);
+  }
+
+  // Null when Supabase can't be reached
+  private async fetchRemoteState(userId: string): Promise<RemoteLevelState | null> {
+    try {
+      const { data, error } = await supabase
+        .from('reward_unlocks')
+        .select('*')
+        .eq('user_id', userId);
+      if (error) throw error;
+
+      const userResult = await supabase
+        .from('users')
+        .select('equipped_rewards, xp_total')
+        .eq('id', userId)
+        .single();
+      if (userResult.error) throw userResult.error;
+
+      const awardsResult = await supabase.from('xp_awards').select('source').eq('user_id', userId);
+      if (awardsResult.error) throw awardsResult.error;
+
+      const userRow = userResult.data as {
+        equipped_rewards: EquippedIds | null;
+        xp_total: number | null;
+      } | null;
+      return {
+        unlocks: ((data ?? []) as DbRewardUnlock[])
+          .filter((row) => getCosmeticReward(row.reward_id))
+          .map((row) => this.transformDbUnlock(row)),
+        equipped: userRow?.equipped_rewards ?? {},
+        xpTotal: userRow?.xp_total ?? 0,
+        awardedSources: ((awardsResult.data ?? []) as Array<{ source: string }>).map(
+          ({ source }) => source,
+        ),
+      };
+    } catch (error) {
+      this.logger.warn('Using saved rewards, fetch failed', {
+        code: 'LEVEL_002',
+        context: JSON.stringify({ userId, message: (error as Error).message }),
+      });
+      return null;
+    }
+  }
+
+  private async pushUnlock(operation: OfflineOperation): Promise<void> {
+    // Another device may have unlocked it first; its earlier unlocked_at wins
+    const { error } = await supabase
+      .from('reward_unlocks')
+      .upsert(operation.data as DbRewardUnlock, {
+        onConflict: 'user_id,reward_id',
+        ignoreDuplicates: true,
+      });
+
+    if (error) {
+      throw new Error(`Failed to sync reward unlock: ${error.message}`);
+    }
+  }
+
+  private async pushEquipped(operation: OfflineOperation): Promise<void> {
+    const { id, equipped_rewards } = operation.data as {
+      id: string;
+      equipped_rewards: EquippedIds;
+    };
+    const { error } = await supabase.from('users').update({ equipped_rewards }).eq('id', id);
+
+    if (error) {
+      throw new Error(`Failed to sync equipped rewards: ${error.message}`);
+    }
+  }
+
+  private async pushAward(operation: OfflineOperation): Promise<void> {
+    // Awards queued before the server worked out the XP still carry p_xp, which it no longer takes
+    const { p_source } = operation.data as { p_source: string };
+    const rpcResult = await supabase.rpc('award_xp', { p_source });
+
+    if (rpcResult.error) {
+      throw new Error(`Failed to sync XP award: ${rpcResult.error.message}`);
+    }
+
+    // The user may have signed out or switched accounts since it was queued
+    if (this.userId !== operation.userId) return;
+    this.xpTotal = Math.max(this.xpTotal, (rpcResult.data as number | null) ?? 0);
+    this.pendingAwards.delete(p_source);
+    await this.persist(operation.userId);
+    // The total may include XP earned on other devices
+    await this.evaluate();
+  }
+
+  // Given up on after its retries; it stops counting until the server confirms it
+  private async dropPendingAward(operation: OfflineOperation): Promise<void> {
+    if (this.userId !== operation.userId) return;
+    const { p_source } = operation.data as { p_source: string };
+    this.pendingAwards.delete(p_source);
+    await this.persist(operation.userId);
+    await this.evaluate();
+  }
+
+  private transformDbUnlock(row: DbRewardUnlock): RewardUnlock {
+    return { rewardId: row.reward_id, level: row.level, unlockedAt: new Date(row.unlocked_at) };
+  }
+
+  private transformToDatabase(userId: string, unlock: RewardUnlock): DbRewardUnlock {
+    return {
+      user_id: userId,
+      reward_id: unlock.rewardId,
+      level: unlock.level,
+      unlocked_at: unlock.unlockedAt.toISOString(),
+    };
+  }
+
+  private async getStoredState(userId: string): Promise<StoredLevelState | null> {
+    try {
+      const raw = await AsyncStorage.getItem(`${this.STORAGE_KEY_PREFIX}${userId}`);
+      return raw ? (JSON.parse(raw) as StoredLevelState) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  private async persist(userId: string): Promise<void> {
+    const state: StoredLevelState = {
+      highestLevel: this.highestLevel,
+      unlocks: [...this.unlocks.values()].map((unlock) => this.transformToDatabase(userId, unlock)),
+      equipped: this.equippedIds,
+      xpTotal: this.xpTotal,
+      awardedSources: [...this.awardedSources],
+      pendingAwards: Object.fromEntries(this.pendingAwards),
+    };
+    try {
+      await AsyncStorage.setItem(`${this.STORAGE_KEY_PREFIX}${userId}`, JSON.stringify(state));
+    } catch (error) {
+      this.logError('persist', error, { userId });
+    }
+  }
+
+  private notify(): void {
+    const snapshot = this.getSnapshot();
+    this.listeners.forEach((listener) => {
+      listener(snapshot);
+    });
+  }
+}
+
+export default new LevelService();
+export { LevelService };
@@ -0,0 +1,660 @@
+// ABOUTME: Persistent on-device task store that is the source of truth for the task list
+// Writes land locally first and are pushed to Supabase through the offline queue
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { BaseService } from './BaseService';
+import TaskStorageService from './TaskStorageService';
+import OfflineQueueManager from './OfflineQueueManager';
+import type { OfflineOperation } from './OfflineQueueManager';
+import ConflictResolver from './ConflictResolver';
+import ConflictHistoryService from './ConflictHistoryService';
+import type { FieldResolutionSource } from './ConflictHistoryService';
+import type { Task } from '../types/task.types';
+import { createNextOccurrence, getOpenSeriesInstances } from '../utils/RecurrenceModel';
+
+export const TASK_OPERATIONS = {
+  CREATE: 'task_create',
+  CREATE_BATCH: 'task_create_batch',
+  UPDATE: 'task_update',
+  DELETE: 'task_delete',
+} as const;
+
+interface TaskOperationData {
+  taskId: string;
+}
+
+interface TaskBatchOperationData {
+  taskIds: string[];
+}
+
+type TaskOperationType = (typeof TASK_OPERATIONS)[keyof typeof TASK_OPERATIONS];
+
+interface PersistedTaskStore {
+  tasks: Array<Record<string, unknown>>;
+  // Number of queued operations per task that haven't reached Supabase yet
+  pendingOperations: Record<string, number>;
+  // Remote updatedAt we last reconciled against, per task
+  remoteVersions: Record<string, string>;
+  // Tasks deleted locally whose delete hasn't reached Supabase yet
+  deletedTaskIds: string[];
+  lastSyncedAt: string | null;
+}
+
+type TaskStoreListener = (tasks: Task[]) => void;
+
+// Fields people type in themselves. When both sides changed one of these the
+// automatic merge has to guess, so the conflict is kept for the user to review.
+const REVIEW_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'priority',
+  'dueDate',
+  'preferredStartTime',
+  'timeEstimate',
+  'recurrence',
+];
+
+const DATE_FIELDS = [
+  'createdAt',
+  'updatedAt',
+  'completedAt',
+  'dueDate',
+  'preferredStartTime',
+  'startedAt',
+  'reminder1',
+  'reminder2',
+  'reminderCustom',
+  'counterDueDate',
+] as const;
+
+class LocalTaskStore extends BaseService {
+  private userId: string | null = null;
+  private tasks = new Map<string, Task>();
+  private pendingOperations = new Map<string, number>();
+  private remoteVersions = new Map<string, string>();
+  private deletedTaskIds = new Set<string>();
+  private lastSyncedAt: Date | null = null;
+  private listeners = new Set<TaskStoreListener>();
+  private processorsRegistered = false;
+
+  private readonly STORAGE_KEY_PREFIX = 'local_tasks:';
+
+  constructor() {
+    super('LocalTaskStore');
+  }
+
+  /**
+   * Load the persisted tasks for a user and hook up sync
+   */
+  async initialize(userId: string): Promise<Task[]> {
+    if (!this.processorsRegistered) {
+      this.registerProcessors();
+      ConflictResolver.setupTaskResolution();
+      this.processorsRegistered = true;
+    }
+
+    if (this.userId !== userId) {
+      this.resetState();
+      this.userId = userId;
+      await Promise.all([this.loadPersisted(userId), ConflictHistoryService.initialize(userId)]);
+    }
+
+    return this.getTasks();
+  }
+
+  /**
+   * Tasks for the current user, newest first
+   */
+  getTasks(): Task[] {
+    return [...this.tasks.values()].sort(
+      (a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime(),
+    );
+  }
+
+  getTask(taskId: string): Task | null {
+    return this.tasks.get(taskId) ?? null;
+  }
+
+  hasPendingChanges(taskId?: string): boolean {
+    if (taskId) {
+      return (this.pendingOperations.get(taskId) ?? 0) > 0 || this.deletedTaskIds.has(taskId);
+    }
+    return this.pendingOperations.size > 0 || this.deletedTaskIds.size > 0;
+  }
+
+  getLastSyncedAt(): Date | null {
+    return this.lastSyncedAt;
+  }
+
+  subscribe(listener: TaskStoreListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  async saveTask(task: Task): Promise<boolean> {
+    const result = await this.wrapAsync(
+      'saveTask',
+      async () => {
+        const userId = this.requireUser();
+        this.tasks.set(task.id, task);
+        await this.commitLocalChange(userId, TASK_OPERATIONS.CREATE, task.id);
+        return true;
+      },
+      { taskId: task.id },
+    );
+
+    return result.success && result.data === true;
+  }
+
+  /**
+   * Save many new tasks at once, e.g. from a brain dump. They reach Supabase
+   * together in one batched upsert.
+   */
+  async saveTasks(tasks: Task[]): Promise<boolean> {
+    const result = await this.wrapAsync(
+      'saveTasks',
+      async () => {
+        const userId = this.requireUser();
+        if (tasks.length === 0) return true;
+
+        for (const task of tasks) {
+          this.tasks.set(task.id, task);
+          this.pendingOperations.set(task.id, (this.pendingOperations.get(task.id) ?? 0) + 1);
+        }
+        await this.persist(userId);
+        this.notify();
+
+        const data: TaskBatchOperationData = { taskIds: tasks.map((task) => task.id) };
+        await this.queueOperation(userId, TASK_OPERATIONS.CREATE_BATCH, data);
+        return true;
+      },
+      { count: tasks.length },
+    );
+
+    return result.success && result.data === true;
+  }
+
+  async updateTask(updatedTask: Task): Promise<boolean> {
+    const result = await this.wrapAsync(
+      'updateTask',
+      async () => {
+        const userId = this.requireUser();
+        const previous = this.tasks.get(updatedTask.id);
+
+        // Un-completing a recurring instance takes back the one its completion spawned.
+        // The delete is queued first so Supabase never sees two open instances of a series.
+        if (!updatedTask.completed && updatedTask.recurrence && previous?.completed) {
+          for (const openTask of getOpenSeriesInstances(updatedTask, [...this.tasks.values()])) {
+            this.tasks.delete(openTask.id);
+            this.deletedTaskIds.add(openTask.id);
+            await this.commitLocalChange(userId, TASK_OPERATIONS.DELETE, openTask.id);
+          }
+        }
+
+        this.tasks.set(updatedTask.id, updatedTask);
+        await this.commitLocalChange(userId, TASK_OPERATIONS.UPDATE, updatedTask.id);
+
+        // Completing a recurring instance queues the next one, even offline
+        if (updatedTask.completed && updatedTask.recurrence && !previous?.completed) {
+          const hasOpenInstance =
+            getOpenSeriesInstances(updatedTask, [...this.tasks.values()]).length > 0;
+          const nextTask = hasOpenInstance ? null : createNextOccurrence(updatedTask);
+          if (nextTask) {
+            this.tasks.set(nextTask.id, nextTask);
+            await this.commitLocalChange(userId, TASK_OPERATIONS.CREATE, nextTask.id);
+          }
+        }
+
+        return true;
+      },
+      { taskId: updatedTask.id },
+    );
+
+    return result.success && result.data === true;
+  }
+
+  async deleteTask(taskId: string): Promise<boolean> {
+    const result = await this.wrapAsync(
+      'deleteTask',
+      async () => {
+        const userId = this.requireUser();
+        this.tasks.delete(taskId);
+        this.deletedTaskIds.add(taskId);
+        await this.commitLocalChange(userId, TASK_OPERATIONS.DELETE, taskId);
+        return true;
+      },
+      { taskId },
+    );
+
+    return result.success && result.data === true;
+  }
+
+  async reorderSubtasks(parentId: string, orderedTaskIds: string[]): Promise<boolean> {
+    const result = await this.wrapAsync(
+      'reorderSubtasks',
+      async () => {
+        const userId = this.requireUser();
+        const now = new Date();
+
+        for (const [index, taskId] of orderedTaskIds.entries()) {
+          const task = this.tasks.get(taskId);
+          if (task?.parentId !== parentId || task.sortOrder === index) continue;
+          this.tasks.set(taskId, { ...task, sortOrder: index, updatedAt: now });
+          await this.commitLocalChange(userId, TASK_OPERATIONS.UPDATE, taskId);
+        }
+
+        return true;
+      },
+      { parentId, count: orderedTaskIds.length },
+    );
+
+    return result.success && result.data === true;
+  }
+
+  /**
+   * Pull the latest tasks from Supabase and reconcile them with local state.
+   * Tasks with unsynced local edits are merged with ConflictResolver instead of
+   * being overwritten; if Supabase can't be reached local data is left alone.
+   */
+  async syncFromRemote(): Promise<Task[]> {
+    const result = await this.wrapAsync('syncFromRemote', async () => {
+      const userId = this.requireUser();
+
+      const remoteResult = await TaskStorageService.fetchAllTasks();
+      if (!remoteResult.success || !remoteResult.data) {
+        throw new Error(remoteResult.error?.message ?? 'Failed to fetch remote tasks');
+      }
+
+      const remoteIds = new Set<string>();
+      for (const remoteTask of remoteResult.data) {
+        remoteIds.add(remoteTask.id);
+        await this.reconcileRemoteTask(remoteTask);
+      }
+
+      // Anything that is neither on the server nor waiting to be pushed was deleted elsewhere
+      for (const taskId of [...this.tasks.keys()]) {
+        if (!remoteIds.has(taskId) && !this.hasPendingChanges(taskId)) {
+          this.tasks.delete(taskId);
+          this.remoteVersions.delete(taskId);
+        }
+      }
+
+      this.lastSyncedAt = new Date();
+      await this.persist(userId);
+      this.notify();
+
+      return this.getTasks();
+    });
+
+    return result.success && result.data ? result.data : this.getTasks();
+  }
+
+  /**
+   * Apply a realtime change pushed from Supabase
+   */
+  async applyRemoteChange(remoteTask: Task, eventType: string): Promise<void> {
+    const result = await this.wrapAsync(
+      'applyRemoteChange',
+      async () => {
+        const userId = this.requireUser();
+
+        if (eventType === 'DELETE') {
+          if (this.hasPendingChanges(remoteTask.id)) return;
+          this.tasks.delete(remoteTask.id);
+          this.remoteVersions.delete(remoteTask.id);
+        } else {
+          await this.reconcileRemoteTask(remoteTask);
+        }
+
+        await this.persist(userId);
+        this.notify();
+      },
+      { taskId: remoteTask.id, eventType },
+    );
+
+    if (!result.success) {
+      this.logger.warn('Dropped realtime task change', {
+        code: 'LOCAL_TASK_STORE_001',
+        context: JSON.stringify({ taskId: remoteTask.id, eventType }),
+      });
+    }
+  }
+
+  /**
+   * Settle a recorded task conflict with the values the user picked on the
+   * merge screen. Fields left out keep their current value.
+   */
+  async resolveConflict(
+    conflictId: string,
+    choices: Record<string, FieldResolutionSource>,
+  ): Promise<boolean> {
+    const result = await this.wrapAsync(
+      'resolveConflict',
+      async () => {
+        const record = ConflictHistoryService.getConflict(conflictId);
+        if (record?.entity !== 'task') {
+          throw new Error('Conflict not found');
+        }
+
+        const current = this.tasks.get(record.entityId);
+        if (!current) {
+          throw new Error('Task no longer exists');
+        }
+
+        const sources: Record<FieldResolutionSource, Record<string, unknown>> = {
+          local: record.localData as Record<string, unknown>,
+          remote: record.remoteData as Record<string, unknown>,
+          merged: record.resolvedData as Record<string, unknown>,
+        };
+
+        const resolution = await ConflictResolver.resolveConflict<Task>(
+          {
+            entity: record.entity,
+            entityId: record.entityId,
+            localData: LocalTaskStore.deserializeTask(sources.local),
+            remoteData: LocalTaskStore.deserializeTask(sources.remote),
+            conflictFields: record.conflictFields,
+            timestamp: record.detectedAt,
+          },
+          {
+            strategy: 'manual',
+            resolver: () => {
+              const merged = { ...current } as unknown as Record<string, unknown>;
+              for (const [field, source] of Object.entries(choices)) {
+                if (record.conflictFields.includes(field)) {
+                  merged[field] = sources[source][field];
+                }
+              }
+              return LocalTaskStore.deserializeTask(merged);
+            },
+          },
+        );
+
+        const resolvedTask = { ...resolution.resolvedData, updatedAt: new Date() };
+        const saved = await this.updateTask(resolvedTask);
+        if (!saved) {
+          throw new Error('Failed to save merged task');
+        }
+
+        await ConflictHistoryService.markResolved(conflictId, {
+          ...resolution,
+          resolvedData: resolvedTask,
+        });
+        return true;
+      },
+      { conflictId },
+    );
+
+    return result.success && result.data === true;
+  }
+
+  /**
+   * Forget in-memory state (e.g. on logout). Persisted data stays on device.
+   */
+  reset(): void {
+    this.resetState();
+    this.userId = null;
+    ConflictHistoryService.reset();
+    this.notify();
+  }
+
+  private resetState(): void {
+    this.tasks.clear();
+    this.pendingOperations.clear();
+    this.remoteVersions.clear();
+    this.deletedTaskIds.clear();
+    this.lastSyncedAt = null;
+  }
+
+  private requireUser(): string {
+    if (!this.userId) {
+      throw new Error('LocalTaskStore used before initialize()');
+    }
+    return this.userId;
+  }
+
+  private async reconcileRemoteTask(remoteTask: Task): Promise<void> {
+    if (this.deletedTaskIds.has(remoteTask.id)) return;
+
+    const localTask = this.tasks.get(remoteTask.id);
+    const remoteVersion = new Date(remoteTask.updatedAt).toISOString();
+    const remoteChanged = this.remoteVersions.get(remoteTask.id) !== remoteVersion;
+    this.remoteVersions.set(remoteTask.id, remoteVersion);
+
+    if (!localTask || !this.hasPendingChanges(remoteTask.id)) {
+      this.tasks.set(remoteTask.id, remoteTask);
+      return;
+    }
+
+    // Local edits are still queued; only merge if the server moved on since we last looked
+    if (!remoteChanged) return;
+
+    const conflict = ConflictResolver.detectConflicts<Task>(
+      localTask,
+      remoteTask,
+      'task',
+      remoteTask.id,
+      ['updatedAt', 'createdAt'],
+    );
+    if (!conflict) return;
+
+    const resolution = await ConflictResolver.resolveConflict<Task>(conflict);
+    this.tasks.set(remoteTask.id, { ...resolution.resolvedData, updatedAt: new Date() });
+
+    const needsReview = conflict.conflictFields.some((field) => REVIEW_FIELDS.includes(field));
+    await ConflictHistoryService.recordConflict(conflict, resolution, needsReview);
+  }
+
+  private async commitLocalChange(
+    userId: string,
+    type: TaskOperationType,
+    taskId: string,
+  ): Promise<void> {
+    this.pendingOperations.set(taskId, (this.pendingOperations.get(taskId) ?? 0) + 1);
+    await this.persist(userId);
+    this.notify();
+
+    const data: TaskOperationData = { taskId };
+    await this.queueOperation(userId, type, data);
+  }
+
+  private async queueOperation(
+    userId: string,
+    type: TaskOperationType,
+    data: TaskOperationData | TaskBatchOperationData,
+  ): Promise<void> {
+    await OfflineQueueManager.addOperation(type, data, {
+      priority: 'high',
+      maxRetries: 10,
+      userId,
+    });
+  }
+
+  private registerProcessors(): void {
+    const onDiscard = (operation: OfflineOperation) => this.discardOperation(operation);
+
+    OfflineQueueManager.registerProcessor(
+      TASK_OPERATIONS.CREATE,
+      (operation) => this.pushTask(operation, 'create'),
+      onDiscard,
+    );
+    OfflineQueueManager.registerProcessor(
+      TASK_OPERATIONS.CREATE_BATCH,
+      (operation) => this.pushTaskBatch(operation),
+      onDiscard,
+    );
+    OfflineQueueManager.registerProcessor(
+      TASK_OPERATIONS.UPDATE,
+      (operation) => this.pushTask(operation, 'update'),
+      onDiscard,
+    );
+    OfflineQueueManager.registerProcessor(
+      TASK_OPERATIONS.DELETE,
+      (operation) => this.pushDelete(operation),
+      onDiscard,
+    );
+  }
+
+  /**
+   * The user gave up on a change that would not sync. Stop treating it as
+   * pending and pull the server copy so the local task matches what was saved.
+   */
+  private async discardOperation(operation: OfflineOperation): Promise<void> {
+    const taskIds =
+      operation.type === TASK_OPERATIONS.CREATE_BATCH
+        ? (operation.data as TaskBatchOperationData).taskIds
+        : [(operation.data as TaskOperationData).taskId];
+
+    for (const taskId of taskIds) {
+      if (operation.type === TASK_OPERATIONS.DELETE) {
+        this.deletedTaskIds.delete(taskId);
+      }
+      await this.settleOperation(operation.userId, taskId);
+    }
+
+    if (this.userId === operation.userId) {
+      await this.syncFromRemote();
+    }
+  }
+
+  /**
+   * Push the latest local copy of a task. Reading the current copy (rather than
+   * a snapshot in the operation) means later edits made offline are included.
+   */
+  private async pushTask(operation: OfflineOperation, mode: 'create' | 'update'): Promise<void> {
+    const { taskId } = operation.data as TaskOperationData;
+    const task = this.tasks.get(taskId);
+
+    if (task) {
+      const success =
+        mode === 'create'
+          ? await TaskStorageService.saveTask(task)
+          : await TaskStorageService.updateTask(task, { scheduleNextOccurrence: false });
+
+      if (!success) {
+        throw new Error(`Failed to sync task ${mode}`);
+      }
+    }
+
+    await this.settleOperation(operation.userId, taskId);
+  }
+
+  /**
+   * Push the latest copies of a batch of new tasks in one insert. Tasks deleted
+   * locally before the batch synced are left out.
+   */
+  private async pushTaskBatch(operation: OfflineOperation): Promise<void> {
+    const { taskIds } = operation.data as TaskBatchOperationData;
+    const tasks = taskIds
+      .map((taskId) => this.tasks.get(taskId))
+      .filter((task): task is Task => task !== undefined);
+
+    if (tasks.length > 0) {
+      const success = await TaskStorageService.saveTasks(tasks);
+      if (!success) {
+        throw new Error('Failed to sync task batch');
+      }
+    }
+
+    for (const taskId of taskIds) {
+      await this.settleOperation(operation.userId, taskId);
+    }
+  }
+
+  private async pushDelete(operation: OfflineOperation): Promise<void> {
+    const { taskId } = operation.data as TaskOperationData;
+
+    const success = await TaskStorageService.deleteTask(taskId);
+    if (!success) {
+      throw new Error('Failed to sync task delete');
+    }
+
+    this.deletedTaskIds.delete(taskId);
+    this.remoteVersions.delete(taskId);
+    await this.settleOperation(operation.userId, taskId);
+  }
+
+  private async settleOperation(userId: string, taskId: string): Promise<void> {
+    const remaining = (this.pendingOperations.get(taskId) ?? 1) - 1;
+    if (remaining > 0) {
+      this.pendingOperations.set(taskId, remaining);
+    } else {
+      this.pendingOperations.delete(taskId);
+    }
+
+    // The queue may finish after the user switched accounts
+    if (this.userId === userId) {
+      await this.persist(userId);
+    }
+  }
+
+  private notify(): void {
+    const tasks = this.getTasks();
+    this.listeners.forEach((listener) => {
+      listener(tasks);
+    });
+  }
+
+  private async loadPersisted(userId: string): Promise<void> {
+    try {
+      const raw = await AsyncStorage.getItem(`${this.STORAGE_KEY_PREFIX}${userId}`);
+      if (!raw) return;
+
+      const stored = JSON.parse(raw) as PersistedTaskStore;
+      for (const serialized of stored.tasks ?? []) {
+        const task = LocalTaskStore.deserializeTask(serialized);
+        this.tasks.set(task.id, task);
+      }
+      this.pendingOperations = new Map(Object.entries(stored.pendingOperations ?? {}));
+      this.remoteVersions = new Map(Object.entries(stored.remoteVersions ?? {}));
+      this.deletedTaskIds = new Set(stored.deletedTaskIds ?? []);
+      this.lastSyncedAt = stored.lastSyncedAt ? new Date(stored.lastSyncedAt) : null;
+    } catch (error) {
+      this.logError('loadPersisted', error, { userId });
+    }
+  }
+
+  private async persist(userId: string): Promise<void> {
+    const stored: PersistedTaskStore = {
+      tasks: [...this.tasks.values()] as unknown as Array<Record<string, unknown>>,
+      pendingOperations: Object.fromEntries(this.pendingOperations),
+      remoteVersions: Object.fromEntries(this.remoteVersions),
+      deletedTaskIds: [...this.deletedTaskIds],
+      lastSyncedAt: this.lastSyncedAt ? this.lastSyncedAt.toISOString() : null,
+    };
+
+    try {
+      await AsyncStorage.setItem(`${this.STORAGE_KEY_PREFIX}${userId}`, JSON.stringify(stored));
+    } catch (error) {
+      this.logError('persist', error, { userId, taskCount: this.tasks.size });
+    }
+  }
+
+  private static deserializeTask(serialized: Record<string, unknown>): Task {
+    const task = { ...serialized } as Record<string, unknown>;
+
+    for (const field of DATE_FIELDS) {
+      const value = task[field];
+      task[field] = typeof value === 'string' ? new Date(value) : (value ?? null);
+    }
+
+    task.inbox = task.inbox ?? false;
+    task.assignmentStatus = task.assignmentStatus ?? null;
+    task.assignmentNote = task.assignmentNote ?? null;
+    task.counterTimeEstimate = task.counterTimeEstimate ?? null;
+
+    const encouragements = (task.encouragementReceived ?? []) as Array<Record<string, unknown>>;
+    task.encouragementReceived = encouragements.map((encouragement) => ({
+      ...encouragement,
+      timestamp: new Date(encouragement.timestamp as string),
+    }));
+
+    return task as unknown as Task;
+  }
+}
+
+export default new LocalTaskStore();
+export { LocalTaskStore };
@@ -1,31 +1,59 @@
 // ABOUTME: Simplified NotificationService that directly uses Supabase for all notification storage
-// No local storage fallback, no manual cleanup - pure Supabase implementation
+// Applies the recipient's delivery policy before inserting; no manual cleanup - pure Supabase implementation
 
 import { supabase } from './SupabaseService';
 import { BaseService } from './BaseService';
 import { NOTIFICATION_TYPES } from '../constants/UserConstants';
 import UserStorageService from './UserStorageService';
+import PartnershipService from './PartnershipService';
 import type { Notification, NotificationTypes, User, Task, Result } from '../types';
 import { NotificationPriority } from '../types';
+import { getDeliveryDecision } from '../utils/NotificationPolicy';
+import type { DeliveryDecision } from '../utils/NotificationPolicy';
 import type { RealtimeChannel, RealtimePostgresChangesPayload } from '@supabase/supabase-js';
 
+// How each answer to a deadline change request reads, keyed by the request's new status
+const DEADLINE_CHANGE_OUTCOMES: Record<string, string> = {
+  approved: 'approved the new due date for',
+  rejected: 'kept the original due date for',
+  countered: 'suggested another due date for',
+  accepted: 'accepted the suggested due date for',
+  declined: 'declined the suggested due date for',
+};
+
+// How each answer to a task proposal reads, keyed by the outcome the answer sent
+const ASSIGNMENT_OUTCOMES: Record<string, string> = {
+  accepted: 'accepted',
+  declined: 'declined',
+  renegotiating: 'suggested changes to',
+  changes_accepted: 'accepted your changes to',
+  original_kept: 'kept the original plan for',
+};
+
 export interface INotificationService {
   sendNotification(
     toUserId: string,
     type: NotificationTypes,
     data: Record<string, unknown>,
+    options?: SendNotificationOptions,
   ): Promise<Result<boolean>>;
   notifyTaskAssigned(task: Task, assignedByUser: User): Promise<Result<boolean>>;
   notifyTaskStarted(task: Task, startedByUser: User): Promise<Result<boolean>>;
   notifyTaskCompleted(task: Task, completedByUser: User): Promise<Result<boolean>>;
   notifyTaskOverdue(task: Task): Promise<Result<boolean>>;
+  notifyPartnerTaskOverdue(task: Task): Promise<Result<boolean>>;
   sendEncouragement(
     fromUserId: string,
     toUserId: string,
     message: string,
     taskId?: string | null,
   ): Promise<Result<boolean>>;
-  sendCheckIn(fromUserId: string, toUserId: string, message: string): Promise<Result<boolean>>;
+  sendCheckIn(
+    fromUserId: string,
+    toUserId: string,
+    message: string,
+    scheduleId?: string | null,
+  ): Promise<Result<boolean>>;
   getNotificationsForUser(userId: string): Promise<Result<Notification[]>>;
   getUnreadNotificationCount(userId: string): Promise<Result<number>>;
   markNotificationAsRead(notificationId: string): Promise<Result<boolean>>;
@@ -37,6 +65,11 @@ export interface INotificationService {
   ): () => void;
 }
 
+export interface SendNotificationOptions {
+  // Overrides the priority derived from the type; URGENT skips quiet hours
+  priority?: NotificationPriority;
+}
+
 // Database notification type mapping
 interface DbNotification {
   id: string;
@@ -50,10 +83,12 @@ interface DbNotification {
   read_at?: string | null;
   created_at?: string;
   expires_at?: string;
+  deliver_at?: string | null;
 }
 
 export class NotificationService extends BaseService implements INotificationService {
   private subscriptions = new Map<string, RealtimeChannel>();
+  private deferredTimers = new Map<string, Set<ReturnType<typeof setTimeout>>>();
 
   constructor() {
     super('Notification');
@@ -77,6 +112,10 @@ export class NotificationService extends BaseService implements INotificationSer
     switch (type) {
       case NOTIFICATION_TYPES.TASK_ASSIGNED:
         return 'New Task Assigned';
+      case NOTIFICATION_TYPES.TASK_PROPOSED:
+        return 'New Task Proposal';
+      case NOTIFICATION_TYPES.TASK_ASSIGNMENT_RESPONSE:
+        return 'Task Proposal Answered';
       case NOTIFICATION_TYPES.TASK_STARTED:
         return 'Task Started';
       case NOTIFICATION_TYPES.TASK_COMPLETED:
@@ -87,8 +126,18 @@ export class NotificationService extends BaseService implements INotificationSer
         return 'Encouragement';
       case NOTIFICATION_TYPES.CHECK_IN:
         return 'Partner Check-In';
+      case NOTIFICATION_TYPES.CHECK_IN_RESPONSE:
+        return 'Check-In Answered';
       case NOTIFICATION_TYPES.DEADLINE_CHANGE_REQUEST:
         return 'Deadline Change Request';
+      case NOTIFICATION_TYPES.DEADLINE_CHANGE_RESPONSE:
+        return 'Deadline Change Answered';
+      case NOTIFICATION_TYPES.REWARD_REDEEMED:
+        return 'Reward Redeemed';
+      case NOTIFICATION_TYPES.REWARD_FULFILLED:
+        return 'Reward Fulfilled';
+      case NOTIFICATION_TYPES.BODY_DOUBLING_INVITE:
+        return 'Focus Together?';
       default:
         return 'Notification';
     }
@@ -97,10 +146,17 @@ export class NotificationService extends BaseService implements INotificationSer
   private generateMessage(type: NotificationTypes, data: Record<string, unknown>): string {
     const fromUserName = data.fromUserName ?? 'Your partner';
     const taskTitle = data.taskTitle ?? 'a task';
+    const rewardTitle = data.rewardTitle ?? 'a reward';
 
     switch (type) {
       case NOTIFICATION_TYPES.TASK_ASSIGNED:
         return `${fromUserName} assigned you "${taskTitle}"`;
+      case NOTIFICATION_TYPES.TASK_PROPOSED:
+        return `${fromUserName} would like you to take on "${taskTitle}"`;
+      case NOTIFICATION_TYPES.TASK_ASSIGNMENT_RESPONSE:
+        return `${fromUserName} ${
+          ASSIGNMENT_OUTCOMES[data.outcome as string] ?? 'answered about'
+        } "${taskTitle}"`;
       case NOTIFICATION_TYPES.TASK_STARTED:
         return `${fromUserName} started working on "${taskTitle}"`;
       case NOTIFICATION_TYPES.TASK_COMPLETED:
@@ -111,8 +167,22 @@ export class NotificationService extends BaseService implements INotificationSer
         return (data.message as string) ?? `${fromUserName} sent you encouragement`;
       case NOTIFICATION_TYPES.CHECK_IN:
         return (data.message as string) ?? `${fromUserName} is checking in on you`;
+      case NOTIFICATION_TYPES.CHECK_IN_RESPONSE:
+        return `${fromUserName} checked in: mood ${data.mood as number}/5, energy ${data.energy as number}/5`;
       case NOTIFICATION_TYPES.DEADLINE_CHANGE_REQUEST:
         return `${fromUserName} requested a deadline change for "${taskTitle}"`;
+      case NOTIFICATION_TYPES.DEADLINE_CHANGE_RESPONSE:
+        return `${fromUserName} ${
+          DEADLINE_CHANGE_OUTCOMES[data.status as string] ?? 'answered the deadline change for'
+        } "${taskTitle}"`;
+      case NOTIFICATION_TYPES.REWARD_REDEEMED:
+        return `${fromUserName} redeemed "${rewardTitle}" for ${data.xpCost as number} XP`;
+      case NOTIFICATION_TYPES.REWARD_FULFILLED:
+        return `${fromUserName} gave you "${rewardTitle}" - enjoy!`;
+      case NOTIFICATION_TYPES.BODY_DOUBLING_INVITE:
+        return data.taskTitle
+          ? `${fromUserName} invited you to body double while they work on "${taskTitle}"`
+          : `${fromUserName} invited you to a body doubling session`;
       default:
         return 'You have a new notification';
     }
@@ -122,6 +192,7 @@ export class NotificationService extends BaseService implements INotificationSer
     switch (type) {
       case NOTIFICATION_TYPES.TASK_OVERDUE:
       case NOTIFICATION_TYPES.DEADLINE_CHANGE_REQUEST:
+      case NOTIFICATION_TYPES.BODY_DOUBLING_INVITE:
         return NotificationPriority.HIGH;
       case NOTIFICATION_TYPES.ENCOURAGEMENT:
       case NOTIFICATION_TYPES.CHECK_IN:
@@ -131,27 +202,64 @@ export class NotificationService extends BaseService implements INotificationSer
     }
   }
 
+  private async getDeliveryDecisionFor(
+    toUserId: string,
+    type: NotificationTypes,
+    priority: NotificationPriority,
+  ): Promise<DeliveryDecision> {
+    const [recipient, partnershipResult] = await Promise.all([
+      UserStorageService.getUserById(toUserId),
+      PartnershipService.getActivePartnership(toUserId),
+    ]);
+
+    return getDeliveryDecision({
+      type,
+      priority,
+      preferences: recipient?.notificationPreferences ?? null,
+      quietHours: partnershipResult.success ? (partnershipResult.data?.settings ?? null) : null,
+      timeZone: recipient?.timeZone ?? null,
+    });
+  }
+
+  /**
+   * Resolves true once the notification is handled: inserted, held until quiet
+   * hours end, or dropped because the recipient muted it.
+   */
   async sendNotification(
     toUserId: string,
     type: NotificationTypes,
     data: Record<string, unknown>,
+    options: SendNotificationOptions = {},
   ): Promise<Result<boolean>> {
+    const priority = options.priority ?? this.getPriority(type);
+
     return this.wrapAsync(
       'sendNotification',
       async () => {
+        const decision = await this.getDeliveryDecisionFor(toUserId, type, priority);
+
+        if (decision.action === 'suppress') {
+          this.logger.info('Notification suppressed by recipient preferences', {
+            code: 'NOTIFICATION_POLICY_001',
+            context: JSON.stringify({ toUserId, type, reason: decision.reason }),
+          });
+          return true;
+        }
+
         const { error } = await supabase.from('notifications').insert({
           user_id: toUserId,
           type,
           title: this.generateTitle(type, data),
           message: this.generateMessage(type, data),
           data,
-          priority: this.getPriority(type),
+          priority,
+          deliver_at: decision.action === 'defer' ? decision.deliverAt.toISOString() : null,
         });
 
         if (error) throw error;
         return true;
       },
-      { toUserId, type, hasData: Object.keys(data).length > 0 },
+      { toUserId, type, priority, hasData: Object.keys(data).length > 0 },
     );
   }
 
@@ -269,6 +377,34 @@ export class NotificationService extends BaseService implements INotificationSer
     );
   }
 
+  /**
+   * Tells only the partner who assigned the task that it slipped past its due date
+   */
+  async notifyPartnerTaskOverdue(task: Task): Promise<Result<boolean>> {
+    return this.wrapAsync(
+      'notifyPartnerTaskOverdue',
+      async () => {
+        if (!task.assignedBy || task.assignedBy === task.assignedTo) {
+          return false;
+        }
+
+        const result = await this.sendNotification(
+          task.assignedBy,
+          NOTIFICATION_TYPES.TASK_OVERDUE,
+          {
+            taskId: task.id,
+            taskTitle: task.title,
+            dueDate: task.dueDate ? new Date(task.dueDate).toISOString() : null,
+            assignedToUserId: task.assignedTo,
+          },
+        );
+
+        return result.success ? result.data! : false;
+      },
+      { taskId: task.id, assignedBy: task.assignedBy },
+    );
+  }
+
   async sendEncouragement(
     fromUserId: string,
     toUserId: string,
@@ -299,6 +435,7 @@ export class NotificationService extends BaseService implements INotificationSer
     fromUserId: string,
     toUserId: string,
     message: string,
+    scheduleId: string | null = null,
   ): Promise<Result<boolean>> {
     return this.wrapAsync(
       'sendCheckIn',
@@ -311,11 +448,12 @@ export class NotificationService extends BaseService implements INotificationSer
           fromUserId,
           fromUserName: fromUser.name ?? 'Unknown User',
           message,
+          scheduleId,
         });
 
         return result.success ? result.data! : false;
       },
-      { fromUserId, toUserId },
+      { fromUserId, toUserId, scheduleId },
     );
   }
 
@@ -327,6 +465,7 @@ export class NotificationService extends BaseService implements INotificationSer
           .from('notifications')
           .select('*')
           .eq('user_id', userId)
+          .or(this.deliveredFilter())
           .order('created_at', { ascending: false })
           .limit(100);
 
@@ -346,6 +485,7 @@ export class NotificationService extends BaseService implements INotificationSer
           .from('notifications')
           .select('id')
           .eq('user_id', userId)
+          .or(this.deliveredFilter())
           .is('read', false);
 
         if (error) throw error;
@@ -424,10 +564,10 @@ export class NotificationService extends BaseService implements INotificationSer
         },
         (payload: RealtimePostgresChangesPayload<DbNotification>) => {
           if (payload.new) {
-            const notification = this.transformDbNotificationToNotification(
-              payload.new as DbNotification,
-            );
-            callback(notification);
+            const dbNotif = payload.new as DbNotification;
+            this.whenDeliverable(userId, dbNotif, () => {
+              callback(this.transformDbNotificationToNotification(dbNotif));
+            });
           }
         },
       )
@@ -443,8 +583,33 @@ export class NotificationService extends BaseService implements INotificationSer
         void sub.unsubscribe();
         this.subscriptions.delete(userId);
       }
+      this.deferredTimers.get(userId)?.forEach((timer) => {
+        clearTimeout(timer);
+      });
+      this.deferredTimers.delete(userId);
     };
   }
+
+  // Notifications held for quiet hours stay hidden until their deliver_at passes
+  private deliveredFilter(): string {
+    return `deliver_at.is.null,deliver_at.lte.${new Date().toISOString()}`;
+  }
+
+  private whenDeliverable(userId: string, dbNotif: DbNotification, deliver: () => void): void {
+    const delay = dbNotif.deliver_at ? new Date(dbNotif.deliver_at).getTime() - Date.now() : 0;
+    if (delay <= 0) {
+      deliver();
+      return;
+    }
+
+    const timers = this.deferredTimers.get(userId) ?? new Set();
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      deliver();
+    }, delay);
+    timers.add(timer);
+    this.deferredTimers.set(userId, timers);
+  }
 }
 
 export default new NotificationService();
@@ -3,22 +3,8 @@
 
 import { BaseService } from './BaseService';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-// import NetInfo from '@react-native-community/netinfo';
-
-interface NetInfoState {
-  isConnected: boolean | null;
-}
-
-// Mock NetInfo for now - would need to install @react-native-community/netinfo
-const NetInfo = {
-  addEventListener: (callback: (state: NetInfoState) => void) => {
-    // Mock implementation - always return online
-    setTimeout(() => {
-      callback({ isConnected: true });
-    }, 100);
-    return () => {}; // unsubscribe function
-  },
-};
+import ConnectionMonitor from './ConnectionMonitor';
+import type { ConnectionEvent } from './ConnectionMonitor';
 
 // Simple UUID implementation to avoid additional dependency
 const uuid = () => {
@@ -39,6 +25,8 @@ export interface OfflineOperation {
   priority: 'low' | 'medium' | 'high';
   userId: string;
   dependsOn?: string[]; // IDs of operations this depends on
+  lastError?: string; // Message from the most recent failed attempt
+  nextAttemptAt?: Date; // Set after a failure; the operation waits until then before retrying
 }
 
 export interface OfflineOperationResult {
@@ -52,18 +40,38 @@ interface QueueProcessor {
   [key: string]: (operation: OfflineOperation) => Promise<unknown>;
 }
 
+export interface QueueStatus {
+  queueLength: number;
+  deadLetterLength: number;
+  isProcessing: boolean;
+  isOnline: boolean;
+  isConnectionSlow: boolean;
+  queueByPriority: { high: number; medium: number; low: number };
+}
+
+type QueueStatusListener = (status: QueueStatus) => void;
+
 class OfflineQueueManager extends BaseService {
   private queue: OfflineOperation[] = [];
   private isProcessing = false;
+  private currentRun: Promise<OfflineOperationResult[]> | null = null;
   private isOnline = true;
+  private isConnectionSlow = false;
   private deadLetterQueue: OfflineOperation[] = [];
+  private retryTimer: ReturnType<typeof setTimeout> | null = null;
 
   private readonly STORAGE_KEY = 'offline_operation_queue';
   private readonly DEAD_LETTER_KEY = 'dead_letter_queue';
   private readonly MAX_QUEUE_SIZE = 1000;
   private readonly BATCH_SIZE = 10;
+  private readonly SLOW_BATCH_SIZE = 3;
+  // Retries back off exponentially so a short outage doesn't use them all up at once
+  private readonly RETRY_BASE_DELAY_MS = 2000;
+  private readonly RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
 
   private processors: QueueProcessor = {};
+  private discardHandlers: Record<string, (operation: OfflineOperation) => Promise<void>> = {};
+  private listeners: Set<QueueStatusListener> = new Set();
 
   constructor() {
     super('OfflineQueue');
@@ -72,27 +80,53 @@ class OfflineQueueManager extends BaseService {
   }
 
   /**
-   * Initialize network state monitoring
+   * Follow ConnectionMonitor so the queue holds operations while offline
+   * and drains them as soon as the connection comes back
    */
   private initializeNetworkListener(): void {
-    NetInfo.addEventListener((state) => {
-      const wasOnline = this.isOnline;
-      this.isOnline = state.isConnected ?? false;
-
-      if (!wasOnline && this.isOnline) {
-        // Came back online, process queue
-        this.logger.info('Connection restored, processing offline queue', {
-          code: 'OFFLINE_QUEUE_001',
-        });
-        void this.processQueue();
-      } else if (wasOnline && !this.isOnline) {
-        this.logger.info('Connection lost, switching to offline mode', {
-          code: 'OFFLINE_QUEUE_002',
-        });
-      }
+    ConnectionMonitor.subscribe((event) => {
+      this.handleConnectionEvent(event);
     });
   }
 
+  /**
+   * React to a connection event from ConnectionMonitor
+   */
+  private handleConnectionEvent(event: ConnectionEvent): void {
+    const wasOnline = this.isOnline;
+
+    switch (event.type) {
+      case 'connected':
+      case 'restored':
+        this.isOnline = true;
+        this.isConnectionSlow = false;
+        if (!wasOnline) {
+          this.logger.info('Connection restored, processing offline queue', {
+            code: 'OFFLINE_QUEUE_001',
+          });
+        }
+        void this.processQueue();
+        break;
+      case 'slow':
+        // Still online, but keep batches small so a sluggish link isn't tied up
+        this.isConnectionSlow = true;
+        void this.processQueue();
+        break;
+      case 'disconnected':
+        this.isOnline = false;
+        if (wasOnline) {
+          this.logger.info('Connection lost, switching to offline mode', {
+            code: 'OFFLINE_QUEUE_002',
+          });
+        }
+        break;
+      default:
+        break;
+    }
+
+    this.notifyListeners();
+  }
+
   /**
    * Load persisted queue from storage
    */
@@ -107,6 +141,7 @@ class OfflineQueueManager extends BaseService {
         this.queue = (JSON.parse(queueData) as Array<Record<string, unknown>>).map((op) => ({
           ...op,
           timestamp: new Date(op.timestamp as string),
+          nextAttemptAt: op.nextAttemptAt ? new Date(op.nextAttemptAt as string) : undefined,
         })) as OfflineOperation[];
       }
 
@@ -145,6 +180,7 @@ class OfflineQueueManager extends BaseService {
         AsyncStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.queue)),
         AsyncStorage.setItem(this.DEAD_LETTER_KEY, JSON.stringify(this.deadLetterQueue)),
       ]);
+      this.notifyListeners();
     } catch (error) {
       this.logError('persistQueue', error, {
         queueSize: this.queue.length,
@@ -174,13 +210,47 @@ class OfflineQueueManager extends BaseService {
   }
 
   /**
-   * Register a processor for a specific operation type
+   * Register a processor for a specific operation type. The optional discard
+   * handler runs when the user throws an operation of this type away, so the
+   * owner can roll back whatever it was waiting to sync.
    */
   registerProcessor(
     operationType: string,
     processor: (operation: OfflineOperation) => Promise<unknown>,
+    onDiscard?: (operation: OfflineOperation) => Promise<void>,
   ): void {
     this.processors[operationType] = processor;
+    if (onDiscard) {
+      this.discardHandlers[operationType] = onDiscard;
+    } else {
+      delete this.discardHandlers[operationType];
+    }
+  }
+
+  /**
+   * Subscribe to queue status changes (operations added, synced, failed or removed)
+   */
+  subscribe(listener: QueueStatusListener): () => void {
+    this.listeners.add(listener);
+    listener(this.getQueueStatus());
+
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Operations waiting to sync, in the order they will be processed
+   */
+  getQueuedOperations(): OfflineOperation[] {
+    return this.queue.map((op) => ({ ...op }));
+  }
+
+  /**
+   * Operations that ran out of retries and need the user to retry or discard them
+   */
+  getDeadLetterOperations(): OfflineOperation[] {
+    return this.deadLetterQueue.map((op) => ({ ...op }));
   }
 
   /**
@@ -240,6 +310,22 @@ class OfflineQueueManager extends BaseService {
     }
 
     this.isProcessing = true;
+    const run = this.runBatch();
+    this.currentRun = run;
+    try {
+      return await run;
+    } finally {
+      if (this.currentRun === run) {
+        this.currentRun = null;
+      }
+    }
+  }
+
+  /**
+   * Work through one batch of the queue; only processQueue starts a run
+   */
+  private async runBatch(): Promise<OfflineOperationResult[]> {
+    this.notifyListeners();
     const results: OfflineOperationResult[] = [];
     let processed = 0;
     let failed = 0;
@@ -250,17 +336,28 @@ class OfflineQueueManager extends BaseService {
       context: JSON.stringify({ queueLength: this.queue.length }),
     });
 
+    const batchSize = this.isConnectionSlow ? this.SLOW_BATCH_SIZE : this.BATCH_SIZE;
+    const now = Date.now();
+    // Stops the loop once every remaining operation has been passed over
+    let consecutiveSkips = 0;
+
     try {
-      while (this.queue.length > 0 && processed < this.BATCH_SIZE) {
+      while (
+        this.queue.length > 0 &&
+        processed < batchSize &&
+        consecutiveSkips < this.queue.length
+      ) {
         const operation = this.queue[0];
 
-        // Check dependencies
-        if (!this.areDependenciesSatisfied(operation)) {
+        // Wait for dependencies and for any backoff after a failed attempt
+        if (!this.isDue(operation, now) || !this.areDependenciesSatisfied(operation)) {
           // Move to end of queue and continue
           this.queue.push(this.queue.shift()!);
           skipped++;
+          consecutiveSkips++;
           continue;
         }
+        consecutiveSkips = 0;
 
         const result = await this.executeOperation(operation);
         results.push(result);
@@ -275,6 +372,7 @@ class OfflineQueueManager extends BaseService {
         } else {
           // Handle failure
           operation.retryCount++;
+          operation.lastError = result.error?.message;
 
           if (operation.retryCount >= operation.maxRetries) {
             // Move to dead letter queue
@@ -286,13 +384,19 @@ class OfflineQueueManager extends BaseService {
               context: JSON.stringify({ type: operation.type }),
             });
           } else {
-            // Keep for retry (move to end for exponential backoff effect)
+            // Keep for retry once the backoff has passed
+            const delay = this.getRetryDelay(operation.retryCount);
+            operation.nextAttemptAt = new Date(now + delay);
             this.queue.push(this.queue.shift()!);
             this.logger.info(
               `Retrying ${operation.type} operation (attempt ${operation.retryCount})`,
               {
                 code: 'OFFLINE_QUEUE_008',
-                context: JSON.stringify({ type: operation.type, attempt: operation.retryCount }),
+                context: JSON.stringify({
+                  type: operation.type,
+                  attempt: operation.retryCount,
+                  delayMs: delay,
+                }),
               },
             );
           }
@@ -320,16 +424,52 @@ class OfflineQueueManager extends BaseService {
         failedCount: failed,
         skippedCount: skipped,
         isOnline: this.isOnline,
-        batchSize: this.BATCH_SIZE,
+        batchSize,
         deadLetterQueueSize: this.deadLetterQueue.length,
       });
     } finally {
       this.isProcessing = false;
+      this.scheduleRetry();
+      this.notifyListeners();
     }
 
     return results;
   }
 
+  private isDue(operation: OfflineOperation, now: number): boolean {
+    return !operation.nextAttemptAt || new Date(operation.nextAttemptAt).getTime() <= now;
+  }
+
+  /**
+   * Delay before the next attempt: doubles with each failure, capped at a few minutes
+   */
+  private getRetryDelay(retryCount: number): number {
+    return Math.min(this.RETRY_BASE_DELAY_MS * 2 ** (retryCount - 1), this.RETRY_MAX_DELAY_MS);
+  }
+
+  /**
+   * Process the queue again when the earliest backed-off operation is due
+   */
+  private scheduleRetry(): void {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    const nextAttempts = this.queue
+      .filter((op) => op.nextAttemptAt)
+      .map((op) => new Date(op.nextAttemptAt!).getTime());
+    if (nextAttempts.length === 0) {
+      return;
+    }
+
+    const delay = Math.max(0, Math.min(...nextAttempts) - Date.now());
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      void this.processQueue();
+    }, delay);
+  }
+
   /**
    * Execute a single operation
    */
@@ -392,13 +532,7 @@ class OfflineQueueManager extends BaseService {
   /**
    * Get queue status
    */
-  getQueueStatus(): {
-    queueLength: number;
-    deadLetterLength: number;
-    isProcessing: boolean;
-    isOnline: boolean;
-    queueByPriority: { high: number; medium: number; low: number };
-  } {
+  getQueueStatus(): QueueStatus {
     const queueByPriority = this.queue.reduce(
       (acc, op) => {
         acc[op.priority]++;
@@ -412,28 +546,36 @@ class OfflineQueueManager extends BaseService {
       deadLetterLength: this.deadLetterQueue.length,
       isProcessing: this.isProcessing,
       isOnline: this.isOnline,
+      isConnectionSlow: this.isConnectionSlow,
       queueByPriority,
     };
   }
 
   /**
-   * Retry operations in dead letter queue
+   * Retry operations in dead letter queue, or just one of them when an ID is given
    */
-  async retryDeadLetterOperations(): Promise<void> {
-    if (this.deadLetterQueue.length === 0) {
+  async retryDeadLetterOperations(operationId?: string): Promise<void> {
+    const toRetry = operationId
+      ? this.deadLetterQueue.filter((op) => op.id === operationId)
+      : this.deadLetterQueue;
+
+    if (toRetry.length === 0) {
       return;
     }
 
-    this.logger.info(`Retrying ${this.deadLetterQueue.length} dead letter operations`, {
+    this.logger.info(`Retrying ${toRetry.length} dead letter operations`, {
       code: 'OFFLINE_QUEUE_012',
-      context: JSON.stringify({ count: this.deadLetterQueue.length }),
+      context: JSON.stringify({ count: toRetry.length }),
     });
 
     // Reset retry count and move back to main queue
-    const retriedOps = this.deadLetterQueue.splice(0).map((op) => ({
+    const retryIds = new Set(toRetry.map((op) => op.id));
+    const retriedOps = toRetry.map((op) => ({
       ...op,
       retryCount: 0,
+      nextAttemptAt: undefined,
     }));
+    this.deadLetterQueue = this.deadLetterQueue.filter((op) => !retryIds.has(op.id));
 
     this.queue.push(...retriedOps);
     this.sortQueue();
@@ -450,6 +592,7 @@ class OfflineQueueManager extends BaseService {
   async clearQueues(): Promise<void> {
     this.queue = [];
     this.deadLetterQueue = [];
+    this.scheduleRetry();
     await this.persistQueue();
     this.logger.info('Cleared all offline queues', {
       code: 'OFFLINE_QUEUE_013',
@@ -457,34 +600,74 @@ class OfflineQueueManager extends BaseService {
   }
 
   /**
-   * Remove specific operation from queue
+   * Remove specific operation from the queue or the dead letter queue
    */
   async removeOperation(operationId: string): Promise<boolean> {
-    const initialLength = this.queue.length;
+    const operation =
+      this.queue.find((op) => op.id === operationId) ??
+      this.deadLetterQueue.find((op) => op.id === operationId);
+
+    if (!operation) {
+      return false;
+    }
+
     this.queue = this.queue.filter((op) => op.id !== operationId);
+    this.deadLetterQueue = this.deadLetterQueue.filter((op) => op.id !== operationId);
+    await this.persistQueue();
 
-    if (this.queue.length < initialLength) {
-      await this.persistQueue();
-      return true;
+    this.logger.info(`Discarded ${operation.type} operation`, {
+      code: 'OFFLINE_QUEUE_014',
+      context: JSON.stringify({ type: operation.type, retryCount: operation.retryCount }),
+    });
+
+    const onDiscard = this.discardHandlers[operation.type];
+    if (onDiscard) {
+      try {
+        await onDiscard(operation);
+      } catch (error) {
+        this.logError('removeOperation', error, {
+          operationId,
+          operationType: operation.type,
+        });
+      }
     }
 
-    return false;
+    return true;
   }
 
   /**
-   * Force process queue (useful for testing)
+   * Force process queue, e.g. when the user taps "Sync now"
    */
   async forceProcessQueue(): Promise<OfflineOperationResult[]> {
-    const wasProcessing = this.isProcessing;
-    this.isProcessing = false;
+    // Let a run that is already going finish rather than race it over the same operations
+    while (this.currentRun) {
+      await this.currentRun;
+    }
 
-    const results = await this.processQueue();
+    // The user asked for it, so don't make them wait out a backoff
+    this.queue.forEach((op) => {
+      op.nextAttemptAt = undefined;
+    });
 
-    if (wasProcessing) {
-      this.isProcessing = true;
+    return this.processQueue();
+  }
+
+  /**
+   * Push the current status to subscribers
+   */
+  private notifyListeners(): void {
+    if (this.listeners.size === 0) {
+      return;
     }
 
-    return results;
+    const status = this.getQueueStatus();
+    this.listeners.forEach((listener) => {
+      try {
+        listener(status);
+      } catch (error) {
+        this.logError('notifyListeners', error, { listenerCount: this.listeners.size });
+      }
+    });
   }
 }
 
@@ -0,0 +1,180 @@
+// ABOUTME: Periodically finds assigned tasks that slipped past their due date and tells the partner
+// Runs on the assignee's device in the foreground and notifies each task once; quiet hours are
+// the partner's own, so NotificationService holds the notice until they end
+
+import { AppState } from 'react-native';
+import type { AppStateStatus } from 'react-native';
+import { BaseService } from './BaseService';
+import TaskStorageService from './TaskStorageService';
+import LocalTaskStore from './LocalTaskStore';
+import NotificationService from './NotificationService';
+import ConnectionMonitor from './ConnectionMonitor';
+import { systemClock } from './Clock';
+import type { Clock, ClockTimer } from './Clock';
+import type { Task } from '../types/task.types';
+import { markPartnerNotified } from '../utils/TaskModel';
+import { isActiveAssignment } from '../utils/AssignmentModel';
+
+export const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+export interface OverdueSweepResult {
+  notified: number;
+}
+
+class OverdueSweepService extends BaseService {
+  private clock: Clock = systemClock;
+  private userId: string | null = null;
+  private timer: ClockTimer | null = null;
+  private inFlight: Promise<OverdueSweepResult> | null = null;
+  private appStateSubscription: { remove: () => void } | null = null;
+  private unsubscribeConnection: (() => void) | null = null;
+
+  constructor() {
+    super('OverdueSweep');
+  }
+
+  /**
+   * Swap the clock used for timing (tests use a FakeClock)
+   */
+  setClock(clock: Clock): void {
+    this.clearTimer();
+    this.clock = clock;
+    if (this.userId) {
+      this.scheduleNextSweep();
+    }
+  }
+
+  /**
+   * Sweep now and then every few minutes, when the app comes back to the
+   * foreground and when the connection comes back
+   */
+  start(userId: string): void {
+    if (this.userId === userId) {
+      return;
+    }
+
+    this.stop();
+    this.userId = userId;
+
+    this.appStateSubscription = AppState.addEventListener('change', (state: AppStateStatus) => {
+      if (state === 'active') {
+        void this.sweep();
+      }
+    });
+    this.unsubscribeConnection = ConnectionMonitor.subscribe((event) => {
+      if (event.type === 'restored') {
+        void this.sweep();
+      }
+    });
+
+    void this.sweep();
+    this.scheduleNextSweep();
+  }
+
+  stop(): void {
+    this.clearTimer();
+    this.appStateSubscription?.remove();
+    this.appStateSubscription = null;
+    this.unsubscribeConnection?.();
+    this.unsubscribeConnection = null;
+    this.userId = null;
+  }
+
+  /**
+   * Notify partners about assigned tasks that became overdue since the last
+   * sweep. Overlapping calls share one run.
+   */
+  sweep(): Promise<OverdueSweepResult> {
+    this.inFlight ??= this.runSweep().finally(() => {
+      this.inFlight = null;
+    });
+    return this.inFlight;
+  }
+
+  private async runSweep(): Promise<OverdueSweepResult> {
+    const userId = this.userId;
+    if (!userId) {
+      return { notified: 0 };
+    }
+
+    const result = await this.wrapAsync(
+      'sweep',
+      async () => {
+        const now = new Date(this.clock.now());
+        const overdueTasks = await TaskStorageService.getOverdueTasks(userId);
+        let notified = 0;
+
+        for (const remoteTask of overdueTasks) {
+          // Prefer the local copy: it may already be done or rescheduled but not synced yet
+          const task = LocalTaskStore.getTask(remoteTask.id) ?? remoteTask;
+          if (!this.needsOverdueNotice(task, userId, now)) {
+            continue;
+          }
+
+          const sent = await NotificationService.notifyPartnerTaskOverdue(task);
+          if (!sent.success || !sent.data) {
+            continue;
+          }
+
+          await this.markNotified(task);
+          notified++;
+        }
+
+        if (notified > 0) {
+          this.logger.info(`Notified partners about ${notified} overdue tasks`, {
+            code: 'OVERDUE_SWEEP_001',
+            context: JSON.stringify({ notified }),
+          });
+        }
+
+        return { notified };
+      },
+      { userId },
+    );
+
+    return result.success && result.data ? result.data : { notified: 0 };
+  }
+
+  private needsOverdueNotice(task: Task, userId: string, now: Date): boolean {
+    return (
+      Boolean(task.assignedBy) &&
+      // Only the assignee's device sends the notice, so both partners' sweeps don't each send one
+      task.assignedTo === userId &&
+      // A proposal nobody has taken on yet can't be late
+      isActiveAssignment(task) &&
+      !task.completed &&
+      !task.partnerNotified.onOverdue &&
+      task.dueDate !== null &&
+      new Date(task.dueDate).getTime() < now.getTime()
+    );
+  }
+
+  private async markNotified(task: Task): Promise<void> {
+    // The flag is what keeps the next sweep (on any device) from notifying again
+    const updatedTask = markPartnerNotified(task, 'onOverdue');
+    if (LocalTaskStore.getTask(task.id)) {
+      await LocalTaskStore.updateTask(updatedTask);
+    } else {
+      await TaskStorageService.updateTask(updatedTask);
+    }
+  }
+
+  private scheduleNextSweep(): void {
+    this.clearTimer();
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      void this.sweep();
+      this.scheduleNextSweep();
+    }, SWEEP_INTERVAL_MS);
+  }
+
+  private clearTimer(): void {
+    if (this.timer !== null) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export default new OverdueSweepService();
+export { OverdueSweepService };
@@ -0,0 +1,274 @@
+// ABOUTME: Rewards store for a partnership, stored in Supabase
+// The partner offers real-world rewards, the ADHD user redeems them with XP and the partner confirms fulfilment
+
+import { supabase } from './SupabaseService';
+import { BaseService } from './BaseService';
+import NotificationService from './NotificationService';
+import UserStorageService from './UserStorageService';
+import { NOTIFICATION_TYPES } from '../constants/UserConstants';
+import type { Partnership } from '../types';
+import type { Result } from '../types/common.types';
+import type {
+  RewardOffer,
+  RewardOfferInput,
+  RewardRedemption,
+  RedemptionStatus,
+} from '../types/reward.types';
+import { validateRewardOffer } from '../utils/PartnerRewardModel';
+
+interface DbRewardOffer {
+  id: string;
+  partnership_id: string;
+  created_by: string;
+  title: string;
+  description: string | null;
+  xp_cost: number;
+  active: boolean;
+  created_at: string;
+}
+
+interface DbRewardRedemption {
+  id: string;
+  partnership_id: string;
+  offer_id: string | null;
+  redeemed_by: string;
+  title: string;
+  xp_cost: number;
+  status: string;
+  redeemed_at: string;
+  fulfilled_at: string | null;
+}
+
+class PartnerRewardService extends BaseService {
+  constructor() {
+    super('PartnerReward');
+  }
+
+  private transformDbOffer(row: DbRewardOffer): RewardOffer {
+    return {
+      id: row.id,
+      partnershipId: row.partnership_id,
+      createdBy: row.created_by,
+      title: row.title,
+      description: row.description,
+      xpCost: row.xp_cost,
+      active: row.active,
+      createdAt: new Date(row.created_at),
+    };
+  }
+
+  private transformDbRedemption(row: DbRewardRedemption): RewardRedemption {
+    return {
+      id: row.id,
+      partnershipId: row.partnership_id,
+      offerId: row.offer_id,
+      redeemedBy: row.redeemed_by,
+      title: row.title,
+      xpCost: row.xp_cost,
+      status: row.status as RedemptionStatus,
+      redeemedAt: new Date(row.redeemed_at),
+      fulfilledAt: row.fulfilled_at ? new Date(row.fulfilled_at) : null,
+    };
+  }
+
+  private async getUserName(userId: string): Promise<string> {
+    const user = await UserStorageService.getUserById(userId);
+    return user?.name ?? 'Your partner';
+  }
+
+  /**
+   * Offers currently in the partnership's store, cheapest first
+   */
+  async getOffers(partnershipId: string): Promise<Result<RewardOffer[]>> {
+    return this.wrapAsync(
+      'getOffers',
+      async () => {
+        const { data, error } = await supabase
+          .from('reward_offers')
+          .select('*')
+          .eq('partnership_id', partnershipId)
+          .eq('active', true)
+          .order('xp_cost', { ascending: true });
+
+        if (error) throw error;
+        return ((data ?? []) as DbRewardOffer[]).map((row) => this.transformDbOffer(row));
+      },
+      { partnershipId },
+    );
+  }
+
+  async createOffer(
+    partnership: Partnership,
+    userId: string,
+    input: RewardOfferInput,
+  ): Promise<Result<RewardOffer>> {
+    return this.wrapAsync(
+      'createOffer',
+      async () => {
+        if (partnership.partnerId !== userId) {
+          throw new Error('Only your partner can add rewards');
+        }
+
+        const validation = validateRewardOffer(input);
+        if (!validation.isValid) {
+          throw new Error(validation.errors[0]);
+        }
+
+        const { data, error } = await supabase
+          .from('reward_offers')
+          .insert({
+            partnership_id: partnership.id,
+            created_by: userId,
+            title: input.title.trim(),
+            description: input.description?.trim() ?? null,
+            xp_cost: input.xpCost,
+          })
+          .select()
+          .single<DbRewardOffer>();
+
+        if (error) throw error;
+        return this.transformDbOffer(data);
+      },
+      { partnershipId: partnership.id, userId },
+    );
+  }
+
+  /**
+   * Takes an offer out of the store; redemptions already made keep their history
+   */
+  async retireOffer(offerId: string): Promise<Result<boolean>> {
+    return this.wrapAsync(
+      'retireOffer',
+      async () => {
+        const { error } = await supabase
+          .from('reward_offers')
+          .update({ active: false })
+          .eq('id', offerId);
+
+        if (error) throw error;
+        return true;
+      },
+      { offerId },
+    );
+  }
+
+  /**
+   * Every redemption in the partnership, newest first
+   */
+  async getRedemptions(partnershipId: string): Promise<Result<RewardRedemption[]>> {
+    return this.wrapAsync(
+      'getRedemptions',
+      async () => {
+        const { data, error } = await supabase
+          .from('reward_redemptions')
+          .select('*')
+          .eq('partnership_id', partnershipId)
+          .order('redeemed_at', { ascending: false });
+
+        if (error) throw error;
+        return ((data ?? []) as DbRewardRedemption[]).map((row) => this.transformDbRedemption(row));
+      },
+      { partnershipId },
+    );
+  }
+
+  /**
+   * Spends XP from the ADHD user's balance on an offer and lets the partner know.
+   * The balance is lifetime XP minus earlier redemptions, so levels are never lost;
+   * redeem_reward checks it on the server.
+   */
+  async redeem(
+    partnership: Partnership,
+    userId: string,
+    offer: RewardOffer,
+  ): Promise<Result<RewardRedemption>> {
+    return this.wrapAsync(
+      'redeem',
+      async () => {
+        if (partnership.adhdUserId !== userId || !partnership.partnerId) {
+          throw new Error('Only the ADHD partner can redeem rewards');
+        }
+        if (!offer.active || offer.partnershipId !== partnership.id) {
+          throw new Error('This reward is no longer available');
+        }
+
+        const rpcResult = await supabase.rpc('redeem_reward', { p_offer_id: offer.id });
+
+        if (rpcResult.error) throw new Error(rpcResult.error.message);
+        const redemption = this.transformDbRedemption(rpcResult.data as DbRewardRedemption);
+
+        this.logger.info('Reward redeemed', {
+          code: 'PARTNER_REWARD_001',
+          context: JSON.stringify({ partnershipId: partnership.id, xpCost: offer.xpCost }),
+        });
+
+        // The redemption stands even if the partner can't be told right now
+        await NotificationService.sendNotification(
+          partnership.partnerId,
+          NOTIFICATION_TYPES.REWARD_REDEEMED,
+          {
+            redemptionId: redemption.id,
+            rewardTitle: redemption.title,
+            xpCost: redemption.xpCost,
+            fromUserId: userId,
+            fromUserName: await this.getUserName(userId),
+          },
+        );
+
+        return redemption;
+      },
+      { partnershipId: partnership.id, userId, offerId: offer.id },
+    );
+  }
+
+  /**
+   * The partner confirms the reward was given, and the ADHD user hears about it
+   */
+  async confirmFulfilment(
+    partnership: Partnership,
+    userId: string,
+    redemption: RewardRedemption,
+  ): Promise<Result<RewardRedemption>> {
+    return this.wrapAsync(
+      'confirmFulfilment',
+      async () => {
+        if (partnership.partnerId !== userId) {
+          throw new Error('Only your partner can confirm a reward');
+        }
+        if (redemption.status === 'fulfilled') {
+          return redemption;
+        }
+
+        const fulfilledAt = new Date();
+        const { error } = await supabase
+          .from('reward_redemptions')
+          .update({ status: 'fulfilled', fulfilled_at: fulfilledAt.toISOString() })
+          .eq('id', redemption.id);
+
+        if (error) throw error;
+
+        this.logger.info('Reward fulfilled', {
+          code: 'PARTNER_REWARD_002',
+          context: JSON.stringify({ partnershipId: partnership.id, redemptionId: redemption.id }),
+        });
+
+        await NotificationService.sendNotification(
+          redemption.redeemedBy,
+          NOTIFICATION_TYPES.REWARD_FULFILLED,
+          {
+            redemptionId: redemption.id,
+            rewardTitle: redemption.title,
+            fromUserId: userId,
+            fromUserName: await this.getUserName(userId),
+          },
+        );
+
+        return { ...redemption, status: 'fulfilled', fulfilledAt };
+      },
+      { partnershipId: partnership.id, userId, redemptionId: redemption.id },
+    );
+  }
+}
+
+export default new PartnerRewardService();
+export { PartnerRewardService };
@@ -0,0 +1,350 @@
+// ABOUTME: Schedules in-app reminders from each task's reminder1/reminder2/reminderCustom times
+// Follows the local task store so edits reschedule, completion cancels and snoozes survive restarts
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import type { AppStateStatus } from 'react-native';
+import { BaseService } from './BaseService';
+import LocalTaskStore from './LocalTaskStore';
+import { systemClock } from './Clock';
+import type { Clock, ClockTimer } from './Clock';
+import type { Task } from '../types/task.types';
+import { getTaskReminderTimes } from '../utils/ReminderModel';
+import type { ReminderSlot } from '../utils/ReminderModel';
+
+export interface TaskReminder {
+  id: string; // `${taskId}:${slot}`
+  taskId: string;
+  taskTitle: string;
+  slot: ReminderSlot;
+  remindAt: Date; // Time set on the task
+  fireAt: Date; // remindAt, or later when snoozed
+  snoozed: boolean;
+}
+
+type DueReminderListener = (dueReminders: TaskReminder[]) => void;
+
+interface SnoozeState {
+  remindAt: string;
+  until: string;
+}
+
+interface PersistedReminderState {
+  // `${reminderId}@${remindAt}` for reminders the user already dealt with
+  acknowledged: string[];
+  snoozes: Record<string, SnoozeState>;
+}
+
+export const DEFAULT_SNOOZE_MINUTES = 10;
+
+// Reminders that came due while the app was closed still show up if they are this recent
+export const MISSED_REMINDER_WINDOW_MS = 6 * 60 * 60 * 1000;
+
+// setTimeout overflows past ~24.8 days, so far-off reminders re-arm in steps
+const MAX_TIMER_DELAY_MS = 24 * 60 * 60 * 1000;
+
+const getReminderId = (taskId: string, slot: ReminderSlot): string => `${taskId}:${slot}`;
+
+const getAcknowledgementKey = (reminderId: string, remindAt: Date): string =>
+  `${reminderId}@${remindAt.toISOString()}`;
+
+class ReminderScheduler extends BaseService {
+  private clock: Clock = systemClock;
+  private userId: string | null = null;
+  private scheduled = new Map<string, TaskReminder>();
+  private due = new Map<string, TaskReminder>();
+  private acknowledged = new Set<string>();
+  private snoozes = new Map<string, SnoozeState>();
+  private listeners = new Set<DueReminderListener>();
+  private timer: ClockTimer | null = null;
+  private unsubscribeStore: (() => void) | null = null;
+  private appStateSubscription: { remove: () => void } | null = null;
+
+  private readonly STORAGE_KEY_PREFIX = 'reminder_state:';
+
+  constructor() {
+    super('ReminderScheduler');
+  }
+
+  /**
+   * Swap the clock used for timing (tests use a FakeClock)
+   */
+  setClock(clock: Clock): void {
+    this.clearTimer();
+    this.clock = clock;
+    this.armTimer();
+  }
+
+  /**
+   * Load a user's snoozes and start following their tasks
+   */
+  async start(userId: string): Promise<void> {
+    if (this.userId !== userId) {
+      this.stop();
+      this.userId = userId;
+      await this.loadPersisted(userId);
+    }
+
+    if (!this.unsubscribeStore) {
+      this.unsubscribeStore = LocalTaskStore.subscribe((tasks) => {
+        this.syncTasks(tasks);
+      });
+      // Timers don't run while the app is in the background
+      this.appStateSubscription = AppState.addEventListener('change', (state: AppStateStatus) => {
+        if (state === 'active') {
+          this.fireDueReminders();
+        }
+      });
+    }
+
+    this.syncTasks(LocalTaskStore.getTasks());
+  }
+
+  /**
+   * Stop scheduling (e.g. on logout). Snoozes stay on device for next time.
+   */
+  stop(): void {
+    this.clearTimer();
+    this.unsubscribeStore?.();
+    this.unsubscribeStore = null;
+    this.appStateSubscription?.remove();
+    this.appStateSubscription = null;
+    this.userId = null;
+    this.scheduled.clear();
+    this.due.clear();
+    this.acknowledged.clear();
+    this.snoozes.clear();
+    this.notify();
+  }
+
+  /**
+   * Rebuild the schedule from the current task list. Changed reminder times
+   * replace the old ones, and completed or deleted tasks drop out entirely.
+   */
+  syncTasks(tasks: Task[]): void {
+    const now = this.clock.now();
+    const nextScheduled = new Map<string, TaskReminder>();
+    const nextDue = new Map<string, TaskReminder>();
+
+    for (const task of tasks) {
+      if (task.completed) continue;
+
+      for (const { slot, remindAt } of getTaskReminderTimes(task)) {
+        const id = getReminderId(task.id, slot);
+        const reminder = this.buildReminder(task, slot, id, remindAt);
+
+        const shown = this.due.get(id);
+        if (shown && shown.remindAt.getTime() === remindAt.getTime()) {
+          nextDue.set(id, { ...shown, taskTitle: task.title });
+          continue;
+        }
+
+        if (this.acknowledged.has(getAcknowledgementKey(id, remindAt))) continue;
+        if (!reminder.snoozed && reminder.fireAt.getTime() < now - MISSED_REMINDER_WINDOW_MS) {
+          continue;
+        }
+
+        nextScheduled.set(id, reminder);
+      }
+    }
+
+    this.scheduled = nextScheduled;
+    const dueChanged =
+      nextDue.size !== this.due.size || [...this.due.keys()].some((id) => !nextDue.has(id));
+    this.due = nextDue;
+
+    this.pruneExpiredState(now);
+    if (dueChanged) {
+      this.notify();
+    }
+    this.fireDueReminders();
+  }
+
+  /**
+   * Upcoming reminders, soonest first
+   */
+  getScheduledReminders(): TaskReminder[] {
+    return [...this.scheduled.values()].sort((a, b) => a.fireAt.getTime() - b.fireAt.getTime());
+  }
+
+  /**
+   * Reminders that have gone off and are waiting for the user, oldest first
+   */
+  getDueReminders(): TaskReminder[] {
+    return [...this.due.values()].sort((a, b) => a.fireAt.getTime() - b.fireAt.getTime());
+  }
+
+  /**
+   * Listen for the list of due reminders. The listener is called right away.
+   */
+  subscribe(listener: DueReminderListener): () => void {
+    this.listeners.add(listener);
+    listener(this.getDueReminders());
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Hide a due reminder and bring it back after a few minutes
+   */
+  async snooze(reminderId: string, minutes: number = DEFAULT_SNOOZE_MINUTES): Promise<boolean> {
+    const reminder = this.due.get(reminderId) ?? this.scheduled.get(reminderId);
+    if (!reminder) {
+      return false;
+    }
+
+    const until = new Date(this.clock.now() + minutes * 60 * 1000);
+    this.snoozes.set(reminderId, {
+      remindAt: reminder.remindAt.toISOString(),
+      until: until.toISOString(),
+    });
+    this.due.delete(reminderId);
+    this.scheduled.set(reminderId, { ...reminder, fireAt: until, snoozed: true });
+
+    this.logger.info('Reminder snoozed', {
+      code: 'REMINDER_SCHEDULER_001',
+      context: JSON.stringify({ reminderId, minutes }),
+    });
+
+    await this.persist();
+    this.notify();
+    this.armTimer();
+    return true;
+  }
+
+  /**
+   * Hide a due reminder for good
+   */
+  async dismiss(reminderId: string): Promise<void> {
+    const reminder = this.due.get(reminderId);
+    if (!reminder) {
+      return;
+    }
+
+    this.due.delete(reminderId);
+    this.snoozes.delete(reminderId);
+    this.acknowledged.add(getAcknowledgementKey(reminderId, reminder.remindAt));
+
+    await this.persist();
+    this.notify();
+  }
+
+  private buildReminder(task: Task, slot: ReminderSlot, id: string, remindAt: Date): TaskReminder {
+    // A snooze only applies to the reminder time it was made for
+    const snooze = this.snoozes.get(id);
+    const snoozed = Boolean(snooze && new Date(snooze.remindAt).getTime() === remindAt.getTime());
+
+    return {
+      id,
+      taskId: task.id,
+      taskTitle: task.title,
+      slot,
+      remindAt,
+      fireAt: snoozed && snooze ? new Date(snooze.until) : remindAt,
+      snoozed,
+    };
+  }
+
+  private fireDueReminders(): void {
+    this.clearTimer();
+    const now = this.clock.now();
+
+    const fired: TaskReminder[] = [];
+    for (const reminder of this.scheduled.values()) {
+      if (reminder.fireAt.getTime() <= now) {
+        fired.push(reminder);
+      }
+    }
+
+    if (fired.length > 0) {
+      for (const reminder of fired) {
+        this.scheduled.delete(reminder.id);
+        this.due.set(reminder.id, reminder);
+      }
+      this.notify();
+    }
+
+    this.armTimer();
+  }
+
+  private armTimer(): void {
+    this.clearTimer();
+
+    const next = this.getScheduledReminders()[0];
+    if (!next) {
+      return;
+    }
+
+    const delay = Math.min(
+      Math.max(0, next.fireAt.getTime() - this.clock.now()),
+      MAX_TIMER_DELAY_MS,
+    );
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      this.fireDueReminders();
+    }, delay);
+  }
+
+  private clearTimer(): void {
+    if (this.timer !== null) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  private pruneExpiredState(now: number): void {
+    // Keep acknowledgements only while their reminder could still fire
+    for (const key of this.acknowledged) {
+      const remindAt = new Date(key.slice(key.lastIndexOf('@') + 1)).getTime();
+      if (remindAt < now - MISSED_REMINDER_WINDOW_MS) {
+        this.acknowledged.delete(key);
+      }
+    }
+    for (const [id, snooze] of this.snoozes) {
+      if (new Date(snooze.until).getTime() < now - MISSED_REMINDER_WINDOW_MS) {
+        this.snoozes.delete(id);
+      }
+    }
+  }
+
+  private async loadPersisted(userId: string): Promise<void> {
+    try {
+      const raw = await AsyncStorage.getItem(`${this.STORAGE_KEY_PREFIX}${userId}`);
+      if (raw) {
+        const state = JSON.parse(raw) as PersistedReminderState;
+        this.acknowledged = new Set(state.acknowledged ?? []);
+        this.snoozes = new Map(Object.entries(state.snoozes ?? {}));
+      }
+    } catch (error) {
+      this.logError('loadPersisted', error, { userId });
+    }
+  }
+
+  private async persist(): Promise<void> {
+    if (!this.userId) {
+      return;
+    }
+
+    const state: PersistedReminderState = {
+      acknowledged: [...this.acknowledged],
+      snoozes: Object.fromEntries(this.snoozes),
+    };
+
+    try {
+      await AsyncStorage.setItem(`${this.STORAGE_KEY_PREFIX}${this.userId}`, JSON.stringify(state));
+    } catch (error) {
+      this.logError('persist', error, { userId: this.userId });
+    }
+  }
+
+  private notify(): void {
+    const dueReminders = this.getDueReminders();
+    this.listeners.forEach((listener) => {
+      listener(dueReminders);
+    });
+  }
+}
+
+export default new ReminderScheduler();
+export { ReminderScheduler };
@@ -1,26 +1,53 @@
 // ABOUTME: Service for managing rewards, XP, and streak tracking
-// Handles XP calculations, streak management, and reward statistics
+// Handles XP calculations, streaks kept on the user record (with freezes), and reward statistics
 
 import { BaseService } from './BaseService';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import TaskStorageService from './TaskStorageService';
+import OfflineQueueManager from './OfflineQueueManager';
+import type { OfflineOperation } from './OfflineQueueManager';
+import { supabase } from './SupabaseService';
 import { REWARD_POINTS } from '../constants/TaskConstants';
 import type { Task } from '../types';
 import type { Result } from '../types/common.types';
+import { isEstimateAccurate } from '../utils/EstimateCalibrationModel';
+import {
+  EMPTY_STREAK,
+  getLocalDay,
+  getStreakStatus,
+  pickLatestStreak,
+  recordStreakDay,
+} from '../utils/StreakModel';
+import type { StreakState, StreakStatus } from '../utils/StreakModel';
+
+const STREAK_KEY_PREFIX = 'streak_state:';
+// Where streaks were kept before they moved to the user record
+const LEGACY_STREAK_KEY = 'streak_data';
+const LEGACY_LAST_COMPLETION_KEY = 'last_completion_date';
+
+export const STREAK_OPERATIONS = {
+  RECORD_DAY: 'streak_record_day',
+  IMPORT: 'streak_import',
+} as const;
+
+export type StreakData = StreakStatus;
+
+// The device's copy of the streak and the time zone its days are counted in
+interface StoredStreak {
+  state: StreakState;
+  timeZone: string | null;
+}
 
-const STREAK_KEY = 'streak_data';
-const LAST_COMPLETION_KEY = 'last_completion_date';
-
-export interface StreakData {
-  current: number;
-  best: number;
+interface DbStreak {
+  current_streak: number | null;
+  longest_streak: number | null;
+  last_streak_day: string | null;
+  streak_freezes: number | null;
 }
 
-export interface Achievement {
-  id: string;
-  title: string;
-  description: string;
-  xp: number;
+export interface TaskXPContext {
+  siblingCount?: number; // Number of steps under the same parent (for steps)
+  subtaskCount?: number; // Number of steps this task was broken into (for parents)
 }
 
 export interface RewardStats {
@@ -33,26 +60,48 @@ export interface RewardStats {
 }
 
 export interface IRewardService {
-  calculateTaskXP(task: Task): number;
-  updateStreak(): Promise<Result<StreakData>>;
-  getStreakData(): Promise<Result<StreakData>>;
-  getStats(): Promise<Result<RewardStats>>;
-  checkForAchievements(task: Task): Promise<Result<Achievement[]>>;
+  calculateTaskXP(task: Task, context?: TaskXPContext): number;
+  updateStreak(userId: string, completedAt?: Date): Promise<Result<StreakData>>;
+  getStreakData(userId: string, options?: { refresh?: boolean }): Promise<Result<StreakData>>;
+  getStats(userId: string): Promise<Result<RewardStats>>;
 }
 
 class RewardService extends BaseService implements IRewardService {
+  private streakUpdate: Promise<unknown> = Promise.resolve();
+
   constructor() {
     super('Reward');
+    OfflineQueueManager.registerProcessor(STREAK_OPERATIONS.RECORD_DAY, (operation) =>
+      this.pushStreakDay(operation),
+    );
+    OfflineQueueManager.registerProcessor(STREAK_OPERATIONS.IMPORT, (operation) =>
+      this.pushStreakImport(operation),
+    );
   }
-  calculateTaskXP(task: Task): number {
-    let xp = REWARD_POINTS.TASK_COMPLETION;
 
-    // Bonus for accurate time estimation (within 10%)
-    if (task.timeEstimate && task.timeSpent) {
-      const accuracy = Math.abs(task.timeSpent - task.timeEstimate) / task.timeEstimate;
-      if (accuracy <= 0.1) {
-        xp += REWARD_POINTS.TIME_ESTIMATE_ACCURATE;
+  calculateTaskXP(task: Task, context: TaskXPContext = {}): number {
+    // Steps share the base completion XP of their parent so breaking a task
+    // down never earns more than doing it in one go
+    if (task.parentId) {
+      const siblingCount = Math.max(1, context.siblingCount ?? 1);
+      let xp = Math.max(1, Math.round(REWARD_POINTS.TASK_COMPLETION / siblingCount));
+
+      if (isEstimateAccurate(task)) {
+        xp += Math.round(REWARD_POINTS.TIME_ESTIMATE_ACCURATE / siblingCount);
       }
+
+      return xp;
+    }
+
+    // Parents whose steps already paid out the base XP earn a breakdown bonus instead
+    let xp =
+      context.subtaskCount && context.subtaskCount > 0
+        ? REWARD_POINTS.TASK_BREAKDOWN_BONUS
+        : REWARD_POINTS.TASK_COMPLETION;
+
+    // Bonus for accurate time estimation (within 10%)
+    if (isEstimateAccurate(task)) {
+      xp += REWARD_POINTS.TIME_ESTIMATE_ACCURATE;
     }
 
     // Bonus for categorized tasks
@@ -65,72 +114,208 @@ class RewardService extends BaseService implements IRewardService {
     return xp;
   }
 
-  async updateStreak(): Promise<Result<StreakData>> {
-    return this.wrapAsync('updateStreak', async () => {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-
-      const lastCompletionStr = await AsyncStorage.getItem(LAST_COMPLETION_KEY);
-      const streakDataResult = await this.getStreakData();
-      const streakData =
-        streakDataResult.success && streakDataResult.data
-          ? streakDataResult.data
-          : { current: 0, best: 0 };
+  /**
+   * Count the day a task was completed towards the user's streak. The day is
+   * taken in the user's saved time zone, so it doesn't shift while travelling.
+   * Updates run one at a time and are synced through the offline queue.
+   */
+  async updateStreak(userId: string, completedAt: Date = new Date()): Promise<Result<StreakData>> {
+    return this.queueStreakChange(() =>
+      this.wrapAsync(
+        'updateStreak',
+        async () => {
+          const stored = await this.loadStreak(userId);
+          const day = getLocalDay(completedAt, stored.timeZone);
+          const state = recordStreakDay(stored.state, day);
+
+          if (state !== stored.state) {
+            await this.saveStreak(userId, { ...stored, state });
+            await OfflineQueueManager.addOperation(
+              STREAK_OPERATIONS.RECORD_DAY,
+              { p_day: day },
+              { priority: 'high', maxRetries: 10, userId },
+            );
+
+            if (state.current === 1 && stored.state.current > 1) {
+              this.logger.info('Streak restarted', {
+                code: 'STREAK_001',
+                context: JSON.stringify({ userId, previous: stored.state.current, day }),
+              });
+            }
+          }
+
+          return getStreakStatus(state, getLocalDay(new Date(), stored.timeZone));
+        },
+        { userId },
+      ),
+    );
+  }
 
-      if (!lastCompletionStr) {
-        // First task ever completed
-        await AsyncStorage.setItem(LAST_COMPLETION_KEY, today.toISOString());
-        const newStreak = { current: 1, best: Math.max(1, streakData.best) };
-        await this.setStreakData(newStreak);
-        return newStreak;
-      }
+  /**
+   * The user's streak as of today. With `refresh`, the server's copy is
+   * fetched first so completions from other devices are included.
+   */
+  async getStreakData(
+    userId: string,
+    { refresh = false }: { refresh?: boolean } = {},
+  ): Promise<Result<StreakData>> {
+    return this.wrapAsync(
+      'getStreakData',
+      async () => {
+        const stored = refresh ? await this.refreshStreak(userId) : await this.loadStreak(userId);
+        return getStreakStatus(stored.state, getLocalDay(new Date(), stored.timeZone));
+      },
+      { userId },
+    );
+  }
 
-      const lastCompletion = new Date(lastCompletionStr);
-      lastCompletion.setHours(0, 0, 0, 0);
+  /**
+   * The device's copy of the streak. A streak from before streaks were synced
+   * is picked up once and queued for import.
+   */
+  private async loadStreak(userId: string): Promise<StoredStreak> {
+    const raw = await AsyncStorage.getItem(`${STREAK_KEY_PREFIX}${userId}`);
+    if (raw) {
+      return JSON.parse(raw) as StoredStreak;
+    }
 
-      const daysDiff = Math.floor(
-        (today.getTime() - lastCompletion.getTime()) / (1000 * 60 * 60 * 24),
+    const stored: StoredStreak = {
+      state: (await this.loadLegacyStreak()) ?? EMPTY_STREAK,
+      timeZone: this.getDeviceTimeZone(),
+    };
+    await this.saveStreak(userId, stored);
+
+    if (stored.state.lastDay) {
+      await OfflineQueueManager.addOperation(
+        STREAK_OPERATIONS.IMPORT,
+        {
+          p_current: stored.state.current,
+          p_longest: stored.state.best,
+          p_last_day: stored.state.lastDay,
+        },
+        { priority: 'high', maxRetries: 10, userId },
       );
+    }
+    return stored;
+  }
 
-      if (daysDiff === 0) {
-        // Same day, maintain streak but check if we need to start from stored data
-        if (streakData.current === 0) {
-          streakData.current = 1;
-          streakData.best = Math.max(streakData.current, streakData.best);
-          await this.setStreakData(streakData);
-        }
-        return streakData;
-      }
-      if (daysDiff === 1) {
-        // Consecutive day, increment streak
-        streakData.current = (streakData.current || 0) + 1;
-        streakData.best = Math.max(streakData.current, streakData.best);
-      } else {
-        // Missed day(s), reset streak
-        streakData.current = 1;
+  private async loadLegacyStreak(): Promise<StreakState | null> {
+    const [rawStreak, lastCompletion] = await Promise.all([
+      AsyncStorage.getItem(LEGACY_STREAK_KEY),
+      AsyncStorage.getItem(LEGACY_LAST_COMPLETION_KEY),
+    ]);
+    if (!rawStreak || !lastCompletion) {
+      return null;
+    }
+
+    const legacy = JSON.parse(rawStreak) as { current: number; best: number };
+    await AsyncStorage.multiRemove([LEGACY_STREAK_KEY, LEGACY_LAST_COMPLETION_KEY]);
+    return {
+      ...EMPTY_STREAK,
+      current: legacy.current,
+      best: legacy.best,
+      lastDay: getLocalDay(new Date(lastCompletion)),
+    };
+  }
+
+  private async saveStreak(userId: string, stored: StoredStreak): Promise<void> {
+    await AsyncStorage.setItem(`${STREAK_KEY_PREFIX}${userId}`, JSON.stringify(stored));
+  }
+
+  // Falls back to the device's copy when Supabase can't be reached
+  private async refreshStreak(userId: string): Promise<StoredStreak> {
+    const stored = await this.loadStreak(userId);
+
+    try {
+      const { data, error } = await supabase
+        .from('users')
+        .select('timezone, current_streak, longest_streak, last_streak_day, streak_freezes')
+        .eq('id', userId)
+        .single<DbStreak & { timezone: string | null }>();
+
+      if (error) throw error;
+
+      // The first device to sync decides the time zone days are counted in
+      if (!data.timezone && stored.timeZone) {
+        await supabase.from('users').update({ timezone: stored.timeZone }).eq('id', userId);
       }
 
-      await AsyncStorage.setItem(LAST_COMPLETION_KEY, today.toISOString());
-      await this.setStreakData(streakData);
+      return await this.queueStreakChange(() =>
+        this.adoptServerStreak(userId, data, data.timezone ?? stored.timeZone),
+      );
+    } catch (error) {
+      this.logger.warn('Using saved streak, fetch failed', {
+        code: 'STREAK_002',
+        context: JSON.stringify({ userId, message: (error as Error).message }),
+      });
+      return stored;
+    }
+  }
 
-      return streakData;
-    });
+  private async adoptServerStreak(
+    userId: string,
+    row: DbStreak,
+    timeZone?: string | null,
+  ): Promise<StoredStreak> {
+    const stored = await this.loadStreak(userId);
+    const remote: StreakState = {
+      current: row.current_streak ?? 0,
+      best: row.longest_streak ?? 0,
+      lastDay: row.last_streak_day,
+      freezes: row.streak_freezes ?? EMPTY_STREAK.freezes,
+    };
+    const next: StoredStreak = {
+      state: pickLatestStreak(stored.state, remote),
+      timeZone: timeZone ?? stored.timeZone,
+    };
+    await this.saveStreak(userId, next);
+    return next;
   }
 
-  async getStreakData(): Promise<Result<StreakData>> {
-    return this.wrapAsync('getStreakData', async () => {
-      const data = await AsyncStorage.getItem(STREAK_KEY);
-      return data ? (JSON.parse(data) as StreakData) : { current: 0, best: 0 };
-    });
+  private async pushStreakDay(operation: OfflineOperation): Promise<void> {
+    const rpcResult = await supabase.rpc('record_streak_day', operation.data as { p_day: string });
+
+    if (rpcResult.error) {
+      throw new Error(`Failed to sync streak: ${rpcResult.error.message}`);
+    }
+    await this.adoptServerRows(operation.userId, rpcResult.data as DbStreak[] | null);
   }
 
-  private async setStreakData(streakData: StreakData): Promise<Result<void>> {
-    return this.wrapAsync('setStreakData', async () => {
-      await AsyncStorage.setItem(STREAK_KEY, JSON.stringify(streakData));
-    });
+  private async pushStreakImport(operation: OfflineOperation): Promise<void> {
+    const rpcResult = await supabase.rpc(
+      'import_streak',
+      operation.data as { p_current: number; p_longest: number; p_last_day: string },
+    );
+
+    if (rpcResult.error) {
+      throw new Error(`Failed to import streak: ${rpcResult.error.message}`);
+    }
+    await this.adoptServerRows(operation.userId, rpcResult.data as DbStreak[] | null);
+  }
+
+  private async adoptServerRows(userId: string, rows: DbStreak[] | null): Promise<void> {
+    const row = rows?.[0];
+    if (row) {
+      await this.queueStreakChange(() => this.adoptServerStreak(userId, row));
+    }
   }
 
-  async getStats(): Promise<Result<RewardStats>> {
+  // Streak changes read and then write the device's copy, so they take turns
+  private queueStreakChange<T>(change: () => Promise<T>): Promise<T> {
+    const next = this.streakUpdate.then(change, change);
+    this.streakUpdate = next.catch(() => undefined);
+    return next;
+  }
+
+  private getDeviceTimeZone(): string | null {
+    try {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  async getStats(userId: string): Promise<Result<RewardStats>> {
     return this.wrapAsync('getStats', async () => {
       const allTasks = await TaskStorageService.getAllTasks();
       const completedTasks = await TaskStorageService.getCompletedTasks();
@@ -140,7 +325,7 @@ class RewardService extends BaseService implements IRewardService {
       const totalTasks = allTasks.length;
       const completionRate = totalTasks > 0 ? Math.round((tasksCompleted / totalTasks) * 100) : 0;
 
-      const streakDataResult = await this.getStreakData();
+      const streakDataResult = await this.getStreakData(userId);
       const streakData =
         streakDataResult.success && streakDataResult.data
           ? streakDataResult.data
@@ -156,64 +341,6 @@ class RewardService extends BaseService implements IRewardService {
       };
     });
   }
-
-  async checkForAchievements(task: Task): Promise<Result<Achievement[]>> {
-    return this.wrapAsync(
-      'checkForAchievements',
-      async () => {
-        const achievements: Achievement[] = [];
-        const statsResult = await this.getStats();
-
-        if (!statsResult.success || !statsResult.data) {
-          return achievements;
-        }
-
-        const stats = statsResult.data;
-
-        // First task achievement
-        if (stats.tasksCompleted === 1) {
-          achievements.push({
-            id: 'first_task',
-            title: 'First Step',
-            description: 'Completed your first task!',
-            xp: 20,
-          });
-        }
-
-        // Streak achievements
-        if (stats.currentStreak === 3) {
-          achievements.push({
-            id: 'streak_3',
-            title: 'On a Roll',
-            description: '3 day streak!',
-            xp: 30,
-          });
-        }
-
-        if (stats.currentStreak === 7) {
-          achievements.push({
-            id: 'streak_7',
-            title: 'Week Warrior',
-            description: '7 day streak!',
-            xp: 50,
-          });
-        }
-
-        // XP milestones
-        if (stats.totalXP >= 100 && stats.totalXP - (task.xpEarned || 0) < 100) {
-          achievements.push({
-            id: 'xp_100',
-            title: 'Century',
-            description: 'Earned 100 XP!',
-            xp: 25,
-          });
-        }
-
-        return achievements;
-      },
-      { task },
-    );
-  }
 }
 
 export default new RewardService();
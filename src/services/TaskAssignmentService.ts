@@ -0,0 +1,312 @@
+// ABOUTME: Task proposals between partners: the assigner proposes, the assignee accepts, declines or renegotiates
+// A task only joins the assignee's work once accepted, which is when the usual assignment follow-ups fire
+
+import { BaseService } from './BaseService';
+import NotificationService from './NotificationService';
+import PartnershipService from './PartnershipService';
+import TaskStorageService from './TaskStorageService';
+import LocalTaskStore from './LocalTaskStore';
+import UserStorageService from './UserStorageService';
+import { systemClock } from './Clock';
+import type { Clock } from './Clock';
+import { NOTIFICATION_TYPES } from '../constants/UserConstants';
+import type { AssignmentCounterProposal, Task } from '../types/task.types';
+import type { User } from '../types/user.types';
+import type { Result } from '../types/common.types';
+import {
+  acceptAssignment,
+  acceptCounterProposal,
+  canAnswerProposal,
+  canAnswerRenegotiation,
+  declineAssignment,
+  keepOriginalAssignment,
+  renegotiateAssignment,
+  validateCounterProposal,
+  validateDeclineReason,
+} from '../utils/AssignmentModel';
+
+// What the other partner is told happened; changes_accepted and original_kept are the assigner's answers
+type AssignmentOutcome =
+  | 'accepted'
+  | 'declined'
+  | 'renegotiating'
+  | 'changes_accepted'
+  | 'original_kept';
+
+class TaskAssignmentService extends BaseService {
+  private clock: Clock = systemClock;
+
+  constructor() {
+    super('TaskAssignment');
+  }
+
+  /**
+   * Swap the clock used to check suggested dates are in the future (tests use a FakeClock)
+   */
+  setClock(clock: Clock): void {
+    this.clock = clock;
+  }
+
+  /**
+   * Saves the task as a proposal and asks the assignee to take it on
+   */
+  async propose(task: Task, assigner: User): Promise<Result<Task>> {
+    return this.wrapAsync(
+      'propose',
+      async () => {
+        if (!task.assignedTo || task.assignedTo === assigner.id) {
+          throw new Error('A task can only be proposed to your partner');
+        }
+
+        const proposed: Task = { ...task, assignedBy: assigner.id, assignmentStatus: 'proposed' };
+        const saved = await TaskStorageService.saveTask(proposed);
+        if (!saved) {
+          throw new Error('Failed to save task');
+        }
+
+        await NotificationService.sendNotification(
+          task.assignedTo,
+          NOTIFICATION_TYPES.TASK_PROPOSED,
+          {
+            taskId: proposed.id,
+            taskTitle: proposed.title,
+            assignedByUserId: assigner.id,
+            fromUserName: assigner.name,
+          },
+        );
+
+        return proposed;
+      },
+      { taskId: task.id, assignedTo: task.assignedTo, assignedBy: assigner.id },
+    );
+  }
+
+  /**
+   * The assignee takes the task on as proposed
+   */
+  async accept(task: Task, userId: string): Promise<Result<Task>> {
+    return this.wrapAsync(
+      'accept',
+      async () => {
+        const current = await this.loadTask(task.id);
+        if (!canAnswerProposal(current, userId)) {
+          throw new Error('This proposal is no longer waiting on you');
+        }
+
+        const accepted = await this.moveOn(
+          current,
+          acceptAssignment(current),
+          'This proposal is no longer waiting on you',
+        );
+        await this.fireAssignmentFollowUps(accepted, userId);
+        await this.notifyOtherPartner(accepted, userId, 'accepted');
+        return accepted;
+      },
+      { taskId: task.id, userId },
+    );
+  }
+
+  async decline(task: Task, userId: string, reason: string): Promise<Result<Task>> {
+    return this.wrapAsync(
+      'decline',
+      async () => {
+        const current = await this.loadTask(task.id);
+        if (!canAnswerProposal(current, userId)) {
+          throw new Error('This proposal is no longer waiting on you');
+        }
+
+        const validation = validateDeclineReason(reason);
+        if (!validation.isValid) {
+          throw new Error(validation.errors[0]);
+        }
+
+        const declined = await this.moveOn(
+          current,
+          declineAssignment(current, reason),
+          'This proposal is no longer waiting on you',
+        );
+        await this.notifyOtherPartner(declined, userId, 'declined');
+        return declined;
+      },
+      { taskId: task.id, userId },
+    );
+  }
+
+  /**
+   * The assignee suggests a different estimate or due date; the assigner then answers
+   */
+  async renegotiate(
+    task: Task,
+    userId: string,
+    counter: AssignmentCounterProposal,
+  ): Promise<Result<Task>> {
+    return this.wrapAsync(
+      'renegotiate',
+      async () => {
+        const current = await this.loadTask(task.id);
+        if (!canAnswerProposal(current, userId)) {
+          throw new Error('This proposal is no longer waiting on you');
+        }
+
+        const validation = validateCounterProposal(counter, current, new Date(this.clock.now()));
+        if (!validation.isValid) {
+          throw new Error(validation.errors[0]);
+        }
+
+        const renegotiating = await this.moveOn(
+          current,
+          renegotiateAssignment(current, counter),
+          'This proposal is no longer waiting on you',
+        );
+        await this.notifyOtherPartner(renegotiating, userId, 'renegotiating');
+        return renegotiating;
+      },
+      { taskId: task.id, userId },
+    );
+  }
+
+  /**
+   * The assigner takes the suggested changes, which also accepts the task for the assignee
+   */
+  async acceptChanges(task: Task, userId: string): Promise<Result<Task>> {
+    return this.wrapAsync(
+      'acceptChanges',
+      async () => {
+        const current = await this.loadTask(task.id);
+        if (!canAnswerRenegotiation(current, userId)) {
+          throw new Error('These changes are no longer waiting on you');
+        }
+
+        const accepted = await this.moveOn(
+          current,
+          acceptCounterProposal(current),
+          'These changes are no longer waiting on you',
+        );
+        await this.fireAssignmentFollowUps(accepted, userId);
+        await this.notifyOtherPartner(accepted, userId, 'changes_accepted');
+        return accepted;
+      },
+      { taskId: task.id, userId },
+    );
+  }
+
+  /**
+   * The assigner keeps the original plan and proposes it again
+   */
+  async keepOriginal(task: Task, userId: string): Promise<Result<Task>> {
+    return this.wrapAsync(
+      'keepOriginal',
+      async () => {
+        const current = await this.loadTask(task.id);
+        if (!canAnswerRenegotiation(current, userId)) {
+          throw new Error('These changes are no longer waiting on you');
+        }
+
+        const proposed = await this.moveOn(
+          current,
+          keepOriginalAssignment(current),
+          'These changes are no longer waiting on you',
+        );
+        await this.notifyOtherPartner(proposed, userId, 'original_kept');
+        return proposed;
+      },
+      { taskId: task.id, userId },
+    );
+  }
+
+  /**
+   * The assigner removes a proposal the assignee declined
+   */
+  async withdraw(task: Task, userId: string): Promise<Result<boolean>> {
+    return this.wrapAsync(
+      'withdraw',
+      async () => {
+        if (task.assignedBy !== userId || task.assignmentStatus !== 'declined') {
+          throw new Error('Only a declined proposal can be withdrawn by whoever proposed it');
+        }
+
+        const deleted = LocalTaskStore.getTask(task.id)
+          ? await LocalTaskStore.deleteTask(task.id)
+          : await TaskStorageService.deleteTask(task.id);
+        if (!deleted) {
+          throw new Error('Failed to remove the proposal');
+        }
+        return true;
+      },
+      { taskId: task.id, userId },
+    );
+  }
+
+  // The freshest copy on this device, so an answer from the other partner isn't overwritten
+  private async loadTask(taskId: string): Promise<Task> {
+    const task = LocalTaskStore.getTask(taskId) ?? (await TaskStorageService.getTask(taskId));
+    if (!task) {
+      throw new Error('Task not found');
+    }
+    return task;
+  }
+
+  // Only lands while the proposal is still where this device saw it, so two answers
+  // can't both go through; the stored task then replaces this device's copy
+  private async moveOn(current: Task, next: Task, movedOnMessage: string): Promise<Task> {
+    const result = await TaskStorageService.updateAssignment(current, next);
+    if (!result.success) {
+      throw new Error(result.error?.message ?? 'Failed to update task');
+    }
+    if (!result.data) {
+      throw new Error(movedOnMessage);
+    }
+
+    const saved = result.data;
+    if (LocalTaskStore.getTask(saved.id)) {
+      await LocalTaskStore.applyRemoteChange(saved, 'UPDATE');
+    }
+
+    this.logger.info(`Task proposal ${saved.assignmentStatus}`, {
+      code: 'TASK_ASSIGNMENT_001',
+      context: JSON.stringify({ taskId: saved.id, status: saved.assignmentStatus }),
+    });
+    return saved;
+  }
+
+  // The same follow-ups an assignment used to fire straight away
+  private async fireAssignmentFollowUps(task: Task, userId: string): Promise<void> {
+    const assigner = task.assignedBy ? await UserStorageService.getUserById(task.assignedBy) : null;
+    if (assigner) {
+      await NotificationService.notifyTaskAssigned(task, assigner);
+    }
+
+    const partnershipResult = await PartnershipService.getActivePartnership(userId);
+    if (partnershipResult.success && partnershipResult.data) {
+      await PartnershipService.incrementPartnershipStat(partnershipResult.data.id, 'tasksAssigned');
+    }
+  }
+
+  private async notifyOtherPartner(
+    task: Task,
+    userId: string,
+    outcome: AssignmentOutcome,
+  ): Promise<void> {
+    const recipient = userId === task.assignedBy ? task.assignedTo : task.assignedBy;
+    if (!recipient) return;
+
+    const user = await UserStorageService.getUserById(userId);
+    await NotificationService.sendNotification(
+      recipient,
+      NOTIFICATION_TYPES.TASK_ASSIGNMENT_RESPONSE,
+      {
+        taskId: task.id,
+        taskTitle: task.title,
+        outcome,
+        note: task.assignmentNote,
+        timeEstimate: task.counterTimeEstimate,
+        dueDate: task.counterDueDate ? new Date(task.counterDueDate).toISOString() : null,
+        fromUserId: userId,
+        fromUserName: user?.name ?? 'Your partner',
+      },
+    );
+  }
+}
+
+export default new TaskAssignmentService();
+export { TaskAssignmentService };
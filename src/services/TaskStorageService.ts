@@ -1,11 +1,32 @@
-// ABOUTME: Simplified TaskStorageService that directly uses Supabase for all task storage
-// No local storage fallback, no migration logic - pure Supabase implementation
+// ABOUTME: TaskStorageService is the Supabase backend for task storage and queries
+// LocalTaskStore is the on-device source of truth and syncs its writes through this service
 
 import { BaseService } from './BaseService';
 import { supabase } from './SupabaseService';
-import type { Task, PartnerNotificationStatus } from '../types/task.types';
+import type {
+  Task,
+  PartnerNotificationStatus,
+  TaskEncouragement,
+  TaskTreeNode,
+  RecurrenceRule,
+  AssignmentStatus,
+} from '../types/task.types';
 import { TaskStatus, TaskPriority } from '../types/task.types';
+import { buildTaskTree } from '../utils/TaskModel';
+import { createNextOccurrence, getSeriesId } from '../utils/RecurrenceModel';
 import type { RealtimeChannel, RealtimePostgresChangesPayload } from '@supabase/supabase-js';
+import type { Result } from '../types/common.types';
+
+// Client-generated ids are UUIDs so local and remote copies share an id
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Only updateAssignment moves a proposal on, so a stale copy written back can't undo an answer
+const ASSIGNMENT_COLUMNS = [
+  'assignment_status',
+  'assignment_note',
+  'counter_time_estimate',
+  'counter_due_date',
+] as const;
 
 interface TaskStorageOptions {
   page?: number;
@@ -19,10 +40,19 @@ interface TaskStats {
   totalXP: number;
 }
 
+interface TaskUpdateOptions {
+  // Set to false when the caller already keeps the recurring series in order itself:
+  // spawning the next instance on completion and removing it again on un-completion
+  scheduleNextOccurrence?: boolean;
+}
+
 interface ITaskStorageService {
   getAllTasks(): Promise<Task[]>;
+  fetchAllTasks(): Promise<Result<Task[]>>;
   saveTask(task: Task): Promise<boolean>;
-  updateTask(updatedTask: Task): Promise<boolean>;
+  saveTasks(tasks: Task[]): Promise<boolean>;
+  updateTask(updatedTask: Task, options?: TaskUpdateOptions): Promise<boolean>;
+  updateAssignment(current: Task, next: Task): Promise<Result<Task | null>>;
   deleteTask(taskId: string): Promise<boolean>;
   clearAllTasks(): Promise<boolean>;
   getTasksByCategory(categoryId: string, options?: TaskStorageOptions): Promise<Task[]>;
@@ -35,12 +65,25 @@ interface ITaskStorageService {
   getPartnerTasks(userId: string): Promise<Task[]>;
   getOverdueTasks(userId: string): Promise<Task[]>;
   getUpcomingTasks(userId: string, hoursAhead?: number): Promise<Task[]>;
+  getSubtasks(parentId: string): Promise<Task[]>;
+  getTaskTree(rootTaskId: string): Promise<TaskTreeNode | null>;
+  reorderSubtasks(parentId: string, orderedTaskIds: string[]): Promise<boolean>;
+  getSeriesTasks(seriesId: string): Promise<Task[]>;
+  addEncouragement(taskId: string, message: string): Promise<TaskEncouragement[] | null>;
+  scheduleNextOccurrence(completedTask: Task): Promise<Task | null>;
   subscribeToTaskUpdates(
     userId: string,
     callback: (task: Task, eventType: string) => void,
   ): () => void;
 }
 
+// Encouragements are stored as a JSONB array on the task row
+interface DbEncouragement {
+  message: string;
+  fromUserId: string;
+  timestamp: string;
+}
+
 // Database task type mapping
 interface DbTask {
   id: string;
@@ -62,6 +105,18 @@ interface DbTask {
   reminder_custom?: string | null;
   xp_earned?: number;
   streak_contribution?: boolean;
+  parent_id?: string | null;
+  sort_order?: number;
+  recurrence?: RecurrenceRule | null;
+  series_id?: string | null;
+  inbox?: boolean;
+  assignment_status?: string | null;
+  assignment_note?: string | null;
+  counter_time_estimate?: number | null;
+  counter_due_date?: string | null;
+  preferred_start_time?: string | null;
+  partner_notified?: Partial<PartnerNotificationStatus> | null;
+  encouragements?: DbEncouragement[] | null;
   created_at?: string;
   updated_at?: string;
 }
@@ -95,15 +150,33 @@ class TaskStorageService extends BaseService implements ITaskStorageService {
       assignedBy: dbTask.assigned_by ?? null,
       assignedTo: dbTask.assigned_to ?? null,
       dueDate: dbTask.due_date ? new Date(dbTask.due_date) : null,
-      preferredStartTime: null, // Not stored in DB yet
+      preferredStartTime: dbTask.preferred_start_time
+        ? new Date(dbTask.preferred_start_time)
+        : null,
       startedAt: dbTask.started_at ? new Date(dbTask.started_at) : null,
       partnerNotified: {
-        onStart: false,
-        onComplete: false,
-        onOverdue: false,
-      } as PartnerNotificationStatus,
-      encouragementReceived: [], // Will need to be loaded from a separate table or JSONB column
+        onStart: dbTask.partner_notified?.onStart ?? false,
+        onComplete: dbTask.partner_notified?.onComplete ?? false,
+        onOverdue: dbTask.partner_notified?.onOverdue ?? false,
+      },
+      encouragementReceived: (dbTask.encouragements ?? []).map((encouragement) => ({
+        message: encouragement.message,
+        fromUserId: encouragement.fromUserId,
+        timestamp: new Date(encouragement.timestamp),
+      })),
       userId: dbTask.user_id,
+      parentId: dbTask.parent_id ?? null,
+      sortOrder: dbTask.sort_order ?? 0,
+      recurrence: dbTask.recurrence ?? null,
+      seriesId: dbTask.series_id ?? null,
+      reminder1: dbTask.reminder_1 ? new Date(dbTask.reminder_1) : null,
+      reminder2: dbTask.reminder_2 ? new Date(dbTask.reminder_2) : null,
+      reminderCustom: dbTask.reminder_custom ? new Date(dbTask.reminder_custom) : null,
+      inbox: dbTask.inbox ?? false,
+      assignmentStatus: (dbTask.assignment_status as AssignmentStatus | null) ?? null,
+      assignmentNote: dbTask.assignment_note ?? null,
+      counterTimeEstimate: dbTask.counter_time_estimate ?? null,
+      counterDueDate: dbTask.counter_due_date ? new Date(dbTask.counter_due_date) : null,
     };
   }
 
@@ -118,11 +191,33 @@ class TaskStorageService extends BaseService implements ITaskStorageService {
       time_estimate: task.timeEstimate ?? null,
       time_spent: task.timeSpent ?? 0,
       started_at: task.startedAt ? task.startedAt.toISOString() : null,
+      preferred_start_time: task.preferredStartTime
+        ? new Date(task.preferredStartTime).toISOString()
+        : null,
+      // Stale copies are safe to write back: the database only ever adds flags and messages
+      partner_notified: task.partnerNotified,
+      encouragements: (task.encouragementReceived ?? []).map((encouragement) => ({
+        message: encouragement.message,
+        fromUserId: encouragement.fromUserId,
+        timestamp: new Date(encouragement.timestamp).toISOString(),
+      })),
       completed_at: task.completedAt ? task.completedAt.toISOString() : null,
       assigned_by: task.assignedBy ?? null,
       assigned_to: task.assignedTo ?? null,
       xp_earned: task.xpEarned ?? 0,
       streak_contribution: task.streakContribution ?? false,
+      parent_id: task.parentId ?? null,
+      sort_order: task.sortOrder ?? 0,
+      recurrence: task.recurrence ?? null,
+      series_id: task.seriesId ?? null,
+      reminder_1: task.reminder1 ? new Date(task.reminder1).toISOString() : null,
+      reminder_2: task.reminder2 ? new Date(task.reminder2).toISOString() : null,
+      reminder_custom: task.reminderCustom ? new Date(task.reminderCustom).toISOString() : null,
+      inbox: task.inbox ?? false,
+      assignment_status: task.assignmentStatus ?? null,
+      assignment_note: task.assignmentNote ?? null,
+      counter_time_estimate: task.counterTimeEstimate ?? null,
+      counter_due_date: task.counterDueDate ? new Date(task.counterDueDate).toISOString() : null,
       user_id: task.userId ?? '',
     };
   }
@@ -183,6 +278,36 @@ class TaskStorageService extends BaseService implements ITaskStorageService {
     return result.success && result.data ? result.data : [];
   }
 
+  /**
+   * Fetch every task visible to the current user straight from Supabase.
+   * Unlike getAllTasks this skips the cache and reports failures, so sync can
+   * tell "no tasks" apart from "couldn't reach the server".
+   */
+  async fetchAllTasks(): Promise<Result<Task[]>> {
+    return this.wrapAsync('fetchAllTasks', async () => {
+      const {
+        data: { user },
+      } = await supabase.auth.getUser();
+      if (!user) {
+        throw new Error('Not authenticated');
+      }
+
+      const { data, error } = await supabase
+        .from('tasks')
+        .select('*')
+        .or(`user_id.eq.${user.id},assigned_to.eq.${user.id}`)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        throw new Error(`Failed to fetch tasks: ${error.message}`);
+      }
+
+      const tasks = (data ?? []).map(this.transformDbTaskToTask);
+      this.updateCache(`all:${user.id}`, tasks);
+      return tasks;
+    });
+  }
+
   async saveTask(task: Task): Promise<boolean> {
     const result = await this.wrapAsync(
       'saveTask',
@@ -195,7 +320,12 @@ class TaskStorageService extends BaseService implements ITaskStorageService {
         const dbTask = this.transformTaskToDb(task);
         dbTask.user_id = user.id;
 
-        const { error } = await supabase.from('tasks').insert(dbTask).select().single();
+        // A create replayed from the offline queue may already have reached Supabase
+        // before its response was lost, so tasks with a client id are upserted
+        const query = UUID_PATTERN.test(task.id)
+          ? supabase.from('tasks').upsert({ ...dbTask, id: task.id }, { onConflict: 'id' })
+          : supabase.from('tasks').insert(dbTask);
+        const { error } = await query.select().single();
 
         if (error) {
           throw new Error(`Failed to save task: ${error.message}`);
@@ -212,7 +342,47 @@ class TaskStorageService extends BaseService implements ITaskStorageService {
     return result.success && result.data === true;
   }
 
-  async updateTask(updatedTask: Task): Promise<boolean> {
+  /**
+   * Save many tasks in a single upsert, so a brain dump is saved all or nothing
+   */
+  async saveTasks(tasks: Task[]): Promise<boolean> {
+    if (tasks.length === 0) return true;
+
+    const result = await this.wrapAsync(
+      'saveTasks',
+      async () => {
+        const {
+          data: { user },
+        } = await supabase.auth.getUser();
+        if (!user) return false;
+
+        const dbTasks = tasks.map((task) => {
+          const dbTask = this.transformTaskToDb(task);
+          dbTask.user_id = user.id;
+          return UUID_PATTERN.test(task.id) ? { ...dbTask, id: task.id } : dbTask;
+        });
+
+        // Upserted like saveTask, so a retried batch doesn't conflict with its first attempt.
+        // Rows without a client id get one from the column default instead of null.
+        const { error } = await supabase
+          .from('tasks')
+          .upsert(dbTasks, { onConflict: 'id', defaultToNull: false });
+
+        if (error) {
+          throw new Error(`Failed to save tasks: ${error.message}`);
+        }
+
+        this.invalidateCache(user.id);
+
+        return true;
+      },
+      { count: tasks.length },
+    );
+
+    return result.success && result.data === true;
+  }
+
+  async updateTask(updatedTask: Task, options: TaskUpdateOptions = {}): Promise<boolean> {
     const result = await this.wrapAsync(
       'updateTask',
       async () => {
@@ -222,6 +392,9 @@ class TaskStorageService extends BaseService implements ITaskStorageService {
         if (!user) return false;
 
         const dbTask = this.transformTaskToDb(updatedTask);
+        for (const column of ASSIGNMENT_COLUMNS) {
+          delete dbTask[column];
+        }
 
         const { error } = await supabase
           .from('tasks')
@@ -233,6 +406,17 @@ class TaskStorageService extends BaseService implements ITaskStorageService {
           throw new Error(`Failed to update task: ${error.message}`);
         }
 
+        // Re-opening an instance takes back the one its completion spawned, since a
+        // series can only have one open instance. Only once the re-open is stored, so a
+        // failed update doesn't cost the series its next occurrence.
+        if (
+          !updatedTask.completed &&
+          updatedTask.recurrence &&
+          options.scheduleNextOccurrence !== false
+        ) {
+          await this.removeOpenSeriesInstances(updatedTask);
+        }
+
         // Invalidate cache for this user
         this.invalidateCache(user.id);
 
@@ -241,7 +425,69 @@ class TaskStorageService extends BaseService implements ITaskStorageService {
       { taskId: updatedTask.id, title: updatedTask.title },
     );
 
-    return result.success && result.data === true;
+    const success = result.success && result.data === true;
+
+    // Completing an instance of a recurring series queues up the next one
+    if (
+      success &&
+      updatedTask.completed &&
+      updatedTask.recurrence &&
+      options.scheduleNextOccurrence !== false
+    ) {
+      await this.scheduleNextOccurrence(updatedTask);
+    }
+
+    return success;
+  }
+
+  /**
+   * Move a proposal from current to next, but only while it's still in current's status so an
+   * answer from the other partner isn't overwritten. Resolves to null once the status moved on.
+   */
+  async updateAssignment(current: Task, next: Task): Promise<Result<Task | null>> {
+    return this.wrapAsync(
+      'updateAssignment',
+      async () => {
+        if (!current.assignmentStatus) {
+          throw new Error('This task was never proposed');
+        }
+
+        const before = this.transformTaskToDb(current);
+        const after = this.transformTaskToDb(next);
+        const updates: Partial<DbTask> = {
+          assignment_status: after.assignment_status,
+          assignment_note: after.assignment_note,
+          counter_time_estimate: after.counter_time_estimate,
+          counter_due_date: after.counter_due_date,
+        };
+        // Accepting suggested changes also moves the plan; only what changed is written,
+        // so edits made meanwhile are kept
+        if (after.time_estimate !== before.time_estimate) {
+          updates.time_estimate = after.time_estimate;
+        }
+        if (after.due_date !== before.due_date) {
+          updates.due_date = after.due_date;
+          updates.partner_notified = after.partner_notified;
+        }
+
+        const { data, error } = await supabase
+          .from('tasks')
+          .update(updates)
+          .eq('id', current.id)
+          .eq('assignment_status', current.assignmentStatus)
+          .select();
+
+        if (error) {
+          throw new Error(`Failed to update task: ${error.message}`);
+        }
+
+        this.invalidateCache();
+
+        const rows = (data ?? []) as DbTask[];
+        return rows.length > 0 ? this.transformDbTaskToTask(rows[0]) : null;
+      },
+      { taskId: current.id, from: current.assignmentStatus, to: next.assignmentStatus },
+    );
   }
 
   async deleteTask(taskId: string): Promise<boolean> {
@@ -567,6 +813,226 @@ class TaskStorageService extends BaseService implements ITaskStorageService {
     return result.success && result.data ? result.data : [];
   }
 
+  async getSubtasks(parentId: string): Promise<Task[]> {
+    const result = await this.wrapAsync(
+      'getSubtasks',
+      async () => {
+        const { data, error } = await supabase
+          .from('tasks')
+          .select('*')
+          .eq('parent_id', parentId)
+          .order('sort_order', { ascending: true });
+
+        if (error) {
+          throw new Error(`Failed to fetch subtasks: ${error.message}`);
+        }
+
+        return (data ?? []).map(this.transformDbTaskToTask);
+      },
+      { parentId },
+    );
+
+    return result.success && result.data ? result.data : [];
+  }
+
+  async getTask(taskId: string): Promise<Task | null> {
+    const result = await this.wrapAsync(
+      'getTask',
+      async () => {
+        const { data, error } = await supabase
+          .from('tasks')
+          .select('*')
+          .eq('id', taskId)
+          .maybeSingle<DbTask>();
+
+        if (error) {
+          throw new Error(`Failed to fetch task: ${error.message}`);
+        }
+
+        return data ? this.transformDbTaskToTask(data) : null;
+      },
+      { taskId },
+    );
+
+    return result.success && result.data ? result.data : null;
+  }
+
+  async getTaskTree(rootTaskId: string): Promise<TaskTreeNode | null> {
+    const result = await this.wrapAsync(
+      'getTaskTree',
+      async () => {
+        const rpcResult = await supabase.rpc('get_task_tree', {
+          root_task_id: rootTaskId,
+        });
+
+        if (rpcResult.error) {
+          throw new Error(`Failed to fetch task tree: ${rpcResult.error.message}`);
+        }
+
+        const tasks = ((rpcResult.data ?? []) as DbTask[]).map(this.transformDbTaskToTask);
+        return buildTaskTree(tasks).find((node) => node.task.id === rootTaskId) ?? null;
+      },
+      { rootTaskId },
+    );
+
+    return result.success && result.data ? result.data : null;
+  }
+
+  async reorderSubtasks(parentId: string, orderedTaskIds: string[]): Promise<boolean> {
+    const result = await this.wrapAsync(
+      'reorderSubtasks',
+      async () => {
+        const {
+          data: { user },
+        } = await supabase.auth.getUser();
+        if (!user) return false;
+
+        const results = await Promise.all(
+          orderedTaskIds.map((taskId, index) =>
+            supabase
+              .from('tasks')
+              .update({ sort_order: index })
+              .eq('id', taskId)
+              .eq('parent_id', parentId),
+          ),
+        );
+
+        const failed = results.find((res) => res.error);
+        if (failed?.error) {
+          throw new Error(`Failed to reorder subtasks: ${failed.error.message}`);
+        }
+
+        this.invalidateCache(user.id);
+
+        return true;
+      },
+      { parentId, count: orderedTaskIds.length },
+    );
+
+    return result.success && result.data === true;
+  }
+
+  /**
+   * Append a partner's encouragement to a task. Runs server-side so the partner
+   * never writes back (and overwrites) the rest of the task.
+   */
+  async addEncouragement(taskId: string, message: string): Promise<TaskEncouragement[] | null> {
+    const result = await this.wrapAsync(
+      'addEncouragement',
+      async () => {
+        const rpcResult = await supabase.rpc('add_task_encouragement', {
+          target_task_id: taskId,
+          encouragement_message: message,
+        });
+
+        if (rpcResult.error) {
+          throw new Error(`Failed to add encouragement: ${rpcResult.error.message}`);
+        }
+
+        const {
+          data: { user },
+        } = await supabase.auth.getUser();
+        if (user) {
+          this.invalidateCache(user.id);
+        }
+
+        return ((rpcResult.data ?? []) as unknown as DbEncouragement[]).map((encouragement) => ({
+          message: encouragement.message,
+          fromUserId: encouragement.fromUserId,
+          timestamp: new Date(encouragement.timestamp),
+        }));
+      },
+      { taskId },
+    );
+
+    return result.success && result.data ? result.data : null;
+  }
+
+  async getSeriesTasks(seriesId: string): Promise<Task[]> {
+    const result = await this.wrapAsync(
+      'getSeriesTasks',
+      async () => {
+        const { data, error } = await supabase
+          .from('tasks')
+          .select('*')
+          .or(`id.eq.${seriesId},series_id.eq.${seriesId}`)
+          .order('due_date', { ascending: true });
+
+        if (error) {
+          throw new Error(`Failed to fetch recurring series: ${error.message}`);
+        }
+
+        return (data ?? []).map(this.transformDbTaskToTask);
+      },
+      { seriesId },
+    );
+
+    return result.success && result.data ? result.data : [];
+  }
+
+  private async removeOpenSeriesInstances(task: Task): Promise<void> {
+    const { error } = await supabase
+      .from('tasks')
+      .delete()
+      .eq('series_id', getSeriesId(task))
+      .neq('status', TaskStatus.COMPLETED)
+      .neq('id', task.id);
+
+    if (error) {
+      throw new Error(`Failed to update recurring series: ${error.message}`);
+    }
+  }
+
+  async scheduleNextOccurrence(completedTask: Task): Promise<Task | null> {
+    const result = await this.wrapAsync(
+      'scheduleNextOccurrence',
+      async () => {
+        const {
+          data: { user },
+        } = await supabase.auth.getUser();
+        if (!user) return null;
+
+        const seriesId = getSeriesId(completedTask);
+
+        // A series only ever has one open instance, so re-saving a completed
+        // task (or completing it twice) must not spawn duplicates
+        const { data: openInstances, error: lookupError } = await supabase
+          .from('tasks')
+          .select('id')
+          .eq('series_id', seriesId)
+          .neq('status', TaskStatus.COMPLETED)
+          .neq('id', completedTask.id);
+
+        if (lookupError) {
+          throw new Error(`Failed to check recurring series: ${lookupError.message}`);
+        }
+
+        if ((openInstances ?? []).length > 0) {
+          return null;
+        }
+
+        const nextTask = createNextOccurrence(completedTask);
+        if (!nextTask) return null;
+
+        const dbTask = this.transformTaskToDb(nextTask);
+        dbTask.user_id = completedTask.userId ?? user.id;
+
+        const { error } = await supabase.from('tasks').insert(dbTask).select().single();
+
+        if (error) {
+          throw new Error(`Failed to schedule next occurrence: ${error.message}`);
+        }
+
+        this.invalidateCache(user.id);
+
+        return nextTask;
+      },
+      { taskId: completedTask.id, title: completedTask.title },
+    );
+
+    return result.success && result.data ? result.data : null;
+  }
+
   subscribeToTaskUpdates(
     userId: string,
     callback: (task: Task, eventType: string) => void,
@@ -627,4 +1093,4 @@ class TaskStorageService extends BaseService implements ITaskStorageService {
 
 export default new TaskStorageService();
 export { TaskStorageService };
-export type { ITaskStorageService, TaskStorageOptions, TaskStats };
+export type { ITaskStorageService, TaskStorageOptions, TaskStats, TaskUpdateOptions };
@@ -32,7 +32,10 @@ interface DbUser {
   notification_preferences?: Record<string, unknown>;
   encouragement_messages?: string[];
   partner_id?: string | null;
+  timezone?: string | null;
+  // Only written by award_xp, never by profile updates
   xp_total?: number;
+  // Streak columns are only written by record_streak_day, never by profile updates
   current_streak?: number;
   longest_streak?: number;
   created_at?: string;
@@ -118,9 +121,6 @@ class UserStorageService extends BaseService implements IUserStorageService {
             },
             encouragement_messages: user.encouragementMessages ?? [],
             partner_id: user.partnerId,
-            xp_total: user.stats?.totalXP ?? 0,
-            current_streak: user.stats?.currentStreak ?? 0,
-            longest_streak: user.stats?.longestStreak ?? 0,
             last_active: new Date().toISOString(),
           })
           .eq('id', user.id);
@@ -185,9 +185,6 @@ class UserStorageService extends BaseService implements IUserStorageService {
           },
           encouragement_messages: user.encouragementMessages ?? [],
           partner_id: user.partnerId,
-          xp_total: user.stats?.totalXP ?? 0,
-          current_streak: user.stats?.currentStreak ?? 0,
-          longest_streak: user.stats?.longestStreak ?? 0,
           last_active: new Date().toISOString(),
         });
 
@@ -217,9 +214,6 @@ class UserStorageService extends BaseService implements IUserStorageService {
             },
             encouragement_messages: updatedUser.encouragementMessages ?? [],
             partner_id: updatedUser.partnerId,
-            xp_total: updatedUser.stats?.totalXP ?? 0,
-            current_streak: updatedUser.stats?.currentStreak ?? 0,
-            longest_streak: updatedUser.stats?.longestStreak ?? 0,
             last_active: new Date().toISOString(),
           })
           .eq('id', updatedUser.id);
@@ -366,12 +360,13 @@ class UserStorageService extends BaseService implements IUserStorageService {
             global:
               (dbUser.notification_preferences.global as NotificationPreference) ??
               NotificationPreference.ALL,
-            taskAssigned: true,
-            taskStarted: true,
-            taskCompleted: true,
-            taskOverdue: true,
-            encouragement: true,
-            checkIn: true,
+            // Per-type toggles default to on when they were never saved
+            taskAssigned: dbUser.notification_preferences.taskAssigned !== false,
+            taskStarted: dbUser.notification_preferences.taskStarted !== false,
+            taskCompleted: dbUser.notification_preferences.taskCompleted !== false,
+            taskOverdue: dbUser.notification_preferences.taskOverdue !== false,
+            encouragement: dbUser.notification_preferences.encouragement !== false,
+            checkIn: dbUser.notification_preferences.checkIn !== false,
           }
         : {
             global: NotificationPreference.ALL,
@@ -392,6 +387,7 @@ class UserStorageService extends BaseService implements IUserStorageService {
       },
       partnerId: dbUser.partner_id ?? null,
       theme: dbUser.theme ?? 'system',
+      timeZone: dbUser.timezone ?? null,
     };
   }
 
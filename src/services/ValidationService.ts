@@ -37,6 +37,7 @@ class ValidationService implements IValidationService {
   private readonly MAX_TITLE_LENGTH = 200;
   private readonly MAX_DESCRIPTION_LENGTH = 1000;
   private readonly MAX_MESSAGE_LENGTH = 500;
+  private readonly MAX_CATEGORY_ID_LENGTH = 64;
   private readonly MIN_INVITE_CODE_LENGTH = 4;
   private readonly MAX_INVITE_CODE_LENGTH = 12;
 
@@ -103,10 +104,13 @@ class ValidationService implements IValidationService {
       }
     }
 
-    // Validate category if provided
+    // Validate category if provided; categories are user-defined, so only the id's shape is checked
     if (task.category !== undefined && task.category !== null) {
-      const validCategories = ['work', 'personal', 'health', 'finance', 'education', 'other'];
-      if (!validCategories.includes(task.category as string)) {
+      if (
+        typeof task.category !== 'string' ||
+        task.category.trim().length === 0 ||
+        task.category.length > this.MAX_CATEGORY_ID_LENGTH
+      ) {
         errors.push('Invalid category value');
       }
     }
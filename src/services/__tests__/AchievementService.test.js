@@ -0,0 +1,208 @@
+// ABOUTME: Tests for AchievementService that unlocks achievements as tasks change
+// Verifies unlocks are recorded once, queued for sync, merged with other devices and announced
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AchievementService, ACHIEVEMENT_OPERATIONS } from '../AchievementService';
+import { supabase } from '../SupabaseService';
+import OfflineQueueManager from '../OfflineQueueManager';
+import LocalTaskStore from '../LocalTaskStore';
+import RewardService from '../RewardService';
+import { createTask } from '../../utils/TaskModel';
+
+jest.mock('../SupabaseService', () => ({
+  supabase: {
+    from: jest.fn(),
+  },
+}));
+jest.mock('../OfflineQueueManager', () => ({
+  registerProcessor: jest.fn(),
+  addOperation: jest.fn(() => Promise.resolve('op-1')),
+}));
+jest.mock('../LocalTaskStore', () => ({
+  __esModule: true,
+  default: {
+    getTasks: jest.fn(),
+    subscribe: jest.fn(),
+  },
+}));
+jest.mock('../RewardService', () => ({
+  __esModule: true,
+  default: {
+    getStreakData: jest.fn(),
+  },
+}));
+jest.mock('../SecureLogger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+describe('AchievementService', () => {
+  const userId = 'user-1';
+  let service;
+  let tasks;
+  let storeListener;
+
+  const done = (overrides = {}) => ({
+    ...createTask({ title: 'Task', userId, ...overrides }),
+    completed: true,
+    completedAt: new Date(2026, 2, 4),
+    xpEarned: 5,
+  });
+
+  const mockRemoteUnlocks = (result) => {
+    const eq = jest.fn().mockResolvedValue(result);
+    const upsert = jest.fn().mockResolvedValue({ error: null });
+    supabase.from.mockReturnValue({ select: jest.fn(() => ({ eq })), upsert });
+    return upsert;
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    tasks = [];
+    LocalTaskStore.getTasks.mockImplementation(() => tasks);
+    LocalTaskStore.subscribe.mockImplementation((listener) => {
+      storeListener = listener;
+      return jest.fn();
+    });
+    RewardService.getStreakData.mockResolvedValue({ success: true, data: { current: 0, best: 0 } });
+    mockRemoteUnlocks({ data: [], error: null });
+    service = new AchievementService();
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  it('should register a processor for queued unlocks', () => {
+    expect(OfflineQueueManager.registerProcessor).toHaveBeenCalledWith(
+      ACHIEVEMENT_OPERATIONS.UNLOCK,
+      expect.any(Function),
+    );
+  });
+
+  it('should unlock an achievement once, however often it is evaluated', async () => {
+    await service.start(userId);
+    tasks = [done()];
+
+    const [first, second] = await Promise.all([service.evaluate(), service.evaluate()]);
+
+    expect(first.map(({ id }) => id)).toEqual(['first_task']);
+    expect(second).toEqual([]);
+    expect(OfflineQueueManager.addOperation).toHaveBeenCalledTimes(1);
+    expect(OfflineQueueManager.addOperation).toHaveBeenCalledWith(
+      ACHIEVEMENT_OPERATIONS.UNLOCK,
+      expect.objectContaining({ user_id: userId, achievement_id: 'first_task' }),
+      expect.objectContaining({ userId }),
+    );
+    const stored = JSON.parse(await AsyncStorage.getItem(`achievements_unlocked:${userId}`));
+    expect(stored.map((row) => row.achievement_id)).toEqual(['first_task']);
+  });
+
+  it('should only count tasks the user does and use their best streak', async () => {
+    tasks = [done({ userId: 'partner-1' }), done({ assignedTo: 'partner-1' })];
+    RewardService.getStreakData.mockResolvedValue({ success: true, data: { current: 1, best: 3 } });
+
+    await service.start(userId);
+
+    expect(service.getUnlocks().map(({ achievementId }) => achievementId)).toEqual(['streak_3']);
+  });
+
+  it('should announce unlocks from task changes but not ones found on start', async () => {
+    const listener = jest.fn();
+    service.subscribe(listener);
+    tasks = [done()];
+    await service.start(userId);
+
+    expect(listener).toHaveBeenLastCalledWith([]);
+
+    tasks = [...tasks, ...Array.from({ length: 9 }, () => done())];
+    storeListener(tasks);
+    await service.evaluate();
+
+    expect(listener).toHaveBeenLastCalledWith([expect.objectContaining({ id: 'tasks_10' })]);
+
+    service.dismissAnnouncement('tasks_10');
+    expect(listener).toHaveBeenLastCalledWith([]);
+  });
+
+  it('should tell unlock listeners about quiet unlocks too', async () => {
+    const onUnlock = jest.fn();
+    const unsubscribe = service.onUnlock(onUnlock);
+    tasks = [done()];
+
+    await service.start(userId);
+
+    expect(onUnlock).toHaveBeenCalledWith([expect.objectContaining({ id: 'first_task' })]);
+
+    unsubscribe();
+    tasks = [...tasks, ...Array.from({ length: 9 }, () => done())];
+    await service.evaluate();
+
+    expect(onUnlock).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep unlocks from other devices and not unlock them again', async () => {
+    mockRemoteUnlocks({
+      data: [
+        { user_id: userId, achievement_id: 'first_task', unlocked_at: '2026-03-01T09:00:00.000Z' },
+        {
+          user_id: userId,
+          achievement_id: 'retired_badge',
+          unlocked_at: '2026-03-01T09:00:00.000Z',
+        },
+      ],
+      error: null,
+    });
+    tasks = [done()];
+
+    await service.start(userId);
+
+    expect(service.getUnlocks()).toEqual([
+      { achievementId: 'first_task', unlockedAt: new Date('2026-03-01T09:00:00.000Z') },
+    ]);
+    expect(OfflineQueueManager.addOperation).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to unlocks saved on the device when offline', async () => {
+    await AsyncStorage.setItem(
+      `achievements_unlocked:${userId}`,
+      JSON.stringify([
+        { user_id: userId, achievement_id: 'first_task', unlocked_at: '2026-03-01T09:00:00.000Z' },
+      ]),
+    );
+    mockRemoteUnlocks({ data: null, error: new Error('Network request failed') });
+
+    await service.start(userId);
+
+    expect(service.getUnlocks().map(({ achievementId }) => achievementId)).toEqual(['first_task']);
+  });
+
+  it('should report progress towards locked achievements', async () => {
+    tasks = [done(), done()];
+    await service.start(userId);
+
+    const result = await service.getProgress(userId);
+
+    expect(result.success).toBe(true);
+    expect(result.data[0]).toMatchObject({
+      achievement: expect.objectContaining({ id: 'first_task' }),
+    });
+    expect(result.data.find(({ achievement }) => achievement.id === 'tasks_10').current).toBe(2);
+  });
+
+  it('should push queued unlocks without overwriting an earlier one', async () => {
+    const upsert = mockRemoteUnlocks({ data: [], error: null });
+    const processor = OfflineQueueManager.registerProcessor.mock.calls[0][1];
+    const data = { user_id: userId, achievement_id: 'first_task', unlocked_at: 'now' };
+
+    await processor({ data });
+
+    expect(supabase.from).toHaveBeenCalledWith('achievements_unlocked');
+    expect(upsert).toHaveBeenCalledWith(data, {
+      onConflict: 'user_id,achievement_id',
+      ignoreDuplicates: true,
+    });
+  });
+});
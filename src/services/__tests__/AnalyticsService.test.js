@@ -0,0 +1,54 @@
+// ABOUTME: Tests for AnalyticsService insights over locally stored tasks
+// Verifies which tasks count towards the user's insights without touching Supabase
+
+import { AnalyticsService } from '../AnalyticsService';
+import LocalTaskStore from '../LocalTaskStore';
+import { supabase } from '../SupabaseService';
+import { createTask } from '../../utils/TaskModel';
+
+jest.mock('../LocalTaskStore', () => ({
+  __esModule: true,
+  default: {
+    getTasks: jest.fn(),
+  },
+}));
+jest.mock('../SecureLogger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+describe('AnalyticsService', () => {
+  const userId = 'user-1';
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new AnalyticsService();
+  });
+
+  it('should count the tasks the user does, including ones assigned to them', async () => {
+    LocalTaskStore.getTasks.mockReturnValue([
+      createTask({ title: 'Mine', userId }),
+      createTask({ title: 'From partner', userId: 'partner-1', assignedTo: userId }),
+      createTask({ title: 'Handed to partner', userId, assignedTo: 'partner-1' }),
+      createTask({ title: 'Partner own', userId: 'partner-1' }),
+    ]);
+
+    const result = await service.getInsights(userId, { now: new Date(2026, 2, 4) });
+
+    expect(result.success).toBe(true);
+    expect(result.data.total).toBe(2);
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it('should report a failure instead of throwing', async () => {
+    LocalTaskStore.getTasks.mockImplementation(() => {
+      throw new Error('Store not loaded');
+    });
+
+    const result = await service.getInsights(userId);
+
+    expect(result.success).toBe(false);
+  });
+});
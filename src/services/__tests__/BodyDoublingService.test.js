@@ -0,0 +1,222 @@
+// ABOUTME: Tests for BodyDoublingService sessions shared over a realtime channel
+// Runs two participants against an in-memory channel to check presence, the shared timer and leaving
+
+import { BodyDoublingService } from '../BodyDoublingService';
+import { FakeClock } from '../Clock';
+import { supabase } from '../SupabaseService';
+import NotificationService from '../NotificationService';
+import PresenceService from '../PresenceService';
+import { NotificationTypes } from '../../types';
+import { WORK_SECONDS } from '../../utils/BodyDoublingModel';
+
+jest.mock('../SupabaseService', () => ({
+  supabase: {
+    channel: jest.fn(),
+  },
+}));
+jest.mock('../NotificationService', () => ({
+  __esModule: true,
+  default: {
+    sendNotification: jest.fn(() => Promise.resolve({ success: true, data: true })),
+  },
+}));
+jest.mock('../PresenceService', () => ({
+  __esModule: true,
+  default: {
+    updatePresence: jest.fn(() => Promise.resolve()),
+  },
+}));
+jest.mock('../SecureLogger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+// Realtime channels that share presence and broadcasts in memory, like Supabase would
+const createHub = () => {
+  const rooms = new Map();
+
+  const room = (name) => {
+    if (!rooms.has(name)) rooms.set(name, { members: new Set(), presence: {} });
+    return rooms.get(name);
+  };
+
+  const syncAll = (current) => {
+    current.members.forEach((member) => {
+      member.handlers.presence?.();
+    });
+  };
+
+  const channel = (name, { config }) => {
+    const current = room(name);
+    const key = config.presence.key;
+    const member = { handlers: { broadcast: {} } };
+
+    const fake = {
+      on: (type, { event }, handler) => {
+        if (type === 'presence') member.handlers.presence = handler;
+        else member.handlers.broadcast[event] = handler;
+        return fake;
+      },
+      subscribe: (callback) => {
+        current.members.add(member);
+        callback('SUBSCRIBED');
+        return fake;
+      },
+      track: (payload) => {
+        current.presence[key] = [JSON.parse(JSON.stringify(payload))];
+        syncAll(current);
+        return Promise.resolve('ok');
+      },
+      untrack: () => {
+        delete current.presence[key];
+        syncAll(current);
+        return Promise.resolve('ok');
+      },
+      unsubscribe: () => {
+        current.members.delete(member);
+        return Promise.resolve('ok');
+      },
+      send: ({ event, payload }) => {
+        current.members.forEach((other) => {
+          if (other !== member) other.handlers.broadcast[event]?.({ payload });
+        });
+        return Promise.resolve('ok');
+      },
+      presenceState: () => current.presence,
+    };
+    return fake;
+  };
+
+  return { channel };
+};
+
+describe('BodyDoublingService', () => {
+  const partnership = { id: 'partnership-1', adhdUserId: 'adhd-1', partnerId: 'partner-1' };
+  const sam = { id: 'adhd-1', name: 'Sam' };
+  const alex = { id: 'partner-1', name: 'Alex' };
+  let clock;
+  let host;
+  let guest;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const hub = createHub();
+    supabase.channel.mockImplementation(hub.channel);
+    clock = new FakeClock(Date.UTC(2026, 2, 4, 9, 0, 0));
+    host = new BodyDoublingService();
+    guest = new BodyDoublingService();
+    host.setClock(clock);
+    guest.setClock(clock);
+  });
+
+  afterEach(async () => {
+    await host.leave();
+    await guest.leave();
+  });
+
+  const startTogether = async () => {
+    const invited = await host.invitePartner(partnership, sam, { id: 'task-1', title: 'Taxes' });
+    await guest.join(invited.data, alex);
+    return invited.data;
+  };
+
+  it('should invite the partner into a new session', async () => {
+    const result = await host.invitePartner(partnership, sam, { id: 'task-1', title: 'Taxes' });
+
+    expect(result.success).toBe(true);
+    expect(host.getSnapshot().sessionId).toBe(result.data);
+    expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+      'partner-1',
+      NotificationTypes.BODY_DOUBLING_INVITE,
+      expect.objectContaining({ sessionId: result.data, fromUserName: 'Sam', taskTitle: 'Taxes' }),
+    );
+    expect(PresenceService.updatePresence).toHaveBeenCalledWith('online', 'task-1', {
+      workingOn: 'Body doubling: Taxes',
+    });
+  });
+
+  it('should only let the ADHD user start a session', async () => {
+    const result = await guest.invitePartner(partnership, alex);
+
+    expect(result.success).toBe(false);
+    expect(supabase.channel).not.toHaveBeenCalled();
+  });
+
+  it('should show both participants and their tasks', async () => {
+    await startTogether();
+    await guest.setCurrentTask({ id: 'task-9', title: 'Emails' });
+
+    const expected = [
+      expect.objectContaining({ userId: 'adhd-1', name: 'Sam', taskTitle: 'Taxes' }),
+      expect.objectContaining({ userId: 'partner-1', name: 'Alex', taskTitle: 'Emails' }),
+    ];
+    expect(host.getSnapshot().participants).toEqual(expected);
+    expect(guest.getSnapshot().participants).toEqual(expected);
+  });
+
+  it('should run one countdown for everyone', async () => {
+    await startTogether();
+
+    await guest.startTimer();
+    clock.advance(60000);
+
+    expect(host.getSnapshot()).toMatchObject({ timeLeft: WORK_SECONDS - 60 });
+    expect(host.getSnapshot().timer.endsAt).not.toBeNull();
+
+    await host.pauseTimer();
+    clock.advance(60000);
+
+    expect(guest.getSnapshot().timer.endsAt).toBeNull();
+    expect(guest.getSnapshot().timeLeft).toBe(WORK_SECONDS - 60);
+  });
+
+  it('should pick up a running countdown when joining late', async () => {
+    const invited = await host.invitePartner(partnership, sam);
+    await host.startTimer();
+    clock.advance(5 * 60000);
+
+    await guest.join(invited.data, alex);
+
+    expect(guest.getSnapshot().timeLeft).toBe(WORK_SECONDS - 5 * 60);
+  });
+
+  it('should tick listeners as the countdown runs', async () => {
+    await startTogether();
+    const listener = jest.fn();
+    host.subscribe(listener);
+
+    await host.startTimer();
+    listener.mockClear();
+    clock.advance(3000);
+
+    expect(listener.mock.calls.map(([snapshot]) => snapshot.timeLeft)).toEqual([
+      WORK_SECONDS - 1,
+      WORK_SECONDS - 2,
+      WORK_SECONDS - 3,
+    ]);
+  });
+
+  it('should share reactions', async () => {
+    await startTogether();
+
+    await guest.sendReaction('💪');
+
+    expect(host.getSnapshot().reactions).toEqual([
+      expect.objectContaining({ fromUserId: 'partner-1', emoji: '💪' }),
+    ]);
+    expect(guest.getSnapshot().reactions).toHaveLength(1);
+  });
+
+  it('should keep the session going for whoever stays', async () => {
+    const sessionId = await startTogether();
+    await host.startTimer();
+
+    await host.leave();
+    clock.advance(60000);
+
+    expect(host.getSnapshot().sessionId).toBeNull();
+    expect(guest.getSnapshot()).toMatchObject({ sessionId, timeLeft: WORK_SECONDS - 60 });
+    expect(guest.getSnapshot().participants.map(({ userId }) => userId)).toEqual(['partner-1']);
+  });
+});
@@ -0,0 +1,178 @@
+// ABOUTME: Tests for CategoryService category storage and deletion
+// Verifies the offline fallbacks, the saved copy and that deleted categories' tasks are moved
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { CategoryService } from '../CategoryService';
+import { supabase } from '../SupabaseService';
+import LocalTaskStore from '../LocalTaskStore';
+import { DEFAULT_CATEGORIES } from '../../utils/CategoryModel';
+
+jest.mock('../SupabaseService', () => ({
+  supabase: {
+    from: jest.fn(),
+    rpc: jest.fn(),
+  },
+}));
+jest.mock('../LocalTaskStore', () => ({
+  __esModule: true,
+  default: {
+    getTasks: jest.fn(() => []),
+    updateTask: jest.fn(() => Promise.resolve()),
+  },
+}));
+jest.mock('../SecureLogger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+describe('CategoryService', () => {
+  const userId = 'user-123';
+  let service;
+
+  const errandsRow = {
+    id: 'category_errands',
+    user_id: userId,
+    label: 'Errands',
+    color: '#F39C12',
+    icon: '🛒',
+    default_time_estimate: 15,
+    default_priority: 'low',
+    sort_order: 3,
+  };
+
+  const mockSelect = (result) => {
+    const order = jest.fn().mockResolvedValue(result);
+    const eq = jest.fn(() => ({ order }));
+    supabase.from.mockReturnValue({ select: jest.fn(() => ({ eq })) });
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    service = new CategoryService();
+  });
+
+  describe('getCategories', () => {
+    it('should return categories in display order and save a copy on the device', async () => {
+      mockSelect({
+        data: [errandsRow, { ...errandsRow, id: 'home', label: 'Home', sort_order: 0 }],
+        error: null,
+      });
+
+      const result = await service.getCategories(userId);
+
+      expect(result.success).toBe(true);
+      expect(result.data.map((category) => category.id)).toEqual(['home', 'category_errands']);
+      expect(result.data[1]).toEqual(
+        expect.objectContaining({ defaultTimeEstimate: 15, defaultPriority: 'low', sortOrder: 3 }),
+      );
+      expect(await service.getCachedCategories(userId)).toEqual(result.data);
+    });
+
+    it('should fall back to the saved copy when the fetch fails', async () => {
+      mockSelect({ data: [errandsRow], error: null });
+      await service.getCategories(userId);
+      mockSelect({ data: null, error: { message: 'offline' } });
+
+      const result = await service.getCategories(userId);
+
+      expect(result.success).toBe(true);
+      expect(result.data.map((category) => category.id)).toEqual(['category_errands']);
+    });
+
+    it('should fall back to the built-in categories with nothing saved', async () => {
+      mockSelect({ data: null, error: { message: 'offline' } });
+
+      const result = await service.getCategories(userId);
+
+      expect(result.data).toEqual(DEFAULT_CATEGORIES);
+    });
+  });
+
+  describe('saveCategory', () => {
+    it('should upsert the category and update the saved copy', async () => {
+      const upsert = jest.fn().mockResolvedValue({ error: null });
+      supabase.from.mockReturnValue({ upsert });
+      const category = {
+        id: 'category_errands',
+        label: ' Errands ',
+        color: '#F39C12',
+        icon: '🛒',
+        defaultTimeEstimate: 15,
+        defaultPriority: null,
+        sortOrder: 3,
+      };
+
+      const result = await service.saveCategory(userId, category);
+
+      expect(result.success).toBe(true);
+      expect(upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'category_errands', user_id: userId, label: 'Errands' }),
+        { onConflict: 'user_id,id' },
+      );
+      expect(await service.getCachedCategories(userId)).toEqual([category]);
+    });
+
+    it('should return an error when the upsert fails', async () => {
+      supabase.from.mockReturnValue({
+        upsert: jest.fn().mockResolvedValue({ error: new Error('duplicate key') }),
+      });
+
+      const result = await service.saveCategory(userId, DEFAULT_CATEGORIES[0]);
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('deleteCategory', () => {
+    it('should delete through the RPC and move local tasks to the new category', async () => {
+      supabase.rpc.mockResolvedValue({ data: 2, error: null });
+      LocalTaskStore.getTasks.mockReturnValue([
+        { id: 'task-1', category: 'work' },
+        { id: 'task-2', category: 'home' },
+        { id: 'task-3', category: 'work' },
+      ]);
+
+      const result = await service.deleteCategory(userId, 'work', 'personal');
+
+      expect(supabase.rpc).toHaveBeenCalledWith('delete_category', {
+        target_category_id: 'work',
+        reassign_to_category_id: 'personal',
+      });
+      expect(result).toEqual({ success: true, data: 2 });
+      expect(LocalTaskStore.updateTask).toHaveBeenCalledTimes(2);
+      expect(LocalTaskStore.updateTask).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'task-1', category: 'personal' }),
+      );
+    });
+
+    it('should leave tasks uncategorized when no replacement is chosen', async () => {
+      supabase.rpc.mockResolvedValue({ data: 1, error: null });
+      LocalTaskStore.getTasks.mockReturnValue([{ id: 'task-1', category: 'work' }]);
+
+      await service.deleteCategory(userId, 'work', null);
+
+      expect(LocalTaskStore.updateTask).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'task-1', category: null }),
+      );
+    });
+
+    it('should not touch local tasks when the server refuses the delete', async () => {
+      supabase.rpc.mockResolvedValue({ data: null, error: { message: 'Category not found' } });
+      LocalTaskStore.getTasks.mockReturnValue([{ id: 'task-1', category: 'work' }]);
+
+      const result = await service.deleteCategory(userId, 'work', 'home');
+
+      expect(result.success).toBe(false);
+      expect(LocalTaskStore.updateTask).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to move tasks into the category being deleted', async () => {
+      const result = await service.deleteCategory(userId, 'work', 'work');
+
+      expect(result.success).toBe(false);
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,306 @@
+// ABOUTME: Tests for CheckInService, the partner's check-in schedules and the ADHD user's answers
+// Verifies who may schedule and answer, the stats and notifications, and sending due check-ins once
+
+import { CheckInService, CHECK_IN_SWEEP_INTERVAL_MS } from '../CheckInService';
+import { FakeClock } from '../Clock';
+import { supabase } from '../SupabaseService';
+import NotificationService from '../NotificationService';
+import PartnershipService from '../PartnershipService';
+import UserStorageService from '../UserStorageService';
+import { NotificationTypes } from '../../types';
+import { DEFAULT_CHECK_IN_PROMPT } from '../../utils/CheckInModel';
+
+jest.mock('../SupabaseService', () => ({
+  supabase: {
+    from: jest.fn(),
+  },
+}));
+jest.mock('../NotificationService', () => ({
+  __esModule: true,
+  default: {
+    sendNotification: jest.fn(() => Promise.resolve({ success: true, data: true })),
+    sendCheckIn: jest.fn(() => Promise.resolve({ success: true, data: true })),
+  },
+}));
+jest.mock('../PartnershipService', () => ({
+  __esModule: true,
+  default: {
+    getActivePartnership: jest.fn(),
+    incrementPartnershipStat: jest.fn(() => Promise.resolve({ success: true, data: true })),
+  },
+}));
+jest.mock('../UserStorageService', () => ({
+  getUserById: jest.fn((id) => Promise.resolve({ id, name: id === 'adhd-1' ? 'Sam' : 'Alex' })),
+}));
+jest.mock('../SecureLogger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Chainable query whose awaited result (or .single()) is set per test
+const queryMock = (result = { data: [], error: null }) => {
+  const query = {};
+  ['select', 'eq', 'order', 'limit', 'insert', 'update'].forEach((method) => {
+    query[method] = jest.fn(() => query);
+  });
+  query.single = jest.fn(() => Promise.resolve(result));
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+};
+
+describe('CheckInService', () => {
+  // Wednesday 4 March 2026, 08:00 local time
+  const morning = new Date(2026, 2, 4, 8, 0);
+  const settings = { allowCheckIns: true, quietHoursStart: null, quietHoursEnd: null };
+  const partnership = {
+    id: 'partnership-1',
+    adhdUserId: 'adhd-1',
+    partnerId: 'partner-1',
+    settings,
+  };
+  let clock;
+  let service;
+  let tables;
+
+  const scheduleRow = (overrides = {}) => ({
+    id: 'schedule-1',
+    partnership_id: 'partnership-1',
+    created_by: 'partner-1',
+    frequency: 'daily',
+    day_of_week: null,
+    time_of_day: '09:00',
+    time_zone: null,
+    prompt: null,
+    active: true,
+    next_due_at: new Date(2026, 2, 4, 9, 0).toISOString(),
+    created_at: '2026-03-01T09:00:00.000Z',
+    ...overrides,
+  });
+
+  const responseRow = (overrides = {}) => ({
+    id: 'response-1',
+    partnership_id: 'partnership-1',
+    schedule_id: 'schedule-1',
+    user_id: 'adhd-1',
+    mood: 4,
+    energy: 2,
+    blockers: ['Tired'],
+    note: 'Slow start',
+    responded_at: '2026-03-04T09:05:00.000Z',
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tables = { check_in_schedules: queryMock(), check_in_responses: queryMock() };
+    supabase.from.mockImplementation((name) => tables[name]);
+    PartnershipService.getActivePartnership.mockResolvedValue({ success: true, data: partnership });
+    clock = new FakeClock(morning);
+    service = new CheckInService();
+    service.setClock(clock);
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  describe('createSchedule', () => {
+    it('should let the partner schedule check-ins starting at the next matching time', async () => {
+      tables.check_in_schedules = queryMock({ data: scheduleRow(), error: null });
+
+      const result = await service.createSchedule(partnership, 'partner-1', {
+        frequency: 'daily',
+        timeOfDay: '09:00',
+        prompt: '   ',
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.nextDueAt).toEqual(new Date(2026, 2, 4, 9, 0));
+      expect(tables.check_in_schedules.insert).toHaveBeenCalledWith({
+        partnership_id: 'partnership-1',
+        created_by: 'partner-1',
+        frequency: 'daily',
+        day_of_week: null,
+        time_of_day: '09:00',
+        // The ADHD user has no time zone saved, so the partner's device clock is used
+        time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        prompt: null,
+        next_due_at: new Date(2026, 2, 4, 9, 0).toISOString(),
+      });
+    });
+
+    it('should keep the time on the ADHD user clock', async () => {
+      UserStorageService.getUserById.mockResolvedValueOnce({
+        id: 'adhd-1',
+        name: 'Sam',
+        timeZone: 'Asia/Tokyo',
+      });
+      tables.check_in_schedules = queryMock({ data: scheduleRow(), error: null });
+      clock = new FakeClock(new Date('2026-03-04T08:00:00Z'));
+      service.setClock(clock);
+
+      await service.createSchedule(partnership, 'partner-1', {
+        frequency: 'daily',
+        timeOfDay: '09:00',
+      });
+
+      expect(UserStorageService.getUserById).toHaveBeenCalledWith('adhd-1');
+      expect(tables.check_in_schedules.insert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          time_zone: 'Asia/Tokyo',
+          // 09:00 in Tokyo on the 5th; the 4th's had already passed there
+          next_due_at: '2026-03-05T00:00:00.000Z',
+        }),
+      );
+    });
+
+    it('should not let the ADHD user schedule check-ins', async () => {
+      const result = await service.createSchedule(partnership, 'adhd-1', {
+        frequency: 'daily',
+        timeOfDay: '09:00',
+      });
+
+      expect(result.success).toBe(false);
+      expect(tables.check_in_schedules.insert).not.toHaveBeenCalled();
+    });
+
+    it('should respect partnerships with check-ins turned off', async () => {
+      const result = await service.createSchedule(
+        { ...partnership, settings: { ...settings, allowCheckIns: false } },
+        'partner-1',
+        { frequency: 'daily', timeOfDay: '09:00' },
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error.message).toBe('Check-ins are turned off for this partnership');
+    });
+  });
+
+  describe('respond', () => {
+    it('should store the answer, count it and tell the partner', async () => {
+      tables.check_in_responses = queryMock({ data: responseRow(), error: null });
+
+      const result = await service.respond(partnership, 'adhd-1', {
+        mood: 4,
+        energy: 2,
+        blockers: ['Tired'],
+        note: ' Slow start ',
+        scheduleId: 'schedule-1',
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ mood: 4, energy: 2, blockers: ['Tired'] });
+      expect(tables.check_in_responses.insert).toHaveBeenCalledWith({
+        partnership_id: 'partnership-1',
+        schedule_id: 'schedule-1',
+        user_id: 'adhd-1',
+        mood: 4,
+        energy: 2,
+        blockers: ['Tired'],
+        note: 'Slow start',
+      });
+      expect(PartnershipService.incrementPartnershipStat).toHaveBeenCalledWith(
+        'partnership-1',
+        'checkInsCompleted',
+      );
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        'partner-1',
+        NotificationTypes.CHECK_IN_RESPONSE,
+        expect.objectContaining({ mood: 4, energy: 2, fromUserName: 'Sam' }),
+      );
+    });
+
+    it('should reject answers without a mood and energy', async () => {
+      const result = await service.respond(partnership, 'adhd-1', { blockers: [] });
+
+      expect(result.success).toBe(false);
+      expect(tables.check_in_responses.insert).not.toHaveBeenCalled();
+      expect(PartnershipService.incrementPartnershipStat).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendDueCheckIns', () => {
+    const nineAm = new Date(2026, 2, 4, 9, 0);
+
+    it('should send due check-ins to the ADHD user and move the schedule on', async () => {
+      tables.check_in_schedules = queryMock({
+        data: [
+          scheduleRow(),
+          scheduleRow({ id: 'schedule-2', next_due_at: new Date(2026, 2, 4, 18, 0).toISOString() }),
+        ],
+        error: null,
+      });
+      clock.advance(nineAm.getTime() - morning.getTime());
+      service.start('adhd-1');
+
+      await expect(service.sendDueCheckIns()).resolves.toBe(1);
+
+      const schedules = tables.check_in_schedules;
+      expect(schedules.update).toHaveBeenCalledWith({
+        next_due_at: new Date(2026, 2, 5, 9, 0).toISOString(),
+      });
+      expect(schedules.eq).toHaveBeenCalledWith('next_due_at', nineAm.toISOString());
+      expect(NotificationService.sendCheckIn).toHaveBeenCalledTimes(1);
+      expect(NotificationService.sendCheckIn).toHaveBeenCalledWith(
+        'partner-1',
+        'adhd-1',
+        DEFAULT_CHECK_IN_PROMPT,
+        'schedule-1',
+      );
+    });
+
+    it('should move a schedule on by the clock of its own time zone', async () => {
+      const due = new Date('2026-03-04T00:00:00Z');
+      tables.check_in_schedules = queryMock({
+        data: [scheduleRow({ time_zone: 'Asia/Tokyo', next_due_at: due.toISOString() })],
+        error: null,
+      });
+      service.setClock(new FakeClock(due));
+      service.start('adhd-1');
+
+      await service.sendDueCheckIns();
+
+      expect(tables.check_in_schedules.update).toHaveBeenCalledWith({
+        next_due_at: '2026-03-05T00:00:00.000Z',
+      });
+    });
+
+    it('should not send a check-in another device already sent', async () => {
+      const schedules = queryMock({ data: [scheduleRow()], error: null });
+      const alreadyClaimed = queryMock({ data: [], error: null });
+      schedules.update.mockReturnValue(alreadyClaimed);
+      tables.check_in_schedules = schedules;
+      clock.advance(nineAm.getTime() - morning.getTime());
+      service.start('adhd-1');
+
+      await expect(service.sendDueCheckIns()).resolves.toBe(0);
+
+      expect(NotificationService.sendCheckIn).not.toHaveBeenCalled();
+    });
+
+    it('should only send check-ins from the ADHD user’s app', async () => {
+      tables.check_in_schedules = queryMock({ data: [scheduleRow()], error: null });
+      clock.advance(nineAm.getTime() - morning.getTime());
+      service.start('partner-1');
+
+      await expect(service.sendDueCheckIns()).resolves.toBe(0);
+
+      expect(tables.check_in_schedules.update).not.toHaveBeenCalled();
+    });
+
+    it('should check again every few minutes while running', async () => {
+      tables.check_in_schedules = queryMock({ data: [scheduleRow()], error: null });
+      service.start('adhd-1');
+      await flushPromises();
+      expect(NotificationService.sendCheckIn).not.toHaveBeenCalled();
+
+      clock.advance(nineAm.getTime() - morning.getTime() + CHECK_IN_SWEEP_INTERVAL_MS);
+      await flushPromises();
+
+      expect(NotificationService.sendCheckIn).toHaveBeenCalledTimes(1);
+    });
+  });
+});
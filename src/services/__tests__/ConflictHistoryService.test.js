@@ -0,0 +1,108 @@
+// ABOUTME: Tests for ConflictHistoryService persistent conflict records
+// Verifies conflicts are stored per user, replaced while unresolved and marked resolved
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { ConflictHistoryService } from '../ConflictHistoryService';
+
+jest.mock('../SecureLogger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+describe('ConflictHistoryService', () => {
+  const userId = 'user-123';
+  let service;
+
+  const createConflict = (overrides = {}) => ({
+    entity: 'task',
+    entityId: 'task-1',
+    localData: { id: 'task-1', title: 'Call mum' },
+    remoteData: { id: 'task-1', title: 'Call mum back' },
+    conflictFields: ['title'],
+    timestamp: new Date('2024-05-01T10:00:00Z'),
+    ...overrides,
+  });
+
+  const autoResolution = {
+    resolvedData: { id: 'task-1', title: 'Call mum' },
+    strategy: 'merge',
+    fieldResolutions: { title: 'local' },
+  };
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    service = new ConflictHistoryService();
+    await service.initialize(userId);
+  });
+
+  it('should record conflicts that need review as unresolved', async () => {
+    const record = await service.recordConflict(createConflict(), autoResolution, true);
+
+    expect(record.status).toBe('unresolved');
+    expect(record.resolvedAt).toBeNull();
+    expect(service.getUnresolvedConflicts()).toEqual([record]);
+  });
+
+  it('should record automatic merges as resolved history', async () => {
+    await service.recordConflict(
+      createConflict({ conflictFields: ['xpEarned'] }),
+      autoResolution,
+      false,
+    );
+
+    expect(service.getUnresolvedConflicts()).toHaveLength(0);
+    expect(service.getConflicts()[0].status).toBe('resolved');
+  });
+
+  it('should keep only the latest unresolved conflict per task', async () => {
+    await service.recordConflict(createConflict(), autoResolution, true);
+    const latest = await service.recordConflict(
+      createConflict({ timestamp: new Date('2024-05-01T11:00:00Z') }),
+      autoResolution,
+      true,
+    );
+
+    expect(service.getUnresolvedConflicts().map((record) => record.id)).toEqual([latest.id]);
+  });
+
+  it('should persist the history across restarts', async () => {
+    const record = await service.recordConflict(createConflict(), autoResolution, true);
+
+    const restarted = new ConflictHistoryService();
+    await restarted.initialize(userId);
+
+    const [restored] = restarted.getConflicts();
+    expect(restored.id).toBe(record.id);
+    expect(restored.detectedAt).toBeInstanceOf(Date);
+    expect(restored.localData).toEqual(record.localData);
+  });
+
+  it('should mark a conflict resolved with the manual resolution', async () => {
+    const record = await service.recordConflict(createConflict(), autoResolution, true);
+    const listener = jest.fn();
+    service.subscribe(listener);
+
+    await service.markResolved(record.id, {
+      resolvedData: { id: 'task-1', title: 'Call mum back' },
+      strategy: 'manual',
+      fieldResolutions: { title: 'remote' },
+    });
+
+    const resolved = service.getConflict(record.id);
+    expect(resolved.status).toBe('resolved');
+    expect(resolved.strategy).toBe('manual');
+    expect(resolved.fieldResolutions).toEqual({ title: 'remote' });
+    expect(resolved.resolvedAt).toBeInstanceOf(Date);
+    expect(listener).toHaveBeenCalled();
+  });
+
+  it('should clear resolved conflicts but keep unresolved ones', async () => {
+    await service.recordConflict(createConflict({ entityId: 'task-2' }), autoResolution, false);
+    const open = await service.recordConflict(createConflict(), autoResolution, true);
+
+    await service.clearResolved();
+
+    expect(service.getConflicts().map((record) => record.id)).toEqual([open.id]);
+  });
+});
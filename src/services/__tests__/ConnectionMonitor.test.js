@@ -0,0 +1,120 @@
+// ABOUTME: Tests for ConnectionMonitor and its connectivity providers
+// Verifies connection events from a fake provider and the reachability probe used in the app
+
+import ConnectionMonitor from '../ConnectionMonitor';
+import {
+  FakeConnectivityProvider,
+  ReachabilityConnectivityProvider,
+  OFFLINE_STATE,
+} from '../ConnectivityProvider';
+
+jest.mock('../SecureLogger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('ConnectionMonitor', () => {
+  let network;
+  let events;
+  let unsubscribe;
+
+  beforeEach(() => {
+    network = new FakeConnectivityProvider();
+    ConnectionMonitor.setConnectivityProvider(network);
+    events = [];
+    unsubscribe = ConnectionMonitor.subscribe((event) => events.push(event.type));
+  });
+
+  afterEach(() => {
+    unsubscribe();
+    ConnectionMonitor.stopMonitoring();
+  });
+
+  it('should report the initial state once monitoring starts', () => {
+    ConnectionMonitor.startMonitoring();
+
+    expect(events).toEqual(['connected']);
+    expect(ConnectionMonitor.isConnected()).toBe(true);
+  });
+
+  it('should emit disconnected and restored as the network drops and returns', () => {
+    ConnectionMonitor.startMonitoring();
+
+    network.goOffline();
+    expect(ConnectionMonitor.isConnected()).toBe(false);
+
+    network.goOnline();
+    expect(events).toEqual(['connected', 'disconnected', 'restored']);
+    expect(ConnectionMonitor.isConnectionAvailable()).toBe(true);
+  });
+
+  it('should stop listening to the provider when monitoring stops', () => {
+    ConnectionMonitor.startMonitoring();
+    expect(network.getListenerCount()).toBe(1);
+
+    ConnectionMonitor.stopMonitoring();
+    expect(network.getListenerCount()).toBe(0);
+  });
+
+  it('should restart against a new provider while monitoring', () => {
+    ConnectionMonitor.startMonitoring();
+
+    const offlineNetwork = new FakeConnectivityProvider(OFFLINE_STATE);
+    ConnectionMonitor.setConnectivityProvider(offlineNetwork);
+
+    expect(network.getListenerCount()).toBe(0);
+    expect(offlineNetwork.getListenerCount()).toBe(1);
+    expect(ConnectionMonitor.isConnected()).toBe(false);
+  });
+});
+
+describe('ReachabilityConnectivityProvider', () => {
+  const originalFetch = global.fetch;
+  let provider;
+  let unsubscribe;
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    provider = new ReachabilityConnectivityProvider({ probeUrl: 'https://example.test/health' });
+  });
+
+  afterEach(() => {
+    unsubscribe?.();
+    global.fetch = originalFetch;
+  });
+
+  it('should report online when the probe gets any response', async () => {
+    global.fetch.mockResolvedValue({ status: 401 });
+    const listener = jest.fn();
+
+    unsubscribe = provider.addEventListener(listener);
+    await flushPromises();
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://example.test/health',
+      expect.objectContaining({ method: 'HEAD' }),
+    );
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ isConnected: true }));
+  });
+
+  it('should report offline when the probe fails and only notify on changes', async () => {
+    global.fetch.mockRejectedValue(new TypeError('Network request failed'));
+    const listener = jest.fn();
+
+    unsubscribe = provider.addEventListener(listener);
+    await flushPromises();
+    await provider.refresh();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ isConnected: false }));
+
+    global.fetch.mockResolvedValue({ status: 200 });
+    await provider.refresh();
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ isConnected: true }));
+  });
+});
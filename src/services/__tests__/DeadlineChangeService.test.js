@@ -0,0 +1,300 @@
+// ABOUTME: Tests for DeadlineChangeService, asking for and answering new due dates on assigned tasks
+// Verifies who may ask and answer, that the due date only moves once agreed and who gets notified
+
+import { DeadlineChangeService } from '../DeadlineChangeService';
+import { FakeClock } from '../Clock';
+import { supabase } from '../SupabaseService';
+import NotificationService from '../NotificationService';
+import TaskStorageService from '../TaskStorageService';
+import LocalTaskStore from '../LocalTaskStore';
+import { NotificationTypes } from '../../types';
+import { createTask } from '../../utils/TaskModel';
+
+jest.mock('../SupabaseService', () => ({
+  supabase: {
+    from: jest.fn(),
+    rpc: jest.fn(),
+  },
+}));
+jest.mock('../NotificationService', () => ({
+  __esModule: true,
+  default: {
+    sendNotification: jest.fn(() => Promise.resolve({ success: true, data: true })),
+  },
+}));
+jest.mock('../TaskStorageService', () => ({
+  __esModule: true,
+  default: {
+    getTask: jest.fn(),
+    updateTask: jest.fn(() => Promise.resolve(true)),
+  },
+}));
+jest.mock('../LocalTaskStore', () => ({
+  __esModule: true,
+  default: {
+    getTask: jest.fn(() => null),
+    applyRemoteChange: jest.fn(() => Promise.resolve()),
+  },
+}));
+jest.mock('../UserStorageService', () => ({
+  getUserById: jest.fn((id) => Promise.resolve({ id, name: id === 'adhd-1' ? 'Sam' : 'Alex' })),
+}));
+jest.mock('../SecureLogger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+// Chainable query whose awaited result (or .single()) is set per test
+const queryMock = (result = { data: [], error: null }) => {
+  const query = {};
+  ['select', 'eq', 'order', 'insert', 'update'].forEach((method) => {
+    query[method] = jest.fn(() => query);
+  });
+  query.single = jest.fn(() => Promise.resolve(result));
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+};
+
+describe('DeadlineChangeService', () => {
+  const now = new Date('2026-03-04T10:00:00.000Z');
+  const dueDate = new Date('2026-03-05T17:00:00.000Z');
+  const proposedDueDate = new Date('2026-03-09T17:00:00.000Z');
+  const counterDueDate = new Date('2026-03-07T17:00:00.000Z');
+  let service;
+  let requests;
+
+  const task = {
+    ...createTask({
+      title: 'File taxes',
+      userId: 'partner-1',
+      assignedBy: 'partner-1',
+      assignedTo: 'adhd-1',
+      dueDate,
+    }),
+    id: 'task-1',
+    partnerNotified: { onStart: false, onComplete: false, onOverdue: true },
+  };
+
+  const requestRow = (overrides = {}) => ({
+    id: 'request-1',
+    task_id: 'task-1',
+    requested_by: 'adhd-1',
+    assigned_by: 'partner-1',
+    task_title: 'File taxes',
+    current_due_date: dueDate.toISOString(),
+    proposed_due_date: proposedDueDate.toISOString(),
+    reason: 'Waiting on the bank',
+    status: 'pending',
+    counter_due_date: null,
+    response_note: null,
+    responded_at: null,
+    resolved_at: null,
+    created_at: now.toISOString(),
+    ...overrides,
+  });
+
+  // getRequest reads through .single(); answer_deadline_change returns the answered row
+  const givenRequest = (row, answeredRow) => {
+    requests = queryMock();
+    requests.single.mockResolvedValue({ data: row, error: null });
+    supabase.from.mockReturnValue(requests);
+    supabase.rpc.mockResolvedValue(
+      answeredRow
+        ? { data: answeredRow, error: null }
+        : { data: null, error: { message: 'This request has already been answered' } },
+    );
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    LocalTaskStore.getTask.mockReturnValue(null);
+    TaskStorageService.getTask.mockResolvedValue(task);
+    service = new DeadlineChangeService();
+    service.setClock(new FakeClock(now));
+  });
+
+  describe('requestChange', () => {
+    it('should store the request and ask whoever assigned the task', async () => {
+      requests = queryMock({ data: requestRow(), error: null });
+      supabase.from.mockReturnValue(requests);
+
+      const result = await service.requestChange(task, 'adhd-1', {
+        proposedDueDate,
+        reason: ' Waiting on the bank ',
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ status: 'pending', proposedDueDate });
+      expect(requests.insert).toHaveBeenCalledWith({
+        task_id: 'task-1',
+        requested_by: 'adhd-1',
+        assigned_by: 'partner-1',
+        task_title: 'File taxes',
+        current_due_date: dueDate.toISOString(),
+        proposed_due_date: proposedDueDate.toISOString(),
+        reason: 'Waiting on the bank',
+      });
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        'partner-1',
+        NotificationTypes.DEADLINE_CHANGE_REQUEST,
+        expect.objectContaining({ requestId: 'request-1', taskId: 'task-1', fromUserName: 'Sam' }),
+      );
+      // Asking never touches the task itself
+      expect(TaskStorageService.updateTask).not.toHaveBeenCalled();
+    });
+
+    it('should not let the assigner ask to move their own deadline', async () => {
+      requests = queryMock();
+      supabase.from.mockReturnValue(requests);
+
+      const result = await service.requestChange(task, 'partner-1', {
+        proposedDueDate,
+        reason: 'Busy',
+      });
+
+      expect(result.success).toBe(false);
+      expect(requests.insert).not.toHaveBeenCalled();
+    });
+
+    it('should explain when the task already has a request waiting', async () => {
+      requests = queryMock({ data: null, error: { code: '23505', message: 'duplicate key' } });
+      supabase.from.mockReturnValue(requests);
+
+      const result = await service.requestChange(task, 'adhd-1', {
+        proposedDueDate,
+        reason: 'Waiting on the bank',
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.message).toBe(
+        'You already asked to move this task; wait for an answer first',
+      );
+    });
+  });
+
+  describe('answering', () => {
+    it('should answer and move the due date in one call when the assigner approves', async () => {
+      givenRequest(
+        requestRow(),
+        requestRow({ status: 'approved', responded_at: now.toISOString() }),
+      );
+
+      const result = await service.approve('request-1', 'partner-1', ' Sure ');
+
+      expect(result.success).toBe(true);
+      expect(supabase.rpc).toHaveBeenCalledWith('answer_deadline_change', {
+        p_request_id: 'request-1',
+        p_status: 'approved',
+        p_note: 'Sure',
+        p_counter_due_date: null,
+      });
+      expect(requests.update).not.toHaveBeenCalled();
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        'adhd-1',
+        NotificationTypes.DEADLINE_CHANGE_RESPONSE,
+        expect.objectContaining({ status: 'approved', dueDate: proposedDueDate.toISOString() }),
+      );
+    });
+
+    it('should bring the local copy of the task up to date once the date moved', async () => {
+      const moved = { ...task, dueDate: proposedDueDate };
+      LocalTaskStore.getTask.mockReturnValue(task);
+      TaskStorageService.getTask.mockResolvedValue(moved);
+      givenRequest(
+        requestRow(),
+        requestRow({ status: 'approved', responded_at: now.toISOString() }),
+      );
+
+      await service.approve('request-1', 'partner-1');
+
+      expect(TaskStorageService.getTask).toHaveBeenCalledWith('task-1');
+      expect(LocalTaskStore.applyRemoteChange).toHaveBeenCalledWith(moved, 'UPDATE');
+    });
+
+    it('should leave the due date alone when the request is rejected or countered', async () => {
+      givenRequest(
+        requestRow(),
+        requestRow({ status: 'rejected', responded_at: now.toISOString() }),
+      );
+      await service.reject('request-1', 'partner-1');
+
+      givenRequest(
+        requestRow(),
+        requestRow({
+          status: 'countered',
+          counter_due_date: counterDueDate.toISOString(),
+          responded_at: now.toISOString(),
+        }),
+      );
+      const countered = await service.counter('request-1', 'partner-1', counterDueDate);
+
+      expect(countered.data.counterDueDate).toEqual(counterDueDate);
+      expect(supabase.rpc).toHaveBeenCalledWith(
+        'answer_deadline_change',
+        expect.objectContaining({
+          p_status: 'countered',
+          p_counter_due_date: counterDueDate.toISOString(),
+        }),
+      );
+      expect(TaskStorageService.getTask).not.toHaveBeenCalled();
+    });
+
+    it('should move the due date to the suggested one once the assignee accepts it', async () => {
+      const countered = requestRow({
+        status: 'countered',
+        counter_due_date: counterDueDate.toISOString(),
+        responded_at: now.toISOString(),
+      });
+      givenRequest(countered, { ...countered, status: 'accepted', resolved_at: now.toISOString() });
+
+      const result = await service.acceptCounter('request-1', 'adhd-1');
+
+      expect(result.success).toBe(true);
+      expect(supabase.rpc).toHaveBeenCalledWith('answer_deadline_change', {
+        p_request_id: 'request-1',
+        p_status: 'accepted',
+        p_note: null,
+        p_counter_due_date: null,
+      });
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        'partner-1',
+        NotificationTypes.DEADLINE_CHANGE_RESPONSE,
+        expect.objectContaining({ status: 'accepted', fromUserName: 'Sam' }),
+      );
+    });
+
+    it('should only let the right person answer each step', async () => {
+      givenRequest(requestRow());
+
+      const result = await service.approve('request-1', 'adhd-1');
+
+      expect(result.success).toBe(false);
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+
+    it('should not answer a request someone already answered', async () => {
+      // Still pending when read, but another device answered before the update landed
+      givenRequest(requestRow());
+
+      const result = await service.reject('request-1', 'partner-1');
+
+      expect(result.success).toBe(false);
+      expect(result.error.message).toBe('This request has already been answered');
+      expect(NotificationService.sendNotification).not.toHaveBeenCalled();
+    });
+
+    it('should need a future date to suggest', async () => {
+      givenRequest(requestRow());
+
+      const result = await service.counter(
+        'request-1',
+        'partner-1',
+        new Date('2026-03-01T00:00:00.000Z'),
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error.message).toBe('The new due date must be in the future');
+    });
+  });
+});
@@ -0,0 +1,216 @@
+// ABOUTME: Tests for FocusSessionService that logs focus sessions on tasks
+// Verifies the session lifecycle, offline queueing and that timeSpent is derived from sessions
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { FocusSessionService, FOCUS_SESSION_OPERATIONS } from '../FocusSessionService';
+import { supabase } from '../SupabaseService';
+import OfflineQueueManager from '../OfflineQueueManager';
+import LocalTaskStore from '../LocalTaskStore';
+import { createTask } from '../../utils/TaskModel';
+
+jest.mock('../SupabaseService', () => ({
+  supabase: {
+    from: jest.fn(),
+  },
+}));
+jest.mock('../OfflineQueueManager', () => ({
+  registerProcessor: jest.fn(),
+  addOperation: jest.fn(() => Promise.resolve('op-1')),
+}));
+jest.mock('../LocalTaskStore', () => ({
+  __esModule: true,
+  default: {
+    getTask: jest.fn(),
+    updateTask: jest.fn(() => Promise.resolve()),
+  },
+}));
+jest.mock('../SecureLogger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+describe('FocusSessionService', () => {
+  const userId = 'user-123';
+  const start = new Date(2026, 2, 2, 9, 0, 0);
+  let service;
+  let task;
+
+  const advanceMinutes = (minutes) => {
+    jest.setSystemTime(new Date(Date.now() + minutes * 60 * 1000));
+  };
+
+  const mockSelect = (result) => {
+    const order = jest.fn().mockResolvedValue(result);
+    const eq = jest.fn(() => ({ order }));
+    supabase.from.mockReturnValue({ select: jest.fn(() => ({ eq })) });
+  };
+
+  const sessionRow = (overrides = {}) => ({
+    id: 'session-remote',
+    task_id: task.id,
+    user_id: userId,
+    started_at: new Date(2026, 2, 1, 9, 0).toISOString(),
+    ended_at: new Date(2026, 2, 1, 9, 40).toISOString(),
+    planned_duration_seconds: 1500,
+    focused_seconds: 30 * 60,
+    break_seconds: 0,
+    paused_seconds: 10 * 60,
+    interruptions: 1,
+    completed_pomodoros: 1,
+    end_reason: 'completed',
+    events: [],
+    ...overrides,
+  });
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: start, doNotFake: ['nextTick', 'setImmediate'] });
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    task = createTask({ title: 'Write report', userId, timeSpent: 0 });
+    LocalTaskStore.getTask.mockReturnValue(task);
+    service = new FocusSessionService();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should register a processor for queued session saves', () => {
+    expect(OfflineQueueManager.registerProcessor).toHaveBeenCalledWith(
+      FOCUS_SESSION_OPERATIONS.SAVE,
+      expect.any(Function),
+    );
+  });
+
+  it('should ignore events when no session is running', async () => {
+    const result = await service.recordEvent('pause');
+
+    expect(result.success).toBe(true);
+    expect(result.data).toBeNull();
+  });
+
+  it('should log pauses and derive timeSpent from real focus when it ends', async () => {
+    mockSelect({ data: [], error: null });
+
+    await service.startSession(userId, task.id, 1500);
+    advanceMinutes(10);
+    await service.recordEvent('pause');
+    advanceMinutes(5);
+    await service.recordEvent('resume');
+    advanceMinutes(8);
+    const result = await service.endSession();
+
+    expect(result.data).toMatchObject({
+      focusedSeconds: 18 * 60,
+      pausedSeconds: 5 * 60,
+      endReason: 'stopped_early',
+    });
+    expect(service.getActiveSession()).toBeNull();
+    expect(OfflineQueueManager.addOperation).toHaveBeenCalledWith(
+      FOCUS_SESSION_OPERATIONS.SAVE,
+      expect.objectContaining({ task_id: task.id, focused_seconds: 18 * 60 }),
+      expect.objectContaining({ priority: 'high', userId }),
+    );
+    expect(LocalTaskStore.updateTask).toHaveBeenCalledWith(
+      expect.objectContaining({ id: task.id, timeSpent: 18 }),
+    );
+  });
+
+  it('should add up every session on the task, not just the new one', async () => {
+    mockSelect({ data: [sessionRow()], error: null });
+
+    await service.startSession(userId, task.id, 1500);
+    advanceMinutes(12);
+    await service.endSession();
+
+    expect(LocalTaskStore.updateTask).toHaveBeenCalledWith(
+      expect.objectContaining({ timeSpent: 42 }),
+    );
+  });
+
+  it('should add the session to the saved total when offline', async () => {
+    LocalTaskStore.getTask.mockReturnValue({ ...task, timeSpent: 50 });
+    supabase.from.mockImplementation(() => {
+      throw new Error('Network request failed');
+    });
+
+    await service.startSession(userId, task.id, 1500);
+    advanceMinutes(20);
+    await service.endSession();
+
+    expect(LocalTaskStore.updateTask).toHaveBeenCalledWith(
+      expect.objectContaining({ timeSpent: 70 }),
+    );
+  });
+
+  it('should end a running session before starting another', async () => {
+    mockSelect({ data: [], error: null });
+
+    const first = await service.startSession(userId, task.id, 1500);
+    advanceMinutes(5);
+    const second = await service.startSession(userId, task.id, 1500);
+
+    expect(second.data.id).not.toBe(first.data.id);
+    expect(OfflineQueueManager.addOperation).toHaveBeenCalledWith(
+      FOCUS_SESSION_OPERATIONS.SAVE,
+      expect.objectContaining({ id: first.data.id }),
+      expect.any(Object),
+    );
+  });
+
+  it('should list unsynced sessions alongside synced ones', async () => {
+    supabase.from.mockImplementation(() => {
+      throw new Error('Network request failed');
+    });
+    await service.startSession(userId, task.id, 1500);
+    advanceMinutes(25);
+    await service.recordEvent('pomodoro_complete');
+    await service.endSession();
+
+    mockSelect({ data: [sessionRow()], error: null });
+    const result = await service.getTaskSessions(userId, task.id);
+
+    expect(result.data).toHaveLength(2);
+    expect(result.data[0]).toMatchObject({ completedPomodoros: 1, endReason: 'completed' });
+    expect(result.data[1].id).toBe('session-remote');
+  });
+
+  it('should bring back the running session after a restart', async () => {
+    mockSelect({ data: [], error: null });
+    const started = await service.startSession(userId, task.id, 1500);
+    advanceMinutes(10);
+    await service.recordEvent('pause');
+
+    const restarted = new FocusSessionService();
+    const restored = await restarted.restoreActiveSession();
+
+    expect(restored.id).toBe(started.data.id);
+    expect(restored.events.map((event) => event.type)).toEqual(['start', 'pause']);
+
+    await restarted.endSession();
+    expect(await new FocusSessionService().restoreActiveSession()).toBeNull();
+  });
+
+  it('should record events that were noticed late at the time they happened', async () => {
+    await service.startSession(userId, task.id, 1500);
+    advanceMinutes(40);
+    const result = await service.recordEvent(
+      'pomodoro_complete',
+      new Date(start.getTime() + 25 * 60 * 1000),
+    );
+
+    expect(result.data.focusedSeconds).toBe(25 * 60);
+  });
+
+  it('should throw from the processor when the upsert fails so the queue retries', async () => {
+    const processor = OfflineQueueManager.registerProcessor.mock.calls[0][1];
+    const upsert = jest.fn().mockResolvedValue({ error: { message: 'timeout' } });
+    supabase.from.mockReturnValue({ upsert });
+
+    await expect(processor({ data: sessionRow() })).rejects.toThrow(
+      'Failed to sync focus session: timeout',
+    );
+    expect(upsert).toHaveBeenCalledWith(sessionRow(), { onConflict: 'id' });
+  });
+});
@@ -0,0 +1,183 @@
+// ABOUTME: Tests for HyperfocusTimerService driven by a fake clock
+// Verifies the countdown, pausing, backgrounding and picking the timer back up after a restart
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import { HyperfocusTimerService } from '../HyperfocusTimerService';
+import { FakeClock } from '../Clock';
+
+jest.mock('../SecureLogger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+const SECOND = 1000;
+const START = new Date('2026-03-02T09:00:00.000Z');
+
+describe('HyperfocusTimerService', () => {
+  let clock;
+  let timer;
+  let snapshot;
+  let completions;
+  let appStateHandler;
+
+  // A fresh service reading what the last one saved, like the app after a reload
+  const relaunch = () => {
+    const relaunched = new HyperfocusTimerService();
+    relaunched.setClock(clock);
+    return relaunched;
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    jest.spyOn(AppState, 'addEventListener').mockImplementation((event, handler) => {
+      appStateHandler = handler;
+      return { remove: jest.fn() };
+    });
+
+    clock = new FakeClock(START);
+    timer = relaunch();
+    completions = [];
+    timer.subscribe((next) => {
+      snapshot = next;
+    });
+    timer.onComplete((completion) => {
+      completions.push(completion);
+    });
+  });
+
+  afterEach(async () => {
+    await timer.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('should count down one second at a time', async () => {
+    await timer.startPhase('task-1', 'work', 25 * 60);
+
+    expect(snapshot).toMatchObject({ isRunning: true, timeLeft: 25 * 60, phase: 'work' });
+
+    clock.advance(SECOND);
+    expect(snapshot.timeLeft).toBe(25 * 60 - 1);
+
+    clock.advance(90 * SECOND);
+    expect(snapshot.timeLeft).toBe(25 * 60 - 91);
+  });
+
+  it('should finish a work phase at its end time and count the session', async () => {
+    await timer.startPhase('task-1', 'work', 60);
+
+    clock.advance(59 * SECOND);
+    expect(completions).toEqual([]);
+
+    clock.advance(SECOND);
+    expect(completions).toEqual([
+      { phase: 'work', completedAt: new Date(START.getTime() + 60 * SECOND), sessionCount: 1 },
+    ]);
+    expect(snapshot).toMatchObject({ isRunning: false, timeLeft: 0, sessionCount: 1 });
+    expect(clock.getPendingTimerCount()).toBe(0);
+  });
+
+  it('should not count breaks as sessions', async () => {
+    await timer.startPhase('task-1', 'break', 5 * 60);
+    clock.advance(5 * 60 * SECOND);
+
+    expect(completions[0]).toMatchObject({ phase: 'break', sessionCount: 0 });
+  });
+
+  it('should hold the time left while paused', async () => {
+    await timer.startPhase('task-1', 'work', 25 * 60);
+    clock.advance(10 * SECOND);
+    await timer.pause();
+
+    clock.advance(10 * 60 * SECOND);
+    expect(snapshot).toMatchObject({ isRunning: false, timeLeft: 25 * 60 - 10 });
+
+    await timer.resume();
+    clock.advance(5 * SECOND);
+    expect(snapshot.timeLeft).toBe(25 * 60 - 15);
+  });
+
+  it('should reset to a full phase without starting it', async () => {
+    await timer.startPhase('task-1', 'work', 25 * 60);
+    clock.advance(25 * 60 * SECOND);
+    await timer.reset(25 * 60, 'work');
+
+    expect(snapshot).toMatchObject({
+      isRunning: false,
+      timeLeft: 25 * 60,
+      completedAt: null,
+      sessionCount: 1,
+    });
+  });
+
+  it('should catch up when the app comes back from the background', async () => {
+    await timer.startPhase('task-1', 'work', 25 * 60);
+
+    // Timers are frozen in the background, so only the wall clock moves
+    jest.spyOn(clock, 'now').mockReturnValue(START.getTime() + 30 * 60 * SECOND);
+    expect(completions).toEqual([]);
+
+    appStateHandler('active');
+
+    expect(completions).toEqual([
+      expect.objectContaining({
+        phase: 'work',
+        completedAt: new Date(START.getTime() + 25 * 60 * SECOND),
+      }),
+    ]);
+  });
+
+  it('should carry on after a restart with the right time left', async () => {
+    await timer.startPhase('task-1', 'work', 25 * 60);
+    clock.advance(5 * 60 * SECOND);
+
+    const restored = await relaunch().restore('task-1');
+
+    expect(restored).toMatchObject({
+      taskId: 'task-1',
+      isRunning: true,
+      timeLeft: 20 * 60,
+      sessionCount: 0,
+    });
+  });
+
+  it('should restore a phase that ran out while the app was closed as finished', async () => {
+    await timer.startPhase('task-1', 'work', 25 * 60);
+
+    const restarted = relaunch();
+    const restartedCompletions = [];
+    restarted.onComplete((completion) => {
+      restartedCompletions.push(completion);
+    });
+    clock.advanceTo(START.getTime() + 2 * 60 * 60 * SECOND);
+
+    const restored = await restarted.restore('task-1');
+
+    expect(restored).toMatchObject({
+      isRunning: false,
+      timeLeft: 0,
+      sessionCount: 1,
+      completedAt: START.getTime() + 25 * 60 * SECOND,
+    });
+    // The screen announces restored completions itself
+    expect(restartedCompletions).toEqual([]);
+  });
+
+  it('should drop a saved timer for a different task', async () => {
+    await timer.startPhase('task-1', 'work', 25 * 60);
+
+    expect(await relaunch().restore('task-2')).toBeNull();
+    expect(await AsyncStorage.getItem('hyperfocus_timer')).toBeNull();
+  });
+
+  it('should forget the timer when cleared', async () => {
+    await timer.startPhase('task-1', 'work', 25 * 60);
+    await timer.clear();
+
+    expect(snapshot).toBeNull();
+    expect(clock.getPendingTimerCount()).toBe(0);
+    expect(await relaunch().restore('task-1')).toBeNull();
+  });
+});
@@ -0,0 +1,330 @@
+// ABOUTME: Tests for LevelService that turns lifetime XP into levels and cosmetic reward unlocks
+// Verifies XP awards, quiet start, level-up announcements, syncing unlocks and equipping rewards
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { LevelService, LEVEL_OPERATIONS } from '../LevelService';
+import { supabase } from '../SupabaseService';
+import OfflineQueueManager from '../OfflineQueueManager';
+import LocalTaskStore from '../LocalTaskStore';
+import AchievementService from '../AchievementService';
+import { createTask } from '../../utils/TaskModel';
+
+jest.mock('../SupabaseService', () => ({
+  supabase: {
+    from: jest.fn(),
+    rpc: jest.fn(),
+  },
+}));
+jest.mock('../OfflineQueueManager', () => ({
+  registerProcessor: jest.fn(),
+  addOperation: jest.fn(() => Promise.resolve('op-1')),
+}));
+jest.mock('../LocalTaskStore', () => ({
+  __esModule: true,
+  default: {
+    getTasks: jest.fn(),
+    subscribe: jest.fn(),
+  },
+}));
+jest.mock('../AchievementService', () => ({
+  __esModule: true,
+  default: {
+    getUnlocks: jest.fn(),
+    onUnlock: jest.fn(),
+  },
+}));
+jest.mock('../SecureLogger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+describe('LevelService', () => {
+  const userId = 'user-1';
+  let service;
+  let tasks;
+  let storeListener;
+  let remote;
+
+  const done = (xpEarned, overrides = {}) => ({
+    ...createTask({ title: 'Task', userId, ...overrides }),
+    completed: true,
+    completedAt: new Date(2026, 2, 4),
+    xpEarned,
+  });
+
+  const queuedAwards = () =>
+    OfflineQueueManager.addOperation.mock.calls
+      .filter(([type]) => type === LEVEL_OPERATIONS.AWARD_XP)
+      .map(([, data]) => data);
+
+  const queuedRewardIds = () =>
+    OfflineQueueManager.addOperation.mock.calls
+      .filter(([type]) => type === LEVEL_OPERATIONS.UNLOCK_REWARD)
+      .map(([, data]) => data.reward_id);
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    tasks = [];
+    remote = {
+      unlocks: { data: [], error: null },
+      user: { data: { equipped_rewards: {}, xp_total: 0 }, error: null },
+      awards: { data: [], error: null },
+      update: { error: null },
+    };
+    LocalTaskStore.getTasks.mockImplementation(() => tasks);
+    LocalTaskStore.subscribe.mockImplementation((listener) => {
+      storeListener = listener;
+      return jest.fn();
+    });
+    AchievementService.getUnlocks.mockReturnValue([]);
+    AchievementService.onUnlock.mockReturnValue(jest.fn());
+    supabase.from.mockImplementation((table) => ({
+      select: jest.fn(() => ({
+        eq: jest.fn(() =>
+          table === 'users'
+            ? { single: jest.fn().mockResolvedValue(remote.user) }
+            : Promise.resolve(table === 'xp_awards' ? remote.awards : remote.unlocks),
+        ),
+      })),
+      upsert: jest.fn().mockResolvedValue({ error: null }),
+      update: jest.fn(() => ({ eq: jest.fn().mockResolvedValue(remote.update) })),
+    }));
+    service = new LevelService();
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  it('should register processors for queued unlocks, equipped rewards and XP awards', () => {
+    expect(OfflineQueueManager.registerProcessor).toHaveBeenCalledWith(
+      LEVEL_OPERATIONS.UNLOCK_REWARD,
+      expect.any(Function),
+    );
+    expect(OfflineQueueManager.registerProcessor).toHaveBeenCalledWith(
+      LEVEL_OPERATIONS.EQUIP_REWARD,
+      expect.any(Function),
+    );
+    expect(OfflineQueueManager.registerProcessor).toHaveBeenCalledWith(
+      LEVEL_OPERATIONS.AWARD_XP,
+      expect.any(Function),
+      expect.any(Function),
+    );
+  });
+
+  it('should award XP for the user tasks and unlocked achievements', async () => {
+    const step = done(40, { parentId: 'parent-1' });
+    tasks = [done(60), step, done(500, { userId: 'partner-1' })];
+    AchievementService.getUnlocks.mockReturnValue([
+      { achievementId: 'first_task', unlockedAt: new Date() },
+    ]);
+
+    await service.start(userId);
+
+    expect(service.getSnapshot().progress).toMatchObject({ level: 2, totalXP: 120 });
+    // The server works out what each source is worth
+    expect(queuedAwards()).toEqual([
+      { p_source: `task:${tasks[0].id}` },
+      { p_source: `task:${step.id}` },
+      { p_source: 'achievement:first_task' },
+    ]);
+  });
+
+  it('should start from the server total and skip sources it already awarded', async () => {
+    const task = done(60);
+    tasks = [task, done(40)];
+    remote.user = { data: { equipped_rewards: {}, xp_total: 300 }, error: null };
+    remote.awards = { data: [{ source: `task:${task.id}` }], error: null };
+
+    await service.start(userId);
+
+    expect(queuedAwards()).toEqual([{ p_source: `task:${tasks[1].id}` }]);
+    expect(service.getSnapshot().progress.totalXP).toBe(340);
+  });
+
+  it('should keep XP when a task is reopened and not award it twice', async () => {
+    const task = done(60);
+    tasks = [task];
+    await service.start(userId);
+
+    tasks = [{ ...task, completed: false, xpEarned: 0 }];
+    await service.evaluate();
+    tasks = [task];
+    await service.evaluate();
+
+    expect(service.getSnapshot().progress.totalXP).toBe(60);
+    expect(queuedAwards()).toHaveLength(1);
+  });
+
+  it('should take the confirmed total from the server once an award syncs', async () => {
+    const task = done(60);
+    tasks = [task];
+    await service.start(userId);
+    const awardProcessor = OfflineQueueManager.registerProcessor.mock.calls.find(
+      ([type]) => type === LEVEL_OPERATIONS.AWARD_XP,
+    )[1];
+    // Includes XP earned on another device
+    supabase.rpc.mockResolvedValue({ data: 260, error: null });
+
+    // Queued before the server worked out the XP, so it still carries an amount
+    await awardProcessor({ userId, data: { p_source: `task:${task.id}`, p_xp: 60 } });
+
+    expect(supabase.rpc).toHaveBeenCalledWith('award_xp', { p_source: `task:${task.id}` });
+    expect(service.getSnapshot().progress).toMatchObject({ level: 3, totalXP: 260 });
+    const stored = JSON.parse(await AsyncStorage.getItem(`level_rewards:${userId}`));
+    expect(stored).toMatchObject({ xpTotal: 260, pendingAwards: {} });
+  });
+
+  it('should stop counting an award the server rejects', async () => {
+    tasks = [done(60)];
+    await service.start(userId);
+    const [, awardProcessor, dropAward] = OfflineQueueManager.registerProcessor.mock.calls.find(
+      ([type]) => type === LEVEL_OPERATIONS.AWARD_XP,
+    );
+    supabase.rpc.mockResolvedValue({
+      data: null,
+      error: { message: 'Nothing to award for achievement:made_up' },
+    });
+    const madeUp = { userId, data: { p_source: 'achievement:made_up', p_xp: 10000 } };
+
+    await expect(awardProcessor(madeUp)).rejects.toThrow(
+      'Failed to sync XP award: Nothing to award for achievement:made_up',
+    );
+    expect(supabase.rpc).toHaveBeenCalledWith('award_xp', { p_source: 'achievement:made_up' });
+
+    // Given up on after its retries
+    await dropAward({ userId, data: { p_source: `task:${tasks[0].id}` } });
+
+    expect(service.getSnapshot().progress.totalXP).toBe(0);
+  });
+
+  it('should unlock rewards already reached on start without celebrating', async () => {
+    tasks = [done(220)];
+    const listener = jest.fn();
+    service.subscribe(listener);
+
+    await service.start(userId);
+
+    expect(queuedRewardIds()).toEqual([
+      'theme_classic',
+      'theme_forest',
+      'celebration_sparkles',
+      'celebration_confetti',
+      'timer_classic',
+    ]);
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ levelUp: null }));
+  });
+
+  it('should celebrate a new level once with the rewards it unlocked', async () => {
+    tasks = [done(50)];
+    await service.start(userId);
+    const listener = jest.fn();
+    service.subscribe(listener);
+
+    tasks = [...tasks, done(60)];
+    storeListener(tasks);
+    await service.evaluate();
+
+    expect(listener).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        levelUp: { level: 2, rewards: [expect.objectContaining({ id: 'celebration_confetti' })] },
+      }),
+    );
+
+    // Evaluating again without new XP isn't a new high
+    service.dismissLevelUp();
+    await service.evaluate();
+
+    expect(service.getSnapshot().levelUp).toBeNull();
+    expect(queuedRewardIds().filter((id) => id === 'celebration_confetti')).toHaveLength(1);
+  });
+
+  it('should keep unlocks from other devices and save them on this one', async () => {
+    remote.unlocks = {
+      data: [
+        {
+          user_id: userId,
+          reward_id: 'theme_sunset',
+          level: 10,
+          unlocked_at: '2026-03-01T09:00:00.000Z',
+        },
+        { user_id: userId, reward_id: 'retired_skin', level: 2, unlocked_at: '2026-03-01' },
+      ],
+      error: null,
+    };
+    remote.user = { data: { equipped_rewards: { theme: 'theme_sunset' } }, error: null };
+
+    await service.start(userId);
+
+    const snapshot = service.getSnapshot();
+    expect(snapshot.equipped.theme.id).toBe('theme_sunset');
+    expect(snapshot.rewards.find(({ reward }) => reward.id === 'theme_sunset').unlockedAt).toEqual(
+      new Date('2026-03-01T09:00:00.000Z'),
+    );
+    expect(queuedRewardIds()).not.toContain('theme_sunset');
+    const stored = JSON.parse(await AsyncStorage.getItem(`level_rewards:${userId}`));
+    expect(stored).toMatchObject({ highestLevel: 10, equipped: { theme: 'theme_sunset' } });
+  });
+
+  it('should fall back to rewards saved on the device when offline', async () => {
+    await AsyncStorage.setItem(
+      `level_rewards:${userId}`,
+      JSON.stringify({
+        highestLevel: 4,
+        unlocks: [
+          { user_id: userId, reward_id: 'timer_ocean', level: 4, unlocked_at: '2026-03-01' },
+        ],
+        equipped: { timerSkin: 'timer_ocean' },
+      }),
+    );
+    remote.unlocks = { data: null, error: new Error('Network request failed') };
+
+    await service.start(userId);
+
+    expect(service.getEquippedReward('timerSkin').id).toBe('timer_ocean');
+  });
+
+  it('should equip unlocked rewards and queue the change', async () => {
+    tasks = [done(220)];
+    await service.start(userId);
+
+    const result = await service.equipReward('theme_forest');
+
+    expect(result.success).toBe(true);
+    expect(service.getEquippedReward('theme').accentColor).toBe('#27AE60');
+    expect(OfflineQueueManager.addOperation).toHaveBeenCalledWith(
+      LEVEL_OPERATIONS.EQUIP_REWARD,
+      { id: userId, equipped_rewards: { theme: 'theme_forest' } },
+      expect.objectContaining({ userId }),
+    );
+  });
+
+  it('should refuse to equip a locked reward', async () => {
+    await service.start(userId);
+
+    const result = await service.equipReward('theme_sunset');
+
+    expect(result.success).toBe(false);
+    expect(service.getEquippedReward('theme').id).toBe('theme_classic');
+  });
+
+  it('should push queued unlocks and equipped rewards to Supabase', async () => {
+    const [unlockProcessor, equipProcessor] = OfflineQueueManager.registerProcessor.mock.calls.map(
+      ([, processor]) => processor,
+    );
+    const data = { user_id: userId, reward_id: 'theme_forest', level: 3, unlocked_at: 'now' };
+
+    await unlockProcessor({ data });
+    await equipProcessor({ data: { id: userId, equipped_rewards: { theme: 'theme_forest' } } });
+
+    const [unlockTable, userTable] = supabase.from.mock.results.map(({ value }) => value);
+    expect(supabase.from.mock.calls.map(([table]) => table)).toEqual(['reward_unlocks', 'users']);
+    expect(unlockTable.upsert).toHaveBeenCalledWith(data, {
+      onConflict: 'user_id,reward_id',
+      ignoreDuplicates: true,
+    });
+    expect(userTable.update).toHaveBeenCalledWith({ equipped_rewards: { theme: 'theme_forest' } });
+  });
+});
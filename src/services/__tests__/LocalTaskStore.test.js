@@ -0,0 +1,439 @@
+// ABOUTME: Tests for the local-first LocalTaskStore
+// Verifies offline writes, queue processors, persistence and remote reconciliation
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { LocalTaskStore, TASK_OPERATIONS } from '../LocalTaskStore';
+import TaskStorageService from '../TaskStorageService';
+import OfflineQueueManager from '../OfflineQueueManager';
+import ConflictHistoryService from '../ConflictHistoryService';
+import { createTask, completeTask, updateTask } from '../../utils/TaskModel';
+import { TaskStatus } from '../../types/task.types';
+
+jest.mock('../TaskStorageService', () => ({
+  fetchAllTasks: jest.fn(),
+  saveTask: jest.fn(),
+  saveTasks: jest.fn(),
+  updateTask: jest.fn(),
+  deleteTask: jest.fn(),
+}));
+
+jest.mock('../OfflineQueueManager', () => ({
+  registerProcessor: jest.fn(),
+  addOperation: jest.fn(),
+}));
+
+jest.mock('../SecureLogger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+describe('LocalTaskStore', () => {
+  const userId = 'user-123';
+  let store;
+
+  // Processors the store registered with the offline queue, keyed by operation type
+  const getProcessor = (type) =>
+    OfflineQueueManager.registerProcessor.mock.calls.find(([opType]) => opType === type)[1];
+
+  const runQueuedOperations = async () => {
+    const operations = OfflineQueueManager.addOperation.mock.calls.map(([type, data]) => ({
+      type,
+      data,
+      userId,
+    }));
+    OfflineQueueManager.addOperation.mockClear();
+    for (const operation of operations) {
+      await getProcessor(operation.type)(operation);
+    }
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    OfflineQueueManager.addOperation.mockResolvedValue('op-id');
+    TaskStorageService.saveTask.mockResolvedValue(true);
+    TaskStorageService.saveTasks.mockResolvedValue(true);
+    TaskStorageService.updateTask.mockResolvedValue(true);
+    TaskStorageService.deleteTask.mockResolvedValue(true);
+    TaskStorageService.fetchAllTasks.mockResolvedValue({ success: true, data: [] });
+    ConflictHistoryService.reset();
+
+    store = new LocalTaskStore();
+    await store.initialize(userId);
+  });
+
+  describe('offline writes', () => {
+    it('should save locally, persist, notify and queue a create', async () => {
+      const listener = jest.fn();
+      store.subscribe(listener);
+      const task = createTask({ title: 'Take meds', userId });
+
+      const saved = await store.saveTask(task);
+
+      expect(saved).toBe(true);
+      expect(store.getTask(task.id)).toEqual(task);
+      expect(store.hasPendingChanges(task.id)).toBe(true);
+      expect(listener).toHaveBeenCalledWith([task]);
+      expect(OfflineQueueManager.addOperation).toHaveBeenCalledWith(
+        TASK_OPERATIONS.CREATE,
+        { taskId: task.id },
+        expect.objectContaining({ priority: 'high', userId }),
+      );
+      expect(TaskStorageService.saveTask).not.toHaveBeenCalled();
+
+      const persisted = JSON.parse(await AsyncStorage.getItem(`local_tasks:${userId}`));
+      expect(persisted.tasks).toHaveLength(1);
+      expect(persisted.pendingOperations[task.id]).toBe(1);
+    });
+
+    it('should restore tasks with real dates after a restart', async () => {
+      const task = createTask({ title: 'Bin night', dueDate: new Date('2024-03-04T19:00:00Z') });
+      await store.saveTask(task);
+
+      const restarted = new LocalTaskStore();
+      const tasks = await restarted.initialize(userId);
+
+      expect(tasks).toHaveLength(1);
+      expect(tasks[0].dueDate).toBeInstanceOf(Date);
+      expect(tasks[0].dueDate.toISOString()).toBe('2024-03-04T19:00:00.000Z');
+      expect(tasks[0].createdAt).toBeInstanceOf(Date);
+      expect(restarted.hasPendingChanges(task.id)).toBe(true);
+    });
+
+    it('should remove deleted tasks and queue the delete', async () => {
+      const task = createTask({ title: 'Old task' });
+      await store.saveTask(task);
+
+      await store.deleteTask(task.id);
+
+      expect(store.getTask(task.id)).toBeNull();
+      expect(OfflineQueueManager.addOperation).toHaveBeenLastCalledWith(
+        TASK_OPERATIONS.DELETE,
+        { taskId: task.id },
+        expect.any(Object),
+      );
+    });
+
+    it('should save a batch locally and queue it as one operation', async () => {
+      const tasks = [createTask({ title: 'Buy milk' }), createTask({ title: 'Post parcel' })];
+
+      const saved = await store.saveTasks(tasks);
+
+      expect(saved).toBe(true);
+      expect(store.getTasks()).toHaveLength(2);
+      expect(store.hasPendingChanges(tasks[1].id)).toBe(true);
+      expect(OfflineQueueManager.addOperation).toHaveBeenCalledTimes(1);
+      expect(OfflineQueueManager.addOperation).toHaveBeenCalledWith(
+        TASK_OPERATIONS.CREATE_BATCH,
+        { taskIds: [tasks[0].id, tasks[1].id] },
+        expect.objectContaining({ priority: 'high', userId }),
+      );
+    });
+
+    it('should queue the next instance when a recurring task is completed offline', async () => {
+      const task = createTask({
+        title: 'Take meds',
+        dueDate: new Date(),
+        recurrence: { frequency: 'daily', interval: 1, dayOfMonth: null },
+      });
+      await store.saveTask(task);
+
+      await store.updateTask(completeTask(task));
+
+      const tasks = store.getTasks();
+      expect(tasks).toHaveLength(2);
+      const next = tasks.find((t) => t.id !== task.id);
+      expect(next.completed).toBe(false);
+      expect(next.seriesId).toBe(task.id);
+      expect(OfflineQueueManager.addOperation).toHaveBeenLastCalledWith(
+        TASK_OPERATIONS.CREATE,
+        { taskId: next.id },
+        expect.any(Object),
+      );
+    });
+
+    it('should take back the spawned instance when a recurring task is un-completed', async () => {
+      const task = createTask({
+        title: 'Take meds',
+        dueDate: new Date(),
+        recurrence: { frequency: 'daily', interval: 1, dayOfMonth: null },
+      });
+      await store.saveTask(task);
+      const completed = completeTask(task);
+      await store.updateTask(completed);
+      const next = store.getTasks().find((t) => t.id !== task.id);
+      OfflineQueueManager.addOperation.mockClear();
+
+      await store.updateTask(updateTask(completed, { completed: false, completedAt: null }));
+
+      expect(store.getTasks().map((t) => t.id)).toEqual([task.id]);
+      // The delete reaches Supabase first so the series never has two open instances
+      expect(
+        OfflineQueueManager.addOperation.mock.calls.map(([type, data]) => [type, data]),
+      ).toEqual([
+        [TASK_OPERATIONS.DELETE, { taskId: next.id }],
+        [TASK_OPERATIONS.UPDATE, { taskId: task.id }],
+      ]);
+    });
+  });
+
+  describe('queue processors', () => {
+    it('should register processors for every task operation', () => {
+      const types = OfflineQueueManager.registerProcessor.mock.calls.map(([type]) => type);
+      expect(types).toEqual(
+        expect.arrayContaining([
+          TASK_OPERATIONS.CREATE,
+          TASK_OPERATIONS.CREATE_BATCH,
+          TASK_OPERATIONS.UPDATE,
+          TASK_OPERATIONS.DELETE,
+        ]),
+      );
+    });
+
+    it('should push the latest local copy and clear pending state', async () => {
+      const task = createTask({ title: 'Draft' });
+      await store.saveTask(task);
+      const edited = updateTask(task, { title: 'Final' });
+      await store.updateTask(edited);
+
+      await runQueuedOperations();
+
+      expect(TaskStorageService.saveTask).toHaveBeenCalledWith(edited);
+      expect(TaskStorageService.updateTask).toHaveBeenCalledWith(edited, {
+        scheduleNextOccurrence: false,
+      });
+      expect(store.hasPendingChanges(task.id)).toBe(false);
+    });
+
+    it('should push a batch in one insert, leaving out tasks deleted since', async () => {
+      const tasks = [createTask({ title: 'Buy milk' }), createTask({ title: 'Post parcel' })];
+      await store.saveTasks(tasks);
+      const edited = updateTask(tasks[0], { title: 'Buy oat milk' });
+      await store.updateTask(edited);
+      await store.deleteTask(tasks[1].id);
+
+      await runQueuedOperations();
+
+      expect(TaskStorageService.saveTasks).toHaveBeenCalledWith([edited]);
+      expect(TaskStorageService.saveTask).not.toHaveBeenCalled();
+      expect(store.hasPendingChanges()).toBe(false);
+    });
+
+    it('should keep a batch pending when the insert fails', async () => {
+      TaskStorageService.saveTasks.mockResolvedValue(false);
+      const task = createTask({ title: 'Buy milk' });
+      await store.saveTasks([task]);
+
+      await expect(runQueuedOperations()).rejects.toThrow('Failed to sync task batch');
+      expect(store.hasPendingChanges(task.id)).toBe(true);
+    });
+
+    it('should throw so the queue retries when Supabase rejects a write', async () => {
+      TaskStorageService.saveTask.mockResolvedValue(false);
+      const task = createTask({ title: 'Offline task' });
+      await store.saveTask(task);
+
+      await expect(runQueuedOperations()).rejects.toThrow('Failed to sync task create');
+      expect(store.hasPendingChanges(task.id)).toBe(true);
+    });
+  });
+
+  describe('discarded operations', () => {
+    const getDiscardHandler = (type) =>
+      OfflineQueueManager.registerProcessor.mock.calls.find(([opType]) => opType === type)[2];
+
+    it('should drop an unsynced task when its create is discarded', async () => {
+      const task = createTask({ title: 'Never made it' });
+      await store.saveTask(task);
+      const [[type, data]] = OfflineQueueManager.addOperation.mock.calls;
+
+      await getDiscardHandler(type)({ type, data, userId });
+
+      expect(store.hasPendingChanges(task.id)).toBe(false);
+      expect(store.getTask(task.id)).toBeNull();
+    });
+
+    it('should drop every task in a discarded batch', async () => {
+      const tasks = [createTask({ title: 'Buy milk' }), createTask({ title: 'Post parcel' })];
+      await store.saveTasks(tasks);
+      const [[type, data]] = OfflineQueueManager.addOperation.mock.calls;
+
+      await getDiscardHandler(type)({ type, data, userId });
+
+      expect(store.hasPendingChanges()).toBe(false);
+      expect(store.getTasks()).toEqual([]);
+    });
+
+    it('should restore a task whose delete is discarded', async () => {
+      const task = createTask({ title: 'Keep me' });
+      await store.saveTask(task);
+      await runQueuedOperations();
+      await store.deleteTask(task.id);
+      TaskStorageService.fetchAllTasks.mockResolvedValue({ success: true, data: [task] });
+      const [[type, data]] = OfflineQueueManager.addOperation.mock.calls;
+
+      await getDiscardHandler(type)({ type, data, userId });
+
+      expect(store.getTask(task.id)).toEqual(task);
+    });
+  });
+
+  describe('syncFromRemote', () => {
+    it('should replace synced tasks with the remote copy and drop remote deletions', async () => {
+      const kept = createTask({ title: 'Kept' });
+      const removed = createTask({ title: 'Removed elsewhere' });
+      await store.saveTask(kept);
+      await store.saveTask(removed);
+      await runQueuedOperations();
+
+      const remoteKept = { ...kept, title: 'Renamed on web', updatedAt: new Date() };
+      TaskStorageService.fetchAllTasks.mockResolvedValue({ success: true, data: [remoteKept] });
+
+      const tasks = await store.syncFromRemote();
+
+      expect(tasks).toEqual([remoteKept]);
+    });
+
+    it('should keep unsynced local tasks', async () => {
+      const offline = createTask({ title: 'Created on the train' });
+      await store.saveTask(offline);
+
+      const tasks = await store.syncFromRemote();
+
+      expect(tasks.map((t) => t.id)).toEqual([offline.id]);
+    });
+
+    it('should leave local data alone when Supabase cannot be reached', async () => {
+      const task = createTask({ title: 'Local' });
+      await store.saveTask(task);
+      await runQueuedOperations();
+      TaskStorageService.fetchAllTasks.mockResolvedValue({
+        success: false,
+        error: { code: 'ERR', message: 'Network request failed' },
+      });
+
+      const tasks = await store.syncFromRemote();
+
+      expect(tasks.map((t) => t.id)).toEqual([task.id]);
+    });
+
+    it('should not resurrect tasks deleted offline', async () => {
+      const task = createTask({ title: 'Gone' });
+      await store.saveTask(task);
+      await runQueuedOperations();
+      await store.deleteTask(task.id);
+      TaskStorageService.fetchAllTasks.mockResolvedValue({ success: true, data: [task] });
+
+      const tasks = await store.syncFromRemote();
+
+      expect(tasks).toEqual([]);
+    });
+
+    it('should merge remote edits into tasks with pending local changes', async () => {
+      const task = createTask({ title: 'Write report' });
+      await store.saveTask(task);
+      await runQueuedOperations();
+
+      // Completed offline...
+      await store.updateTask(completeTask(task, 10));
+      // ...while the partner added a description on another device
+      const remote = { ...task, description: 'Use the Q3 numbers', updatedAt: new Date() };
+      TaskStorageService.fetchAllTasks.mockResolvedValue({ success: true, data: [remote] });
+
+      await store.syncFromRemote();
+
+      const merged = store.getTask(task.id);
+      expect(merged.status).toBe(TaskStatus.COMPLETED);
+      expect(merged.xpEarned).toBe(10);
+      expect(merged.description).toBe('Use the Q3 numbers');
+      expect(store.hasPendingChanges(task.id)).toBe(true);
+
+      // Description was edited on both sides, so the merge is kept for review
+      const [conflict] = ConflictHistoryService.getUnresolvedConflicts();
+      expect(conflict.entityId).toBe(task.id);
+      expect(conflict.conflictFields).toEqual(expect.arrayContaining(['status', 'description']));
+    });
+
+    it('should keep encouragements and notification flags from both sides', async () => {
+      const task = createTask({ title: 'Write report' });
+      await store.saveTask(task);
+      await runQueuedOperations();
+
+      const fromHere = {
+        message: 'Nice start!',
+        fromUserId: 'partner-1',
+        timestamp: new Date(1000),
+      };
+      const fromThere = {
+        message: 'Almost there',
+        fromUserId: 'partner-2',
+        timestamp: new Date(2000),
+      };
+      await store.updateTask(
+        updateTask(task, {
+          encouragementReceived: [fromHere],
+          partnerNotified: { onStart: true, onComplete: false, onOverdue: false },
+        }),
+      );
+      const remote = {
+        ...task,
+        encouragementReceived: [fromThere],
+        partnerNotified: { onStart: false, onComplete: false, onOverdue: true },
+        updatedAt: new Date(),
+      };
+      TaskStorageService.fetchAllTasks.mockResolvedValue({ success: true, data: [remote] });
+
+      await store.syncFromRemote();
+
+      const merged = store.getTask(task.id);
+      expect(merged.encouragementReceived).toEqual([fromHere, fromThere]);
+      expect(merged.partnerNotified).toEqual({ onStart: true, onComplete: false, onOverdue: true });
+    });
+  });
+
+  describe('resolveConflict', () => {
+    it('should apply the values picked on the merge screen and queue them', async () => {
+      const task = createTask({ title: 'Book flights', description: 'Cheapest option' });
+      await store.saveTask(task);
+      await runQueuedOperations();
+
+      await store.updateTask(updateTask(task, { description: 'Window seat please' }));
+      const remote = { ...task, description: 'Aisle seat', updatedAt: new Date() };
+      TaskStorageService.fetchAllTasks.mockResolvedValue({ success: true, data: [remote] });
+      await store.syncFromRemote();
+      const [conflict] = ConflictHistoryService.getUnresolvedConflicts();
+      expect(store.getTask(task.id).description).toBe('Window seat please');
+
+      const resolved = await store.resolveConflict(conflict.id, { description: 'remote' });
+
+      expect(resolved).toBe(true);
+      expect(store.getTask(task.id).description).toBe('Aisle seat');
+      expect(OfflineQueueManager.addOperation).toHaveBeenLastCalledWith(
+        TASK_OPERATIONS.UPDATE,
+        { taskId: task.id },
+        expect.any(Object),
+      );
+      const record = ConflictHistoryService.getConflict(conflict.id);
+      expect(record.status).toBe('resolved');
+      expect(record.strategy).toBe('manual');
+      expect(record.fieldResolutions.description).toBe('remote');
+    });
+
+    it('should fail when the conflict does not exist', async () => {
+      expect(await store.resolveConflict('missing', { title: 'local' })).toBe(false);
+    });
+  });
+
+  describe('applyRemoteChange', () => {
+    it('should apply realtime inserts and deletes', async () => {
+      const remote = createTask({ title: 'Assigned by partner' });
+
+      await store.applyRemoteChange(remote, 'INSERT');
+      expect(store.getTask(remote.id)).toEqual(remote);
+
+      await store.applyRemoteChange(remote, 'DELETE');
+      expect(store.getTask(remote.id)).toBeNull();
+    });
+  });
+});
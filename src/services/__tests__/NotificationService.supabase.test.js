@@ -7,6 +7,9 @@ import { NotificationTypes } from '../../types';
 import { createMockUser } from '../../../tests/utils/mockFactories';
 import { createTask } from '../../utils/TaskModel';
 import UserStorageService from '../UserStorageService';
+import PartnershipService from '../PartnershipService';
+import { NotificationPriority } from '../../types/notification.types';
+import { NotificationPreference } from '../../types/user.types';
 
 // Mock Supabase
 jest.mock('../SupabaseService', () => ({
@@ -27,7 +30,13 @@ jest.mock('../SecureLogger', () => ({
 }));
 
 // Mock UserStorageService
-jest.mock('../UserStorageService');
+jest.mock('../UserStorageService', () => ({
+  getUserById: jest.fn(() => Promise.resolve(null)),
+}));
+
+jest.mock('../PartnershipService', () => ({
+  getActivePartnership: jest.fn(() => Promise.resolve({ success: true, data: null })),
+}));
 
 describe('NotificationService - Supabase Implementation', () => {
   let notificationService;
@@ -117,6 +126,109 @@ describe('NotificationService - Supabase Implementation', () => {
     });
   });
 
+  describe('Delivery policy', () => {
+    const lateNight = new Date(2026, 2, 2, 23, 0);
+    let mockQueryBuilder;
+
+    const withRecipient = (preferences, settings = null) => {
+      UserStorageService.getUserById.mockResolvedValue(
+        createMockUser({ id: mockPartner.id, notificationPreferences: preferences }),
+      );
+      PartnershipService.getActivePartnership.mockResolvedValue({
+        success: true,
+        data: settings ? { id: 'partnership-1', settings } : null,
+      });
+    };
+
+    const allOn = {
+      global: NotificationPreference.ALL,
+      taskAssigned: true,
+      taskStarted: true,
+      taskCompleted: true,
+      taskOverdue: true,
+      encouragement: true,
+      checkIn: true,
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: lateNight });
+      mockQueryBuilder = createMockQueryBuilder();
+      mockQueryBuilder.insert.mockResolvedValue({ data: null, error: null });
+      supabase.from.mockReturnValue(mockQueryBuilder);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      UserStorageService.getUserById.mockResolvedValue(null);
+      PartnershipService.getActivePartnership.mockResolvedValue({ success: true, data: null });
+    });
+
+    it('should not insert notifications the recipient turned off', async () => {
+      withRecipient({ ...allOn, encouragement: false });
+
+      const result = await notificationService.sendNotification(
+        mockPartner.id,
+        NotificationTypes.ENCOURAGEMENT,
+        { message: 'Go you!' },
+      );
+
+      expect(result).toEqual(expect.objectContaining({ success: true, data: true }));
+      expect(mockQueryBuilder.insert).not.toHaveBeenCalled();
+    });
+
+    it('should hold notifications until quiet hours end', async () => {
+      withRecipient(allOn, { quietHoursStart: '22:00', quietHoursEnd: '08:00' });
+
+      await notificationService.sendNotification(mockPartner.id, NotificationTypes.CHECK_IN, {});
+
+      expect(mockQueryBuilder.insert).toHaveBeenCalledWith(
+        expect.objectContaining({ deliver_at: new Date(2026, 2, 3, 8, 0).toISOString() }),
+      );
+    });
+
+    it('should send urgent notifications during quiet hours', async () => {
+      withRecipient(allOn, { quietHoursStart: '22:00', quietHoursEnd: '08:00' });
+
+      await notificationService.sendNotification(
+        mockPartner.id,
+        NotificationTypes.CHECK_IN,
+        {},
+        { priority: NotificationPriority.URGENT },
+      );
+
+      expect(mockQueryBuilder.insert).toHaveBeenCalledWith(
+        expect.objectContaining({ priority: NotificationPriority.URGENT, deliver_at: null }),
+      );
+    });
+
+    it('should surface a held notification over realtime once it is due', () => {
+      const mockChannel = createMockChannel();
+      let capturedHandler;
+      mockChannel.on.mockImplementation((event, options, handler) => {
+        capturedHandler = handler;
+        return mockChannel;
+      });
+      supabase.channel.mockReturnValue(mockChannel);
+
+      const callback = jest.fn();
+      notificationService.subscribeToNotifications(mockUser.id, callback);
+      capturedHandler({
+        new: {
+          id: 'held-notif',
+          user_id: mockUser.id,
+          type: NotificationTypes.CHECK_IN,
+          title: 'Partner Check-In',
+          message: 'How is it going?',
+          deliver_at: new Date(lateNight.getTime() + 60 * 1000).toISOString(),
+        },
+      });
+
+      expect(callback).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(60 * 1000);
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ id: 'held-notif' }));
+    });
+  });
+
   describe('Task notification methods', () => {
     const mockTask = createTask({
       id: 'task-123',
@@ -234,6 +346,32 @@ describe('NotificationService - Supabase Implementation', () => {
     });
   });
 
+  describe('Overdue notices', () => {
+    it('should only tell the partner who assigned the task', async () => {
+      const task = createTask({
+        title: 'Renew passport',
+        assignedBy: 'assigner-123',
+        assignedTo: 'partner-456',
+        userId: 'assigner-123',
+      });
+      const mockQueryBuilder = createMockQueryBuilder();
+      mockQueryBuilder.insert.mockResolvedValue({ data: null, error: null });
+      supabase.from.mockReturnValue(mockQueryBuilder);
+
+      const result = await notificationService.notifyPartnerTaskOverdue(task);
+
+      expect(result.data).toBe(true);
+      expect(mockQueryBuilder.insert).toHaveBeenCalledTimes(1);
+      expect(mockQueryBuilder.insert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          user_id: 'assigner-123',
+          type: NotificationTypes.TASK_OVERDUE,
+          data: expect.objectContaining({ taskTitle: 'Renew passport' }),
+        }),
+      );
+    });
+  });
+
   describe('Encouragement and check-in', () => {
     beforeEach(() => {
       // Mock UserStorageService.getUserById to return user data in Result<T> format
@@ -0,0 +1,214 @@
+// ABOUTME: Tests for OfflineQueueManager driven by ConnectionMonitor events
+// Uses a fake connectivity provider to verify operations wait offline and sync on reconnect
+
+import OfflineQueueManager from '../OfflineQueueManager';
+import ConnectionMonitor from '../ConnectionMonitor';
+import { FakeConnectivityProvider } from '../ConnectivityProvider';
+
+jest.mock('../SecureLogger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('OfflineQueueManager', () => {
+  const userId = 'user-123';
+  let network;
+  let processor;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await OfflineQueueManager.clearQueues();
+
+    processor = jest.fn().mockResolvedValue(true);
+    OfflineQueueManager.registerProcessor('test_operation', processor);
+
+    network = new FakeConnectivityProvider();
+    ConnectionMonitor.setConnectivityProvider(network);
+    ConnectionMonitor.startMonitoring();
+    await flushPromises();
+  });
+
+  afterEach(() => {
+    ConnectionMonitor.stopMonitoring();
+  });
+
+  it('should process operations straight away while online', async () => {
+    await OfflineQueueManager.addOperation('test_operation', { id: 1 }, { userId });
+    await flushPromises();
+
+    expect(processor).toHaveBeenCalledTimes(1);
+    expect(OfflineQueueManager.getQueueStatus().queueLength).toBe(0);
+  });
+
+  it('should hold operations while offline', async () => {
+    network.goOffline();
+
+    await OfflineQueueManager.addOperation('test_operation', { id: 1 }, { userId });
+    await OfflineQueueManager.addOperation('test_operation', { id: 2 }, { userId });
+    await flushPromises();
+
+    expect(processor).not.toHaveBeenCalled();
+    expect(OfflineQueueManager.getQueueStatus()).toEqual(
+      expect.objectContaining({ isOnline: false, queueLength: 2 }),
+    );
+  });
+
+  it('should drain the queue when the connection is restored', async () => {
+    network.goOffline();
+    await OfflineQueueManager.addOperation('test_operation', { id: 1 }, { userId });
+    await OfflineQueueManager.addOperation('test_operation', { id: 2 }, { userId });
+
+    network.goOnline();
+    await flushPromises();
+
+    expect(processor).toHaveBeenCalledTimes(2);
+    expect(OfflineQueueManager.getQueueStatus()).toEqual(
+      expect.objectContaining({ isOnline: true, queueLength: 0 }),
+    );
+  });
+
+  it('should treat a network without internet access as offline', async () => {
+    network.setState({ isConnected: true, isInternetReachable: false });
+
+    await OfflineQueueManager.addOperation('test_operation', { id: 1 }, { userId });
+    await flushPromises();
+
+    expect(processor).not.toHaveBeenCalled();
+    expect(OfflineQueueManager.getQueueStatus().isOnline).toBe(false);
+  });
+
+  it('should keep processing in smaller batches on a slow connection', async () => {
+    const processSpy = jest.spyOn(OfflineQueueManager, 'processQueue');
+
+    ConnectionMonitor.emitEvent({
+      type: 'slow',
+      timestamp: new Date(),
+      connectionState: ConnectionMonitor.getCurrentState(),
+      metadata: { latency: 8000 },
+    });
+
+    expect(processSpy).toHaveBeenCalled();
+    expect(OfflineQueueManager.getQueueStatus()).toEqual(
+      expect.objectContaining({ isOnline: true, isConnectionSlow: true }),
+    );
+
+    network.goOffline();
+    network.goOnline();
+    expect(OfflineQueueManager.getQueueStatus().isConnectionSlow).toBe(false);
+    processSpy.mockRestore();
+  });
+
+  it('should back off before retrying a failed operation', async () => {
+    const start = Date.now();
+    const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(start);
+    processor.mockRejectedValueOnce(new Error('Network request failed'));
+
+    await OfflineQueueManager.addOperation('test_operation', { id: 1 }, { userId });
+    await flushPromises();
+    await OfflineQueueManager.processQueue();
+
+    // Still waiting out the backoff, so the second run leaves it alone
+    expect(processor).toHaveBeenCalledTimes(1);
+    const [waiting] = OfflineQueueManager.getQueuedOperations();
+    expect(waiting.retryCount).toBe(1);
+    expect(waiting.nextAttemptAt.getTime()).toBe(start + 2000);
+
+    nowSpy.mockReturnValue(start + 2000);
+    await OfflineQueueManager.processQueue();
+
+    expect(processor).toHaveBeenCalledTimes(2);
+    expect(OfflineQueueManager.getQueueStatus().queueLength).toBe(0);
+    nowSpy.mockRestore();
+  });
+
+  it('should wait for a run already in progress when syncing on demand', async () => {
+    let finishFirst;
+    processor.mockImplementationOnce(
+      () =>
+        new Promise((resolve) => {
+          finishFirst = resolve;
+        }),
+    );
+    await OfflineQueueManager.addOperation('test_operation', { id: 1 }, { userId });
+    network.goOffline();
+    await OfflineQueueManager.addOperation('test_operation', { id: 2 }, { userId });
+    network.goOnline();
+
+    const forced = OfflineQueueManager.forceProcessQueue();
+    await flushPromises();
+    // Only the in-flight run touches the first operation
+    expect(processor).toHaveBeenCalledTimes(1);
+
+    finishFirst(true);
+    await forced;
+
+    expect(processor.mock.calls.map(([operation]) => operation.data)).toEqual([
+      { id: 1 },
+      { id: 2 },
+    ]);
+    expect(OfflineQueueManager.getQueueStatus()).toEqual(
+      expect.objectContaining({ queueLength: 0, isProcessing: false }),
+    );
+  });
+
+  describe('inspecting and managing operations', () => {
+    const deadLetter = async (data) => {
+      processor.mockRejectedValue(new Error('Row level security violation'));
+      await OfflineQueueManager.addOperation('test_operation', data, { userId, maxRetries: 1 });
+      await flushPromises();
+      processor.mockResolvedValue(true);
+    };
+
+    it('should move operations that run out of retries to the dead letter queue with the error', async () => {
+      await deadLetter({ id: 1 });
+
+      const [failed] = OfflineQueueManager.getDeadLetterOperations();
+      expect(failed.data).toEqual({ id: 1 });
+      expect(failed.lastError).toBe('Row level security violation');
+      expect(OfflineQueueManager.getQueueStatus()).toEqual(
+        expect.objectContaining({ queueLength: 0, deadLetterLength: 1 }),
+      );
+    });
+
+    it('should retry a single dead letter operation', async () => {
+      await deadLetter({ id: 1 });
+      await deadLetter({ id: 2 });
+      const [first] = OfflineQueueManager.getDeadLetterOperations();
+
+      await OfflineQueueManager.retryDeadLetterOperations(first.id);
+      await flushPromises();
+
+      expect(processor).toHaveBeenLastCalledWith(expect.objectContaining({ id: first.id }));
+      expect(OfflineQueueManager.getDeadLetterOperations()).toHaveLength(1);
+    });
+
+    it('should discard dead letter operations and tell the owner', async () => {
+      const onDiscard = jest.fn().mockResolvedValue();
+      OfflineQueueManager.registerProcessor('test_operation', processor, onDiscard);
+      await deadLetter({ id: 1 });
+      const [failed] = OfflineQueueManager.getDeadLetterOperations();
+
+      const removed = await OfflineQueueManager.removeOperation(failed.id);
+
+      expect(removed).toBe(true);
+      expect(onDiscard).toHaveBeenCalledWith(expect.objectContaining({ id: failed.id }));
+      expect(OfflineQueueManager.getQueueStatus().deadLetterLength).toBe(0);
+    });
+
+    it('should notify subscribers when the queue changes', async () => {
+      const listener = jest.fn();
+      const unsubscribe = OfflineQueueManager.subscribe(listener);
+      network.goOffline();
+
+      await OfflineQueueManager.addOperation('test_operation', { id: 1 }, { userId });
+
+      expect(listener).toHaveBeenLastCalledWith(
+        expect.objectContaining({ queueLength: 1, isOnline: false }),
+      );
+      unsubscribe();
+    });
+  });
+});
@@ -0,0 +1,186 @@
+// ABOUTME: Tests for OverdueSweepService that tells partners about overdue assigned tasks
+// Verifies quiet hours are left to delivery, the partnerNotified.onOverdue dedupe flag and the sweep schedule
+
+import { OverdueSweepService, SWEEP_INTERVAL_MS } from '../OverdueSweepService';
+import { FakeClock } from '../Clock';
+import TaskStorageService from '../TaskStorageService';
+import LocalTaskStore from '../LocalTaskStore';
+import NotificationService from '../NotificationService';
+import PartnershipService from '../PartnershipService';
+import { createTask, completeTask } from '../../utils/TaskModel';
+
+jest.mock('../TaskStorageService', () => ({
+  getOverdueTasks: jest.fn(),
+  updateTask: jest.fn(),
+}));
+
+jest.mock('../LocalTaskStore', () => ({
+  getTask: jest.fn(),
+  updateTask: jest.fn(),
+}));
+
+jest.mock('../NotificationService', () => ({
+  notifyPartnerTaskOverdue: jest.fn(),
+}));
+
+jest.mock('../PartnershipService', () => ({
+  getActivePartnership: jest.fn(),
+}));
+
+jest.mock('../ConnectionMonitor', () => ({
+  subscribe: jest.fn(() => jest.fn()),
+}));
+
+jest.mock('../SecureLogger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('OverdueSweepService', () => {
+  const userId = 'adhd-user';
+  // 15:00 local time
+  const afternoon = new Date(2026, 2, 2, 15, 0);
+  const yesterday = new Date(2026, 2, 1, 15, 0);
+  let clock;
+  let sweeper;
+
+  const assignedTask = (overrides = {}) =>
+    createTask({
+      title: 'Renew passport',
+      userId,
+      assignedTo: userId,
+      assignedBy: 'partner-1',
+      dueDate: yesterday,
+      ...overrides,
+    });
+
+  const withQuietHours = (quietHoursStart, quietHoursEnd) => {
+    PartnershipService.getActivePartnership.mockResolvedValue({
+      success: true,
+      data: { id: 'partnership-1', settings: { quietHoursStart, quietHoursEnd } },
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clock = new FakeClock(afternoon);
+    sweeper = new OverdueSweepService();
+    sweeper.setClock(clock);
+    withQuietHours(null, null);
+    LocalTaskStore.getTask.mockReturnValue(null);
+    TaskStorageService.updateTask.mockResolvedValue(true);
+    LocalTaskStore.updateTask.mockResolvedValue(true);
+    NotificationService.notifyPartnerTaskOverdue.mockResolvedValue({ success: true, data: true });
+  });
+
+  afterEach(() => {
+    sweeper.stop();
+  });
+
+  it('should notify once per overdue assigned task and set the dedupe flag', async () => {
+    const task = assignedTask();
+    TaskStorageService.getOverdueTasks.mockResolvedValue([task]);
+    sweeper.start(userId);
+
+    const result = await sweeper.sweep();
+
+    expect(result).toEqual({ notified: 1 });
+    expect(NotificationService.notifyPartnerTaskOverdue).toHaveBeenCalledWith(task);
+    expect(TaskStorageService.updateTask).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: task.id,
+        partnerNotified: expect.objectContaining({ onOverdue: true }),
+      }),
+    );
+  });
+
+  it('should skip tasks whose partner was already told', async () => {
+    const task = assignedTask();
+    task.partnerNotified.onOverdue = true;
+    TaskStorageService.getOverdueTasks.mockResolvedValue([task]);
+    sweeper.start(userId);
+
+    expect(await sweeper.sweep()).toEqual({ notified: 0 });
+    expect(NotificationService.notifyPartnerTaskOverdue).not.toHaveBeenCalled();
+  });
+
+  it("should leave tasks the user assigned to the assignee's device", async () => {
+    TaskStorageService.getOverdueTasks.mockResolvedValue([
+      assignedTask({ userId: 'partner-1', assignedTo: 'partner-1', assignedBy: userId }),
+    ]);
+    sweeper.start(userId);
+
+    expect((await sweeper.sweep()).notified).toBe(0);
+    expect(NotificationService.notifyPartnerTaskOverdue).not.toHaveBeenCalled();
+  });
+
+  it('should skip tasks nobody assigned', async () => {
+    TaskStorageService.getOverdueTasks.mockResolvedValue([assignedTask({ assignedBy: null })]);
+    sweeper.start(userId);
+
+    expect((await sweeper.sweep()).notified).toBe(0);
+  });
+
+  it('should trust the local copy of a task that was completed offline', async () => {
+    const task = assignedTask();
+    TaskStorageService.getOverdueTasks.mockResolvedValue([task]);
+    LocalTaskStore.getTask.mockReturnValue(completeTask(task));
+    sweeper.start(userId);
+
+    expect((await sweeper.sweep()).notified).toBe(0);
+  });
+
+  it('should set the flag through the local store when it has the task', async () => {
+    const task = assignedTask();
+    TaskStorageService.getOverdueTasks.mockResolvedValue([task]);
+    LocalTaskStore.getTask.mockReturnValue(task);
+    sweeper.start(userId);
+
+    await sweeper.sweep();
+
+    expect(LocalTaskStore.updateTask).toHaveBeenCalledWith(
+      expect.objectContaining({ partnerNotified: expect.objectContaining({ onOverdue: true }) }),
+    );
+    expect(TaskStorageService.updateTask).not.toHaveBeenCalled();
+  });
+
+  it('should leave the flag unset when the notification fails', async () => {
+    TaskStorageService.getOverdueTasks.mockResolvedValue([assignedTask()]);
+    NotificationService.notifyPartnerTaskOverdue.mockResolvedValue({ success: false, error: {} });
+    sweeper.start(userId);
+
+    expect((await sweeper.sweep()).notified).toBe(0);
+    expect(TaskStorageService.updateTask).not.toHaveBeenCalled();
+  });
+
+  it('should leave quiet hours to delivery in the partner time zone', async () => {
+    TaskStorageService.getOverdueTasks.mockResolvedValue([assignedTask()]);
+    // Quiet hours on this device's clock; NotificationService holds the notice on the partner's
+    withQuietHours('14:00', '15:30');
+    sweeper.start(userId);
+
+    expect(await sweeper.sweep()).toEqual({ notified: 1 });
+    expect(PartnershipService.getActivePartnership).not.toHaveBeenCalled();
+    expect(NotificationService.notifyPartnerTaskOverdue).toHaveBeenCalledTimes(1);
+  });
+
+  it('should sweep on start and then on a schedule', async () => {
+    TaskStorageService.getOverdueTasks.mockResolvedValue([]);
+
+    sweeper.start(userId);
+    await flushPromises();
+    expect(TaskStorageService.getOverdueTasks).toHaveBeenCalledTimes(1);
+
+    clock.advance(SWEEP_INTERVAL_MS);
+    await flushPromises();
+    expect(TaskStorageService.getOverdueTasks).toHaveBeenCalledTimes(2);
+
+    sweeper.stop();
+    clock.advance(SWEEP_INTERVAL_MS);
+    await flushPromises();
+    expect(TaskStorageService.getOverdueTasks).toHaveBeenCalledTimes(2);
+  });
+});
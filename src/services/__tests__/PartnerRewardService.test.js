@@ -0,0 +1,185 @@
+// ABOUTME: Tests for PartnerRewardService, the rewards store shared by a partnership
+// Verifies who may add and redeem offers, the XP balance check and the notifications sent
+
+import { PartnerRewardService } from '../PartnerRewardService';
+import { supabase } from '../SupabaseService';
+import NotificationService from '../NotificationService';
+import { NotificationTypes } from '../../types';
+
+jest.mock('../SupabaseService', () => ({
+  supabase: {
+    from: jest.fn(),
+    rpc: jest.fn(),
+  },
+}));
+jest.mock('../NotificationService', () => ({
+  __esModule: true,
+  default: {
+    sendNotification: jest.fn(() => Promise.resolve({ success: true, data: true })),
+  },
+}));
+jest.mock('../UserStorageService', () => ({
+  getUserById: jest.fn((id) => Promise.resolve({ id, name: id === 'adhd-1' ? 'Sam' : 'Alex' })),
+}));
+jest.mock('../SecureLogger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+describe('PartnerRewardService', () => {
+  const partnership = { id: 'partnership-1', adhdUserId: 'adhd-1', partnerId: 'partner-1' };
+  const offer = {
+    id: 'offer-1',
+    partnershipId: 'partnership-1',
+    createdBy: 'partner-1',
+    title: 'Movie night',
+    description: null,
+    xpCost: 200,
+    active: true,
+    createdAt: new Date('2026-03-01T09:00:00.000Z'),
+  };
+  let service;
+  let tables;
+
+  const redemptionRow = (overrides = {}) => ({
+    id: 'redemption-1',
+    partnership_id: 'partnership-1',
+    offer_id: 'offer-1',
+    redeemed_by: 'adhd-1',
+    title: 'Movie night',
+    xp_cost: 200,
+    status: 'requested',
+    redeemed_at: '2026-03-04T18:00:00.000Z',
+    fulfilled_at: null,
+    ...overrides,
+  });
+
+  const tableMock = () => {
+    const single = jest.fn();
+    const eq = jest.fn();
+    const table = {
+      select: jest.fn(() => ({ eq, single })),
+      insert: jest.fn(() => ({ select: jest.fn(() => ({ single })) })),
+      update: jest.fn(() => ({ eq })),
+      single,
+      eq,
+      order: jest.fn(),
+    };
+    eq.mockImplementation(() => ({ eq, order: table.order }));
+    return table;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tables = { reward_offers: tableMock(), reward_redemptions: tableMock() };
+    supabase.from.mockImplementation((name) => tables[name]);
+    service = new PartnerRewardService();
+  });
+
+  describe('createOffer', () => {
+    it('should let the partner add a valid offer', async () => {
+      tables.reward_offers.single.mockResolvedValue({
+        data: {
+          id: 'offer-1',
+          partnership_id: 'partnership-1',
+          created_by: 'partner-1',
+          title: 'Movie night',
+          description: null,
+          xp_cost: 200,
+          active: true,
+          created_at: '2026-03-01T09:00:00.000Z',
+        },
+        error: null,
+      });
+
+      const result = await service.createOffer(partnership, 'partner-1', {
+        title: '  Movie night ',
+        xpCost: 200,
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(offer);
+      expect(tables.reward_offers.insert).toHaveBeenCalledWith(
+        expect.objectContaining({ title: 'Movie night', xp_cost: 200, created_by: 'partner-1' }),
+      );
+    });
+
+    it('should not let the ADHD user stock the store', async () => {
+      const result = await service.createOffer(partnership, 'adhd-1', {
+        title: 'Free pass',
+        xpCost: 1,
+      });
+
+      expect(result.success).toBe(false);
+      expect(tables.reward_offers.insert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('redeem', () => {
+    it('should record the redemption and notify the partner', async () => {
+      supabase.rpc.mockResolvedValue({ data: redemptionRow(), error: null });
+
+      const result = await service.redeem(partnership, 'adhd-1', offer);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ id: 'redemption-1', status: 'requested', xpCost: 200 });
+      expect(supabase.rpc).toHaveBeenCalledWith('redeem_reward', { p_offer_id: 'offer-1' });
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        'partner-1',
+        NotificationTypes.REWARD_REDEEMED,
+        expect.objectContaining({ rewardTitle: 'Movie night', xpCost: 200, fromUserName: 'Sam' }),
+      );
+    });
+
+    it('should pass on the server refusing when earlier redemptions used up the balance', async () => {
+      supabase.rpc.mockResolvedValue({
+        data: null,
+        error: { message: 'You need 50 more XP for this reward' },
+      });
+
+      const result = await service.redeem(partnership, 'adhd-1', offer);
+
+      expect(result.success).toBe(false);
+      expect(result.error.message).toBe('You need 50 more XP for this reward');
+      expect(NotificationService.sendNotification).not.toHaveBeenCalled();
+    });
+
+    it('should only let the ADHD user redeem', async () => {
+      const result = await service.redeem(partnership, 'partner-1', offer);
+
+      expect(result.success).toBe(false);
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirmFulfilment', () => {
+    it('should mark the redemption fulfilled and tell the ADHD user', async () => {
+      tables.reward_redemptions.eq.mockResolvedValueOnce({ error: null });
+      const redemption = service.transformDbRedemption(redemptionRow());
+
+      const result = await service.confirmFulfilment(partnership, 'partner-1', redemption);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ status: 'fulfilled', fulfilledAt: expect.any(Date) });
+      expect(tables.reward_redemptions.update).toHaveBeenCalledWith({
+        status: 'fulfilled',
+        fulfilled_at: expect.any(String),
+      });
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        'adhd-1',
+        NotificationTypes.REWARD_FULFILLED,
+        expect.objectContaining({ rewardTitle: 'Movie night', fromUserName: 'Alex' }),
+      );
+    });
+
+    it('should not let the ADHD user confirm their own reward', async () => {
+      const redemption = service.transformDbRedemption(redemptionRow());
+
+      const result = await service.confirmFulfilment(partnership, 'adhd-1', redemption);
+
+      expect(result.success).toBe(false);
+      expect(tables.reward_redemptions.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,179 @@
+// ABOUTME: Tests for ReminderScheduler driven by a fake clock
+// Verifies firing, snooze, rescheduling on edit, cancelling on completion and persistence
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { ReminderScheduler, MISSED_REMINDER_WINDOW_MS } from '../ReminderScheduler';
+import { FakeClock } from '../Clock';
+import LocalTaskStore from '../LocalTaskStore';
+import { createTask, completeTask, updateTask } from '../../utils/TaskModel';
+
+jest.mock('../LocalTaskStore', () => ({
+  getTasks: jest.fn(() => []),
+  subscribe: jest.fn(() => jest.fn()),
+}));
+
+jest.mock('../SecureLogger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+const MINUTE = 60 * 1000;
+const START = new Date('2026-03-02T09:00:00.000Z');
+
+describe('ReminderScheduler', () => {
+  let clock;
+  let scheduler;
+  let dueReminders;
+
+  const minutesFromStart = (minutes) => new Date(START.getTime() + minutes * MINUTE);
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    clock = new FakeClock(START);
+    scheduler = new ReminderScheduler();
+    scheduler.setClock(clock);
+    scheduler.subscribe((reminders) => {
+      dueReminders = reminders;
+    });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+  });
+
+  it('should fire each reminder slot when its time comes', () => {
+    const task = createTask({
+      title: 'Call the dentist',
+      reminder1: minutesFromStart(15),
+      reminder2: minutesFromStart(60),
+      reminderCustom: minutesFromStart(30),
+    });
+    scheduler.syncTasks([task]);
+
+    expect(scheduler.getScheduledReminders().map((reminder) => reminder.slot)).toEqual([
+      'reminder1',
+      'reminderCustom',
+      'reminder2',
+    ]);
+
+    clock.advance(14 * MINUTE);
+    expect(dueReminders).toEqual([]);
+
+    clock.advance(MINUTE);
+    expect(dueReminders).toHaveLength(1);
+    expect(dueReminders[0]).toMatchObject({
+      id: `${task.id}:reminder1`,
+      taskId: task.id,
+      taskTitle: 'Call the dentist',
+      snoozed: false,
+    });
+
+    clock.advance(45 * MINUTE);
+    expect(dueReminders.map((reminder) => reminder.slot)).toEqual([
+      'reminder1',
+      'reminderCustom',
+      'reminder2',
+    ]);
+  });
+
+  it('should bring a snoozed reminder back after the snooze', async () => {
+    const task = createTask({ title: 'Take meds', reminder1: minutesFromStart(5) });
+    scheduler.syncTasks([task]);
+    clock.advance(5 * MINUTE);
+
+    await scheduler.snooze(`${task.id}:reminder1`);
+    expect(dueReminders).toEqual([]);
+
+    clock.advance(9 * MINUTE);
+    expect(dueReminders).toEqual([]);
+
+    clock.advance(MINUTE);
+    expect(dueReminders).toHaveLength(1);
+    expect(dueReminders[0].snoozed).toBe(true);
+    expect(dueReminders[0].fireAt).toEqual(minutesFromStart(15));
+  });
+
+  it('should reschedule when the reminder time is edited', () => {
+    const task = createTask({ title: 'Laundry', reminder1: minutesFromStart(10) });
+    scheduler.syncTasks([task]);
+
+    scheduler.syncTasks([updateTask(task, { reminder1: minutesFromStart(40) })]);
+
+    clock.advance(30 * MINUTE);
+    expect(dueReminders).toEqual([]);
+    clock.advance(10 * MINUTE);
+    expect(dueReminders).toHaveLength(1);
+  });
+
+  it('should cancel reminders when the task is completed', () => {
+    const task = createTask({ title: 'Laundry', reminder1: minutesFromStart(10) });
+    scheduler.syncTasks([task]);
+    clock.advance(10 * MINUTE);
+    expect(dueReminders).toHaveLength(1);
+
+    scheduler.syncTasks([completeTask(task)]);
+
+    expect(dueReminders).toEqual([]);
+    expect(scheduler.getScheduledReminders()).toEqual([]);
+    expect(clock.getPendingTimerCount()).toBe(0);
+  });
+
+  it('should not fire a dismissed reminder again', async () => {
+    const task = createTask({ title: 'Laundry', reminder1: minutesFromStart(10) });
+    scheduler.syncTasks([task]);
+    clock.advance(10 * MINUTE);
+
+    await scheduler.dismiss(`${task.id}:reminder1`);
+    scheduler.syncTasks([task]);
+
+    expect(dueReminders).toEqual([]);
+    expect(scheduler.getScheduledReminders()).toEqual([]);
+  });
+
+  it('should skip reminders that were missed long ago', () => {
+    const task = createTask({
+      title: 'Old reminder',
+      reminder1: new Date(START.getTime() - MISSED_REMINDER_WINDOW_MS - MINUTE),
+      reminder2: new Date(START.getTime() - 30 * MINUTE),
+    });
+
+    scheduler.syncTasks([task]);
+
+    // The recent one still shows up right away
+    expect(dueReminders.map((reminder) => reminder.slot)).toEqual(['reminder2']);
+  });
+
+  it('should keep snoozes and dismissals across restarts', async () => {
+    const snoozedTask = createTask({ title: 'Snoozed', reminder1: minutesFromStart(5) });
+    const dismissedTask = createTask({ title: 'Dismissed', reminder1: minutesFromStart(5) });
+    LocalTaskStore.getTasks.mockReturnValue([snoozedTask, dismissedTask]);
+
+    await scheduler.start('user-1');
+    clock.advance(5 * MINUTE);
+    await scheduler.snooze(`${snoozedTask.id}:reminder1`, 30);
+    await scheduler.dismiss(`${dismissedTask.id}:reminder1`);
+    scheduler.stop();
+
+    const restarted = new ReminderScheduler();
+    restarted.setClock(clock);
+    await restarted.start('user-1');
+
+    expect(restarted.getDueReminders()).toEqual([]);
+    expect(restarted.getScheduledReminders()).toEqual([
+      expect.objectContaining({ taskId: snoozedTask.id, fireAt: minutesFromStart(35) }),
+    ]);
+    restarted.stop();
+  });
+
+  it('should follow task changes from the local store', async () => {
+    await scheduler.start('user-1');
+
+    const [[listener]] = LocalTaskStore.subscribe.mock.calls;
+    listener([createTask({ title: 'From the store', reminder1: minutesFromStart(1) })]);
+    clock.advance(MINUTE);
+
+    expect(dueReminders[0].taskTitle).toBe('From the store');
+  });
+});
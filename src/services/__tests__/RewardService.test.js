@@ -1,23 +1,43 @@
 // ABOUTME: Tests for RewardService
-// Verifies XP calculation, streak tracking, and reward logic
+// Verifies XP calculation, synced streak tracking with freezes, and reward logic
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import RewardService from '../RewardService';
+import RewardService, { STREAK_OPERATIONS } from '../RewardService';
 import TaskStorageService from '../TaskStorageService';
-import { createTask, completeTask } from '../../utils/TaskModel';
+import OfflineQueueManager from '../OfflineQueueManager';
+import { supabase } from '../SupabaseService';
+import { createTask, completeTask, createSubtask } from '../../utils/TaskModel';
 import { REWARD_POINTS } from '../../constants/TaskConstants';
 
 // Mock dependencies
 jest.mock('../TaskStorageService');
-jest.mock('@react-native-async-storage/async-storage', () => ({
-  getItem: jest.fn(),
-  setItem: jest.fn(),
+jest.mock('../OfflineQueueManager', () => ({
+  registerProcessor: jest.fn(),
+  addOperation: jest.fn(() => Promise.resolve('op-1')),
+}));
+jest.mock('../SupabaseService', () => ({
+  supabase: {
+    from: jest.fn(),
+    rpc: jest.fn(),
+  },
 }));
 
 describe('RewardService', () => {
-  beforeEach(() => {
+  const userId = 'user-1';
+  const streakKey = `streak_state:${userId}`;
+  // Processors are registered once when the singleton is created
+  const processors = Object.fromEntries(OfflineQueueManager.registerProcessor.mock.calls);
+
+  const storeStreak = (state, timeZone = 'UTC') =>
+    AsyncStorage.setItem(
+      streakKey,
+      JSON.stringify({ state: { current: 0, best: 0, freezes: 1, ...state }, timeZone }),
+    );
+
+  beforeEach(async () => {
     jest.clearAllMocks();
-    jest.useFakeTimers();
+    jest.useFakeTimers({ now: new Date('2026-03-04T12:00:00.000Z') });
+    await AsyncStorage.clear();
   });
 
   afterEach(() => {
@@ -54,96 +74,173 @@ describe('RewardService', () => {
 
       expect(xp).toBe(REWARD_POINTS.TASK_COMPLETION + 5); // Extra 5 XP for category
     });
+
+    it('should split base XP across the steps of a task', () => {
+      const parent = createTask({ title: 'Clean the garage', category: 'home' });
+      const step = createSubtask(parent, { title: 'Sort the boxes' }, 0);
+
+      const xp = RewardService.calculateTaskXP(step, { siblingCount: 4 });
+
+      expect(xp).toBe(Math.round(REWARD_POINTS.TASK_COMPLETION / 4));
+    });
+
+    it('should always award at least 1 XP per step', () => {
+      const parent = createTask({ title: 'Huge project' });
+      const step = createSubtask(parent, { title: 'Tiny step' }, 0);
+
+      expect(RewardService.calculateTaskXP(step, { siblingCount: 50 })).toBe(1);
+    });
+
+    it('should award a breakdown bonus instead of base XP for parents with steps', () => {
+      const parent = createTask({ title: 'Clean the garage', category: 'home' });
+
+      const xp = RewardService.calculateTaskXP(parent, { subtaskCount: 3 });
+
+      expect(xp).toBe(REWARD_POINTS.TASK_BREAKDOWN_BONUS + 5);
+    });
   });
 
   describe('updateStreak', () => {
-    it('should start new streak on first task completion', async () => {
-      TaskStorageService.getCompletedTasks.mockResolvedValue([]);
-
-      const result = await RewardService.updateStreak();
+    it('should start a streak on the first completion and queue it for sync', async () => {
+      const result = await RewardService.updateStreak(userId);
 
       expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ current: 1, best: 1, countedToday: true });
+      expect(OfflineQueueManager.addOperation).toHaveBeenCalledWith(
+        STREAK_OPERATIONS.RECORD_DAY,
+        { p_day: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/) },
+        expect.objectContaining({ userId }),
+      );
+    });
+
+    it('should not queue anything for a second completion on the same day', async () => {
+      await storeStreak({ current: 1, best: 1, lastDay: '2026-03-04' });
+
+      const result = await RewardService.updateStreak(userId);
+
       expect(result.data.current).toBe(1);
-      expect(result.data.best).toBe(1);
+      expect(OfflineQueueManager.addOperation).not.toHaveBeenCalled();
     });
 
-    it('should continue streak when completing task on same day', async () => {
-      const todayTask = completeTask(createTask({ title: 'Today Task' }));
-      todayTask.completedAt = new Date();
+    it('should increment the streak on consecutive days', async () => {
+      await storeStreak({ current: 5, best: 5, lastDay: '2026-03-03' });
 
-      TaskStorageService.getCompletedTasks.mockResolvedValue([todayTask]);
+      const result = await RewardService.updateStreak(userId);
 
-      const result = await RewardService.updateStreak();
+      expect(result.data).toMatchObject({ current: 6, best: 6 });
+    });
 
-      expect(result.success).toBe(true);
-      expect(result.data.current).toBe(1);
+    it('should use a freeze to keep the streak after one missed day', async () => {
+      await storeStreak({ current: 3, best: 5, lastDay: '2026-03-02', freezes: 1 });
+
+      const result = await RewardService.updateStreak(userId);
+
+      expect(result.data).toMatchObject({ current: 4, best: 5, freezes: 0 });
     });
 
-    it('should increment streak for consecutive days', async () => {
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      yesterday.setHours(0, 0, 0, 0);
-
-      // Mock that we completed a task yesterday
-      AsyncStorage.getItem.mockImplementation((key) => {
-        if (key === 'last_completion_date') {
-          return Promise.resolve(yesterday.toISOString());
-        }
-        if (key === 'streak_data') {
-          return Promise.resolve(JSON.stringify({ current: 1, best: 1 }));
-        }
-        return Promise.resolve(null);
+    it('should reset the streak when more days were missed than freezes cover', async () => {
+      await storeStreak({ current: 3, best: 5, lastDay: '2026-03-01', freezes: 1 });
+
+      const result = await RewardService.updateStreak(userId);
+
+      expect(result.data).toMatchObject({ current: 1, best: 5 });
+    });
+
+    it("should count the day in the user's saved time zone", async () => {
+      // 12:00 UTC on the 4th is already the 5th in Kiritimati (UTC+14)
+      await storeStreak({ current: 2, best: 2, lastDay: '2026-03-04' }, 'Pacific/Kiritimati');
+
+      const result = await RewardService.updateStreak(userId);
+
+      expect(result.data.current).toBe(3);
+      expect(OfflineQueueManager.addOperation).toHaveBeenCalledWith(
+        STREAK_OPERATIONS.RECORD_DAY,
+        { p_day: '2026-03-05' },
+        expect.anything(),
+      );
+    });
+
+    it('should import a streak kept on the device before streaks were synced', async () => {
+      await AsyncStorage.setItem('streak_data', JSON.stringify({ current: 4, best: 9 }));
+      await AsyncStorage.setItem('last_completion_date', new Date(2026, 2, 3).toISOString());
+
+      const result = await RewardService.updateStreak(userId);
+
+      expect(result.data).toMatchObject({ current: 5, best: 9 });
+      expect(OfflineQueueManager.addOperation).toHaveBeenCalledWith(
+        STREAK_OPERATIONS.IMPORT,
+        { p_current: 4, p_longest: 9, p_last_day: '2026-03-03' },
+        expect.objectContaining({ userId }),
+      );
+      expect(await AsyncStorage.getItem('streak_data')).toBeNull();
+    });
+  });
+
+  describe('streak sync', () => {
+    it('should adopt the server streak once a queued day is recorded', async () => {
+      await storeStreak({ current: 2, best: 2, lastDay: '2026-03-04' });
+      supabase.rpc.mockResolvedValue({
+        data: [
+          {
+            current_streak: 8,
+            longest_streak: 8,
+            last_streak_day: '2026-03-04',
+            streak_freezes: 2,
+          },
+        ],
+        error: null,
       });
 
-      const result = await RewardService.updateStreak();
+      await processors[STREAK_OPERATIONS.RECORD_DAY]({ userId, data: { p_day: '2026-03-04' } });
 
-      expect(result.success).toBe(true);
-      expect(result.data.current).toBe(2);
-    });
-
-    it('should reset streak after missing a day', async () => {
-      const twoDaysAgo = new Date();
-      twoDaysAgo.setDate(twoDaysAgo.getDate() - 2);
-      twoDaysAgo.setHours(0, 0, 0, 0);
-
-      // Mock that we completed a task two days ago (missed yesterday)
-      AsyncStorage.getItem.mockImplementation((key) => {
-        if (key === 'last_completion_date') {
-          return Promise.resolve(twoDaysAgo.toISOString());
-        }
-        if (key === 'streak_data') {
-          return Promise.resolve(JSON.stringify({ current: 3, best: 5 }));
-        }
-        return Promise.resolve(null);
+      expect(supabase.rpc).toHaveBeenCalledWith('record_streak_day', { p_day: '2026-03-04' });
+      const result = await RewardService.getStreakData(userId);
+      expect(result.data).toMatchObject({ current: 8, freezes: 2 });
+    });
+
+    it('should throw so the queue retries when the server rejects the day', async () => {
+      supabase.rpc.mockResolvedValue({ data: null, error: { message: 'timeout' } });
+
+      await expect(
+        processors[STREAK_OPERATIONS.RECORD_DAY]({ userId, data: { p_day: '2026-03-04' } }),
+      ).rejects.toThrow('Failed to sync streak: timeout');
+    });
+
+    it('should keep a newer local day over an older server copy when refreshing', async () => {
+      await storeStreak({ current: 3, best: 3, lastDay: '2026-03-04' });
+      const single = jest.fn().mockResolvedValue({
+        data: {
+          timezone: 'UTC',
+          current_streak: 2,
+          longest_streak: 6,
+          last_streak_day: '2026-03-03',
+          streak_freezes: 1,
+        },
+        error: null,
+      });
+      supabase.from.mockReturnValue({
+        select: jest.fn(() => ({ eq: jest.fn(() => ({ single })) })),
       });
 
-      const result = await RewardService.updateStreak();
+      const result = await RewardService.getStreakData(userId, { refresh: true });
 
-      expect(result.success).toBe(true);
-      expect(result.data.current).toBe(1);
+      expect(result.data).toMatchObject({ current: 3, countedToday: true });
     });
 
-    it('should track best streak', async () => {
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      yesterday.setHours(0, 0, 0, 0);
-
-      // Mock that we had a 5-day streak
-      AsyncStorage.getItem.mockImplementation((key) => {
-        if (key === 'last_completion_date') {
-          return Promise.resolve(yesterday.toISOString());
-        }
-        if (key === 'streak_data') {
-          return Promise.resolve(JSON.stringify({ current: 5, best: 5 }));
-        }
-        return Promise.resolve(null);
+    it('should fall back to the device copy when the server cannot be reached', async () => {
+      await storeStreak({ current: 3, best: 3, lastDay: '2026-03-04' });
+      supabase.from.mockReturnValue({
+        select: jest.fn(() => ({
+          eq: jest.fn(() => ({
+            single: jest.fn().mockResolvedValue({ data: null, error: new Error('offline') }),
+          })),
+        })),
       });
 
-      const result = await RewardService.updateStreak();
+      const result = await RewardService.getStreakData(userId, { refresh: true });
 
       expect(result.success).toBe(true);
-      expect(result.data.current).toBe(6);
-      expect(result.data.best).toBe(6);
+      expect(result.data.current).toBe(3);
     });
   });
 
@@ -161,7 +258,7 @@ describe('RewardService', () => {
         createTask({ title: 'Pending' }),
       ]);
 
-      const result = await RewardService.getStats();
+      const result = await RewardService.getStats(userId);
 
       expect(result.success).toBe(true);
       expect(result.data.totalXP).toBe(45);
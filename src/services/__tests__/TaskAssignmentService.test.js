@@ -0,0 +1,301 @@
+// ABOUTME: Tests for TaskAssignmentService, proposing tasks and answering proposals between partners
+// Verifies who may answer, that follow-ups only fire once a task is accepted and who gets notified
+
+import { TaskAssignmentService } from '../TaskAssignmentService';
+import { FakeClock } from '../Clock';
+import NotificationService from '../NotificationService';
+import PartnershipService from '../PartnershipService';
+import TaskStorageService from '../TaskStorageService';
+import LocalTaskStore from '../LocalTaskStore';
+import { NotificationTypes } from '../../types';
+import { createTask } from '../../utils/TaskModel';
+
+jest.mock('../NotificationService', () => ({
+  __esModule: true,
+  default: {
+    sendNotification: jest.fn(() => Promise.resolve({ success: true, data: true })),
+    notifyTaskAssigned: jest.fn(() => Promise.resolve({ success: true, data: true })),
+  },
+}));
+jest.mock('../PartnershipService', () => ({
+  __esModule: true,
+  default: {
+    getActivePartnership: jest.fn(() =>
+      Promise.resolve({ success: true, data: { id: 'partnership-1' } }),
+    ),
+    incrementPartnershipStat: jest.fn(() => Promise.resolve({ success: true, data: true })),
+  },
+}));
+jest.mock('../TaskStorageService', () => ({
+  __esModule: true,
+  default: {
+    saveTask: jest.fn(() => Promise.resolve(true)),
+    getTask: jest.fn(),
+    updateAssignment: jest.fn((current, next) => Promise.resolve({ success: true, data: next })),
+    deleteTask: jest.fn(() => Promise.resolve(true)),
+  },
+}));
+jest.mock('../LocalTaskStore', () => ({
+  __esModule: true,
+  default: {
+    getTask: jest.fn(() => null),
+    applyRemoteChange: jest.fn(() => Promise.resolve()),
+    deleteTask: jest.fn(() => Promise.resolve(true)),
+  },
+}));
+jest.mock('../UserStorageService', () => ({
+  getUserById: jest.fn((id) => Promise.resolve({ id, name: id === 'adhd-1' ? 'Sam' : 'Alex' })),
+}));
+jest.mock('../SecureLogger', () => ({
+  error: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+}));
+
+describe('TaskAssignmentService', () => {
+  const now = new Date('2026-03-04T10:00:00.000Z');
+  const dueDate = new Date('2026-03-05T17:00:00.000Z');
+  const counterDueDate = new Date('2026-03-09T17:00:00.000Z');
+  const assigner = { id: 'partner-1', name: 'Alex' };
+  let service;
+
+  const proposal = (overrides = {}) => ({
+    ...createTask({
+      title: 'File taxes',
+      userId: 'partner-1',
+      assignedBy: 'partner-1',
+      assignedTo: 'adhd-1',
+      assignmentStatus: 'proposed',
+      timeEstimate: 30,
+      dueDate,
+    }),
+    id: 'task-1',
+    ...overrides,
+  });
+
+  const givenTask = (task) => {
+    LocalTaskStore.getTask.mockReturnValue(task);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    LocalTaskStore.getTask.mockReturnValue(null);
+    service = new TaskAssignmentService();
+    service.setClock(new FakeClock(now));
+  });
+
+  describe('propose', () => {
+    it('should save the task as a proposal without the assignment follow-ups', async () => {
+      const task = createTask({ title: 'File taxes', assignedTo: 'adhd-1', dueDate });
+
+      const result = await service.propose(task, assigner);
+
+      expect(result.success).toBe(true);
+      expect(TaskStorageService.saveTask).toHaveBeenCalledWith(
+        expect.objectContaining({ assignedBy: 'partner-1', assignmentStatus: 'proposed' }),
+      );
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        'adhd-1',
+        NotificationTypes.TASK_PROPOSED,
+        expect.objectContaining({ taskTitle: 'File taxes', fromUserName: 'Alex' }),
+      );
+      expect(NotificationService.notifyTaskAssigned).not.toHaveBeenCalled();
+      expect(PartnershipService.incrementPartnershipStat).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('answering as the assignee', () => {
+    it('should fire the assignment follow-ups once the proposal is accepted', async () => {
+      givenTask(proposal());
+
+      const result = await service.accept(proposal(), 'adhd-1');
+
+      expect(result.success).toBe(true);
+      expect(TaskStorageService.updateAssignment).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'task-1', assignmentStatus: 'proposed' }),
+        expect.objectContaining({ id: 'task-1', assignmentStatus: 'accepted' }),
+      );
+      expect(LocalTaskStore.applyRemoteChange).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'task-1', assignmentStatus: 'accepted' }),
+        'UPDATE',
+      );
+      expect(NotificationService.notifyTaskAssigned).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'task-1', assignmentStatus: 'accepted' }),
+        expect.objectContaining({ id: 'partner-1' }),
+      );
+      expect(PartnershipService.incrementPartnershipStat).toHaveBeenCalledWith(
+        'partnership-1',
+        'tasksAssigned',
+      );
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        'partner-1',
+        NotificationTypes.TASK_ASSIGNMENT_RESPONSE,
+        expect.objectContaining({ outcome: 'accepted', fromUserName: 'Sam' }),
+      );
+    });
+
+    it('should answer from the stored task when the local store does not have it', async () => {
+      TaskStorageService.getTask.mockResolvedValue(proposal());
+
+      const result = await service.accept(proposal(), 'adhd-1');
+
+      expect(result.success).toBe(true);
+      expect(TaskStorageService.getTask).toHaveBeenCalledWith('task-1');
+      expect(LocalTaskStore.applyRemoteChange).not.toHaveBeenCalled();
+    });
+
+    it('should tell the assigner why the task was declined', async () => {
+      givenTask(proposal());
+
+      const result = await service.decline(proposal(), 'adhd-1', ' Too much this week ');
+
+      expect(result.data).toMatchObject({
+        assignmentStatus: 'declined',
+        assignmentNote: 'Too much this week',
+      });
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        'partner-1',
+        NotificationTypes.TASK_ASSIGNMENT_RESPONSE,
+        expect.objectContaining({ outcome: 'declined', note: 'Too much this week' }),
+      );
+      expect(NotificationService.notifyTaskAssigned).not.toHaveBeenCalled();
+    });
+
+    it('should not decline without a reason', async () => {
+      givenTask(proposal());
+
+      const result = await service.decline(proposal(), 'adhd-1', '  ');
+
+      expect(result.success).toBe(false);
+      expect(TaskStorageService.updateAssignment).not.toHaveBeenCalled();
+    });
+
+    it('should send a counter proposal back to the assigner', async () => {
+      givenTask(proposal());
+
+      const result = await service.renegotiate(proposal(), 'adhd-1', {
+        timeEstimate: 60,
+        dueDate: counterDueDate,
+        note: 'Need the bank statements first',
+      });
+
+      expect(result.data).toMatchObject({
+        assignmentStatus: 'renegotiating',
+        counterTimeEstimate: 60,
+        counterDueDate,
+        // The proposed plan stays until the assigner agrees
+        timeEstimate: 30,
+        dueDate,
+      });
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        'partner-1',
+        NotificationTypes.TASK_ASSIGNMENT_RESPONSE,
+        expect.objectContaining({ outcome: 'renegotiating', timeEstimate: 60 }),
+      );
+    });
+
+    it('should not answer a proposal someone else already answered', async () => {
+      // The copy on screen is stale; the stored task was already declined on another device
+      givenTask(proposal({ assignmentStatus: 'declined' }));
+
+      const result = await service.accept(proposal(), 'adhd-1');
+
+      expect(result.success).toBe(false);
+      expect(result.error.message).toBe('This proposal is no longer waiting on you');
+      expect(NotificationService.notifyTaskAssigned).not.toHaveBeenCalled();
+    });
+
+    it('should not answer a proposal that moved on before the answer was stored', async () => {
+      givenTask(proposal());
+      TaskStorageService.updateAssignment.mockResolvedValueOnce({ success: true, data: null });
+
+      const result = await service.accept(proposal(), 'adhd-1');
+
+      expect(result.success).toBe(false);
+      expect(result.error.message).toBe('This proposal is no longer waiting on you');
+      expect(LocalTaskStore.applyRemoteChange).not.toHaveBeenCalled();
+      expect(NotificationService.notifyTaskAssigned).not.toHaveBeenCalled();
+      expect(NotificationService.sendNotification).not.toHaveBeenCalled();
+    });
+
+    it('should not let the assigner answer their own proposal', async () => {
+      givenTask(proposal());
+
+      const result = await service.accept(proposal(), 'partner-1');
+
+      expect(result.success).toBe(false);
+      expect(TaskStorageService.updateAssignment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('answering a counter proposal as the assigner', () => {
+    const renegotiating = () =>
+      proposal({
+        assignmentStatus: 'renegotiating',
+        counterTimeEstimate: 60,
+        counterDueDate,
+      });
+
+    it('should apply the changes and fire the assignment follow-ups', async () => {
+      givenTask(renegotiating());
+
+      const result = await service.acceptChanges(renegotiating(), 'partner-1');
+
+      expect(result.data).toMatchObject({
+        assignmentStatus: 'accepted',
+        timeEstimate: 60,
+        dueDate: counterDueDate,
+      });
+      expect(NotificationService.notifyTaskAssigned).toHaveBeenCalledWith(
+        expect.objectContaining({ assignmentStatus: 'accepted' }),
+        expect.objectContaining({ id: 'partner-1' }),
+      );
+      expect(PartnershipService.incrementPartnershipStat).toHaveBeenCalledWith(
+        'partnership-1',
+        'tasksAssigned',
+      );
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        'adhd-1',
+        NotificationTypes.TASK_ASSIGNMENT_RESPONSE,
+        expect.objectContaining({ outcome: 'changes_accepted', fromUserName: 'Alex' }),
+      );
+    });
+
+    it('should propose the original plan again when it is kept', async () => {
+      givenTask(renegotiating());
+
+      const result = await service.keepOriginal(renegotiating(), 'partner-1');
+
+      expect(result.data).toMatchObject({
+        assignmentStatus: 'proposed',
+        timeEstimate: 30,
+        dueDate,
+        counterTimeEstimate: null,
+      });
+      expect(NotificationService.notifyTaskAssigned).not.toHaveBeenCalled();
+      expect(NotificationService.sendNotification).toHaveBeenCalledWith(
+        'adhd-1',
+        NotificationTypes.TASK_ASSIGNMENT_RESPONSE,
+        expect.objectContaining({ outcome: 'original_kept' }),
+      );
+    });
+
+    it('should not answer changes the assignee already replaced', async () => {
+      givenTask(renegotiating());
+      TaskStorageService.updateAssignment.mockResolvedValueOnce({ success: true, data: null });
+
+      const result = await service.keepOriginal(renegotiating(), 'partner-1');
+
+      expect(result.error.message).toBe('These changes are no longer waiting on you');
+      expect(NotificationService.sendNotification).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should let the assigner remove a declined proposal', async () => {
+    const declined = proposal({ assignmentStatus: 'declined', assignmentNote: 'Too busy' });
+
+    expect((await service.withdraw(declined, 'partner-1')).success).toBe(true);
+    expect(TaskStorageService.deleteTask).toHaveBeenCalledWith('task-1');
+    expect((await service.withdraw(proposal(), 'partner-1')).success).toBe(false);
+  });
+});
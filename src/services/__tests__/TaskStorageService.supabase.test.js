@@ -3,7 +3,7 @@
 
 import { TaskStorageService } from '../TaskStorageService';
 import { supabase } from '../SupabaseService';
-import { createTask } from '../../utils/TaskModel';
+import { createTask, completeTask } from '../../utils/TaskModel';
 import { TaskStatus, TaskPriority } from '../../types/task.types';
 
 // Mock Supabase
@@ -32,6 +32,7 @@ describe('TaskStorageService - Supabase Implementation', () => {
   const createMockQueryBuilder = () => ({
     select: jest.fn().mockReturnThis(),
     insert: jest.fn().mockReturnThis(),
+    upsert: jest.fn().mockReturnThis(),
     update: jest.fn().mockReturnThis(),
     delete: jest.fn().mockReturnThis(),
     eq: jest.fn().mockReturnThis(),
@@ -189,11 +190,38 @@ describe('TaskStorageService - Supabase Implementation', () => {
 
       expect(result).toBe(true);
       expect(supabase.from).toHaveBeenCalledWith('tasks');
-      expect(mockQueryBuilder.insert).toHaveBeenCalled();
+      expect(mockQueryBuilder.upsert).toHaveBeenCalled();
       expect(mockQueryBuilder.select).toHaveBeenCalled();
       expect(mockQueryBuilder.single).toHaveBeenCalled();
     });
 
+    it('should upsert by id so a replayed create does not conflict with itself', async () => {
+      const newTask = createTask({ title: 'New Task' });
+      const mockQueryBuilder = createMockQueryBuilder();
+      mockQueryBuilder.single.mockResolvedValue({ data: {}, error: null });
+      supabase.from.mockReturnValue(mockQueryBuilder);
+
+      await taskService.saveTask(newTask);
+
+      expect(mockQueryBuilder.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ id: newTask.id, user_id: mockUser.id }),
+        { onConflict: 'id' },
+      );
+      expect(mockQueryBuilder.insert).not.toHaveBeenCalled();
+    });
+
+    it('should let Supabase generate the id for tasks without a client id', async () => {
+      const mockQueryBuilder = createMockQueryBuilder();
+      mockQueryBuilder.single.mockResolvedValue({ data: {}, error: null });
+      supabase.from.mockReturnValue(mockQueryBuilder);
+
+      await taskService.saveTask({ ...createTask({ title: 'Legacy' }), id: 'task-1' });
+
+      expect(mockQueryBuilder.insert).toHaveBeenCalledWith(
+        expect.not.objectContaining({ id: 'task-1' }),
+      );
+    });
+
     it('should return false when user is not authenticated', async () => {
       supabase.auth.getUser.mockResolvedValue({
         data: { user: null },
@@ -243,6 +271,75 @@ describe('TaskStorageService - Supabase Implementation', () => {
     });
   });
 
+  describe('saveTasks', () => {
+    it('should upsert every task in one request so a retried batch does not conflict', async () => {
+      const tasks = [createTask({ title: 'Buy milk' }), createTask({ title: 'Post parcel' })];
+      const mockQueryBuilder = createMockQueryBuilder();
+      mockQueryBuilder.upsert.mockResolvedValue({ error: null });
+      supabase.from.mockReturnValue(mockQueryBuilder);
+
+      const result = await taskService.saveTasks(tasks);
+
+      expect(result).toBe(true);
+      expect(mockQueryBuilder.upsert).toHaveBeenCalledTimes(1);
+      expect(mockQueryBuilder.upsert).toHaveBeenCalledWith(
+        [
+          expect.objectContaining({ id: tasks[0].id, title: 'Buy milk', user_id: mockUser.id }),
+          expect.objectContaining({ id: tasks[1].id, title: 'Post parcel', user_id: mockUser.id }),
+        ],
+        { onConflict: 'id', defaultToNull: false },
+      );
+      expect(mockQueryBuilder.insert).not.toHaveBeenCalled();
+    });
+
+    it('should let Supabase assign ids to tasks without a client id in the same request', async () => {
+      const tasks = [
+        { ...createTask({ title: 'Buy milk' }), id: 'local-1' },
+        createTask({ title: 'Post parcel' }),
+      ];
+      const mockQueryBuilder = createMockQueryBuilder();
+      mockQueryBuilder.upsert.mockResolvedValue({ error: null });
+      supabase.from.mockReturnValue(mockQueryBuilder);
+
+      const result = await taskService.saveTasks(tasks);
+
+      expect(result).toBe(true);
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+      expect(mockQueryBuilder.upsert).toHaveBeenCalledWith(
+        [
+          expect.not.objectContaining({ id: expect.anything() }),
+          expect.objectContaining({ id: tasks[1].id }),
+        ],
+        { onConflict: 'id', defaultToNull: false },
+      );
+      expect(mockQueryBuilder.insert).not.toHaveBeenCalled();
+    });
+
+    it('should save none of a mixed batch when the request fails', async () => {
+      const tasks = [
+        { ...createTask({ title: 'Buy milk' }), id: 'local-1' },
+        createTask({ title: 'Post parcel' }),
+      ];
+      const mockQueryBuilder = createMockQueryBuilder();
+      mockQueryBuilder.upsert.mockResolvedValue({
+        error: { message: 'violates row-level security' },
+      });
+      supabase.from.mockReturnValue(mockQueryBuilder);
+
+      const result = await taskService.saveTasks(tasks);
+
+      expect(result).toBe(false);
+      // One request, so there is no half of the batch already written
+      expect(mockQueryBuilder.upsert).toHaveBeenCalledTimes(1);
+      expect(mockQueryBuilder.insert).not.toHaveBeenCalled();
+    });
+
+    it('should not call Supabase for an empty batch', async () => {
+      expect(await taskService.saveTasks([])).toBe(true);
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
   describe('updateTask', () => {
     it('should update an existing task', async () => {
       const updatedTask = createTask({
@@ -284,6 +381,99 @@ describe('TaskStorageService - Supabase Implementation', () => {
       const result = await taskService.updateTask(updatedTask);
       expect(result).toBe(false);
     });
+
+    it('should leave the assignment to updateAssignment', async () => {
+      const task = createTask({
+        id: 'task-123',
+        title: 'File taxes',
+        assignedBy: 'partner-1',
+        assignedTo: mockUser.id,
+        assignmentStatus: 'proposed',
+      });
+
+      const mockQueryBuilder = createMockQueryBuilder();
+      mockQueryBuilder.or.mockResolvedValue({ data: null, error: null });
+      supabase.from.mockReturnValue(mockQueryBuilder);
+
+      await taskService.updateTask(task);
+
+      const written = mockQueryBuilder.update.mock.calls[0][0];
+      expect(written.title).toBe('File taxes');
+      expect(written).not.toHaveProperty('assignment_status');
+      expect(written).not.toHaveProperty('assignment_note');
+      expect(written).not.toHaveProperty('counter_time_estimate');
+      expect(written).not.toHaveProperty('counter_due_date');
+    });
+  });
+
+  describe('updateAssignment', () => {
+    const dueDate = new Date('2026-03-05T17:00:00.000Z');
+    const counterDueDate = new Date('2026-03-09T17:00:00.000Z');
+    const renegotiating = {
+      ...createTask({
+        title: 'File taxes',
+        assignedBy: 'partner-1',
+        assignedTo: 'adhd-1',
+        assignmentStatus: 'renegotiating',
+        assignmentNote: 'Busy until Monday',
+        timeEstimate: 30,
+        counterDueDate,
+        dueDate,
+      }),
+      id: 'task-123',
+    };
+
+    it('should only write the answer while the task is still in the status it was answered from', async () => {
+      const accepted = {
+        ...renegotiating,
+        assignmentStatus: 'accepted',
+        assignmentNote: null,
+        counterDueDate: null,
+        dueDate: counterDueDate,
+      };
+      const mockQueryBuilder = createMockQueryBuilder();
+      mockQueryBuilder.select.mockResolvedValue({
+        data: [
+          {
+            id: 'task-123',
+            title: 'File taxes',
+            user_id: 'partner-1',
+            assignment_status: 'accepted',
+            due_date: counterDueDate.toISOString(),
+          },
+        ],
+        error: null,
+      });
+      supabase.from.mockReturnValue(mockQueryBuilder);
+
+      const result = await taskService.updateAssignment(renegotiating, accepted);
+
+      expect(mockQueryBuilder.update).toHaveBeenCalledWith({
+        assignment_status: 'accepted',
+        assignment_note: null,
+        counter_time_estimate: null,
+        counter_due_date: null,
+        // The estimate didn't change, so it isn't written back
+        due_date: counterDueDate.toISOString(),
+        partner_notified: accepted.partnerNotified,
+      });
+      expect(mockQueryBuilder.eq).toHaveBeenCalledWith('id', 'task-123');
+      expect(mockQueryBuilder.eq).toHaveBeenCalledWith('assignment_status', 'renegotiating');
+      expect(result.data).toMatchObject({ id: 'task-123', assignmentStatus: 'accepted' });
+    });
+
+    it('should resolve to null once the other partner moved the task on', async () => {
+      const mockQueryBuilder = createMockQueryBuilder();
+      mockQueryBuilder.select.mockResolvedValue({ data: [], error: null });
+      supabase.from.mockReturnValue(mockQueryBuilder);
+
+      const result = await taskService.updateAssignment(renegotiating, {
+        ...renegotiating,
+        assignmentStatus: 'proposed',
+      });
+
+      expect(result).toEqual({ success: true, data: null });
+    });
   });
 
   describe('deleteTask', () => {
@@ -646,4 +836,414 @@ describe('TaskStorageService - Supabase Implementation', () => {
       expect(tasks).toHaveLength(1);
     });
   });
+
+  describe('Task breakdown', () => {
+    it('should map parent and ordering columns onto tasks', async () => {
+      const mockQueryBuilder = createMockQueryBuilder();
+      mockQueryBuilder.order.mockResolvedValue({
+        data: [
+          {
+            id: 'step-1',
+            user_id: mockUser.id,
+            title: 'Step 1',
+            parent_id: 'parent-1',
+            sort_order: 0,
+            created_at: new Date().toISOString(),
+          },
+        ],
+        error: null,
+      });
+      supabase.from.mockReturnValue(mockQueryBuilder);
+
+      const steps = await taskService.getSubtasks('parent-1');
+
+      expect(mockQueryBuilder.eq).toHaveBeenCalledWith('parent_id', 'parent-1');
+      expect(mockQueryBuilder.order).toHaveBeenCalledWith('sort_order', { ascending: true });
+      expect(steps[0].parentId).toBe('parent-1');
+      expect(steps[0].sortOrder).toBe(0);
+    });
+
+    it('should persist parent and ordering when saving a step', async () => {
+      const mockQueryBuilder = createMockQueryBuilder();
+      mockQueryBuilder.single.mockResolvedValue({ data: {}, error: null });
+      supabase.from.mockReturnValue(mockQueryBuilder);
+
+      const step = createTask({ title: 'Step', parentId: 'parent-1', sortOrder: 3 });
+      await taskService.saveTask(step);
+
+      expect(mockQueryBuilder.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ parent_id: 'parent-1', sort_order: 3 }),
+        { onConflict: 'id' },
+      );
+    });
+
+    it('should fetch a whole task tree in one call', async () => {
+      supabase.rpc = jest.fn().mockResolvedValue({
+        data: [
+          { id: 'root', user_id: mockUser.id, title: 'Root', parent_id: null, sort_order: 0 },
+          { id: 'b', user_id: mockUser.id, title: 'B', parent_id: 'root', sort_order: 1 },
+          { id: 'a', user_id: mockUser.id, title: 'A', parent_id: 'root', sort_order: 0 },
+        ],
+        error: null,
+      });
+
+      const tree = await taskService.getTaskTree('root');
+
+      expect(supabase.rpc).toHaveBeenCalledWith('get_task_tree', { root_task_id: 'root' });
+      expect(tree.task.id).toBe('root');
+      expect(tree.children.map((node) => node.task.title)).toEqual(['A', 'B']);
+    });
+
+    it('should return null when the tree cannot be fetched', async () => {
+      supabase.rpc = jest.fn().mockResolvedValue({
+        data: null,
+        error: { message: 'boom' },
+      });
+
+      expect(await taskService.getTaskTree('root')).toBeNull();
+    });
+
+    it('should persist a new step order', async () => {
+      const mockQueryBuilder = createMockQueryBuilder();
+      mockQueryBuilder.eq
+        .mockReturnValueOnce(mockQueryBuilder)
+        .mockResolvedValueOnce({ error: null })
+        .mockReturnValueOnce(mockQueryBuilder)
+        .mockResolvedValueOnce({ error: null });
+      supabase.from.mockReturnValue(mockQueryBuilder);
+
+      const success = await taskService.reorderSubtasks('parent-1', ['b', 'a']);
+
+      expect(success).toBe(true);
+      expect(mockQueryBuilder.update).toHaveBeenCalledWith({ sort_order: 0 });
+      expect(mockQueryBuilder.update).toHaveBeenCalledWith({ sort_order: 1 });
+      expect(mockQueryBuilder.eq).toHaveBeenCalledWith('id', 'b');
+    });
+  });
+
+  describe('Recurring tasks', () => {
+    const dailyRule = { frequency: 'daily', interval: 1, dayOfMonth: null };
+
+    it('should map recurrence columns onto tasks', async () => {
+      const mockQueryBuilder = createMockQueryBuilder();
+      mockQueryBuilder.order.mockResolvedValue({
+        data: [
+          {
+            id: 'meds-2',
+            user_id: mockUser.id,
+            title: 'Take meds',
+            recurrence: dailyRule,
+            series_id: 'meds-1',
+          },
+        ],
+        error: null,
+      });
+      supabase.from.mockReturnValue(mockQueryBuilder);
+
+      const tasks = await taskService.getSeriesTasks('meds-1');
+
+      expect(mockQueryBuilder.or).toHaveBeenCalledWith('id.eq.meds-1,series_id.eq.meds-1');
+      expect(tasks[0].recurrence).toEqual(dailyRule);
+      expect(tasks[0].seriesId).toBe('meds-1');
+    });
+
+    it('should schedule the next instance when a recurring task is completed', async () => {
+      const task = completeTask(
+        createTask({
+          title: 'Take meds',
+          userId: mockUser.id,
+          dueDate: new Date('2024-03-04T09:00:00Z'),
+          recurrence: dailyRule,
+        }),
+      );
+
+      const updateBuilder = createMockQueryBuilder();
+      updateBuilder.or.mockResolvedValue({ data: null, error: null });
+      const lookupBuilder = createMockQueryBuilder();
+      lookupBuilder.neq
+        .mockReturnValueOnce(lookupBuilder)
+        .mockResolvedValueOnce({ data: [], error: null });
+      const insertBuilder = createMockQueryBuilder();
+      insertBuilder.single.mockResolvedValue({ data: {}, error: null });
+      supabase.from
+        .mockReturnValueOnce(updateBuilder)
+        .mockReturnValueOnce(lookupBuilder)
+        .mockReturnValueOnce(insertBuilder);
+
+      const result = await taskService.updateTask(task);
+
+      expect(result).toBe(true);
+      expect(lookupBuilder.eq).toHaveBeenCalledWith('series_id', task.id);
+      expect(insertBuilder.insert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          title: 'Take meds',
+          status: TaskStatus.PENDING,
+          recurrence: dailyRule,
+          series_id: task.id,
+        }),
+      );
+    });
+
+    it('should schedule the next instance of an accepted assigned series as accepted', async () => {
+      const task = completeTask(
+        createTask({
+          title: 'Water the plants',
+          userId: 'partner-1',
+          assignedBy: 'partner-1',
+          assignedTo: mockUser.id,
+          assignmentStatus: 'accepted',
+          dueDate: new Date('2024-03-04T09:00:00Z'),
+          recurrence: dailyRule,
+        }),
+      );
+
+      const lookupBuilder = createMockQueryBuilder();
+      lookupBuilder.neq
+        .mockReturnValueOnce(lookupBuilder)
+        .mockResolvedValueOnce({ data: [], error: null });
+      const insertBuilder = createMockQueryBuilder();
+      insertBuilder.single.mockResolvedValue({ data: {}, error: null });
+      supabase.from.mockReturnValueOnce(lookupBuilder).mockReturnValueOnce(insertBuilder);
+
+      const next = await taskService.scheduleNextOccurrence(task);
+
+      expect(next).toMatchObject({ assignmentStatus: 'accepted' });
+      expect(insertBuilder.insert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          assigned_by: 'partner-1',
+          assigned_to: mockUser.id,
+          assignment_status: 'accepted',
+          series_id: task.id,
+        }),
+      );
+    });
+
+    it('should not schedule a duplicate when the series already has an open instance', async () => {
+      const task = completeTask(createTask({ title: 'Take meds', recurrence: dailyRule }));
+
+      const lookupBuilder = createMockQueryBuilder();
+      lookupBuilder.neq
+        .mockReturnValueOnce(lookupBuilder)
+        .mockResolvedValueOnce({ data: [{ id: 'meds-2' }], error: null });
+      supabase.from.mockReturnValue(lookupBuilder);
+
+      const next = await taskService.scheduleNextOccurrence(task);
+
+      expect(next).toBeNull();
+      expect(lookupBuilder.insert).not.toHaveBeenCalled();
+    });
+
+    it('should remove the open instance once a completed one is re-opened', async () => {
+      const task = {
+        ...createTask({ title: 'Take meds', recurrence: dailyRule, seriesId: 'meds-1' }),
+        id: 'meds-2',
+      };
+
+      const updateBuilder = createMockQueryBuilder();
+      updateBuilder.or.mockResolvedValue({ data: null, error: null });
+      const cleanupBuilder = createMockQueryBuilder();
+      cleanupBuilder.neq
+        .mockReturnValueOnce(cleanupBuilder)
+        .mockResolvedValueOnce({ data: null, error: null });
+      supabase.from.mockReturnValueOnce(updateBuilder).mockReturnValueOnce(cleanupBuilder);
+
+      const result = await taskService.updateTask(task);
+
+      expect(result).toBe(true);
+      expect(cleanupBuilder.delete).toHaveBeenCalled();
+      expect(cleanupBuilder.eq).toHaveBeenCalledWith('series_id', 'meds-1');
+      expect(cleanupBuilder.neq).toHaveBeenCalledWith('id', 'meds-2');
+      expect(updateBuilder.update).toHaveBeenCalledWith(
+        expect.objectContaining({ series_id: 'meds-1', status: TaskStatus.PENDING }),
+      );
+      expect(updateBuilder.eq).toHaveBeenCalledWith('id', 'meds-2');
+    });
+
+    it('should keep the open instance when re-opening fails', async () => {
+      const task = {
+        ...createTask({ title: 'Take meds', recurrence: dailyRule, seriesId: 'meds-1' }),
+        id: 'meds-2',
+      };
+
+      const updateBuilder = createMockQueryBuilder();
+      updateBuilder.or.mockResolvedValue({ data: null, error: { message: 'Network error' } });
+      supabase.from.mockReturnValue(updateBuilder);
+
+      const result = await taskService.updateTask(task);
+
+      expect(result).toBe(false);
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+      expect(updateBuilder.delete).not.toHaveBeenCalled();
+    });
+
+    it('should not schedule anything for one-off tasks', async () => {
+      const task = completeTask(createTask({ title: 'Call the bank' }));
+
+      const updateBuilder = createMockQueryBuilder();
+      updateBuilder.or.mockResolvedValue({ data: null, error: null });
+      supabase.from.mockReturnValue(updateBuilder);
+
+      await taskService.updateTask(task);
+
+      expect(supabase.from).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Partner fields', () => {
+    it('should map encouragements, notification flags and start time onto tasks', async () => {
+      const mockQueryBuilder = createMockQueryBuilder();
+      mockQueryBuilder.order.mockResolvedValue({
+        data: [
+          {
+            id: 'task-1',
+            user_id: mockUser.id,
+            title: 'Write report',
+            preferred_start_time: '2026-03-02T09:00:00.000Z',
+            partner_notified: { onStart: true },
+            encouragements: [
+              {
+                message: 'You got this!',
+                fromUserId: 'partner-1',
+                timestamp: '2026-03-01T12:00:00.000Z',
+              },
+            ],
+          },
+        ],
+        error: null,
+      });
+      supabase.from.mockReturnValue(mockQueryBuilder);
+
+      const [task] = await taskService.getAllTasks();
+
+      expect(task.preferredStartTime).toEqual(new Date('2026-03-02T09:00:00.000Z'));
+      expect(task.partnerNotified).toEqual({
+        onStart: true,
+        onComplete: false,
+        onOverdue: false,
+      });
+      expect(task.encouragementReceived).toEqual([
+        {
+          message: 'You got this!',
+          fromUserId: 'partner-1',
+          timestamp: new Date('2026-03-01T12:00:00.000Z'),
+        },
+      ]);
+    });
+
+    it('should persist encouragements, notification flags and start time when saving', async () => {
+      const mockQueryBuilder = createMockQueryBuilder();
+      mockQueryBuilder.single.mockResolvedValue({ data: {}, error: null });
+      supabase.from.mockReturnValue(mockQueryBuilder);
+
+      const task = {
+        ...createTask({ title: 'Write report' }),
+        preferredStartTime: new Date('2026-03-02T09:00:00.000Z'),
+        partnerNotified: { onStart: true, onComplete: false, onOverdue: false },
+        encouragementReceived: [
+          {
+            message: 'You got this!',
+            fromUserId: 'partner-1',
+            timestamp: new Date('2026-03-01T12:00:00.000Z'),
+          },
+        ],
+      };
+      await taskService.saveTask(task);
+
+      expect(mockQueryBuilder.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          preferred_start_time: '2026-03-02T09:00:00.000Z',
+          partner_notified: { onStart: true, onComplete: false, onOverdue: false },
+          encouragements: [
+            {
+              message: 'You got this!',
+              fromUserId: 'partner-1',
+              timestamp: '2026-03-01T12:00:00.000Z',
+            },
+          ],
+        }),
+        { onConflict: 'id' },
+      );
+    });
+
+    it('should add an encouragement through the database function', async () => {
+      supabase.rpc = jest.fn().mockResolvedValue({
+        data: [
+          {
+            message: 'Keep going!',
+            fromUserId: mockUser.id,
+            timestamp: '2026-03-01T12:00:00.000Z',
+          },
+        ],
+        error: null,
+      });
+
+      const encouragements = await taskService.addEncouragement('task-1', 'Keep going!');
+
+      expect(supabase.rpc).toHaveBeenCalledWith('add_task_encouragement', {
+        target_task_id: 'task-1',
+        encouragement_message: 'Keep going!',
+      });
+      expect(encouragements).toEqual([
+        {
+          message: 'Keep going!',
+          fromUserId: mockUser.id,
+          timestamp: new Date('2026-03-01T12:00:00.000Z'),
+        },
+      ]);
+    });
+
+    it('should return null when the encouragement is rejected', async () => {
+      supabase.rpc = jest.fn().mockResolvedValue({
+        data: null,
+        error: { message: 'Task not found or not shared with you' },
+      });
+
+      expect(await taskService.addEncouragement('task-1', 'Keep going!')).toBeNull();
+    });
+  });
+
+  describe('Reminders', () => {
+    it('should map reminder columns onto tasks', async () => {
+      const mockQueryBuilder = createMockQueryBuilder();
+      mockQueryBuilder.order.mockResolvedValue({
+        data: [
+          {
+            id: 'task-1',
+            user_id: mockUser.id,
+            title: 'Call the dentist',
+            reminder_1: '2026-03-02T09:00:00.000Z',
+            reminder_2: null,
+            reminder_custom: '2026-03-02T16:30:00.000Z',
+          },
+        ],
+        error: null,
+      });
+      supabase.from.mockReturnValue(mockQueryBuilder);
+
+      const [task] = await taskService.getAllTasks();
+
+      expect(task.reminder1).toEqual(new Date('2026-03-02T09:00:00.000Z'));
+      expect(task.reminder2).toBeNull();
+      expect(task.reminderCustom).toEqual(new Date('2026-03-02T16:30:00.000Z'));
+    });
+
+    it('should persist reminders when saving', async () => {
+      const mockQueryBuilder = createMockQueryBuilder();
+      mockQueryBuilder.single.mockResolvedValue({ data: {}, error: null });
+      supabase.from.mockReturnValue(mockQueryBuilder);
+
+      await taskService.saveTask(
+        createTask({ title: 'Call the dentist', reminder1: new Date('2026-03-02T09:00:00.000Z') }),
+      );
+
+      expect(mockQueryBuilder.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({
+          reminder_1: '2026-03-02T09:00:00.000Z',
+          reminder_2: null,
+          reminder_custom: null,
+        }),
+        { onConflict: 'id' },
+      );
+    });
+  });
 });
@@ -0,0 +1,35 @@
+// ABOUTME: TypeScript type definitions for achievements and their unlock history
+// Includes the catalog entry shape, unlock records and the progress shown in the gallery
+
+// What an achievement counts; see AchievementModel for how each is worked out
+export type AchievementMetric =
+  | 'tasksCompleted'
+  | 'bestStreak'
+  | 'totalXP'
+  | 'accurateEstimates'
+  | 'tasksBrokenDown'
+  | 'onTimeFinishes';
+
+export interface AchievementDefinition {
+  id: string; // Stable, stored in achievements_unlocked
+  title: string;
+  description: string;
+  icon: string;
+  xp: number;
+  metric: AchievementMetric;
+  target: number; // Unlocks once the metric reaches this
+}
+
+export type AchievementStats = Record<AchievementMetric, number>;
+
+export interface AchievementUnlock {
+  achievementId: string;
+  unlockedAt: Date;
+}
+
+export interface AchievementProgress {
+  achievement: AchievementDefinition;
+  current: number; // Capped at the target
+  fraction: number; // 0 to 1
+  unlockedAt: Date | null;
+}
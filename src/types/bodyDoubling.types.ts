@@ -0,0 +1,36 @@
+// ABOUTME: TypeScript type definitions for body doubling, where partners focus together in real time
+// Includes the shared Pomodoro timer, the people in a session and the quick reactions they send
+
+export type SharedTimerPhase = 'work' | 'break';
+
+// Everyone in the session holds a copy; the most recently changed one wins
+export interface SharedTimer {
+  phase: SharedTimerPhase;
+  endsAt: number | null; // Epoch ms the phase finishes, set only while running
+  remainingSeconds: number; // Time left while paused
+  round: number; // Work phase the session is on, starting at 1
+  updatedAt: number; // Epoch ms of the last start, pause or reset
+  updatedBy: string;
+}
+
+export interface BodyDoublingParticipant {
+  userId: string;
+  name: string;
+  taskTitle: string | null; // What they're working on, if they picked a task
+  joinedAt: number;
+}
+
+export interface BodyDoublingReaction {
+  id: string;
+  fromUserId: string;
+  emoji: string;
+  sentAt: number;
+}
+
+export interface BodyDoublingSnapshot {
+  sessionId: string | null; // null when not in a session
+  participants: BodyDoublingParticipant[]; // Including this user, in the order they joined
+  timer: SharedTimer | null;
+  timeLeft: number; // Whole seconds left in the current phase
+  reactions: BodyDoublingReaction[]; // Newest last
+}
@@ -0,0 +1,59 @@
+// ABOUTME: TypeScript type definitions for structured partner check-ins
+// Includes recurring check-in schedules set by the partner and the ADHD user's mood and energy responses
+
+export type CheckInFrequency = 'daily' | 'weekdays' | 'weekly';
+
+export interface CheckInSchedule {
+  id: string;
+  partnershipId: string;
+  createdBy: string; // The accountability partner
+  frequency: CheckInFrequency;
+  dayOfWeek: number | null; // 0 (Sunday) to 6, weekly schedules only
+  timeOfDay: string; // Local time in timeZone, e.g. "09:30"
+  timeZone: string | null; // IANA zone; null for older schedules, which follow the sending device
+  prompt: string | null; // Sent as the check-in message; a default is used when empty
+  active: boolean;
+  nextDueAt: Date;
+  createdAt: Date;
+}
+
+export interface CheckInScheduleInput {
+  frequency: CheckInFrequency;
+  dayOfWeek?: number | null;
+  timeOfDay: string;
+  timeZone?: string | null;
+  prompt?: string | null;
+}
+
+export interface CheckInResponse {
+  id: string;
+  partnershipId: string;
+  scheduleId: string | null; // Null when the ADHD user checked in without being asked
+  userId: string;
+  mood: number; // 1 (rough) to 5 (great)
+  energy: number; // 1 (empty) to 5 (buzzing)
+  blockers: string[];
+  note: string | null;
+  respondedAt: Date;
+}
+
+export interface CheckInResponseInput {
+  mood: number;
+  energy: number;
+  blockers?: string[];
+  note?: string | null;
+  scheduleId?: string | null;
+}
+
+// Averages for one day of the mood and energy chart; null when nobody checked in that day
+export interface CheckInTrendDay {
+  start: Date;
+  mood: number | null;
+  energy: number | null;
+  responses: number;
+}
+
+export interface BlockerCount {
+  blocker: string;
+  count: number;
+}
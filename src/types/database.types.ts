@@ -6,6 +6,111 @@ export type Json = string | number | boolean | null | { [key: string]: Json | un
 export interface Database {
   public: {
     Tables: {
+      achievements_unlocked: {
+        Row: {
+          user_id: string;
+          achievement_id: string;
+          unlocked_at: string;
+        };
+        Insert: {
+          user_id: string;
+          achievement_id: string;
+          unlocked_at?: string;
+        };
+        Update: {
+          user_id?: string;
+          achievement_id?: string;
+          unlocked_at?: string;
+        };
+      };
+      categories: {
+        Row: {
+          id: string;
+          user_id: string;
+          label: string;
+          color: string;
+          icon: string;
+          default_time_estimate: number | null;
+          default_priority: string | null;
+          sort_order: number;
+          created_at: string;
+          updated_at: string;
+        };
+        Insert: {
+          id: string;
+          user_id: string;
+          label: string;
+          color: string;
+          icon: string;
+          default_time_estimate?: number | null;
+          default_priority?: string | null;
+          sort_order?: number;
+          created_at?: string;
+          updated_at?: string;
+        };
+        Update: {
+          id?: string;
+          user_id?: string;
+          label?: string;
+          color?: string;
+          icon?: string;
+          default_time_estimate?: number | null;
+          default_priority?: string | null;
+          sort_order?: number;
+          created_at?: string;
+          updated_at?: string;
+        };
+      };
+      focus_sessions: {
+        Row: {
+          id: string;
+          task_id: string;
+          user_id: string;
+          started_at: string;
+          ended_at: string | null;
+          planned_duration_seconds: number;
+          focused_seconds: number;
+          break_seconds: number;
+          paused_seconds: number;
+          interruptions: number;
+          completed_pomodoros: number;
+          end_reason: 'completed' | 'stopped_early' | 'imported' | null;
+          events: Json;
+          created_at: string;
+        };
+        Insert: {
+          id: string;
+          task_id: string;
+          user_id: string;
+          started_at: string;
+          ended_at?: string | null;
+          planned_duration_seconds?: number;
+          focused_seconds?: number;
+          break_seconds?: number;
+          paused_seconds?: number;
+          interruptions?: number;
+          completed_pomodoros?: number;
+          end_reason?: 'completed' | 'stopped_early' | 'imported' | null;
+          events?: Json;
+          created_at?: string;
+        };
+        Update: {
+          id?: string;
+          task_id?: string;
+          user_id?: string;
+          started_at?: string;
+          ended_at?: string | null;
+          planned_duration_seconds?: number;
+          focused_seconds?: number;
+          break_seconds?: number;
+          paused_seconds?: number;
+          interruptions?: number;
+          completed_pomodoros?: number;
+          end_reason?: 'completed' | 'stopped_early' | 'imported' | null;
+          events?: Json;
+          created_at?: string;
+        };
+      };
       users: {
         Row: {
           id: string;
@@ -18,6 +123,10 @@ export interface Database {
           theme: string;
           current_streak: number;
           longest_streak: number;
+          timezone: string | null;
+          last_streak_day: string | null;
+          streak_freezes: number;
+          equipped_rewards: Json;
           xp_total: number;
           device_tokens: string[] | null;
           last_active: string | null;
@@ -33,6 +142,10 @@ export interface Database {
           theme?: string;
           current_streak?: number;
           longest_streak?: number;
+          timezone?: string | null;
+          last_streak_day?: string | null;
+          streak_freezes?: number;
+          equipped_rewards?: Json;
           xp_total?: number;
           device_tokens?: string[] | null;
           last_active?: string | null;
@@ -48,18 +161,275 @@ export interface Database {
           theme?: string;
           current_streak?: number;
           longest_streak?: number;
+          timezone?: string | null;
+          last_streak_day?: string | null;
+          streak_freezes?: number;
+          equipped_rewards?: Json;
           xp_total?: number;
           device_tokens?: string[] | null;
           last_active?: string | null;
         };
       };
+      reward_offers: {
+        Row: {
+          id: string;
+          partnership_id: string;
+          created_by: string;
+          title: string;
+          description: string | null;
+          xp_cost: number;
+          active: boolean;
+          created_at: string;
+          updated_at: string;
+        };
+        Insert: {
+          id?: string;
+          partnership_id: string;
+          created_by: string;
+          title: string;
+          description?: string | null;
+          xp_cost: number;
+          active?: boolean;
+          created_at?: string;
+          updated_at?: string;
+        };
+        Update: {
+          id?: string;
+          partnership_id?: string;
+          created_by?: string;
+          title?: string;
+          description?: string | null;
+          xp_cost?: number;
+          active?: boolean;
+          created_at?: string;
+          updated_at?: string;
+        };
+      };
+      reward_redemptions: {
+        Row: {
+          id: string;
+          partnership_id: string;
+          offer_id: string | null;
+          redeemed_by: string;
+          title: string;
+          xp_cost: number;
+          status: 'requested' | 'fulfilled';
+          redeemed_at: string;
+          fulfilled_at: string | null;
+        };
+        Insert: {
+          id?: string;
+          partnership_id: string;
+          offer_id?: string | null;
+          redeemed_by: string;
+          title: string;
+          xp_cost: number;
+          status?: 'requested' | 'fulfilled';
+          redeemed_at?: string;
+          fulfilled_at?: string | null;
+        };
+        Update: {
+          id?: string;
+          partnership_id?: string;
+          offer_id?: string | null;
+          redeemed_by?: string;
+          title?: string;
+          xp_cost?: number;
+          status?: 'requested' | 'fulfilled';
+          redeemed_at?: string;
+          fulfilled_at?: string | null;
+        };
+      };
+      reward_unlocks: {
+        Row: {
+          user_id: string;
+          reward_id: string;
+          level: number;
+          unlocked_at: string;
+        };
+        Insert: {
+          user_id: string;
+          reward_id: string;
+          level: number;
+          unlocked_at?: string;
+        };
+        Update: {
+          user_id?: string;
+          reward_id?: string;
+          level?: number;
+          unlocked_at?: string;
+        };
+      };
+      xp_awards: {
+        Row: {
+          user_id: string;
+          source: string;
+          xp: number;
+          awarded_at: string;
+        };
+        Insert: {
+          user_id: string;
+          source: string;
+          xp: number;
+          awarded_at?: string;
+        };
+        Update: {
+          user_id?: string;
+          source?: string;
+          xp?: number;
+          awarded_at?: string;
+        };
+      };
+      achievement_xp: {
+        Row: {
+          achievement_id: string;
+          xp: number;
+        };
+        Insert: {
+          achievement_id: string;
+          xp: number;
+        };
+        Update: {
+          achievement_id?: string;
+          xp?: number;
+        };
+      };
+      check_in_schedules: {
+        Row: {
+          id: string;
+          partnership_id: string;
+          created_by: string;
+          frequency: 'daily' | 'weekdays' | 'weekly';
+          day_of_week: number | null;
+          time_of_day: string;
+          time_zone: string | null;
+          prompt: string | null;
+          active: boolean;
+          next_due_at: string;
+          created_at: string;
+          updated_at: string;
+        };
+        Insert: {
+          id?: string;
+          partnership_id: string;
+          created_by: string;
+          frequency: 'daily' | 'weekdays' | 'weekly';
+          day_of_week?: number | null;
+          time_of_day: string;
+          time_zone?: string | null;
+          prompt?: string | null;
+          active?: boolean;
+          next_due_at: string;
+          created_at?: string;
+          updated_at?: string;
+        };
+        Update: {
+          id?: string;
+          partnership_id?: string;
+          created_by?: string;
+          frequency?: 'daily' | 'weekdays' | 'weekly';
+          day_of_week?: number | null;
+          time_of_day?: string;
+          time_zone?: string | null;
+          prompt?: string | null;
+          active?: boolean;
+          next_due_at?: string;
+          created_at?: string;
+          updated_at?: string;
+        };
+      };
+      check_in_responses: {
+        Row: {
+          id: string;
+          partnership_id: string;
+          schedule_id: string | null;
+          user_id: string;
+          mood: number;
+          energy: number;
+          blockers: string[];
+          note: string | null;
+          responded_at: string;
+        };
+        Insert: {
+          id?: string;
+          partnership_id: string;
+          schedule_id?: string | null;
+          user_id: string;
+          mood: number;
+          energy: number;
+          blockers?: string[];
+          note?: string | null;
+          responded_at?: string;
+        };
+        Update: {
+          id?: string;
+          partnership_id?: string;
+          schedule_id?: string | null;
+          user_id?: string;
+          mood?: number;
+          energy?: number;
+          blockers?: string[];
+          note?: string | null;
+          responded_at?: string;
+        };
+      };
+      deadline_change_requests: {
+        Row: {
+          id: string;
+          task_id: string;
+          requested_by: string;
+          assigned_by: string;
+          task_title: string;
+          current_due_date: string | null;
+          proposed_due_date: string;
+          reason: string;
+          status: 'pending' | 'approved' | 'rejected' | 'countered' | 'accepted' | 'declined';
+          counter_due_date: string | null;
+          response_note: string | null;
+          responded_at: string | null;
+          resolved_at: string | null;
+          created_at: string;
+        };
+        Insert: {
+          id?: string;
+          task_id: string;
+          requested_by: string;
+          assigned_by: string;
+          task_title: string;
+          current_due_date?: string | null;
+          proposed_due_date: string;
+          reason: string;
+          status?: 'pending' | 'approved' | 'rejected' | 'countered' | 'accepted' | 'declined';
+          counter_due_date?: string | null;
+          response_note?: string | null;
+          responded_at?: string | null;
+          resolved_at?: string | null;
+          created_at?: string;
+        };
+        Update: {
+          id?: string;
+          task_id?: string;
+          requested_by?: string;
+          assigned_by?: string;
+          task_title?: string;
+          current_due_date?: string | null;
+          proposed_due_date?: string;
+          reason?: string;
+          status?: 'pending' | 'approved' | 'rejected' | 'countered' | 'accepted' | 'declined';
+          counter_due_date?: string | null;
+          response_note?: string | null;
+          responded_at?: string | null;
+          resolved_at?: string | null;
+          created_at?: string;
+        };
+      };
       tasks: {
         Row: {
           id: string;
           user_id: string;
           title: string;
           description: string | null;
-          category: string;
+          category: string | null;
           priority: 'low' | 'medium' | 'high';
           status: 'pending' | 'in_progress' | 'completed';
           due_date: string | null;
@@ -74,6 +444,18 @@ export interface Database {
           reminder_custom: string | null;
           xp_earned: number;
           streak_contribution: boolean;
+          parent_id: string | null;
+          sort_order: number;
+          recurrence: Json | null;
+          series_id: string | null;
+          inbox: boolean;
+          assignment_status: 'proposed' | 'accepted' | 'declined' | 'renegotiating' | null;
+          assignment_note: string | null;
+          counter_time_estimate: number | null;
+          counter_due_date: string | null;
+          preferred_start_time: string | null;
+          partner_notified: Json;
+          encouragements: Json;
           created_at: string;
           updated_at: string;
         };
@@ -82,7 +464,7 @@ export interface Database {
           user_id: string;
           title: string;
           description?: string | null;
-          category?: string;
+          category?: string | null;
           priority?: 'low' | 'medium' | 'high';
           status?: 'pending' | 'in_progress' | 'completed';
           due_date?: string | null;
@@ -97,6 +479,18 @@ export interface Database {
           reminder_custom?: string | null;
           xp_earned?: number;
           streak_contribution?: boolean;
+          parent_id?: string | null;
+          sort_order?: number;
+          recurrence?: Json | null;
+          series_id?: string | null;
+          inbox?: boolean;
+          assignment_status?: 'proposed' | 'accepted' | 'declined' | 'renegotiating' | null;
+          assignment_note?: string | null;
+          counter_time_estimate?: number | null;
+          counter_due_date?: string | null;
+          preferred_start_time?: string | null;
+          partner_notified?: Json;
+          encouragements?: Json;
           created_at?: string;
           updated_at?: string;
         };
@@ -105,7 +499,7 @@ export interface Database {
           user_id?: string;
           title?: string;
           description?: string | null;
-          category?: string;
+          category?: string | null;
           priority?: 'low' | 'medium' | 'high';
           status?: 'pending' | 'in_progress' | 'completed';
           due_date?: string | null;
@@ -120,6 +514,18 @@ export interface Database {
           reminder_custom?: string | null;
           xp_earned?: number;
           streak_contribution?: boolean;
+          parent_id?: string | null;
+          sort_order?: number;
+          recurrence?: Json | null;
+          series_id?: string | null;
+          inbox?: boolean;
+          assignment_status?: 'proposed' | 'accepted' | 'declined' | 'renegotiating' | null;
+          assignment_note?: string | null;
+          counter_time_estimate?: number | null;
+          counter_due_date?: string | null;
+          preferred_start_time?: string | null;
+          partner_notified?: Json;
+          encouragements?: Json;
           created_at?: string;
           updated_at?: string;
         };
@@ -181,6 +587,7 @@ export interface Database {
           read_at: string | null;
           created_at: string;
           expires_at: string;
+          deliver_at: string | null;
         };
         Insert: {
           id?: string;
@@ -194,6 +601,7 @@ export interface Database {
           read_at?: string | null;
           created_at?: string;
           expires_at?: string;
+          deliver_at?: string | null;
         };
         Update: {
           id?: string;
@@ -207,6 +615,7 @@ export interface Database {
           read_at?: string | null;
           created_at?: string;
           expires_at?: string;
+          deliver_at?: string | null;
         };
       };
     };
@@ -232,6 +641,77 @@ export interface Database {
         Args: Record<string, never>;
         Returns: void;
       };
+      focus_minutes_for_task: {
+        Args: {
+          p_task_id: string;
+        };
+        Returns: number;
+      };
+      get_task_tree: {
+        Args: {
+          root_task_id: string;
+        };
+        Returns: Array<Database['public']['Tables']['tasks']['Row']>;
+      };
+      add_task_encouragement: {
+        Args: {
+          target_task_id: string;
+          encouragement_message: string;
+        };
+        Returns: Json;
+      };
+      delete_category: {
+        Args: {
+          target_category_id: string;
+          reassign_to_category_id: string | null;
+        };
+        Returns: number;
+      };
+      record_streak_day: {
+        Args: {
+          p_day: string;
+        };
+        Returns: Array<{
+          current_streak: number;
+          longest_streak: number;
+          last_streak_day: string | null;
+          streak_freezes: number;
+        }>;
+      };
+      import_streak: {
+        Args: {
+          p_current: number;
+          p_longest: number;
+          p_last_day: string;
+        };
+        Returns: Array<{
+          current_streak: number;
+          longest_streak: number;
+          last_streak_day: string | null;
+          streak_freezes: number;
+        }>;
+      };
+      award_xp: {
+        Args: {
+          p_source: string;
+        };
+        Returns: number;
+      };
+      redeem_reward: {
+        Args: {
+          p_offer_id: string;
+        };
+        Returns: Database['public']['Tables']['reward_redemptions']['Row'];
+      };
+      answer_deadline_change: {
+        Args: {
+          p_request_id: string;
+          p_status: string;
+          p_note?: string | null;
+          p_counter_due_date?: string | null;
+        };
+        Returns: Database['public']['Tables']['deadline_change_requests']['Row'];
+      };
     };
     Enums: Record<string, never>;
     CompositeTypes: Record<string, never>;
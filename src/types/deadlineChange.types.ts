@@ -0,0 +1,33 @@
+// ABOUTME: TypeScript type definitions for deadline change requests on assigned tasks
+// The assignee proposes a new due date with a reason; the assigner approves, rejects or suggests another date
+
+// pending -> approved | rejected | countered, then countered -> accepted | declined
+export type DeadlineChangeStatus =
+  | 'pending'
+  | 'approved'
+  | 'rejected'
+  | 'countered'
+  | 'accepted'
+  | 'declined';
+
+export interface DeadlineChangeRequest {
+  id: string;
+  taskId: string;
+  taskTitle: string;
+  requestedBy: string; // The assignee
+  assignedBy: string; // Who answers the request
+  currentDueDate: Date | null; // The due date when the request was made
+  proposedDueDate: Date;
+  reason: string;
+  status: DeadlineChangeStatus;
+  counterDueDate: Date | null; // Set when the assigner suggests another date
+  responseNote: string | null;
+  respondedAt: Date | null; // When the assigner answered
+  resolvedAt: Date | null; // When the assignee answered a suggested date
+  createdAt: Date;
+}
+
+export interface DeadlineChangeRequestInput {
+  proposedDueDate: Date;
+  reason: string;
+}
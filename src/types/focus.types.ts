@@ -0,0 +1,39 @@
+// ABOUTME: TypeScript type definitions for focus sessions logged in Hyperfocus mode
+// Includes FocusSession, its events and the time summary derived from them
+
+export type FocusEventType =
+  | 'start'
+  | 'pause'
+  | 'resume'
+  | 'interruption'
+  | 'pomodoro_complete'
+  | 'break_start'
+  | 'break_end'
+  | 'stop';
+
+export interface FocusEvent {
+  type: FocusEventType;
+  at: Date;
+}
+
+// 'imported' sessions hold time logged before sessions were recorded
+export type FocusSessionEndReason = 'completed' | 'stopped_early' | 'imported';
+
+export interface FocusSessionSummary {
+  focusedSeconds: number;
+  breakSeconds: number;
+  pausedSeconds: number;
+  interruptions: number;
+  completedPomodoros: number;
+}
+
+export interface FocusSession extends FocusSessionSummary {
+  id: string;
+  taskId: string;
+  userId: string;
+  startedAt: Date;
+  endedAt: Date | null; // null while the session is running
+  plannedDuration: number; // Pomodoro length in seconds
+  endReason: FocusSessionEndReason | null;
+  events: FocusEvent[];
+}
@@ -3,6 +3,13 @@
 
 export * from './user.types';
 export * from './task.types';
+export * from './focus.types';
+export * from './achievement.types';
+export * from './level.types';
+export * from './reward.types';
+export * from './bodyDoubling.types';
+export * from './checkIn.types';
+export * from './deadlineChange.types';
 export * from './notification.types';
 export * from './router.types'; // New Expo Router types
 export * from './common.types'; // Generic Result<T>, ErrorResponse, validation types
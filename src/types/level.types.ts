@@ -0,0 +1,57 @@
+// ABOUTME: TypeScript type definitions for XP levels and the cosmetic rewards they unlock
+// Includes level progress, the reward catalog entry shapes and per-user unlock records
+
+export interface LevelProgress {
+  level: number;
+  totalXP: number;
+  levelStartXP: number; // Total XP that reached the current level
+  nextLevelXP: number | null; // Total XP needed for the next level, null at the top
+  fraction: number; // 0 to 1 through the current level
+}
+
+export type CosmeticKind = 'theme' | 'celebration' | 'timerSkin';
+
+interface CosmeticRewardBase {
+  id: string; // Stable, stored in reward_unlocks
+  title: string;
+  level: number; // Unlocks on reaching this level
+}
+
+export interface ThemeReward extends CosmeticRewardBase {
+  kind: 'theme';
+  accentColor: string;
+}
+
+export interface CelebrationReward extends CosmeticRewardBase {
+  kind: 'celebration';
+  animation: 'confetti' | 'stars' | 'emoji';
+  emoji?: string;
+}
+
+export interface TimerSkinReward extends CosmeticRewardBase {
+  kind: 'timerSkin';
+  ringColor: string;
+  textColor: string;
+}
+
+export type CosmeticReward = ThemeReward | CelebrationReward | TimerSkinReward;
+
+// The reward in use for each kind
+export type EquippedCosmetics = { [K in CosmeticKind]: Extract<CosmeticReward, { kind: K }> };
+
+export interface RewardUnlock {
+  rewardId: string;
+  level: number; // The level the user had reached when it unlocked
+  unlockedAt: Date;
+}
+
+export interface CosmeticRewardStatus {
+  reward: CosmeticReward;
+  unlockedAt: Date | null;
+  equipped: boolean;
+}
+
+export interface LevelUp {
+  level: number;
+  rewards: CosmeticReward[]; // Unlocked on the way to this level
+}
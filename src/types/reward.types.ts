@@ -0,0 +1,35 @@
+// ABOUTME: TypeScript type definitions for real-world rewards a partner offers for XP
+// Includes the offers in a partnership's rewards store and the redemptions made from it
+
+export interface RewardOffer {
+  id: string;
+  partnershipId: string;
+  createdBy: string; // The accountability partner
+  title: string; // e.g. "Movie night"
+  description: string | null;
+  xpCost: number;
+  active: boolean; // Retired offers stay so past redemptions keep their history
+  createdAt: Date;
+}
+
+// Requested by the ADHD user, fulfilled once the partner confirms it happened
+export type RedemptionStatus = 'requested' | 'fulfilled';
+
+export interface RewardRedemption {
+  id: string;
+  partnershipId: string;
+  offerId: string | null;
+  redeemedBy: string;
+  // Copied from the offer, so editing or retiring it never rewrites history
+  title: string;
+  xpCost: number;
+  status: RedemptionStatus;
+  redeemedAt: Date;
+  fulfilledAt: Date | null;
+}
+
+export interface RewardOfferInput {
+  title: string;
+  description?: string | null;
+  xpCost: number;
+}
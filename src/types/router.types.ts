@@ -21,6 +21,24 @@ export interface RouteParams {
   '/profile/partnership/assign': {
     taskId?: string;
   };
+  // Opened from a scheduled check-in so the answer is linked to it
+  '/profile/partnership/check-ins': {
+    scheduleId?: string;
+  };
+  // Opened from a deadline change notification to answer the request
+  '/profile/partnership/deadline-request': {
+    requestId: string;
+  };
+
+  // Body doubling: joins the session when given, otherwise offers to start one
+  '/body-doubling': {
+    sessionId?: string;
+  };
+
+  // Category routes
+  '/profile/categories/edit': {
+    id?: string; // Omitted when creating a category
+  };
 }
 
 // Type-safe route paths
@@ -31,13 +49,24 @@ export type AppRoutes =
   | '/(tabs)/hyperfocus'
   | '/(tabs)/scattered'
   | '/profile'
+  | '/profile/notifications'
+  | '/profile/insights'
+  | '/profile/achievements'
+  | '/profile/rewards'
+  | '/profile/categories'
+  | '/profile/categories/edit'
   | '/profile/partnership'
   | '/profile/partnership/invite'
   | '/profile/partnership/dashboard'
   | '/profile/partnership/assign'
+  | '/profile/partnership/rewards'
+  | '/profile/partnership/check-ins'
+  | '/profile/partnership/deadline-request'
   | '/task/create'
+  | '/task/brain-dump'
   | '/task/[id]'
-  | '/notifications';
+  | '/notifications'
+  | '/body-doubling';
 
 // Helper type for route params
 export type RouteParamsFor<T extends keyof RouteParams> = RouteParams[T];
@@ -14,11 +14,29 @@ export enum TaskPriority {
   URGENT = 'urgent',
 }
 
+export enum RecurrenceFrequency {
+  DAILY = 'daily',
+  WEEKDAYS = 'weekdays',
+  EVERY_N_DAYS = 'every_n_days',
+  MONTHLY = 'monthly',
+  AFTER_COMPLETION = 'after_completion',
+}
+
+export interface RecurrenceRule {
+  frequency: RecurrenceFrequency;
+  interval: number; // Days between occurrences for EVERY_N_DAYS and AFTER_COMPLETION
+  dayOfMonth: number | null; // 1-31, only used by MONTHLY
+}
+
 export interface TaskCategory {
   id: string;
   label: string;
   color: string;
   icon: string;
+  // Applied to new tasks created in this category
+  defaultTimeEstimate?: number | null; // in minutes
+  defaultPriority?: TaskPriority | null;
+  sortOrder?: number;
 }
 
 export interface TimePreset {
@@ -26,6 +44,21 @@ export interface TimePreset {
   label: string;
 }
 
+export interface RecurrencePreset {
+  id: string;
+  label: string;
+  frequency: RecurrenceFrequency | null; // null means the task doesn't repeat
+  interval: number;
+  customizable?: 'interval' | 'dayOfMonth'; // The part of the rule the user fills in
+}
+
+export interface ReminderPreset {
+  id: string;
+  label: string;
+  minutesFromNow: number | null;
+  hourTomorrow: number | null; // Used when minutesFromNow is null
+}
+
 export interface PartnerNotificationStatus {
   onStart: boolean;
   onComplete: boolean;
@@ -38,6 +71,16 @@ export interface TaskEncouragement {
   timestamp: Date;
 }
 
+// proposed -> accepted | declined | renegotiating, then renegotiating -> accepted | proposed
+export type AssignmentStatus = 'proposed' | 'accepted' | 'declined' | 'renegotiating';
+
+// What the assignee suggests instead of the proposed estimate or due date
+export interface AssignmentCounterProposal {
+  timeEstimate?: number | null; // in minutes
+  dueDate?: Date | null;
+  note?: string;
+}
+
 export interface Task {
   id: string;
   title: string;
@@ -62,6 +105,33 @@ export interface Task {
   partnerNotified: PartnerNotificationStatus;
   encouragementReceived: TaskEncouragement[];
   userId: string | null; // User ID who owns the task
+  // Task breakdown fields
+  parentId: string | null; // ID of the parent task when this task is a step
+  sortOrder: number; // Position among sibling steps (ascending)
+  // Recurrence fields
+  recurrence: RecurrenceRule | null;
+  seriesId: string | null; // ID of the first task in a recurring series
+  // Reminder fields: two quick reminders and one picked by hand
+  reminder1: Date | null;
+  reminder2: Date | null;
+  reminderCustom: Date | null;
+  // Captured in a brain dump and still waiting to be sorted
+  inbox: boolean;
+  // Whether the assignee took the task on; null for tasks nobody assigned
+  assignmentStatus: AssignmentStatus | null;
+  assignmentNote: string | null; // Decline reason or renegotiation note
+  counterTimeEstimate: number | null; // in minutes, suggested while renegotiating
+  counterDueDate: Date | null; // Suggested while renegotiating
+}
+
+export interface TaskTreeNode {
+  task: Task;
+  children: TaskTreeNode[];
+}
+
+export interface SubtaskProgress {
+  completed: number;
+  total: number;
 }
 
 // Task categories constant
@@ -86,6 +156,33 @@ export const TASK_CATEGORIES: Record<string, TaskCategory> = {
   },
 };
 
+// Choices offered when creating or editing a category
+export const CATEGORY_COLORS: string[] = [
+  '#FF6B6B',
+  '#4ECDC4',
+  '#45B7D1',
+  '#F7B731',
+  '#A55EEA',
+  '#26DE81',
+  '#FD9644',
+  '#778CA3',
+];
+
+export const CATEGORY_ICONS: string[] = [
+  '🏠',
+  '💼',
+  '👤',
+  '📚',
+  '💪',
+  '🛒',
+  '💊',
+  '💰',
+  '🎨',
+  '🐾',
+  '🚗',
+  '⭐',
+];
+
 // Time presets constant
 export const TIME_PRESETS: TimePreset[] = [
   { minutes: 5, label: '5 min' },
@@ -95,12 +192,49 @@ export const TIME_PRESETS: TimePreset[] = [
   { minutes: null, label: 'Custom' },
 ];
 
+// Recurrence presets constant
+export const RECURRENCE_PRESETS: RecurrencePreset[] = [
+  { id: 'none', label: 'Never', frequency: null, interval: 1 },
+  { id: 'daily', label: 'Daily', frequency: RecurrenceFrequency.DAILY, interval: 1 },
+  { id: 'weekdays', label: 'Weekdays', frequency: RecurrenceFrequency.WEEKDAYS, interval: 1 },
+  { id: 'weekly', label: 'Weekly', frequency: RecurrenceFrequency.EVERY_N_DAYS, interval: 7 },
+  {
+    id: 'every_n_days',
+    label: 'Every few days',
+    frequency: RecurrenceFrequency.EVERY_N_DAYS,
+    interval: 2,
+    customizable: 'interval',
+  },
+  {
+    id: 'monthly',
+    label: 'Monthly',
+    frequency: RecurrenceFrequency.MONTHLY,
+    interval: 1,
+    customizable: 'dayOfMonth',
+  },
+  {
+    id: 'after_3_days',
+    label: '3 days after done',
+    frequency: RecurrenceFrequency.AFTER_COMPLETION,
+    interval: 3,
+  },
+];
+
+// Reminder presets constant
+export const REMINDER_PRESETS: ReminderPreset[] = [
+  { id: 'in_15_min', label: 'In 15 min', minutesFromNow: 15, hourTomorrow: null },
+  { id: 'in_1_hour', label: 'In 1 hour', minutesFromNow: 60, hourTomorrow: null },
+  { id: 'in_3_hours', label: 'In 3 hours', minutesFromNow: 180, hourTomorrow: null },
+  { id: 'tomorrow_morning', label: 'Tomorrow 9am', minutesFromNow: null, hourTomorrow: 9 },
+];
+
 // Reward points constants
 export const REWARD_POINTS = {
   TASK_COMPLETION: 10,
   STREAK_BONUS: 5,
   TIME_ESTIMATE_ACCURATE: 15,
   CATEGORY_COMPLETION: 20,
+  TASK_BREAKDOWN_BONUS: 5,
 } as const;
 
 // Type guards
@@ -17,12 +17,19 @@ export enum PartnershipStatus {
 
 export enum NotificationTypes {
   TASK_ASSIGNED = 'task_assigned',
+  TASK_PROPOSED = 'task_proposed',
+  TASK_ASSIGNMENT_RESPONSE = 'task_assignment_response',
   TASK_STARTED = 'task_started',
   TASK_COMPLETED = 'task_completed',
   TASK_OVERDUE = 'task_overdue',
   ENCOURAGEMENT = 'encouragement',
   CHECK_IN = 'check_in',
+  CHECK_IN_RESPONSE = 'check_in_response',
   DEADLINE_CHANGE_REQUEST = 'deadline_change_request',
+  DEADLINE_CHANGE_RESPONSE = 'deadline_change_response',
+  REWARD_REDEEMED = 'reward_redeemed',
+  REWARD_FULFILLED = 'reward_fulfilled',
+  BODY_DOUBLING_INVITE = 'body_doubling_invite',
 }
 
 export enum NotificationPreference {
@@ -67,6 +74,7 @@ export interface User {
   updatedAt: Date;
   lastActiveAt: Date;
   theme?: string; // Optional theme preference (e.g., 'system', 'light', 'dark')
+  timeZone?: string | null; // IANA zone the user's days and quiet hours follow, e.g. 'Europe/London'
 }
 
 export interface PartnershipSettings {
@@ -0,0 +1,200 @@
+// ABOUTME: The achievements catalog and the rules that decide when each one unlocks
+// Each achievement is a metric and a target, so adding one is a new catalog entry rather than new code
+
+import type { Task } from '../types/task.types';
+import type {
+  AchievementDefinition,
+  AchievementProgress,
+  AchievementStats,
+  AchievementUnlock,
+} from '../types/achievement.types';
+import { isEstimateAccurate } from './EstimateCalibrationModel';
+
+// Ids are stored with each unlock, so never rename or reuse one
+export const ACHIEVEMENTS: AchievementDefinition[] = [
+  {
+    id: 'first_task',
+    title: 'First Step',
+    description: 'Complete your first task',
+    icon: '🌱',
+    xp: 20,
+    metric: 'tasksCompleted',
+    target: 1,
+  },
+  {
+    id: 'tasks_10',
+    title: 'Getting Going',
+    description: 'Complete 10 tasks',
+    icon: '🚀',
+    xp: 30,
+    metric: 'tasksCompleted',
+    target: 10,
+  },
+  {
+    id: 'tasks_50',
+    title: 'Unstoppable',
+    description: 'Complete 50 tasks',
+    icon: '🏔️',
+    xp: 75,
+    metric: 'tasksCompleted',
+    target: 50,
+  },
+  {
+    id: 'streak_3',
+    title: 'On a Roll',
+    description: 'Reach a 3 day streak',
+    icon: '🔥',
+    xp: 30,
+    metric: 'bestStreak',
+    target: 3,
+  },
+  {
+    id: 'streak_7',
+    title: 'Week Warrior',
+    description: 'Reach a 7 day streak',
+    icon: '⚡',
+    xp: 50,
+    metric: 'bestStreak',
+    target: 7,
+  },
+  {
+    id: 'streak_30',
+    title: 'Habit Formed',
+    description: 'Reach a 30 day streak',
+    icon: '🏆',
+    xp: 150,
+    metric: 'bestStreak',
+    target: 30,
+  },
+  {
+    id: 'xp_100',
+    title: 'Century',
+    description: 'Earn 100 XP',
+    icon: '💯',
+    xp: 25,
+    metric: 'totalXP',
+    target: 100,
+  },
+  {
+    id: 'xp_1000',
+    title: 'XP Hoarder',
+    description: 'Earn 1,000 XP',
+    icon: '💎',
+    xp: 100,
+    metric: 'totalXP',
+    target: 1000,
+  },
+  {
+    id: 'estimates_5',
+    title: 'Time Keeper',
+    description: 'Finish 5 tasks within 10% of your estimate',
+    icon: '⏱️',
+    xp: 40,
+    metric: 'accurateEstimates',
+    target: 5,
+  },
+  {
+    id: 'breakdown_5',
+    title: 'Chunk It Down',
+    description: 'Finish 5 tasks you broke into steps',
+    icon: '🧩',
+    xp: 40,
+    metric: 'tasksBrokenDown',
+    target: 5,
+  },
+  {
+    id: 'on_time_10',
+    title: 'Ahead of Time',
+    description: 'Finish 10 tasks before their deadline',
+    icon: '📅',
+    xp: 50,
+    metric: 'onTimeFinishes',
+    target: 10,
+  },
+];
+
+export const getAchievement = (id: string): AchievementDefinition | undefined => {
+  return ACHIEVEMENTS.find((achievement) => achievement.id === id);
+};
+
+/**
+ * Work out every metric from the user's tasks. Steps count towards XP but not
+ * as tasks of their own, so breaking a task down doesn't inflate the counts.
+ */
+export const getAchievementStats = (
+  tasks: Task[],
+  { bestStreak = 0 }: { bestStreak?: number } = {},
+): AchievementStats => {
+  const completed = tasks.filter((task) => task.completed);
+  const finished = completed.filter((task) => !task.parentId);
+  const parentIds = new Set(tasks.map((task) => task.parentId).filter(Boolean));
+
+  return {
+    tasksCompleted: finished.length,
+    bestStreak,
+    totalXP: completed.reduce((sum, task) => sum + (task.xpEarned ?? 0), 0),
+    accurateEstimates: finished.filter(isEstimateAccurate).length,
+    tasksBrokenDown: finished.filter((task) => parentIds.has(task.id)).length,
+    onTimeFinishes: finished.filter(
+      (task) => task.dueDate && task.completedAt && task.completedAt <= task.dueDate,
+    ).length,
+  };
+};
+
+/**
+ * Achievements the stats have reached that aren't unlocked yet. Already
+ * unlocked ones are never returned, so evaluating again is harmless.
+ */
+export const findNewUnlocks = (
+  stats: AchievementStats,
+  unlockedIds: Iterable<string>,
+): AchievementDefinition[] => {
+  const unlocked = new Set(unlockedIds);
+  return ACHIEVEMENTS.filter(
+    (achievement) =>
+      !unlocked.has(achievement.id) && stats[achievement.metric] >= achievement.target,
+  );
+};
+
+/**
+ * Every achievement with how far along the user is, unlocked ones first
+ * (most recent first), then locked ones closest to unlocking
+ */
+export const getAchievementProgress = (
+  stats: AchievementStats,
+  unlocks: AchievementUnlock[],
+): AchievementProgress[] => {
+  const unlockedAt = new Map(unlocks.map((unlock) => [unlock.achievementId, unlock.unlockedAt]));
+
+  return ACHIEVEMENTS.map((achievement) => {
+    const unlockDate = unlockedAt.get(achievement.id) ?? null;
+    const current = unlockDate
+      ? achievement.target
+      : Math.min(achievement.target, stats[achievement.metric]);
+    return {
+      achievement,
+      current,
+      fraction: current / achievement.target,
+      unlockedAt: unlockDate,
+    };
+  }).sort((a, b) => {
+    if (a.unlockedAt && b.unlockedAt) return b.unlockedAt.getTime() - a.unlockedAt.getTime();
+    if (a.unlockedAt || b.unlockedAt) return a.unlockedAt ? -1 : 1;
+    return b.fraction - a.fraction;
+  });
+};
+
+/**
+ * Keep the earliest unlock of each achievement, e.g. when one device unlocked
+ * it offline and another already had
+ */
+export const mergeAchievementUnlocks = (...lists: AchievementUnlock[][]): AchievementUnlock[] => {
+  const merged = new Map<string, AchievementUnlock>();
+  for (const unlock of lists.flat()) {
+    const existing = merged.get(unlock.achievementId);
+    if (!existing || unlock.unlockedAt < existing.unlockedAt) {
+      merged.set(unlock.achievementId, unlock);
+    }
+  }
+  return [...merged.values()];
+};
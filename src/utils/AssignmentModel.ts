@@ -0,0 +1,163 @@
+// ABOUTME: Assignment proposal utilities: who answers a proposed task, validating declines and counter proposals
+// Also applies each answer to the task, so an assigned task only counts once the assignee takes it on
+
+import type { AssignmentCounterProposal, AssignmentStatus, Task } from '../types/task.types';
+import type { ValidationResult } from './UserModel';
+import { updateTask } from './TaskModel';
+
+export const MAX_ASSIGNMENT_NOTE_LENGTH = 500;
+
+// Proposals still waiting on someone: the assignee for proposed, the assigner for renegotiating
+export const PENDING_ASSIGNMENT_STATUSES: AssignmentStatus[] = ['proposed', 'renegotiating'];
+
+const STATUS_LABELS: Record<AssignmentStatus, string> = {
+  proposed: 'Waiting for an answer',
+  accepted: 'Accepted',
+  declined: 'Declined',
+  renegotiating: 'Changes suggested',
+};
+
+const isValidDate = (value: unknown): value is Date =>
+  value instanceof Date && !Number.isNaN(value.getTime());
+
+const sameTime = (a: Date | null, b: Date | null): boolean =>
+  (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+export const isPendingAssignment = (task: Pick<Task, 'assignmentStatus'>): boolean =>
+  task.assignmentStatus !== null && PENDING_ASSIGNMENT_STATUSES.includes(task.assignmentStatus);
+
+/**
+ * Tasks nobody assigned, and assigned tasks the assignee took on, are part of the assignee's work
+ */
+export const isActiveAssignment = (task: Pick<Task, 'assignmentStatus'>): boolean =>
+  task.assignmentStatus === null || task.assignmentStatus === 'accepted';
+
+/**
+ * Only the assignee answers a proposal, and only while it is still proposed
+ */
+export const canAnswerProposal = (task: Task, userId: string): boolean =>
+  task.assignmentStatus === 'proposed' &&
+  task.assignedTo === userId &&
+  Boolean(task.assignedBy) &&
+  task.assignedBy !== userId;
+
+/**
+ * Only the assigner answers the changes the assignee suggested
+ */
+export const canAnswerRenegotiation = (task: Task, userId: string): boolean =>
+  task.assignmentStatus === 'renegotiating' && task.assignedBy === userId;
+
+export const validateDeclineReason = (reason: string | null | undefined): ValidationResult => {
+  const errors: string[] = [];
+  const trimmed = reason?.trim() ?? '';
+
+  if (trimmed.length === 0) {
+    errors.push("Let your partner know why you can't take this on");
+  } else if (trimmed.length > MAX_ASSIGNMENT_NOTE_LENGTH) {
+    errors.push(`Reason must not exceed ${MAX_ASSIGNMENT_NOTE_LENGTH} characters`);
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * A counter proposal has to change the estimate or the due date; the note is optional
+ */
+export const validateCounterProposal = (
+  counter: AssignmentCounterProposal,
+  task: Pick<Task, 'timeEstimate' | 'dueDate'>,
+  now: Date = new Date(),
+): ValidationResult => {
+  const errors: string[] = [];
+  const { timeEstimate, dueDate } = counter;
+
+  if (
+    timeEstimate !== undefined &&
+    timeEstimate !== null &&
+    (!Number.isInteger(timeEstimate) || timeEstimate <= 0)
+  ) {
+    errors.push('Time estimate must be a positive number of minutes');
+  }
+  if (dueDate !== undefined && dueDate !== null) {
+    if (!isValidDate(dueDate)) {
+      errors.push('Pick a valid due date');
+    } else if (dueDate.getTime() <= now.getTime()) {
+      errors.push('The new due date must be in the future');
+    }
+  }
+
+  const changesEstimate =
+    timeEstimate !== undefined && timeEstimate !== null && timeEstimate !== task.timeEstimate;
+  const changesDueDate =
+    dueDate !== undefined && dueDate !== null && !sameTime(dueDate, task.dueDate);
+  if (!changesEstimate && !changesDueDate) {
+    errors.push('Suggest a different time estimate or due date');
+  }
+
+  const note = counter.note?.trim() ?? '';
+  if (note.length > MAX_ASSIGNMENT_NOTE_LENGTH) {
+    errors.push(`Note must not exceed ${MAX_ASSIGNMENT_NOTE_LENGTH} characters`);
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+export const getAssignmentStatusLabel = (status: AssignmentStatus): string => STATUS_LABELS[status];
+
+export const acceptAssignment = (task: Task): Task =>
+  updateTask(task, {
+    assignmentStatus: 'accepted',
+    assignmentNote: null,
+    counterTimeEstimate: null,
+    counterDueDate: null,
+  });
+
+export const declineAssignment = (task: Task, reason: string): Task =>
+  updateTask(task, {
+    assignmentStatus: 'declined',
+    assignmentNote: reason.trim(),
+    counterTimeEstimate: null,
+    counterDueDate: null,
+  });
+
+/**
+ * Unchanged values are left off the counter proposal so only the real changes are shown
+ */
+export const renegotiateAssignment = (task: Task, counter: AssignmentCounterProposal): Task => {
+  const note = counter.note?.trim() ?? '';
+  return updateTask(task, {
+    assignmentStatus: 'renegotiating',
+    assignmentNote: note.length > 0 ? note : null,
+    counterTimeEstimate:
+      counter.timeEstimate && counter.timeEstimate !== task.timeEstimate
+        ? counter.timeEstimate
+        : null,
+    counterDueDate:
+      counter.dueDate && !sameTime(counter.dueDate, task.dueDate) ? counter.dueDate : null,
+  });
+};
+
+/**
+ * The assigner takes the suggested estimate and date. Moving the due date re-arms the overdue alert.
+ */
+export const acceptCounterProposal = (task: Task): Task => {
+  const dueDate = task.counterDueDate ?? task.dueDate;
+  return updateTask(acceptAssignment(task), {
+    timeEstimate: task.counterTimeEstimate ?? task.timeEstimate,
+    dueDate,
+    partnerNotified: sameTime(dueDate, task.dueDate)
+      ? task.partnerNotified
+      : { ...task.partnerNotified, onOverdue: false },
+  });
+};
+
+/**
+ * The assigner keeps the original plan, which goes back to the assignee as a proposal
+ */
+export const keepOriginalAssignment = (task: Task): Task =>
+  updateTask(task, {
+    assignmentStatus: 'proposed',
+    assignmentNote: null,
+    counterTimeEstimate: null,
+    counterDueDate: null,
+  });
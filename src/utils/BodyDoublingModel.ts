@@ -0,0 +1,115 @@
+// ABOUTME: Shared Pomodoro timer rules for body doubling sessions
+// Every device works out the same phase and countdown from the timer it last received
+
+import type { SharedTimer } from '../types/bodyDoubling.types';
+
+export const WORK_SECONDS = 25 * 60;
+export const BREAK_SECONDS = 5 * 60;
+export const MAX_REACTIONS = 20;
+
+export const BODY_DOUBLING_REACTIONS: readonly string[] = ['👋', '💪', '🎉', '☕', '❤️'];
+
+export const generateSessionId = (): string => {
+  return `body_doubling_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+};
+
+export const createSharedTimer = (userId: string, now: number): SharedTimer => {
+  return {
+    phase: 'work',
+    endsAt: null,
+    remainingSeconds: WORK_SECONDS,
+    round: 1,
+    updatedAt: now,
+    updatedBy: userId,
+  };
+};
+
+export const getSharedTimeLeft = (timer: SharedTimer, now: number): number => {
+  if (timer.endsAt === null) return timer.remainingSeconds;
+  return Math.max(0, Math.ceil((timer.endsAt - now) / 1000));
+};
+
+/**
+ * Moves a running timer past any phases that have run out. A finished work
+ * phase rolls straight into its break; a finished break stops on the next
+ * work phase so nobody is pulled back in before they are ready.
+ */
+export const settleSharedTimer = (timer: SharedTimer, now: number): SharedTimer => {
+  let settled = timer;
+
+  while (settled.endsAt !== null && settled.endsAt <= now) {
+    settled =
+      settled.phase === 'work'
+        ? {
+            ...settled,
+            phase: 'break',
+            endsAt: settled.endsAt + BREAK_SECONDS * 1000,
+            remainingSeconds: BREAK_SECONDS,
+          }
+        : {
+            ...settled,
+            phase: 'work',
+            endsAt: null,
+            remainingSeconds: WORK_SECONDS,
+            round: settled.round + 1,
+          };
+  }
+
+  return settled;
+};
+
+export const startSharedTimer = (timer: SharedTimer, userId: string, now: number): SharedTimer => {
+  const settled = settleSharedTimer(timer, now);
+  if (settled.endsAt !== null) return settled;
+
+  return {
+    ...settled,
+    endsAt: now + settled.remainingSeconds * 1000,
+    updatedAt: now,
+    updatedBy: userId,
+  };
+};
+
+export const pauseSharedTimer = (timer: SharedTimer, userId: string, now: number): SharedTimer => {
+  const settled = settleSharedTimer(timer, now);
+  if (settled.endsAt === null) return settled;
+
+  return {
+    ...settled,
+    endsAt: null,
+    remainingSeconds: getSharedTimeLeft(settled, now),
+    updatedAt: now,
+    updatedBy: userId,
+  };
+};
+
+/**
+ * Stops the countdown and sets the current phase back to its full length
+ */
+export const resetSharedTimer = (timer: SharedTimer, userId: string, now: number): SharedTimer => {
+  const settled = settleSharedTimer(timer, now);
+
+  return {
+    ...settled,
+    endsAt: null,
+    remainingSeconds: settled.phase === 'work' ? WORK_SECONDS : BREAK_SECONDS,
+    updatedAt: now,
+    updatedBy: userId,
+  };
+};
+
+/**
+ * Picks the timer to keep when another participant's copy arrives. Ties on
+ * updatedAt fall to the user id so every device makes the same choice.
+ */
+export const pickNewerTimer = (
+  current: SharedTimer | null,
+  incoming: SharedTimer | null,
+): SharedTimer | null => {
+  if (!incoming) return current;
+  if (!current) return incoming;
+  if (incoming.updatedAt !== current.updatedAt) {
+    return incoming.updatedAt > current.updatedAt ? incoming : current;
+  }
+  return incoming.updatedBy > current.updatedBy ? incoming : current;
+};
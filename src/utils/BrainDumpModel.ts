@@ -0,0 +1,119 @@
+// ABOUTME: Brain-dump utilities that turn a wall of text into candidate tasks
+// Splits text into items, flags duplicates and builds tasks, sending untriaged ones to the inbox
+
+import type { Task, TaskCategory, TaskPriority } from '../types/task.types';
+import { createTask } from './TaskModel';
+import { applyCategoryDefaults, findCategory } from './CategoryModel';
+import { parseQuickCapture } from './QuickCaptureParser';
+import type { QuickCaptureOptions } from './QuickCaptureParser';
+
+// Keeps a runaway paste from creating hundreds of tasks in one go
+export const MAX_BRAIN_DUMP_ITEMS = 50;
+
+export interface BrainDumpItem {
+  key: string;
+  title: string;
+  category: string | null;
+  timeEstimate: number | null; // in minutes
+  dueDate: Date | null;
+  priority: TaskPriority | null;
+  // Same as an earlier item or a task that is still open
+  duplicate: boolean;
+  included: boolean;
+}
+
+export interface BrainDumpOptions extends QuickCaptureOptions {
+  existingTasks?: Task[];
+}
+
+// "- ", "* ", "• ", "1. ", "2) " and "[ ] " at the start of a line
+const BULLET_PATTERN = /^\s*(?:[-*•·+]|\d{1,3}[.)]|\[[ xX]?\])\s+/;
+
+// Commas and semicolons separate items, except in numbers ("1,5") and dates ("March 14, 2026")
+const SEPARATOR_PATTERN = /;|,(?!\d)(?!\s*\d{4}\b)/;
+
+export const splitBrainDump = (text: string): string[] => {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.replace(BULLET_PATTERN, ''))
+    .flatMap((line) => line.split(SEPARATOR_PATTERN))
+    .map((part) => part.trim())
+    .filter((part) => part.length > 0);
+};
+
+// Case, punctuation and spacing don't make two tasks different
+const normalizeTitle = (title: string): string => {
+  return title
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+export const createBrainDumpItems = (
+  text: string,
+  options: BrainDumpOptions = {},
+): BrainDumpItem[] => {
+  const { existingTasks = [], ...parseOptions } = options;
+  const seen = new Set(
+    existingTasks.filter((task) => !task.completed).map((task) => normalizeTitle(task.title)),
+  );
+
+  const items: BrainDumpItem[] = [];
+  for (const part of splitBrainDump(text)) {
+    if (items.length >= MAX_BRAIN_DUMP_ITEMS) break;
+
+    const parsed = parseQuickCapture(part, parseOptions);
+    if (!parsed.title) continue;
+
+    const normalized = normalizeTitle(parsed.title);
+    const duplicate = seen.has(normalized);
+    seen.add(normalized);
+
+    items.push({
+      key: `item_${items.length}`,
+      title: parsed.title,
+      category: parsed.category,
+      timeEstimate: parsed.timeEstimate,
+      dueDate: parsed.dueDate,
+      priority: parsed.priority,
+      duplicate,
+      included: !duplicate,
+    });
+  }
+
+  return items;
+};
+
+/**
+ * An item counts as triaged once it has a category or an estimate; the rest
+ * land in the inbox to be sorted later.
+ */
+export const isTriaged = (item: Pick<BrainDumpItem, 'category' | 'timeEstimate'>): boolean => {
+  return item.category !== null || item.timeEstimate !== null;
+};
+
+export const buildBrainDumpTasks = (
+  items: BrainDumpItem[],
+  userId: string,
+  categories: TaskCategory[] = [],
+): Task[] => {
+  return items
+    .filter((item) => item.included && item.title.trim())
+    .map((item) =>
+      createTask(
+        applyCategoryDefaults(
+          {
+            title: item.title.trim(),
+            category: item.category,
+            timeEstimate: item.timeEstimate,
+            dueDate: item.dueDate,
+            ...(item.priority && { priority: item.priority }),
+            userId,
+            inbox: !isTriaged(item),
+          },
+          findCategory(categories, item.category),
+        ),
+      ),
+    );
+};
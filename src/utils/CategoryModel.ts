@@ -0,0 +1,135 @@
+// ABOUTME: Category model utilities for user-defined task categories
+// Creates and validates categories, looks them up and applies their defaults to new tasks
+
+import type { Task, TaskCategory } from '../types/task.types';
+import {
+  TaskPriority,
+  TASK_CATEGORIES,
+  CATEGORY_COLORS,
+  CATEGORY_ICONS,
+} from '../types/task.types';
+import type { ValidationResult } from './UserModel';
+
+export const MAX_CATEGORY_LABEL_LENGTH = 30;
+
+// Used until the user's own categories have loaded, and when they can't be
+export const DEFAULT_CATEGORIES: TaskCategory[] = Object.values(TASK_CATEGORIES).map(
+  (category, index) => ({
+    ...category,
+    defaultTimeEstimate: null,
+    defaultPriority: null,
+    sortOrder: index,
+  }),
+);
+
+export const generateCategoryId = (): string => {
+  return `category_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+};
+
+export const createCategory = (categoryData: Partial<TaskCategory> = {}): TaskCategory => {
+  return {
+    id: generateCategoryId(),
+    label: categoryData.label?.trim() ?? '',
+    color: categoryData.color ?? CATEGORY_COLORS[0],
+    icon: categoryData.icon ?? CATEGORY_ICONS[CATEGORY_ICONS.length - 1],
+    defaultTimeEstimate: categoryData.defaultTimeEstimate ?? null,
+    defaultPriority: categoryData.defaultPriority ?? null,
+    sortOrder: categoryData.sortOrder ?? 0,
+  };
+};
+
+export const validateCategory = (
+  category: Partial<TaskCategory>,
+  existingCategories: TaskCategory[] = [],
+): ValidationResult => {
+  const errors: string[] = [];
+  const label = category.label?.trim() ?? '';
+
+  if (!label) {
+    errors.push('Name is required');
+  } else if (label.length > MAX_CATEGORY_LABEL_LENGTH) {
+    errors.push(`Name must not exceed ${MAX_CATEGORY_LABEL_LENGTH} characters`);
+  } else if (
+    existingCategories.some(
+      (existing) =>
+        existing.id !== category.id && existing.label.trim().toLowerCase() === label.toLowerCase(),
+    )
+  ) {
+    errors.push('A category with this name already exists');
+  }
+
+  if (!category.color || !/^#[0-9A-Fa-f]{6}$/.test(category.color)) {
+    errors.push('Invalid color');
+  }
+
+  if (!category.icon) {
+    errors.push('Icon is required');
+  }
+
+  const { defaultTimeEstimate, defaultPriority } = category;
+  if (
+    defaultTimeEstimate !== null &&
+    defaultTimeEstimate !== undefined &&
+    (!Number.isInteger(defaultTimeEstimate) || defaultTimeEstimate <= 0)
+  ) {
+    errors.push('Default time estimate must be a positive number of minutes');
+  }
+
+  if (defaultPriority && !Object.values(TaskPriority).includes(defaultPriority)) {
+    errors.push('Invalid default priority');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
+export const findCategory = (
+  categories: TaskCategory[],
+  categoryId: string | null | undefined,
+): TaskCategory | null => {
+  if (!categoryId) {
+    return null;
+  }
+  return categories.find((category) => category.id === categoryId) ?? null;
+};
+
+export const sortCategories = (categories: TaskCategory[]): TaskCategory[] => {
+  return [...categories].sort(
+    (a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0) || a.label.localeCompare(b.label),
+  );
+};
+
+/**
+ * Fills in the category's default time estimate and priority wherever the
+ * task data doesn't already set them
+ */
+export const applyCategoryDefaults = (
+  taskData: Partial<Task>,
+  category: TaskCategory | null,
+): Partial<Task> => {
+  if (!category) {
+    return taskData;
+  }
+
+  return {
+    ...taskData,
+    timeEstimate: taskData.timeEstimate ?? category.defaultTimeEstimate ?? null,
+    priority: taskData.priority ?? category.defaultPriority ?? undefined,
+  };
+};
+
+/**
+ * Tasks that need to move when a category is deleted, already moved to the new one
+ */
+export const reassignCategoryTasks = (
+  tasks: Task[],
+  fromCategoryId: string,
+  toCategoryId: string | null,
+): Task[] => {
+  const now = new Date();
+  return tasks
+    .filter((task) => task.category === fromCategoryId)
+    .map((task) => ({ ...task, category: toCategoryId, updatedAt: now }));
+};
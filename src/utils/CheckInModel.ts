@@ -0,0 +1,277 @@
+// ABOUTME: Check-in utilities for scheduled partner check-ins and the ADHD user's responses
+// Validates schedules and responses, works out when a check-in is next due and summarises responses for charts
+
+import type {
+  BlockerCount,
+  CheckInFrequency,
+  CheckInResponse,
+  CheckInResponseInput,
+  CheckInScheduleInput,
+  CheckInTrendDay,
+} from '../types/checkIn.types';
+import type { ValidationResult } from './UserModel';
+
+export interface CheckInLevel {
+  value: number;
+  emoji: string;
+  label: string;
+}
+
+export const MOOD_LEVELS: CheckInLevel[] = [
+  { value: 1, emoji: '😞', label: 'Rough' },
+  { value: 2, emoji: '🙁', label: 'Low' },
+  { value: 3, emoji: '😐', label: 'Okay' },
+  { value: 4, emoji: '🙂', label: 'Good' },
+  { value: 5, emoji: '😄', label: 'Great' },
+];
+
+export const ENERGY_LEVELS: CheckInLevel[] = [
+  { value: 1, emoji: '😴', label: 'Empty' },
+  { value: 2, emoji: '🥱', label: 'Low' },
+  { value: 3, emoji: '🙂', label: 'Steady' },
+  { value: 4, emoji: '💪', label: 'Good' },
+  { value: 5, emoji: '⚡', label: 'Buzzing' },
+];
+
+export const CHECK_IN_BLOCKERS = [
+  'Not sure where to start',
+  'Overwhelmed',
+  'Distracted',
+  'Tired',
+  'Waiting on someone',
+  'Avoiding something',
+];
+
+export const CHECK_IN_FREQUENCIES: CheckInFrequency[] = ['daily', 'weekdays', 'weekly'];
+export const DEFAULT_CHECK_IN_PROMPT = 'How are you doing? Take a moment to check in.';
+export const MAX_CHECK_IN_PROMPT_LENGTH = 200;
+export const MAX_CHECK_IN_NOTE_LENGTH = 500;
+export const CHECK_IN_TREND_DAYS = 14;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const isLevel = (value: unknown): boolean =>
+  typeof value === 'number' && Number.isInteger(value) && value >= 1 && value <= 5;
+
+export const isValidTimeOfDay = (timeOfDay: string): boolean => TIME_OF_DAY_PATTERN.test(timeOfDay);
+
+export const validateCheckInSchedule = (
+  schedule: Partial<CheckInScheduleInput>,
+): ValidationResult => {
+  const errors: string[] = [];
+
+  if (!schedule.frequency || !CHECK_IN_FREQUENCIES.includes(schedule.frequency)) {
+    errors.push('Choose how often to check in');
+  }
+
+  if (schedule.frequency === 'weekly') {
+    const { dayOfWeek } = schedule;
+    if (
+      typeof dayOfWeek !== 'number' ||
+      !Number.isInteger(dayOfWeek) ||
+      dayOfWeek < 0 ||
+      dayOfWeek > 6
+    ) {
+      errors.push('Choose a day for weekly check-ins');
+    }
+  }
+
+  if (!schedule.timeOfDay || !isValidTimeOfDay(schedule.timeOfDay)) {
+    errors.push('Time must be in 24-hour HH:MM format');
+  }
+
+  if ((schedule.prompt?.trim().length ?? 0) > MAX_CHECK_IN_PROMPT_LENGTH) {
+    errors.push(`Message must not exceed ${MAX_CHECK_IN_PROMPT_LENGTH} characters`);
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+export const validateCheckInResponse = (
+  response: Partial<CheckInResponseInput>,
+): ValidationResult => {
+  const errors: string[] = [];
+
+  if (!isLevel(response.mood)) {
+    errors.push('Pick how your mood is');
+  }
+  if (!isLevel(response.energy)) {
+    errors.push('Pick how your energy is');
+  }
+
+  const blockers = response.blockers ?? [];
+  if (blockers.some((blocker) => !CHECK_IN_BLOCKERS.includes(blocker))) {
+    errors.push('Unknown blocker');
+  }
+
+  if ((response.note?.trim().length ?? 0) > MAX_CHECK_IN_NOTE_LENGTH) {
+    errors.push(`Note must not exceed ${MAX_CHECK_IN_NOTE_LENGTH} characters`);
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+type CheckInTiming = Pick<CheckInScheduleInput, 'frequency' | 'dayOfWeek' | 'timeOfDay'> & {
+  timeZone?: string | null;
+};
+
+const occursOn = (
+  schedule: Pick<CheckInScheduleInput, 'frequency' | 'dayOfWeek'>,
+  day: number,
+): boolean => {
+  switch (schedule.frequency) {
+    case 'weekdays':
+      return day !== 0 && day !== 6;
+    case 'weekly':
+      return day === schedule.dayOfWeek;
+    case 'daily':
+    default:
+      return true;
+  }
+};
+
+// Wall-clock date and time of `date` in `timeZone`, read as if it were UTC
+const getZonedWallTime = (date: Date, timeZone: string): number => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = (type: Intl.DateTimeFormatPartTypes): number =>
+    Number(parts.find((part) => part.type === type)?.value);
+  return Date.UTC(
+    get('year'),
+    get('month') - 1,
+    get('day'),
+    get('hour'),
+    get('minute'),
+    get('second'),
+  );
+};
+
+// The moment a wall-clock time happens in `timeZone`; the second pass settles DST changes
+const fromZonedWallTime = (wallTime: number, timeZone: string): Date => {
+  const offset = getZonedWallTime(new Date(wallTime), timeZone) - wallTime;
+  const guess = wallTime - offset;
+  return new Date(wallTime - (getZonedWallTime(new Date(guess), timeZone) - guess));
+};
+
+const isKnownTimeZone = (timeZone: string): boolean => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * The first check-in time strictly after `after`, on the clock of the schedule's
+ * time zone (the device's when it has none). Occurrences missed while the app
+ * was closed are skipped rather than sent in a burst.
+ */
+export const getNextCheckInTime = (schedule: CheckInTiming, after: Date): Date => {
+  const [hours, minutes] = schedule.timeOfDay.split(':').map(Number);
+  const { timeZone } = schedule;
+  const zoned = timeZone && isKnownTimeZone(timeZone) ? timeZone : null;
+  const today = zoned ? new Date(getZonedWallTime(after, zoned)) : null;
+
+  // Calendar days rather than 24h blocks so the time of day survives DST changes
+  for (let offset = 0; offset <= 7; offset++) {
+    let candidate: Date;
+    let day: number;
+    if (zoned && today) {
+      const wallTime = Date.UTC(
+        today.getUTCFullYear(),
+        today.getUTCMonth(),
+        today.getUTCDate() + offset,
+        hours,
+        minutes,
+      );
+      candidate = fromZonedWallTime(wallTime, zoned);
+      day = new Date(wallTime).getUTCDay();
+    } else {
+      candidate = new Date(
+        after.getFullYear(),
+        after.getMonth(),
+        after.getDate() + offset,
+        hours,
+        minutes,
+      );
+      day = candidate.getDay();
+    }
+    if (candidate.getTime() > after.getTime() && occursOn(schedule, day)) {
+      return candidate;
+    }
+  }
+
+  throw new Error('Check-in schedule never occurs');
+};
+
+export const describeCheckInSchedule = (
+  schedule: Pick<CheckInScheduleInput, 'frequency' | 'dayOfWeek' | 'timeOfDay'>,
+): string => {
+  switch (schedule.frequency) {
+    case 'weekdays':
+      return `Weekdays at ${schedule.timeOfDay}`;
+    case 'weekly':
+      return `${DAY_NAMES[schedule.dayOfWeek ?? 0]}s at ${schedule.timeOfDay}`;
+    case 'daily':
+    default:
+      return `Every day at ${schedule.timeOfDay}`;
+  }
+};
+
+export const getLevel = (levels: CheckInLevel[], value: number): CheckInLevel =>
+  levels.find((level) => level.value === value) ?? levels[0];
+
+const averageOf = (values: number[]): number | null => {
+  if (values.length === 0) return null;
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10;
+};
+
+/**
+ * Average mood and energy for each of the last `days` days, oldest first
+ */
+export const getCheckInTrend = (
+  responses: CheckInResponse[],
+  days: number = CHECK_IN_TREND_DAYS,
+  now: Date = new Date(),
+): CheckInTrendDay[] => {
+  return Array.from({ length: days }, (_, index) => {
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (days - 1 - index));
+    const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+    const onDay = responses.filter(
+      ({ respondedAt }) => respondedAt >= start && respondedAt.getTime() < end.getTime(),
+    );
+
+    return {
+      start,
+      mood: averageOf(onDay.map(({ mood }) => mood)),
+      energy: averageOf(onDay.map(({ energy }) => energy)),
+      responses: onDay.length,
+    };
+  });
+};
+
+/**
+ * How often each blocker came up, most common first
+ */
+export const getBlockerCounts = (responses: CheckInResponse[]): BlockerCount[] => {
+  const counts = new Map<string, number>();
+  responses.forEach(({ blockers }) => {
+    blockers.forEach((blocker) => {
+      counts.set(blocker, (counts.get(blocker) ?? 0) + 1);
+    });
+  });
+
+  return Array.from(counts, ([blocker, count]) => ({ blocker, count })).sort(
+    (a, b) => b.count - a.count || a.blocker.localeCompare(b.blocker),
+  );
+};
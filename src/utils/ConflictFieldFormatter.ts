@@ -0,0 +1,88 @@
+// ABOUTME: Display helpers for showing conflicting field values side by side
+// Turns task field names and raw stored values into readable labels for the merge screen
+
+import { TaskPriority } from '../types/task.types';
+import type { RecurrenceRule } from '../types/task.types';
+import { describeRecurrence } from './RecurrenceModel';
+
+const FIELD_LABELS: Record<string, string> = {
+  title: 'Title',
+  description: 'Description',
+  category: 'Category',
+  priority: 'Priority',
+  status: 'Status',
+  completed: 'Completed',
+  completedAt: 'Completed at',
+  dueDate: 'Due date',
+  preferredStartTime: 'Start time',
+  timeEstimate: 'Time estimate',
+  timeSpent: 'Time spent',
+  xpEarned: 'XP earned',
+  recurrence: 'Repeats',
+  parentId: 'Parent task',
+  sortOrder: 'Step order',
+  reminder1: 'Reminder',
+  reminder2: 'Second reminder',
+  reminderCustom: 'Custom reminder',
+};
+
+const DATE_FIELDS = [
+  'dueDate',
+  'preferredStartTime',
+  'completedAt',
+  'startedAt',
+  'reminder1',
+  'reminder2',
+  'reminderCustom',
+];
+const MINUTE_FIELDS = ['timeEstimate', 'timeSpent'];
+
+export const getFieldLabel = (field: string): string => {
+  if (FIELD_LABELS[field]) {
+    return FIELD_LABELS[field];
+  }
+  // camelCase -> "Camel case"
+  const words = field.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const formatMinutes = (minutes: number): string => {
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+};
+
+export const formatFieldValue = (field: string, value: unknown): string => {
+  if (value === null || value === undefined || value === '') {
+    return '(empty)';
+  }
+
+  if (DATE_FIELDS.includes(field) && (typeof value === 'string' || value instanceof Date)) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+  }
+
+  if (MINUTE_FIELDS.includes(field) && typeof value === 'number') {
+    return formatMinutes(value);
+  }
+
+  if (field === 'priority' && typeof value === 'string') {
+    const isKnown = Object.values(TaskPriority).includes(value as TaskPriority);
+    return isKnown ? value.charAt(0).toUpperCase() + value.slice(1) : value;
+  }
+
+  if (field === 'recurrence' && typeof value === 'object') {
+    return describeRecurrence(value as RecurrenceRule);
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  return String(value as string | number);
+};
@@ -0,0 +1,126 @@
+// ABOUTME: Deadline change utilities for assigned tasks: who may ask, validating dates and reasons
+// Also works out the date both sides agreed on and applies it to the task, re-arming the overdue alert
+
+import type { Task } from '../types/task.types';
+import type {
+  DeadlineChangeRequest,
+  DeadlineChangeRequestInput,
+  DeadlineChangeStatus,
+} from '../types/deadlineChange.types';
+import type { ValidationResult } from './UserModel';
+import { updateTask } from './TaskModel';
+import { isActiveAssignment } from './AssignmentModel';
+
+export const MAX_DEADLINE_CHANGE_REASON_LENGTH = 500;
+export const MAX_DEADLINE_CHANGE_NOTE_LENGTH = 500;
+
+// Requests still waiting on someone; a task has at most one of these
+export const OPEN_DEADLINE_CHANGE_STATUSES: DeadlineChangeStatus[] = ['pending', 'countered'];
+
+const STATUS_LABELS: Record<DeadlineChangeStatus, string> = {
+  pending: 'Waiting for an answer',
+  approved: 'Approved',
+  rejected: 'Not approved',
+  countered: 'Another date suggested',
+  accepted: 'Suggested date accepted',
+  declined: 'Suggested date declined',
+};
+
+const isValidDate = (value: unknown): value is Date =>
+  value instanceof Date && !Number.isNaN(value.getTime());
+
+export const isOpenDeadlineChange = (request: Pick<DeadlineChangeRequest, 'status'>): boolean =>
+  OPEN_DEADLINE_CHANGE_STATUSES.includes(request.status);
+
+/**
+ * Only the assignee of a task someone else assigned can ask for a different due date,
+ * once they've taken it on (a proposal is renegotiated instead)
+ */
+export const canRequestDeadlineChange = (task: Task, userId: string): boolean =>
+  Boolean(task.assignedBy) &&
+  task.assignedBy !== userId &&
+  task.assignedTo === userId &&
+  isActiveAssignment(task) &&
+  !task.completed;
+
+/**
+ * A proposed (or suggested) date has to be in the future and actually move the deadline
+ */
+export const validateProposedDueDate = (
+  proposedDueDate: Date | null | undefined,
+  currentDueDate: Date | null,
+  now: Date = new Date(),
+): ValidationResult => {
+  const errors: string[] = [];
+
+  if (!isValidDate(proposedDueDate)) {
+    errors.push('Pick a new due date');
+  } else if (proposedDueDate.getTime() <= now.getTime()) {
+    errors.push('The new due date must be in the future');
+  } else if (currentDueDate && proposedDueDate.getTime() === new Date(currentDueDate).getTime()) {
+    errors.push('Pick a different date from the current one');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+export const validateDeadlineChangeRequest = (
+  input: Partial<DeadlineChangeRequestInput>,
+  currentDueDate: Date | null,
+  now: Date = new Date(),
+): ValidationResult => {
+  const { errors } = validateProposedDueDate(input.proposedDueDate, currentDueDate, now);
+
+  const reason = input.reason?.trim() ?? '';
+  if (reason.length === 0) {
+    errors.push('Let your partner know why you need more time');
+  } else if (reason.length > MAX_DEADLINE_CHANGE_REASON_LENGTH) {
+    errors.push(`Reason must not exceed ${MAX_DEADLINE_CHANGE_REASON_LENGTH} characters`);
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+/**
+ * The due date both sides agreed on, or null while nothing has been agreed
+ */
+export const getAgreedDueDate = (
+  request: Pick<DeadlineChangeRequest, 'status' | 'proposedDueDate' | 'counterDueDate'>,
+): Date | null => {
+  switch (request.status) {
+    case 'approved':
+      return request.proposedDueDate;
+    case 'accepted':
+      return request.counterDueDate;
+    default:
+      return null;
+  }
+};
+
+export const getDeadlineChangeStatusLabel = (status: DeadlineChangeStatus): string =>
+  STATUS_LABELS[status];
+
+/**
+ * Moves the task's due date. The overdue flag is cleared so the partner hears about the new
+ * date being missed too.
+ */
+export const applyDeadlineChange = (task: Task, dueDate: Date): Task =>
+  updateTask(task, {
+    dueDate,
+    partnerNotified: { ...task.partnerNotified, onOverdue: false },
+  });
+
+/**
+ * Date pickers only pick the day, so the new due date keeps the current due time,
+ * or the end of the day when the task had no due date yet
+ */
+export const getProposedDueDate = (pickedDay: Date, currentDueDate: Date | null): Date => {
+  const proposed = new Date(pickedDay);
+  if (currentDueDate) {
+    const current = new Date(currentDueDate);
+    proposed.setHours(current.getHours(), current.getMinutes(), 0, 0);
+  } else {
+    proposed.setHours(23, 59, 0, 0);
+  }
+  return proposed;
+};
@@ -0,0 +1,171 @@
+// ABOUTME: Compares time estimates with time actually spent to help with time blindness
+// Works out a personal "reality multiplier" per category and task size from completed tasks
+
+import type { Task } from '../types/task.types';
+import { formatTimeEstimate } from './QuickCaptureParser';
+
+export type EstimateSizeBucket = 'quick' | 'short' | 'medium' | 'long';
+
+export interface CalibrationStat {
+  multiplier: number; // Typical timeSpent / timeEstimate
+  sampleCount: number;
+  accurateCount: number; // Finished within ESTIMATE_ACCURACY_TOLERANCE of the estimate
+}
+
+export interface EstimateCalibration {
+  overall: CalibrationStat | null;
+  byCategory: Record<string, CalibrationStat>;
+  bySize: Partial<Record<EstimateSizeBucket, CalibrationStat>>;
+}
+
+export interface EstimateSuggestion {
+  multiplier: number;
+  suggestedMinutes: number;
+  basis: 'category' | 'size' | 'overall';
+  sampleCount: number;
+}
+
+// Matches the "within 10%" used for the accurate estimate XP bonus
+export const ESTIMATE_ACCURACY_TOLERANCE = 0.1;
+
+// Fewer completed tasks than this is too little to go on
+export const MIN_CALIBRATION_SAMPLES = 3;
+
+// Only recent tasks count, so the multiplier follows the user as they improve
+export const MAX_CALIBRATION_SAMPLES = 50;
+
+// Upper bounds in minutes; anything longer is 'long'
+const SIZE_BUCKET_LIMITS: Array<[EstimateSizeBucket, number]> = [
+  ['quick', 15],
+  ['short', 30],
+  ['medium', 60],
+];
+
+// One wildly off task (left running overnight, logged in seconds) shouldn't skew things
+const MIN_RATIO = 0.25;
+const MAX_RATIO = 4;
+
+export const getEstimateSizeBucket = (minutes: number): EstimateSizeBucket => {
+  return SIZE_BUCKET_LIMITS.find(([, limit]) => minutes <= limit)?.[0] ?? 'long';
+};
+
+export const isEstimateAccurate = (task: Pick<Task, 'timeEstimate' | 'timeSpent'>): boolean => {
+  if (!task.timeEstimate || !task.timeSpent) {
+    return false;
+  }
+  const accuracy = Math.abs(task.timeSpent - task.timeEstimate) / task.timeEstimate;
+  return accuracy <= ESTIMATE_ACCURACY_TOLERANCE;
+};
+
+const median = (values: number[]): number => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// The median keeps a couple of unusual tasks from moving the multiplier much
+const buildStat = (samples: Task[]): CalibrationStat => {
+  const ratios = samples.map((task) =>
+    Math.min(MAX_RATIO, Math.max(MIN_RATIO, task.timeSpent / (task.timeEstimate ?? 1))),
+  );
+  return {
+    multiplier: Math.round(median(ratios) * 100) / 100,
+    sampleCount: samples.length,
+    accurateCount: samples.filter(isEstimateAccurate).length,
+  };
+};
+
+const groupStats = <K extends string>(
+  samples: Task[],
+  getKey: (task: Task) => K | null,
+): Partial<Record<K, CalibrationStat>> => {
+  const groups = new Map<K, Task[]>();
+  for (const task of samples) {
+    const key = getKey(task);
+    if (key) {
+      groups.set(key, [...(groups.get(key) ?? []), task]);
+    }
+  }
+
+  const stats: Partial<Record<K, CalibrationStat>> = {};
+  for (const [key, group] of groups) {
+    stats[key] = buildStat(group);
+  }
+  return stats;
+};
+
+/**
+ * Completed tasks with both an estimate and logged time, most recent first
+ */
+export const getCalibrationSamples = (tasks: Task[]): Task[] => {
+  return tasks
+    .filter((task) => task.completed && Boolean(task.timeEstimate) && task.timeSpent > 0)
+    .sort((a, b) => (b.completedAt?.getTime() ?? 0) - (a.completedAt?.getTime() ?? 0))
+    .slice(0, MAX_CALIBRATION_SAMPLES);
+};
+
+export const calibrateEstimates = (tasks: Task[]): EstimateCalibration => {
+  const samples = getCalibrationSamples(tasks);
+
+  return {
+    overall: samples.length > 0 ? buildStat(samples) : null,
+    byCategory: groupStats(samples, (task) => task.category) as Record<string, CalibrationStat>,
+    bySize: groupStats(samples, (task) => getEstimateSizeBucket(task.timeEstimate ?? 0)),
+  };
+};
+
+/**
+ * How long a new estimate is likely to really take. Uses the most specific
+ * history with enough tasks: the category, then tasks of the same size, then
+ * everything. No suggestion when the user already estimates well.
+ */
+export const suggestRealisticDuration = (
+  calibration: EstimateCalibration,
+  timeEstimate: number | null,
+  category: string | null,
+): EstimateSuggestion | null => {
+  if (!timeEstimate) {
+    return null;
+  }
+
+  const candidates: Array<[EstimateSuggestion['basis'], CalibrationStat | null | undefined]> = [
+    ['category', category ? calibration.byCategory[category] : null],
+    ['size', calibration.bySize[getEstimateSizeBucket(timeEstimate)]],
+    ['overall', calibration.overall],
+  ];
+  const match = candidates.find(([, stat]) => stat && stat.sampleCount >= MIN_CALIBRATION_SAMPLES);
+  if (!match?.[1]) {
+    return null;
+  }
+
+  const [basis, stat] = match;
+  if (Math.abs(stat.multiplier - 1) <= ESTIMATE_ACCURACY_TOLERANCE) {
+    return null;
+  }
+
+  return {
+    multiplier: stat.multiplier,
+    // Rounded to 5 minutes; nobody plans for 37 minutes
+    suggestedMinutes: Math.max(5, Math.round((timeEstimate * stat.multiplier) / 5) * 5),
+    basis,
+    sampleCount: stat.sampleCount,
+  };
+};
+
+/**
+ * e.g. "You usually take 1.8x on Work tasks. Plan for about 55 min."
+ */
+export const describeEstimateSuggestion = (
+  suggestion: EstimateSuggestion,
+  categoryLabel?: string,
+): string => {
+  const multiplier = `${suggestion.multiplier.toFixed(1)}x`;
+  let scope = 'your estimates';
+  if (suggestion.basis === 'category' && categoryLabel) {
+    scope = `on ${categoryLabel} tasks`;
+  } else if (suggestion.basis === 'size') {
+    scope = 'on tasks this size';
+  }
+
+  return `You usually take ${multiplier} ${scope}. Plan for about ${formatTimeEstimate(suggestion.suggestedMinutes)}.`;
+};
@@ -0,0 +1,190 @@
+// ABOUTME: Focus session model utilities for logging real work on a task
+// Records start/pause/break events and works out focused, break and paused time from them
+
+import type {
+  FocusEventType,
+  FocusSession,
+  FocusSessionEndReason,
+  FocusSessionSummary,
+} from '../types/focus.types';
+import { generateTaskId } from './TaskModel';
+import { formatTimeEstimate } from './QuickCaptureParser';
+
+type FocusState = 'focusing' | 'paused' | 'between' | 'break' | 'ended';
+
+// Which state each event leaves the session in, and the states it may follow
+const TRANSITIONS: Record<FocusEventType, { from: FocusState[]; to: FocusState }> = {
+  start: { from: [], to: 'focusing' },
+  pause: { from: ['focusing'], to: 'paused' },
+  interruption: { from: ['focusing', 'paused'], to: 'paused' },
+  resume: { from: ['paused', 'between'], to: 'focusing' },
+  pomodoro_complete: { from: ['focusing'], to: 'between' },
+  break_start: { from: ['between'], to: 'break' },
+  break_end: { from: ['break'], to: 'between' },
+  stop: { from: ['focusing', 'paused', 'between', 'break'], to: 'ended' },
+};
+
+const secondsBetween = (from: Date, to: Date): number => {
+  return Math.max(0, Math.round((to.getTime() - from.getTime()) / 1000));
+};
+
+const getState = (session: FocusSession): FocusState => {
+  const last = session.events[session.events.length - 1];
+  return last ? TRANSITIONS[last.type].to : 'ended';
+};
+
+/**
+ * Work out time in each state by replaying the events. Sessions still running
+ * are counted up to `now`.
+ */
+export const summarizeFocusEvents = (
+  session: Pick<FocusSession, 'events'>,
+  now: Date = new Date(),
+): FocusSessionSummary => {
+  const summary: FocusSessionSummary = {
+    focusedSeconds: 0,
+    breakSeconds: 0,
+    pausedSeconds: 0,
+    interruptions: 0,
+    completedPomodoros: 0,
+  };
+
+  let state: FocusState = 'ended';
+  let since: Date | null = null;
+
+  const closeInterval = (until: Date): void => {
+    if (!since) return;
+    const seconds = secondsBetween(since, until);
+    if (state === 'focusing') summary.focusedSeconds += seconds;
+    else if (state === 'break') summary.breakSeconds += seconds;
+    else if (state === 'paused' || state === 'between') summary.pausedSeconds += seconds;
+  };
+
+  for (const event of session.events) {
+    const at = new Date(event.at);
+    closeInterval(at);
+    if (event.type === 'interruption') summary.interruptions += 1;
+    if (event.type === 'pomodoro_complete') summary.completedPomodoros += 1;
+    state = TRANSITIONS[event.type].to;
+    since = at;
+  }
+
+  if (state !== 'ended') {
+    closeInterval(now);
+  }
+
+  return summary;
+};
+
+export const createFocusSession = (
+  sessionData: { taskId: string; userId: string; plannedDuration: number },
+  now: Date = new Date(),
+): FocusSession => {
+  return {
+    id: generateTaskId(),
+    taskId: sessionData.taskId,
+    userId: sessionData.userId,
+    startedAt: now,
+    endedAt: null,
+    plannedDuration: sessionData.plannedDuration,
+    focusedSeconds: 0,
+    breakSeconds: 0,
+    pausedSeconds: 0,
+    interruptions: 0,
+    completedPomodoros: 0,
+    endReason: null,
+    events: [{ type: 'start', at: now }],
+  };
+};
+
+/**
+ * Add an event to a running session. Events that don't make sense in the
+ * session's current state (e.g. pausing while on a break) are ignored.
+ */
+export const recordFocusEvent = (
+  session: FocusSession,
+  type: FocusEventType,
+  now: Date = new Date(),
+): FocusSession => {
+  if (type === 'stop') {
+    return endFocusSession(session, now);
+  }
+  if (!TRANSITIONS[type].from.includes(getState(session))) {
+    return session;
+  }
+
+  const updated = { ...session, events: [...session.events, { type, at: now }] };
+  return { ...updated, ...summarizeFocusEvents(updated, now) };
+};
+
+/**
+ * Stop a session. It counts as completed unless it was stopped partway
+ * through a Pomodoro.
+ */
+export const endFocusSession = (session: FocusSession, now: Date = new Date()): FocusSession => {
+  const state = getState(session);
+  if (state === 'ended') {
+    return session;
+  }
+
+  const ended: FocusSession = {
+    ...session,
+    endedAt: now,
+    endReason: state === 'focusing' || state === 'paused' ? 'stopped_early' : 'completed',
+    events: [...session.events, { type: 'stop', at: now }],
+  };
+  return { ...ended, ...summarizeFocusEvents(ended, now) };
+};
+
+export const isFocusSessionActive = (session: FocusSession): boolean => {
+  return session.endedAt === null;
+};
+
+/**
+ * Minutes of real focus across sessions, which is what a task's timeSpent holds
+ */
+export const getTotalFocusMinutes = (sessions: FocusSession[]): number => {
+  const seconds = sessions.reduce((total, session) => total + session.focusedSeconds, 0);
+  return Math.round(seconds / 60);
+};
+
+/**
+ * Combine two lists of sessions, keeping the copy from `preferred` when both
+ * have one, newest first
+ */
+export const mergeFocusSessions = (
+  preferred: FocusSession[],
+  others: FocusSession[],
+): FocusSession[] => {
+  const byId = new Map<string, FocusSession>();
+  for (const session of [...others, ...preferred]) {
+    byId.set(session.id, session);
+  }
+  return [...byId.values()].sort((a, b) => b.startedAt.getTime() - a.startedAt.getTime());
+};
+
+const END_REASON_LABELS: Record<FocusSessionEndReason, string> = {
+  completed: 'Finished',
+  stopped_early: 'Stopped early',
+  imported: 'Logged before sessions',
+};
+
+/**
+ * One-line description of a finished session for the task's history,
+ * e.g. "25 min focused · 5 min break · 1 interruption · Finished"
+ */
+export const describeFocusSession = (session: FocusSession): string => {
+  const minutes = (seconds: number): string => {
+    return seconds < 60 ? '<1 min' : formatTimeEstimate(Math.round(seconds / 60));
+  };
+
+  const parts = [`${minutes(session.focusedSeconds)} focused`];
+  if (session.breakSeconds > 0) {
+    parts.push(`${minutes(session.breakSeconds)} break`);
+  }
+  if (session.interruptions > 0) {
+    parts.push(`${session.interruptions} interruption${session.interruptions === 1 ? '' : 's'}`);
+  }
+  parts.push(session.endReason ? END_REASON_LABELS[session.endReason] : 'In progress');
+  return parts.join(' · ');
+};
@@ -0,0 +1,175 @@
+// ABOUTME: Productivity insights worked out from a list of tasks
+// Completions by day and week, a time-of-day heatmap, per-category breakdowns, time-to-start and overdue rates
+
+import type { Task } from '../types/task.types';
+
+export interface CompletionCount {
+  start: Date; // Local midnight that starts the day or week
+  count: number;
+}
+
+export interface CategoryInsight {
+  category: string | null; // null for uncategorized tasks
+  total: number;
+  completed: number;
+  overdue: number;
+  averageTimeSpent: number | null; // Minutes, over completed tasks with logged time
+}
+
+export interface ProductivityInsights {
+  total: number;
+  completed: number;
+  open: number;
+  completionsByDay: CompletionCount[]; // Oldest first, ending today
+  completionsByWeek: CompletionCount[]; // Oldest first, ending this week
+  // heatmap[day][block]: day 0 is Sunday, each block covers HEATMAP_BLOCK_HOURS
+  heatmap: number[][];
+  averageTimeToStart: number | null; // Minutes from createdAt to startedAt
+  overdueRate: number | null; // Share of deadlines that were missed, 0 to 1
+  byCategory: CategoryInsight[];
+}
+
+export interface InsightsOptions {
+  now?: Date;
+  days?: number;
+  weeks?: number;
+}
+
+export const INSIGHTS_DAYS = 7;
+export const INSIGHTS_WEEKS = 8;
+export const HEATMAP_BLOCK_HOURS = 4;
+export const HEATMAP_BLOCKS = 24 / HEATMAP_BLOCK_HOURS;
+
+const startOfDay = (date: Date): Date =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Weeks start on Monday
+const startOfWeek = (date: Date): Date => {
+  const day = startOfDay(date);
+  day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+  return day;
+};
+
+const addDays = (date: Date, days: number): Date =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const average = (values: number[]): number | null => {
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+};
+
+const countCompletions = (
+  completions: Date[],
+  starts: Date[],
+  length: number,
+): CompletionCount[] => {
+  return starts.map((start) => {
+    const end = addDays(start, length).getTime();
+    return {
+      start,
+      count: completions.filter((date) => date >= start && date.getTime() < end).length,
+    };
+  });
+};
+
+/**
+ * Whether a task missed its deadline: finished after it, or still open past it
+ */
+export const isPastDeadline = (task: Task, now: Date = new Date()): boolean => {
+  if (!task.dueDate) return false;
+  if (task.completed) {
+    return Boolean(task.completedAt && task.completedAt > task.dueDate);
+  }
+  return task.dueDate < now;
+};
+
+export const getCompletionHeatmap = (tasks: Task[]): number[][] => {
+  const heatmap = Array.from({ length: 7 }, () => new Array<number>(HEATMAP_BLOCKS).fill(0));
+  for (const task of tasks) {
+    if (task.completed && task.completedAt) {
+      const block = Math.floor(task.completedAt.getHours() / HEATMAP_BLOCK_HOURS);
+      heatmap[task.completedAt.getDay()][block] += 1;
+    }
+  }
+  return heatmap;
+};
+
+/**
+ * Average minutes between adding a task and starting it
+ */
+export const getAverageTimeToStart = (tasks: Task[]): number | null => {
+  return average(
+    tasks
+      .filter((task) => task.startedAt && task.startedAt >= task.createdAt)
+      .map((task) => ((task.startedAt as Date).getTime() - task.createdAt.getTime()) / 60000),
+  );
+};
+
+/**
+ * Share of deadlines that were missed. Deadlines still ahead on open tasks
+ * haven't been met or missed yet, so they don't count either way.
+ */
+export const getOverdueRate = (tasks: Task[], now: Date = new Date()): number | null => {
+  const decided = tasks.filter((task) => task.dueDate && (task.completed || task.dueDate < now));
+  if (decided.length === 0) return null;
+  return decided.filter((task) => isPastDeadline(task, now)).length / decided.length;
+};
+
+export const getCategoryInsights = (tasks: Task[], now: Date = new Date()): CategoryInsight[] => {
+  const groups = new Map<string | null, Task[]>();
+  for (const task of tasks) {
+    groups.set(task.category, [...(groups.get(task.category) ?? []), task]);
+  }
+
+  return [...groups.entries()]
+    .map(([category, group]) => {
+      const completed = group.filter((task) => task.completed);
+      return {
+        category,
+        total: group.length,
+        completed: completed.length,
+        overdue: group.filter((task) => isPastDeadline(task, now)).length,
+        averageTimeSpent: average(
+          completed.filter((task) => task.timeSpent > 0).map((task) => task.timeSpent),
+        ),
+      };
+    })
+    .sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Steps roll up into their parent task, so only top-level tasks are counted
+ */
+export const computeInsights = (
+  allTasks: Task[],
+  { now = new Date(), days = INSIGHTS_DAYS, weeks = INSIGHTS_WEEKS }: InsightsOptions = {},
+): ProductivityInsights => {
+  const tasks = allTasks.filter((task) => !task.parentId);
+  const completions = tasks
+    .filter((task) => task.completed && task.completedAt)
+    .map((task) => task.completedAt as Date);
+
+  const today = startOfDay(now);
+  const thisWeek = startOfWeek(now);
+  const completed = tasks.filter((task) => task.completed).length;
+
+  return {
+    total: tasks.length,
+    completed,
+    open: tasks.length - completed,
+    completionsByDay: countCompletions(
+      completions,
+      Array.from({ length: days }, (_, index) => addDays(today, index - days + 1)),
+      1,
+    ),
+    completionsByWeek: countCompletions(
+      completions,
+      Array.from({ length: weeks }, (_, index) => addDays(thisWeek, (index - weeks + 1) * 7)),
+      7,
+    ),
+    heatmap: getCompletionHeatmap(tasks),
+    averageTimeToStart: getAverageTimeToStart(tasks),
+    overdueRate: getOverdueRate(tasks, now),
+    byCategory: getCategoryInsights(tasks, now),
+  };
+};
@@ -0,0 +1,210 @@
+// ABOUTME: The XP level curve and the catalog of cosmetic rewards each level unlocks
+// Levels are worked out from lifetime XP, so they never need storing; only reward unlocks are kept
+
+import type {
+  CosmeticKind,
+  CosmeticReward,
+  CosmeticRewardStatus,
+  EquippedCosmetics,
+  LevelProgress,
+  RewardUnlock,
+} from '../types/level.types';
+
+export const MAX_LEVEL = 50;
+// XP from level 1 to level 2; each level after that needs LEVEL_XP_GROWTH times more
+export const FIRST_LEVEL_XP = 100;
+export const LEVEL_XP_GROWTH = 1.1;
+
+// LEVEL_THRESHOLDS[level - 1] is the total XP that reaches the level
+const LEVEL_THRESHOLDS: number[] = [0];
+for (let level = 2; level <= MAX_LEVEL; level += 1) {
+  LEVEL_THRESHOLDS.push(
+    LEVEL_THRESHOLDS[level - 2] + Math.round(FIRST_LEVEL_XP * LEVEL_XP_GROWTH ** (level - 2)),
+  );
+}
+
+/**
+ * Total XP needed to reach a level
+ */
+export const getXPForLevel = (level: number): number => {
+  const clamped = Math.min(MAX_LEVEL, Math.max(1, Math.floor(level)));
+  return LEVEL_THRESHOLDS[clamped - 1];
+};
+
+export const getLevelProgress = (totalXP: number): LevelProgress => {
+  const xp = Math.max(0, totalXP);
+  let level = 1;
+  while (level < MAX_LEVEL && xp >= LEVEL_THRESHOLDS[level]) {
+    level += 1;
+  }
+
+  const levelStartXP = getXPForLevel(level);
+  const nextLevelXP = level < MAX_LEVEL ? getXPForLevel(level + 1) : null;
+  return {
+    level,
+    totalXP: xp,
+    levelStartXP,
+    nextLevelXP,
+    fraction: nextLevelXP === null ? 1 : (xp - levelStartXP) / (nextLevelXP - levelStartXP),
+  };
+};
+
+// Ids are stored with each unlock, so never rename or reuse one. The level 1
+// reward of each kind is the default look everyone starts with.
+export const COSMETIC_REWARDS: CosmeticReward[] = [
+  { id: 'theme_classic', kind: 'theme', title: 'Classic Blue', level: 1, accentColor: '#3498DB' },
+  { id: 'theme_forest', kind: 'theme', title: 'Forest', level: 3, accentColor: '#27AE60' },
+  { id: 'theme_sunset', kind: 'theme', title: 'Sunset', level: 10, accentColor: '#E67E22' },
+  { id: 'theme_grape', kind: 'theme', title: 'Grape', level: 20, accentColor: '#8E44AD' },
+  { id: 'theme_rose', kind: 'theme', title: 'Rose Gold', level: 30, accentColor: '#C0392B' },
+  {
+    id: 'celebration_sparkles',
+    kind: 'celebration',
+    title: 'Sparkles',
+    level: 1,
+    animation: 'emoji',
+  },
+  {
+    id: 'celebration_confetti',
+    kind: 'celebration',
+    title: 'Confetti',
+    level: 2,
+    animation: 'confetti',
+  },
+  {
+    id: 'celebration_stars',
+    kind: 'celebration',
+    title: 'Shooting Stars',
+    level: 5,
+    animation: 'stars',
+    emoji: '⭐',
+  },
+  {
+    id: 'celebration_rockets',
+    kind: 'celebration',
+    title: 'Rocket Launch',
+    level: 15,
+    animation: 'stars',
+    emoji: '🚀',
+  },
+  {
+    id: 'timer_classic',
+    kind: 'timerSkin',
+    title: 'Classic',
+    level: 1,
+    ringColor: '#4A90E2',
+    textColor: '#fff',
+  },
+  {
+    id: 'timer_ocean',
+    kind: 'timerSkin',
+    title: 'Ocean',
+    level: 4,
+    ringColor: '#1ABC9C',
+    textColor: '#E8F8F5',
+  },
+  {
+    id: 'timer_ember',
+    kind: 'timerSkin',
+    title: 'Ember',
+    level: 8,
+    ringColor: '#E74C3C',
+    textColor: '#FDEDEC',
+  },
+  {
+    id: 'timer_neon',
+    kind: 'timerSkin',
+    title: 'Neon',
+    level: 25,
+    ringColor: '#F1C40F',
+    textColor: '#F9E79F',
+  },
+];
+
+export const DEFAULT_COSMETICS: Record<CosmeticKind, string> = {
+  theme: 'theme_classic',
+  celebration: 'celebration_sparkles',
+  timerSkin: 'timer_classic',
+};
+
+export const getCosmeticReward = (id: string): CosmeticReward | undefined => {
+  return COSMETIC_REWARDS.find((reward) => reward.id === id);
+};
+
+/**
+ * Rewards the level has reached that aren't unlocked yet. Already unlocked
+ * ones are never returned, so evaluating again is harmless.
+ */
+export const findNewRewardUnlocks = (
+  level: number,
+  unlockedIds: Iterable<string>,
+): CosmeticReward[] => {
+  const unlocked = new Set(unlockedIds);
+  return COSMETIC_REWARDS.filter((reward) => reward.level <= level && !unlocked.has(reward.id));
+};
+
+/**
+ * The next reward still ahead, for "next unlock at level N"
+ */
+export const getNextReward = (level: number): CosmeticReward | undefined => {
+  return COSMETIC_REWARDS.filter((reward) => reward.level > level).sort(
+    (a, b) => a.level - b.level,
+  )[0];
+};
+
+/**
+ * The reward in use for each kind. A choice that is unknown, locked or of the
+ * wrong kind falls back to the default, so a stale setting never breaks the UI.
+ */
+export const resolveEquipped = (
+  equippedIds: Partial<Record<CosmeticKind, string>>,
+  unlockedIds: Iterable<string>,
+): EquippedCosmetics => {
+  const unlocked = new Set(unlockedIds);
+  const pick = <K extends CosmeticKind>(kind: K): Extract<CosmeticReward, { kind: K }> => {
+    const chosen = getCosmeticReward(equippedIds[kind] ?? '');
+    const reward =
+      chosen && chosen.kind === kind && (unlocked.has(chosen.id) || chosen.level === 1)
+        ? chosen
+        : getCosmeticReward(DEFAULT_COSMETICS[kind]);
+    return reward as Extract<CosmeticReward, { kind: K }>;
+  };
+
+  return {
+    theme: pick('theme'),
+    celebration: pick('celebration'),
+    timerSkin: pick('timerSkin'),
+  };
+};
+
+/**
+ * Every reward with whether it's unlocked and in use, in level order
+ */
+export const getRewardStatuses = (
+  unlocks: RewardUnlock[],
+  equipped: EquippedCosmetics,
+): CosmeticRewardStatus[] => {
+  const unlockedAt = new Map(unlocks.map((unlock) => [unlock.rewardId, unlock.unlockedAt]));
+  return [...COSMETIC_REWARDS]
+    .sort((a, b) => a.level - b.level)
+    .map((reward) => ({
+      reward,
+      unlockedAt: unlockedAt.get(reward.id) ?? null,
+      equipped: equipped[reward.kind].id === reward.id,
+    }));
+};
+
+/**
+ * Keep the earliest unlock of each reward, e.g. when one device unlocked it
+ * offline and another already had
+ */
+export const mergeRewardUnlocks = (...lists: RewardUnlock[][]): RewardUnlock[] => {
+  const merged = new Map<string, RewardUnlock>();
+  for (const unlock of lists.flat()) {
+    const existing = merged.get(unlock.rewardId);
+    if (!existing || unlock.unlockedAt < existing.unlockedAt) {
+      merged.set(unlock.rewardId, unlock);
+    }
+  }
+  return [...merged.values()];
+};
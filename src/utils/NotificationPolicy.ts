@@ -0,0 +1,77 @@
+// ABOUTME: Decides whether a notification is delivered now, held until quiet hours end, or dropped
+// Applies the recipient's notification preferences and the partnership quiet hours
+
+import { NotificationPriority } from '../types/notification.types';
+import { NotificationPreference, NotificationTypes } from '../types/user.types';
+import type { PartnershipSettings, UserNotificationPreferences } from '../types/user.types';
+import { getQuietHoursEnd } from './PartnershipModel';
+
+export type DeliveryDecision =
+  | { action: 'deliver' }
+  | { action: 'defer'; deliverAt: Date }
+  | { action: 'suppress'; reason: 'silent' | 'not_important' | 'type_disabled' };
+
+export interface DeliveryPolicyInput {
+  type: NotificationTypes;
+  priority: NotificationPriority;
+  preferences: UserNotificationPreferences | null;
+  quietHours: Pick<PartnershipSettings, 'quietHoursStart' | 'quietHoursEnd'> | null;
+  // The recipient's time zone; quiet hours are read on their clock, not the sender's
+  timeZone?: string | null;
+  now?: Date;
+}
+
+// Types without a toggle (e.g. deadline change requests) only follow the global setting
+export const PREFERENCE_KEY_BY_TYPE: Partial<
+  Record<NotificationTypes, Exclude<keyof UserNotificationPreferences, 'global'>>
+> = {
+  [NotificationTypes.TASK_ASSIGNED]: 'taskAssigned',
+  [NotificationTypes.TASK_PROPOSED]: 'taskAssigned',
+  [NotificationTypes.TASK_STARTED]: 'taskStarted',
+  [NotificationTypes.TASK_COMPLETED]: 'taskCompleted',
+  [NotificationTypes.TASK_OVERDUE]: 'taskOverdue',
+  [NotificationTypes.ENCOURAGEMENT]: 'encouragement',
+  [NotificationTypes.CHECK_IN]: 'checkIn',
+  [NotificationTypes.CHECK_IN_RESPONSE]: 'checkIn',
+};
+
+export const isImportantPriority = (priority: NotificationPriority): boolean =>
+  priority === NotificationPriority.HIGH || priority === NotificationPriority.URGENT;
+
+/**
+ * Preferences are checked first so a muted notification is never stored for later.
+ * Urgent notifications skip quiet hours but still respect the recipient's preferences.
+ */
+export const getDeliveryDecision = ({
+  type,
+  priority,
+  preferences,
+  quietHours,
+  timeZone = null,
+  now = new Date(),
+}: DeliveryPolicyInput): DeliveryDecision => {
+  if (preferences) {
+    if (preferences.global === NotificationPreference.SILENT) {
+      return { action: 'suppress', reason: 'silent' };
+    }
+    if (
+      preferences.global === NotificationPreference.IMPORTANT_ONLY &&
+      !isImportantPriority(priority)
+    ) {
+      return { action: 'suppress', reason: 'not_important' };
+    }
+    const preferenceKey = PREFERENCE_KEY_BY_TYPE[type];
+    if (preferenceKey && preferences[preferenceKey] === false) {
+      return { action: 'suppress', reason: 'type_disabled' };
+    }
+  }
+
+  if (quietHours && priority !== NotificationPriority.URGENT) {
+    const deliverAt = getQuietHoursEnd(quietHours, now, timeZone);
+    if (deliverAt) {
+      return { action: 'defer', deliverAt };
+    }
+  }
+
+  return { action: 'deliver' };
+};
@@ -0,0 +1,55 @@
+// ABOUTME: Rewards store utilities for real-world rewards a partner offers for XP
+// Validates reward offers and works out the XP the ADHD user still has to spend
+
+import type { RewardOfferInput, RewardRedemption } from '../types/reward.types';
+import type { ValidationResult } from './UserModel';
+
+export const MAX_REWARD_TITLE_LENGTH = 100;
+export const MAX_REWARD_DESCRIPTION_LENGTH = 500;
+export const MAX_REWARD_XP_COST = 10000;
+
+export const validateRewardOffer = (offer: Partial<RewardOfferInput>): ValidationResult => {
+  const errors: string[] = [];
+  const title = offer.title?.trim() ?? '';
+
+  if (!title) {
+    errors.push('Name is required');
+  } else if (title.length > MAX_REWARD_TITLE_LENGTH) {
+    errors.push(`Name must not exceed ${MAX_REWARD_TITLE_LENGTH} characters`);
+  }
+
+  if ((offer.description?.trim().length ?? 0) > MAX_REWARD_DESCRIPTION_LENGTH) {
+    errors.push(`Description must not exceed ${MAX_REWARD_DESCRIPTION_LENGTH} characters`);
+  }
+
+  const { xpCost } = offer;
+  if (
+    typeof xpCost !== 'number' ||
+    !Number.isInteger(xpCost) ||
+    xpCost < 1 ||
+    xpCost > MAX_REWARD_XP_COST
+  ) {
+    errors.push(`XP cost must be a whole number between 1 and ${MAX_REWARD_XP_COST}`);
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+export const getSpentXP = (redemptions: RewardRedemption[], userId: string): number => {
+  return redemptions
+    .filter((redemption) => redemption.redeemedBy === userId)
+    .reduce((total, redemption) => total + redemption.xpCost, 0);
+};
+
+// Spending comes out of this balance only; lifetime XP, and so the level, never goes down
+export const getSpendableXP = (
+  lifetimeXP: number,
+  redemptions: RewardRedemption[],
+  userId: string,
+): number => {
+  return Math.max(0, lifetimeXP - getSpentXP(redemptions, userId));
+};
+
+export const canAffordReward = (spendableXP: number, xpCost: number): boolean => {
+  return xpCost <= spendableXP;
+};
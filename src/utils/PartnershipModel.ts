@@ -144,3 +144,91 @@ export const updatePartnershipStats = (
     updatedAt: new Date(),
   };
 };
+
+const parseTimeOfDay = (value: string | null): number | null => {
+  const match = value ? /^(\d{1,2}):(\d{2})$/.exec(value) : null;
+  if (!match) {
+    return null;
+  }
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+  return hours * 60 + minutes;
+};
+
+/**
+ * Minutes since midnight on the wall clock of a time zone. Uses the device's
+ * zone when none is given or the given one isn't recognised.
+ */
+const getMinutesOfDay = (date: Date, timeZone?: string | null): number => {
+  if (timeZone) {
+    try {
+      const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+      }).formatToParts(date);
+      const hour = Number(parts.find((part) => part.type === 'hour')?.value);
+      const minute = Number(parts.find((part) => part.type === 'minute')?.value);
+      return hour * 60 + minute;
+    } catch {
+      // Unknown zone; fall through to the device's
+    }
+  }
+  return date.getHours() * 60 + date.getMinutes();
+};
+
+/**
+ * Whether a time falls inside the partnership's quiet hours, read on the clock
+ * of `timeZone` (the device's by default). Quiet hours can wrap past midnight,
+ * e.g. "22:00" to "08:00".
+ */
+export const isWithinQuietHours = (
+  settings: Pick<PartnershipSettings, 'quietHoursStart' | 'quietHoursEnd'>,
+  date: Date = new Date(),
+  timeZone?: string | null,
+): boolean => {
+  const start = parseTimeOfDay(settings.quietHoursStart);
+  const end = parseTimeOfDay(settings.quietHoursEnd);
+  if (start === null || end === null || start === end) {
+    return false;
+  }
+
+  const minutes = getMinutesOfDay(date, timeZone);
+  if (start < end) {
+    return minutes >= start && minutes < end;
+  }
+  return minutes >= start || minutes < end;
+};
+
+/**
+ * When the quiet hours covering `date` end, or null if `date` isn't in quiet hours.
+ * Pass the recipient's time zone so their quiet hours follow their own clock.
+ */
+export const getQuietHoursEnd = (
+  settings: Pick<PartnershipSettings, 'quietHoursStart' | 'quietHoursEnd'>,
+  date: Date = new Date(),
+  timeZone?: string | null,
+): Date | null => {
+  const end = parseTimeOfDay(settings.quietHoursEnd);
+  if (end === null || !isWithinQuietHours(settings, date, timeZone)) {
+    return null;
+  }
+
+  if (timeZone) {
+    // Count forward on that zone's clock to the next time it reads the end time
+    const minutesLeft = (end - getMinutesOfDay(date, timeZone) + 24 * 60) % (24 * 60) || 24 * 60;
+    const startOfMinute = date.getTime() - (date.getTime() % 60000);
+    return new Date(startOfMinute + minutesLeft * 60000);
+  }
+
+  const endsAt = new Date(date);
+  endsAt.setHours(Math.floor(end / 60), end % 60, 0, 0);
+  if (endsAt.getTime() <= date.getTime()) {
+    endsAt.setDate(endsAt.getDate() + 1);
+  }
+  return endsAt;
+};
@@ -0,0 +1,654 @@
+// ABOUTME: Natural-language quick capture for typing a whole task on one line
+// Pulls the due date, time estimate, #category and !priority out of text like "call dentist tomorrow 3pm 15m"
+
+import type { TaskCategory } from '../types/task.types';
+import { TaskPriority } from '../types/task.types';
+import { DEFAULT_CATEGORIES } from './CategoryModel';
+
+export interface ParsedQuickCapture {
+  title: string;
+  dueDate: Date | null;
+  // False when only a day was given; the task is then due at the end of that day
+  hasDueTime: boolean;
+  timeEstimate: number | null;
+  category: string | null;
+  priority: TaskPriority | null;
+}
+
+export interface QuickCaptureOptions {
+  now?: Date;
+  // BCP 47 tag used for weekday and month names, numeric date order and the 12/24-hour clock
+  locale?: string;
+  categories?: TaskCategory[];
+}
+
+export type QuickCaptureField = 'dueDate' | 'timeEstimate' | 'category' | 'priority';
+
+export interface QuickCapturePreviewItem {
+  field: QuickCaptureField;
+  label: string;
+}
+
+interface TimeOfDay {
+  hours: number;
+  minutes: number;
+}
+
+interface LocaleVocabulary {
+  weekdays: Map<string, number>;
+  months: Map<string, number>;
+  dayFirst: boolean;
+  dateSeparators: string;
+  hour12: boolean;
+}
+
+interface ParseState {
+  day: Date | null;
+  time: TimeOfDay | null;
+  // "in 2 hours" pins an exact moment and fills both the day and the time
+  instant: Date | null;
+  tonight: boolean;
+  timeEstimate: number | null;
+  category: string | null;
+  priority: TaskPriority | null;
+}
+
+type Matcher = (index: number) => number;
+
+const END_OF_DAY: TimeOfDay = { hours: 23, minutes: 59 };
+const TONIGHT: TimeOfDay = { hours: 20, minutes: 0 };
+
+// Relative day words in the languages we see most; these are cheap to recognise in any locale
+const RELATIVE_DAYS: Record<string, number> = {
+  today: 0,
+  tonight: 0,
+  tomorrow: 1,
+  tmr: 1,
+  tmrw: 1,
+  tmw: 1,
+  'day after tomorrow': 2,
+  'next week': 7,
+  heute: 0,
+  morgen: 1,
+  übermorgen: 2,
+  "aujourd'hui": 0,
+  demain: 1,
+  'après-demain': 2,
+  hoy: 0,
+  mañana: 1,
+  'pasado mañana': 2,
+  vandaag: 0,
+  overmorgen: 2,
+};
+
+const MAX_PHRASE_TOKENS = 3;
+
+const DATE_CONNECTORS = new Set(['on', 'by', 'due', 'until']);
+const TIME_CONNECTORS = new Set(['at', '@']);
+
+// Short weekday names that are also everyday words only count after "on", "by", "next" and so on
+const AMBIGUOUS_WEEKDAYS = new Set(['sun', 'sat', 'wed']);
+
+const ENGLISH_WEEKDAY_ABBREVIATIONS: Record<string, number> = {
+  tues: 2,
+  thur: 4,
+  thurs: 4,
+};
+
+const PRIORITY_WORDS: Record<string, TaskPriority> = {
+  low: TaskPriority.LOW,
+  l: TaskPriority.LOW,
+  '4': TaskPriority.LOW,
+  medium: TaskPriority.MEDIUM,
+  med: TaskPriority.MEDIUM,
+  m: TaskPriority.MEDIUM,
+  normal: TaskPriority.MEDIUM,
+  '3': TaskPriority.MEDIUM,
+  high: TaskPriority.HIGH,
+  h: TaskPriority.HIGH,
+  '2': TaskPriority.HIGH,
+  urgent: TaskPriority.URGENT,
+  u: TaskPriority.URGENT,
+  '1': TaskPriority.URGENT,
+};
+
+const PRIORITY_LABELS: Record<TaskPriority, string> = {
+  [TaskPriority.LOW]: 'Low priority',
+  [TaskPriority.MEDIUM]: 'Medium priority',
+  [TaskPriority.HIGH]: 'High priority',
+  [TaskPriority.URGENT]: 'Urgent',
+};
+
+const MINUTE_UNITS = new Set(['m', 'min', 'mins', 'minute', 'minutes']);
+const HOUR_UNITS = new Set(['h', 'hr', 'hrs', 'hour', 'hours']);
+const DAY_UNITS = new Set(['d', 'day', 'days']);
+const WEEK_UNITS = new Set(['w', 'wk', 'wks', 'week', 'weeks']);
+
+const DURATION_PATTERN = /^~?(\d+(?:[.,]\d+)?)([a-z]+)$/;
+const HOURS_AND_MINUTES_PATTERN = /^~?(\d{1,2})h(\d{1,2})(?:m|min)?$/;
+const MERIDIEM_TIME_PATTERN = /^(\d{1,2})(?::(\d{2}))?(am|pm|a|p|a\.m\.?|p\.m\.?)$/;
+const CLOCK_TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+const BARE_HOUR_PATTERN = /^(\d{1,2})$/;
+const MERIDIEM_PATTERN = /^(am|pm|a\.m\.?|p\.m\.?)$/;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+const DAY_OF_MONTH_PATTERN = /^(\d{1,2})(?:st|nd|rd|th|\.)?$/;
+
+const vocabularyCache = new Map<string, LocaleVocabulary>();
+
+const getDefaultLocale = (): string => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().locale;
+  } catch {
+    return 'en-US';
+  }
+};
+
+const stripDots = (name: string): string => name.toLowerCase().replace(/\./g, '');
+
+const buildLocaleVocabulary = (locale: string): LocaleVocabulary => {
+  const weekdays = new Map<string, number>();
+  const months = new Map<string, number>();
+  let dayFirst = false;
+  let dateSeparators = '/';
+  let hour12 = false;
+
+  // English names always work, so a typed "friday" is understood on any phone
+  for (const lang of Array.from(new Set(['en', locale]))) {
+    try {
+      for (const width of ['long', 'short'] as const) {
+        const weekdayFormat = new Intl.DateTimeFormat(lang, { weekday: width });
+        for (let day = 0; day < 7; day++) {
+          // 4 January 1970 was a Sunday
+          const name = stripDots(weekdayFormat.format(new Date(1970, 0, 4 + day)));
+          if (name.length >= 3 && !weekdays.has(name)) weekdays.set(name, day);
+        }
+
+        const monthFormat = new Intl.DateTimeFormat(lang, { month: width });
+        for (let month = 0; month < 12; month++) {
+          const name = stripDots(monthFormat.format(new Date(1970, month, 15)));
+          if (name.length >= 3 && !months.has(name)) months.set(name, month);
+        }
+      }
+    } catch {
+      // Unsupported locale: the English names are still there
+    }
+  }
+
+  for (const [name, day] of Object.entries(ENGLISH_WEEKDAY_ABBREVIATIONS)) {
+    weekdays.set(name, day);
+  }
+  // "sept" is common even though Intl abbreviates it "sep"
+  months.set('sept', 8);
+
+  try {
+    const parts = new Intl.DateTimeFormat(locale).formatToParts(new Date(2026, 11, 31));
+    const dayIndex = parts.findIndex((part) => part.type === 'day');
+    const monthIndex = parts.findIndex((part) => part.type === 'month');
+    dayFirst = dayIndex !== -1 && monthIndex !== -1 && dayIndex < monthIndex;
+    const separator = parts.find((part) => part.type === 'literal')?.value.trim();
+    if (separator && separator.length === 1 && separator !== '/') {
+      dateSeparators += separator;
+    }
+
+    hour12 = new Intl.DateTimeFormat(locale, { hour: 'numeric' }).resolvedOptions().hour12 ?? false;
+  } catch {
+    // Keep month-first dates and the 24-hour clock
+  }
+
+  return { weekdays, months, dayFirst, dateSeparators, hour12 };
+};
+
+const getLocaleVocabulary = (locale: string): LocaleVocabulary => {
+  let vocabulary = vocabularyCache.get(locale);
+  if (!vocabulary) {
+    vocabulary = buildLocaleVocabulary(locale);
+    vocabularyCache.set(locale, vocabulary);
+  }
+  return vocabulary;
+};
+
+const startOfDay = (date: Date): Date =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date: Date, days: number): Date => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+// A day and month without a year means the next time that date comes round
+const upcomingDate = (month: number, day: number, today: Date, year?: number): Date | null => {
+  const candidate = new Date(year ?? today.getFullYear(), month, day);
+  if (candidate.getMonth() !== month || candidate.getDate() !== day) {
+    return null;
+  }
+  if (year === undefined && candidate < today) {
+    candidate.setFullYear(candidate.getFullYear() + 1);
+  }
+  return candidate;
+};
+
+const toMinutes = (amount: number, unit: string): number | null => {
+  if (MINUTE_UNITS.has(unit)) return Math.round(amount);
+  if (HOUR_UNITS.has(unit)) return Math.round(amount * 60);
+  return null;
+};
+
+const parseAmount = (token: string | undefined): number | null => {
+  if (!token || !/^\d+(?:[.,]\d+)?$/.test(token)) return null;
+  return parseFloat(token.replace(',', '.'));
+};
+
+/**
+ * Turns quick capture text into task fields. Anything it doesn't recognise
+ * stays in the title, and each kind of field is only taken from its first
+ * mention so a second "tomorrow" reads as part of the title.
+ */
+export const parseQuickCapture = (
+  text: string,
+  options: QuickCaptureOptions = {},
+): ParsedQuickCapture => {
+  const now = options.now ?? new Date();
+  const today = startOfDay(now);
+  const vocabulary = getLocaleVocabulary(options.locale ?? getDefaultLocale());
+  const categories = options.categories ?? DEFAULT_CATEGORIES;
+
+  const rawTokens = text.trim().split(/\s+/).filter(Boolean);
+  const tokens = rawTokens.map((token) => token.toLowerCase().replace(/[,;!?]+$/, ''));
+  // "fri." reads as "fri", but the dot in "14.3." is part of the date
+  const words = tokens.map((token) => token.replace(/(\D)\.$/, '$1'));
+
+  const state: ParseState = {
+    day: null,
+    time: null,
+    instant: null,
+    tonight: false,
+    timeEstimate: null,
+    category: null,
+    priority: null,
+  };
+
+  const dayAvailable = () => state.day === null && state.instant === null;
+  const timeAvailable = () => state.time === null && state.instant === null;
+
+  const matchPriority: Matcher = (index) => {
+    if (state.priority) return 0;
+    const token = rawTokens[index].toLowerCase().replace(/[,;]+$/, '');
+    if (/^!{3,}$/.test(token)) {
+      state.priority = TaskPriority.URGENT;
+      return 1;
+    }
+    if (token === '!!') {
+      state.priority = TaskPriority.HIGH;
+      return 1;
+    }
+    const priority = /^!([a-z0-9]+)$/.exec(token)?.[1];
+    if (priority && PRIORITY_WORDS[priority]) {
+      state.priority = PRIORITY_WORDS[priority];
+      return 1;
+    }
+    return 0;
+  };
+
+  const matchCategory: Matcher = (index) => {
+    const tag = /^#(.+)$/.exec(words[index])?.[1];
+    if (!tag || state.category) return 0;
+    const key = tag.replace(/[\s_-]/g, '');
+    const category = categories.find(
+      (candidate) =>
+        candidate.id.toLowerCase() === tag ||
+        candidate.label.toLowerCase().replace(/[\s_-]/g, '') === key,
+    );
+    if (!category) return 0;
+    state.category = category.id;
+    return 1;
+  };
+
+  // "in 3 days", "in 2 hours", "in 30m"
+  const matchRelativeOffset: Matcher = (index) => {
+    if (words[index] !== 'in' || !dayAvailable() || !timeAvailable()) return 0;
+
+    const next = words[index + 1];
+    let amount = next === 'a' || next === 'an' ? 1 : parseAmount(next);
+    let unit = words[index + 2];
+    let length = 3;
+    if (amount === null) {
+      const compact = DURATION_PATTERN.exec(words[index + 1] ?? '');
+      if (!compact) return 0;
+      amount = parseFloat(compact[1].replace(',', '.'));
+      unit = compact[2];
+      length = 2;
+    }
+    if (!unit || amount <= 0) return 0;
+
+    const minutes = toMinutes(amount, unit);
+    if (minutes !== null) {
+      state.instant = new Date(now.getTime() + minutes * 60 * 1000);
+      return length;
+    }
+    if (Number.isInteger(amount) && DAY_UNITS.has(unit)) {
+      state.day = addDays(today, amount);
+      return length;
+    }
+    if (Number.isInteger(amount) && WEEK_UNITS.has(unit)) {
+      state.day = addDays(today, amount * 7);
+      return length;
+    }
+    return 0;
+  };
+
+  const matchRelativeDay: Matcher = (index) => {
+    if (!dayAvailable()) return 0;
+    for (let length = MAX_PHRASE_TOKENS; length >= 1; length--) {
+      const phrase = words.slice(index, index + length).join(' ');
+      if (index + length <= words.length && phrase in RELATIVE_DAYS) {
+        state.day = addDays(today, RELATIVE_DAYS[phrase]);
+        state.tonight = phrase === 'tonight';
+        return length;
+      }
+    }
+    return 0;
+  };
+
+  // "friday" is the coming Friday (today if it is Friday), "next friday" never today
+  const matchWeekday = (index: number, afterConnector: boolean): number => {
+    if (!dayAvailable()) return 0;
+    let offset = 0;
+    let skipToday = false;
+    if (words[index] === 'next' || words[index] === 'this') {
+      skipToday = words[index] === 'next';
+      offset = 1;
+    }
+    const name = words[index + offset];
+    const weekday = name !== undefined ? vocabulary.weekdays.get(name) : undefined;
+    if (weekday === undefined) return 0;
+    if (AMBIGUOUS_WEEKDAYS.has(name) && offset === 0 && !afterConnector) return 0;
+
+    let days = (weekday - today.getDay() + 7) % 7;
+    if (days === 0 && skipToday) days = 7;
+    state.day = addDays(today, days);
+    return offset + 1;
+  };
+
+  // "march 14", "14 march", "14. März", "mar 3rd"
+  const matchMonthDay: Matcher = (index) => {
+    if (!dayAvailable()) return 0;
+    const first = words[index];
+    const second = words[index + 1];
+    if (second === undefined) return 0;
+
+    let month = vocabulary.months.get(first);
+    let dayToken = second;
+    if (month === undefined) {
+      month = vocabulary.months.get(second.replace(/\.$/, ''));
+      dayToken = tokens[index]!;
+    }
+    const day = DAY_OF_MONTH_PATTERN.exec(dayToken)?.[1];
+    if (month === undefined || !day) return 0;
+
+    const date = upcomingDate(month, parseInt(day, 10), today);
+    if (!date) return 0;
+    state.day = date;
+    return 2;
+  };
+
+  // "2026-03-14" anywhere, plus "3/14" or "14/3" (and "14.3.") in the locale's day/month order
+  const matchNumericDate: Matcher = (index) => {
+    if (!dayAvailable()) return 0;
+    const token = tokens[index];
+
+    const iso = ISO_DATE_PATTERN.exec(token);
+    if (iso) {
+      const date = upcomingDate(
+        parseInt(iso[2], 10) - 1,
+        parseInt(iso[3], 10),
+        today,
+        parseInt(iso[1], 10),
+      );
+      if (!date) return 0;
+      state.day = date;
+      return 1;
+    }
+
+    const separators = vocabulary.dateSeparators.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+    const numeric = new RegExp(
+      `^(\\d{1,2})[${separators}](\\d{1,2})(?:[${separators}](\\d{2}|\\d{4}))?\\.?$`,
+    ).exec(token);
+    if (!numeric) return 0;
+
+    const [first, second] = [parseInt(numeric[1], 10), parseInt(numeric[2], 10)];
+    const [day, month] = vocabulary.dayFirst ? [first, second] : [second, first];
+    const year = numeric[3]
+      ? parseInt(numeric[3], 10) + (numeric[3].length === 2 ? 2000 : 0)
+      : undefined;
+    const date = upcomingDate(month - 1, day, today, year);
+    if (!date) return 0;
+    state.day = date;
+    return 1;
+  };
+
+  const toTimeOfDay = (hours: number, minutes: number, meridiem?: string): TimeOfDay | null => {
+    if (minutes > 59) return null;
+    if (meridiem) {
+      if (hours < 1 || hours > 12) return null;
+      const pm = meridiem.startsWith('p');
+      return { hours: (hours % 12) + (pm ? 12 : 0), minutes };
+    }
+    return hours <= 23 ? { hours, minutes } : null;
+  };
+
+  // Without am/pm, "at 3" on a 12-hour clock means the afternoon; nobody plans tasks for 3am
+  const guessHalfOfDay = (time: TimeOfDay): TimeOfDay => {
+    if (vocabulary.hour12 && time.hours >= 1 && time.hours < 8) {
+      return { ...time, hours: time.hours + 12 };
+    }
+    return time;
+  };
+
+  const matchTime = (index: number, afterConnector: boolean): number => {
+    if (!timeAvailable()) return 0;
+    const token = words[index].replace(/^@/, '');
+    const atSign = words[index].startsWith('@');
+    let time: TimeOfDay | null = null;
+    let length = 1;
+
+    if (token === 'noon' || token === 'midday') {
+      time = { hours: 12, minutes: 0 };
+    } else if (token === 'midnight') {
+      time = { hours: 23, minutes: 59 };
+    } else {
+      const meridiemTime = MERIDIEM_TIME_PATTERN.exec(token);
+      const clockTime = CLOCK_TIME_PATTERN.exec(token);
+      const bareHour = BARE_HOUR_PATTERN.exec(token);
+      const nextMeridiem = MERIDIEM_PATTERN.exec(words[index + 1] ?? '');
+
+      if (meridiemTime) {
+        time = toTimeOfDay(
+          parseInt(meridiemTime[1], 10),
+          parseInt(meridiemTime[2] ?? '0', 10),
+          meridiemTime[3],
+        );
+      } else if ((clockTime || bareHour) && nextMeridiem) {
+        // "3 pm", "3:30 pm"
+        time = toTimeOfDay(
+          parseInt((clockTime ?? bareHour)![1], 10),
+          parseInt(clockTime?.[2] ?? '0', 10),
+          nextMeridiem[1],
+        );
+        length = 2;
+      } else if (clockTime) {
+        time = toTimeOfDay(parseInt(clockTime[1], 10), parseInt(clockTime[2], 10));
+        if (time) time = guessHalfOfDay(time);
+      } else if (bareHour && (afterConnector || atSign)) {
+        time = toTimeOfDay(parseInt(bareHour[1], 10), 0);
+        if (time) time = guessHalfOfDay(time);
+      }
+    }
+
+    if (!time) return 0;
+    state.time = time;
+    return length;
+  };
+
+  const matchDuration: Matcher = (index) => {
+    if (state.timeEstimate !== null) return 0;
+    const token = words[index];
+    let minutes: number | null = null;
+    let length = 1;
+
+    const hoursAndMinutes = HOURS_AND_MINUTES_PATTERN.exec(token);
+    const compact = DURATION_PATTERN.exec(token);
+    const amount = parseAmount(token.replace(/^~/, ''));
+    if (hoursAndMinutes) {
+      minutes = parseInt(hoursAndMinutes[1], 10) * 60 + parseInt(hoursAndMinutes[2], 10);
+    } else if (compact) {
+      minutes = toMinutes(parseFloat(compact[1].replace(',', '.')), compact[2]);
+    } else if (amount !== null && words[index + 1] !== undefined) {
+      // "15 min", "2 hours"
+      minutes = toMinutes(amount, words[index + 1]);
+      length = 2;
+    }
+
+    if (minutes === null || minutes <= 0) return 0;
+    state.timeEstimate = minutes;
+    return length;
+  };
+
+  // Month names go before weekdays: "mar 14" is March even where "mar" is also Tuesday
+  const matchDate = (index: number, afterConnector: boolean): number =>
+    matchRelativeDay(index) ||
+    matchMonthDay(index) ||
+    matchWeekday(index, afterConnector) ||
+    matchNumericDate(index);
+
+  // "on friday", "by tomorrow", "by 5pm", "at 3"
+  const matchWithConnector: Matcher = (index) => {
+    const word = words[index];
+    if (index + 1 >= words.length) return 0;
+    if (DATE_CONNECTORS.has(word)) {
+      const length = matchDate(index + 1, true) || matchTime(index + 1, false);
+      return length ? length + 1 : 0;
+    }
+    if (TIME_CONNECTORS.has(word)) {
+      const length = matchTime(index + 1, true);
+      return length ? length + 1 : 0;
+    }
+    return 0;
+  };
+
+  const matchers: Matcher[] = [
+    matchPriority,
+    matchCategory,
+    matchWithConnector,
+    matchRelativeOffset,
+    (index) => matchDate(index, false),
+    (index) => matchTime(index, false),
+    matchDuration,
+  ];
+
+  const titleTokens: string[] = [];
+  let index = 0;
+  while (index < tokens.length) {
+    let length = 0;
+    for (const matcher of matchers) {
+      length = matcher(index);
+      if (length) break;
+    }
+    if (length) {
+      index += length;
+    } else {
+      titleTokens.push(rawTokens[index]);
+      index += 1;
+    }
+  }
+
+  let dueDate: Date | null = null;
+  let hasDueTime = false;
+  if (state.instant) {
+    dueDate = state.instant;
+    hasDueTime = true;
+  } else if (state.day || state.time) {
+    let time = state.time ?? (state.tonight ? TONIGHT : END_OF_DAY);
+    if (state.tonight && time.hours < 12) {
+      time = { ...time, hours: time.hours + 12 };
+    }
+    dueDate = new Date(state.day ?? today);
+    dueDate.setHours(time.hours, time.minutes, 0, 0);
+    // A time on its own means the next time the clock shows it
+    if (!state.day && dueDate <= now) {
+      dueDate = addDays(dueDate, 1);
+    }
+    hasDueTime = state.time !== null || state.tonight;
+  }
+
+  return {
+    title: titleTokens.join(' '),
+    dueDate,
+    hasDueTime,
+    timeEstimate: state.timeEstimate,
+    category: state.category,
+    priority: state.priority,
+  };
+};
+
+export const formatTimeEstimate = (minutes: number): string => {
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours} hr ${rest} min` : `${hours} hr`;
+};
+
+export const formatQuickCaptureDueDate = (
+  dueDate: Date,
+  hasDueTime: boolean,
+  options: Pick<QuickCaptureOptions, 'now' | 'locale'> = {},
+): string => {
+  const now = options.now ?? new Date();
+  const days = Math.round(
+    (startOfDay(dueDate).getTime() - startOfDay(now).getTime()) / (24 * 60 * 60 * 1000),
+  );
+
+  let day: string;
+  if (days === 0) day = 'Today';
+  else if (days === 1) day = 'Tomorrow';
+  else {
+    day = dueDate.toLocaleDateString(options.locale, {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+    });
+  }
+
+  if (!hasDueTime) return day;
+  return `${day} ${dueDate.toLocaleTimeString(options.locale, { hour: 'numeric', minute: '2-digit' })}`;
+};
+
+/**
+ * The fields quick capture found, worded for the live preview under the title
+ */
+export const describeQuickCapture = (
+  parsed: ParsedQuickCapture,
+  options: QuickCaptureOptions = {},
+): QuickCapturePreviewItem[] => {
+  const items: QuickCapturePreviewItem[] = [];
+  const categories = options.categories ?? DEFAULT_CATEGORIES;
+
+  if (parsed.dueDate) {
+    items.push({
+      field: 'dueDate',
+      label: formatQuickCaptureDueDate(parsed.dueDate, parsed.hasDueTime, options),
+    });
+  }
+  if (parsed.timeEstimate !== null) {
+    items.push({ field: 'timeEstimate', label: formatTimeEstimate(parsed.timeEstimate) });
+  }
+  const category = categories.find((candidate) => candidate.id === parsed.category);
+  if (category) {
+    items.push({ field: 'category', label: `${category.icon} ${category.label}` });
+  }
+  if (parsed.priority) {
+    items.push({ field: 'priority', label: PRIORITY_LABELS[parsed.priority] });
+  }
+
+  return items;
+};
@@ -0,0 +1,263 @@
+// ABOUTME: Recurrence rule utilities for repeating tasks like daily meds or weekly bin night
+// Creates, validates and describes rules and computes when the next occurrence is due
+
+import type { RecurrenceRule, Task } from '../types/task.types';
+import { RecurrenceFrequency } from '../types/task.types';
+import type { ValidationResult } from './UserModel';
+import { createTask } from './TaskModel';
+
+export const createRecurrenceRule = (
+  frequency: RecurrenceFrequency,
+  options: Partial<Omit<RecurrenceRule, 'frequency'>> = {},
+): RecurrenceRule => {
+  return {
+    frequency,
+    interval: frequency === RecurrenceFrequency.DAILY ? 1 : (options.interval ?? 1),
+    dayOfMonth: frequency === RecurrenceFrequency.MONTHLY ? (options.dayOfMonth ?? 1) : null,
+  };
+};
+
+export const validateRecurrenceRule = (rule: Partial<RecurrenceRule>): ValidationResult => {
+  const errors: string[] = [];
+
+  if (!rule || typeof rule !== 'object') {
+    return {
+      isValid: false,
+      errors: ['Invalid recurrence rule'],
+    };
+  }
+
+  if (!rule.frequency || !Object.values(RecurrenceFrequency).includes(rule.frequency)) {
+    errors.push('Invalid recurrence frequency');
+  }
+
+  if (typeof rule.interval !== 'number' || !Number.isInteger(rule.interval) || rule.interval < 1) {
+    errors.push('Interval must be a whole number of at least 1');
+  }
+
+  if (rule.frequency === RecurrenceFrequency.MONTHLY) {
+    if (
+      typeof rule.dayOfMonth !== 'number' ||
+      !Number.isInteger(rule.dayOfMonth) ||
+      rule.dayOfMonth < 1 ||
+      rule.dayOfMonth > 31
+    ) {
+      errors.push('Day of month must be between 1 and 31');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
+export const isRecurring = (task: Task): boolean => {
+  return task.recurrence !== null && task.recurrence !== undefined;
+};
+
+export const getSeriesId = (task: Task): string => {
+  return task.seriesId ?? task.id;
+};
+
+export const isSameSeries = (a: Task, b: Task): boolean => {
+  return isRecurring(a) && isRecurring(b) && getSeriesId(a) === getSeriesId(b);
+};
+
+/**
+ * The other open instances of a task's series. A series only ever has one open
+ * instance, so un-completing an instance has to remove the one its completion spawned.
+ */
+export const getOpenSeriesInstances = (task: Task, tasks: Task[]): Task[] => {
+  return tasks.filter(
+    (other) => other.id !== task.id && !other.completed && isSameSeries(other, task),
+  );
+};
+
+const addDays = (date: Date, days: number): Date => {
+  // Calendar days rather than 24h blocks so the time of day survives DST changes
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+const isWeekday = (date: Date): boolean => {
+  const day = date.getDay();
+  return day !== 0 && day !== 6;
+};
+
+const getDateInMonth = (from: Date, monthOffset: number, dayOfMonth: number): Date => {
+  // Clamp to the last day of the month so "the 31st" still fires in shorter months
+  const date = new Date(from);
+  date.setDate(1);
+  date.setMonth(date.getMonth() + monthOffset);
+  const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  date.setDate(Math.min(dayOfMonth, daysInMonth));
+  return date;
+};
+
+const getMonthlyDate = (from: Date, dayOfMonth: number): Date => {
+  const thisMonth = getDateInMonth(from, 0, dayOfMonth);
+  return thisMonth.getTime() > from.getTime() ? thisMonth : getDateInMonth(from, 1, dayOfMonth);
+};
+
+const stepOccurrence = (rule: RecurrenceRule, from: Date): Date => {
+  switch (rule.frequency) {
+    case RecurrenceFrequency.DAILY:
+      return addDays(from, 1);
+    case RecurrenceFrequency.WEEKDAYS: {
+      let next = addDays(from, 1);
+      while (!isWeekday(next)) {
+        next = addDays(next, 1);
+      }
+      return next;
+    }
+    case RecurrenceFrequency.MONTHLY:
+      return getMonthlyDate(from, rule.dayOfMonth ?? 1);
+    case RecurrenceFrequency.EVERY_N_DAYS:
+    case RecurrenceFrequency.AFTER_COMPLETION:
+    default:
+      return addDays(from, Math.max(1, rule.interval));
+  }
+};
+
+/**
+ * Computes when the occurrence after `task` is due.
+ * Calendar-based rules step forward from the previous due date, skipping any
+ * occurrences that were already missed so a late completion doesn't leave a
+ * pile of overdue copies. AFTER_COMPLETION rules count from when it was done.
+ */
+export const getNextOccurrence = (
+  rule: RecurrenceRule,
+  task: Pick<Task, 'dueDate' | 'completedAt'>,
+  now: Date = new Date(),
+): Date => {
+  const completedAt = task.completedAt ? new Date(task.completedAt) : now;
+
+  if (rule.frequency === RecurrenceFrequency.AFTER_COMPLETION) {
+    return stepOccurrence(rule, completedAt);
+  }
+
+  const anchor = task.dueDate ? new Date(task.dueDate) : completedAt;
+  let next = stepOccurrence(rule, anchor);
+  while (next.getTime() <= completedAt.getTime()) {
+    next = stepOccurrence(rule, next);
+  }
+  return next;
+};
+
+export const createNextOccurrence = (task: Task, now: Date = new Date()): Task | null => {
+  if (!task.recurrence) {
+    return null;
+  }
+
+  const dueDate = getNextOccurrence(task.recurrence, task, now);
+
+  // Keep start times and reminders the same distance ahead of the due date
+  const keepLeadTime = (time: Date | null): Date | null => {
+    if (!time || !task.dueDate) {
+      return null;
+    }
+    const leadTime = new Date(task.dueDate).getTime() - new Date(time).getTime();
+    return new Date(dueDate.getTime() - leadTime);
+  };
+
+  return createTask({
+    title: task.title,
+    description: task.description,
+    category: task.category,
+    priority: task.priority,
+    timeEstimate: task.timeEstimate,
+    assignedBy: task.assignedBy,
+    assignedTo: task.assignedTo,
+    // An assigned series the assignee took on stays taken on
+    assignmentStatus: task.assignmentStatus,
+    userId: task.userId,
+    dueDate,
+    preferredStartTime: keepLeadTime(task.preferredStartTime),
+    recurrence: task.recurrence,
+    seriesId: getSeriesId(task),
+    reminder1: keepLeadTime(task.reminder1),
+    reminder2: keepLeadTime(task.reminder2),
+    reminderCustom: keepLeadTime(task.reminderCustom),
+  });
+};
+
+const getOrdinal = (n: number): string => {
+  const remainder = n % 100;
+  if (remainder >= 11 && remainder <= 13) {
+    return `${n}th`;
+  }
+  switch (n % 10) {
+    case 1:
+      return `${n}st`;
+    case 2:
+      return `${n}nd`;
+    case 3:
+      return `${n}rd`;
+    default:
+      return `${n}th`;
+  }
+};
+
+export const describeRecurrence = (rule: RecurrenceRule): string => {
+  switch (rule.frequency) {
+    case RecurrenceFrequency.DAILY:
+      return 'Every day';
+    case RecurrenceFrequency.WEEKDAYS:
+      return 'Every weekday';
+    case RecurrenceFrequency.EVERY_N_DAYS:
+      return rule.interval === 1 ? 'Every day' : `Every ${rule.interval} days`;
+    case RecurrenceFrequency.MONTHLY:
+      return `Monthly on the ${getOrdinal(rule.dayOfMonth ?? 1)}`;
+    case RecurrenceFrequency.AFTER_COMPLETION:
+      return rule.interval === 1
+        ? '1 day after completion'
+        : `${rule.interval} days after completion`;
+    default:
+      return 'Repeats';
+  }
+};
+
+export const getSeriesCompletionCount = (task: Task, tasks: Task[]): number => {
+  if (!isRecurring(task)) {
+    return 0;
+  }
+  return tasks.filter((other) => other.completed && isSameSeries(task, other)).length;
+};
+
+/**
+ * Shows one entry per recurring series: the open instance if there is one,
+ * otherwise the most recently completed. One-off tasks pass through untouched.
+ */
+export const collapseRecurringSeries = (tasks: Task[]): Task[] => {
+  const representatives = new Map<string, Task>();
+
+  for (const task of tasks) {
+    if (!isRecurring(task)) continue;
+    const seriesId = getSeriesId(task);
+    const current = representatives.get(seriesId);
+    if (!current || isBetterRepresentative(task, current)) {
+      representatives.set(seriesId, task);
+    }
+  }
+
+  return tasks.filter(
+    (task) => !isRecurring(task) || representatives.get(getSeriesId(task)) === task,
+  );
+};
+
+const isBetterRepresentative = (candidate: Task, current: Task): boolean => {
+  if (candidate.completed !== current.completed) {
+    return !candidate.completed;
+  }
+  if (!candidate.completed) {
+    // Prefer the earliest open instance
+    const candidateDue = candidate.dueDate ? new Date(candidate.dueDate).getTime() : Infinity;
+    const currentDue = current.dueDate ? new Date(current.dueDate).getTime() : Infinity;
+    return candidateDue < currentDue;
+  }
+  const candidateDone = candidate.completedAt ? new Date(candidate.completedAt).getTime() : 0;
+  const currentDone = current.completedAt ? new Date(current.completedAt).getTime() : 0;
+  return candidateDone > currentDone;
+};
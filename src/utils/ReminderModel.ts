@@ -0,0 +1,103 @@
+// ABOUTME: Reminder model utilities for turning presets and picked times into task reminders
+// A task has two quick reminders (reminder1/reminder2) and one custom reminder
+
+import type { Task, ReminderPreset } from '../types/task.types';
+
+export const REMINDER_SLOTS = ['reminder1', 'reminder2', 'reminderCustom'] as const;
+
+export type ReminderSlot = (typeof REMINDER_SLOTS)[number];
+
+// Quick reminders fill reminder1 and reminder2
+export const MAX_PRESET_REMINDERS = 2;
+
+export interface TaskReminderTime {
+  slot: ReminderSlot;
+  remindAt: Date;
+}
+
+export const getPresetReminderTime = (preset: ReminderPreset, now: Date = new Date()): Date => {
+  if (preset.minutesFromNow !== null) {
+    return new Date(now.getTime() + preset.minutesFromNow * 60 * 1000);
+  }
+
+  const tomorrow = new Date(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  tomorrow.setHours(preset.hourTomorrow ?? 9, 0, 0, 0);
+  return tomorrow;
+};
+
+/**
+ * Turn the picked quick reminders into reminder1/reminder2, earliest first
+ */
+export const applyReminderPresets = (
+  presets: ReminderPreset[],
+  now: Date = new Date(),
+): Pick<Task, 'reminder1' | 'reminder2'> => {
+  const times = presets
+    .slice(0, MAX_PRESET_REMINDERS)
+    .map((preset) => getPresetReminderTime(preset, now))
+    .sort((a, b) => a.getTime() - b.getTime());
+
+  return {
+    reminder1: times[0] ?? null,
+    reminder2: times[1] ?? null,
+  };
+};
+
+/**
+ * Next time the clock shows the picked hour and minute: today, or tomorrow if it has passed
+ */
+export const getNextTimeOfDay = (picked: Date, now: Date = new Date()): Date => {
+  const next = new Date(now);
+  next.setHours(picked.getHours(), picked.getMinutes(), 0, 0);
+  if (next.getTime() <= now.getTime()) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next;
+};
+
+export const getTaskReminderTimes = (task: Task): TaskReminderTime[] => {
+  const times: TaskReminderTime[] = [];
+  for (const slot of REMINDER_SLOTS) {
+    const value = task[slot];
+    if (value) {
+      times.push({ slot, remindAt: new Date(value) });
+    }
+  }
+  return times;
+};
+
+/**
+ * Put a new quick reminder into the first free quick slot, or the later one when both are taken
+ */
+export const addQuickReminder = (
+  task: Pick<Task, 'reminder1' | 'reminder2'>,
+  remindAt: Date,
+): Pick<Task, 'reminder1' | 'reminder2'> => {
+  const times = [task.reminder1, task.reminder2]
+    .filter((time): time is Date => time !== null)
+    .map((time) => new Date(time));
+
+  if (times.length >= MAX_PRESET_REMINDERS) {
+    times.sort((a, b) => a.getTime() - b.getTime()).pop();
+  }
+  times.push(remindAt);
+  times.sort((a, b) => a.getTime() - b.getTime());
+
+  return {
+    reminder1: times[0] ?? null,
+    reminder2: times[1] ?? null,
+  };
+};
+
+export const formatReminderTime = (remindAt: Date, now: Date = new Date()): string => {
+  const time = remindAt.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+  const startOfDay = (date: Date) =>
+    new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+  const days = Math.round((startOfDay(remindAt) - startOfDay(now)) / (24 * 60 * 60 * 1000));
+
+  if (days === 0) return `Today ${time}`;
+  if (days === 1) return `Tomorrow ${time}`;
+  return `${remindAt.toLocaleDateString()} ${time}`;
+};
@@ -0,0 +1,123 @@
+// ABOUTME: Daily streak rules: calendar days in the user's time zone and streak freezes for missed days
+// Mirrors record_streak_day in 011_streaks.sql so the device can update a streak while offline
+
+export interface StreakState {
+  current: number;
+  best: number;
+  lastDay: string | null; // YYYY-MM-DD in the user's time zone, the last day that counted
+  freezes: number; // Each one covers a single missed day
+}
+
+export interface StreakStatus extends StreakState {
+  countedToday: boolean;
+  // Missed days since lastDay that freezes will cover on the next completion
+  frozenDays: number;
+}
+
+// Enough to skip a weekend without losing the streak
+export const MAX_STREAK_FREEZES = 2;
+// Everyone starts with one so a single missed day is always forgiven
+export const STARTING_STREAK_FREEZES = 1;
+// Keeping a streak going this many days earns another freeze
+export const STREAK_FREEZE_EVERY_DAYS = 7;
+
+export const EMPTY_STREAK: StreakState = {
+  current: 0,
+  best: 0,
+  lastDay: null,
+  freezes: STARTING_STREAK_FREEZES,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value: number): string => String(value).padStart(2, '0');
+
+/**
+ * The calendar day a moment falls on in a time zone, as YYYY-MM-DD. Uses the
+ * device's zone when none is given or the given one isn't recognised.
+ */
+export const getLocalDay = (date: Date, timeZone?: string | null): string => {
+  if (timeZone) {
+    try {
+      // en-CA formats dates as YYYY-MM-DD
+      return new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+      }).format(date);
+    } catch {
+      // Unknown zone; fall through to the device's
+    }
+  }
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Whole calendar days from one YYYY-MM-DD day to another
+ */
+export const daysBetween = (from: string, to: string): number => {
+  const toUTC = (day: string) => {
+    const [year, month, date] = day.split('-').map(Number);
+    return Date.UTC(year, month - 1, date);
+  };
+  return Math.round((toUTC(to) - toUTC(from)) / DAY_MS);
+};
+
+/**
+ * Count a day with a completed task. Missed days since the last one use up a
+ * freeze each; when there aren't enough freezes the streak starts again.
+ * Days at or before the last counted day change nothing, so replaying an
+ * old completion after a sync is harmless.
+ */
+export const recordStreakDay = (state: StreakState, day: string): StreakState => {
+  if (state.lastDay && daysBetween(state.lastDay, day) <= 0) {
+    return state;
+  }
+
+  const missed = state.lastDay ? daysBetween(state.lastDay, day) - 1 : 0;
+  const kept = state.lastDay !== null && missed <= state.freezes;
+  const current = kept ? state.current + 1 : 1;
+  let freezes = kept ? state.freezes - missed : state.freezes;
+
+  if (current % STREAK_FREEZE_EVERY_DAYS === 0) {
+    freezes = Math.min(MAX_STREAK_FREEZES, freezes + 1);
+  }
+
+  return {
+    current,
+    best: Math.max(state.best, current),
+    lastDay: day,
+    freezes,
+  };
+};
+
+/**
+ * The streak as of a given day. A streak with more missed days than freezes
+ * is already lost, even though nothing has been recorded since.
+ */
+export const getStreakStatus = (state: StreakState, today: string): StreakStatus => {
+  if (!state.lastDay) {
+    return { ...state, current: 0, countedToday: false, frozenDays: 0 };
+  }
+
+  const missed = Math.max(0, daysBetween(state.lastDay, today) - 1);
+  const lost = missed > state.freezes;
+
+  return {
+    ...state,
+    current: lost ? 0 : state.current,
+    countedToday: daysBetween(state.lastDay, today) === 0,
+    frozenDays: lost ? 0 : missed,
+  };
+};
+
+/**
+ * Pick between the device's copy and the server's. The one that has seen the
+ * later day wins; on the same day the server's is kept.
+ */
+export const pickLatestStreak = (local: StreakState, remote: StreakState): StreakState => {
+  if (!local.lastDay) return remote;
+  if (!remote.lastDay) return local;
+  return daysBetween(remote.lastDay, local.lastDay) > 0 ? local : remote;
+};
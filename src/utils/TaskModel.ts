@@ -1,12 +1,17 @@
 // ABOUTME: Task model utilities for creating and validating tasks
 // Provides functions to create tasks with proper structure and validate task data
 
-import type { Task, TaskEncouragement } from '../types/task.types';
+import type { Task, TaskEncouragement, TaskTreeNode, SubtaskProgress } from '../types/task.types';
 import { TaskStatus, TaskPriority } from '../types/task.types';
 import type { ValidationResult } from './UserModel';
 
+// UUID v4 so tasks created offline keep the same id once they reach Supabase
 export const generateTaskId = (): string => {
-  return `task_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = (Math.random() * 16) | 0;
+    const v = c === 'x' ? r : (r & 0x3) | 0x8;
+    return v.toString(16);
+  });
 };
 
 export const createTask = (taskData: Partial<Task> = {}): Task => {
@@ -40,9 +45,41 @@ export const createTask = (taskData: Partial<Task> = {}): Task => {
     },
     encouragementReceived: [],
     userId: taskData.userId ?? null, // User ID who owns the task
+    // Task breakdown fields
+    parentId: taskData.parentId ?? null,
+    sortOrder: taskData.sortOrder ?? 0,
+    // Recurrence fields
+    recurrence: taskData.recurrence ?? null,
+    seriesId: taskData.seriesId ?? null,
+    // Reminder fields
+    reminder1: taskData.reminder1 ?? null,
+    reminder2: taskData.reminder2 ?? null,
+    reminderCustom: taskData.reminderCustom ?? null,
+    inbox: taskData.inbox ?? false,
+    assignmentStatus: taskData.assignmentStatus ?? null,
+    assignmentNote: taskData.assignmentNote ?? null,
+    counterTimeEstimate: taskData.counterTimeEstimate ?? null,
+    counterDueDate: taskData.counterDueDate ?? null,
   };
 };
 
+export const createSubtask = (
+  parent: Task,
+  taskData: Partial<Task> = {},
+  sortOrder: number = 0,
+): Task => {
+  return createTask({
+    category: parent.category,
+    priority: parent.priority,
+    userId: parent.userId,
+    assignedBy: parent.assignedBy,
+    assignedTo: parent.assignedTo,
+    ...taskData,
+    parentId: parent.id,
+    sortOrder,
+  });
+};
+
 export const validateTask = (task: Partial<Task>): ValidationResult => {
   const errors: string[] = [];
 
@@ -177,3 +214,65 @@ export const getTimeUntilDue = (task: Task): number | null => {
   const due = new Date(task.dueDate);
   return due.getTime() - now.getTime();
 };
+
+export const isSubtask = (task: Task): boolean => {
+  return Boolean(task.parentId);
+};
+
+export const sortSubtasks = (subtasks: Task[]): Task[] => {
+  return [...subtasks].sort((a, b) => {
+    const orderDiff = (a.sortOrder ?? 0) - (b.sortOrder ?? 0);
+    if (orderDiff !== 0) return orderDiff;
+    return new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime();
+  });
+};
+
+export const getSubtasks = (parentId: string, tasks: Task[]): Task[] => {
+  return sortSubtasks(tasks.filter((task) => task.parentId === parentId));
+};
+
+export const getNextSortOrder = (subtasks: Task[]): number => {
+  if (subtasks.length === 0) return 0;
+  return Math.max(...subtasks.map((task) => task.sortOrder ?? 0)) + 1;
+};
+
+export const buildTaskTree = (tasks: Task[]): TaskTreeNode[] => {
+  const taskIds = new Set(tasks.map((task) => task.id));
+  const childrenByParent = new Map<string, Task[]>();
+
+  for (const task of tasks) {
+    if (task.parentId && taskIds.has(task.parentId)) {
+      const siblings = childrenByParent.get(task.parentId) ?? [];
+      siblings.push(task);
+      childrenByParent.set(task.parentId, siblings);
+    }
+  }
+
+  const buildNode = (task: Task, visited: Set<string>): TaskTreeNode => {
+    // Guard against cycles in malformed data
+    const nextVisited = new Set(visited).add(task.id);
+    const children = sortSubtasks(childrenByParent.get(task.id) ?? []).filter(
+      (child) => !nextVisited.has(child.id),
+    );
+    return {
+      task,
+      children: children.map((child) => buildNode(child, nextVisited)),
+    };
+  };
+
+  // Tasks whose parent is not in the list are treated as roots
+  return tasks
+    .filter((task) => !task.parentId || !taskIds.has(task.parentId))
+    .map((task) => buildNode(task, new Set()));
+};
+
+export const getSubtaskProgress = (subtasks: Task[]): SubtaskProgress => {
+  return {
+    completed: subtasks.filter((task) => task.completed).length,
+    total: subtasks.length,
+  };
+};
+
+export const areAllSubtasksComplete = (subtasks: Task[]): boolean => {
+  return subtasks.length > 0 && subtasks.every((task) => task.completed);
+};
@@ -0,0 +1,111 @@
+// ABOUTME: Tests for the achievements catalog and unlock rules
+// Verifies the stats each achievement counts, idempotent unlocks and gallery ordering
+
+import {
+  ACHIEVEMENTS,
+  findNewUnlocks,
+  getAchievement,
+  getAchievementProgress,
+  getAchievementStats,
+  mergeAchievementUnlocks,
+} from '../AchievementModel';
+import { createTask } from '../TaskModel';
+
+describe('AchievementModel', () => {
+  const done = (overrides = {}) => ({
+    ...createTask({ title: 'Task', ...overrides }),
+    completed: true,
+    completedAt: new Date(2026, 2, 4, 10, 0),
+    xpEarned: 10,
+    ...overrides,
+  });
+
+  const emptyStats = {
+    tasksCompleted: 0,
+    bestStreak: 0,
+    totalXP: 0,
+    accurateEstimates: 0,
+    tasksBrokenDown: 0,
+    onTimeFinishes: 0,
+  };
+
+  it('should give every achievement a unique id and a positive target', () => {
+    const ids = ACHIEVEMENTS.map((achievement) => achievement.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(ACHIEVEMENTS.every((achievement) => achievement.target > 0)).toBe(true);
+    expect(getAchievement('first_task').title).toBe('First Step');
+  });
+
+  describe('getAchievementStats', () => {
+    it('should count finished tasks, XP, estimates, breakdowns and deadlines met', () => {
+      const parent = done({ timeEstimate: 30, timeSpent: 32, dueDate: new Date(2026, 2, 5) });
+      const tasks = [
+        parent,
+        done({ parentId: parent.id, xpEarned: 5 }),
+        done({ timeEstimate: 30, timeSpent: 60, dueDate: new Date(2026, 2, 3) }),
+        createTask({ title: 'Open', xpEarned: 0 }),
+      ];
+
+      expect(getAchievementStats(tasks, { bestStreak: 4 })).toEqual({
+        tasksCompleted: 2,
+        bestStreak: 4,
+        totalXP: 25,
+        accurateEstimates: 1,
+        tasksBrokenDown: 1,
+        onTimeFinishes: 1,
+      });
+    });
+  });
+
+  describe('findNewUnlocks', () => {
+    it('should unlock everything the stats reach', () => {
+      const unlocked = findNewUnlocks({ ...emptyStats, tasksCompleted: 10, bestStreak: 3 }, []);
+
+      expect(unlocked.map(({ id }) => id)).toEqual(['first_task', 'tasks_10', 'streak_3']);
+    });
+
+    it('should never return an achievement that is already unlocked', () => {
+      const stats = { ...emptyStats, tasksCompleted: 10 };
+
+      expect(findNewUnlocks(stats, ['first_task', 'tasks_10'])).toEqual([]);
+    });
+  });
+
+  describe('getAchievementProgress', () => {
+    it('should list unlocked achievements first, then locked ones closest to unlocking', () => {
+      const progress = getAchievementProgress({ ...emptyStats, tasksCompleted: 8, totalXP: 20 }, [
+        { achievementId: 'first_task', unlockedAt: new Date(2026, 2, 1) },
+      ]);
+
+      expect(progress).toHaveLength(ACHIEVEMENTS.length);
+      expect(progress[0]).toMatchObject({ current: 1, fraction: 1 });
+      expect(progress[0].achievement.id).toBe('first_task');
+      expect(progress[1].achievement.id).toBe('tasks_10');
+      expect(progress[1]).toMatchObject({ current: 8, fraction: 0.8, unlockedAt: null });
+    });
+
+    it('should cap progress at the target', () => {
+      const progress = getAchievementProgress({ ...emptyStats, totalXP: 250 }, []);
+      const century = progress.find(({ achievement }) => achievement.id === 'xp_100');
+
+      expect(century).toMatchObject({ current: 100, fraction: 1 });
+    });
+  });
+
+  describe('mergeAchievementUnlocks', () => {
+    it('should keep the earliest unlock of each achievement', () => {
+      const merged = mergeAchievementUnlocks(
+        [{ achievementId: 'first_task', unlockedAt: new Date(2026, 2, 2) }],
+        [
+          { achievementId: 'first_task', unlockedAt: new Date(2026, 2, 1) },
+          { achievementId: 'streak_3', unlockedAt: new Date(2026, 2, 3) },
+        ],
+      );
+
+      expect(merged).toEqual([
+        { achievementId: 'first_task', unlockedAt: new Date(2026, 2, 1) },
+        { achievementId: 'streak_3', unlockedAt: new Date(2026, 2, 3) },
+      ]);
+    });
+  });
+});
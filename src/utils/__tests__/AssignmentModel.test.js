@@ -0,0 +1,137 @@
+// ABOUTME: Tests for task proposals between partners
+// Verifies who answers a proposal, decline and counter proposal validation, and applying each answer
+
+import {
+  acceptCounterProposal,
+  canAnswerProposal,
+  canAnswerRenegotiation,
+  isActiveAssignment,
+  isPendingAssignment,
+  keepOriginalAssignment,
+  renegotiateAssignment,
+  validateCounterProposal,
+  validateDeclineReason,
+} from '../AssignmentModel';
+import { createTask } from '../TaskModel';
+
+describe('AssignmentModel', () => {
+  const now = new Date(2026, 2, 4, 10, 0);
+  const dueDate = new Date(2026, 2, 5, 17, 0);
+  const proposal = (overrides = {}) => ({
+    ...createTask({
+      title: 'File taxes',
+      assignedBy: 'partner-1',
+      assignedTo: 'adhd-1',
+      assignmentStatus: 'proposed',
+      timeEstimate: 30,
+      dueDate,
+    }),
+    ...overrides,
+  });
+
+  it('should only count accepted assignments and unassigned tasks as active', () => {
+    expect(isActiveAssignment(createTask({ title: 'Mine' }))).toBe(true);
+    expect(isActiveAssignment(proposal({ assignmentStatus: 'accepted' }))).toBe(true);
+    ['proposed', 'renegotiating', 'declined'].forEach((assignmentStatus) => {
+      expect(isActiveAssignment(proposal({ assignmentStatus }))).toBe(false);
+    });
+    expect(isPendingAssignment(proposal({ assignmentStatus: 'renegotiating' }))).toBe(true);
+    expect(isPendingAssignment(proposal({ assignmentStatus: 'declined' }))).toBe(false);
+  });
+
+  it('should let the assignee answer a proposal and the assigner answer changes', () => {
+    expect(canAnswerProposal(proposal(), 'adhd-1')).toBe(true);
+    expect(canAnswerProposal(proposal(), 'partner-1')).toBe(false);
+    expect(canAnswerProposal(proposal({ assignmentStatus: 'accepted' }), 'adhd-1')).toBe(false);
+
+    const renegotiating = proposal({ assignmentStatus: 'renegotiating' });
+    expect(canAnswerRenegotiation(renegotiating, 'partner-1')).toBe(true);
+    expect(canAnswerRenegotiation(renegotiating, 'adhd-1')).toBe(false);
+  });
+
+  it('should need a reason to decline', () => {
+    expect(validateDeclineReason('Too much on this week').isValid).toBe(true);
+    expect(validateDeclineReason('   ').errors).toEqual([
+      "Let your partner know why you can't take this on",
+    ]);
+  });
+
+  describe('validateCounterProposal', () => {
+    it('should accept a different estimate or a later date', () => {
+      expect(validateCounterProposal({ timeEstimate: 60 }, proposal(), now).isValid).toBe(true);
+      expect(
+        validateCounterProposal({ dueDate: new Date(2026, 2, 9, 17, 0) }, proposal(), now).isValid,
+      ).toBe(true);
+    });
+
+    it('should need an actual change', () => {
+      expect(
+        validateCounterProposal({ timeEstimate: 30, dueDate, note: 'Fine' }, proposal(), now)
+          .errors,
+      ).toEqual(['Suggest a different time estimate or due date']);
+    });
+
+    it('should need a positive estimate and a future date', () => {
+      const result = validateCounterProposal(
+        { timeEstimate: -5, dueDate: new Date(2026, 2, 1) },
+        proposal(),
+        now,
+      );
+
+      expect(result.errors).toEqual([
+        'Time estimate must be a positive number of minutes',
+        'The new due date must be in the future',
+      ]);
+    });
+  });
+
+  it('should only keep the values that actually changed on a counter proposal', () => {
+    const renegotiating = renegotiateAssignment(proposal(), {
+      timeEstimate: 30,
+      dueDate: new Date(2026, 2, 9, 17, 0),
+      note: ' Busy until Monday ',
+    });
+
+    expect(renegotiating).toMatchObject({
+      assignmentStatus: 'renegotiating',
+      assignmentNote: 'Busy until Monday',
+      counterTimeEstimate: null,
+      counterDueDate: new Date(2026, 2, 9, 17, 0),
+    });
+  });
+
+  it('should apply the suggested changes and re-arm the overdue alert when accepted', () => {
+    const renegotiating = proposal({
+      assignmentStatus: 'renegotiating',
+      assignmentNote: 'Busy until Monday',
+      counterTimeEstimate: 45,
+      counterDueDate: new Date(2026, 2, 9, 17, 0),
+      partnerNotified: { onStart: false, onComplete: false, onOverdue: true },
+    });
+
+    const accepted = acceptCounterProposal(renegotiating);
+
+    expect(accepted).toMatchObject({
+      assignmentStatus: 'accepted',
+      assignmentNote: null,
+      timeEstimate: 45,
+      dueDate: new Date(2026, 2, 9, 17, 0),
+      counterTimeEstimate: null,
+      counterDueDate: null,
+      partnerNotified: { onStart: false, onComplete: false, onOverdue: false },
+    });
+  });
+
+  it('should send the original plan back as a proposal', () => {
+    const kept = keepOriginalAssignment(
+      proposal({ assignmentStatus: 'renegotiating', counterTimeEstimate: 45 }),
+    );
+
+    expect(kept).toMatchObject({
+      assignmentStatus: 'proposed',
+      timeEstimate: 30,
+      dueDate,
+      counterTimeEstimate: null,
+    });
+  });
+});
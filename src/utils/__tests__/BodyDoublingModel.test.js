@@ -0,0 +1,89 @@
+// ABOUTME: Tests for the shared Pomodoro timer used in body doubling sessions
+// Verifies starting, pausing, phase changes over time and choosing between two copies of the timer
+
+import {
+  BREAK_SECONDS,
+  WORK_SECONDS,
+  createSharedTimer,
+  getSharedTimeLeft,
+  pauseSharedTimer,
+  pickNewerTimer,
+  resetSharedTimer,
+  settleSharedTimer,
+  startSharedTimer,
+} from '../BodyDoublingModel';
+
+describe('BodyDoublingModel', () => {
+  const start = Date.UTC(2026, 2, 4, 9, 0, 0);
+
+  it('should create a paused work phase', () => {
+    const timer = createSharedTimer('user-1', start);
+
+    expect(timer).toEqual({
+      phase: 'work',
+      endsAt: null,
+      remainingSeconds: WORK_SECONDS,
+      round: 1,
+      updatedAt: start,
+      updatedBy: 'user-1',
+    });
+    expect(getSharedTimeLeft(timer, start + 60000)).toBe(WORK_SECONDS);
+  });
+
+  it('should count down while running and hold the time left when paused', () => {
+    const running = startSharedTimer(createSharedTimer('user-1', start), 'user-2', start);
+
+    expect(running).toMatchObject({ endsAt: start + WORK_SECONDS * 1000, updatedBy: 'user-2' });
+    expect(getSharedTimeLeft(running, start + 60500)).toBe(WORK_SECONDS - 60);
+
+    const paused = pauseSharedTimer(running, 'user-1', start + 60000);
+    expect(paused).toMatchObject({ endsAt: null, remainingSeconds: WORK_SECONDS - 60 });
+
+    const resumed = startSharedTimer(paused, 'user-1', start + 120000);
+    expect(resumed.endsAt).toBe(start + 120000 + (WORK_SECONDS - 60) * 1000);
+  });
+
+  it('should roll a finished work phase into a break, then wait for the next round', () => {
+    const running = startSharedTimer(createSharedTimer('user-1', start), 'user-1', start);
+    const workEnds = start + WORK_SECONDS * 1000;
+
+    expect(settleSharedTimer(running, workEnds + 1000)).toMatchObject({
+      phase: 'break',
+      endsAt: workEnds + BREAK_SECONDS * 1000,
+      round: 1,
+    });
+    expect(settleSharedTimer(running, workEnds + BREAK_SECONDS * 1000 + 5000)).toMatchObject({
+      phase: 'work',
+      endsAt: null,
+      remainingSeconds: WORK_SECONDS,
+      round: 2,
+    });
+  });
+
+  it('should reset the current phase to its full length', () => {
+    const running = startSharedTimer(createSharedTimer('user-1', start), 'user-1', start);
+    const onBreak = start + (WORK_SECONDS + 60) * 1000;
+
+    expect(resetSharedTimer(running, 'user-2', onBreak)).toMatchObject({
+      phase: 'break',
+      endsAt: null,
+      remainingSeconds: BREAK_SECONDS,
+      updatedAt: onBreak,
+      updatedBy: 'user-2',
+    });
+  });
+
+  it('should keep the most recently changed timer the same way on every device', () => {
+    const older = createSharedTimer('user-1', start);
+    const newer = startSharedTimer(older, 'user-2', start + 1000);
+    const tiedA = { ...newer, updatedBy: 'user-a' };
+    const tiedB = { ...newer, updatedBy: 'user-b' };
+
+    expect(pickNewerTimer(older, newer)).toBe(newer);
+    expect(pickNewerTimer(newer, older)).toBe(newer);
+    expect(pickNewerTimer(tiedA, tiedB)).toBe(tiedB);
+    expect(pickNewerTimer(tiedB, tiedA)).toBe(tiedB);
+    expect(pickNewerTimer(null, older)).toBe(older);
+    expect(pickNewerTimer(older, null)).toBe(older);
+  });
+});
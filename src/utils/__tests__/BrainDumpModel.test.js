@@ -0,0 +1,157 @@
+// ABOUTME: Tests for brain-dump utilities
+// Verifies splitting, duplicate detection and that untriaged items are saved to the inbox
+
+import {
+  MAX_BRAIN_DUMP_ITEMS,
+  splitBrainDump,
+  createBrainDumpItems,
+  isTriaged,
+  buildBrainDumpTasks,
+} from '../BrainDumpModel';
+import { DEFAULT_CATEGORIES, createCategory } from '../CategoryModel';
+import { createTask, completeTask } from '../TaskModel';
+import { TaskPriority } from '../../types/task.types';
+
+describe('BrainDumpModel', () => {
+  // Monday 2 March 2026, 15:00
+  const now = new Date(2026, 2, 2, 15, 0);
+
+  describe('splitBrainDump', () => {
+    it('should split on lines, bullets, commas and semicolons', () => {
+      const text = [
+        '- call dentist',
+        '* buy milk, post parcel',
+        '• email boss; book flights',
+        '1. renew passport',
+        '2) water plants',
+        '[ ] pay rent',
+        '',
+        '   ',
+        'tidy desk',
+      ].join('\n');
+
+      expect(splitBrainDump(text)).toEqual([
+        'call dentist',
+        'buy milk',
+        'post parcel',
+        'email boss',
+        'book flights',
+        'renew passport',
+        'water plants',
+        'pay rent',
+        'tidy desk',
+      ]);
+    });
+
+    it('should keep commas inside numbers and dates', () => {
+      expect(splitBrainDump('transfer 1,500 to savings\nparty March 14, 2026')).toEqual([
+        'transfer 1,500 to savings',
+        'party March 14, 2026',
+      ]);
+    });
+
+    it('should not treat hyphenated words as bullets', () => {
+      expect(splitBrainDump('follow-up with landlord')).toEqual(['follow-up with landlord']);
+    });
+  });
+
+  describe('createBrainDumpItems', () => {
+    it('should parse quick capture fields on each item', () => {
+      const [item] = createBrainDumpItems('call dentist tomorrow 15m #personal !high', {
+        now,
+        locale: 'en-US',
+        categories: DEFAULT_CATEGORIES,
+      });
+
+      expect(item).toEqual(
+        expect.objectContaining({
+          title: 'call dentist',
+          dueDate: new Date(2026, 2, 3, 23, 59),
+          timeEstimate: 15,
+          category: 'personal',
+          priority: TaskPriority.HIGH,
+          duplicate: false,
+          included: true,
+        }),
+      );
+    });
+
+    it('should flag repeats and open tasks as duplicates and leave them out', () => {
+      const existingTasks = [
+        createTask({ title: 'Email boss' }),
+        completeTask(createTask({ title: 'Buy milk' })),
+      ];
+
+      const items = createBrainDumpItems('buy milk\nemail boss!\nBuy  Milk.\npost parcel', {
+        now,
+        existingTasks,
+      });
+
+      expect(items.map((item) => [item.title, item.duplicate, item.included])).toEqual([
+        ['buy milk', false, true],
+        ['email boss!', true, false],
+        ['Buy Milk.', true, false],
+        ['post parcel', false, true],
+      ]);
+      expect(new Set(items.map((item) => item.key)).size).toBe(4);
+    });
+
+    it('should drop items that are only fields', () => {
+      expect(createBrainDumpItems('tomorrow 15m, call mum', { now })).toHaveLength(1);
+    });
+
+    it('should cap how many items one dump creates', () => {
+      const text = Array.from({ length: MAX_BRAIN_DUMP_ITEMS + 10 }, (_, i) => `task ${i}`).join(
+        '\n',
+      );
+
+      expect(createBrainDumpItems(text, { now })).toHaveLength(MAX_BRAIN_DUMP_ITEMS);
+    });
+  });
+
+  describe('isTriaged', () => {
+    it('should count an item as triaged once it has a category or an estimate', () => {
+      expect(isTriaged({ category: null, timeEstimate: null })).toBe(false);
+      expect(isTriaged({ category: 'work', timeEstimate: null })).toBe(true);
+      expect(isTriaged({ category: null, timeEstimate: 15 })).toBe(true);
+    });
+  });
+
+  describe('buildBrainDumpTasks', () => {
+    const errands = createCategory({
+      label: 'Errands',
+      defaultTimeEstimate: 15,
+      defaultPriority: TaskPriority.LOW,
+    });
+
+    it('should build tasks for included items and send untriaged ones to the inbox', () => {
+      const items = createBrainDumpItems('buy milk\npost parcel\ncall mum 5m\nbuy milk', { now });
+      items[1].category = errands.id;
+
+      const tasks = buildBrainDumpTasks(items, 'user-123', [...DEFAULT_CATEGORIES, errands]);
+
+      expect(tasks).toHaveLength(3);
+      expect(tasks.map((task) => [task.title, task.inbox])).toEqual([
+        ['buy milk', true],
+        ['post parcel', false],
+        ['call mum', false],
+      ]);
+      expect(tasks[1]).toEqual(
+        expect.objectContaining({
+          category: errands.id,
+          timeEstimate: 15,
+          priority: TaskPriority.LOW,
+          userId: 'user-123',
+        }),
+      );
+      expect(new Set(tasks.map((task) => task.id)).size).toBe(3);
+    });
+
+    it('should skip items whose title was cleared', () => {
+      const items = createBrainDumpItems('buy milk', { now });
+      items[0].title = '  ';
+
+      expect(buildBrainDumpTasks(items, 'user-123')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+// ABOUTME: Tests for category model utilities
+// Verifies category validation, lookup and ordering, task defaults and reassignment on delete
+
+import {
+  DEFAULT_CATEGORIES,
+  MAX_CATEGORY_LABEL_LENGTH,
+  createCategory,
+  validateCategory,
+  findCategory,
+  sortCategories,
+  applyCategoryDefaults,
+  reassignCategoryTasks,
+} from '../CategoryModel';
+import { TaskPriority } from '../../types/task.types';
+
+describe('CategoryModel', () => {
+  const errands = createCategory({
+    label: 'Errands',
+    color: '#F39C12',
+    icon: '🛒',
+    defaultTimeEstimate: 15,
+    defaultPriority: TaskPriority.LOW,
+    sortOrder: 3,
+  });
+
+  describe('createCategory', () => {
+    it('should give new categories a unique id and a usable color and icon', () => {
+      const category = createCategory({ label: '  Garden  ' });
+
+      expect(category.id).toMatch(/^category_/);
+      expect(category.id).not.toBe(createCategory().id);
+      expect(category.label).toBe('Garden');
+      expect(validateCategory(category).isValid).toBe(true);
+    });
+  });
+
+  describe('validateCategory', () => {
+    it('should accept a complete category', () => {
+      expect(validateCategory(errands, DEFAULT_CATEGORIES)).toEqual({ isValid: true, errors: [] });
+    });
+
+    it('should require a name within the length limit', () => {
+      expect(validateCategory({ ...errands, label: '   ' }).errors).toContain('Name is required');
+      expect(
+        validateCategory({ ...errands, label: 'x'.repeat(MAX_CATEGORY_LABEL_LENGTH + 1) }).errors,
+      ).toContain(`Name must not exceed ${MAX_CATEGORY_LABEL_LENGTH} characters`);
+    });
+
+    it('should reject a name another category already uses, ignoring case', () => {
+      const result = validateCategory({ ...errands, label: 'work' }, DEFAULT_CATEGORIES);
+
+      expect(result.errors).toContain('A category with this name already exists');
+    });
+
+    it('should let a category keep its own name when edited', () => {
+      const work = DEFAULT_CATEGORIES.find((category) => category.id === 'work');
+
+      expect(validateCategory({ ...work, color: '#9B59B6' }, DEFAULT_CATEGORIES).isValid).toBe(
+        true,
+      );
+    });
+
+    it('should reject bad colors, missing icons and invalid defaults', () => {
+      const result = validateCategory({
+        ...errands,
+        color: 'orange',
+        icon: '',
+        defaultTimeEstimate: -5,
+        defaultPriority: 'someday',
+      });
+
+      expect(result.errors).toEqual([
+        'Invalid color',
+        'Icon is required',
+        'Default time estimate must be a positive number of minutes',
+        'Invalid default priority',
+      ]);
+    });
+  });
+
+  describe('findCategory', () => {
+    it('should find a category by id', () => {
+      expect(findCategory(DEFAULT_CATEGORIES, 'work').label).toBe('Work');
+    });
+
+    it('should return null for missing or unknown ids', () => {
+      expect(findCategory(DEFAULT_CATEGORIES, null)).toBeNull();
+      expect(findCategory(DEFAULT_CATEGORIES, 'category_gone')).toBeNull();
+    });
+  });
+
+  describe('sortCategories', () => {
+    it('should order by sort order, then name', () => {
+      const garden = createCategory({ label: 'Garden', sortOrder: 3 });
+      const sorted = sortCategories([errands, garden, ...DEFAULT_CATEGORIES]);
+
+      expect(sorted.map((category) => category.label)).toEqual([
+        'Home',
+        'Work',
+        'Personal',
+        'Errands',
+        'Garden',
+      ]);
+    });
+  });
+
+  describe('applyCategoryDefaults', () => {
+    it('should fill in the time estimate and priority the task leaves empty', () => {
+      const taskData = applyCategoryDefaults({ title: 'Post office', timeEstimate: null }, errands);
+
+      expect(taskData).toEqual(
+        expect.objectContaining({ timeEstimate: 15, priority: TaskPriority.LOW }),
+      );
+    });
+
+    it('should keep values the user picked', () => {
+      const taskData = applyCategoryDefaults(
+        { title: 'Post office', timeEstimate: 60, priority: TaskPriority.HIGH },
+        errands,
+      );
+
+      expect(taskData.timeEstimate).toBe(60);
+      expect(taskData.priority).toBe(TaskPriority.HIGH);
+    });
+
+    it('should leave the task alone without a category', () => {
+      const taskData = { title: 'Post office' };
+
+      expect(applyCategoryDefaults(taskData, null)).toBe(taskData);
+    });
+  });
+
+  describe('reassignCategoryTasks', () => {
+    it('should move only the deleted category tasks', () => {
+      const tasks = [
+        { id: 'task-1', category: 'work' },
+        { id: 'task-2', category: 'home' },
+      ];
+
+      const moved = reassignCategoryTasks(tasks, 'work', 'home');
+
+      expect(moved).toHaveLength(1);
+      expect(moved[0]).toEqual(expect.objectContaining({ id: 'task-1', category: 'home' }));
+      expect(moved[0].updatedAt).toBeInstanceOf(Date);
+      expect(tasks[0].category).toBe('work');
+    });
+  });
+});
@@ -0,0 +1,171 @@
+// ABOUTME: Tests for check-in schedules and responses
+// Verifies validation, when the next check-in is due and the mood, energy and blocker summaries
+
+import {
+  CHECK_IN_BLOCKERS,
+  describeCheckInSchedule,
+  getBlockerCounts,
+  getCheckInTrend,
+  getNextCheckInTime,
+  validateCheckInResponse,
+  validateCheckInSchedule,
+} from '../CheckInModel';
+
+describe('CheckInModel', () => {
+  // Wednesday 4 March 2026, local time
+  const wednesday = (hours, minutes = 0) => new Date(2026, 2, 4, hours, minutes);
+
+  const response = (overrides = {}) => ({
+    id: 'response-1',
+    partnershipId: 'partnership-1',
+    scheduleId: null,
+    userId: 'adhd-1',
+    mood: 3,
+    energy: 3,
+    blockers: [],
+    note: null,
+    respondedAt: wednesday(10),
+    ...overrides,
+  });
+
+  describe('validateCheckInSchedule', () => {
+    it('should accept a daily schedule', () => {
+      expect(validateCheckInSchedule({ frequency: 'daily', timeOfDay: '09:30' })).toEqual({
+        isValid: true,
+        errors: [],
+      });
+    });
+
+    it('should need a day for weekly schedules and a 24-hour time', () => {
+      const result = validateCheckInSchedule({ frequency: 'weekly', timeOfDay: '9:30pm' });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'Choose a day for weekly check-ins',
+        'Time must be in 24-hour HH:MM format',
+      ]);
+    });
+  });
+
+  describe('validateCheckInResponse', () => {
+    it('should accept mood, energy and known blockers', () => {
+      expect(
+        validateCheckInResponse({ mood: 2, energy: 5, blockers: [CHECK_IN_BLOCKERS[0]] }).isValid,
+      ).toBe(true);
+    });
+
+    it('should reject levels outside 1 to 5 and unknown blockers', () => {
+      const result = validateCheckInResponse({ mood: 0, energy: 6, blockers: ['Aliens'] });
+
+      expect(result.errors).toEqual([
+        'Pick how your mood is',
+        'Pick how your energy is',
+        'Unknown blocker',
+      ]);
+    });
+  });
+
+  describe('getNextCheckInTime', () => {
+    it('should use today when the time is still ahead', () => {
+      expect(getNextCheckInTime({ frequency: 'daily', timeOfDay: '09:00' }, wednesday(8))).toEqual(
+        wednesday(9),
+      );
+    });
+
+    it('should move to tomorrow once the time has passed', () => {
+      expect(getNextCheckInTime({ frequency: 'daily', timeOfDay: '09:00' }, wednesday(9))).toEqual(
+        new Date(2026, 2, 5, 9, 0),
+      );
+    });
+
+    it('should skip weekends for weekday schedules', () => {
+      const friday = new Date(2026, 2, 6, 18, 0);
+
+      expect(getNextCheckInTime({ frequency: 'weekdays', timeOfDay: '09:00' }, friday)).toEqual(
+        new Date(2026, 2, 9, 9, 0),
+      );
+    });
+
+    it('should land on the chosen day for weekly schedules', () => {
+      expect(
+        getNextCheckInTime({ frequency: 'weekly', dayOfWeek: 1, timeOfDay: '19:15' }, wednesday(8)),
+      ).toEqual(new Date(2026, 2, 9, 19, 15));
+    });
+
+    it('should skip check-ins missed while the app was closed', () => {
+      const weekLater = new Date(2026, 2, 11, 12, 0);
+
+      expect(getNextCheckInTime({ frequency: 'daily', timeOfDay: '09:00' }, weekLater)).toEqual(
+        new Date(2026, 2, 12, 9, 0),
+      );
+    });
+
+    it('should follow the clock of the schedule time zone', () => {
+      const schedule = { frequency: 'daily', timeOfDay: '09:00', timeZone: 'America/New_York' };
+
+      expect(getNextCheckInTime(schedule, new Date('2026-03-04T12:00:00Z'))).toEqual(
+        new Date('2026-03-04T14:00:00Z'),
+      );
+      // Clocks go forward on 8 March; the check-in stays at 09:00 local
+      expect(getNextCheckInTime(schedule, new Date('2026-03-07T15:00:00Z'))).toEqual(
+        new Date('2026-03-08T13:00:00Z'),
+      );
+    });
+
+    it('should pick the weekly day on the schedule time zone calendar', () => {
+      // Still Sunday in UTC but already Monday morning in Tokyo
+      expect(
+        getNextCheckInTime(
+          { frequency: 'weekly', dayOfWeek: 1, timeOfDay: '08:00', timeZone: 'Asia/Tokyo' },
+          new Date('2026-03-08T22:00:00Z'),
+        ),
+      ).toEqual(new Date('2026-03-08T23:00:00Z'));
+    });
+  });
+
+  it('should describe schedules in plain words', () => {
+    expect(describeCheckInSchedule({ frequency: 'daily', timeOfDay: '09:00' })).toBe(
+      'Every day at 09:00',
+    );
+    expect(describeCheckInSchedule({ frequency: 'weekdays', timeOfDay: '09:00' })).toBe(
+      'Weekdays at 09:00',
+    );
+    expect(describeCheckInSchedule({ frequency: 'weekly', dayOfWeek: 5, timeOfDay: '17:30' })).toBe(
+      'Fridays at 17:30',
+    );
+  });
+
+  it('should average mood and energy per day and leave empty days blank', () => {
+    const trend = getCheckInTrend(
+      [
+        response({ id: 'a', mood: 2, energy: 4, respondedAt: wednesday(9) }),
+        response({ id: 'b', mood: 5, energy: 3, respondedAt: wednesday(20) }),
+        response({ id: 'c', mood: 1, energy: 1, respondedAt: new Date(2026, 2, 1, 12, 0) }),
+      ],
+      3,
+      wednesday(21),
+    );
+
+    expect(trend).toEqual([
+      { start: new Date(2026, 2, 2), mood: null, energy: null, responses: 0 },
+      { start: new Date(2026, 2, 3), mood: null, energy: null, responses: 0 },
+      { start: new Date(2026, 2, 4), mood: 3.5, energy: 3.5, responses: 2 },
+    ]);
+  });
+
+  it('should count blockers, most common first', () => {
+    const [stuck, tired] = CHECK_IN_BLOCKERS.filter((blocker) =>
+      ['Not sure where to start', 'Tired'].includes(blocker),
+    );
+
+    expect(
+      getBlockerCounts([
+        response({ id: 'a', blockers: [tired] }),
+        response({ id: 'b', blockers: [stuck, tired] }),
+      ]),
+    ).toEqual([
+      { blocker: tired, count: 2 },
+      { blocker: stuck, count: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,39 @@
+// ABOUTME: Tests for conflict field display helpers
+// Verifies field labels and value formatting used on the merge screen
+
+import { getFieldLabel, formatFieldValue } from '../ConflictFieldFormatter';
+
+describe('ConflictFieldFormatter', () => {
+  describe('getFieldLabel', () => {
+    it('should use friendly labels for known task fields', () => {
+      expect(getFieldLabel('dueDate')).toBe('Due date');
+      expect(getFieldLabel('timeEstimate')).toBe('Time estimate');
+    });
+
+    it('should turn unknown camelCase fields into words', () => {
+      expect(getFieldLabel('partnerNotified')).toBe('Partner notified');
+    });
+  });
+
+  describe('formatFieldValue', () => {
+    it('should show empty values clearly', () => {
+      expect(formatFieldValue('description', '')).toBe('(empty)');
+      expect(formatFieldValue('dueDate', null)).toBe('(empty)');
+    });
+
+    it('should format durations, priorities, booleans and recurrence', () => {
+      expect(formatFieldValue('timeEstimate', 90)).toBe('1h 30m');
+      expect(formatFieldValue('timeSpent', 25)).toBe('25 min');
+      expect(formatFieldValue('priority', 'urgent')).toBe('Urgent');
+      expect(formatFieldValue('completed', true)).toBe('Yes');
+      expect(
+        formatFieldValue('recurrence', { frequency: 'weekdays', interval: 1, dayOfMonth: null }),
+      ).toBe('Every weekday');
+    });
+
+    it('should format stored date strings as dates', () => {
+      const iso = '2024-03-04T19:00:00.000Z';
+      expect(formatFieldValue('dueDate', iso)).toBe(new Date(iso).toLocaleString());
+    });
+  });
+});
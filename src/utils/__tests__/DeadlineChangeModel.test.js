@@ -0,0 +1,105 @@
+// ABOUTME: Tests for deadline change requests on assigned tasks
+// Verifies who may ask, date and reason validation, the agreed date and applying it to the task
+
+import {
+  applyDeadlineChange,
+  canRequestDeadlineChange,
+  getAgreedDueDate,
+  getProposedDueDate,
+  isOpenDeadlineChange,
+  validateDeadlineChangeRequest,
+} from '../DeadlineChangeModel';
+import { createTask } from '../TaskModel';
+
+describe('DeadlineChangeModel', () => {
+  const now = new Date(2026, 2, 4, 10, 0);
+  const dueDate = new Date(2026, 2, 5, 17, 0);
+  const assignedTask = (overrides = {}) => ({
+    ...createTask({ title: 'File taxes', assignedBy: 'partner-1', assignedTo: 'adhd-1', dueDate }),
+    ...overrides,
+  });
+
+  describe('canRequestDeadlineChange', () => {
+    it('should let the assignee ask about a task someone else assigned', () => {
+      expect(canRequestDeadlineChange(assignedTask(), 'adhd-1')).toBe(true);
+    });
+
+    it('should not let the assigner, other users, finished tasks or proposals ask', () => {
+      expect(canRequestDeadlineChange(assignedTask(), 'partner-1')).toBe(false);
+      expect(canRequestDeadlineChange(assignedTask({ assignedBy: null }), 'adhd-1')).toBe(false);
+      expect(canRequestDeadlineChange(assignedTask({ completed: true }), 'adhd-1')).toBe(false);
+      expect(
+        canRequestDeadlineChange(assignedTask({ assignmentStatus: 'proposed' }), 'adhd-1'),
+      ).toBe(false);
+    });
+  });
+
+  describe('validateDeadlineChangeRequest', () => {
+    it('should accept a future date with a reason', () => {
+      expect(
+        validateDeadlineChangeRequest(
+          { proposedDueDate: new Date(2026, 2, 9, 17, 0), reason: 'Waiting on the bank' },
+          dueDate,
+          now,
+        ),
+      ).toEqual({ isValid: true, errors: [] });
+    });
+
+    it('should need a future date and a reason', () => {
+      const result = validateDeadlineChangeRequest(
+        { proposedDueDate: new Date(2026, 2, 1), reason: '   ' },
+        dueDate,
+        now,
+      );
+
+      expect(result.errors).toEqual([
+        'The new due date must be in the future',
+        'Let your partner know why you need more time',
+      ]);
+    });
+
+    it('should need a date that actually moves the deadline', () => {
+      const result = validateDeadlineChangeRequest(
+        { proposedDueDate: new Date(dueDate), reason: 'More time' },
+        dueDate,
+        now,
+      );
+
+      expect(result.errors).toEqual(['Pick a different date from the current one']);
+    });
+  });
+
+  it('should only agree on a date once it is approved or a suggestion is accepted', () => {
+    const request = {
+      proposedDueDate: new Date(2026, 2, 9),
+      counterDueDate: new Date(2026, 2, 7),
+    };
+
+    expect(getAgreedDueDate({ ...request, status: 'approved' })).toEqual(new Date(2026, 2, 9));
+    expect(getAgreedDueDate({ ...request, status: 'accepted' })).toEqual(new Date(2026, 2, 7));
+    ['pending', 'rejected', 'countered', 'declined'].forEach((status) => {
+      expect(getAgreedDueDate({ ...request, status })).toBeNull();
+    });
+    expect(isOpenDeadlineChange({ status: 'countered' })).toBe(true);
+    expect(isOpenDeadlineChange({ status: 'declined' })).toBe(false);
+  });
+
+  it('should move the due date and re-arm the overdue alert', () => {
+    const task = assignedTask({
+      partnerNotified: { onStart: true, onComplete: false, onOverdue: true },
+    });
+    const newDueDate = new Date(2026, 2, 9, 17, 0);
+
+    const updated = applyDeadlineChange(task, newDueDate);
+
+    expect(updated.dueDate).toEqual(newDueDate);
+    expect(updated.partnerNotified).toEqual({ onStart: true, onComplete: false, onOverdue: false });
+  });
+
+  it('should keep the current due time when a new day is picked', () => {
+    const picked = new Date(2026, 2, 9, 8, 12);
+
+    expect(getProposedDueDate(picked, dueDate)).toEqual(new Date(2026, 2, 9, 17, 0));
+    expect(getProposedDueDate(picked, null)).toEqual(new Date(2026, 2, 9, 23, 59));
+  });
+});
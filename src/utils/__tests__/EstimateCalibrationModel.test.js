@@ -0,0 +1,179 @@
+// ABOUTME: Tests for EstimateCalibrationModel that compares estimates with time really spent
+// Verifies the reality multiplier per category and size and the suggested durations
+
+import {
+  calibrateEstimates,
+  suggestRealisticDuration,
+  describeEstimateSuggestion,
+  getEstimateSizeBucket,
+  getCalibrationSamples,
+  isEstimateAccurate,
+  MAX_CALIBRATION_SAMPLES,
+} from '../EstimateCalibrationModel';
+import { createTask, completeTask } from '../TaskModel';
+
+describe('EstimateCalibrationModel', () => {
+  let completedCount = 0;
+
+  const finished = ({ estimate, spent, category = 'work' }) => {
+    completedCount += 1;
+    return {
+      ...completeTask(
+        createTask({ title: `Task ${completedCount}`, category, timeEstimate: estimate }),
+      ),
+      timeSpent: spent,
+      completedAt: new Date(2026, 2, 1, 9, completedCount),
+    };
+  };
+
+  describe('getEstimateSizeBucket', () => {
+    it('should group estimates by size', () => {
+      expect(getEstimateSizeBucket(5)).toBe('quick');
+      expect(getEstimateSizeBucket(15)).toBe('quick');
+      expect(getEstimateSizeBucket(30)).toBe('short');
+      expect(getEstimateSizeBucket(60)).toBe('medium');
+      expect(getEstimateSizeBucket(90)).toBe('long');
+    });
+  });
+
+  describe('isEstimateAccurate', () => {
+    it('should accept time spent within 10% of the estimate', () => {
+      expect(isEstimateAccurate({ timeEstimate: 30, timeSpent: 33 })).toBe(true);
+      expect(isEstimateAccurate({ timeEstimate: 30, timeSpent: 34 })).toBe(false);
+      expect(isEstimateAccurate({ timeEstimate: null, timeSpent: 30 })).toBe(false);
+    });
+  });
+
+  describe('getCalibrationSamples', () => {
+    it('should only use completed tasks with an estimate and logged time', () => {
+      const samples = getCalibrationSamples([
+        finished({ estimate: 30, spent: 45 }),
+        createTask({ title: 'Still open', timeEstimate: 30 }),
+        finished({ estimate: null, spent: 20 }),
+        finished({ estimate: 30, spent: 0 }),
+      ]);
+
+      expect(samples).toHaveLength(1);
+    });
+
+    it('should keep only the most recent tasks', () => {
+      const tasks = Array.from({ length: MAX_CALIBRATION_SAMPLES + 5 }, () =>
+        finished({ estimate: 30, spent: 30 }),
+      );
+
+      const samples = getCalibrationSamples(tasks);
+
+      expect(samples).toHaveLength(MAX_CALIBRATION_SAMPLES);
+      expect(samples[0]).toBe(tasks[tasks.length - 1]);
+    });
+  });
+
+  describe('calibrateEstimates', () => {
+    it('should work out a multiplier per category and size', () => {
+      const calibration = calibrateEstimates([
+        finished({ estimate: 30, spent: 54 }),
+        finished({ estimate: 30, spent: 60 }),
+        finished({ estimate: 15, spent: 24 }),
+        finished({ estimate: 60, spent: 60, category: 'home' }),
+      ]);
+
+      expect(calibration.byCategory.work).toEqual({
+        multiplier: 1.8,
+        sampleCount: 3,
+        accurateCount: 0,
+      });
+      expect(calibration.byCategory.home).toMatchObject({ multiplier: 1, accurateCount: 1 });
+      expect(calibration.bySize.short).toMatchObject({ multiplier: 1.9, sampleCount: 2 });
+      expect(calibration.overall).toMatchObject({ sampleCount: 4 });
+    });
+
+    it('should not let one runaway task skew the multiplier', () => {
+      const calibration = calibrateEstimates([
+        finished({ estimate: 30, spent: 30 }),
+        finished({ estimate: 30, spent: 36 }),
+        finished({ estimate: 5, spent: 600 }),
+      ]);
+
+      expect(calibration.overall.multiplier).toBe(1.2);
+    });
+
+    it('should have no data before any task is finished', () => {
+      expect(calibrateEstimates([])).toEqual({ overall: null, byCategory: {}, bySize: {} });
+    });
+  });
+
+  describe('suggestRealisticDuration', () => {
+    const workHistory = [
+      finished({ estimate: 30, spent: 54 }),
+      finished({ estimate: 30, spent: 54 }),
+      finished({ estimate: 60, spent: 108 }),
+    ];
+
+    it('should scale the estimate by the category multiplier', () => {
+      const suggestion = suggestRealisticDuration(calibrateEstimates(workHistory), 30, 'work');
+
+      expect(suggestion).toEqual({
+        multiplier: 1.8,
+        suggestedMinutes: 55,
+        basis: 'category',
+        sampleCount: 3,
+      });
+    });
+
+    it('should fall back to tasks of the same size, then everything', () => {
+      const calibration = calibrateEstimates(workHistory);
+
+      // Only two 30-minute tasks, so the whole history is used
+      expect(suggestRealisticDuration(calibration, 30, 'errands')).toMatchObject({
+        basis: 'overall',
+      });
+      expect(suggestRealisticDuration(calibration, 90, 'errands')).toMatchObject({
+        basis: 'overall',
+        suggestedMinutes: 160,
+      });
+
+      const sized = calibrateEstimates([
+        finished({ estimate: 30, spent: 45, category: 'home' }),
+        finished({ estimate: 30, spent: 45, category: 'health' }),
+        finished({ estimate: 20, spent: 30, category: null }),
+      ]);
+      expect(suggestRealisticDuration(sized, 30, 'errands')).toMatchObject({ basis: 'size' });
+    });
+
+    it('should stay quiet without enough history or an estimate', () => {
+      const calibration = calibrateEstimates(workHistory.slice(0, 2));
+
+      expect(suggestRealisticDuration(calibration, 30, 'work')).toBeNull();
+      expect(suggestRealisticDuration(calibrateEstimates(workHistory), null, 'work')).toBeNull();
+    });
+
+    it('should stay quiet when the user already estimates well', () => {
+      const calibration = calibrateEstimates([
+        finished({ estimate: 30, spent: 31 }),
+        finished({ estimate: 30, spent: 29 }),
+        finished({ estimate: 30, spent: 33 }),
+      ]);
+
+      expect(suggestRealisticDuration(calibration, 30, 'work')).toBeNull();
+    });
+  });
+
+  describe('describeEstimateSuggestion', () => {
+    const suggestion = { multiplier: 1.8, suggestedMinutes: 55, basis: 'category', sampleCount: 3 };
+
+    it('should name the category the multiplier comes from', () => {
+      expect(describeEstimateSuggestion(suggestion, 'Work')).toBe(
+        'You usually take 1.8x on Work tasks. Plan for about 55 min.',
+      );
+    });
+
+    it('should describe size and overall multipliers', () => {
+      expect(describeEstimateSuggestion({ ...suggestion, basis: 'size' })).toBe(
+        'You usually take 1.8x on tasks this size. Plan for about 55 min.',
+      );
+      expect(
+        describeEstimateSuggestion({ ...suggestion, basis: 'overall', suggestedMinutes: 90 }),
+      ).toBe('You usually take 1.8x your estimates. Plan for about 1 hr 30 min.');
+    });
+  });
+});
@@ -0,0 +1,150 @@
+// ABOUTME: Tests for FocusSessionModel utilities that log focus sessions
+// Verifies time is split into focus, breaks and pauses from the recorded events
+
+import {
+  createFocusSession,
+  recordFocusEvent,
+  endFocusSession,
+  summarizeFocusEvents,
+  isFocusSessionActive,
+  getTotalFocusMinutes,
+  mergeFocusSessions,
+  describeFocusSession,
+} from '../FocusSessionModel';
+
+describe('FocusSessionModel', () => {
+  const start = new Date(2026, 2, 2, 9, 0, 0);
+  const at = (minutes) => new Date(start.getTime() + minutes * 60 * 1000);
+
+  const newSession = () =>
+    createFocusSession({ taskId: 'task-1', userId: 'user-1', plannedDuration: 1500 }, start);
+
+  describe('createFocusSession', () => {
+    it('should start a running session with a start event', () => {
+      const session = newSession();
+
+      expect(session.id).toMatch(/^[0-9a-f-]{36}$/);
+      expect(session.startedAt).toEqual(start);
+      expect(session.events).toEqual([{ type: 'start', at: start }]);
+      expect(isFocusSessionActive(session)).toBe(true);
+    });
+  });
+
+  describe('recordFocusEvent', () => {
+    it('should leave pauses out of focused time', () => {
+      let session = newSession();
+      session = recordFocusEvent(session, 'pause', at(10));
+      session = recordFocusEvent(session, 'resume', at(15));
+      session = endFocusSession(session, at(20));
+
+      expect(session.focusedSeconds).toBe(20 * 60 - 5 * 60);
+      expect(session.pausedSeconds).toBe(5 * 60);
+    });
+
+    it('should count interruptions and pause the session', () => {
+      let session = newSession();
+      session = recordFocusEvent(session, 'interruption', at(3));
+      session = recordFocusEvent(session, 'resume', at(8));
+
+      expect(session.interruptions).toBe(1);
+      expect(session.pausedSeconds).toBe(5 * 60);
+      expect(session.focusedSeconds).toBe(3 * 60);
+    });
+
+    it('should track breaks between Pomodoros separately', () => {
+      let session = newSession();
+      session = recordFocusEvent(session, 'pomodoro_complete', at(25));
+      session = recordFocusEvent(session, 'break_start', at(25));
+      session = recordFocusEvent(session, 'break_end', at(30));
+      session = endFocusSession(session, at(30));
+
+      expect(session.completedPomodoros).toBe(1);
+      expect(session.focusedSeconds).toBe(25 * 60);
+      expect(session.breakSeconds).toBe(5 * 60);
+      expect(session.endReason).toBe('completed');
+    });
+
+    it('should ignore events that do not fit the current state', () => {
+      let session = newSession();
+      session = recordFocusEvent(session, 'break_start', at(5));
+      session = recordFocusEvent(session, 'resume', at(6));
+
+      expect(session.events.map((event) => event.type)).toEqual(['start']);
+    });
+
+    it('should end the session on stop', () => {
+      const session = recordFocusEvent(newSession(), 'stop', at(10));
+
+      expect(session.endedAt).toEqual(at(10));
+      expect(isFocusSessionActive(session)).toBe(false);
+    });
+  });
+
+  describe('endFocusSession', () => {
+    it('should mark sessions stopped mid-Pomodoro as stopped early', () => {
+      const session = endFocusSession(newSession(), at(12));
+
+      expect(session.endReason).toBe('stopped_early');
+      expect(session.focusedSeconds).toBe(12 * 60);
+    });
+
+    it('should leave an already ended session unchanged', () => {
+      const ended = endFocusSession(newSession(), at(12));
+
+      expect(endFocusSession(ended, at(40))).toBe(ended);
+    });
+  });
+
+  describe('summarizeFocusEvents', () => {
+    it('should count a running session up to now', () => {
+      expect(summarizeFocusEvents(newSession(), at(7)).focusedSeconds).toBe(7 * 60);
+    });
+  });
+
+  describe('getTotalFocusMinutes', () => {
+    it('should add up focused time across sessions', () => {
+      const first = endFocusSession(newSession(), at(10));
+      const second = endFocusSession(newSession(), at(20));
+
+      expect(getTotalFocusMinutes([first, second])).toBe(30);
+      expect(getTotalFocusMinutes([])).toBe(0);
+    });
+  });
+
+  describe('mergeFocusSessions', () => {
+    it('should prefer the first list and sort newest first', () => {
+      const older = endFocusSession(newSession(), at(10));
+      const newer = {
+        ...endFocusSession(newSession(), at(10)),
+        startedAt: at(60),
+      };
+      const updatedOlder = { ...older, interruptions: 2 };
+
+      const merged = mergeFocusSessions([updatedOlder], [older, newer]);
+
+      expect(merged.map((session) => session.id)).toEqual([newer.id, older.id]);
+      expect(merged[1].interruptions).toBe(2);
+    });
+  });
+
+  describe('describeFocusSession', () => {
+    it('should summarize focus, breaks, interruptions and how it ended', () => {
+      let session = newSession();
+      session = recordFocusEvent(session, 'interruption', at(1));
+      session = recordFocusEvent(session, 'resume', at(2));
+      session = recordFocusEvent(session, 'pomodoro_complete', at(26));
+      session = recordFocusEvent(session, 'break_start', at(26));
+      session = endFocusSession(session, at(31));
+
+      expect(describeFocusSession(session)).toBe(
+        '25 min focused · 5 min break · 1 interruption · Finished',
+      );
+    });
+
+    it('should show less than a minute for very short sessions', () => {
+      const session = endFocusSession(newSession(), new Date(start.getTime() + 20 * 1000));
+
+      expect(describeFocusSession(session)).toBe('<1 min focused · Stopped early');
+    });
+  });
+});
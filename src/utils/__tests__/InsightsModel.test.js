@@ -0,0 +1,146 @@
+// ABOUTME: Tests for InsightsModel productivity aggregates
+// Verifies completion counts, the heatmap, time-to-start, overdue rates and category breakdowns
+
+import {
+  computeInsights,
+  getCompletionHeatmap,
+  getAverageTimeToStart,
+  getOverdueRate,
+  getCategoryInsights,
+  isPastDeadline,
+  HEATMAP_BLOCKS,
+} from '../InsightsModel';
+import { createTask, createSubtask } from '../TaskModel';
+
+describe('InsightsModel', () => {
+  // Wednesday 4 March 2026, 15:00 local time
+  const now = new Date(2026, 2, 4, 15, 0);
+  const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+  const done = (completedAt, overrides = {}) => ({
+    ...createTask({ title: 'Done task', category: 'work', ...overrides }),
+    completed: true,
+    completedAt,
+  });
+
+  describe('computeInsights', () => {
+    it('should count completions for each of the last 7 days, oldest first', () => {
+      const insights = computeInsights(
+        [
+          done(new Date(2026, 2, 4, 9, 0)),
+          done(new Date(2026, 2, 4, 10, 0)),
+          done(new Date(2026, 2, 2, 23, 59)),
+          done(new Date(2026, 1, 20, 12, 0)),
+          createTask({ title: 'Still open' }),
+        ],
+        { now },
+      );
+
+      expect(insights.completionsByDay).toHaveLength(7);
+      expect(insights.completionsByDay[0].start).toEqual(new Date(2026, 1, 26));
+      expect(insights.completionsByDay.map((day) => day.count)).toEqual([0, 0, 0, 0, 1, 0, 2]);
+      expect(insights).toMatchObject({ total: 5, completed: 4, open: 1 });
+    });
+
+    it('should count completions per week starting on Monday', () => {
+      const insights = computeInsights(
+        [
+          done(new Date(2026, 2, 2, 8, 0)), // Monday this week
+          done(new Date(2026, 2, 1, 20, 0)), // Sunday last week
+          done(new Date(2026, 1, 23, 8, 0)), // Monday last week
+        ],
+        { now, weeks: 3 },
+      );
+
+      expect(insights.completionsByWeek).toEqual([
+        { start: new Date(2026, 1, 16), count: 0 },
+        { start: new Date(2026, 1, 23), count: 2 },
+        { start: new Date(2026, 2, 2), count: 1 },
+      ]);
+    });
+
+    it('should leave steps out so a broken-down task counts once', () => {
+      const parent = done(hoursAgo(1));
+      const step = {
+        ...createSubtask(parent, { title: 'Step' }),
+        completed: true,
+        completedAt: hoursAgo(2),
+      };
+
+      expect(computeInsights([parent, step], { now }).completed).toBe(1);
+    });
+  });
+
+  describe('getCompletionHeatmap', () => {
+    it('should bucket completions by weekday and time of day', () => {
+      const heatmap = getCompletionHeatmap([
+        done(new Date(2026, 2, 4, 9, 30)), // Wednesday morning
+        done(new Date(2026, 2, 4, 11, 0)),
+        done(new Date(2026, 2, 1, 23, 0)), // Sunday night
+      ]);
+
+      expect(heatmap).toHaveLength(7);
+      expect(heatmap[0]).toHaveLength(HEATMAP_BLOCKS);
+      expect(heatmap[3][2]).toBe(2);
+      expect(heatmap[0][5]).toBe(1);
+      expect(heatmap.flat().reduce((sum, count) => sum + count, 0)).toBe(3);
+    });
+  });
+
+  describe('getAverageTimeToStart', () => {
+    it('should average the minutes from adding a task to starting it', () => {
+      const task = (createdAt, startedAt) => ({
+        ...createTask({ title: 'Task' }),
+        createdAt,
+        startedAt,
+      });
+
+      expect(
+        getAverageTimeToStart([
+          task(hoursAgo(3), hoursAgo(2)),
+          task(hoursAgo(5), hoursAgo(2)),
+          task(hoursAgo(1), null),
+        ]),
+      ).toBe(120);
+      expect(getAverageTimeToStart([task(hoursAgo(1), null)])).toBeNull();
+    });
+  });
+
+  describe('getOverdueRate', () => {
+    it('should count late finishes and open tasks past due against decided deadlines', () => {
+      const tasks = [
+        done(hoursAgo(2), { dueDate: hoursAgo(1) }), // On time
+        done(hoursAgo(1), { dueDate: hoursAgo(2) }), // Late
+        createTask({ title: 'Overdue', dueDate: hoursAgo(1) }),
+        createTask({ title: 'Due later', dueDate: new Date(2026, 2, 10) }),
+        createTask({ title: 'No deadline' }),
+      ];
+
+      expect(getOverdueRate(tasks, now)).toBeCloseTo(2 / 3);
+      expect(isPastDeadline(tasks[3], now)).toBe(false);
+    });
+
+    it('should have no rate without any deadlines', () => {
+      expect(getOverdueRate([createTask({ title: 'No deadline' })], now)).toBeNull();
+    });
+  });
+
+  describe('getCategoryInsights', () => {
+    it('should break tasks down by category, biggest first', () => {
+      const insights = getCategoryInsights(
+        [
+          { ...done(hoursAgo(1)), timeSpent: 30 },
+          { ...done(hoursAgo(1)), timeSpent: 50 },
+          createTask({ title: 'Open work', category: 'work', dueDate: hoursAgo(1) }),
+          createTask({ title: 'Loose end', category: null }),
+        ],
+        now,
+      );
+
+      expect(insights).toEqual([
+        { category: 'work', total: 3, completed: 2, overdue: 1, averageTimeSpent: 40 },
+        { category: null, total: 1, completed: 0, overdue: 0, averageTimeSpent: null },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+// ABOUTME: Tests for the XP level curve and the cosmetic rewards catalog
+// Verifies level thresholds, progress through a level, unlock rules and equipped fallbacks
+
+import {
+  COSMETIC_REWARDS,
+  DEFAULT_COSMETICS,
+  MAX_LEVEL,
+  findNewRewardUnlocks,
+  getLevelProgress,
+  getNextReward,
+  getRewardStatuses,
+  getXPForLevel,
+  mergeRewardUnlocks,
+  resolveEquipped,
+} from '../LevelModel';
+
+describe('LevelModel', () => {
+  describe('getXPForLevel', () => {
+    it('should need more XP for each level than the one before', () => {
+      expect(getXPForLevel(1)).toBe(0);
+      expect(getXPForLevel(2)).toBe(100);
+      expect(getXPForLevel(3)).toBe(210);
+
+      for (let level = 3; level <= MAX_LEVEL; level += 1) {
+        const step = getXPForLevel(level) - getXPForLevel(level - 1);
+        expect(step).toBeGreaterThanOrEqual(getXPForLevel(level - 1) - getXPForLevel(level - 2));
+      }
+    });
+
+    it('should clamp levels outside the curve', () => {
+      expect(getXPForLevel(0)).toBe(0);
+      expect(getXPForLevel(MAX_LEVEL + 5)).toBe(getXPForLevel(MAX_LEVEL));
+    });
+  });
+
+  describe('getLevelProgress', () => {
+    it('should start at level 1', () => {
+      expect(getLevelProgress(0)).toEqual({
+        level: 1,
+        totalXP: 0,
+        levelStartXP: 0,
+        nextLevelXP: 100,
+        fraction: 0,
+      });
+    });
+
+    it('should report how far through the current level the XP is', () => {
+      expect(getLevelProgress(155)).toEqual({
+        level: 2,
+        totalXP: 155,
+        levelStartXP: 100,
+        nextLevelXP: 210,
+        fraction: 0.5,
+      });
+    });
+
+    it('should reach a level exactly at its threshold', () => {
+      expect(getLevelProgress(210).level).toBe(3);
+      expect(getLevelProgress(209).level).toBe(2);
+    });
+
+    it('should stop at the top level', () => {
+      const progress = getLevelProgress(getXPForLevel(MAX_LEVEL) * 2);
+
+      expect(progress.level).toBe(MAX_LEVEL);
+      expect(progress.nextLevelXP).toBeNull();
+      expect(progress.fraction).toBe(1);
+    });
+  });
+
+  describe('rewards', () => {
+    it('should have unique ids and a level 1 default for each kind', () => {
+      const ids = COSMETIC_REWARDS.map(({ id }) => id);
+      expect(new Set(ids).size).toBe(ids.length);
+
+      Object.entries(DEFAULT_COSMETICS).forEach(([kind, id]) => {
+        expect(COSMETIC_REWARDS.find((reward) => reward.id === id)).toMatchObject({
+          kind,
+          level: 1,
+        });
+      });
+    });
+
+    it('should unlock rewards up to the level that are not unlocked yet', () => {
+      const unlocked = findNewRewardUnlocks(3, ['theme_classic', 'celebration_sparkles']);
+
+      expect(unlocked.map(({ id }) => id)).toEqual([
+        'theme_forest',
+        'celebration_confetti',
+        'timer_classic',
+      ]);
+    });
+
+    it('should find the next reward ahead', () => {
+      expect(getNextReward(3)).toMatchObject({ id: 'timer_ocean', level: 4 });
+      expect(getNextReward(MAX_LEVEL)).toBeUndefined();
+    });
+
+    it('should fall back to defaults for locked, unknown or mismatched choices', () => {
+      const equipped = resolveEquipped(
+        { theme: 'theme_sunset', celebration: 'timer_ember', timerSkin: 'timer_ocean' },
+        ['timer_ocean'],
+      );
+
+      expect(equipped.theme.id).toBe('theme_classic');
+      expect(equipped.celebration.id).toBe('celebration_sparkles');
+      expect(equipped.timerSkin).toMatchObject({ id: 'timer_ocean', ringColor: '#1ABC9C' });
+    });
+
+    it('should list every reward in level order with its status', () => {
+      const unlockedAt = new Date(2026, 2, 4);
+      const equipped = resolveEquipped({ theme: 'theme_forest' }, ['theme_forest']);
+
+      const statuses = getRewardStatuses(
+        [{ rewardId: 'theme_forest', level: 3, unlockedAt }],
+        equipped,
+      );
+
+      expect(statuses).toHaveLength(COSMETIC_REWARDS.length);
+      expect(statuses.map(({ reward }) => reward.level)).toEqual(
+        [...statuses.map(({ reward }) => reward.level)].sort((a, b) => a - b),
+      );
+      expect(statuses.find(({ reward }) => reward.id === 'theme_forest')).toMatchObject({
+        unlockedAt,
+        equipped: true,
+      });
+      expect(statuses.find(({ reward }) => reward.id === 'theme_classic').equipped).toBe(false);
+    });
+
+    it('should keep the earliest unlock of each reward', () => {
+      const early = { rewardId: 'theme_forest', level: 3, unlockedAt: new Date(2026, 2, 1) };
+      const late = { rewardId: 'theme_forest', level: 4, unlockedAt: new Date(2026, 2, 5) };
+
+      expect(mergeRewardUnlocks([late], [early])).toEqual([early]);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+// ABOUTME: Tests for the notification delivery policy
+// Verifies preference filtering, quiet hours deferral and the urgent bypass
+
+import { getDeliveryDecision } from '../NotificationPolicy';
+import { NotificationPriority } from '../../types/notification.types';
+import { NotificationPreference, NotificationTypes } from '../../types/user.types';
+
+describe('NotificationPolicy', () => {
+  const preferences = {
+    global: NotificationPreference.ALL,
+    taskAssigned: true,
+    taskStarted: true,
+    taskCompleted: true,
+    taskOverdue: true,
+    encouragement: true,
+    checkIn: true,
+  };
+  const quietHours = { quietHoursStart: '22:00', quietHoursEnd: '08:00' };
+  const lateNight = new Date(2026, 2, 2, 23, 0);
+  const afternoon = new Date(2026, 2, 2, 15, 0);
+
+  const decide = (overrides = {}) =>
+    getDeliveryDecision({
+      type: NotificationTypes.ENCOURAGEMENT,
+      priority: NotificationPriority.LOW,
+      preferences,
+      quietHours,
+      now: afternoon,
+      ...overrides,
+    });
+
+  it('should deliver outside quiet hours', () => {
+    expect(decide()).toEqual({ action: 'deliver' });
+  });
+
+  it('should hold notifications until quiet hours end', () => {
+    expect(decide({ now: lateNight })).toEqual({
+      action: 'defer',
+      deliverAt: new Date(2026, 2, 3, 8, 0),
+    });
+  });
+
+  it("should read quiet hours on the recipient's clock", () => {
+    // 03:30 UTC is 23:30 the evening before in New York and 12:30 in Tokyo
+    const now = new Date(Date.UTC(2026, 2, 3, 3, 30));
+
+    expect(decide({ now, timeZone: 'America/New_York' })).toEqual({
+      action: 'defer',
+      deliverAt: new Date(Date.UTC(2026, 2, 3, 13, 0)),
+    });
+    expect(decide({ now, timeZone: 'Asia/Tokyo' })).toEqual({ action: 'deliver' });
+  });
+
+  it('should let urgent notifications through quiet hours', () => {
+    expect(decide({ now: lateNight, priority: NotificationPriority.URGENT })).toEqual({
+      action: 'deliver',
+    });
+  });
+
+  it('should drop everything when silent', () => {
+    expect(
+      decide({
+        preferences: { ...preferences, global: NotificationPreference.SILENT },
+        priority: NotificationPriority.URGENT,
+      }),
+    ).toEqual({ action: 'suppress', reason: 'silent' });
+  });
+
+  it('should only pass high and urgent priorities when set to important only', () => {
+    const importantOnly = { ...preferences, global: NotificationPreference.IMPORTANT_ONLY };
+
+    expect(decide({ preferences: importantOnly })).toEqual({
+      action: 'suppress',
+      reason: 'not_important',
+    });
+    expect(
+      decide({
+        preferences: importantOnly,
+        type: NotificationTypes.TASK_OVERDUE,
+        priority: NotificationPriority.HIGH,
+      }),
+    ).toEqual({ action: 'deliver' });
+  });
+
+  it('should respect per-type toggles', () => {
+    expect(decide({ preferences: { ...preferences, encouragement: false } })).toEqual({
+      action: 'suppress',
+      reason: 'type_disabled',
+    });
+    // Deadline change requests have no toggle of their own
+    expect(
+      decide({
+        preferences: { ...preferences, encouragement: false },
+        type: NotificationTypes.DEADLINE_CHANGE_REQUEST,
+      }),
+    ).toEqual({ action: 'deliver' });
+  });
+
+  it('should deliver when the recipient has no preferences or partnership', () => {
+    expect(decide({ preferences: null, quietHours: null, now: lateNight })).toEqual({
+      action: 'deliver',
+    });
+  });
+});
@@ -0,0 +1,58 @@
+// ABOUTME: Tests for the partnership rewards store model
+// Verifies offer validation and the spendable XP balance kept apart from lifetime XP
+
+import {
+  MAX_REWARD_TITLE_LENGTH,
+  MAX_REWARD_XP_COST,
+  canAffordReward,
+  getSpendableXP,
+  getSpentXP,
+  validateRewardOffer,
+} from '../PartnerRewardModel';
+
+describe('PartnerRewardModel', () => {
+  describe('validateRewardOffer', () => {
+    it('should accept a named offer with a whole XP cost', () => {
+      expect(validateRewardOffer({ title: 'Movie night', xpCost: 300 })).toEqual({
+        isValid: true,
+        errors: [],
+      });
+    });
+
+    it('should require a name that fits', () => {
+      expect(validateRewardOffer({ title: '  ', xpCost: 10 }).errors).toEqual(['Name is required']);
+      expect(
+        validateRewardOffer({ title: 'x'.repeat(MAX_REWARD_TITLE_LENGTH + 1), xpCost: 10 }).isValid,
+      ).toBe(false);
+    });
+
+    it.each([0, -5, 12.5, MAX_REWARD_XP_COST + 1, Number.NaN, undefined])(
+      'should reject an XP cost of %p',
+      (xpCost) => {
+        expect(validateRewardOffer({ title: 'Ice cream', xpCost }).isValid).toBe(false);
+      },
+    );
+  });
+
+  describe('spendable XP', () => {
+    const redemptions = [
+      { redeemedBy: 'user-1', xpCost: 100, status: 'fulfilled' },
+      { redeemedBy: 'user-1', xpCost: 50, status: 'requested' },
+      { redeemedBy: 'user-2', xpCost: 500, status: 'requested' },
+    ];
+
+    it('should count every redemption by the user, fulfilled or not', () => {
+      expect(getSpentXP(redemptions, 'user-1')).toBe(150);
+    });
+
+    it('should subtract spent XP from lifetime XP without going below zero', () => {
+      expect(getSpendableXP(400, redemptions, 'user-1')).toBe(250);
+      expect(getSpendableXP(100, redemptions, 'user-1')).toBe(0);
+    });
+
+    it('should afford rewards up to the balance', () => {
+      expect(canAffordReward(250, 250)).toBe(true);
+      expect(canAffordReward(249, 250)).toBe(false);
+    });
+  });
+});
@@ -13,6 +13,8 @@ import {
   terminatePartnership,
   updatePartnershipSettings,
   updatePartnershipStats,
+  isWithinQuietHours,
+  getQuietHoursEnd,
 } from '../PartnershipModel';
 import { PARTNERSHIP_STATUS } from '../../constants/UserConstants';
 
@@ -218,4 +220,61 @@ describe('PartnershipModel', () => {
       expect(updated.stats.checkInsCompleted).toBe(0); // Unchanged
     });
   });
+
+  describe('isWithinQuietHours', () => {
+    const at = (hours, minutes = 0) => new Date(2026, 2, 2, hours, minutes);
+
+    it('should handle quiet hours that wrap past midnight', () => {
+      const settings = { quietHoursStart: '22:00', quietHoursEnd: '08:00' };
+
+      expect(isWithinQuietHours(settings, at(23, 30))).toBe(true);
+      expect(isWithinQuietHours(settings, at(7, 59))).toBe(true);
+      expect(isWithinQuietHours(settings, at(8))).toBe(false);
+      expect(isWithinQuietHours(settings, at(21, 59))).toBe(false);
+    });
+
+    it('should handle quiet hours within a single day', () => {
+      const settings = { quietHoursStart: '13:00', quietHoursEnd: '14:30' };
+
+      expect(isWithinQuietHours(settings, at(13, 15))).toBe(true);
+      expect(isWithinQuietHours(settings, at(14, 30))).toBe(false);
+    });
+
+    it('should treat missing or malformed quiet hours as never quiet', () => {
+      expect(isWithinQuietHours({ quietHoursStart: null, quietHoursEnd: '08:00' }, at(3))).toBe(
+        false,
+      );
+      expect(isWithinQuietHours({ quietHoursStart: 'late', quietHoursEnd: '08:00' }, at(3))).toBe(
+        false,
+      );
+    });
+  });
+
+  describe('getQuietHoursEnd', () => {
+    const settings = { quietHoursStart: '22:00', quietHoursEnd: '08:00' };
+
+    it('should end later the same night or the next morning', () => {
+      expect(getQuietHoursEnd(settings, new Date(2026, 2, 2, 23, 30))).toEqual(
+        new Date(2026, 2, 3, 8, 0),
+      );
+      expect(getQuietHoursEnd(settings, new Date(2026, 2, 3, 6, 0))).toEqual(
+        new Date(2026, 2, 3, 8, 0),
+      );
+    });
+
+    it('should return null outside quiet hours', () => {
+      expect(getQuietHoursEnd(settings, new Date(2026, 2, 2, 12, 0))).toBeNull();
+    });
+
+    it('should count to the end time on the given time zone', () => {
+      // 06:45:20 in Tokyo
+      const tokyoMorning = new Date(Date.UTC(2026, 2, 2, 21, 45, 20));
+
+      expect(isWithinQuietHours(settings, tokyoMorning, 'Asia/Tokyo')).toBe(true);
+      expect(getQuietHoursEnd(settings, tokyoMorning, 'Asia/Tokyo')).toEqual(
+        new Date(Date.UTC(2026, 2, 2, 23, 0)),
+      );
+      expect(getQuietHoursEnd(settings, tokyoMorning, 'Europe/London')).toBeNull();
+    });
+  });
 });
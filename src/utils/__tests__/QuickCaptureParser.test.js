@@ -0,0 +1,283 @@
+// ABOUTME: Tests for the natural-language quick capture parser
+// Table-driven checks of dates, times, estimates, categories and priorities across locales
+
+import { parseQuickCapture, describeQuickCapture, formatTimeEstimate } from '../QuickCaptureParser';
+import { DEFAULT_CATEGORIES } from '../CategoryModel';
+import { TaskPriority } from '../../types/task.types';
+
+// Monday 2 March 2026, 15:00
+const now = new Date(2026, 2, 2, 15, 0);
+const at = (month, day, hours = 23, minutes = 59) => new Date(2026, month - 1, day, hours, minutes);
+
+const errands = {
+  id: 'category_errands',
+  label: 'Errands',
+  color: '#F7B731',
+  icon: '🛒',
+};
+const categories = [...DEFAULT_CATEGORIES, errands];
+
+const parse = (text, locale = 'en-US') => parseQuickCapture(text, { now, locale, categories });
+
+describe('QuickCaptureParser', () => {
+  describe('parseQuickCapture', () => {
+    it('should parse the full example', () => {
+      expect(parse('call dentist tomorrow 3pm 15m #personal !high')).toEqual({
+        title: 'call dentist',
+        dueDate: at(3, 3, 15, 0),
+        hasDueTime: true,
+        timeEstimate: 15,
+        category: 'personal',
+        priority: TaskPriority.HIGH,
+      });
+    });
+
+    it('should leave plain text alone', () => {
+      expect(parse('  water the plants  ')).toEqual({
+        title: 'water the plants',
+        dueDate: null,
+        hasDueTime: false,
+        timeEstimate: null,
+        category: null,
+        priority: null,
+      });
+    });
+
+    describe('due dates', () => {
+      it.each([
+        ['today', at(3, 2)],
+        ['tomorrow', at(3, 3)],
+        ['tmrw', at(3, 3)],
+        ['day after tomorrow', at(3, 4)],
+        ['next week', at(3, 9)],
+        ['in 3 days', at(3, 5)],
+        ['in 2 weeks', at(3, 16)],
+        ['friday', at(3, 6)],
+        ['fri', at(3, 6)],
+        ['on Friday', at(3, 6)],
+        ['monday', at(3, 2)],
+        ['next monday', at(3, 9)],
+        ['this thursday', at(3, 5)],
+        ['thurs', at(3, 5)],
+        ['on sat', at(3, 7)],
+        ['march 14', at(3, 14)],
+        ['14 March', at(3, 14)],
+        ['mar 3rd', at(3, 3)],
+        ['jan 5', new Date(2027, 0, 5, 23, 59)],
+        ['3/14', at(3, 14)],
+        ['12/25/26', new Date(2026, 11, 25, 23, 59)],
+        ['2026-04-01', at(4, 1)],
+        ['by tomorrow', at(3, 3)],
+        ['due 4/1', at(4, 1)],
+      ])('should read "%s" as a day, due at its end', (phrase, expected) => {
+        const parsed = parse(`pay rent ${phrase}`);
+
+        expect(parsed.title).toBe('pay rent');
+        expect(parsed.dueDate).toEqual(expected);
+        expect(parsed.hasDueTime).toBe(false);
+      });
+
+      it.each([
+        ['tomorrow 3pm', at(3, 3, 15, 0)],
+        ['tomorrow at 9:30am', at(3, 3, 9, 30)],
+        ['friday 3 pm', at(3, 6, 15, 0)],
+        ['fri. 4 p.m.', at(3, 6, 16, 0)],
+        ['at 5pm', at(3, 2, 17, 0)],
+        ['11am', at(3, 3, 11, 0)],
+        ['17:30', at(3, 2, 17, 30)],
+        ['@4', at(3, 2, 16, 0)],
+        ['at 6', at(3, 2, 18, 0)],
+        ['at 9', at(3, 3, 9, 0)],
+        ['by 5pm', at(3, 2, 17, 0)],
+        ['noon', at(3, 3, 12, 0)],
+        ['tonight', at(3, 2, 20, 0)],
+        ['tonight at 9', at(3, 2, 21, 0)],
+        ['in 2 hours', at(3, 2, 17, 0)],
+        ['in 30m', at(3, 2, 15, 30)],
+        ['in an hour', at(3, 2, 16, 0)],
+      ])('should read "%s" as a time', (phrase, expected) => {
+        const parsed = parse(`call mum ${phrase}`);
+
+        expect(parsed.title).toBe('call mum');
+        expect(parsed.dueDate).toEqual(expected);
+        expect(parsed.hasDueTime).toBe(true);
+      });
+
+      it('should only take the first date and keep later ones in the title', () => {
+        const parsed = parse('move tomorrow meeting to friday');
+
+        expect(parsed.dueDate).toEqual(at(3, 3));
+        expect(parsed.title).toBe('move meeting to friday');
+      });
+
+      it.each([
+        ['sun cream'],
+        ['sat nav update'],
+        ['look for the 3 keys'],
+        ['version 1.5 notes'],
+        ['feb 30 party'],
+      ])('should not mistake "%s" for a date', (text) => {
+        const parsed = parse(text);
+
+        expect(parsed.dueDate).toBeNull();
+        expect(parsed.title).toBe(text);
+      });
+    });
+
+    describe('locales', () => {
+      it.each([
+        ['en-US', '3/4', at(3, 4)],
+        ['en-GB', '3/4', at(4, 3)],
+        ['de-DE', '14.3.', at(3, 14)],
+        ['de-DE', '14. März', at(3, 14)],
+        ['de-DE', 'morgen', at(3, 3)],
+        ['de-DE', 'Freitag', at(3, 6)],
+        ['fr-FR', 'demain', at(3, 3)],
+        ['fr-FR', 'vendredi', at(3, 6)],
+        ['fr-FR', 'mar 14', at(3, 14)],
+        ['es-ES', 'pasado mañana', at(3, 4)],
+        ['nl-NL', '14-3-2026', at(3, 14)],
+      ])('should read dates in %s: "%s"', (locale, phrase, expected) => {
+        const parsed = parse(`task ${phrase}`, locale);
+
+        expect(parsed.dueDate).toEqual(expected);
+        expect(parsed.title).toBe('task');
+      });
+
+      it('should understand English weekdays in any locale', () => {
+        expect(parse('task friday', 'de-DE').dueDate).toEqual(at(3, 6));
+      });
+
+      it('should keep bare hours on the 24-hour clock where that is the norm', () => {
+        expect(parse('task at 3', 'de-DE').dueDate).toEqual(at(3, 3, 3, 0));
+        expect(parse('task 15:00', 'de-DE').dueDate).toEqual(at(3, 3, 15, 0));
+        expect(parse('task 3:30', 'en-US').dueDate).toEqual(at(3, 2, 15, 30));
+      });
+    });
+
+    describe('time estimates', () => {
+      it.each([
+        ['15m', 15],
+        ['15min', 15],
+        ['15 min', 15],
+        ['45 minutes', 45],
+        ['~20m', 20],
+        ['1h', 60],
+        ['2 hours', 120],
+        ['1.5h', 90],
+        ['1h30m', 90],
+        ['1h30', 90],
+      ])('should read "%s" as %i minutes', (phrase, minutes) => {
+        const parsed = parse(`tidy desk ${phrase}`);
+
+        expect(parsed.timeEstimate).toBe(minutes);
+        expect(parsed.title).toBe('tidy desk');
+      });
+
+      it('should not treat other numbers as estimates', () => {
+        const parsed = parse('run 5k');
+
+        expect(parsed.timeEstimate).toBeNull();
+        expect(parsed.title).toBe('run 5k');
+      });
+    });
+
+    describe('categories', () => {
+      it.each([
+        ['#work', 'work'],
+        ['#Work', 'work'],
+        ['#errands', 'category_errands'],
+        ['#category_errands', 'category_errands'],
+      ])('should match "%s" by id or name', (tag, id) => {
+        expect(parse(`post parcel ${tag}`).category).toBe(id);
+      });
+
+      it('should keep unknown tags in the title', () => {
+        const parsed = parse('post parcel #garden');
+
+        expect(parsed.category).toBeNull();
+        expect(parsed.title).toBe('post parcel #garden');
+      });
+    });
+
+    describe('priorities', () => {
+      it.each([
+        ['!low', TaskPriority.LOW],
+        ['!med', TaskPriority.MEDIUM],
+        ['!high', TaskPriority.HIGH],
+        ['!H', TaskPriority.HIGH],
+        ['!urgent', TaskPriority.URGENT],
+        ['!1', TaskPriority.URGENT],
+        ['!4', TaskPriority.LOW],
+        ['!!', TaskPriority.HIGH],
+        ['!!!', TaskPriority.URGENT],
+      ])('should read "%s"', (token, priority) => {
+        const parsed = parse(`file taxes ${token}`);
+
+        expect(parsed.priority).toBe(priority);
+        expect(parsed.title).toBe('file taxes');
+      });
+
+      it('should keep exclamations that are not priorities', () => {
+        expect(parse('finally done!').title).toBe('finally done!');
+        expect(parse('finally done!').priority).toBeNull();
+      });
+    });
+
+    it('should parse fields in any order', () => {
+      const parsed = parse('!urgent #work 30m send invoice friday at 10am');
+
+      expect(parsed).toEqual(
+        expect.objectContaining({
+          title: 'send invoice',
+          dueDate: at(3, 6, 10, 0),
+          timeEstimate: 30,
+          category: 'work',
+          priority: TaskPriority.URGENT,
+        }),
+      );
+    });
+
+    it('should return an empty title when only fields were typed', () => {
+      expect(parse('tomorrow 15m').title).toBe('');
+    });
+  });
+
+  describe('describeQuickCapture', () => {
+    it('should word each parsed field for the preview', () => {
+      const parsed = parse('call dentist tomorrow 3pm 90m #errands !urgent');
+      const items = describeQuickCapture(parsed, { now, locale: 'en-US', categories });
+
+      expect(items.map((item) => item.field)).toEqual([
+        'dueDate',
+        'timeEstimate',
+        'category',
+        'priority',
+      ]);
+      expect(items[0].label).toMatch(/^Tomorrow 3:00\sPM$/);
+      expect(items[1].label).toBe('1 hr 30 min');
+      expect(items[2].label).toBe('🛒 Errands');
+      expect(items[3].label).toBe('Urgent');
+    });
+
+    it('should show just the day when no time was given', () => {
+      const items = describeQuickCapture(parse('call dentist today'), { now, locale: 'en-US' });
+
+      expect(items).toEqual([{ field: 'dueDate', label: 'Today' }]);
+    });
+
+    it('should be empty for plain text', () => {
+      expect(describeQuickCapture(parse('call dentist'), { now })).toEqual([]);
+    });
+  });
+
+  describe('formatTimeEstimate', () => {
+    it.each([
+      [5, '5 min'],
+      [60, '1 hr'],
+      [135, '2 hr 15 min'],
+    ])('should format %i minutes as "%s"', (minutes, label) => {
+      expect(formatTimeEstimate(minutes)).toBe(label);
+    });
+  });
+});
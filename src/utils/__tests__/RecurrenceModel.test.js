@@ -0,0 +1,232 @@
+// ABOUTME: Tests for recurrence rules used by repeating tasks
+// Verifies next-occurrence calculation, validation, descriptions and series helpers
+
+import {
+  createRecurrenceRule,
+  validateRecurrenceRule,
+  getNextOccurrence,
+  createNextOccurrence,
+  describeRecurrence,
+  collapseRecurringSeries,
+  getSeriesCompletionCount,
+  getSeriesId,
+} from '../RecurrenceModel';
+import { createTask, completeTask } from '../TaskModel';
+import { RecurrenceFrequency } from '../../types/task.types';
+
+// Local dates so the tests don't depend on the machine's timezone
+const at = (year, month, day, hours = 9) => new Date(year, month - 1, day, hours, 0, 0, 0);
+
+describe('RecurrenceModel', () => {
+  describe('createRecurrenceRule', () => {
+    it('should default interval and only keep dayOfMonth for monthly rules', () => {
+      expect(createRecurrenceRule(RecurrenceFrequency.EVERY_N_DAYS, { interval: 3 })).toEqual({
+        frequency: RecurrenceFrequency.EVERY_N_DAYS,
+        interval: 3,
+        dayOfMonth: null,
+      });
+      expect(createRecurrenceRule(RecurrenceFrequency.DAILY, { interval: 5 }).interval).toBe(1);
+      expect(createRecurrenceRule(RecurrenceFrequency.MONTHLY, { dayOfMonth: 15 }).dayOfMonth).toBe(
+        15,
+      );
+      expect(
+        createRecurrenceRule(RecurrenceFrequency.WEEKDAYS, { dayOfMonth: 15 }).dayOfMonth,
+      ).toBeNull();
+    });
+  });
+
+  describe('validateRecurrenceRule', () => {
+    it('should accept a valid rule', () => {
+      const rule = createRecurrenceRule(RecurrenceFrequency.MONTHLY, { dayOfMonth: 31 });
+      expect(validateRecurrenceRule(rule)).toEqual({ isValid: true, errors: [] });
+    });
+
+    it('should reject unknown frequencies, bad intervals and bad days', () => {
+      const result = validateRecurrenceRule({
+        frequency: RecurrenceFrequency.MONTHLY,
+        interval: 0,
+        dayOfMonth: 32,
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Interval must be a whole number of at least 1');
+      expect(result.errors).toContain('Day of month must be between 1 and 31');
+      expect(validateRecurrenceRule({ frequency: 'yearly', interval: 1 }).errors).toContain(
+        'Invalid recurrence frequency',
+      );
+    });
+  });
+
+  describe('getNextOccurrence', () => {
+    const cases = [
+      {
+        name: 'daily steps one day from the due date',
+        rule: createRecurrenceRule(RecurrenceFrequency.DAILY),
+        dueDate: at(2024, 3, 4),
+        completedAt: at(2024, 3, 4, 8),
+        expected: at(2024, 3, 5),
+      },
+      {
+        name: 'weekdays skips the weekend',
+        rule: createRecurrenceRule(RecurrenceFrequency.WEEKDAYS),
+        dueDate: at(2024, 3, 8), // Friday
+        completedAt: at(2024, 3, 8, 8),
+        expected: at(2024, 3, 11), // Monday
+      },
+      {
+        name: 'every N days uses the interval',
+        rule: createRecurrenceRule(RecurrenceFrequency.EVERY_N_DAYS, { interval: 7 }),
+        dueDate: at(2024, 3, 4),
+        completedAt: at(2024, 3, 3),
+        expected: at(2024, 3, 11),
+      },
+      {
+        name: 'monthly clamps to the end of shorter months',
+        rule: createRecurrenceRule(RecurrenceFrequency.MONTHLY, { dayOfMonth: 31 }),
+        dueDate: at(2024, 1, 31),
+        completedAt: at(2024, 1, 31, 8),
+        expected: at(2024, 2, 29),
+      },
+      {
+        name: 'monthly without a due date picks the next matching day',
+        rule: createRecurrenceRule(RecurrenceFrequency.MONTHLY, { dayOfMonth: 15 }),
+        dueDate: null,
+        completedAt: at(2024, 3, 5),
+        expected: at(2024, 3, 15),
+      },
+      {
+        name: 'after completion counts from when it was done',
+        rule: createRecurrenceRule(RecurrenceFrequency.AFTER_COMPLETION, { interval: 3 }),
+        dueDate: at(2024, 3, 1),
+        completedAt: at(2024, 3, 6, 18),
+        expected: at(2024, 3, 9, 18),
+      },
+      {
+        name: 'late completions skip missed occurrences',
+        rule: createRecurrenceRule(RecurrenceFrequency.DAILY),
+        dueDate: at(2024, 3, 1),
+        completedAt: at(2024, 3, 4, 12),
+        expected: at(2024, 3, 5),
+      },
+    ];
+
+    it.each(cases)('$name', ({ rule, dueDate, completedAt, expected }) => {
+      expect(getNextOccurrence(rule, { dueDate, completedAt })).toEqual(expected);
+    });
+  });
+
+  describe('createNextOccurrence', () => {
+    it('should return null for one-off tasks', () => {
+      expect(createNextOccurrence(completeTask(createTask({ title: 'Once' })))).toBeNull();
+    });
+
+    it('should copy the task into the same series with the next due date', () => {
+      const first = createTask({
+        title: 'Take meds',
+        category: 'personal',
+        timeEstimate: 5,
+        userId: 'user-1',
+        dueDate: at(2024, 3, 4, 9),
+        preferredStartTime: at(2024, 3, 4, 8),
+        reminder1: at(2024, 3, 4, 7),
+        recurrence: createRecurrenceRule(RecurrenceFrequency.DAILY),
+      });
+      const done = { ...completeTask(first), completedAt: at(2024, 3, 4, 8, 30) };
+
+      const next = createNextOccurrence(done);
+
+      expect(next.id).not.toBe(first.id);
+      expect(next.title).toBe('Take meds');
+      expect(next.completed).toBe(false);
+      expect(next.seriesId).toBe(first.id);
+      expect(next.recurrence).toEqual(first.recurrence);
+      expect(next.dueDate).toEqual(at(2024, 3, 5, 9));
+      expect(next.preferredStartTime).toEqual(at(2024, 3, 5, 8));
+      expect(next.reminder1).toEqual(at(2024, 3, 5, 7));
+      expect(next.reminder2).toBeNull();
+
+      const afterNext = createNextOccurrence({
+        ...completeTask(next),
+        completedAt: at(2024, 3, 5),
+      });
+      expect(afterNext.seriesId).toBe(first.id);
+    });
+
+    it('should keep an accepted assigned series accepted', () => {
+      const first = createTask({
+        title: 'Water the plants',
+        userId: 'partner-1',
+        assignedBy: 'partner-1',
+        assignedTo: 'adhd-1',
+        assignmentStatus: 'accepted',
+        dueDate: at(2024, 3, 4, 9),
+        recurrence: createRecurrenceRule(RecurrenceFrequency.DAILY),
+      });
+
+      const next = createNextOccurrence({
+        ...completeTask(first),
+        completedAt: at(2024, 3, 4, 8),
+      });
+
+      expect(next).toMatchObject({
+        assignedBy: 'partner-1',
+        assignedTo: 'adhd-1',
+        assignmentStatus: 'accepted',
+      });
+    });
+  });
+
+  describe('describeRecurrence', () => {
+    it('should describe each frequency in plain words', () => {
+      expect(describeRecurrence(createRecurrenceRule(RecurrenceFrequency.DAILY))).toBe('Every day');
+      expect(describeRecurrence(createRecurrenceRule(RecurrenceFrequency.WEEKDAYS))).toBe(
+        'Every weekday',
+      );
+      expect(
+        describeRecurrence(createRecurrenceRule(RecurrenceFrequency.EVERY_N_DAYS, { interval: 3 })),
+      ).toBe('Every 3 days');
+      expect(
+        describeRecurrence(createRecurrenceRule(RecurrenceFrequency.MONTHLY, { dayOfMonth: 22 })),
+      ).toBe('Monthly on the 22nd');
+      expect(
+        describeRecurrence(createRecurrenceRule(RecurrenceFrequency.MONTHLY, { dayOfMonth: 11 })),
+      ).toBe('Monthly on the 11th');
+      expect(
+        describeRecurrence(
+          createRecurrenceRule(RecurrenceFrequency.AFTER_COMPLETION, { interval: 2 }),
+        ),
+      ).toBe('2 days after completion');
+    });
+  });
+
+  describe('series helpers', () => {
+    const rule = createRecurrenceRule(RecurrenceFrequency.DAILY);
+    const first = { ...completeTask(createTask({ title: 'Meds', recurrence: rule })) };
+    const second = {
+      ...completeTask(createTask({ title: 'Meds', recurrence: rule, seriesId: first.id })),
+    };
+    const open = createTask({ title: 'Meds', recurrence: rule, seriesId: first.id });
+    const oneOff = createTask({ title: 'Call mum' });
+
+    it('should identify the series by the first task', () => {
+      expect(getSeriesId(first)).toBe(first.id);
+      expect(getSeriesId(open)).toBe(first.id);
+    });
+
+    it('should keep only the open instance of each series', () => {
+      expect(collapseRecurringSeries([first, oneOff, second, open])).toEqual([oneOff, open]);
+    });
+
+    it('should fall back to the latest completed instance', () => {
+      const earlier = { ...first, completedAt: new Date(2024, 0, 1) };
+      const later = { ...second, completedAt: new Date(2024, 0, 2) };
+
+      expect(collapseRecurringSeries([earlier, later])).toEqual([later]);
+    });
+
+    it('should count completed instances in a series', () => {
+      expect(getSeriesCompletionCount(open, [first, second, open, oneOff])).toBe(2);
+      expect(getSeriesCompletionCount(oneOff, [first, second, open, oneOff])).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+// ABOUTME: Tests for reminder model utilities
+// Verifies preset times, quick reminder slots and picked times of day
+
+import {
+  getPresetReminderTime,
+  applyReminderPresets,
+  addQuickReminder,
+  getNextTimeOfDay,
+  getTaskReminderTimes,
+  formatReminderTime,
+} from '../ReminderModel';
+import { createTask } from '../TaskModel';
+import { REMINDER_PRESETS } from '../../types/task.types';
+
+const at = (day, hours, minutes = 0) => new Date(2026, 2, day, hours, minutes, 0, 0);
+const preset = (id) => REMINDER_PRESETS.find((candidate) => candidate.id === id);
+
+describe('ReminderModel', () => {
+  const now = at(2, 14, 30);
+
+  describe('getPresetReminderTime', () => {
+    it('should count minutes from now', () => {
+      expect(getPresetReminderTime(preset('in_1_hour'), now)).toEqual(at(2, 15, 30));
+    });
+
+    it('should use the given hour tomorrow', () => {
+      expect(getPresetReminderTime(preset('tomorrow_morning'), now)).toEqual(at(3, 9));
+    });
+  });
+
+  describe('applyReminderPresets', () => {
+    it('should fill the quick reminder slots earliest first', () => {
+      expect(applyReminderPresets([preset('tomorrow_morning'), preset('in_15_min')], now)).toEqual({
+        reminder1: at(2, 14, 45),
+        reminder2: at(3, 9),
+      });
+    });
+
+    it('should leave the slots empty when nothing is picked', () => {
+      expect(applyReminderPresets([], now)).toEqual({ reminder1: null, reminder2: null });
+    });
+  });
+
+  describe('addQuickReminder', () => {
+    it('should use the first free slot', () => {
+      expect(addQuickReminder({ reminder1: at(2, 16), reminder2: null }, at(2, 15))).toEqual({
+        reminder1: at(2, 15),
+        reminder2: at(2, 16),
+      });
+    });
+
+    it('should replace the later reminder when both slots are taken', () => {
+      expect(addQuickReminder({ reminder1: at(2, 15), reminder2: at(2, 18) }, at(2, 16))).toEqual({
+        reminder1: at(2, 15),
+        reminder2: at(2, 16),
+      });
+    });
+  });
+
+  describe('getNextTimeOfDay', () => {
+    it('should pick today when the time is still ahead', () => {
+      expect(getNextTimeOfDay(at(20, 16, 15), now)).toEqual(at(2, 16, 15));
+    });
+
+    it('should pick tomorrow when the time has passed', () => {
+      expect(getNextTimeOfDay(at(20, 8), now)).toEqual(at(3, 8));
+    });
+  });
+
+  it('should list only the reminders that are set', () => {
+    const task = createTask({ reminder2: at(2, 16), reminderCustom: at(2, 17) });
+
+    expect(getTaskReminderTimes(task)).toEqual([
+      { slot: 'reminder2', remindAt: at(2, 16) },
+      { slot: 'reminderCustom', remindAt: at(2, 17) },
+    ]);
+  });
+
+  it('should describe today and tomorrow in words', () => {
+    expect(formatReminderTime(at(2, 16), now)).toMatch(/^Today /);
+    expect(formatReminderTime(at(3, 9), now)).toMatch(/^Tomorrow /);
+  });
+});
@@ -0,0 +1,120 @@
+// ABOUTME: Tests for the daily streak rules
+// Verifies time zone days, streak freezes covering missed days and merging device and server copies
+
+import {
+  EMPTY_STREAK,
+  MAX_STREAK_FREEZES,
+  daysBetween,
+  getLocalDay,
+  getStreakStatus,
+  pickLatestStreak,
+  recordStreakDay,
+} from '../StreakModel';
+
+describe('StreakModel', () => {
+  const streak = (overrides = {}) => ({ ...EMPTY_STREAK, ...overrides });
+
+  describe('getLocalDay', () => {
+    it('should take the day in the given time zone', () => {
+      const lateEvening = new Date('2026-03-04T23:30:00.000Z');
+
+      expect(getLocalDay(lateEvening, 'America/New_York')).toBe('2026-03-04');
+      expect(getLocalDay(lateEvening, 'Asia/Tokyo')).toBe('2026-03-05');
+    });
+
+    it("should fall back to the device's day for an unknown zone", () => {
+      const date = new Date(2026, 2, 4, 12, 0);
+
+      expect(getLocalDay(date, 'Not/AZone')).toBe('2026-03-04');
+      expect(getLocalDay(date)).toBe('2026-03-04');
+    });
+  });
+
+  it('should count calendar days across month ends and DST changes', () => {
+    expect(daysBetween('2026-02-28', '2026-03-01')).toBe(1);
+    expect(daysBetween('2026-03-07', '2026-03-09')).toBe(2);
+    expect(daysBetween('2026-03-09', '2026-03-07')).toBe(-2);
+  });
+
+  describe('recordStreakDay', () => {
+    it('should start a streak on the first day', () => {
+      expect(recordStreakDay(EMPTY_STREAK, '2026-03-04')).toEqual(
+        streak({ current: 1, best: 1, lastDay: '2026-03-04' }),
+      );
+    });
+
+    it('should not change anything for a day already counted', () => {
+      const state = streak({ current: 3, best: 3, lastDay: '2026-03-04' });
+
+      expect(recordStreakDay(state, '2026-03-04')).toBe(state);
+      expect(recordStreakDay(state, '2026-03-02')).toBe(state);
+    });
+
+    it('should continue the streak on the next day', () => {
+      const state = streak({ current: 3, best: 5, lastDay: '2026-03-04' });
+
+      expect(recordStreakDay(state, '2026-03-05')).toMatchObject({ current: 4, best: 5 });
+    });
+
+    it('should spend a freeze to forgive a single missed day', () => {
+      const state = streak({ current: 3, best: 3, lastDay: '2026-03-04', freezes: 1 });
+
+      expect(recordStreakDay(state, '2026-03-06')).toEqual(
+        streak({ current: 4, best: 4, lastDay: '2026-03-06', freezes: 0 }),
+      );
+    });
+
+    it('should restart when more days were missed than there are freezes', () => {
+      const state = streak({ current: 3, best: 3, lastDay: '2026-03-04', freezes: 1 });
+
+      expect(recordStreakDay(state, '2026-03-07')).toEqual(
+        streak({ current: 1, best: 3, lastDay: '2026-03-07', freezes: 1 }),
+      );
+    });
+
+    it('should earn a freeze every 7 days, up to the maximum', () => {
+      const week = recordStreakDay(
+        streak({ current: 6, best: 6, lastDay: '2026-03-04', freezes: 0 }),
+        '2026-03-05',
+      );
+      const full = recordStreakDay(
+        streak({ current: 13, best: 13, lastDay: '2026-03-04', freezes: MAX_STREAK_FREEZES }),
+        '2026-03-05',
+      );
+
+      expect(week.freezes).toBe(1);
+      expect(full.freezes).toBe(MAX_STREAK_FREEZES);
+    });
+  });
+
+  describe('getStreakStatus', () => {
+    it('should keep the streak while freezes cover the missed days', () => {
+      const state = streak({ current: 5, best: 5, lastDay: '2026-03-04', freezes: 1 });
+
+      expect(getStreakStatus(state, '2026-03-04')).toMatchObject({
+        current: 5,
+        countedToday: true,
+        frozenDays: 0,
+      });
+      expect(getStreakStatus(state, '2026-03-05')).toMatchObject({ current: 5, frozenDays: 0 });
+      expect(getStreakStatus(state, '2026-03-06')).toMatchObject({ current: 5, frozenDays: 1 });
+      expect(getStreakStatus(state, '2026-03-07')).toMatchObject({ current: 0, best: 5 });
+    });
+
+    it('should show no streak before the first day', () => {
+      expect(getStreakStatus(EMPTY_STREAK, '2026-03-04').current).toBe(0);
+    });
+  });
+
+  describe('pickLatestStreak', () => {
+    it('should keep the copy that has seen the later day, preferring the server on a tie', () => {
+      const local = streak({ current: 4, lastDay: '2026-03-05' });
+      const remote = streak({ current: 3, lastDay: '2026-03-04' });
+
+      expect(pickLatestStreak(local, remote)).toBe(local);
+      expect(pickLatestStreak(remote, local)).toBe(local);
+      expect(pickLatestStreak(local, { ...local, freezes: 2 }).freezes).toBe(2);
+      expect(pickLatestStreak(EMPTY_STREAK, remote)).toBe(remote);
+    });
+  });
+});
@@ -11,6 +11,13 @@ import {
   markPartnerNotified,
   isOverdue,
   getTimeUntilDue,
+  createSubtask,
+  buildTaskTree,
+  getSubtasks,
+  getNextSortOrder,
+  getSubtaskProgress,
+  areAllSubtasksComplete,
+  completeTask,
 } from '../TaskModel';
 import { TASK_STATUS, TASK_CATEGORIES } from '../../constants/TaskConstants';
 
@@ -327,4 +334,89 @@ describe('TaskModel', () => {
       });
     });
   });
+
+  describe('Task breakdown', () => {
+    it('should create top-level tasks without a parent', () => {
+      const task = createTask({ title: 'Clean the garage' });
+
+      expect(task.parentId).toBeNull();
+      expect(task.sortOrder).toBe(0);
+    });
+
+    it('should create a step that inherits context from its parent', () => {
+      const parent = createTask({
+        title: 'Clean the garage',
+        category: TASK_CATEGORIES.HOME.id,
+        userId: 'user-1',
+      });
+
+      const step = createSubtask(parent, { title: 'Sort the boxes' }, 2);
+
+      expect(step.parentId).toBe(parent.id);
+      expect(step.sortOrder).toBe(2);
+      expect(step.category).toBe(TASK_CATEGORIES.HOME.id);
+      expect(step.userId).toBe('user-1');
+      expect(step.id).not.toBe(parent.id);
+    });
+
+    it('should return steps of a parent in sort order', () => {
+      const parent = createTask({ title: 'Parent' });
+      const second = createSubtask(parent, { title: 'Second' }, 1);
+      const first = createSubtask(parent, { title: 'First' }, 0);
+      const unrelated = createTask({ title: 'Unrelated' });
+
+      const steps = getSubtasks(parent.id, [second, unrelated, first, parent]);
+
+      expect(steps.map((step) => step.title)).toEqual(['First', 'Second']);
+    });
+
+    it('should compute the next sort order', () => {
+      const parent = createTask({ title: 'Parent' });
+
+      expect(getNextSortOrder([])).toBe(0);
+      expect(getNextSortOrder([createSubtask(parent, {}, 0), createSubtask(parent, {}, 4)])).toBe(
+        5,
+      );
+    });
+
+    it('should build a nested tree from a flat list', () => {
+      const parent = createTask({ title: 'Parent' });
+      const step = createSubtask(parent, { title: 'Step' }, 0);
+      const nestedStep = createSubtask(step, { title: 'Nested' }, 0);
+      const other = createTask({ title: 'Other' });
+
+      const tree = buildTaskTree([parent, step, nestedStep, other]);
+
+      expect(tree).toHaveLength(2);
+      expect(tree[0].task.id).toBe(parent.id);
+      expect(tree[0].children).toHaveLength(1);
+      expect(tree[0].children[0].task.id).toBe(step.id);
+      expect(tree[0].children[0].children[0].task.id).toBe(nestedStep.id);
+      expect(tree[1].children).toEqual([]);
+    });
+
+    it('should treat steps whose parent is missing as roots', () => {
+      const parent = createTask({ title: 'Parent' });
+      const step = createSubtask(parent, { title: 'Orphan' }, 0);
+
+      const tree = buildTaskTree([step]);
+
+      expect(tree).toHaveLength(1);
+      expect(tree[0].task.id).toBe(step.id);
+    });
+
+    it('should report progress across steps', () => {
+      const parent = createTask({ title: 'Parent' });
+      const steps = [
+        completeTask(createSubtask(parent, { title: 'A' }, 0)),
+        createSubtask(parent, { title: 'B' }, 1),
+        createSubtask(parent, { title: 'C' }, 2),
+      ];
+
+      expect(getSubtaskProgress(steps)).toEqual({ completed: 1, total: 3 });
+      expect(areAllSubtasksComplete(steps)).toBe(false);
+      expect(areAllSubtasksComplete(steps.map((step) => completeTask(step)))).toBe(true);
+      expect(areAllSubtasksComplete([])).toBe(false);
+    });
+  });
 });
@@ -90,6 +90,11 @@ export const createMockTask = (overrides = {}) => {
     },
     encouragementReceived: [],
     userId: userId,
+    // Task breakdown fields
+    parentId: null,
+    sortOrder: 0,
+    recurrence: null,
+    seriesId: null,
     ...overrides,
   };
 };